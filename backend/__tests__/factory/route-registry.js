@@ -114,6 +114,82 @@ module.exports = {
         description: "Reactivate user",
       },
 
+      // Jobs
+      {
+        method: "GET",
+        path: "/system/jobs",
+        behavior: "list",
+        pagination: true,
+        description: "List background jobs",
+      },
+      {
+        method: "GET",
+        path: "/system/jobs/:id",
+        behavior: "getOne",
+        paramTypes: { id: "id" },
+        description: "Get background job",
+      },
+      {
+        method: "POST",
+        path: "/system/jobs/:id/retry",
+        behavior: "action",
+        paramTypes: { id: "id" },
+        description: "Retry dead or cancelled job",
+      },
+      {
+        method: "POST",
+        path: "/system/jobs/:id/cancel",
+        behavior: "action",
+        paramTypes: { id: "id" },
+        description: "Cancel pending or running job",
+      },
+
+      // Webhook inbox
+      {
+        method: "GET",
+        path: "/system/webhooks",
+        behavior: "list",
+        pagination: true,
+        description: "List stored webhook events",
+      },
+      {
+        method: "GET",
+        path: "/system/webhooks/:id",
+        behavior: "getOne",
+        paramTypes: { id: "id" },
+        description: "Get stored webhook event",
+      },
+      {
+        method: "POST",
+        path: "/system/webhooks/:id/replay",
+        behavior: "action",
+        paramTypes: { id: "id" },
+        description: "Replay stored webhook event",
+      },
+
+      // Outbound webhook deliveries
+      {
+        method: "GET",
+        path: "/system/webhook-deliveries",
+        behavior: "list",
+        pagination: true,
+        description: "List outbound webhook deliveries",
+      },
+      {
+        method: "GET",
+        path: "/system/webhook-deliveries/:id",
+        behavior: "getOne",
+        paramTypes: { id: "id" },
+        description: "Get outbound webhook delivery",
+      },
+      {
+        method: "POST",
+        path: "/system/webhook-deliveries/:id/redeliver",
+        behavior: "action",
+        paramTypes: { id: "id" },
+        description: "Redeliver outbound webhook",
+      },
+
       // Logs
       {
         method: "GET",
@@ -194,7 +270,7 @@ module.exports = {
         path: "/:entity",
         behavior: "download",
         paramTypes: { entity: "string" },
-        description: "Export entity as CSV",
+        description: "Export entity data as a file",
       },
       {
         method: "GET",
@@ -206,6 +282,27 @@ module.exports = {
     ],
   },
 
+  import: {
+    basePath: "/api/import",
+    auth: { required: true, minRole: "customer" },
+    endpoints: [
+      {
+        method: "POST",
+        path: "/:entity",
+        behavior: "action",
+        paramTypes: { entity: "string" },
+        description: "Import entity records from a CSV/XLSX file",
+      },
+      {
+        method: "GET",
+        path: "/:entity/fields",
+        behavior: "getOne",
+        paramTypes: { entity: "string" },
+        description: "Get importable fields",
+      },
+    ],
+  },
+
   // NOTE: files routes removed - file attachments now use sub-resource pattern
   // /api/:tableName/:id/files (tested in files-api.test.js)
 
@@ -281,6 +378,20 @@ module.exports = {
     ],
   },
 
+  summaries: {
+    basePath: "/api/summaries",
+    auth: { required: true, minRole: "customer" },
+    endpoints: [
+      {
+        method: "GET",
+        path: "/:entity",
+        behavior: "getOne",
+        paramTypes: { entity: "string" },
+        description: "Summarize by time bucket and group-by fields",
+      },
+    ],
+  },
+
   entities: {
     basePath: "/api",
     auth: { required: true, minRole: "customer" },
@@ -0,0 +1,123 @@
+/**
+ * QuickBooks Online API Fixtures
+ *
+ * Recorded QBO v3 responses (sandbox company, minorversion=73), trimmed to the
+ * fields the provider reads. Served by mocks/quickbooks-api.mock.js.
+ * SRP: ONLY data, no behavior
+ */
+
+const QB_REALM_ID = "9130357766896836";
+
+const QB_TOKENS = {
+  access_token: "qb-access-token",
+  refresh_token: "qb-refresh-token",
+  realm_id: QB_REALM_ID,
+};
+
+const QB_CUSTOMER = {
+  Id: "58",
+  SyncToken: "0",
+  DisplayName: "Acme Property Group",
+  CompanyName: "Acme Property Group",
+  GivenName: "Dana",
+  FamilyName: "Reyes",
+  PrimaryEmailAddr: { Address: "dana@acme.test" },
+  Active: true,
+  Balance: 0,
+  MetaData: {
+    CreateTime: "2026-03-04T07:15:22-08:00",
+    LastUpdatedTime: "2026-03-04T07:15:22-08:00",
+  },
+};
+
+const QB_INVOICE = {
+  Id: "145",
+  SyncToken: "0",
+  DocNumber: "INV-2026-0042",
+  TxnDate: "2026-03-04",
+  DueDate: "2026-04-03",
+  CustomerRef: { value: "58", name: "Acme Property Group" },
+  Line: [
+    {
+      Id: "1",
+      LineNum: 1,
+      Amount: 250,
+      DetailType: "SalesItemLineDetail",
+      SalesItemLineDetail: {
+        ItemRef: { value: "1", name: "Services" },
+        Qty: 1,
+        UnitPrice: 250,
+      },
+    },
+    {
+      Amount: 250,
+      DetailType: "SubTotalLineDetail",
+      SubTotalLineDetail: {},
+    },
+  ],
+  TxnTaxDetail: { TotalTax: 20 },
+  TotalAmt: 270,
+  Balance: 270,
+  MetaData: {
+    CreateTime: "2026-03-04T07:16:40-08:00",
+    LastUpdatedTime: "2026-03-04T07:16:40-08:00",
+  },
+};
+
+/** POST/GET responses wrap the entity under its type name */
+const QB_RESPONSES = {
+  customerCreated: { Customer: QB_CUSTOMER, time: "2026-03-04T07:15:22.312-08:00" },
+  customerRead: {
+    Customer: { ...QB_CUSTOMER, SyncToken: "3" },
+    time: "2026-03-05T09:02:11.870-08:00",
+  },
+  customerUpdated: {
+    Customer: { ...QB_CUSTOMER, SyncToken: "4" },
+    time: "2026-03-05T09:02:12.104-08:00",
+  },
+  invoiceCreated: { Invoice: QB_INVOICE, time: "2026-03-04T07:16:40.551-08:00" },
+  invoiceRead: {
+    Invoice: { ...QB_INVOICE, SyncToken: "1" },
+    time: "2026-03-05T09:04:30.018-08:00",
+  },
+  invoiceUpdated: {
+    Invoice: { ...QB_INVOICE, SyncToken: "2" },
+    time: "2026-03-05T09:04:30.266-08:00",
+  },
+  duplicateNameFault: {
+    Fault: {
+      Error: [
+        {
+          Message: "Duplicate Name Exists Error",
+          Detail: "The name supplied already exists. : Another customer is already using this name.",
+          code: "6240",
+          element: "",
+        },
+      ],
+      type: "ValidationFault",
+    },
+    time: "2026-03-04T07:17:03.402-08:00",
+  },
+  staleSyncTokenFault: {
+    Fault: {
+      Error: [
+        {
+          Message: "Stale Object Error",
+          Detail: "Stale Object Error : You and root were working on this at the same time.",
+          code: "5010",
+          element: "",
+        },
+      ],
+      type: "ValidationFault",
+    },
+    time: "2026-03-05T09:05:10.119-08:00",
+  },
+};
+
+module.exports = {
+  QB_REALM_ID,
+  QB_TOKENS,
+  QB_CUSTOMER,
+  QB_INVOICE,
+  QB_RESPONSES,
+};
@@ -246,6 +246,31 @@ describe("TokenService - Integration Tests (Real DB)", () => {
         TokenService.refreshAccessToken(validRefreshToken),
       ).rejects.toThrow("Invalid refresh token");
     });
+
+    test("should revoke the whole family when a rotated token is replayed", async () => {
+      const pool = getTestPool();
+      const rotated = await TokenService.refreshAccessToken(validRefreshToken);
+
+      await expect(
+        TokenService.refreshAccessToken(validRefreshToken),
+      ).rejects.toMatchObject({ code: "AUTH_TOKEN_REUSED" });
+
+      // The successor issued by the legitimate rotation is dead too
+      await expect(
+        TokenService.refreshAccessToken(rotated.refreshToken),
+      ).rejects.toThrow("Invalid refresh token");
+
+      const family = await pool.query(
+        `SELECT revoked_reason FROM refresh_tokens
+         WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_id = $1)
+         ORDER BY created_at`,
+        [tokenId],
+      );
+      expect(family.rows.map((r) => r.revoked_reason)).toEqual([
+        "rotated",
+        "reuse_detected",
+      ]);
+    });
   });
 
   describe("revokeToken()", () => {
@@ -0,0 +1,15 @@
+/**
+ * Summary Routes - Integration Tests
+ *
+ * Uses the route runner pattern to test the summaries endpoint.
+ * Tests are generated from route-registry.js metadata.
+ *
+ * PRINCIPLE: No hardcoded tests - all derived from route metadata.
+ */
+
+const { runRouteTests } = require("../factory/route-runner");
+const app = require("../../server");
+const db = require("../../db/connection");
+
+// Run all route scenarios for summaries
+runRouteTests("summaries", { app, db });
@@ -0,0 +1,56 @@
+/**
+ * QuickBooks Online API Mock
+ *
+ * Offline stand-in for `fetch` against the QBO accounting API. Routes are
+ * keyed by "METHOD resource" (the path below /company/{realmId}/, without the
+ * query string) and answered from fixtures/quickbooks.js.
+ *
+ * USAGE:
+ *   const api = createQuickBooksApiMock({
+ *     "POST customer": { status: 200, body: QB_RESPONSES.customerCreated },
+ *   });
+ *   global.fetch = api.fetch;
+ *   ...
+ *   expect(api.requests()).toEqual([{ method: "POST", resource: "customer", body: {...} }]);
+ */
+
+/**
+ * Create a mock QBO API
+ * @param {Object} routes - { "METHOD resource": { status, body } }
+ * @returns {Object} { fetch, requests }
+ */
+function createQuickBooksApiMock(routes = {}) {
+  const fetch = jest.fn(async (url, options = {}) => {
+    const method = options.method || "GET";
+    const { pathname } = new URL(url);
+    const resource = pathname.replace(/^\/v3\/company\/[^/]+\//, "");
+    const route = routes[`${method} ${resource}`];
+    const status = route ? route.status : 404;
+    const body = route
+      ? route.body
+      : { Fault: { Error: [{ Message: "Object Not Found" }], type: "ValidationFault" } };
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => body,
+    };
+  });
+
+  /**
+   * Requests made so far
+   * @returns {Object[]} [{ method, resource, body }]
+   */
+  const requests = () =>
+    fetch.mock.calls.map(([url, options = {}]) => ({
+      method: options.method || "GET",
+      resource: new URL(url).pathname.replace(/^\/v3\/company\/[^/]+\//, ""),
+      body: options.body ? JSON.parse(options.body) : undefined,
+    }));
+
+  return { fetch, requests };
+}
+
+module.exports = {
+  createQuickBooksApiMock,
+};
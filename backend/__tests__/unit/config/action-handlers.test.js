@@ -12,11 +12,25 @@ jest.mock('../../../services/entity/generic-entity-service', () => ({
   update: jest.fn().mockResolvedValue({ id: 1 }),
 }));
 
+jest.mock('../../../services/jobs/job-queue-service', () => ({
+  enqueue: jest.fn().mockResolvedValue({ id: 1 }),
+}));
+
 // Mock db connection for formula queries
 jest.mock('../../../db/connection', () => ({
   query: jest.fn().mockResolvedValue({ rows: [{ total: 100 }] }),
 }));
 
+// Real templates; spies to drive relationship loading
+jest.mock('../../../config/notification-templates', () => {
+  const actual = jest.requireActual('../../../config/notification-templates');
+  return {
+    ...actual,
+    renderNotification: jest.fn(actual.renderNotification),
+    getTemplateRelationships: jest.fn(actual.getTemplateRelationships),
+  };
+});
+
 const {
   resolveValue,
   resolveCompute,
@@ -27,12 +41,15 @@ const {
   validateActions,
   validateNotificationRecipient,
   clearActionsCache,
+  evaluateFormula,
   ACTION_HANDLERS,
 } = require('../../../config/action-handlers');
 
 // Get mock references for assertions
 const GenericEntityService = require('../../../services/entity/generic-entity-service');
 const db = require('../../../db/connection');
+const JobQueueService = require('../../../services/jobs/job-queue-service');
+const notificationTemplates = require('../../../config/notification-templates');
 
 describe('action-handlers', () => {
   beforeEach(() => {
@@ -91,7 +108,24 @@ describe('action-handlers', () => {
       expect(resultDate.getTime()).toBeLessThanOrEqual(after.getTime() + 1000);
     });
 
-    it('returns null for next_occurrence (not implemented)', () => {
+    it('resolves next_occurrence from an explicit occurrence date', () => {
+      const context = { occurrence: '2026-05-01', record: { next_due_date: '2026-04-01' } };
+      expect(resolveCompute('next_occurrence', context)).toBe('2026-05-01T00:00:00.000Z');
+    });
+
+    it('resolves next_occurrence from the record next_due_date', () => {
+      const context = { record: { next_due_date: '2026-04-01' } };
+      expect(resolveCompute('next_occurrence', context)).toBe('2026-04-01T00:00:00.000Z');
+    });
+
+    it('computes next_occurrence from frequency when no due date is set', () => {
+      const context = {
+        record: { frequency: 'weekly', frequency_interval: 2, last_generated_date: '2026-04-01' },
+      };
+      expect(resolveCompute('next_occurrence', context)).toBe('2026-04-15T00:00:00.000Z');
+    });
+
+    it('returns null for next_occurrence without schedule data', () => {
       expect(resolveCompute('next_occurrence')).toBeNull();
     });
 
@@ -114,7 +148,7 @@ describe('action-handlers', () => {
         };
         const context = {
           entity: 'invoice',
-          record: { id: 1, customer_id: 42 },
+          record: { id: 1, customer_id: 42, tenant_id: 1 },
           oldValue: 'draft',
           newValue: 'sent',
         };
@@ -130,7 +164,7 @@ describe('action-handlers', () => {
         // Resolved the record's profile FK (42) against users.customer_profile_id
         expect(db.query).toHaveBeenCalledWith(
           expect.stringContaining('customer_profile_id'),
-          [42]
+          [42, 1] // the record's tenant
         );
         expect(GenericEntityService.create).toHaveBeenCalledWith(
           'notification',
@@ -159,7 +193,7 @@ describe('action-handlers', () => {
         };
         const context = {
           entity: 'request',
-          record: { id: 1 },
+          record: { id: 1, tenant_id: 2 },
         };
 
         const result = await ACTION_HANDLERS.notification(config, context);
@@ -167,6 +201,39 @@ describe('action-handlers', () => {
         expect(result.success).toBe(true);
         expect(result.recipientCount).toBe(1);
         expect(result.in_app).toHaveLength(1);
+        // Only the record's tenant's managers (ADR-014)
+        expect(db.query).toHaveBeenCalledWith(expect.stringContaining('tenant_id = $2'), [4, 2]);
+      });
+
+      it('uses the explicit context tenant for records that are not tenant rows', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+        const config = {
+          type: 'notification',
+          template: 'export_ready',
+          recipient: { match: 'id', value: 7 },
+          channels: ['in_app'],
+        };
+        const context = { entity: 'work_order', tenantId: 3, record: { filename: 'export.csv' } };
+
+        const result = await ACTION_HANDLERS.notification(config, context);
+
+        expect(result.recipientCount).toBe(1);
+        expect(db.query).toHaveBeenCalledWith(expect.stringContaining('tenant_id = $2'), [7, 3]);
+      });
+
+      it('skips notification without a tenant instead of assuming the original one', async () => {
+        const config = {
+          type: 'notification',
+          template: 'export_ready',
+          recipient: { match: 'id', value: 7 },
+          channels: ['in_app'],
+        };
+
+        const result = await ACTION_HANDLERS.notification(config, { entity: 'work_order', record: {} });
+
+        expect(result.recipientCount ?? 0).toBe(0);
+        expect(db.query).not.toHaveBeenCalled();
       });
 
       it('skips notification when the recipient value cannot be resolved', async () => {
@@ -350,6 +417,49 @@ describe('action-handlers', () => {
         );
       });
 
+      it('writes every field of a formulas map in one update', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: '250.00' }] })
+          .mockResolvedValueOnce({ rows: [{ total: '20.63' }] });
+        const config = {
+          type: 'compute',
+          target: 'invoice',
+          formulas: {
+            amount: 'SUM(invoice_line_items.ROUND(quantity * unit_price, 2))',
+            tax: 'SUM(invoice_line_items.ROUND(quantity * unit_price * tax_rate / 100, 2))',
+          },
+        };
+        const context = { entity: 'invoice_line_item', record: { id: 5, invoice_id: 42 } };
+
+        const result = await ACTION_HANDLERS.compute(config, context);
+
+        expect(result.success).toBe(true);
+        expect(result.value).toEqual({ amount: 250, tax: 20.63 });
+        expect(GenericEntityService.update).toHaveBeenCalledTimes(1);
+        expect(GenericEntityService.update).toHaveBeenCalledWith(
+          'invoice',
+          42,
+          { amount: 250, tax: 20.63 },
+          expect.objectContaining({ skipHooks: true })
+        );
+      });
+
+      it('passes the where filter to every SUM', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: '0' }] })
+          .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+        const config = {
+          type: 'compute',
+          target: 'invoice',
+          formulas: { amount: 'SUM(invoice_line_items.unit_price)', tax: 'SUM(invoice_line_items.tax_rate)' },
+          where: { is_active: true },
+        };
+
+        await ACTION_HANDLERS.compute(config, { entity: 'invoice_line_item', record: { id: 5, invoice_id: 42 } });
+
+        expect(db.query.mock.calls.map(([, params]) => params)).toEqual([[42, true], [42, true]]);
+      });
+
       it('returns error when target entity/field cannot be parsed', async () => {
         const config = {
           type: 'compute',
@@ -478,7 +588,7 @@ describe('action-handlers', () => {
   });
 
   describe('validateActions', () => {
-    it('passes for the registered actions.json (all recipients valid)', () => {
+    it('passes for the registered actions.json (all recipients and templates valid)', () => {
       expect(() => validateActions()).not.toThrow();
     });
   });
@@ -497,7 +607,7 @@ describe('action-handlers', () => {
       };
       const context = {
         entity: 'request',
-        record: { id: 1 },
+        record: { id: 1, tenant_id: 1 },
       };
 
       const result = await ACTION_HANDLERS.notification(config, context);
@@ -519,7 +629,7 @@ describe('action-handlers', () => {
         recipient: { match: 'role_id', value: { role: 'manager' } },
         channels: ['in_app'],
       };
-      const context = { entity: 'test', record: { id: 1 } };
+      const context = { entity: 'test', record: { id: 1, tenant_id: 1 } };
 
       const result = await ACTION_HANDLERS.notification(config, context);
 
@@ -528,7 +638,7 @@ describe('action-handlers', () => {
       expect(result.reason).toBe('no_recipients');
     });
 
-    it('marks email channel as pending infrastructure', async () => {
+    it('queues an email delivery job per recipient for the email channel', async () => {
       db.query
         .mockResolvedValueOnce({ rows: [{ id: 5 }] })   // role -> id
         .mockResolvedValueOnce({ rows: [{ id: 201 }] }); // users
@@ -541,15 +651,193 @@ describe('action-handlers', () => {
       };
       const context = {
         entity: 'work_order',
-        record: { id: 5 },
+        record: { id: 5, tenant_id: 1 },
       };
 
       const result = await ACTION_HANDLERS.notification(config, context);
 
       expect(result.success).toBe(true);
       expect(result.in_app).toHaveLength(1);
+      expect(result.email).toEqual([{ userId: 201, notificationId: 999, status: 'queued' }]);
+      expect(GenericEntityService.create).toHaveBeenCalledWith(
+        'notification',
+        expect.objectContaining({ user_id: 201, template: 'status_change', email_status: 'pending' }),
+        expect.any(Object),
+      );
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        'notification.email',
+        { notificationId: 999 },
+        expect.objectContaining({ dedupeKey: 'notification-email:999', maxAttempts: 5 }),
+      );
+    });
+
+    it('still writes the notification row for email-only notifications', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })   // role -> id
+        .mockResolvedValueOnce({ rows: [{ id: 201 }] }); // users
+
+      const result = await ACTION_HANDLERS.notification(
+        {
+          type: 'notification',
+          template: 'assignment',
+          recipient: { match: 'role_id', value: { role: 'admin' } },
+          channels: ['email'],
+        },
+        { entity: 'work_order', record: { id: 5, tenant_id: 1 } },
+      );
+
+      expect(result.in_app).toEqual([]);
       expect(result.email).toHaveLength(1);
-      expect(result.email[0].status).toBe('pending_infrastructure');
+      expect(GenericEntityService.create).toHaveBeenCalledTimes(1);
+      expect(JobQueueService.enqueue).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not request email for in-app only notifications', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })   // role -> id
+        .mockResolvedValueOnce({ rows: [{ id: 201 }] }); // users
+
+      await ACTION_HANDLERS.notification(
+        {
+          type: 'notification',
+          template: 'assignment',
+          recipient: { match: 'role_id', value: { role: 'admin' } },
+          channels: ['in_app'],
+        },
+        { entity: 'work_order', record: { id: 5, tenant_id: 1 } },
+      );
+
+      expect(GenericEntityService.create.mock.calls[0][1]).not.toHaveProperty('email_status');
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notification templates', () => {
+    const notifyRole = (template, context) =>
+      ACTION_HANDLERS.notification(
+        { type: 'notification', template, recipient: { match: 'role_id', value: { role: 'manager' } } },
+        context,
+      );
+
+    it('renders title/body in each recipient locale', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })              // role -> id
+        .mockResolvedValueOnce({ rows: [{ id: 7 }, { id: 8 }] })   // users
+        .mockResolvedValueOnce({ rows: [{ id: 8, locale: 'es' }] }); // preferences (7 has none)
+
+      await notifyRole('status_change', {
+        entity: 'work_order',
+        record: { id: 42, tenant_id: 1, work_order_number: 'WO-2026-0042' },
+        field: 'status',
+        oldValue: 'pending',
+        newValue: 'scheduled',
+      });
+
+      expect(db.query).toHaveBeenNthCalledWith(3, expect.stringContaining('FROM preferences'), [[7, 8]]);
+      const [[, english], [, spanish]] = GenericEntityService.create.mock.calls;
+      expect(english).toMatchObject({
+        user_id: 7,
+        title: 'Work Order WO-2026-0042 is now Scheduled',
+        body: 'Work Order WO-2026-0042 changed from Pending to Scheduled.',
+      });
+      expect(spanish).toMatchObject({
+        user_id: 8,
+        title: 'Orden de trabajo WO-2026-0042: Programada',
+        body: 'Orden de trabajo WO-2026-0042 pasó de Pendiente a Programada.',
+      });
+    });
+
+    it('falls back to the default locale when preferences cannot be read', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockRejectedValueOnce(new Error('column "locale" does not exist'));
+
+      const result = await notifyRole('update', { entity: 'invoice', record: { id: 3, tenant_id: 1, invoice_number: 'INV-3' } });
+
+      expect(result.success).toBe(true);
+      expect(GenericEntityService.create.mock.calls[0][1].title).toBe('Invoice INV-3 updated');
+    });
+
+    it('loads referenced belongsTo relationships in the caller\'s transaction', async () => {
+      notificationTemplates.getTemplateRelationships.mockReturnValueOnce(['customer']);
+      const tx = { query: jest.fn().mockResolvedValue({ rows: [{ id: 42, first_name: 'Jo', last_name: 'Smith' }] }) };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await notifyRole('status_change', { entity: 'work_order', record: { id: 5, tenant_id: 1, customer_id: 42 }, tx });
+
+      const [sql, params] = tx.query.mock.calls[0];
+      expect(sql).toMatch(/^SELECT .*first_name, last_name.* FROM customers WHERE id = \$1$/);
+      expect(sql).not.toContain('*');
+      expect(params).toEqual([42]);
+      expect(notificationTemplates.renderNotification).toHaveBeenCalledWith(
+        'status_change',
+        expect.anything(),
+        expect.objectContaining({
+          relations: { customer: expect.objectContaining({ entityKey: 'customer', row: expect.objectContaining({ first_name: 'Jo' }) }) },
+        }),
+      );
+    });
+  });
+
+  describe('SUM formula', () => {
+    it('aggregates a related column by the target FK', async () => {
+      const value = await evaluateFormula('SUM(payments.amount)', {}, 'invoice', 42);
+
+      expect(value).toBe(100);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toMatch(/SUM\(amount\), 0\) as total\s+FROM payments\s+WHERE invoice_id = \$1/);
+      expect(params).toEqual([42]);
+    });
+
+    it('compiles a per-row expression with allowed functions', async () => {
+      await evaluateFormula(
+        'SUM(invoice_line_items.round(quantity * unit_price * tax_rate / 100, 2))',
+        {},
+        'invoice',
+        42,
+      );
+
+      expect(db.query.mock.calls[0][0]).toContain(
+        'SUM(ROUND ( quantity * unit_price * tax_rate / 100 , 2 ))',
+      );
+    });
+
+    it('filters the summed rows by the where columns', async () => {
+      await evaluateFormula('SUM(invoice_line_items.unit_price)', {}, 'invoice', 42, { is_active: true });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toMatch(/WHERE invoice_id = \$1 AND is_active = \$2/);
+      expect(params).toEqual([42, true]);
+    });
+
+    it('rejects an unsafe where column', async () => {
+      await expect(
+        evaluateFormula('SUM(invoice_line_items.unit_price)', {}, 'invoice', 42, { 'is_active; --': true }),
+      ).rejects.toThrow();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('runs on the Unit-of-Work client when context.tx is set', async () => {
+      const tx = { query: jest.fn().mockResolvedValue({ rows: [{ total: '7.50' }] }) };
+
+      const value = await evaluateFormula('SUM(invoice_line_items.unit_price)', { tx }, 'invoice', 42);
+
+      expect(value).toBe(7.5);
+      expect(tx.query).toHaveBeenCalled();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['SUM(invoice_line_items.pg_sleep(10))', 'Unsupported function'],
+      ['SUM(invoice_line_items.quantity; DROP TABLE invoices)', 'Invalid formula expression'],
+      ['SUM(invoice_line_items.ROUND(quantity, 2)', 'Invalid formula expression'],
+    ])('rejects %s', async (formula, message) => {
+      await expect(evaluateFormula(formula, {}, 'invoice', 42)).rejects.toThrow(message);
+      expect(db.query).not.toHaveBeenCalled();
     });
   });
 
@@ -628,6 +916,47 @@ describe('action-handlers', () => {
       expect(nextDate.getMonth()).toBeGreaterThanOrEqual(3); // April = month 3
     });
 
+    it('multiplies the frequency by an interval field', async () => {
+      const config = {
+        type: 'compute',
+        target: 'maintenance_schedule.next_due_date',
+        formula: 'RRULE_NEXT(frequency, next_due_date, frequency_interval)',
+      };
+      const context = {
+        entity: 'maintenance_schedule',
+        record: {
+          id: 1,
+          frequency: 'quarterly',
+          frequency_interval: 2,
+          next_due_date: '2026-01-15',
+        },
+      };
+
+      const result = await ACTION_HANDLERS.compute(config, context);
+
+      expect(result.value).toBe('2026-07-15T00:00:00.000Z');
+    });
+
+    it('anchors full RRULE strings at the last date', async () => {
+      const config = {
+        type: 'compute',
+        target: 'maintenance_schedule.next_due_date',
+        formula: 'RRULE_NEXT(rrule, last_generated_date)',
+      };
+      const context = {
+        entity: 'maintenance_schedule',
+        record: {
+          id: 1,
+          rrule: 'RRULE:FREQ=WEEKLY;INTERVAL=2',
+          last_generated_date: '2026-04-01',
+        },
+      };
+
+      const result = await ACTION_HANDLERS.compute(config, context);
+
+      expect(result.value).toBe('2026-04-15T00:00:00.000Z');
+    });
+
     it('returns null for unknown frequency', async () => {
       const config = {
         type: 'compute',
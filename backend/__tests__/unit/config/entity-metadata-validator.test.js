@@ -269,6 +269,31 @@ describe('Entity Metadata Validator', () => {
     });
   });
 
+  describe('organization access rules', () => {
+    function withOrganizationRule(access, fields = {}) {
+      const meta = createMinimalMetadata({
+        rlsRules: [{ id: 'staff-organization-access', roles: 'manager', operations: '*', access }],
+      });
+      meta.fields = { ...meta.fields, ...fields };
+      return validateEntity('test_entity', meta, allMetadata);
+    }
+
+    test('passes when the entity has the organization column', () => {
+      const result = withOrganizationRule(
+        { type: 'organization' },
+        { organization_id: { type: 'foreignKey', references: 'organization' } },
+      );
+      expect(hasFieldError(result, 'rlsRules[0].access.field')).toBe(false);
+      expect(hasFieldError(result, 'rlsRules[0].access.type')).toBe(false);
+    });
+
+    test('fails when the organization column is not a field', () => {
+      const result = withOrganizationRule({ type: 'organization', field: 'company_id' });
+      expect(result.hasErrors()).toBe(true);
+      expect(hasFieldError(result, 'rlsRules[0].access.field')).toBe(true);
+    });
+  });
+
   describe('beforeChange when.operator validation', () => {
     // Builds an entity whose `name` field carries a beforeChange hook using the
     // given when-operator. Only the operator-vocabulary check can flag
@@ -314,6 +339,71 @@ describe('Entity Metadata Validator', () => {
     });
   });
 
+  describe('beforeChange requiresApproval validation', () => {
+    // Builds an entity whose `name` field carries a single beforeChange hook
+    // with the given requiresApproval object.
+    function withApproval(requiresApproval) {
+      const meta = createMinimalMetadata({
+        fields: {
+          id: {
+            type: 'integer',
+            label: 'ID',
+            access: { create: 'hidden', edit: 'hidden', view: 'read' },
+          },
+          name: {
+            type: 'string',
+            label: 'Name',
+            access: { create: 'required', edit: 'editable', view: 'read' },
+            beforeChange: [{ on: 'change', requiresApproval }],
+          },
+        },
+      });
+      return validateEntity('test_entity', meta, {});
+    }
+
+    const prefix = 'fields.name.beforeChange[0].requiresApproval';
+
+    test('accepts a chain with timeout, onTimeout and conditional steps', () => {
+      const result = withApproval({
+        approver: 'manager',
+        timeout: 48,
+        onTimeout: 'escalate',
+        steps: [{ approver: 'admin', when: { field: 'name', operator: '=', value: 'x' } }],
+      });
+      const approvalErrors = result.errors.filter((e) => e.field.startsWith(prefix));
+      expect(approvalErrors).toEqual([]);
+    });
+
+    test('rejects an unknown approver role', () => {
+      expect(hasFieldError(withApproval({ approver: 'owner' }), `${prefix}.approver`)).toBe(true);
+    });
+
+    test('rejects a non-positive timeout', () => {
+      const result = withApproval({ approver: 'manager', timeout: 0 });
+      expect(hasFieldError(result, `${prefix}.timeout`)).toBe(true);
+    });
+
+    test('rejects an unknown onTimeout policy', () => {
+      const result = withApproval({ approver: 'manager', onTimeout: 'approve' });
+      expect(hasFieldError(result, `${prefix}.onTimeout`)).toBe(true);
+    });
+
+    test('validates each step like the first', () => {
+      const result = withApproval({
+        approver: 'manager',
+        steps: [{ timeout: -1, when: { field: 'name', operator: 'gt', value: 1 } }],
+      });
+      expect(hasFieldError(result, `${prefix}.steps[0].approver`)).toBe(true);
+      expect(hasFieldError(result, `${prefix}.steps[0].timeout`)).toBe(true);
+      expect(hasFieldError(result, `${prefix}.steps[0].when.operator`)).toBe(true);
+    });
+
+    test('rejects steps that are not an array', () => {
+      const result = withApproval({ approver: 'manager', steps: { approver: 'admin' } });
+      expect(hasFieldError(result, `${prefix}.steps`)).toBe(true);
+    });
+  });
+
   describe('afterChange do: action-registry validation', () => {
     // Builds an entity whose `name` field carries a single afterChange hook with
     // the given `do:` value. Only the action-registry check can flag
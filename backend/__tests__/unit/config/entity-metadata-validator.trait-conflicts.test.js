@@ -1,7 +1,7 @@
 /**
  * Unit Tests: Entity Metadata Validator — field trait/type conflicts
  *
- * Enforced: default+derived, searchable-on-non-text.
+ * Enforced: default+derived, searchable-on-non-text, fulltext-without-searchable.
  * Explicitly allowed (valid live patterns): required+readonly, readonly+immutable.
  */
 
@@ -60,6 +60,22 @@ describe('Entity Metadata Validator: field trait/type conflicts', () => {
     expect(hasError(result, 'fields.title')).toBe(false);
   });
 
+  test("rejects 'fulltext' without 'searchable'", () => {
+    const meta = baseMeta({ notes: { type: 'text', fulltext: true } });
+
+    const result = validateEntity('test_entity', meta, allMetadata);
+
+    expect(hasError(result, 'fields.notes')).toBe(true);
+  });
+
+  test("accepts 'fulltext' + 'searchable' (TRAIT_SETS.FULLTEXT)", () => {
+    const meta = baseMeta({ notes: { type: 'text', searchable: true, fulltext: true } });
+
+    const result = validateEntity('test_entity', meta, allMetadata);
+
+    expect(hasError(result, 'fields.notes')).toBe(false);
+  });
+
   test('accepts required + readonly (system-generated required fields)', () => {
     const meta = baseMeta({
       number: { type: 'string', required: true, readonly: true },
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests: Entity Metadata Validator — status transitions (state machine)
+ *
+ * Enforced: workflow trait only, enum field, known states, valid minRole,
+ * existing `requires` fields, no self or duplicate edges.
+ */
+
+const { validateEntity } = require('../../../config/entity-metadata-validator');
+const allModels = require('../../../config/models');
+
+function baseMeta(transitions, overrides = {}) {
+  return {
+    entityKey: 'test_entity',
+    tableName: 'test_entities',
+    primaryKey: 'id',
+    identityField: 'name',
+    displayField: 'name',
+    traits: ['workflow'],
+    enums: {
+      status: { open: { label: 'Open' }, done: { label: 'Done' }, void: { label: 'Void' } },
+    },
+    fields: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      status: { type: 'enum', enumKey: 'status' },
+      done_at: { type: 'timestamp' },
+    },
+    transitions,
+    ...overrides,
+  };
+}
+
+const errorsFor = (result, prefix) =>
+  result.errors.filter((e) => e.field.startsWith(prefix));
+
+describe('Entity Metadata Validator: transitions', () => {
+  const allMetadata = {};
+
+  test('accepts a valid state machine with list edges and requires', () => {
+    const meta = baseMeta({
+      field: 'status',
+      edges: [
+        { from: 'open', to: 'done', minRole: 'technician', requires: ['done_at'] },
+        { from: ['open', 'done'], to: 'void', minRole: 'manager' },
+      ],
+    });
+
+    const result = validateEntity('test_entity', meta, allMetadata);
+
+    expect(errorsFor(result, 'transitions')).toEqual([]);
+  });
+
+  test('rejects transitions on an entity without the workflow trait', () => {
+    const meta = baseMeta(
+      { field: 'status', edges: [{ from: 'open', to: 'done', minRole: 'dispatcher' }] },
+      { traits: [] },
+    );
+
+    const result = validateEntity('test_entity', meta, allMetadata);
+
+    expect(errorsFor(result, 'transitions').map((e) => e.field)).toEqual(['transitions']);
+  });
+
+  test('rejects a non-enum field', () => {
+    const meta = baseMeta({ field: 'name', edges: [{ from: 'open', to: 'done', minRole: 'dispatcher' }] });
+
+    const result = validateEntity('test_entity', meta, allMetadata);
+
+    expect(errorsFor(result, 'transitions.field')).toHaveLength(1);
+  });
+
+  test('rejects empty edges', () => {
+    const meta = baseMeta({ field: 'status', edges: [] });
+
+    const result = validateEntity('test_entity', meta, allMetadata);
+
+    expect(errorsFor(result, 'transitions.edges')).toHaveLength(1);
+  });
+
+  test('rejects unknown states, invalid roles and unknown required fields', () => {
+    const meta = baseMeta({
+      field: 'status',
+      edges: [{ from: 'opened', to: ['done', 'archived'], minRole: 'superuser', requires: ['closed_at'] }],
+    });
+
+    const result = validateEntity('test_entity', meta, allMetadata);
+
+    expect(errorsFor(result, 'transitions.edges[0]').map((e) => e.field).sort()).toEqual([
+      'transitions.edges[0].from',
+      'transitions.edges[0].minRole',
+      'transitions.edges[0].requires',
+      'transitions.edges[0].to',
+    ]);
+  });
+
+  test('rejects self-transitions and duplicate edges', () => {
+    const meta = baseMeta({
+      field: 'status',
+      edges: [
+        { from: 'open', to: ['open', 'done'], minRole: 'dispatcher' },
+        { from: 'open', to: 'done', minRole: 'manager' },
+      ],
+    });
+
+    const result = validateEntity('test_entity', meta, allMetadata);
+
+    const messages = errorsFor(result, 'transitions.edges').map((e) => e.message);
+    expect(messages).toEqual([
+      "Self-transition 'open→open' is not allowed",
+      "Duplicate edge 'open→done'",
+    ]);
+  });
+
+  test.each(['work_order', 'visit', 'invoice', 'quote', 'purchase_order', 'service_agreement'])(
+    '%s declares a valid state machine',
+    (entityName) => {
+      const meta = allModels[entityName];
+
+      const result = validateEntity(entityName, meta, allModels);
+
+      expect(meta.transitions).toBeDefined();
+      expect(errorsFor(result, 'transitions')).toEqual([]);
+    },
+  );
+});
@@ -22,11 +22,12 @@ const meta = {
 };
 
 describe('FIELD_TRAIT vocabulary', () => {
-  test('is a frozen map of the 5 queryable traits to their field property names', () => {
+  test('is a frozen map of the 6 queryable traits to their field property names', () => {
     expect(FIELD_TRAIT).toEqual({
       REQUIRED: 'required',
       IMMUTABLE: 'immutable',
       SEARCHABLE: 'searchable',
+      FULLTEXT: 'fulltext',
       FILTERABLE: 'filterable',
       SORTABLE: 'sortable',
     });
@@ -0,0 +1,210 @@
+/**
+ * Unit Tests: Notification Templates
+ *
+ * Tests in-app and email rendering from notification-templates.json
+ * (variables, enum labels, locales, escaping) and startup validation.
+ */
+
+const path = require('path');
+const templates = require('../../../config/notification-templates');
+
+const { renderNotification, renderEmail, validateNotificationTemplates } = templates;
+
+const TEMPLATES_PATH = path.join(__dirname, '../../../config/notification-templates.json');
+
+const notification = {
+  title: 'Invoice needs approval',
+  body: 'Approval Request APR-2026-0007 (Invoice) is awaiting your approval.',
+};
+const recipient = { first_name: 'Jo' };
+const link = 'https://app.tross.com/approval_requests/7';
+
+/**
+ * Load the module against a modified copy of the templates file.
+ */
+function withTemplates(modify) {
+  const config = JSON.parse(JSON.stringify(jest.requireActual(TEMPLATES_PATH)));
+  modify(config);
+  let isolated;
+  jest.resetModules();
+  jest.isolateModules(() => {
+    jest.doMock(TEMPLATES_PATH, () => config);
+    isolated = require('../../../config/notification-templates');
+  });
+  return isolated;
+}
+
+describe('Notification Templates', () => {
+  describe('renderNotification()', () => {
+    const statusChange = {
+      entity: 'work_order',
+      record: { id: 42, work_order_number: 'WO-2026-0042', priority: 'urgent' },
+      field: 'status',
+      oldValue: 'pending',
+      newValue: 'in_progress',
+    };
+
+    test('uses the entity label, display name and enum labels', () => {
+      expect(renderNotification('status_change', statusChange)).toEqual({
+        title: 'Work Order WO-2026-0042 is now In Progress',
+        body: 'Work Order WO-2026-0042 changed from Pending to In Progress.',
+        type: 'info',
+      });
+    });
+
+    test('renders the recipient locale, with translated entity and enum labels', () => {
+      expect(renderNotification('status_change', statusChange, { locale: 'es' })).toMatchObject({
+        title: 'Orden de trabajo WO-2026-0042: En curso',
+        body: 'Orden de trabajo WO-2026-0042 pasó de Pendiente a En curso.',
+      });
+    });
+
+    test('falls back to the default locale for unsupported locales', () => {
+      expect(renderNotification('update', statusChange, { locale: 'fr' }).title).toBe(
+        'Work Order WO-2026-0042 updated',
+      );
+    });
+
+    test('renders record fields with enum labels', () => {
+      const { title } = renderNotification('approval_required', {
+        entity: 'approval_request',
+        record: { id: 7, request_number: 'APR-2026-0007', target_entity: 'purchase_order' },
+      });
+
+      expect(title).toBe('Purchase Order needs approval');
+    });
+
+    test('uses #id for records without a display name', () => {
+      expect(renderNotification('update', { entity: 'work_order', record: { id: 5 } }).body).toBe(
+        'Work Order #5 has been updated.',
+      );
+    });
+
+    test('uses the fallback template for unknown templates', () => {
+      expect(renderNotification('custom_event', { entity: 'invoice', record: { id: 3 } })).toEqual({
+        title: 'Invoice #3',
+        body: 'There is an update on Invoice #3.',
+        type: 'info',
+      });
+    });
+
+    test('resolves relationship variables from loaded relations', () => {
+      const custom = withTemplates((config) => {
+        config.templates.visit = {
+          type: 'info',
+          locales: { en: { ...config.templates.update.locales.en, body: 'Visit for {{customer}} ({{customer.email}})' } },
+        };
+      });
+      const customer = require('../../../config/models').customer;
+
+      const { body } = custom.renderNotification(
+        'visit',
+        { entity: 'work_order', record: { id: 5, customer_id: 42 } },
+        { relations: { customer: { entityKey: 'customer', row: { first_name: 'Jo', last_name: 'Smith', email: 'jo@example.com' }, metadata: customer } } },
+      );
+
+      expect(body).toBe('Visit for Jo Smith (jo@example.com)');
+      expect(custom.getTemplateRelationships('visit')).toEqual(['customer']);
+    });
+
+    test('renders missing variables as empty text', () => {
+      expect(renderNotification('status_change', { entity: 'work_order', record: { id: 5 } }).body).toBe(
+        'Work Order #5 changed from  to .',
+      );
+    });
+  });
+
+  describe('renderEmail()', () => {
+    test('renders subject, plain text and HTML for a template', () => {
+      const email = renderEmail('approval_required', { notification, recipient, link });
+
+      expect(email.subject).toBe('Approval needed: Invoice needs approval');
+      expect(email.text).toBe(
+        [
+          'Hi Jo,',
+          'Approval Request APR-2026-0007 (Invoice) is awaiting your approval.',
+          'Approve or reject it from the approval request.',
+          `Review request: ${link}`,
+          '--',
+          'You receive these emails because notifications are enabled in your preferences.',
+        ].join('\n\n'),
+      );
+      expect(email.html).toContain('<p>Hi Jo,</p>');
+      expect(email.html).toContain(`<a href="${link}" style="color: #1565c0;">Review request</a>`);
+    });
+
+    test('renders the layout and action in the recipient locale', () => {
+      const email = renderEmail('approval_required', { notification, recipient, link }, 'es');
+
+      expect(email.subject).toBe('Aprobación necesaria: Invoice needs approval');
+      expect(email.text.startsWith('Hola Jo:')).toBe(true);
+      expect(email.text).toContain(`Revisar solicitud: ${link}`);
+      expect(email.html).toContain('<html lang="es">');
+    });
+
+    test('falls back to the title and body for unknown templates', () => {
+      const email = renderEmail('custom_event', { notification, recipient: {}, link: null });
+
+      expect(email.subject).toBe('Invoice needs approval');
+      expect(email.text.startsWith(`Hi,\n\n${notification.body}\n\n--`)).toBe(true);
+      expect(email.html).not.toContain('<a ');
+    });
+
+    test('escapes interpolated values in HTML only', () => {
+      const email = renderEmail('update', {
+        notification: { title: 'x', body: '<script>alert("x")</script> & more' },
+        recipient,
+        link: null,
+      });
+
+      expect(email.html).toContain('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; more</p>');
+      expect(email.text).toContain('<script>alert("x")</script> & more');
+    });
+  });
+
+  describe('validateNotificationTemplates()', () => {
+    test('passes for the shipped templates', () => {
+      expect(() => validateNotificationTemplates()).not.toThrow();
+    });
+
+    test('rejects unknown variables and fields', () => {
+      const broken = withTemplates((config) => {
+        config.templates.update.locales.en.title = '{{entity}} {{recrod}} by {{customer.password}}';
+        config.templates.update.locales.en.email.subject = '{{record}}';
+      });
+
+      expect(() => broken.validateNotificationTemplates()).toThrow(
+        /unknown variable '\{\{recrod\}\}'[\s\S]*'password' is not a field of any 'customer' relationship[\s\S]*email: unknown variable '\{\{record\}\}'/,
+      );
+    });
+
+    test('rejects templates missing default-locale text', () => {
+      const broken = withTemplates((config) => {
+        delete config.templates.assignment.locales.en.body;
+        config.templates.assignment.locales.fr = { title: 'Affectation' };
+      });
+
+      expect(() => broken.validateNotificationTemplates()).toThrow(
+        /template 'assignment': default locale 'en' needs a title and body[\s\S]*template 'assignment' \(fr\): locale is not declared/,
+      );
+    });
+
+    test('rejects enum translations that do not match metadata', () => {
+      const broken = withTemplates((config) => {
+        config.locales.es.enums.work_order.status.assigned = 'Asignada';
+      });
+
+      expect(() => broken.validateNotificationTemplates()).toThrow(
+        /enums\.work_order\.status\.assigned is not an enum value/,
+      );
+    });
+
+    test('requires templates for every preferences locale', () => {
+      const broken = withTemplates((config) => {
+        delete config.locales.es;
+      });
+
+      expect(() => broken.validateNotificationTemplates()).toThrow(/preferences locale\(s\) without templates: es/);
+    });
+  });
+});
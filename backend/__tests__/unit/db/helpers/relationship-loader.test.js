@@ -2,7 +2,8 @@
  * Unit Tests for Relationship Loader
  *
  * Tests the loadRelationships function that loads M:M, hasMany,
- * and hasOne relationships after initial entity retrieval.
+ * hasOne and belongsTo relationships (nested via dotted include paths)
+ * after initial entity retrieval.
  */
 
 const {
@@ -12,7 +13,12 @@ const {
   loadManyToMany,
   loadHasMany,
   loadHasOne,
+  loadBelongsTo,
   groupByKey,
+  parseIncludeTree,
+  getIncludeRoots,
+  validateIncludePaths,
+  canIncludeRelationship,
 } = require('../../../../db/helpers/relationship-loader');
 
 // Mock the database connection
@@ -29,11 +35,22 @@ jest.mock('../../../../config/logger', () => ({
   },
 }));
 
+// Permission matrix: customers may read invoices and customers, not payments
+jest.mock('../../../../config/permissions-loader', () => ({
+  hasPermission: jest.fn((role, resource) => resource !== 'payments' || role !== 'customer'),
+}));
+
 // Mock the metadata
 jest.mock('../../../../config/models', () => ({
   customer: {
     tableName: 'customers',
     primaryKey: 'id',
+    rlsResource: 'customers',
+    fields: { id: {}, email: {}, user_id: {} },
+    fieldAccess: {
+      email: { read: 'customer' },
+      user_id: { read: 'admin' },
+    },
     relationships: {
       units: {
         type: 'manyToMany',
@@ -54,6 +71,43 @@ jest.mock('../../../../config/models', () => ({
       },
     },
   },
+  invoice: {
+    tableName: 'invoices',
+    primaryKey: 'id',
+    rlsResource: 'invoices',
+    fields: { id: {}, invoice_number: {}, internal_notes: {}, customer_id: {}, total: {} },
+    fieldAccess: {
+      invoice_number: { read: 'customer' },
+      total: { read: 'customer' },
+      customer_id: { read: 'customer' },
+      internal_notes: { read: 'dispatcher' },
+    },
+    relationships: {
+      payments: {
+        type: 'hasMany',
+        table: 'payments',
+        foreignKey: 'invoice_id',
+        fields: ['id', 'amount'],
+      },
+      customer: {
+        type: 'belongsTo',
+        table: 'customers',
+        foreignKey: 'customer_id',
+        fields: ['id', 'email', 'display_name'],
+      },
+    },
+  },
+  payment: {
+    tableName: 'payments',
+    primaryKey: 'id',
+    rlsResource: 'payments',
+    fields: { id: {}, amount: {}, invoice_id: {} },
+    fieldAccess: {
+      amount: { read: 'customer' },
+      invoice_id: { read: 'customer' },
+    },
+    relationships: {},
+  },
   technician: {
     tableName: 'technicians',
     primaryKey: 'id',
@@ -123,12 +177,11 @@ describe('RelationshipLoader', () => {
       expect(result.invalid).toEqual(['nonexistent']);
     });
 
-    it('should skip belongsTo relationships (handled by JOINs)', () => {
+    it('should accept belongsTo relationships (loaded as nested objects)', () => {
       // 'user' is a belongsTo relationship on customer
       const result = validateRelationshipNames('customer', ['units', 'user']);
 
-      // belongsTo is skipped (not in valid or invalid)
-      expect(result.valid).toEqual(['units']);
+      expect(result.valid).toEqual(['units', 'user']);
       expect(result.invalid).toEqual([]);
     });
 
@@ -276,6 +329,116 @@ describe('RelationshipLoader', () => {
     });
   });
 
+  // ==========================================================================
+  // loadBelongsTo
+  // ==========================================================================
+  describe('loadBelongsTo', () => {
+    it('should load targets by primary key, keyed by foreign key value', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { id: 7, email: 'a@test.com' },
+          { id: 8, email: 'b@test.com' },
+        ],
+      });
+
+      const result = await loadBelongsTo(
+        'customer',
+        { type: 'belongsTo', table: 'customers', foreignKey: 'customer_id', fields: ['email'] },
+        [7, 8],
+      );
+
+      const [query, params] = db.query.mock.calls[0];
+      expect(query).toContain('SELECT email, id');
+      expect(query).toContain('WHERE id IN ($1, $2)');
+      // Parents keep pointing at soft-deleted targets (like the <fk>_display JOIN)
+      expect(query).not.toContain('is_active');
+      expect(params).toEqual([7, 8]);
+      expect(result.get(8).email).toBe('b@test.com');
+    });
+
+    it('should return empty map when no foreign key values', async () => {
+      const result = await loadBelongsTo('customer', { table: 'customers' }, []);
+
+      expect(result.size).toBe(0);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================================================
+  // Include paths
+  // ==========================================================================
+  describe('parseIncludeTree / getIncludeRoots', () => {
+    it('should parse dotted paths into a relationship tree', () => {
+      const tree = parseIncludeTree(['customer', 'invoices.payments', 'invoices.customer']);
+
+      expect(JSON.parse(JSON.stringify(tree))).toEqual({
+        customer: {},
+        invoices: { payments: {}, customer: {} },
+      });
+    });
+
+    it('should return the top-level relationship names', () => {
+      expect(getIncludeRoots(['customer', 'invoices.payments', 'invoices'])).toEqual([
+        'customer',
+        'invoices',
+      ]);
+    });
+  });
+
+  describe('validateIncludePaths', () => {
+    const models = require('../../../../config/models');
+
+    it('should resolve nested segments against each target entity', () => {
+      const result = validateIncludePaths(models.customer, ['invoices.payments', 'invoices.customer']);
+
+      expect(result).toEqual({ invalid: [], tooDeep: [] });
+    });
+
+    it('should reject a segment that is not a relationship of its target', () => {
+      const result = validateIncludePaths(models.customer, ['invoices.lineItems', 'nope']);
+
+      expect(result.invalid).toEqual(['invoices.lineItems', 'nope']);
+    });
+
+    it('should reject paths deeper than the configured maximum', () => {
+      const result = validateIncludePaths(
+        models.customer,
+        ['invoices.customer.invoices.payments'],
+      );
+
+      expect(result.tooDeep).toEqual(['invoices.customer.invoices.payments']);
+    });
+
+    it('should not resolve inherited object properties as relationships', () => {
+      const result = validateIncludePaths(models.customer, ['constructor']);
+
+      expect(result.invalid).toEqual(['constructor']);
+    });
+  });
+
+  describe('canIncludeRelationship', () => {
+    const models = require('../../../../config/models');
+
+    it('should allow any declared relationship for internal loads', () => {
+      expect(canIncludeRelationship(models.customer, 'units', null)).toBe(true);
+    });
+
+    it('should require read permission on the target entity', () => {
+      expect(canIncludeRelationship(models.invoice, 'payments', 'customer')).toBe(false);
+      expect(canIncludeRelationship(models.invoice, 'payments', 'dispatcher')).toBe(true);
+    });
+
+    it('should require a readable foreign key for belongsTo', () => {
+      // customer.user_id is admin-only
+      expect(canIncludeRelationship(models.customer, 'user', 'customer')).toBe(false);
+      expect(canIncludeRelationship(models.invoice, 'customer', 'customer')).toBe(true);
+    });
+
+    it('should refuse targets without metadata when a role must be redacted for', () => {
+      expect(canIncludeRelationship(models.customer, 'units', 'admin')).toBe(false);
+    });
+  });
+
   // ==========================================================================
   // loadRelationships (main function)
   // ==========================================================================
@@ -368,6 +531,121 @@ describe('RelationshipLoader', () => {
       expect(result[0].units).toHaveLength(1);
       expect(result[1].units).toEqual([]); // Empty array, not undefined
     });
+
+    it('should attach belongsTo as a single object, batching distinct keys', async () => {
+      const parentRecords = [
+        { id: 100, customer_id: 7 },
+        { id: 101, customer_id: 7 },
+        { id: 102, customer_id: 9 },
+      ];
+
+      db.query.mockResolvedValueOnce({ rows: [{ id: 7, email: 'a@test.com' }] });
+
+      const result = await loadRelationships('invoice', ['customer'], parentRecords);
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][1]).toEqual([7, 9]);
+      // display_name has no column on the target, so it is not projected
+      expect(db.query.mock.calls[0][0]).toContain('SELECT id, email');
+      expect(result[0].customer).toEqual({ id: 7, email: 'a@test.com' });
+      expect(result[1].customer).toBe(result[0].customer);
+      // Missing (or RLS-hidden) target
+      expect(result[2].customer).toBeNull();
+    });
+
+    it('should load nested includes with one query per level', async () => {
+      const parentRecords = [
+        { id: 1, email: 'a@test.com' },
+        { id: 2, email: 'b@test.com' },
+      ];
+
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 100, customer_id: 1, total: 500 },
+            { id: 101, customer_id: 2, total: 300 },
+          ],
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 900, invoice_id: 100, amount: 200 },
+            { id: 901, invoice_id: 100, amount: 300 },
+          ],
+        });
+
+      const result = await loadRelationships('customer', ['invoices.payments'], parentRecords);
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[1][0]).toContain('WHERE invoice_id IN ($1, $2)');
+      expect(db.query.mock.calls[1][1]).toEqual([100, 101]);
+      expect(result[0].invoices[0].payments).toEqual([
+        { id: 900, amount: 200 },
+        { id: 901, amount: 300 },
+      ]);
+      expect(result[1].invoices[0].payments).toEqual([]);
+      // Parents are copied, not mutated
+      expect(parentRecords[0].invoices).toBeUndefined();
+    });
+
+    it('should project and then drop the keys a nested belongsTo needs', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 900, invoice_id: 100, amount: 200 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 100, customer_id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, email: 'a@test.com' }] });
+
+      // Round trip through a hypothetical payment -> invoice -> customer path
+      const models = require('../../../../config/models');
+      models.payment.relationships.invoice = {
+        type: 'belongsTo',
+        table: 'invoices',
+        foreignKey: 'invoice_id',
+        fields: ['id', 'invoice_number'],
+      };
+
+      try {
+        const result = await loadRelationships('invoice', ['payments.invoice.customer'], [{ id: 100 }]);
+
+        expect(db.query.mock.calls[1][0]).toContain('SELECT id, invoice_number, customer_id');
+        expect(result[0].payments[0].invoice).toEqual({
+          id: 100,
+          customer: { id: 7, email: 'a@test.com' },
+        });
+      } finally {
+        delete models.payment.relationships.invoice;
+      }
+    });
+
+    it('should redact nested rows against the target entity for the role', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { id: 100, customer_id: 1, total: 500, internal_notes: 'late payer' },
+        ],
+      });
+
+      const result = await loadRelationships(
+        'customer',
+        ['invoices'],
+        [{ id: 1, email: 'a@test.com' }],
+        { rlsContext: { role: 'customer' } },
+      );
+
+      expect(result[0].invoices).toEqual([{ id: 100, customer_id: 1, total: 500 }]);
+    });
+
+    it('should leave off relationships the role may not include', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 100, customer_id: 1, total: 500 }] });
+
+      const result = await loadRelationships(
+        'customer',
+        ['invoices.payments'],
+        [{ id: 1 }],
+        { rlsContext: { role: 'customer' } },
+      );
+
+      // Only the invoices query runs; customers may not read payments
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(result[0].invoices[0]).not.toHaveProperty('payments');
+    });
   });
 
   describe('buildForeignKeyDisplayClauses', () => {
@@ -381,6 +659,7 @@ describe('RelationshipLoader', () => {
       role: {
         tableName: 'roles',
         identityField: 'name',
+        traits: ['platform'],
         fields: { name: {} },
       },
       property: {
@@ -403,10 +682,20 @@ describe('RelationshipLoader', () => {
       const { selectParts, joinParts } = buildForeignKeyDisplayClauses(metadata, allModels);
       expect(selectParts).toEqual(['fk_customer_id.name AS customer_id_display']);
       expect(joinParts).toEqual([
-        'LEFT JOIN customers fk_customer_id ON work_orders.customer_id = fk_customer_id.id',
+        'LEFT JOIN customers fk_customer_id ON work_orders.customer_id = fk_customer_id.id'
+          + ' AND fk_customer_id.tenant_id = work_orders.tenant_id',
       ]);
     });
 
+    it('does not match tenants when joining a platform entity', () => {
+      const metadata = {
+        tableName: 'users',
+        fields: { role_id: { type: 'foreignKey', references: 'role' } },
+      };
+      const { joinParts } = buildForeignKeyDisplayClauses(metadata, allModels);
+      expect(joinParts[0]).not.toContain('tenant_id');
+    });
+
     it('falls back to the target identity field when the FK declares no displayField', () => {
       const metadata = {
         tableName: 'users',
@@ -437,7 +726,8 @@ describe('RelationshipLoader', () => {
       };
       const { joinParts } = buildForeignKeyDisplayClauses(metadata, allModels);
       expect(joinParts).toEqual([
-        'LEFT JOIN properties fk_property_id ON units.property_id = fk_property_id.property_pk',
+        'LEFT JOIN properties fk_property_id ON units.property_id = fk_property_id.property_pk'
+          + ' AND fk_property_id.tenant_id = units.tenant_id',
       ]);
     });
 
@@ -502,8 +792,10 @@ describe('RelationshipLoader', () => {
         'fk_approved_by.name AS approved_by_display',
       ]);
       expect(joinParts).toEqual([
-        'LEFT JOIN customers fk_requested_by ON approvals.requested_by = fk_requested_by.id',
-        'LEFT JOIN customers fk_approved_by ON approvals.approved_by = fk_approved_by.id',
+        'LEFT JOIN customers fk_requested_by ON approvals.requested_by = fk_requested_by.id'
+          + ' AND fk_requested_by.tenant_id = approvals.tenant_id',
+        'LEFT JOIN customers fk_approved_by ON approvals.approved_by = fk_approved_by.id'
+          + ' AND fk_approved_by.tenant_id = approvals.tenant_id',
       ]);
     });
   });
@@ -9,6 +9,8 @@ const {
   buildDirectClause,
   buildJunctionClause,
   buildParentClause,
+  buildOrganizationClause,
+  buildTenantClause,
   combineClausesOr,
   resolveFilterValues,
 } = require('../../../../../db/helpers/rls/clause-builder');
@@ -279,6 +281,80 @@ describe('RLS Clause Builder', () => {
     });
   });
 
+  describe('buildTenantClause', () => {
+    it('should bind the context tenant to the table column', () => {
+      const result = buildTenantClause({ ...baseContext, tenantId: 7 }, 'work_orders', 3);
+
+      expect(result.clause).toBe('work_orders.tenant_id = $3');
+      expect(result.params).toEqual([7]);
+      expect(result.nextOffset).toBe(4);
+    });
+
+    it('should omit the table qualifier without an alias', () => {
+      const result = buildTenantClause({ tenantId: 7 }, null, 1);
+
+      expect(result.clause).toBe('tenant_id = $1');
+    });
+
+    it('should return FALSE when the context has no tenant', () => {
+      const result = buildTenantClause(baseContext, 'work_orders', 1);
+
+      expect(result.clause).toBe('FALSE');
+      expect(result.params).toEqual([]);
+      expect(result.nextOffset).toBe(1);
+    });
+  });
+
+  describe('buildOrganizationClause', () => {
+    it('should match the row organization against the user memberships', () => {
+      const result = buildOrganizationClause({ type: 'organization' }, baseContext, 'work_orders', 2, 1);
+
+      expect(result.clause).toBe(
+        '(work_orders.organization_id IS NULL OR EXISTS (SELECT 1 FROM organization_memberships o1' +
+          ' WHERE o1.organization_id = work_orders.organization_id' +
+          ' AND o1.user_id = $2 AND o1.is_active = true))',
+      );
+      expect(result.params).toEqual([1]);
+      expect(result.nextOffset).toBe(3);
+      expect(result.nextAliasCounter).toBe(2);
+    });
+
+    it('should honour a custom organization column', () => {
+      const result = buildOrganizationClause(
+        { type: 'organization', field: 'billing_organization_id' },
+        baseContext,
+        't',
+        1,
+        0,
+      );
+
+      expect(result.clause).toContain('t.billing_organization_id IS NULL');
+      expect(result.clause).toContain('o0.organization_id = t.billing_organization_id');
+    });
+
+    it('should limit a context without a userId to unassigned rows', () => {
+      const result = buildOrganizationClause({ type: 'organization' }, { role: 'manager' }, 't', 1, 0);
+
+      expect(result.clause).toBe('t.organization_id IS NULL');
+      expect(result.params).toEqual([]);
+      expect(result.nextOffset).toBe(1);
+      expect(result.nextAliasCounter).toBe(0);
+    });
+
+    it('should reject an unsafe column name', () => {
+      expect(() =>
+        buildOrganizationClause({ type: 'organization', field: 'id; DROP TABLE x' }, baseContext, 't', 1, 0),
+      ).toThrow();
+    });
+
+    it('should be reachable through buildAccessClause', () => {
+      const result = buildAccessClause({ type: 'organization' }, baseContext, 't', 1, 0);
+
+      expect(result.clause).toContain('EXISTS (SELECT 1 FROM organization_memberships o0');
+      expect(result.params).toEqual([1]);
+    });
+  });
+
   describe('combineClausesOr', () => {
     it('should return FALSE for empty array', () => {
       const result = combineClausesOr([]);
@@ -14,6 +14,7 @@ const {
   combineClausesOr,
   clearCache,
   invalidateEntity,
+  invalidateTenant,
   getCachedClause,
   cacheClause,
 } = require('../../../../../db/helpers/rls');
@@ -55,6 +56,7 @@ describe('RLS Engine', () => {
     it('should export cache functions', () => {
       expect(typeof clearCache).toBe('function');
       expect(typeof invalidateEntity).toBe('function');
+      expect(typeof invalidateTenant).toBe('function');
       expect(typeof getCachedClause).toBe('function');
       expect(typeof cacheClause).toBe('function');
     });
@@ -64,6 +66,7 @@ describe('RLS Engine', () => {
     const baseContext = {
       role: 'customer',
       userId: 1,
+      tenantId: 7,
       customerProfileId: 100,
       technicianProfileId: null,
     };
@@ -84,17 +87,28 @@ describe('RLS Engine', () => {
         expect(result.clause).toBe('');
       });
 
-      it('should return not applied when no rlsRules defined', () => {
+      it('should apply only the tenant scope when no rlsRules defined', () => {
         const metadata = { tableName: 'test', entityType: 'test' };
         const result = buildRLSFilter(baseContext, metadata, 'read', 1);
 
-        expect(result.applied).toBe(false);
+        expect(result.applied).toBe(true);
+        expect(result.clause).toBe('(test.tenant_id = $1)');
+        expect(result.params).toEqual([7]);
+        expect(result.tenantOnly).toBe(true);
       });
 
-      it('should return not applied for empty rlsRules array', () => {
+      it('should apply only the tenant scope for empty rlsRules array', () => {
         const metadata = { tableName: 'test', entityType: 'test', rlsRules: [] };
         const result = buildRLSFilter(baseContext, metadata, 'read', 1);
 
+        expect(result.applied).toBe(true);
+        expect(result.clause).toBe('(test.tenant_id = $1)');
+      });
+
+      it('should return not applied for a platform entity without rlsRules', () => {
+        const metadata = { tableName: 'test', entityType: 'test', traits: ['platform'] };
+        const result = buildRLSFilter(baseContext, metadata, 'read', 1);
+
         expect(result.applied).toBe(false);
       });
     });
@@ -131,10 +145,27 @@ describe('RLS Engine', () => {
     });
 
     describe('full access (null access)', () => {
-      it('should return no filter for null access rule', () => {
+      it('should reduce to the tenant scope for null access rule', () => {
+        const metadata = {
+          tableName: 'test',
+          entityType: 'test',
+          rlsRules: [
+            { id: 'customer-all', roles: ['customer'], operations: '*', access: null },
+          ],
+        };
+        const result = buildRLSFilter(baseContext, metadata, 'read', 1);
+
+        expect(result.applied).toBe(true);
+        expect(result.clause).toBe('(test.tenant_id = $1)');
+        expect(result.params).toEqual([7]);
+        expect(result.noFilter).toBeUndefined();
+      });
+
+      it('should return no filter for null access rule on a platform entity', () => {
         const metadata = {
           tableName: 'test',
           entityType: 'test',
+          traits: ['platform'],
           rlsRules: [
             { id: 'customer-all', roles: ['customer'], operations: '*', access: null },
           ],
@@ -164,8 +195,8 @@ describe('RLS Engine', () => {
         const result = buildRLSFilter(baseContext, metadata, 'read', 1);
 
         expect(result.applied).toBe(true);
-        expect(result.clause).toContain('orders.customer_profile_id = $1');
-        expect(result.params).toEqual([100]);
+        expect(result.clause).toBe('(orders.tenant_id = $1 AND (orders.customer_profile_id = $2))');
+        expect(result.params).toEqual([7, 100]);
       });
 
       it('should respect parameter offset', () => {
@@ -183,7 +214,8 @@ describe('RLS Engine', () => {
         };
         const result = buildRLSFilter(baseContext, metadata, 'read', 5);
 
-        expect(result.clause).toContain('$5');
+        expect(result.clause).toContain('orders.tenant_id = $5');
+        expect(result.clause).toContain('orders.user_id = $6');
       });
     });
 
@@ -215,7 +247,7 @@ describe('RLS Engine', () => {
         expect(result.clause).toContain('EXISTS');
         expect(result.clause).toContain('customer_units');
         expect(result.clause).toContain('j0');
-        expect(result.params).toEqual([100]);
+        expect(result.params).toEqual([7, 100]);
       });
     });
 
@@ -251,7 +283,7 @@ describe('RLS Engine', () => {
 
         expect(result.applied).toBe(true);
         expect(result.clause).toContain('OR');
-        expect(result.params.length).toBe(2); // Both rules use customerProfileId
+        expect(result.params.length).toBe(3); // Tenant + both rules use customerProfileId
       });
 
       it('should generate unique aliases for multiple junction rules', () => {
@@ -306,8 +338,9 @@ describe('RLS Engine', () => {
         };
         const result = buildRLSFilter(baseContext, metadata, 'read', 1);
 
-        expect(result.noFilter).toBe(true);
-        expect(result.clause).toBe('');
+        expect(result.clause).toBe('(test.tenant_id = $1)');
+        expect(result.params).toEqual([7]);
+        expect(result.tenantOnly).toBe(true);
       });
     });
 
@@ -323,17 +356,18 @@ describe('RLS Engine', () => {
 
       it('should match read operation', () => {
         const result = buildRLSFilter(baseContext, metadata, 'read', 1);
-        expect(result.noFilter).toBe(true);
+        expect(result.clause).toBe('(test.tenant_id = $1)');
       });
 
       it('should match summary operation', () => {
         const result = buildRLSFilter(baseContext, metadata, 'summary', 1);
-        expect(result.noFilter).toBe(true);
+        expect(result.clause).toBe('(test.tenant_id = $1)');
       });
 
       it('should apply filter for create operation', () => {
         const result = buildRLSFilter(baseContext, metadata, 'create', 1);
         expect(result.clause).toContain('user_id');
+        expect(result.tenantOnly).toBeUndefined();
       });
 
       it('should deny unmatched operation', () => {
@@ -343,6 +377,51 @@ describe('RLS Engine', () => {
     });
   });
 
+  describe('tenant scope (ADR-014)', () => {
+    const metadata = {
+      tableName: 'orders',
+      entityType: 'orders',
+      rlsRules: [
+        { id: 'admin-all', roles: ['admin'], operations: '*', access: null },
+        {
+          id: 'owner',
+          roles: ['customer'],
+          operations: ['read'],
+          access: { type: 'direct', field: 'user_id', value: 'userId' },
+        },
+      ],
+    };
+
+    it('should deny a context without a tenant, even for full access', () => {
+      const result = buildRLSFilter({ role: 'admin', userId: 1 }, metadata, 'read', 1);
+
+      expect(result).toEqual({ clause: '1=0', params: [], applied: true });
+    });
+
+    it('should bind each caller to its own tenant', () => {
+      const first = buildRLSFilter({ role: 'admin', userId: 1, tenantId: 1 }, metadata, 'read', 1);
+      const second = buildRLSFilter({ role: 'admin', userId: 2, tenantId: 2 }, metadata, 'read', 1);
+
+      expect(first.params).toEqual([1]);
+      expect(second.params).toEqual([2]);
+    });
+
+    it('should keep cached outcomes per tenant', () => {
+      buildRLSFilter({ role: 'admin', userId: 1, tenantId: 1 }, metadata, 'read', 1);
+
+      expect(getCachedClause('orders', 'read', 'admin', 1)).toEqual({ outcome: 'full-access' });
+      expect(getCachedClause('orders', 'read', 'admin', 2)).toBeNull();
+    });
+
+    it('should not scope platform entities', () => {
+      const platform = { ...metadata, traits: ['platform'] };
+      const result = buildRLSFilter({ role: 'customer', userId: 1 }, platform, 'read', 1);
+
+      expect(result.clause).toBe('(orders.user_id = $1)');
+      expect(result.params).toEqual([1]);
+    });
+  });
+
   describe('validateAllRules', () => {
     it('should not throw for valid metadata', () => {
       const allMetadata = {
@@ -187,6 +187,16 @@ describe('RLS Path Validator', () => {
       const errors = validateAccess({ type: 'junction' }, prefix, allMetadata);
       expect(errors.some(e => e.includes('junction'))).toBe(true);
     });
+
+    it('should accept organization access with or without a field', () => {
+      expect(validateAccess({ type: 'organization' }, prefix, allMetadata)).toEqual([]);
+      expect(validateAccess({ type: 'organization', field: 'organization_id' }, prefix, allMetadata)).toEqual([]);
+    });
+
+    it('should return error for invalid organization field name', () => {
+      const errors = validateAccess({ type: 'organization', field: 'DROP TABLE' }, prefix, allMetadata);
+      expect(errors.some(e => e.includes('invalid organization access field'))).toBe(true);
+    });
   });
 
   describe('validateJunctionAccess', () => {
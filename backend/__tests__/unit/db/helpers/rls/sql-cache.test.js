@@ -11,6 +11,7 @@ const {
   clearCache,
   getCacheStats,
   invalidateEntity,
+  invalidateTenant,
 } = require('../../../../../db/helpers/rls/sql-cache');
 const { RLS_ENGINE } = require('../../../../../config/constants');
 
@@ -21,27 +22,34 @@ describe('RLS SQL Cache', () => {
 
   describe('getCacheKey', () => {
     it('should generate correct key format', () => {
-      const key = getCacheKey('work_orders', 'read', 'admin');
-      expect(key).toBe('work_orders:read:admin');
+      const key = getCacheKey('work_orders', 'read', 'admin', 1);
+      expect(key).toBe('work_orders:read:admin:1');
     });
 
     it('should handle different entities', () => {
-      const key1 = getCacheKey('users', 'read', 'admin');
-      const key2 = getCacheKey('orders', 'read', 'admin');
+      const key1 = getCacheKey('users', 'read', 'admin', 1);
+      const key2 = getCacheKey('orders', 'read', 'admin', 1);
 
       expect(key1).not.toBe(key2);
     });
 
     it('should handle different operations', () => {
-      const key1 = getCacheKey('users', 'read', 'admin');
-      const key2 = getCacheKey('users', 'write', 'admin');
+      const key1 = getCacheKey('users', 'read', 'admin', 1);
+      const key2 = getCacheKey('users', 'write', 'admin', 1);
 
       expect(key1).not.toBe(key2);
     });
 
     it('should handle different roles', () => {
-      const key1 = getCacheKey('users', 'read', 'admin');
-      const key2 = getCacheKey('users', 'read', 'customer');
+      const key1 = getCacheKey('users', 'read', 'admin', 1);
+      const key2 = getCacheKey('users', 'read', 'customer', 1);
+
+      expect(key1).not.toBe(key2);
+    });
+
+    it('should handle different tenants', () => {
+      const key1 = getCacheKey('users', 'read', 'admin', 1);
+      const key2 = getCacheKey('users', 'read', 'admin', 2);
 
       expect(key1).not.toBe(key2);
     });
@@ -49,52 +57,52 @@ describe('RLS SQL Cache', () => {
 
   describe('getCachedClause / cacheClause', () => {
     it('should return null for cache miss', () => {
-      const result = getCachedClause('unknown', 'read', 'admin');
+      const result = getCachedClause('unknown', 'read', 'admin', 1);
       expect(result).toBeNull();
     });
 
     it('should return cached value after caching', () => {
       const clauseTemplate = { sql: 'test', shape: 'direct' };
-      cacheClause('users', 'read', 'admin', clauseTemplate);
+      cacheClause('users', 'read', 'admin', 1, clauseTemplate);
 
-      const result = getCachedClause('users', 'read', 'admin');
+      const result = getCachedClause('users', 'read', 'admin', 1);
       expect(result).toEqual(clauseTemplate);
     });
 
     it('should keep different keys isolated', () => {
-      cacheClause('users', 'read', 'admin', { sql: 'admin-read' });
-      cacheClause('users', 'write', 'admin', { sql: 'admin-write' });
-      cacheClause('users', 'read', 'customer', { sql: 'customer-read' });
+      cacheClause('users', 'read', 'admin', 1, { sql: 'admin-read' });
+      cacheClause('users', 'write', 'admin', 1, { sql: 'admin-write' });
+      cacheClause('users', 'read', 'customer', 1, { sql: 'customer-read' });
 
-      expect(getCachedClause('users', 'read', 'admin').sql).toBe('admin-read');
-      expect(getCachedClause('users', 'write', 'admin').sql).toBe('admin-write');
-      expect(getCachedClause('users', 'read', 'customer').sql).toBe('customer-read');
+      expect(getCachedClause('users', 'read', 'admin', 1).sql).toBe('admin-read');
+      expect(getCachedClause('users', 'write', 'admin', 1).sql).toBe('admin-write');
+      expect(getCachedClause('users', 'read', 'customer', 1).sql).toBe('customer-read');
     });
 
     it('should overwrite existing cache entry', () => {
-      cacheClause('users', 'read', 'admin', { sql: 'first' });
-      cacheClause('users', 'read', 'admin', { sql: 'second' });
+      cacheClause('users', 'read', 'admin', 1, { sql: 'first' });
+      cacheClause('users', 'read', 'admin', 1, { sql: 'second' });
 
-      const result = getCachedClause('users', 'read', 'admin');
+      const result = getCachedClause('users', 'read', 'admin', 1);
       expect(result.sql).toBe('second');
     });
   });
 
   describe('clearCache', () => {
     it('should remove all entries', () => {
-      cacheClause('a', 'read', 'admin', { sql: 'a' });
-      cacheClause('b', 'read', 'admin', { sql: 'b' });
-      cacheClause('c', 'read', 'admin', { sql: 'c' });
+      cacheClause('a', 'read', 'admin', 1, { sql: 'a' });
+      cacheClause('b', 'read', 'admin', 1, { sql: 'b' });
+      cacheClause('c', 'read', 'admin', 1, { sql: 'c' });
 
       clearCache();
 
-      expect(getCachedClause('a', 'read', 'admin')).toBeNull();
-      expect(getCachedClause('b', 'read', 'admin')).toBeNull();
-      expect(getCachedClause('c', 'read', 'admin')).toBeNull();
+      expect(getCachedClause('a', 'read', 'admin', 1)).toBeNull();
+      expect(getCachedClause('b', 'read', 'admin', 1)).toBeNull();
+      expect(getCachedClause('c', 'read', 'admin', 1)).toBeNull();
     });
 
     it('should reset stats to zero', () => {
-      cacheClause('users', 'read', 'admin', { sql: 'test' });
+      cacheClause('users', 'read', 'admin', 1, { sql: 'test' });
       clearCache();
 
       const stats = getCacheStats();
@@ -106,10 +114,10 @@ describe('RLS SQL Cache', () => {
     it('should return correct size', () => {
       expect(getCacheStats().size).toBe(0);
 
-      cacheClause('a', 'read', 'admin', {});
+      cacheClause('a', 'read', 'admin', 1, {});
       expect(getCacheStats().size).toBe(1);
 
-      cacheClause('b', 'read', 'admin', {});
+      cacheClause('b', 'read', 'admin', 1, {});
       expect(getCacheStats().size).toBe(2);
     });
 
@@ -121,21 +129,21 @@ describe('RLS SQL Cache', () => {
 
   describe('invalidateEntity', () => {
     beforeEach(() => {
-      cacheClause('users', 'read', 'admin', { sql: 'users-read-admin' });
-      cacheClause('users', 'write', 'admin', { sql: 'users-write-admin' });
-      cacheClause('users', 'read', 'customer', { sql: 'users-read-customer' });
-      cacheClause('orders', 'read', 'admin', { sql: 'orders-read-admin' });
-      cacheClause('orders', 'write', 'admin', { sql: 'orders-write-admin' });
+      cacheClause('users', 'read', 'admin', 1, { sql: 'users-read-admin' });
+      cacheClause('users', 'write', 'admin', 1, { sql: 'users-write-admin' });
+      cacheClause('users', 'read', 'customer', 1, { sql: 'users-read-customer' });
+      cacheClause('orders', 'read', 'admin', 1, { sql: 'orders-read-admin' });
+      cacheClause('orders', 'write', 'admin', 1, { sql: 'orders-write-admin' });
     });
 
     it('should remove only entries for specified entity', () => {
       invalidateEntity('users');
 
-      expect(getCachedClause('users', 'read', 'admin')).toBeNull();
-      expect(getCachedClause('users', 'write', 'admin')).toBeNull();
-      expect(getCachedClause('users', 'read', 'customer')).toBeNull();
-      expect(getCachedClause('orders', 'read', 'admin')).not.toBeNull();
-      expect(getCachedClause('orders', 'write', 'admin')).not.toBeNull();
+      expect(getCachedClause('users', 'read', 'admin', 1)).toBeNull();
+      expect(getCachedClause('users', 'write', 'admin', 1)).toBeNull();
+      expect(getCachedClause('users', 'read', 'customer', 1)).toBeNull();
+      expect(getCachedClause('orders', 'read', 'admin', 1)).not.toBeNull();
+      expect(getCachedClause('orders', 'write', 'admin', 1)).not.toBeNull();
     });
 
     it('should not affect unrelated entities', () => {
@@ -158,6 +166,22 @@ describe('RLS SQL Cache', () => {
     });
   });
 
+  describe('invalidateTenant', () => {
+    beforeEach(() => {
+      cacheClause('users', 'read', 'admin', 1, { sql: 'tenant-1' });
+      cacheClause('users', 'read', 'admin', 2, { sql: 'tenant-2' });
+      cacheClause('orders', 'read', 'admin', 12, { sql: 'tenant-12' });
+    });
+
+    it('should remove only entries for specified tenant', () => {
+      invalidateTenant(2);
+
+      expect(getCachedClause('users', 'read', 'admin', 2)).toBeNull();
+      expect(getCachedClause('users', 'read', 'admin', 1)).not.toBeNull();
+      expect(getCachedClause('orders', 'read', 'admin', 12)).not.toBeNull();
+    });
+  });
+
   describe('cache eviction', () => {
     // This test verifies eviction happens, but is slow if CACHE_MAX_SIZE is large
     // We'll test the concept rather than the full limit
@@ -167,7 +191,7 @@ describe('RLS SQL Cache', () => {
       
       // Add entries (they're in insertion order which is also time order)
       for (let i = 0; i < testSize; i++) {
-        cacheClause(`entity_${i}`, 'read', 'admin', { sql: `sql_${i}` });
+        cacheClause(`entity_${i}`, 'read', 'admin', 1, { sql: `sql_${i}` });
       }
 
       const initialSize = getCacheStats().size;
@@ -66,6 +66,9 @@ describe("db/helpers/audit-helper.js", () => {
           ipAddress: "127.0.0.1",
           userAgent: "Test Agent",
           result: AuditResults.SUCCESS,
+          actorType: "user",
+          serviceCredentialId: null,
+          tenantId: null,
           client: null,
         });
       });
@@ -92,6 +95,9 @@ describe("db/helpers/audit-helper.js", () => {
           ipAddress: "192.168.1.1",
           userAgent: "Mozilla/5.0",
           result: AuditResults.SUCCESS,
+          actorType: "user",
+          serviceCredentialId: null,
+          tenantId: null,
           client: null,
         });
       });
@@ -115,10 +121,27 @@ describe("db/helpers/audit-helper.js", () => {
           ipAddress: null,
           userAgent: null,
           result: AuditResults.SUCCESS,
+          actorType: "user",
+          serviceCredentialId: null,
+          tenantId: null,
           client: null,
         });
       });
 
+      test("should record the tenant of the audited row", async () => {
+        await logEntityAudit("create", "customer", { id: 1, tenant_id: 2 }, { userId: 1 });
+
+        expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({ tenantId: 2 }));
+      });
+
+      test("should fall back to the old row's tenant, then the context's", async () => {
+        await logEntityAudit("delete", "customer", { id: 1 }, { userId: 1, oldValues: { tenant_id: 3 } });
+        await logEntityAudit("delete", "customer", { id: 1 }, { userId: 1, tenantId: 4 });
+
+        expect(auditService.log.mock.calls[0][0].tenantId).toBe(3);
+        expect(auditService.log.mock.calls[1][0].tenantId).toBe(4);
+      });
+
       test("should handle null userId gracefully", async () => {
         const result = { id: 1 };
         const auditContext = {
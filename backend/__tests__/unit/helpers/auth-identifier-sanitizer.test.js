@@ -89,6 +89,13 @@ describe("Auth Identifier Sanitizer", () => {
         expect(result.api_key).toBeUndefined();
       });
 
+      it("should strip the full-text search_vector column", () => {
+        const record = { id: 1, summary: "Leaking valve", search_vector: "'leak':1 'valv':2" };
+        const result = stripAuthIdentifiers(record, {});
+
+        expect(result).toEqual({ id: 1, summary: "Leaking valve" });
+      });
+
       it("should strip all auth identifier fields", () => {
         const recordWithAll = {
           id: 1,
@@ -13,7 +13,12 @@ const {
   apiLimiter,
   authLimiter,
   refreshLimiter,
+  serviceLimiter,
+  _config,
+  _presentsServiceCredential,
+  _tenantKey,
 } = require("../../../middleware/rate-limit");
+const { signJwt } = require("../../../utils/jwt-helper");
 
 describe("Rate Limit Middleware", () => {
   describe("Limiter Exports", () => {
@@ -87,4 +92,40 @@ describe("Rate Limit Middleware", () => {
       expect(next).toHaveBeenCalledTimes(100);
     });
   });
+
+  describe("Service Credential Bucket", () => {
+    test("should export serviceLimiter and bypass it in test env", () => {
+      const next = jest.fn();
+
+      serviceLimiter({}, {}, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should default to 5000 requests per 15 minutes per credential", () => {
+      expect(_config.SERVICE_RATE_LIMIT_WINDOW_MS).toBe(900000);
+      expect(_config.SERVICE_RATE_LIMIT_MAX_REQUESTS).toBe(5000);
+    });
+
+    test("should recognize API keys and service access tokens", async () => {
+      const serviceToken = await signJwt({ sub: "service:svc_x", provider: "service" }, "secret", {
+        expiresIn: "1h",
+      });
+      const userToken = await signJwt({ sub: "auth0|1", provider: "auth0" }, "secret", {
+        expiresIn: "1h",
+      });
+      const withHeaders = (headers) => ({ headers });
+
+      expect(_presentsServiceCredential(withHeaders({ "x-api-key": "svc_x.secret" }))).toBe(true);
+      expect(_presentsServiceCredential(withHeaders({ authorization: "Bearer svc_x.secret" }))).toBe(true);
+      expect(_presentsServiceCredential(withHeaders({ authorization: `Bearer ${serviceToken}` }))).toBe(true);
+      expect(_presentsServiceCredential(withHeaders({ authorization: `Bearer ${userToken}` }))).toBe(false);
+      expect(_presentsServiceCredential(withHeaders({}))).toBe(false);
+    });
+
+    test("should key credential buckets by tenant (ADR-014)", () => {
+      expect(_tenantKey(2, "credential:4")).toBe("tenant:2:credential:4");
+      expect(_tenantKey(1, "credential:4")).not.toBe(_tenantKey(2, "credential:4"));
+    });
+  });
 });
@@ -15,6 +15,7 @@ const {
   validateRLSApplied,
   extractProfileIds,
   getOperationFromMethod,
+  getActiveOrganizationId,
 } = require("../../../middleware/row-level-security");
 const { HTTP_STATUS } = require("../../../config/constants");
 
@@ -32,6 +33,11 @@ jest.mock("../../../utils/request-helpers", () => ({
   getClientIp: jest.fn(() => "127.0.0.1"),
   getUserAgent: jest.fn(() => "test-agent"),
 }));
+jest.mock("../../../db/connection", () => ({
+  pool: { query: jest.fn() },
+}));
+
+const { pool } = require("../../../db/connection");
 
 describe("Row-Level Security Middleware", () => {
   let req, res, next;
@@ -193,6 +199,110 @@ describe("Row-Level Security Middleware", () => {
     });
   });
 
+  describe("active organization (ADR-014)", () => {
+    test("should attach the X-Organization-Id header as activeOrganizationId", async () => {
+      req.dbUser = { role: "dispatcher", id: 5, tenant_id: 3 };
+      req.headers = { "x-organization-id": "7" };
+      pool.query.mockResolvedValueOnce({ rows: [{ "?column?": 1 }] });
+
+      await enforceRLS(req, res, next);
+
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining("FROM organization_memberships"),
+        [7, 5, 3],
+      );
+      expect(pool.query.mock.calls[0][0]).toContain("is_active = true");
+      expect(pool.query.mock.calls[0][0]).toContain("tenant_id = $3");
+      expect(req.rlsContext.activeOrganizationId).toBe(7);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test("should reject an organization the user is not a member of with 403", async () => {
+      req.dbUser = { role: "dispatcher", id: 5, tenant_id: 3 };
+      req.headers = { "x-organization-id": "8" };
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await enforceRLS(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN);
+      expect(req.rlsContext).toBeUndefined();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should let admins select any organization of their tenant", async () => {
+      req.dbUser = { role: "admin", id: 1, tenant_id: 3 };
+      req.headers = { "x-organization-id": "7" };
+      pool.query.mockResolvedValueOnce({ rows: [{ "?column?": 1 }] });
+
+      await enforceRLS(req, res, next);
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining("FROM organizations"), [7, 3]);
+      expect(pool.query.mock.calls[0][0]).toContain("tenant_id = $2");
+      expect(req.rlsContext.activeOrganizationId).toBe(7);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test("should reject an admin selecting another tenant's organization with 403", async () => {
+      req.dbUser = { role: "admin", id: 1, tenant_id: 3 };
+      req.headers = { "x-organization-id": "9" };
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await enforceRLS(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN);
+      expect(req.rlsContext).toBeUndefined();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should reject an active organization for service credentials (no user)", async () => {
+      req.dbUser = { role: "dispatcher", id: null, tenant_id: 3, actor_type: "service" };
+      req.headers = { "x-organization-id": "7" };
+
+      await enforceRLS(req, res, next);
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN);
+    });
+
+    test("should pass membership lookup errors to next", async () => {
+      req.headers = { "x-organization-id": "7" };
+      const error = new Error("connection lost");
+      pool.query.mockRejectedValueOnce(error);
+
+      await enforceRLS(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    test("should leave activeOrganizationId null without the header", () => {
+      enforceRLS(req, res, next);
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(req.rlsContext.activeOrganizationId).toBeNull();
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should reject a malformed X-Organization-Id with 400", () => {
+      req.headers = { "x-organization-id": "PREM" };
+
+      enforceRLS(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ["", null],
+      ["12", 12],
+      ["0", undefined],
+      ["-3", undefined],
+      ["1.5", undefined],
+    ])("getActiveOrganizationId(%p) => %p", (header, expected) => {
+      expect(getActiveOrganizationId({ headers: { "x-organization-id": header } })).toBe(expected);
+    });
+  });
+
   describe("extractProfileIds helper", () => {
     test("should extract all *_profile_id columns", () => {
       const user = {
@@ -67,6 +67,21 @@ describe("Timeout Middleware", () => {
       expect(next).toHaveBeenCalled();
     });
 
+    test("should not track Server-Sent Event streams", () => {
+      // Arrange
+      req.get = jest.fn(() => "text/event-stream");
+      const middleware = requestTimeout(1000);
+
+      // Act
+      middleware(req, res, next);
+      jest.advanceTimersByTime(5000);
+
+      // Assert
+      expect(req.startTime).toBeUndefined();
+      expect(req.timedout).toBe(false);
+      expect(next).toHaveBeenCalled();
+    });
+
     test("should trigger timeout after configured duration", () => {
       // Arrange
       const middleware = requestTimeout(1000);
@@ -0,0 +1,126 @@
+/**
+ * Approval Request Extension Routes - Unit Tests
+ *
+ * Tests decision endpoint validation, RLS pre-check and service threading
+ *
+ * KISS: Test endpoint behavior, mock service
+ */
+
+const request = require("supertest");
+const express = require("express");
+const approvalRequestsRouter = require("../../../routes/approval-requests-extensions");
+const ApprovalService = require("../../../services/entity/approval-service");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const AppError = require("../../../utils/app-error");
+
+// Mock dependencies
+jest.mock("../../../services/entity/approval-service");
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  findById: jest.fn(),
+}));
+jest.mock("../../../middleware/generic-entity", () => ({
+  attachEntity: () => (req, res, next) => next(),
+}));
+jest.mock("../../../middleware/auth", () => {
+  const passMiddleware = (req, res, next) => {
+    req.dbUser = { id: 7, role: "manager" };
+    next();
+  };
+  return {
+    authenticateToken: passMiddleware,
+    requirePermission: () => (req, res, next) => next(),
+  };
+});
+jest.mock("../../../middleware/row-level-security", () => ({
+  enforceRLS: (req, res, next) => {
+    req.rlsContext = { filterConfig: null, userId: 7, role: "manager" };
+    next();
+  },
+}));
+
+describe("Approval Request Extension Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/approval_requests", approvalRequestsRouter);
+
+    // Error handler honours AppError statusCode like server.js
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({
+        success: false,
+        error: err.message,
+        code: err.code,
+      });
+    });
+
+    GenericEntityService.findById.mockResolvedValue({ id: 9, status: "pending" });
+    ApprovalService.decide.mockResolvedValue({ id: 9, status: "approved" });
+  });
+
+  describe("POST /api/approval_requests/:id/decision", () => {
+    test("should return the decided request", async () => {
+      const response = await request(app)
+        .post("/api/approval_requests/9/decision")
+        .send({ decision: "approve", notes: "Looks fine" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, data: { id: 9, status: "approved" } });
+      expect(ApprovalService.decide).toHaveBeenCalledWith(
+        9,
+        expect.objectContaining({
+          decision: "approve",
+          notes: "Looks fine",
+          userId: 7,
+          role: "manager",
+          auditContext: expect.objectContaining({ userId: 7 }),
+        }),
+      );
+    });
+
+    test("should pre-check the request with the caller's update RLS context", async () => {
+      await request(app).post("/api/approval_requests/9/decision").send({ decision: "reject" });
+
+      expect(GenericEntityService.findById).toHaveBeenCalledWith("approval_request", 9, {
+        rlsContext: expect.objectContaining({ userId: 7, operation: "update" }),
+      });
+    });
+
+    test("should return 404 when the request is out of scope", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post("/api/approval_requests/9/decision")
+        .send({ decision: "approve" });
+
+      expect(response.status).toBe(404);
+      expect(ApprovalService.decide).not.toHaveBeenCalled();
+    });
+
+    test("should reject an unknown decision with 400", async () => {
+      const response = await request(app)
+        .post("/api/approval_requests/9/decision")
+        .send({ decision: "maybe" });
+
+      expect(response.status).toBe(400);
+      expect(ApprovalService.decide).not.toHaveBeenCalled();
+    });
+
+    test("should pass service conflicts through", async () => {
+      ApprovalService.decide.mockRejectedValue(
+        new AppError("Approval request 9 is already expired", 409, "RESOURCE_CONFLICT"),
+      );
+
+      const response = await request(app)
+        .post("/api/approval_requests/9/decision")
+        .send({ decision: "approve" });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe("RESOURCE_CONFLICT");
+    });
+  });
+});
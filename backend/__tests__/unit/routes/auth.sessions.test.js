@@ -4,7 +4,7 @@
  * Tests session and token management endpoints.
  * Uses centralized setup from route-test-setup.js (DRY architecture).
  *
- * Test Coverage: /refresh, /logout, /logout-all, /sessions
+ * Test Coverage: /refresh, /logout, /logout-all, /sessions, /sessions/:sessionId
  */
 
 const request = require("supertest");
@@ -23,6 +23,7 @@ const {
 const { validateProfileUpdate } = require("../../../validators");
 const { getClientIp, getUserAgent } = require("../../../utils/request-helpers");
 const { decodeJwt } = require("../../../utils/jwt-helper");
+const AppError = require("../../../utils/app-error");
 const GenericEntityService = require("../../../services/entity/generic-entity-service");
 const {
   createRouteTestApp,
@@ -171,6 +172,52 @@ describe("routes/auth.js - Session Management", () => {
       expect(getClientIp).toHaveBeenCalled();
       expect(getUserAgent).toHaveBeenCalled();
     });
+
+    test("should audit refresh token reuse and reject with 401", async () => {
+      // Arrange
+      const error = new AppError(
+        "Refresh token reuse detected - session revoked",
+        401,
+        "AUTH_TOKEN_REUSED",
+      );
+      error.userId = 1;
+      error.sessionId = "family-1";
+      tokenService.refreshAccessToken.mockRejectedValue(error);
+      auditService.log.mockResolvedValue(true);
+
+      // Act
+      const response = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: "replayed-token" });
+
+      // Assert (test app maps status from the message, not the AppError)
+      expect(response.status).toBeGreaterThanOrEqual(400);
+      expect(auditService.log).toHaveBeenCalledTimes(1);
+      expect(auditService.log).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 1,
+          action: AuditActions.REFRESH_TOKEN_REUSE,
+          newValues: { sessionId: "family-1" },
+          result: AuditResults.FAILURE,
+        }),
+      );
+    });
+
+    test("should not audit ordinary refresh failures", async () => {
+      // Arrange
+      tokenService.refreshAccessToken.mockRejectedValue(
+        new AppError("Invalid refresh token", 401, "AUTH_INVALID_TOKEN"),
+      );
+
+      // Act
+      const response = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: "stale-token" });
+
+      // Assert
+      expect(response.status).toBeGreaterThanOrEqual(400);
+      expect(auditService.log).not.toHaveBeenCalled();
+    });
   });
 
   // ===========================
@@ -298,28 +345,30 @@ describe("routes/auth.js - Session Management", () => {
   // GET /api/auth/sessions - Active Sessions
   // ===========================
   describe("GET /api/auth/sessions", () => {
+    const mockSessions = [
+      {
+        family_id: "family-1",
+        device_name: "Chrome on macOS",
+        started_at: "2025-01-01T00:00:00Z",
+        last_active_at: "2025-01-01T01:00:00Z",
+        expires_at: "2025-01-08T01:00:00Z",
+        ip_address: "127.0.0.1",
+        user_agent: "Mozilla/5.0",
+      },
+      {
+        family_id: "family-2",
+        device_name: null,
+        started_at: "2025-01-02T00:00:00Z",
+        last_active_at: "2025-01-02T01:00:00Z",
+        expires_at: "2025-01-09T01:00:00Z",
+        ip_address: "192.168.1.1",
+        user_agent: "curl/8.0",
+      },
+    ];
+
     test("should return active sessions successfully", async () => {
       // Arrange
-      const mockTokens = [
-        {
-          token_id: "token-1",
-          created_at: "2025-01-01T00:00:00Z",
-          last_used_at: "2025-01-01T01:00:00Z",
-          expires_at: "2025-01-08T00:00:00Z",
-          ip_address: "127.0.0.1",
-          user_agent: "Mozilla/5.0",
-        },
-        {
-          token_id: "token-2",
-          created_at: "2025-01-02T00:00:00Z",
-          last_used_at: "2025-01-02T01:00:00Z",
-          expires_at: "2025-01-09T00:00:00Z",
-          ip_address: "192.168.1.1",
-          user_agent: "Chrome/90.0",
-        },
-      ];
-
-      tokenService.getUserTokens.mockResolvedValue(mockTokens);
+      tokenService.getUserSessions.mockResolvedValue(mockSessions);
 
       // Act
       const response = await request(app).get("/api/auth/sessions");
@@ -328,21 +377,37 @@ describe("routes/auth.js - Session Management", () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveLength(2);
-      expect(response.body.data[0]).toMatchObject({
-        id: "token-1",
+      expect(response.body.data[0]).toEqual({
+        id: "family-1",
+        deviceName: "Chrome on macOS",
         createdAt: "2025-01-01T00:00:00Z",
         lastUsedAt: "2025-01-01T01:00:00Z",
-        expiresAt: "2025-01-08T00:00:00Z",
+        expiresAt: "2025-01-08T01:00:00Z",
         ipAddress: "127.0.0.1",
         userAgent: "Mozilla/5.0",
         isCurrent: false,
       });
-      expect(tokenService.getUserTokens).toHaveBeenCalledWith(1);
+      expect(tokenService.getUserSessions).toHaveBeenCalledWith(1);
+    });
+
+    test("should mark the session of the presented access token as current", async () => {
+      // Arrange
+      authenticateToken.mockImplementation((req, res, next) => {
+        req.user = { sub: "auth0|123", userId: 1, sid: "family-2" };
+        next();
+      });
+      tokenService.getUserSessions.mockResolvedValue(mockSessions);
+
+      // Act
+      const response = await request(app).get("/api/auth/sessions");
+
+      // Assert
+      expect(response.body.data.map((s) => s.isCurrent)).toEqual([false, true]);
     });
 
     test("should return empty array when no sessions", async () => {
       // Arrange
-      tokenService.getUserTokens.mockResolvedValue([]);
+      tokenService.getUserSessions.mockResolvedValue([]);
 
       // Act
       const response = await request(app).get("/api/auth/sessions");
@@ -355,28 +420,66 @@ describe("routes/auth.js - Session Management", () => {
 
     test("should hide sensitive token data in response", async () => {
       // Arrange
-      const mockTokens = [
-        {
-          token_id: "token-1",
-          token_hash: "sensitive-hash",
-          refresh_token: "sensitive-token",
-          created_at: "2025-01-01T00:00:00Z",
-          last_used_at: "2025-01-01T01:00:00Z",
-          expires_at: "2025-01-08T00:00:00Z",
-          ip_address: "127.0.0.1",
-          user_agent: "Mozilla/5.0",
-        },
-      ];
-
-      tokenService.getUserTokens.mockResolvedValue(mockTokens);
+      tokenService.getUserSessions.mockResolvedValue([
+        { ...mockSessions[0], token_id: "token-1", token_hash: "sensitive-hash" },
+      ]);
 
       // Act
       const response = await request(app).get("/api/auth/sessions");
 
       // Assert
       expect(response.body.data[0].token_hash).toBeUndefined();
-      expect(response.body.data[0].refresh_token).toBeUndefined();
-      expect(response.body.data[0].id).toBe("token-1");
+      expect(response.body.data[0].token_id).toBeUndefined();
+      expect(response.body.data[0].id).toBe("family-1");
+    });
+  });
+
+  // ===========================
+  // DELETE /api/auth/sessions/:sessionId - Revoke One Session
+  // ===========================
+  describe("DELETE /api/auth/sessions/:sessionId", () => {
+    const sessionId = "6f1c2a0e-8b5d-4c47-9a3e-2d7f1b9c4e10";
+
+    test("should revoke the caller's session and audit it", async () => {
+      // Arrange
+      tokenService.revokeFamily.mockResolvedValue(1);
+      auditService.log.mockResolvedValue(true);
+
+      // Act
+      const response = await request(app).delete(
+        `/api/auth/sessions/${sessionId}`,
+      );
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(tokenService.revokeFamily).toHaveBeenCalledWith(
+        sessionId,
+        "session_revoked",
+        1,
+      );
+      expect(auditService.log).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 1,
+          action: AuditActions.SESSION_REVOKE,
+          newValues: { sessionId, current: false },
+          result: AuditResults.SUCCESS,
+        }),
+      );
+    });
+
+    test("should return 404 for an unknown or another user's session", async () => {
+      // Arrange
+      tokenService.revokeFamily.mockResolvedValue(0);
+
+      // Act
+      const response = await request(app).delete(
+        `/api/auth/sessions/${sessionId}`,
+      );
+
+      // Assert
+      expect(response.status).toBe(404);
+      expect(auditService.log).not.toHaveBeenCalled();
     });
   });
 
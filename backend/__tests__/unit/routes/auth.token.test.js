@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for routes/auth.js - Client-Credentials Grant
+ *
+ * Tests POST /api/auth/token (RFC 6749 §4.4) for service credentials
+ *
+ * KISS: Test endpoint behavior, mock the service strategy
+ */
+
+const request = require("supertest");
+const express = require("express");
+const authRoutes = require("../../../routes/auth");
+const auditService = require("../../../services/audit/audit-service");
+const AppError = require("../../../utils/app-error");
+
+// Mock dependencies
+const mockServiceStrategy = { authenticate: jest.fn() };
+jest.mock("../../../services/auth/strategies/AuthStrategyFactory", () => ({
+  AuthStrategyFactory: { getServiceStrategy: () => mockServiceStrategy },
+}));
+jest.mock("../../../services/audit/audit-service");
+jest.mock("../../../services/auth/token-service");
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => next(),
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+describe("routes/auth.js - POST /token", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.use("/api/auth", authRoutes);
+
+    mockServiceStrategy.authenticate.mockResolvedValue({
+      token: "signed.jwt.token",
+      user: { id: null, actor_type: "service", service_credential_id: 4 },
+      expiresIn: 3600,
+    });
+  });
+
+  test("should issue a token for body credentials", async () => {
+    const response = await request(app)
+      .post("/api/auth/token")
+      .type("form")
+      .send({ grant_type: "client_credentials", client_id: "svc_abc", client_secret: "s3cret" });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      access_token: "signed.jwt.token",
+      token_type: "Bearer",
+      expires_in: 3600,
+    });
+    expect(response.headers["cache-control"]).toBe("no-store");
+    expect(mockServiceStrategy.authenticate).toHaveBeenCalledWith(
+      expect.objectContaining({ clientId: "svc_abc", clientSecret: "s3cret" }),
+    );
+    expect(auditService.log).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "service_token_issue",
+        actorType: "service",
+        serviceCredentialId: 4,
+      }),
+    );
+  });
+
+  test("should accept HTTP Basic client authentication", async () => {
+    const response = await request(app)
+      .post("/api/auth/token")
+      .auth("svc_abc", "s3cret")
+      .send({ grant_type: "client_credentials" });
+
+    expect(response.status).toBe(200);
+    expect(mockServiceStrategy.authenticate).toHaveBeenCalledWith(
+      expect.objectContaining({ clientId: "svc_abc", clientSecret: "s3cret" }),
+    );
+  });
+
+  test.each([
+    [{ client_id: "svc_abc", client_secret: "s3cret" }, "invalid_request"],
+    [{ grant_type: "client_credentials", client_id: "svc_abc" }, "invalid_request"],
+    [
+      { grant_type: "password", client_id: "svc_abc", client_secret: "s3cret" },
+      "unsupported_grant_type",
+    ],
+  ])("should reject %j with 400 %s", async (body, error) => {
+    const response = await request(app).post("/api/auth/token").send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(error);
+    expect(mockServiceStrategy.authenticate).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [401, "invalid_client"],
+    [403, "unauthorized_client"],
+  ])("should answer %i %s and audit the failure", async (status, error) => {
+    mockServiceStrategy.authenticate.mockRejectedValue(
+      new AppError("Invalid service credentials", status, "AUTH_INVALID_TOKEN"),
+    );
+
+    const response = await request(app)
+      .post("/api/auth/token")
+      .send({ grant_type: "client_credentials", client_id: "svc_abc", client_secret: "nope" });
+
+    expect(response.status).toBe(status);
+    expect(response.body).toEqual({ error, error_description: "Invalid service credentials" });
+    expect(auditService.log).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "service_token_failed",
+        actorType: "service",
+        result: "failure",
+        newValues: { client_id: "svc_abc" },
+      }),
+    );
+  });
+});
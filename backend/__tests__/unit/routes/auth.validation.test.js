@@ -325,7 +325,7 @@ describe("routes/auth.js - Validation & Error Handling", () => {
   describe("GET /api/auth/sessions - Error Handling", () => {
     test("should handle errors gracefully", async () => {
       // Arrange
-      tokenService.getUserTokens.mockRejectedValue(
+      tokenService.getUserSessions.mockRejectedValue(
         new Error("Database connection failed"),
       );
 
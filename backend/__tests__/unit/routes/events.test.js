@@ -0,0 +1,215 @@
+/**
+ * Event Routes - Unit Tests
+ *
+ * Tests the SSE stream: headers, per-user filtering, Last-Event-ID replay,
+ * reset events and the per-user stream cap
+ *
+ * KISS: Real HTTP stream, mocked listener and event service
+ */
+
+const http = require("http");
+const request = require("supertest");
+const express = require("express");
+const eventsRouter = require("../../../routes/events");
+const RealtimeEventService = require("../../../services/realtime/realtime-event-service");
+const realtimeListener = require("../../../services/realtime/realtime-listener");
+const { authenticateToken } = require("../../../middleware/auth");
+
+jest.mock("../../../services/realtime/realtime-event-service", () => ({
+  canReceive: jest.fn(),
+  listSince: jest.fn(),
+  toPayload: jest.requireActual("../../../services/realtime/realtime-event-service").toPayload,
+}));
+jest.mock("../../../services/realtime/realtime-listener", () => ({
+  subscribe: jest.fn(),
+}));
+jest.mock("../../../middleware/auth");
+
+const event = (id, overrides) => ({
+  id,
+  type: "entity",
+  entity: "work_order",
+  record_id: 42,
+  operation: "update",
+  user_id: null,
+  created_at: "2026-10-18T09:00:00.000Z",
+  ...overrides,
+});
+
+// req.permissions as set by authenticateToken
+const permissions = { hasPermission: jest.fn() };
+
+describe("Event Routes", () => {
+  let app;
+  let server;
+  let subscribers;
+  let unsubscribe;
+  let streams;
+
+  /**
+   * Open a stream and collect its body
+   */
+  function openStream(headers = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.get(
+        { port: server.address().port, path: "/api/events", headers },
+        (res) => {
+          const stream = { res, body: "", close: () => req.destroy() };
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            stream.body += chunk;
+          });
+          streams.push(stream);
+          resolve(stream);
+        },
+      );
+      req.on("error", (error) => {
+        if (error.code !== "ECONNRESET") {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Wait until the stream body contains text
+   */
+  async function waitFor(stream, text) {
+    for (let i = 0; i < 100 && !stream.body.includes(text); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    return stream.body;
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    subscribers = [];
+    streams = [];
+    unsubscribe = jest.fn();
+
+    app = express();
+    app.use("/api/events", eventsRouter);
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ success: false, error: err.message, code: err.code });
+    });
+
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.dbUser = { id: 7, role: "customer" };
+      req.permissions = permissions;
+      next();
+    });
+    realtimeListener.subscribe.mockImplementation(async (onEvent, onReset) => {
+      subscribers.push({ onEvent, onReset });
+      return unsubscribe;
+    });
+    RealtimeEventService.canReceive.mockResolvedValue(true);
+
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+  });
+
+  afterEach(async () => {
+    streams.forEach((stream) => stream.close());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("opens an event stream with a retry hint", async () => {
+    const stream = await openStream();
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers["content-type"]).toMatch(/^text\/event-stream/);
+    expect(stream.res.headers["cache-control"]).toBe("no-cache, no-transform");
+    expect(await waitFor(stream, "retry:")).toBe("retry: 5000\n\n");
+  });
+
+  test("streams the events the user may receive", async () => {
+    RealtimeEventService.canReceive.mockImplementation(async (e) => e.id !== 3);
+    const stream = await openStream();
+    await waitFor(stream, "retry:");
+
+    subscribers[0].onEvent(event(2));
+    subscribers[0].onEvent(event(3));
+    subscribers[0].onEvent(event(4, { type: "notification", entity: "notification", user_id: 7 }));
+    const body = await waitFor(stream, "id: 4");
+
+    expect(body).toContain(
+      'id: 2\nevent: entity\ndata: {"id":2,"type":"entity","entity":"work_order","recordId":42,' +
+        '"operation":"update","at":"2026-10-18T09:00:00.000Z"}\n\n',
+    );
+    expect(body).not.toContain("id: 3");
+    expect(body).toContain("id: 4\nevent: notification\n");
+    expect(RealtimeEventService.canReceive).toHaveBeenCalledWith(
+      event(2),
+      { id: 7, role: "customer" },
+      permissions,
+    );
+  });
+
+  test("replays events after Last-Event-ID before live events", async () => {
+    let finishReplay;
+    RealtimeEventService.listSince.mockReturnValue(
+      new Promise((resolve) => {
+        finishReplay = resolve;
+      }),
+    );
+    const stream = await openStream({ "Last-Event-ID": "10" });
+    await waitFor(stream, "retry:");
+
+    subscribers[0].onEvent(event(12)); // committed during the replay query
+    subscribers[0].onEvent(event(13));
+    finishReplay({ events: [event(11), event(12)], complete: true });
+    const body = await waitFor(stream, "id: 13");
+
+    expect(RealtimeEventService.listSince).toHaveBeenCalledWith(10);
+    expect(body.match(/^id: \d+$/gm)).toEqual(["id: 11", "id: 12", "id: 13"]);
+  });
+
+  test("sends reset when the missed events are no longer available", async () => {
+    RealtimeEventService.listSince.mockResolvedValue({ events: [], complete: false });
+    const stream = await openStream({ "Last-Event-ID": "10" });
+
+    expect(await waitFor(stream, "event: reset")).toContain(
+      'event: reset\ndata: {"reason":"events_expired"}\n\n',
+    );
+  });
+
+  test("sends reset when the listener reconnected", async () => {
+    const stream = await openStream();
+    await waitFor(stream, "retry:");
+
+    subscribers[0].onReset();
+
+    expect(await waitFor(stream, "event: reset")).toContain('data: {"reason":"listener_reconnected"}');
+  });
+
+  test("unsubscribes when the client disconnects", async () => {
+    const stream = await openStream();
+    await waitFor(stream, "retry:");
+
+    stream.close();
+    for (let i = 0; i < 100 && !unsubscribe.mock.calls.length; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  test("limits concurrent streams per user", async () => {
+    for (let i = 0; i < 5; i++) {
+      await openStream();
+    }
+
+    const response = await request(server).get("/api/events");
+
+    expect(response.status).toBe(429);
+    expect(response.body.code).toBe("RATE_LIMIT_EXCEEDED");
+  });
+
+  test("rejects an invalid Last-Event-ID", async () => {
+    const response = await request(server).get("/api/events").set("Last-Event-ID", "abc");
+
+    expect(response.status).toBe(400);
+    expect(realtimeListener.subscribe).not.toHaveBeenCalled();
+  });
+});
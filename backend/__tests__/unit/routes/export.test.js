@@ -0,0 +1,163 @@
+/**
+ * Export Routes - Unit Tests
+ *
+ * Tests format validation, direct vs streamed downloads and the export job
+ * queued for large results
+ *
+ * KISS: Test endpoint behavior, mock service, queue and storage
+ */
+
+const request = require("supertest");
+const express = require("express");
+const ExportService = require("../../../services/data/export-service");
+const JobQueueService = require("../../../services/jobs/job-queue-service");
+const { storageService } = require("../../../services/storage/storage-service");
+
+jest.mock("../../../services/data/export-service");
+jest.mock("../../../services/jobs/job-queue-service");
+jest.mock("../../../services/storage/storage-service", () => ({
+  storageService: { isConfigured: jest.fn() },
+}));
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 7, role: "dispatcher" };
+    req.user = { id: 7 };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+}));
+jest.mock("../../../middleware/generic-entity", () => ({
+  extractEntity: (req, res, next) => {
+    req.entityName = req.params.entity;
+    next();
+  },
+}));
+jest.mock("../../../middleware/row-level-security", () => ({
+  enforceRLS: (req, res, next) => {
+    req.rlsContext = { role: "dispatcher", userId: 7, operation: "read" };
+    next();
+  },
+}));
+
+const exportRouter = require("../../../routes/export");
+
+describe("Export Routes", () => {
+  let app;
+  const plan = { entityName: "work_order", columns: [{ field: "id" }, { field: "status" }] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use("/api/export", exportRouter);
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ success: false, error: err.message, code: err.code });
+    });
+
+    ExportService.buildExportPlan.mockReturnValue(plan);
+    ExportService.countRows.mockResolvedValue(2);
+    ExportService.getFilename.mockImplementation((entity, format) => `${entity}_export.${format}`);
+    ExportService.exportRows.mockResolvedValue({ body: Buffer.from("ID,Status\n1,Pending\n"), count: 1 });
+    storageService.isConfigured.mockReturnValue(true);
+  });
+
+  describe("GET /api/export/:entity", () => {
+    test("downloads a CSV by default with filters and the RLS context", async () => {
+      const response = await request(app).get("/api/export/work_order?status=pending&fields=id,status");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toBe("text/csv; charset=utf-8");
+      expect(response.headers["content-disposition"]).toBe('attachment; filename="work_order_export.csv"');
+      expect(response.headers["x-row-count"]).toBe("2");
+      expect(response.headers["x-column-count"]).toBe("2");
+      expect(response.text).toBe("ID,Status\n1,Pending\n");
+      expect(ExportService.buildExportPlan).toHaveBeenCalledWith(
+        "work_order",
+        expect.objectContaining({ filters: { status: "pending" } }),
+        { role: "dispatcher", userId: 7, operation: "read" },
+        ["id", "status"],
+      );
+      expect(ExportService.exportRows).toHaveBeenCalledWith(plan, "csv");
+    });
+
+    test("serves the requested format", async () => {
+      const response = await request(app).get("/api/export/work_order?format=xlsx");
+
+      expect(response.headers["content-type"]).toBe(
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
+      expect(response.headers["content-disposition"]).toContain("work_order_export.xlsx");
+      expect(ExportService.exportRows).toHaveBeenCalledWith(plan, "xlsx");
+    });
+
+    test("rejects an unknown format", async () => {
+      const response = await request(app).get("/api/export/work_order?format=pdf");
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual({ allowed: ["csv", "xlsx", "json", "ndjson"] });
+      expect(ExportService.buildExportPlan).not.toHaveBeenCalled();
+    });
+
+    test("streams through the cursor when stream=true", async () => {
+      ExportService.streamExport.mockImplementation(async (_plan, _format, res) => {
+        res.write('{"id":1}\n');
+        return 1;
+      });
+
+      const response = await request(app).get("/api/export/work_order?format=ndjson&stream=true");
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('{"id":1}\n');
+      expect(ExportService.streamExport).toHaveBeenCalledWith(plan, "ndjson", expect.anything());
+      expect(ExportService.buildExportPlan.mock.calls[0][1].filters).toEqual({});
+      expect(ExportService.exportRows).not.toHaveBeenCalled();
+    });
+
+    test("queues an export job above the row threshold", async () => {
+      ExportService.countRows.mockResolvedValue(5001);
+      JobQueueService.enqueue.mockResolvedValue({ id: 31, type: "export.generate", status: "pending" });
+
+      const response = await request(app).get("/api/export/work_order?format=json&status=pending");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ id: 31, type: "export.generate", status: "pending" });
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "export.generate",
+        {
+          entity: "work_order",
+          format: "json",
+          options: expect.objectContaining({ filters: { status: "pending" } }),
+          fields: null,
+          rlsContext: { role: "dispatcher", userId: 7, operation: "read" },
+          userId: 7,
+        },
+        { createdBy: 7, maxAttempts: 3 },
+      );
+      expect(ExportService.exportRows).not.toHaveBeenCalled();
+    });
+
+    test("streams large results when storage is not configured", async () => {
+      ExportService.countRows.mockResolvedValue(5001);
+      storageService.isConfigured.mockReturnValue(false);
+      ExportService.streamExport.mockResolvedValue(5001);
+
+      const response = await request(app).get("/api/export/work_order");
+
+      expect(response.status).toBe(200);
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+      expect(ExportService.streamExport).toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/export/:entity/fields", () => {
+    test("lists the fields the user's role may export", async () => {
+      ExportService.getExportableFields.mockReturnValue([{ field: "id", label: "ID" }]);
+
+      const response = await request(app).get("/api/export/work_order/fields");
+
+      expect(response.status).toBe(200);
+      expect(ExportService.getExportableFields).toHaveBeenCalledWith("work_order", "dispatcher");
+    });
+  });
+});
@@ -72,9 +72,13 @@ jest.mock("../../../utils/request-helpers", () => ({
 }));
 
 jest.mock("../../../middleware/auth", () => {
+  const { hasPermission } = jest.requireActual("../../../config/permissions-loader");
   const passMiddleware = (req, res, next) => {
     req.user = { user_id: 999, role: "admin" };
     req.dbUser = { id: 999, role: "admin" }; // Use ID 999 to avoid self-deletion prevention
+    req.permissions = {
+      hasPermission: (resource, operation) => hasPermission("admin", resource, operation),
+    };
     next();
   };
   return {
@@ -464,6 +468,17 @@ describe.each(ENTITIES)(
         );
       });
 
+      test("should create with the RLS context from enforceRLS", async () => {
+        GenericEntityService.create.mockResolvedValue({ id: 1, ...createData });
+
+        await request(app).post(routePath).send(createData);
+
+        expect(GenericEntityService.create).toHaveBeenCalledWith(name, expect.any(Object), {
+          auditContext: expect.any(Object),
+          rlsContext: expect.objectContaining({ userId: 999, role: "admin" }),
+        });
+      });
+
       test("should handle database errors during creation", async () => {
         // Arrange
         GenericEntityService.create.mockRejectedValue(
@@ -557,3 +572,169 @@ describe.each(ENTITIES)(
     });
   },
 );
+
+// ============================================================================
+// OPTIMISTIC CONCURRENCY (ETag / If-Match)
+// ============================================================================
+
+describe("work_order routes - ETag / If-Match", () => {
+  const AppError = require("../../../utils/app-error");
+  const { ERROR_CODES } = require("../../../config/error-codes");
+
+  const ROW = {
+    id: 1,
+    title: "Fix HVAC",
+    updated_at: "2026-03-01T10:15:30.123Z",
+    version: 2,
+  };
+  const ETAG = '"2"';
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use("/api/work_orders", createEntityRouter("work_order"));
+    // Mirrors server.js: AppError statusCode + details in the error envelope
+    app.use((err, req, res, _next) => {
+      res.status(err.statusCode || 500).json({
+        success: false,
+        code: err.code,
+        details: err.details || null,
+      });
+    });
+  });
+
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  test("GET /:id should emit the record's ETag", async () => {
+    GenericEntityService.findById.mockResolvedValue(ROW);
+
+    const response = await request(app).get("/api/work_orders/1");
+
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(response.headers.etag).toBe(ETAG);
+  });
+
+  test("PATCH should pass If-Match to the service and return the new ETag", async () => {
+    const updated = { ...ROW, title: "Fix HVAC unit", version: 3 };
+    GenericEntityService.findById.mockResolvedValue(ROW);
+    GenericEntityService.update.mockResolvedValue(updated);
+
+    const response = await request(app)
+      .patch("/api/work_orders/1")
+      .set("If-Match", ETAG)
+      .send({ title: "Fix HVAC unit" });
+
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(GenericEntityService.update).toHaveBeenCalledWith(
+      "work_order",
+      1,
+      { title: "Fix HVAC unit" },
+      expect.objectContaining({ expectedVersion: ETAG }),
+    );
+    expect(response.headers.etag).toBe('"3"');
+  });
+
+  test("PATCH should answer 412 with the current record when If-Match is stale", async () => {
+    GenericEntityService.findById.mockResolvedValue(ROW);
+    GenericEntityService.update.mockRejectedValue(
+      new AppError("work_order 1 was modified by another request", 412,
+        ERROR_CODES.RESOURCE_VERSION_MISMATCH, { etag: ETAG, current: ROW }),
+    );
+
+    const response = await request(app)
+      .patch("/api/work_orders/1")
+      .set("If-Match", '"1700000000000"')
+      .send({ title: "Stale edit" });
+
+    expect(response.status).toBe(412);
+    expect(response.headers.etag).toBe(ETAG);
+    expect(response.body.code).toBe(ERROR_CODES.RESOURCE_VERSION_MISMATCH);
+    expect(response.body.details.current).toEqual(ROW);
+  });
+
+  test("DELETE should pass If-Match to the service", async () => {
+    GenericEntityService.delete.mockResolvedValue(ROW);
+
+    const response = await request(app)
+      .delete("/api/work_orders/1")
+      .set("If-Match", ETAG);
+
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(GenericEntityService.delete).toHaveBeenCalledWith(
+      "work_order",
+      1,
+      expect.objectContaining({ expectedVersion: ETAG }),
+    );
+  });
+});
+
+// ============================================================================
+// STATUS TRANSITIONS (GET /:id/transitions)
+// ============================================================================
+
+describe("work_order routes - available transitions", () => {
+  const workOrderMetadata = require("../../../config/models/work-order-metadata");
+  let app;
+
+  beforeAll(() => {
+    // Real work_order metadata so the router registers /:id/transitions
+    GenericEntityService.requireEntityMetadata.mockReturnValueOnce(workOrderMetadata);
+    app = createTestApp("/api/work_orders", createEntityRouter("work_order"));
+  });
+
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  test("should list the moves the caller can make from the current status", async () => {
+    const record = { id: 1, status: "in_progress", completed_at: null };
+    GenericEntityService.findById.mockResolvedValue(record);
+
+    const response = await request(app).get("/api/work_orders/1/transitions");
+
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(response.body.data).toEqual({
+      field: "status",
+      current: "in_progress",
+      transitions: [
+        { to: "scheduled", label: "Scheduled", requires: [], missingFields: [] },
+        { to: "completed", label: "Completed", requires: ["completed_at"], missingFields: ["completed_at"] },
+        { to: "cancelled", label: "Cancelled", requires: [], missingFields: [] },
+      ],
+    });
+    expect(GenericEntityService.findById).toHaveBeenLastCalledWith("work_order", 1, {
+      rlsContext: expect.objectContaining({ operation: "update" }),
+    });
+  });
+
+  test("should list no moves when the row is outside the caller's update scope", async () => {
+    GenericEntityService.findById
+      .mockResolvedValueOnce({ id: 1, status: "pending" })
+      .mockResolvedValueOnce(null);
+
+    const response = await request(app).get("/api/work_orders/1/transitions");
+
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(response.body.data).toEqual({ field: "status", current: "pending", transitions: [] });
+  });
+
+  test("should return 404 when the record is not readable", async () => {
+    GenericEntityService.findById.mockResolvedValue(null);
+
+    const response = await request(app).get("/api/work_orders/1/transitions");
+
+    expect(response.status).toBe(HTTP_STATUS.NOT_FOUND);
+  });
+
+  test("should not register the endpoint for entities without a state machine", async () => {
+    const customerApp = createTestApp("/api/customers", createEntityRouter("customer"));
+
+    const response = await request(customerApp).get("/api/customers/1/transitions");
+
+    expect(response.status).toBe(HTTP_STATUS.NOT_FOUND);
+    expect(GenericEntityService.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Import Routes - Unit Tests
+ *
+ * Tests the raw file body, dry-run vs commit responses and mapping parsing
+ *
+ * KISS: Test endpoint behavior, mock the service
+ */
+
+const request = require("supertest");
+const express = require("express");
+const ImportService = require("../../../services/data/import-service");
+
+jest.mock("../../../services/data/import-service");
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.dbUser = { id: 7, role: "manager" };
+    req.user = { id: 7 };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+}));
+jest.mock("../../../middleware/generic-entity", () => ({
+  extractEntity: (req, res, next) => {
+    req.entityName = req.params.entity;
+    next();
+  },
+}));
+jest.mock("../../../middleware/row-level-security", () => ({
+  enforceRLS: (req, res, next) => {
+    req.rlsContext = { role: "manager", userId: 7, operation: "create" };
+    next();
+  },
+}));
+
+const importRouter = require("../../../routes/import");
+
+const FILE = "Property,Unit Identifier\nMaple Court,4A\n";
+
+describe("Import Routes", () => {
+  let app;
+  const report = {
+    entity: "unit",
+    format: "csv",
+    totalRows: 1,
+    validRows: 1,
+    invalidRows: 0,
+    columns: [],
+    errors: [],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use("/api/import", importRouter);
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ success: false, error: err.message, code: err.code });
+    });
+  });
+
+  describe("POST /api/import/:entity", () => {
+    test("validates without creating on a dry run", async () => {
+      ImportService.importFile.mockResolvedValue({ ...report, dryRun: true, committed: false });
+
+      const response = await request(app)
+        .post("/api/import/unit?dryRun=true")
+        .set("Content-Type", "text/csv")
+        .send(FILE);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe("1 of 1 rows are valid");
+      const [entity, body, options] = ImportService.importFile.mock.calls[0];
+      expect(entity).toBe("unit");
+      expect(body.toString()).toBe(FILE);
+      expect(options).toEqual(
+        expect.objectContaining({
+          mapping: {},
+          dryRun: true,
+          role: "manager",
+          rlsContext: { role: "manager", userId: 7, operation: "create" },
+          auditContext: expect.objectContaining({ userId: 7 }),
+        }),
+      );
+    });
+
+    test("answers 201 with the created ids when the import commits", async () => {
+      ImportService.importFile.mockResolvedValue({ ...report, dryRun: false, committed: true, created: [51] });
+
+      const response = await request(app)
+        .post("/api/import/unit")
+        .set("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+        .send(Buffer.from("PK\u0003\u0004"));
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.created).toEqual([51]);
+      expect(response.body.message).toBe("Imported 1 unit records");
+      expect(ImportService.importFile.mock.calls[0][2].dryRun).toBe(false);
+    });
+
+    test("answers 400 with the report when rows are invalid", async () => {
+      const errors = [{ row: 2, field: "property_id", message: 'No property matches "Maple Court"' }];
+      ImportService.importFile.mockResolvedValue({
+        ...report,
+        dryRun: false,
+        committed: false,
+        validRows: 0,
+        invalidRows: 1,
+        errors,
+      });
+
+      const response = await request(app).post("/api/import/unit").set("Content-Type", "text/csv").send(FILE);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.errors).toEqual(errors);
+    });
+
+    test("passes a column mapping", async () => {
+      ImportService.importFile.mockResolvedValue({ ...report, dryRun: true, committed: false });
+
+      await request(app)
+        .post(`/api/import/unit?dryRun=true&mapping=${encodeURIComponent('{"Unit #":"unit_identifier","Colour":null}')}`)
+        .set("Content-Type", "text/csv")
+        .send(FILE);
+
+      expect(ImportService.importFile.mock.calls[0][2].mapping).toEqual({
+        "Unit #": "unit_identifier",
+        Colour: null,
+      });
+    });
+
+    test.each(["not json", "[1,2]", "null"])("rejects mapping=%s", async (mapping) => {
+      const response = await request(app)
+        .post(`/api/import/unit?mapping=${encodeURIComponent(mapping)}`)
+        .set("Content-Type", "text/csv")
+        .send(FILE);
+
+      expect(response.status).toBe(400);
+      expect(ImportService.importFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/import/:entity/fields", () => {
+    test("lists the fields the user's role may import", async () => {
+      ImportService.getImportableFields.mockReturnValue([{ field: "unit_identifier", label: "Unit Identifier" }]);
+
+      const response = await request(app).get("/api/import/unit/fields");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(1);
+      expect(ImportService.getImportableFields).toHaveBeenCalledWith("unit", "manager");
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Saved View Extension Routes - Unit Tests
+ *
+ * Tests report subscription validation and service threading
+ *
+ * KISS: Test endpoint behavior, mock service
+ */
+
+const request = require("supertest");
+const express = require("express");
+const savedViewsRouter = require("../../../routes/saved-views-extensions");
+const ReportSubscriptionService = require("../../../services/data/report-subscription-service");
+const AppError = require("../../../utils/app-error");
+
+// Mock dependencies
+jest.mock("../../../services/data/report-subscription-service");
+jest.mock("../../../middleware/generic-entity", () => ({
+  attachEntity: () => (req, res, next) => next(),
+}));
+jest.mock("../../../middleware/auth", () => {
+  const passMiddleware = (req, res, next) => {
+    req.dbUser = { id: 12, role: "customer" };
+    next();
+  };
+  return {
+    authenticateToken: passMiddleware,
+    requirePermission: () => (req, res, next) => next(),
+  };
+});
+jest.mock("../../../middleware/row-level-security", () => ({
+  enforceRLS: (req, res, next) => {
+    req.rlsContext = { filterConfig: null, userId: 12, role: "customer" };
+    next();
+  },
+}));
+
+describe("Saved View Extension Routes", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/saved_views", savedViewsRouter);
+
+    // Error handler honours AppError statusCode like server.js
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({
+        success: false,
+        error: err.message,
+        code: err.code,
+      });
+    });
+
+    ReportSubscriptionService.subscribe.mockResolvedValue({
+      subscription: { id: 5, saved_view_id: 3, schedule: "RRULE:FREQ=DAILY" },
+      created: true,
+    });
+  });
+
+  describe("PUT /api/saved_views/:id/subscription", () => {
+    test("should create a subscription with 201", async () => {
+      const response = await request(app)
+        .put("/api/saved_views/3/subscription")
+        .send({ schedule: "daily", format: "xlsx" });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ success: true, data: { id: 5, saved_view_id: 3 } });
+      expect(ReportSubscriptionService.subscribe).toHaveBeenCalledWith(
+        3,
+        { schedule: "daily", format: "xlsx" },
+        expect.objectContaining({
+          userId: 12,
+          rlsContext: expect.objectContaining({ userId: 12, role: "customer" }),
+          auditContext: expect.objectContaining({ userId: 12 }),
+        }),
+      );
+    });
+
+    test("should answer 200 when an existing subscription is rescheduled", async () => {
+      ReportSubscriptionService.subscribe.mockResolvedValue({ subscription: { id: 5 }, created: false });
+
+      const response = await request(app)
+        .put("/api/saved_views/3/subscription")
+        .send({ schedule: "weekly" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe("Report subscription rescheduled");
+    });
+
+    test("should default the format to csv", async () => {
+      await request(app).put("/api/saved_views/3/subscription").send({ schedule: "daily" });
+
+      expect(ReportSubscriptionService.subscribe).toHaveBeenCalledWith(
+        3,
+        { schedule: "daily", format: "csv" },
+        expect.anything(),
+      );
+    });
+
+    test.each([
+      [{ format: "csv" }, "Schedule is required"],
+      [{ schedule: "daily", format: "pdf" }, "Format must be one of: csv, xlsx"],
+    ])("should reject %j with 400", async (body, message) => {
+      const response = await request(app).put("/api/saved_views/3/subscription").send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+      expect(ReportSubscriptionService.subscribe).not.toHaveBeenCalled();
+    });
+
+    test("should pass service errors through", async () => {
+      ReportSubscriptionService.subscribe.mockRejectedValue(
+        new AppError("Only the owner of a saved view can subscribe to it", 403, "FORBIDDEN"),
+      );
+
+      const response = await request(app)
+        .put("/api/saved_views/3/subscription")
+        .send({ schedule: "daily" });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe("FORBIDDEN");
+    });
+  });
+});
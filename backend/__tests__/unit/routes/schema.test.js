@@ -75,7 +75,10 @@ describe("Schema Routes", () => {
     });
 
     // Mock auth middleware to pass through
-    authenticateToken.mockImplementation((req, res, next) => next());
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.dbUser = { id: 1, role: "admin", tenant_id: 3 };
+      next();
+    });
   });
 
   describe("GET /api/schema", () => {
@@ -230,7 +233,7 @@ describe("Schema Routes", () => {
       });
       expect(
         SchemaIntrospectionService.getForeignKeyOptions,
-      ).toHaveBeenCalledWith("roles");
+      ).toHaveBeenCalledWith("roles", { tenantId: 3 });
     });
 
     test("should return 400 for non-foreign-key column", async () => {
@@ -0,0 +1,141 @@
+/**
+ * Search Routes - Unit Tests
+ *
+ * Tests global search endpoint validation and RLS context threading
+ *
+ * KISS: Test endpoint behavior, mock service
+ */
+
+const request = require("supertest");
+const express = require("express");
+const searchRouter = require("../../../routes/search");
+const GlobalSearchService = require("../../../services/data/global-search-service");
+const { authenticateToken } = require("../../../middleware/auth");
+
+// Mock dependencies
+jest.mock("../../../services/data/global-search-service");
+jest.mock("../../../middleware/auth");
+
+describe("Search Routes", () => {
+  let app;
+  let dbUser;
+  const permissions = { hasPermission: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbUser = { id: 7, role: "customer", customer_profile_id: 42 };
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/search", searchRouter);
+
+    // Error handler honours AppError statusCode like server.js
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({
+        success: false,
+        error: err.message,
+        code: err.code,
+      });
+    });
+
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.dbUser = dbUser;
+      req.permissions = permissions;
+      next();
+    });
+
+    GlobalSearchService.search.mockResolvedValue({
+      query: "boiler",
+      groups: [],
+      incomplete: [],
+    });
+  });
+
+  describe("GET /api/search", () => {
+    test("should return grouped results", async () => {
+      const result = {
+        query: "boiler",
+        groups: [
+          {
+            entity: "work_order",
+            icon: "assignment",
+            displayField: "work_order_number",
+            total: 1,
+            hits: [{ id: 1, label: "WO-1", snippet: null, score: 0 }],
+          },
+        ],
+        incomplete: [{ entity: "invoice", reason: "timeout" }],
+      };
+      GlobalSearchService.search.mockResolvedValue(result);
+
+      const response = await request(app).get("/api/search?q=boiler");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, data: result });
+    });
+
+    test("should pass the caller's RLS context and default limit", async () => {
+      await request(app).get("/api/search?q=%20boiler%20");
+
+      expect(GlobalSearchService.search).toHaveBeenCalledWith(
+        "boiler",
+        expect.objectContaining({
+          role: "customer",
+          userId: 7,
+          operation: "read",
+          customer_profile_id: 42,
+        }),
+        permissions,
+        { limit: 5 },
+      );
+    });
+
+    test("should accept a per-entity limit", async () => {
+      await request(app).get("/api/search?q=boiler&limit=10");
+
+      expect(GlobalSearchService.search).toHaveBeenCalledWith(
+        "boiler",
+        expect.any(Object),
+        permissions,
+        { limit: 10 },
+      );
+    });
+
+    test("should reject a limit above the maximum", async () => {
+      const response = await request(app).get("/api/search?q=boiler&limit=21");
+
+      expect(response.status).toBe(400);
+      expect(GlobalSearchService.search).not.toHaveBeenCalled();
+    });
+
+    test("should reject a missing query", async () => {
+      const response = await request(app).get("/api/search");
+
+      expect(response.status).toBe(400);
+      expect(GlobalSearchService.search).not.toHaveBeenCalled();
+    });
+
+    test("should reject a query shorter than the minimum length", async () => {
+      const response = await request(app).get("/api/search?q=a");
+
+      expect(response.status).toBe(400);
+      expect(GlobalSearchService.search).not.toHaveBeenCalled();
+    });
+
+    test("should reject a query longer than the maximum length", async () => {
+      const response = await request(app).get(`/api/search?q=${"x".repeat(201)}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should forbid users without a role", async () => {
+      dbUser = { id: 7 };
+
+      const response = await request(app).get("/api/search?q=boiler");
+
+      expect(response.status).toBe(403);
+      expect(GlobalSearchService.search).not.toHaveBeenCalled();
+    });
+  });
+});
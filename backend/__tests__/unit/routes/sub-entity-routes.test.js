@@ -0,0 +1,226 @@
+/**
+ * Unit Tests: Sub-Entity Routes (invoice line items)
+ *
+ * Exercises routes/sub-entity-router.js as mounted by the route loader at
+ * /api/invoices/:id/line_items. Parent access, permission checks and body
+ * validation are REAL; GenericEntityService and the DB pool are mocked.
+ */
+
+const request = require("supertest");
+const express = require("express");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  pool: { query: jest.fn(), totalCount: 0, options: { max: 10 } },
+}));
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+
+jest.mock("../../../services/entity/generic-entity-service", () => {
+  const allMetadata = jest.requireActual("../../../config/models");
+  return {
+    findAll: jest.fn(),
+    findById: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+    requireEntityMetadata: jest.fn((entityName) => allMetadata[entityName]),
+  };
+});
+
+// Authenticated dispatcher; permissions come from the mutable mockGrants set
+const mockGrants = new Set();
+jest.mock("../../../middleware/auth", () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { userId: 7 };
+    req.dbUser = { id: 7, role: "dispatcher", tenant_id: 1 };
+    req.permissions = {
+      hasPermission: (resource, operation) => mockGrants.has(`${resource}:${operation}`),
+    };
+    next();
+  },
+}));
+
+const db = require("../../../db/connection");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const { loadSubEntityRoutes } = require("../../../config/route-loader");
+
+const line = (overrides) => ({
+  id: 5,
+  invoice_id: 42,
+  description: "Compressor fan motor",
+  quantity: "2.00",
+  unit_price: "89.50",
+  tax_rate: "8.25",
+  ...overrides,
+});
+
+describe("Sub-entity routes: /api/invoices/:id/line_items", () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    for (const { path, router } of loadSubEntityRoutes()) {
+      app.use(path, router);
+    }
+    app.use((err, req, res, _next) => {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGrants.clear();
+    mockGrants.add("invoices:read").add("invoices:update");
+    // Parent invoice 42 exists and passes RLS
+    db.pool.query.mockResolvedValue({ rows: [{ id: 42 }] });
+  });
+
+  it("should mount line items under their parent invoice", () => {
+    expect(loadSubEntityRoutes().map((r) => [r.path, r.entityName])).toContainEqual([
+      "/api/invoices/:id/line_items",
+      "invoice_line_item",
+    ]);
+  });
+
+  describe("GET /", () => {
+    it("should list only the parent invoice's lines", async () => {
+      GenericEntityService.findAll.mockResolvedValue({
+        data: [line()],
+        pagination: { page: 1, limit: 50, total: 1 },
+      });
+
+      const res = await request(app).get("/api/invoices/42/line_items");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(GenericEntityService.findAll).toHaveBeenCalledWith(
+        "invoice_line_item",
+        expect.objectContaining({
+          filters: { invoice_id: 42 },
+          rlsContext: expect.objectContaining({ resource: "invoice_line_items" }),
+        }),
+      );
+    });
+
+    it("should 404 when the invoice is not accessible", async () => {
+      db.pool.query.mockResolvedValue({ rows: [] });
+
+      const res = await request(app).get("/api/invoices/42/line_items");
+
+      expect(res.status).toBe(404);
+      expect(GenericEntityService.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /", () => {
+    it("should take invoice_id from the URL, not the body", async () => {
+      GenericEntityService.create.mockImplementation(async (entity, data) => ({ id: 5, ...data }));
+
+      const res = await request(app)
+        .post("/api/invoices/42/line_items")
+        .send({ description: "Labour", quantity: 4, unit_price: 95, invoice_id: 99 });
+
+      expect(res.status).toBe(201);
+      expect(GenericEntityService.create).toHaveBeenCalledWith(
+        "invoice_line_item",
+        expect.objectContaining({ description: "Labour", invoice_id: 42 }),
+        expect.objectContaining({
+          auditContext: expect.objectContaining({ userId: 7 }),
+          rlsContext: expect.objectContaining({
+            role: "dispatcher",
+            userId: 7,
+            tenantId: 1,
+            operation: "create",
+            resource: "invoice_line_items",
+          }),
+        }),
+      );
+    });
+
+    it("should reject a line without a unit price", async () => {
+      const res = await request(app)
+        .post("/api/invoices/42/line_items")
+        .send({ description: "Labour", quantity: 4 });
+
+      expect(res.status).toBe(400);
+      expect(GenericEntityService.create).not.toHaveBeenCalled();
+    });
+
+    it("should require update permission on the invoice", async () => {
+      mockGrants.delete("invoices:update");
+
+      const res = await request(app)
+        .post("/api/invoices/42/line_items")
+        .send({ description: "Labour", quantity: 4, unit_price: 95 });
+
+      expect(res.status).toBe(403);
+      expect(GenericEntityService.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("PATCH /:itemId", () => {
+    it("should update a line of this invoice", async () => {
+      GenericEntityService.findById.mockResolvedValue(line());
+      GenericEntityService.update.mockResolvedValue(line({ quantity: "3.00" }));
+
+      const res = await request(app)
+        .patch("/api/invoices/42/line_items/5")
+        .send({ quantity: 3 });
+
+      expect(res.status).toBe(200);
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "invoice_line_item",
+        5,
+        { quantity: 3 },
+        expect.any(Object),
+      );
+    });
+
+    it("should 404 for a line that belongs to another invoice", async () => {
+      GenericEntityService.findById.mockResolvedValue(line({ invoice_id: 43 }));
+
+      const res = await request(app)
+        .patch("/api/invoices/42/line_items/5")
+        .send({ quantity: 3 });
+
+      expect(res.status).toBe(404);
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("DELETE /:itemId", () => {
+    it("should delete a line of this invoice", async () => {
+      GenericEntityService.findById.mockResolvedValue(line());
+      GenericEntityService.delete.mockResolvedValue(line());
+
+      const res = await request(app).delete("/api/invoices/42/line_items/5");
+
+      expect(res.status).toBe(200);
+      expect(GenericEntityService.delete).toHaveBeenCalledWith(
+        "invoice_line_item",
+        5,
+        expect.objectContaining({ rlsContext: expect.any(Object) }),
+      );
+    });
+
+    it("should 404 when the line is missing", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const res = await request(app).delete("/api/invoices/42/line_items/5");
+
+      expect(res.status).toBe(404);
+      expect(GenericEntityService.delete).not.toHaveBeenCalled();
+    });
+  });
+});
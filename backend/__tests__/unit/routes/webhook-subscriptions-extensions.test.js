@@ -0,0 +1,163 @@
+/**
+ * Webhook Subscription Extension Routes - Unit Tests
+ *
+ * Tests the per-subscription delivery log: parent access, ownership of the
+ * delivery and redelivery
+ *
+ * KISS: Test endpoint behavior, mock service
+ */
+
+const request = require("supertest");
+const express = require("express");
+const webhookSubscriptionsRouter = require("../../../routes/webhook-subscriptions-extensions");
+const WebhookDeliveryService = require("../../../services/integrations/webhook-delivery-service");
+const AuditService = require("../../../services/audit/audit-service");
+const AppError = require("../../../utils/app-error");
+
+// Mock dependencies
+jest.mock("../../../services/integrations/webhook-delivery-service");
+jest.mock("../../../services/audit/audit-service");
+jest.mock("../../../middleware/generic-entity", () => ({
+  attachEntity: () => (req, res, next) => next(),
+}));
+jest.mock("../../../middleware/auth", () => {
+  const passMiddleware = (req, res, next) => {
+    req.dbUser = { id: 7, role: "admin", tenant_id: 2 };
+    next();
+  };
+  return {
+    authenticateToken: passMiddleware,
+    requirePermission: () => (req, res, next) => next(),
+  };
+});
+// Subscription 3 is in the caller's tenant; any other id fails its RLS
+jest.mock("../../../middleware/sub-entity", () => {
+  const AppError = require("../../../utils/app-error");
+  return {
+    requireParentAccess: () => (req, res, next) =>
+      req.validated.id === 3
+        ? next()
+        : next(new AppError("webhook_subscription not found", 404, "RESOURCE_NOT_FOUND")),
+  };
+});
+
+describe("Webhook Subscription Extension Routes", () => {
+  let app;
+
+  const delivery = (overrides) => ({
+    id: 9,
+    subscription_id: 3,
+    event: "work_order.updated",
+    status: "failed",
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/webhook_subscriptions", webhookSubscriptionsRouter);
+
+    // Error handler honours AppError statusCode like server.js
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({
+        success: false,
+        error: err.message,
+        code: err.code,
+      });
+    });
+  });
+
+  describe("GET /api/webhook_subscriptions/:id/deliveries", () => {
+    test("should list the subscription's deliveries", async () => {
+      WebhookDeliveryService.list.mockResolvedValueOnce({
+        data: [delivery()],
+        pagination: { page: 1, limit: 50, total: 1 },
+      });
+
+      const response = await request(app).get("/api/webhook_subscriptions/3/deliveries?status=failed");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, count: 1, data: [{ id: 9 }] });
+      expect(WebhookDeliveryService.list).toHaveBeenCalledWith({
+        page: 1,
+        limit: 50,
+        status: "failed",
+        subscriptionId: 3,
+      });
+    });
+
+    test("should reject an unknown status with 400", async () => {
+      const response = await request(app).get("/api/webhook_subscriptions/3/deliveries?status=lost");
+
+      expect(response.status).toBe(400);
+      expect(WebhookDeliveryService.list).not.toHaveBeenCalled();
+    });
+
+    test("should answer 404 for a subscription outside the caller's tenant", async () => {
+      const response = await request(app).get("/api/webhook_subscriptions/4/deliveries");
+
+      expect(response.status).toBe(404);
+      expect(WebhookDeliveryService.list).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/webhook_subscriptions/:id/deliveries/:deliveryId", () => {
+    test("should return a delivery of the subscription", async () => {
+      WebhookDeliveryService.findById.mockResolvedValueOnce(delivery());
+
+      const response = await request(app).get("/api/webhook_subscriptions/3/deliveries/9");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: 9, subscription_id: 3 });
+      expect(WebhookDeliveryService.findById).toHaveBeenCalledWith(9);
+    });
+
+    test("should answer 404 for another subscription's delivery", async () => {
+      WebhookDeliveryService.findById.mockResolvedValueOnce(delivery({ subscription_id: 8 }));
+
+      const response = await request(app).get("/api/webhook_subscriptions/3/deliveries/9");
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("POST /api/webhook_subscriptions/:id/deliveries/:deliveryId/redeliver", () => {
+    test("should queue the redelivery and audit it", async () => {
+      WebhookDeliveryService.findById.mockResolvedValueOnce(delivery());
+      WebhookDeliveryService.redeliver.mockResolvedValueOnce(delivery({ status: "pending" }));
+
+      const response = await request(app).post("/api/webhook_subscriptions/3/deliveries/9/redeliver");
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe("Webhook delivery 9 queued for redelivery");
+      expect(WebhookDeliveryService.redeliver).toHaveBeenCalledWith(9, { userId: 7 });
+      expect(AuditService.log).toHaveBeenCalledWith(
+        expect.objectContaining({ resourceType: "webhook_deliveries", resourceId: 9, userId: 7 }),
+      );
+    });
+
+    test("should not redeliver another subscription's delivery", async () => {
+      WebhookDeliveryService.findById.mockResolvedValueOnce(delivery({ subscription_id: 8 }));
+
+      const response = await request(app).post("/api/webhook_subscriptions/3/deliveries/9/redeliver");
+
+      expect(response.status).toBe(404);
+      expect(WebhookDeliveryService.redeliver).not.toHaveBeenCalled();
+    });
+
+    test("should pass service errors through", async () => {
+      WebhookDeliveryService.findById.mockResolvedValueOnce(delivery({ status: "pending" }));
+      WebhookDeliveryService.redeliver.mockRejectedValueOnce(
+        new AppError("Webhook delivery 9 is pending and cannot be redelivered", 409, "RESOURCE_CONFLICT"),
+      );
+
+      const response = await request(app).post("/api/webhook_subscriptions/3/deliveries/9/redeliver");
+
+      expect(response.status).toBe(409);
+      expect(AuditService.log).not.toHaveBeenCalled();
+    });
+  });
+});
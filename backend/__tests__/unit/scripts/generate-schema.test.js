@@ -178,6 +178,32 @@ describe("generate-schema normalize phase", () => {
       expect(colNames).toContain("updated_at");
     });
 
+    it("adds an indexed tenant_id referencing tenants to tenant-scoped entities", () => {
+      const entity = normalizeEntity(mockRaw);
+      const tenantCol = entity.columns.find((c) => c.name === "tenant_id");
+
+      expect(tenantCol).toMatchObject({ sqlType: "INTEGER", references: "tenants(id)" });
+      expect(tenantCol.constraints).toEqual(["DEFAULT 1", "NOT NULL"]);
+      expect(entity.indexes).toContain("tenant_id");
+    });
+
+    it("adds a version column (ETag source) except to system tables", () => {
+      const entity = normalizeEntity(mockRaw);
+      const versionCol = entity.columns.find((c) => c.name === "version");
+
+      expect(versionCol).toMatchObject({ sqlType: "INTEGER", constraints: ["DEFAULT 1", "NOT NULL"] });
+      expect(
+        normalizeEntity({ ...mockRaw, isSystemTable: true }).columns.map((c) => c.name),
+      ).not.toContain("version");
+    });
+
+    it("omits tenant_id for platform entities", () => {
+      const entity = normalizeEntity({ ...mockRaw, traits: ["platform"] });
+
+      expect(entity.columns.map((c) => c.name)).not.toContain("tenant_id");
+      expect(entity.indexes).not.toContain("tenant_id");
+    });
+
     it("includes name pattern columns", () => {
       const entity = normalizeEntity(mockRaw);
       const colNames = entity.columns.map((c) => c.name);
@@ -214,6 +240,19 @@ describe("generate-schema normalize phase", () => {
       expect(entity.indexes).toContain("description");
     });
 
+    it("indexes an identity unique per tenant on (tenant_id, identity)", () => {
+      const entity = normalizeEntity({
+        ...mockRaw,
+        identityFieldUnique: false,
+        searchableFields: ["name"],
+        uniqueConstraints: [{ name: "uq_test_entities_tenant_name", fields: ["tenant_id", "name"] }],
+      });
+
+      expect(entity.indexes).toContainEqual({ column: "name", columns: ["tenant_id", "name"] });
+      expect(entity.indexes).not.toContain("name");
+      expect(entity.columns.find((c) => c.name === "name").constraints).not.toContain("UNIQUE");
+    });
+
     it("generates indexes for foreign key fields", () => {
       const rawWithFk = {
         ...mockRaw,
@@ -226,6 +265,35 @@ describe("generate-schema normalize phase", () => {
 
       expect(entity.indexes).toContain("customer_id");
     });
+
+    it("adds a generated tsvector column and GIN index for FULLTEXT fields", () => {
+      const rawWithFulltext = {
+        ...mockRaw,
+        fields: {
+          ...mockRaw.fields,
+          summary: { type: "string", searchable: true, fulltext: true },
+          notes: { type: "text", searchable: true, fulltext: true },
+        },
+      };
+      const entity = normalizeEntity(rawWithFulltext);
+      const vectorCol = entity.columns.find((c) => c.name === "search_vector");
+
+      expect(vectorCol).toMatchObject({
+        sqlType: "TSVECTOR",
+        constraints: [],
+        generatedAs: "to_tsvector('english', COALESCE(summary, '') || ' ' || COALESCE(notes, ''))",
+      });
+      expect(vectorCol.order).toBeGreaterThan(Math.max(
+        ...entity.columns.filter((c) => c !== vectorCol).map((c) => c.order),
+      ));
+      expect(entity.indexes).toContainEqual({ column: "search_vector", using: "GIN" });
+    });
+
+    it("adds no tsvector column without FULLTEXT fields", () => {
+      const entity = normalizeEntity(mockRaw);
+
+      expect(entity.columns.map((c) => c.name)).not.toContain("search_vector");
+    });
   });
 });
 
@@ -387,6 +455,21 @@ describe("generate-schema generate phase", () => {
       expect(idPos).toBeLessThan(namePos);
     });
 
+    it("adds the version trigger to tables with a version column", () => {
+      const versioned = {
+        ...mockEntity,
+        columns: [
+          ...mockEntity.columns,
+          { name: "version", sqlType: "INTEGER", constraints: ["DEFAULT 1", "NOT NULL"], order: 7 },
+        ],
+      };
+
+      expect(generateTableSql(versioned)).toContain(
+        "CREATE TRIGGER trg_users_version BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION bump_row_version();",
+      );
+      expect(generateTableSql(mockEntity)).not.toContain("TRIGGER");
+    });
+
     it("emits ALTER TABLE ADD CONSTRAINT UNIQUE for uniqueConstraints", () => {
       const entity = {
         entityKey: "customer_unit",
@@ -419,6 +502,28 @@ describe("generate-schema generate phase", () => {
       expect(indexes[1]).toContain("CREATE INDEX IF NOT EXISTS idx_users_customer_id");
     });
 
+    it("generates USING <method> for { column, using } index entries", () => {
+      const entity = {
+        tableName: "units",
+        indexes: [{ column: "search_vector", using: "GIN" }],
+      };
+
+      expect(generateIndexSql(entity)).toEqual([
+        "CREATE INDEX IF NOT EXISTS idx_units_search_vector ON units USING GIN (search_vector);",
+      ]);
+    });
+
+    it("generates a composite index for { column, columns } entries", () => {
+      const entity = {
+        tableName: "organizations",
+        indexes: [{ column: "name", columns: ["tenant_id", "name"] }],
+      };
+
+      expect(generateIndexSql(entity)).toEqual([
+        "CREATE INDEX IF NOT EXISTS idx_organizations_name ON organizations(tenant_id, name);",
+      ]);
+    });
+
     it("returns empty array when no indexes", () => {
       const entity = { tableName: "users", indexes: [] };
       const indexes = generateIndexSql(entity);
@@ -506,7 +611,7 @@ describe("generate-schema CONFIG", () => {
 
   it("TIER1_COLUMNS has expected fields", () => {
     const names = CONFIG.TIER1_COLUMNS.map((c) => c.name);
-    expect(names).toEqual(["id", "is_active", "created_at", "updated_at"]);
+    expect(names).toEqual(["id", "is_active", "created_at", "updated_at", "tenant_id", "version"]);
   });
 
   it("TABLE_OVERRIDES includes inventory", () => {
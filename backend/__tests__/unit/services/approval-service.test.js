@@ -0,0 +1,334 @@
+/**
+ * Approval Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../config/action-handlers", () => ({
+  executeAction: jest.fn().mockResolvedValue({ success: true }),
+}));
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  create: jest.fn(),
+  update: jest.fn(),
+  findById: jest.fn(),
+}));
+
+const db = require("../../../db/connection");
+const { executeAction } = require("../../../config/action-handlers");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const ApprovalService = require("../../../services/entity/approval-service");
+const AppError = require("../../../utils/app-error");
+
+const NOW = new Date("2026-03-01T12:00:00Z");
+
+const pendingRequest = (overrides) => ({
+  id: 9,
+  target_entity: "invoice",
+  target_id: "42",
+  target_field: "status",
+  proposed_value: "sent",
+  approver_role: "manager",
+  approval_chain: [
+    { approver: "manager", timeout: 48 },
+    { approver: "admin", timeout: 48 },
+  ],
+  current_step: 0,
+  on_timeout: "escalate",
+  target_version: "abc123",
+  decision_history: [],
+  requested_by: 5,
+  status: "pending",
+  ...overrides,
+});
+
+/**
+ * Fake transaction client: answers the request lock query with `locked`
+ * and the duplicate lookup with `duplicate`.
+ */
+const mockClient = ({ locked, duplicate } = {}) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes("FOR UPDATE")) {
+      return { rows: locked ? [locked] : [] };
+    }
+    if (sql.includes("proposed_value::jsonb")) {
+      return { rows: duplicate ? [{ id: duplicate }] : [] };
+    }
+    return { rows: [] };
+  }),
+  release: jest.fn(),
+});
+
+const notifications = () => executeAction.mock.calls.map(([action]) => action);
+
+describe("ApprovalService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    GenericEntityService.update.mockImplementation(async (entity, id, changes) => ({
+      id,
+      ...changes,
+    }));
+  });
+
+  describe("requestApproval", () => {
+    const approvalInfo = {
+      approver: "manager",
+      timeout: 48,
+      onTimeout: "escalate",
+      chain: [
+        { approver: "manager", timeout: 48 },
+        { approver: "admin", timeout: 48 },
+      ],
+      targetEntity: "invoice",
+      targetId: 42,
+      targetField: "status",
+      previousValue: "draft",
+      proposedValue: "sent",
+    };
+
+    it("should create a pending request for the first step and notify its approvers", async () => {
+      db.getClient.mockResolvedValue(mockClient());
+      GenericEntityService.create.mockResolvedValue({ id: 9 });
+
+      const result = await ApprovalService.requestApproval(approvalInfo, {
+        record: { id: 42, version: 3 },
+        requestedBy: 5,
+        now: NOW,
+      });
+
+      expect(result).toEqual({ id: 9 });
+      expect(GenericEntityService.create).toHaveBeenCalledWith(
+        "approval_request",
+        expect.objectContaining({
+          target_entity: "invoice",
+          target_id: "42",
+          previous_value: "draft",
+          proposed_value: "sent",
+          approver_role: "manager",
+          approval_chain: approvalInfo.chain,
+          current_step: 0,
+          on_timeout: "escalate",
+          expires_at: new Date("2026-03-03T12:00:00Z"),
+          target_version: "3",
+          requested_by: 5,
+        }),
+        expect.objectContaining({ user: 5 }),
+      );
+      expect(notifications()).toEqual([
+        expect.objectContaining({
+          template: "approval_required",
+          recipient: { match: "role_id", value: { role: "manager" } },
+        }),
+      ]);
+    });
+
+    it("should return the pending duplicate instead of creating another", async () => {
+      db.getClient.mockResolvedValue(mockClient({ duplicate: 3 }));
+      GenericEntityService.findById.mockResolvedValue({ id: 3 });
+
+      const result = await ApprovalService.requestApproval(approvalInfo, {
+        record: { id: 42 },
+        requestedBy: 5,
+        now: NOW,
+      });
+
+      expect(result).toEqual({ id: 3 });
+      expect(GenericEntityService.create).not.toHaveBeenCalled();
+      expect(executeAction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("decide", () => {
+    const decide = (options) =>
+      ApprovalService.decide(9, { userId: 7, role: "manager", now: NOW, ...options });
+
+    it("should return null when the request does not exist", async () => {
+      db.getClient.mockResolvedValue(mockClient());
+
+      await expect(decide({ decision: "approve" })).resolves.toBeNull();
+    });
+
+    it("should reject decisions on a closed request with 409", async () => {
+      db.getClient.mockResolvedValue(mockClient({ locked: pendingRequest({ status: "expired" }) }));
+
+      await expect(decide({ decision: "approve" })).rejects.toMatchObject({
+        statusCode: 409,
+        code: "RESOURCE_CONFLICT",
+      });
+    });
+
+    it("should reject a role below the step's approver with 403", async () => {
+      db.getClient.mockResolvedValue(mockClient({ locked: pendingRequest() }));
+
+      await expect(decide({ decision: "approve", role: "dispatcher" })).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+
+    it("should advance to the next step and notify its approvers", async () => {
+      db.getClient.mockResolvedValue(mockClient({ locked: pendingRequest() }));
+
+      const result = await decide({ decision: "approve", notes: "ok" });
+
+      expect(result).toMatchObject({
+        current_step: 1,
+        approver_role: "admin",
+        expires_at: new Date("2026-03-03T12:00:00Z"),
+        decision_history: [
+          expect.objectContaining({ step: 0, action: "approved", user_id: 7, notes: "ok" }),
+        ],
+      });
+      expect(GenericEntityService.update).toHaveBeenCalledTimes(1);
+      expect(notifications()).toEqual([
+        expect.objectContaining({
+          template: "approval_required",
+          recipient: { match: "role_id", value: { role: "admin" } },
+        }),
+      ]);
+    });
+
+    it("should refuse a second step by the user who approved the first", async () => {
+      db.getClient.mockResolvedValue(
+        mockClient({
+          locked: pendingRequest({
+            current_step: 1,
+            approver_role: "admin",
+            decision_history: [{ step: 0, action: "approved", user_id: 7 }],
+          }),
+        }),
+      );
+
+      await expect(decide({ decision: "approve", role: "admin" })).rejects.toThrow(
+        "Each approval step must be decided by a different user",
+      );
+    });
+
+    it("should apply the change with the stored version on the last step", async () => {
+      db.getClient.mockResolvedValue(
+        mockClient({ locked: pendingRequest({ current_step: 1, approver_role: "admin" }) }),
+      );
+
+      const result = await decide({ decision: "approve", role: "admin" });
+
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "invoice",
+        "42",
+        { status: "sent" },
+        expect.objectContaining({ expectedVersion: "abc123", approvalGranted: true, user: 7 }),
+      );
+      expect(result).toMatchObject({ status: "approved", approved_by: 7, decided_at: NOW });
+      expect(notifications()).toEqual([
+        expect.objectContaining({
+          template: "approval_decided",
+          recipient: { match: "id", value: { field: "requested_by" } },
+        }),
+      ]);
+    });
+
+    it("should answer 409 when the target changed since the request", async () => {
+      db.getClient.mockResolvedValue(
+        mockClient({ locked: pendingRequest({ current_step: 1, approver_role: "admin" }) }),
+      );
+      GenericEntityService.update.mockRejectedValueOnce(
+        new AppError("Version mismatch", 412, "RESOURCE_VERSION_MISMATCH", { etag: '"def"' }),
+      );
+
+      await expect(decide({ decision: "approve", role: "admin" })).rejects.toMatchObject({
+        statusCode: 409,
+        code: "RESOURCE_CONFLICT",
+      });
+    });
+
+    it("should close the request on reject without touching the target", async () => {
+      db.getClient.mockResolvedValue(mockClient({ locked: pendingRequest() }));
+
+      const result = await decide({ decision: "reject", notes: "too high" });
+
+      expect(result).toMatchObject({ status: "rejected", decision_notes: "too high" });
+      expect(GenericEntityService.update).toHaveBeenCalledTimes(1);
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "approval_request",
+        9,
+        expect.any(Object),
+        expect.objectContaining({ skipHooks: true }),
+      );
+    });
+  });
+
+  describe("processTimeouts", () => {
+    it("should escalate to the next role and expire at the top of the hierarchy", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 9 }, { id: 10 }] });
+      db.getClient
+        .mockResolvedValueOnce(mockClient({ locked: pendingRequest() }))
+        .mockResolvedValueOnce(
+          mockClient({ locked: pendingRequest({ id: 10, approver_role: "admin" }) }),
+        );
+
+      const summary = await ApprovalService.processTimeouts({ asOf: NOW });
+
+      expect(summary).toEqual({ processed: 2, escalated: 1, expired: 1, failed: 0, errors: [] });
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "approval_request",
+        9,
+        expect.objectContaining({
+          approver_role: "admin",
+          expires_at: new Date("2026-03-03T12:00:00Z"),
+        }),
+        expect.any(Object),
+      );
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "approval_request",
+        10,
+        expect.objectContaining({ status: "expired" }),
+        expect.any(Object),
+      );
+      expect(notifications().map((action) => action.template)).toEqual([
+        "approval_escalated",
+        "approval_decided",
+      ]);
+    });
+
+    it("should expire requests configured to expire", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 9 }] });
+      db.getClient.mockResolvedValue(mockClient({ locked: pendingRequest({ on_timeout: "expire" }) }));
+
+      const summary = await ApprovalService.processTimeouts({ asOf: NOW });
+
+      expect(summary).toMatchObject({ processed: 1, escalated: 0, expired: 1 });
+    });
+
+    it("should skip requests decided or locked in the meantime", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 9 }] });
+      db.getClient.mockResolvedValue(mockClient());
+
+      const summary = await ApprovalService.processTimeouts({ asOf: NOW });
+
+      expect(summary).toMatchObject({ processed: 0, failed: 0 });
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+
+    it("should record failures per request and continue", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 9 }, { id: 10 }] });
+      db.getClient
+        .mockResolvedValueOnce(mockClient({ locked: pendingRequest({ on_timeout: "expire" }) }))
+        .mockResolvedValueOnce(mockClient({ locked: pendingRequest({ id: 10, on_timeout: "expire" }) }));
+      GenericEntityService.update.mockRejectedValueOnce(new Error("db down"));
+
+      const summary = await ApprovalService.processTimeouts({ asOf: NOW });
+
+      expect(summary).toEqual({
+        processed: 1,
+        escalated: 0,
+        expired: 1,
+        failed: 1,
+        errors: [{ id: 9, error: "db down" }],
+      });
+    });
+  });
+});
@@ -247,7 +247,7 @@ describe("services/audit/audit-service.js - V2.0 Convenience Methods", () => {
         expect.stringContaining(
           "WHERE resource_type = $1 AND resource_id = $2",
         ),
-        ["contracts", 100, 50], // default limit is 50
+        ["contracts", 100, 50, null], // default limit is 50, no tenant filter
       );
     });
 
@@ -263,6 +263,7 @@ describe("services/audit/audit-service.js - V2.0 Convenience Methods", () => {
         "users",
         5,
         10,
+        null,
       ]);
     });
   });
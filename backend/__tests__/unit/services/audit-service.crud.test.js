@@ -75,6 +75,9 @@ describe("services/audit/audit-service.js - Core Operations", () => {
           "Mozilla/5.0",
           AuditResults.SUCCESS,
           null,
+          "user",
+          null,
+          null,
         ],
       );
 
@@ -88,6 +91,20 @@ describe("services/audit/audit-service.js - Core Operations", () => {
       });
     });
 
+    test("should record the given tenant, else resolve it from the acting user or credential", async () => {
+      await auditService.log({
+        action: AuditActions.USER_CREATE,
+        resourceType: ResourceTypes.USER,
+        tenantId: 2,
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("COALESCE($13::integer");
+      expect(sql).toContain("SELECT tenant_id FROM users WHERE id = $1");
+      expect(sql).toContain("SELECT tenant_id FROM service_credentials WHERE id = $12");
+      expect(params[12]).toBe(2);
+    });
+
     test("should run the INSERT on the provided transaction client, not the pool", async () => {
       const client = {
         query: jest.fn().mockResolvedValue({ rows: [], rowCount: 1 }),
@@ -153,6 +170,9 @@ describe("services/audit/audit-service.js - Core Operations", () => {
         null, // userAgent default
         AuditResults.SUCCESS, // result default
         null, // errorMessage default
+        "user", // actorType default
+        null, // serviceCredentialId default
+        null, // tenantId default (resolved from the actor in SQL)
       ]);
     });
 
@@ -215,6 +235,23 @@ describe("services/audit/audit-service.js - Core Operations", () => {
       expect(callArgs[9]).toBe("Invalid password");
     });
 
+    test("should record a service credential as the actor", async () => {
+      // Act
+      await auditService.log({
+        action: AuditActions.WORK_ORDER_UPDATE,
+        resourceType: ResourceTypes.WORK_ORDER,
+        resourceId: 9,
+        actorType: "service",
+        serviceCredentialId: 4,
+      });
+
+      // Assert
+      const callArgs = db.query.mock.calls[0][1];
+      expect(callArgs[0]).toBeNull(); // no user acted
+      expect(callArgs[10]).toBe("service");
+      expect(callArgs[11]).toBe(4);
+    });
+
     test("should handle undefined values correctly", async () => {
       // Arrange - explicitly pass undefined
       const auditData = {
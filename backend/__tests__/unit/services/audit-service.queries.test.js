@@ -57,7 +57,7 @@ describe("services/audit/audit-service.js - Query Operations", () => {
       expect(result).toEqual(mockLogs);
       expect(db.query).toHaveBeenCalledWith(
         expect.stringContaining("WHERE user_id = $1"),
-        [1, 100], // default limit
+        [1, 100, null], // default limit, no tenant filter
       );
     });
 
@@ -69,7 +69,21 @@ describe("services/audit/audit-service.js - Query Operations", () => {
       await auditService.getUserAuditTrail(5, 50);
 
       // Assert
-      expect(db.query).toHaveBeenCalledWith(expect.any(String), [5, 50]);
+      expect(db.query).toHaveBeenCalledWith(expect.any(String), [5, 50, null]);
+    });
+
+    test("should limit the trail to the caller's tenant when provided", async () => {
+      // Arrange
+      db.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await auditService.getUserAuditTrail(5, 50, 2);
+
+      // Assert
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("tenant_id = $3"),
+        [5, 50, 2],
+      );
     });
 
     test("should order results by created_at DESC", async () => {
@@ -174,7 +188,7 @@ describe("services/audit/audit-service.js - Query Operations", () => {
         expect.stringContaining(
           "WHERE resource_type = $1 AND resource_id = $2",
         ),
-        [ResourceTypes.USER, 5, 50], // default limit 50
+        [ResourceTypes.USER, 5, 50, null], // default limit 50, no tenant filter
       );
     });
 
@@ -190,8 +204,23 @@ describe("services/audit/audit-service.js - Query Operations", () => {
         ResourceTypes.ROLE,
         10,
         25,
+        null,
       ]);
     });
+
+    test("should limit the trail to the caller's tenant when provided", async () => {
+      // Arrange
+      db.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await auditService.getResourceAuditTrail(ResourceTypes.ROLE, 10, 25, 2);
+
+      // Assert
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("tenant_id = $4"),
+        [ResourceTypes.ROLE, 10, 25, 2],
+      );
+    });
   });
 
   describe("getFailedLoginAttempts()", () => {
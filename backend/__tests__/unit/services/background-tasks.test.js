@@ -9,14 +9,18 @@
 const mockConfig = {
   ENABLED: true,
   INTERVALS: {
-    IDEMPOTENCY_CLEANUP_MS: 60 * 60 * 1000, // 1 hour
-    TOKEN_CLEANUP_MS: 6 * 60 * 60 * 1000, // 6 hours
+    JOB_POLL_MS: 5 * 1000, // 5 seconds
   },
 };
 
+const mockJobsConfig = {
+  RECURRING: [{ key: 'token-cleanup', type: 'tokens.cleanup', cron: '0 */6 * * *' }],
+};
+
 jest.mock('../../../config/api-operations', () => ({
   API_OPERATIONS: {
     BACKGROUND_TASKS: mockConfig,
+    JOBS: mockJobsConfig,
   },
 }));
 
@@ -28,6 +32,14 @@ jest.mock('../../../services/auth/token-service', () => ({
   cleanupExpiredTokens: jest.fn().mockResolvedValue(3),
 }));
 
+jest.mock('../../../services/jobs/job-queue-service', () => ({
+  ensureRecurring: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../../services/jobs/job-worker', () => ({
+  runDueJobs: jest.fn().mockResolvedValue({ claimed: 0 }),
+}));
+
 jest.mock('../../../config/logger', () => ({
   logger: {
     debug: jest.fn(),
@@ -41,6 +53,8 @@ describe('background-tasks', () => {
   let backgroundTasks;
   let IdempotencyService;
   let TokenService;
+  let JobQueueService;
+  let JobWorker;
 
   beforeEach(() => {
     jest.useFakeTimers();
@@ -53,6 +67,7 @@ describe('background-tasks', () => {
     jest.doMock('../../../config/api-operations', () => ({
       API_OPERATIONS: {
         BACKGROUND_TASKS: mockConfig,
+        JOBS: mockJobsConfig,
       },
     }));
 
@@ -64,6 +79,14 @@ describe('background-tasks', () => {
       cleanupExpiredTokens: jest.fn().mockResolvedValue(3),
     }));
 
+    jest.doMock('../../../services/jobs/job-queue-service', () => ({
+      ensureRecurring: jest.fn().mockResolvedValue([]),
+    }));
+
+    jest.doMock('../../../services/jobs/job-worker', () => ({
+      runDueJobs: jest.fn().mockResolvedValue({ claimed: 0 }),
+    }));
+
     jest.doMock('../../../config/logger', () => ({
       logger: {
         debug: jest.fn(),
@@ -77,6 +100,8 @@ describe('background-tasks', () => {
     backgroundTasks = require('../../../services/admin/background-tasks');
     IdempotencyService = require('../../../services/utils/idempotency-service');
     TokenService = require('../../../services/auth/token-service');
+    JobQueueService = require('../../../services/jobs/job-queue-service');
+    JobWorker = require('../../../services/jobs/job-worker');
   });
 
   afterEach(() => {
@@ -96,16 +121,23 @@ describe('background-tasks', () => {
       backgroundTasks.start();
 
       expect(logger.info).toHaveBeenCalledWith(
-        expect.stringContaining('Starting scheduled'),
+        expect.stringContaining('Starting job worker'),
       );
       expect(logger.info).toHaveBeenCalledWith(
         expect.stringContaining('registered'),
         expect.objectContaining({
-          tasks: expect.arrayContaining(['idempotency', 'tokens']),
+          tasks: ['jobWorker'],
+          recurringJobs: ['token-cleanup (0 */6 * * *)'],
         }),
       );
     });
 
+    test('ensures recurring jobs are queued on start', () => {
+      backgroundTasks.start();
+
+      expect(JobQueueService.ensureRecurring).toHaveBeenCalledWith(mockJobsConfig.RECURRING);
+    });
+
     test('is idempotent (second call is no-op)', () => {
       const { logger } = require('../../../config/logger');
 
@@ -115,57 +147,67 @@ describe('background-tasks', () => {
       expect(logger.warn).toHaveBeenCalledWith(
         expect.stringContaining('Already running'),
       );
+      expect(JobQueueService.ensureRecurring).toHaveBeenCalledTimes(1);
     });
 
-    test('executes idempotency cleanup on interval', async () => {
+    test('polls the job worker on interval', async () => {
       backgroundTasks.start();
 
       // Should not have been called yet
-      expect(IdempotencyService.cleanup).not.toHaveBeenCalled();
+      expect(JobWorker.runDueJobs).not.toHaveBeenCalled();
 
       // Advance past first interval
-      jest.advanceTimersByTime(mockConfig.INTERVALS.IDEMPOTENCY_CLEANUP_MS);
+      jest.advanceTimersByTime(mockConfig.INTERVALS.JOB_POLL_MS);
 
       // Wait for promise to resolve
       await Promise.resolve();
 
-      expect(IdempotencyService.cleanup).toHaveBeenCalledTimes(1);
+      expect(JobWorker.runDueJobs).toHaveBeenCalledTimes(1);
     });
 
-    test('executes token cleanup on interval', async () => {
+    test('skips a poll while the previous one is still running', async () => {
+      let finish;
+      JobWorker.runDueJobs.mockImplementationOnce(
+        () => new Promise((resolve) => { finish = resolve; }),
+      );
+
       backgroundTasks.start();
 
-      expect(TokenService.cleanupExpiredTokens).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(mockConfig.INTERVALS.JOB_POLL_MS);
+      jest.advanceTimersByTime(mockConfig.INTERVALS.JOB_POLL_MS);
+      await Promise.resolve();
 
-      jest.advanceTimersByTime(mockConfig.INTERVALS.TOKEN_CLEANUP_MS);
+      expect(JobWorker.runDueJobs).toHaveBeenCalledTimes(1);
+
+      finish();
+      await new Promise(jest.requireActual('timers').setImmediate);
+
+      jest.advanceTimersByTime(mockConfig.INTERVALS.JOB_POLL_MS);
       await Promise.resolve();
 
-      expect(TokenService.cleanupExpiredTokens).toHaveBeenCalledTimes(1);
+      expect(JobWorker.runDueJobs).toHaveBeenCalledTimes(2);
     });
 
     test('continues running after task failure', async () => {
       const { logger } = require('../../../config/logger');
-      IdempotencyService.cleanup.mockRejectedValueOnce(new Error('DB error'));
+      JobWorker.runDueJobs.mockRejectedValueOnce(new Error('DB error'));
 
       backgroundTasks.start();
 
       // First interval - will fail
-      jest.advanceTimersByTime(mockConfig.INTERVALS.IDEMPOTENCY_CLEANUP_MS);
-      await Promise.resolve();
+      jest.advanceTimersByTime(mockConfig.INTERVALS.JOB_POLL_MS);
+      await new Promise(jest.requireActual('timers').setImmediate);
 
       expect(logger.error).toHaveBeenCalledWith(
         expect.stringContaining('failed'),
         expect.objectContaining({ error: 'DB error' }),
       );
 
-      // Reset mock for next success
-      IdempotencyService.cleanup.mockResolvedValue(5);
-
       // Second interval - should still work
-      jest.advanceTimersByTime(mockConfig.INTERVALS.IDEMPOTENCY_CLEANUP_MS);
+      jest.advanceTimersByTime(mockConfig.INTERVALS.JOB_POLL_MS);
       await Promise.resolve();
 
-      expect(IdempotencyService.cleanup).toHaveBeenCalledTimes(2);
+      expect(JobWorker.runDueJobs).toHaveBeenCalledTimes(2);
     });
   });
 
@@ -205,11 +247,11 @@ describe('background-tasks', () => {
       backgroundTasks.stop();
 
       // Advance time past interval
-      jest.advanceTimersByTime(mockConfig.INTERVALS.IDEMPOTENCY_CLEANUP_MS * 2);
+      jest.advanceTimersByTime(mockConfig.INTERVALS.JOB_POLL_MS * 2);
       await Promise.resolve();
 
       // Should not have been called (intervals cleared)
-      expect(IdempotencyService.cleanup).not.toHaveBeenCalled();
+      expect(JobWorker.runDueJobs).not.toHaveBeenCalled();
     });
   });
 
@@ -273,6 +315,7 @@ describe('background-tasks', () => {
             ENABLED: false,
             INTERVALS: mockConfig.INTERVALS,
           },
+          JOBS: mockJobsConfig,
         },
       }));
 
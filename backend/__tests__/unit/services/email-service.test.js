@@ -0,0 +1,193 @@
+/**
+ * Email Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../services/notifications/transports", () => ({
+  getEmailTransport: jest.fn(),
+}));
+
+const db = require("../../../db/connection");
+const { getEmailTransport } = require("../../../services/notifications/transports");
+const EmailService = require("../../../services/notifications/email-service");
+const AppError = require("../../../utils/app-error");
+
+const notification = (overrides) => ({
+  id: 11,
+  user_id: 5,
+  title: "Invoice Needs Approval",
+  body: "invoice #7 is awaiting your approval",
+  template: "approval_required",
+  resource_type: "invoice",
+  resource_id: 7,
+  email_status: "pending",
+  email_attempts: 0,
+  email: "jo@example.com",
+  first_name: "Jo",
+  last_name: "Smith",
+  is_active: true,
+  notifications_enabled: true,
+  ...overrides,
+});
+
+/** The email_* columns written by the last UPDATE notifications */
+const recorded = () => {
+  const [sql, params] = db.query.mock.calls.at(-1);
+  const columns = [...sql.matchAll(/(email_\w+) = \$/g)].map(([, column]) => column);
+  return Object.fromEntries(columns.map((column, index) => [column, params[index]]));
+};
+
+describe("EmailService", () => {
+  let transport;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.FRONTEND_URL = "https://app.tross.com";
+    transport = { name: "file", send: jest.fn().mockResolvedValue({ response: "stored" }) };
+    getEmailTransport.mockReturnValue(transport);
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterAll(() => {
+    delete process.env.FRONTEND_URL;
+  });
+
+  describe("deliverNotification", () => {
+    it("should send the rendered email and record it as sent", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification()] });
+
+      const result = await EmailService.deliverNotification(11, { attempt: 1, maxAttempts: 5 });
+
+      expect(result).toEqual({ notificationId: 11, status: "sent" });
+      const [{ from, to, raw }] = transport.send.mock.calls[0];
+      expect(from).toBe("no-reply@localhost");
+      expect(to).toBe("jo@example.com");
+      expect(raw).toContain("Subject: Approval needed: Invoice Needs Approval");
+      expect(raw).toContain('To: "Jo Smith" <jo@example.com>');
+      expect(raw).toContain("Message-ID: <notification-11@localhost>");
+      expect(recorded()).toEqual({
+        email_status: "sent",
+        email_attempts: 1,
+        email_error: null,
+        email_sent_at: expect.any(Date),
+        email_message_id: "<notification-11@localhost>",
+      });
+    });
+
+    it("should render the email in the recipient's locale", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification({ locale: "es" })] });
+
+      await EmailService.deliverNotification(11);
+
+      const [sql] = db.query.mock.calls[0];
+      expect(sql).toContain("p.locale");
+      const [{ raw }] = transport.send.mock.calls[0];
+      expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from("Aprobación necesaria: Invoice Needs Approval").toString("base64")}?=`);
+    });
+
+    it("should skip recipients who opted out without sending", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification({ notifications_enabled: false })] });
+
+      const result = await EmailService.deliverNotification(11);
+
+      expect(result).toMatchObject({ status: "skipped", reason: "Recipient opted out of notifications" });
+      expect(transport.send).not.toHaveBeenCalled();
+      expect(recorded()).toEqual({
+        email_status: "skipped",
+        email_error: "Recipient opted out of notifications",
+      });
+    });
+
+    it("should send when the recipient has no preferences row", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification({ notifications_enabled: null })] });
+
+      await expect(EmailService.deliverNotification(11)).resolves.toMatchObject({ status: "sent" });
+    });
+
+    it("should skip when no transport is configured", async () => {
+      getEmailTransport.mockReturnValue(null);
+      db.query.mockResolvedValueOnce({ rows: [notification()] });
+
+      const result = await EmailService.deliverNotification(11);
+
+      expect(result).toMatchObject({ status: "skipped", reason: "Email transport not configured" });
+    });
+
+    it("should not resend a notification that was already settled", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification({ email_status: "sent" })] });
+
+      const result = await EmailService.deliverNotification(11);
+
+      expect(result).toEqual({ notificationId: 11, status: "sent" });
+      expect(transport.send).not.toHaveBeenCalled();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("should record a permanent rejection as bounced without retrying", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification()] });
+      transport.send.mockRejectedValue(
+        new AppError("SMTP RCPT TO failed: 550 5.1.1 No such user", 502, "SERVER_UNAVAILABLE", {
+          responseCode: 550,
+          permanent: true,
+        }),
+      );
+
+      const result = await EmailService.deliverNotification(11, { attempt: 1, maxAttempts: 5 });
+
+      expect(result).toMatchObject({ status: "bounced" });
+      expect(recorded()).toEqual({
+        email_status: "bounced",
+        email_attempts: 1,
+        email_error: "SMTP RCPT TO failed: 550 5.1.1 No such user",
+      });
+    });
+
+    it("should keep a transient failure pending and rethrow so the job retries", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification({ email_attempts: 1 })] });
+      transport.send.mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+      await expect(
+        EmailService.deliverNotification(11, { attempt: 2, maxAttempts: 5 }),
+      ).rejects.toThrow("connect ECONNREFUSED");
+      expect(recorded()).toEqual({
+        email_status: "pending",
+        email_attempts: 2,
+        email_error: "connect ECONNREFUSED",
+      });
+    });
+
+    it("should record failed on the last attempt", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification({ email_attempts: 4 })] });
+      transport.send.mockRejectedValue(new Error("SMTP timeout after 30000ms"));
+
+      await expect(
+        EmailService.deliverNotification(11, { attempt: 5, maxAttempts: 5 }),
+      ).rejects.toThrow();
+      expect(recorded()).toMatchObject({ email_status: "failed", email_attempts: 5 });
+    });
+
+    it("should resend a failed notification (admin job retry)", async () => {
+      db.query.mockResolvedValueOnce({ rows: [notification({ email_status: "failed", email_attempts: 5 })] });
+
+      const result = await EmailService.deliverNotification(11, { attempt: 1, maxAttempts: 5 });
+
+      expect(result).toMatchObject({ status: "sent" });
+      expect(recorded()).toMatchObject({ email_attempts: 6 });
+    });
+
+    it("should return missing for a deleted notification", async () => {
+      await expect(EmailService.deliverNotification(99)).resolves.toEqual({
+        notificationId: 99,
+        status: "missing",
+      });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Email Transports Unit Tests
+ *
+ * SMTP runs against a local in-process SMTP stand-in (net server);
+ * the maildir transport writes into a temp directory.
+ */
+
+const fs = require("fs/promises");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { createSmtpTransport } = require("../../../services/notifications/transports/smtp");
+const { createFileTransport } = require("../../../services/notifications/transports/file");
+const { getEmailTransport } = require("../../../services/notifications/transports");
+
+const RAW = "Subject: Hi\r\n\r\nHello\r\n.leading dot\r\n";
+
+/**
+ * Minimal SMTP server. `replies` overrides the reply to a command verb
+ * (e.g. { RCPT: "550 5.1.1 No such user" }).
+ */
+function startSmtpServer(replies = {}) {
+  const session = { commands: [], data: null };
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 stand-in ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (inData) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        session.data = buffer.slice(0, end + 2);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write(`${replies.DATA_END || "250 2.0.0 queued as ABC"}\r\n`);
+      }
+      let lineEnd;
+      while (!inData && (lineEnd = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        session.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        const defaults = {
+          EHLO: "250-stand-in\r\n250 AUTH PLAIN",
+          AUTH: "235 2.7.0 Authenticated",
+          MAIL: "250 2.1.0 OK",
+          RCPT: "250 2.1.5 OK",
+          DATA: "354 End data with <CR><LF>.<CR><LF>",
+          QUIT: "221 2.0.0 Bye",
+        };
+        socket.write(`${replies[verb] || defaults[verb] || "502 5.5.2 Unknown"}\r\n`);
+        if (verb === "DATA" && !replies.DATA) inData = true;
+        if (verb === "QUIT") socket.end();
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, session, port: server.address().port }));
+  });
+}
+
+describe("Email transports", () => {
+  describe("smtp", () => {
+    let smtp;
+
+    afterEach(async () => {
+      await new Promise((resolve) => smtp.server.close(resolve));
+    });
+
+    const transportFor = (options = {}) =>
+      createSmtpTransport({ host: "127.0.0.1", port: smtp.port, clientName: "tross.test", timeoutMs: 2000, ...options });
+
+    test("should deliver a message through the relay", async () => {
+      smtp = await startSmtpServer();
+
+      const result = await transportFor().send({ from: "no-reply@tross.com", to: "jo@example.com", raw: RAW });
+
+      expect(result).toEqual({ response: "250 2.0.0 queued as ABC" });
+      expect(smtp.session.commands).toEqual([
+        "EHLO tross.test",
+        "MAIL FROM:<no-reply@tross.com>",
+        "RCPT TO:<jo@example.com>",
+        "DATA",
+        "QUIT",
+      ]);
+      // Lines starting with "." are dot-stuffed on the wire
+      expect(smtp.session.data).toBe("Subject: Hi\r\n\r\nHello\r\n..leading dot\r\n");
+    });
+
+    test("should authenticate with AUTH PLAIN when credentials are set", async () => {
+      smtp = await startSmtpServer();
+
+      await transportFor({ user: "mailer", password: "s3cret" }).send({
+        from: "no-reply@tross.com",
+        to: "jo@example.com",
+        raw: RAW,
+      });
+
+      const credentials = Buffer.from("\u0000mailer\u0000s3cret").toString("base64");
+      expect(smtp.session.commands).toContain(`AUTH PLAIN ${credentials}`);
+    });
+
+    test("should flag a 5xx rejection as permanent", async () => {
+      smtp = await startSmtpServer({ RCPT: "550 5.1.1 No such user" });
+
+      const error = await transportFor()
+        .send({ from: "no-reply@tross.com", to: "nobody@example.com", raw: RAW })
+        .catch((e) => e);
+
+      expect(error.message).toBe("SMTP RCPT TO failed: 550 5.1.1 No such user");
+      expect(error.details).toEqual({ responseCode: 550, permanent: true });
+    });
+
+    test("should flag a 4xx rejection as transient", async () => {
+      smtp = await startSmtpServer({ MAIL: "451 4.3.0 Try again later" });
+
+      const error = await transportFor()
+        .send({ from: "no-reply@tross.com", to: "jo@example.com", raw: RAW })
+        .catch((e) => e);
+
+      expect(error.details).toEqual({ responseCode: 451, permanent: false });
+    });
+
+    test("should fail when the relay is unreachable", async () => {
+      smtp = await startSmtpServer();
+      const { port } = smtp;
+      await new Promise((resolve) => smtp.server.close(resolve));
+      smtp = await startSmtpServer(); // closed again in afterEach
+
+      await expect(
+        createSmtpTransport({ host: "127.0.0.1", port, timeoutMs: 2000 }).send({
+          from: "a@b.c",
+          to: "d@e.f",
+          raw: RAW,
+        }),
+      ).rejects.toThrow(/ECONNREFUSED/);
+    });
+  });
+
+  describe("file (maildir)", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), "tross-maildir-test-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test("should store each message in new/", async () => {
+      const transport = createFileTransport({ dir });
+
+      const first = await transport.send({ from: "a@b.c", to: "d@e.f", raw: RAW });
+      await transport.send({ from: "a@b.c", to: "d@e.f", raw: RAW });
+
+      expect(path.dirname(first.path)).toBe(path.join(dir, "new"));
+      expect(await fs.readFile(first.path, "utf8")).toBe(RAW);
+      expect(await fs.readdir(path.join(dir, "new"))).toHaveLength(2);
+      expect(await fs.readdir(path.join(dir, "tmp"))).toHaveLength(0);
+    });
+  });
+
+  describe("getEmailTransport()", () => {
+    test("should be off by default and for smtp without a host", () => {
+      expect(getEmailTransport({})).toBeNull();
+      expect(getEmailTransport({ EMAIL_TRANSPORT: "none" })).toBeNull();
+      expect(getEmailTransport({ EMAIL_TRANSPORT: "smtp" })).toBeNull();
+    });
+
+    test("should build the selected transport", () => {
+      expect(getEmailTransport({ EMAIL_TRANSPORT: "smtp", SMTP_HOST: "mail.example.com" }).name).toBe("smtp");
+      expect(getEmailTransport({ EMAIL_TRANSPORT: "file", EMAIL_MAILDIR: "/tmp/x" })).toMatchObject({
+        name: "file",
+        dir: path.resolve("/tmp/x"),
+      });
+    });
+  });
+});
@@ -2,11 +2,26 @@
  * Export Service Unit Tests
  */
 
+const fs = require("fs");
+const zlib = require("zlib");
+const { Writable } = require("stream");
 const ExportService = require("../../../services/data/export-service");
 
 // Mock dependencies
 jest.mock("../../../db/connection", () => ({
   query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+jest.mock("../../../services/storage/storage-service", () => ({
+  storageService: {
+    uploadFile: jest.fn(),
+    getSignedDownloadUrl: jest.fn(),
+  },
+}));
+
+jest.mock("../../../config/action-handlers", () => ({
+  executeAction: jest.fn().mockResolvedValue({ success: true }),
 }));
 
 jest.mock("../../../config/models", () => ({
@@ -35,9 +50,90 @@ jest.mock("../../../config/models", () => ({
       is_active: { label: "Active", filterable: true },
     },
   },
+  work_order: {
+    name: "work_order",
+    tableName: "work_orders",
+    defaultSort: { field: "id", order: "ASC" },
+    fieldAccess: {
+      status: { create: "customer", read: "customer", update: "customer", delete: "none" },
+      cost: { create: "manager", read: "manager", update: "manager", delete: "none" },
+    },
+    enums: {
+      status: {
+        pending: { color: "warning", label: "Pending" },
+        completed: { color: "success", label: "Completed" },
+      },
+    },
+    fields: {
+      id: { label: "ID" },
+      status: { label: "Status", type: "enum", enumKey: "status" },
+      cost: { label: "Cost" },
+      created_at: { label: "Created At", type: "timestamp" },
+    },
+  },
+  note: {
+    name: "note",
+    tableName: "notes",
+    defaultSort: { field: "id", order: "ASC" },
+    rlsRules: [
+      {
+        id: "own-notes",
+        roles: ["customer"],
+        operations: "*",
+        access: { type: "direct", field: "user_id", value: "userId" },
+      },
+    ],
+    fields: {
+      id: { label: "ID" },
+      body: { label: "Body", searchable: true },
+      is_active: { label: "Active", filterable: true },
+    },
+  },
 }));
 
 const db = require("../../../db/connection");
+const { storageService } = require("../../../services/storage/storage-service");
+const { executeAction } = require("../../../config/action-handlers");
+
+/** Fake pool client serving `batches` to successive FETCHes */
+const mockCursorClient = (batches) => {
+  const queue = [...batches];
+  return {
+    query: jest.fn(async (sql) => (sql.startsWith("FETCH") ? { rows: queue.shift() || [] } : {})),
+    release: jest.fn(),
+  };
+};
+
+/** Writable that collects chunks; a small highWaterMark forces backpressure */
+const collector = () => {
+  const chunks = [];
+  const stream = new Writable({
+    highWaterMark: 16,
+    write(chunk, _encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    },
+  });
+  stream.text = () => Buffer.concat(chunks).toString("utf8");
+  return stream;
+};
+
+/** Read one entry of a ZIP archive through its central directory */
+const readZipEntry = (zip, name) => {
+  const eocd = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = zip.readUInt32LE(eocd + 16);
+  for (let i = 0; i < zip.readUInt16LE(eocd + 10); i++) {
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const entryName = zip.toString("utf8", offset + 46, offset + 46 + nameLength);
+    if (entryName === name) {
+      const local = zip.readUInt32LE(offset + 42);
+      const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+      return zlib.inflateRawSync(zip.subarray(start, start + zip.readUInt32LE(offset + 20)));
+    }
+    offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+  }
+  return null;
+};
 
 describe("ExportService", () => {
   beforeEach(() => {
@@ -327,4 +423,239 @@ describe("ExportService", () => {
       expect(result.count).toBe(1);
     });
   });
+
+  describe("field access and enum labels", () => {
+    it("should leave out columns the role cannot read", () => {
+      const plan = ExportService.buildExportPlan("work_order", {}, { role: "customer" });
+
+      // created_at is internal (UNIVERSAL_FIELD_ACCESS), cost manager+
+      expect(plan.columns.map((c) => c.field)).toEqual(["id", "status"]);
+      expect(plan.sql).not.toContain("cost");
+    });
+
+    it("should keep restricted columns for roles that can read them", () => {
+      const plan = ExportService.buildExportPlan("work_order", {}, { role: "manager" });
+
+      expect(plan.columns.map((c) => c.field)).toContain("cost");
+    });
+
+    it("should ignore requested fields the role cannot read", () => {
+      const plan = ExportService.buildExportPlan("work_order", {}, { role: "customer" }, [
+        "status",
+        "cost",
+      ]);
+
+      expect(plan.columns.map((c) => c.field)).toEqual(["status"]);
+    });
+
+    it("should list only readable fields for a role", () => {
+      const fields = ExportService.getExportableFields("work_order", "customer");
+
+      expect(fields).toEqual([
+        { field: "id", label: "ID" },
+        { field: "status", label: "Status" },
+      ]);
+    });
+
+    it("should export enum labels and ISO timestamps", async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 1, status: "completed", cost: 10, created_at: new Date("2026-10-18T09:00:00Z") }],
+      });
+      const plan = ExportService.buildExportPlan("work_order");
+
+      const { body } = await ExportService.exportRows(plan, "csv");
+
+      expect(body.toString()).toBe(
+        "ID,Status,Cost,Created At\n1,Completed,10,2026-10-18T09:00:00.000Z\n",
+      );
+    });
+  });
+
+  describe("row-level security", () => {
+    it("should number RLS parameters after the search and filter parameters", () => {
+      const plan = ExportService.buildExportPlan(
+        "note",
+        { search: "gate" },
+        { role: "customer", userId: 12, tenantId: 3 },
+      );
+
+      expect(plan.params).toEqual(["%gate%", true, 3, 12]);
+      expect(plan.sql).toContain("notes.tenant_id = $3");
+      expect(plan.sql).toContain("notes.user_id = $4");
+    });
+  });
+
+  describe("countRows()", () => {
+    it("should count with the export's filters", async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ total: 12000 }] });
+      const plan = ExportService.buildExportPlan("customer", { search: "john" });
+
+      expect(await ExportService.countRows(plan)).toBe(12000);
+      expect(db.query.mock.calls[0][0]).toContain("SELECT COUNT(*)::int AS total FROM customers WHERE");
+      expect(db.query.mock.calls[0][1]).toEqual(plan.params);
+    });
+  });
+
+  describe("exportRows() formats", () => {
+    const rows = [
+      { id: 1, status: "pending", cost: null, created_at: null },
+      { id: 2, status: "completed", cost: 5, created_at: null },
+    ];
+
+    it("should write a JSON array keyed by field", async () => {
+      db.query.mockResolvedValueOnce({ rows });
+
+      const { body, count } = await ExportService.exportRows(
+        ExportService.buildExportPlan("work_order"),
+        "json",
+      );
+
+      expect(count).toBe(2);
+      expect(JSON.parse(body)).toEqual([
+        { id: 1, status: "Pending", cost: null, created_at: null },
+        { id: 2, status: "Completed", cost: 5, created_at: null },
+      ]);
+    });
+
+    it("should write an empty JSON array when nothing matches", async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const { body } = await ExportService.exportRows(ExportService.buildExportPlan("work_order"), "json");
+
+      expect(JSON.parse(body)).toEqual([]);
+    });
+
+    it("should write one JSON object per line for ndjson", async () => {
+      db.query.mockResolvedValueOnce({ rows });
+
+      const { body } = await ExportService.exportRows(
+        ExportService.buildExportPlan("work_order"),
+        "ndjson",
+      );
+
+      const lines = body.toString().trim().split("\n");
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[1]).status).toBe("Completed");
+    });
+
+    it("should write an XLSX workbook", async () => {
+      db.query.mockResolvedValueOnce({ rows });
+
+      const { body } = await ExportService.exportRows(
+        ExportService.buildExportPlan("work_order"),
+        "xlsx",
+      );
+
+      const sheet = readZipEntry(body, "xl/worksheets/sheet1.xml").toString();
+      expect(body.subarray(0, 2).toString()).toBe("PK");
+      expect(sheet).toContain('<c r="B1" t="inlineStr"><is><t xml:space="preserve">Status</t></is></c>');
+      expect(sheet).toContain('<c r="C3"><v>5</v></c>');
+      expect(readZipEntry(body, "xl/workbook.xml").toString()).toContain('name="work_order"');
+    });
+  });
+
+  describe("streamExport()", () => {
+    it("should fetch batches through a cursor and write them as they drain", async () => {
+      const client = mockCursorClient([
+        [{ id: 1, status: "pending", cost: 1, created_at: null }],
+        [{ id: 2, status: "completed", cost: 2, created_at: null }],
+      ]);
+      db.getClient.mockResolvedValue(client);
+      const output = collector();
+      const plan = ExportService.buildExportPlan("work_order", {}, { role: "manager" });
+
+      const count = await ExportService.streamExport(plan, "ndjson", output);
+
+      expect(count).toBe(2);
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+      expect(statements).toEqual(["BEGIN", "DECLARE", "FETCH", "FETCH", "FETCH", "COMMIT"]);
+      expect(client.query.mock.calls[1][0]).toContain("DECLARE export_cursor NO SCROLL CURSOR FOR");
+      expect(client.query.mock.calls[1][1]).toBe(plan.params);
+      expect(client.query.mock.calls[2][0]).toBe("FETCH 500 FROM export_cursor");
+      expect(client.release).toHaveBeenCalled();
+      await new Promise((resolve) => output.end(resolve));
+      expect(output.text().trim().split("\n").map((line) => JSON.parse(line).status)).toEqual([
+        "Pending",
+        "Completed",
+      ]);
+    });
+
+    it("should roll back and release the client when the destination closes", async () => {
+      const client = mockCursorClient([[{ id: 1, status: "pending", cost: 1, created_at: null }]]);
+      db.getClient.mockResolvedValue(client);
+      const output = collector();
+      output.destroy();
+
+      await expect(
+        ExportService.streamExport(ExportService.buildExportPlan("work_order"), "csv", output),
+      ).rejects.toThrow("Export destination closed");
+
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+      expect(client.query).not.toHaveBeenCalledWith("COMMIT");
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe("exportToStorage()", () => {
+    it("should upload the generated file and notify the user with a signed link", async () => {
+      db.getClient.mockResolvedValue(
+        mockCursorClient([[{ id: 1, status: "completed", cost: 3, created_at: null }]]),
+      );
+      let uploaded;
+      storageService.uploadFile.mockImplementation(async ({ filePath }) => {
+        uploaded = { filePath, content: fs.readFileSync(filePath, "utf8") };
+      });
+      storageService.getSignedDownloadUrl.mockResolvedValue("https://storage.example.com/signed");
+
+      const result = await ExportService.exportToStorage(
+        { entity: "work_order", format: "csv", rlsContext: { role: "customer", tenantId: 3 }, userId: 7 },
+        31,
+      );
+
+      expect(result).toEqual({
+        storageKey: expect.stringMatching(/^exports\/31\/work_order_export_\d{4}-\d{2}-\d{2}\.csv$/),
+        filename: expect.stringMatching(/^work_order_export_.*\.csv$/),
+        format: "csv",
+        count: 1,
+      });
+      expect(uploaded.content).toBe("ID,Status\n1,Completed\n");
+      expect(fs.existsSync(uploaded.filePath)).toBe(false);
+      expect(storageService.uploadFile).toHaveBeenCalledWith(
+        expect.objectContaining({
+          storageKey: result.storageKey,
+          mimeType: "text/csv; charset=utf-8",
+          metadata: { entity: "work_order", jobId: "31" },
+        }),
+      );
+      expect(storageService.getSignedDownloadUrl).toHaveBeenCalledWith(result.storageKey, 86400);
+      expect(executeAction).toHaveBeenCalledWith(
+        { type: "notification", template: "export_ready", recipient: { match: "id", value: 7 } },
+        {
+          entity: "work_order",
+          tenantId: 3,
+          record: expect.objectContaining({
+            download_url: "https://storage.example.com/signed",
+            row_count: 1,
+            format: "CSV",
+          }),
+        },
+      );
+    });
+
+    it("should remove the temp file when the upload fails", async () => {
+      db.getClient.mockResolvedValue(mockCursorClient([]));
+      let tempPath;
+      storageService.uploadFile.mockImplementation(async ({ filePath }) => {
+        tempPath = filePath;
+        throw new Error("Storage service not configured");
+      });
+
+      await expect(
+        ExportService.exportToStorage({ entity: "customer", format: "xlsx", userId: 7 }, 32),
+      ).rejects.toThrow("Storage service not configured");
+
+      expect(fs.existsSync(tempPath)).toBe(false);
+      expect(executeAction).not.toHaveBeenCalled();
+    });
+  });
 });
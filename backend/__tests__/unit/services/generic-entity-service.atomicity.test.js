@@ -12,8 +12,8 @@
  * Failures are injected at the real seams (hook-service.runAfterChangeHooks and
  * audit-helper.logEntityAuditIfEnabled) — the same mocking strategy the existing
  * delete/batch rollback unit tests use. Happy-path + batch rollback are covered
- * end-to-end by the integration suite; no entity declares afterChange hooks today,
- * so the failure path is exercised here by injection.
+ * end-to-end by the integration suite; the failure path is exercised here by
+ * injection.
  */
 
 jest.mock('../../../db/connection', () =>
@@ -223,6 +223,33 @@ describe('GenericEntityService — write atomicity (Unit of Work, ADR 013)', ()
       expect(calls).not.toContain('COMMIT');
     });
 
+    test('rolls back the DELETE when an afterChange delete hook fails (Option A)', async () => {
+      mockRunAfterChangeHooks.mockRejectedValueOnce(new Error('hook boom'));
+
+      await expect(
+        GenericEntityService.delete('customer', 1, {
+          auditContext: { userId: 1 },
+        }),
+      ).rejects.toThrow('hook boom');
+
+      expect(mockRunAfterChangeHooks).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operation: 'delete',
+          oldRecord: expect.objectContaining({ id: 1 }),
+          changedData: expect.objectContaining({ id: null, first_name: null }),
+        }),
+      );
+      const calls = txnCalls();
+      expect(calls).toContain('ROLLBACK');
+      expect(calls).not.toContain('COMMIT');
+    });
+
+    test('skips afterChange hooks when skipHooks is set', async () => {
+      await GenericEntityService.delete('customer', 1, { skipHooks: true });
+
+      expect(mockRunAfterChangeHooks).not.toHaveBeenCalled();
+    });
+
     test('commits when the delete and its audit succeed', async () => {
       const result = await GenericEntityService.delete('customer', 1, {
         auditContext: { userId: 1 },
@@ -26,6 +26,13 @@ jest.mock("../../../db/helpers/audit-helper", () => ({
   logEntityAuditIfEnabled: mockLogEntityAuditIfEnabled,
 }));
 
+jest.mock("../../../services/realtime/realtime-event-service", () => ({
+  publishChange: jest.fn().mockResolvedValue(null),
+}));
+jest.mock("../../../services/integrations/webhook-delivery-service", () => ({
+  enqueueForChange: jest.fn().mockResolvedValue(0),
+}));
+
 // ============================================================================
 // IMPORTS - After mocks
 // ============================================================================
@@ -20,6 +20,13 @@ jest.mock("../../../db/helpers/audit-helper", () => ({
   logEntityAuditIfEnabled: jest.fn(),
 }));
 
+jest.mock("../../../services/realtime/realtime-event-service", () => ({
+  publishChange: jest.fn().mockResolvedValue(null),
+}));
+jest.mock("../../../services/integrations/webhook-delivery-service", () => ({
+  enqueueForChange: jest.fn().mockResolvedValue(0),
+}));
+
 const GenericEntityService = require("../../../services/entity/generic-entity-service");
 const db = require("../../../db/connection");
 const {
@@ -5,6 +5,7 @@
  * - when options.client is passed, mutations and their reads run ON that client
  * - delete() does NOT open/close its own transaction when a client is threaded
  * - without a client, delete() still self-manages BEGIN/COMMIT + release (unchanged)
+ * - realtime events are published on that client (NOTIFY fires on its commit)
  *
  * These are isolation tests for the plumbing; end-to-end coverage lands with
  * batch() delegation (Commit B) and its integration tests.
@@ -20,8 +21,17 @@ jest.mock("../../../db/helpers/cascade-helper", () => ({
   cascadeDeleteDependents: jest.fn().mockResolvedValue({ totalDeleted: 0 }),
 }));
 
+jest.mock("../../../services/realtime/realtime-event-service", () => ({
+  publishChange: jest.fn().mockResolvedValue(null),
+}));
+jest.mock("../../../services/integrations/webhook-delivery-service", () => ({
+  enqueueForChange: jest.fn().mockResolvedValue(0),
+}));
+
 const GenericEntityService = require("../../../services/entity/generic-entity-service");
 const db = require("../../../db/connection");
+const RealtimeEventService = require("../../../services/realtime/realtime-event-service");
+const WebhookDeliveryService = require("../../../services/integrations/webhook-delivery-service");
 
 describe("GenericEntityService - transaction-client threading (S6a)", () => {
   let client;
@@ -50,6 +60,19 @@ describe("GenericEntityService - transaction-client threading (S6a)", () => {
         expect.any(Array),
       );
       expect(db.query).not.toHaveBeenCalled();
+      expect(RealtimeEventService.publishChange).toHaveBeenCalledWith(
+        "create",
+        "customer",
+        expect.objectContaining({ id: 5 }),
+        client,
+      );
+      expect(WebhookDeliveryService.enqueueForChange).toHaveBeenCalledWith(
+        "create",
+        "customer",
+        expect.objectContaining({ id: 5 }),
+        null,
+        client,
+      );
       expect(result).toEqual(expect.objectContaining({ id: 5 }));
     });
   });
@@ -75,6 +98,19 @@ describe("GenericEntityService - transaction-client threading (S6a)", () => {
       expect(db.query).not.toHaveBeenCalled();
       const sqls = client.query.mock.calls.map((c) => c[0]);
       expect(sqls.some((s) => /UPDATE/.test(s))).toBe(true);
+      expect(RealtimeEventService.publishChange).toHaveBeenCalledWith(
+        "update",
+        "customer",
+        expect.objectContaining({ id: 7, phone: "555-1234" }),
+        client,
+      );
+      expect(WebhookDeliveryService.enqueueForChange).toHaveBeenCalledWith(
+        "update",
+        "customer",
+        expect.objectContaining({ id: 7, phone: "555-1234" }),
+        expect.objectContaining({ id: 7, phone: "555-0000" }),
+        client,
+      );
       expect(result).toEqual(expect.objectContaining({ id: 7 }));
     });
   });
@@ -96,6 +132,19 @@ describe("GenericEntityService - transaction-client threading (S6a)", () => {
       expect(sqls.some((s) => s.includes("ROLLBACK"))).toBe(false);
       expect(sqls.some((s) => /DELETE FROM/.test(s))).toBe(true);
       expect(client.release).not.toHaveBeenCalled();
+      expect(RealtimeEventService.publishChange).toHaveBeenCalledWith(
+        "delete",
+        "customer",
+        expect.objectContaining({ id: 1 }),
+        client,
+      );
+      expect(WebhookDeliveryService.enqueueForChange).toHaveBeenCalledWith(
+        "delete",
+        "customer",
+        expect.objectContaining({ id: 1 }),
+        null,
+        client,
+      );
       expect(result).toEqual(expect.objectContaining({ id: 1 }));
     });
 
@@ -0,0 +1,152 @@
+/**
+ * GenericEntityService — optimistic concurrency (ETag / If-Match) unit tests
+ *
+ * update() and delete() accept options.expectedVersion (an If-Match value). When
+ * present the row is locked FOR UPDATE before its version column is compared,
+ * and a stale version throws 412 RESOURCE_VERSION_MISMATCH carrying the current
+ * record. The version itself is bumped by a database trigger on every UPDATE.
+ *
+ * db/connection is mocked; the pg client answers by SQL shape.
+ */
+
+jest.mock('../../../db/connection', () => require('../../mocks').createDBMock());
+jest.mock('../../../config/logger', () => ({
+  logger: require('../../mocks').createLoggerMock(),
+}));
+
+const GenericEntityService = require('../../../services/entity/generic-entity-service');
+const db = require('../../../db/connection');
+const { ERROR_CODES } = require('../../../config/error-codes');
+const { formatETag } = require('../../../utils/etag');
+
+describe('GenericEntityService — optimistic concurrency', () => {
+  const ROW = {
+    id: 999,
+    user_id: 7,
+    title: 'Parts arrived',
+    is_read: false,
+    updated_at: new Date('2026-03-01T10:15:30.123Z'),
+    version: 4,
+  };
+  const CURRENT_ETAG = formatETag(ROW);
+  const STALE_ETAG = '"3"';
+
+  let mockClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient = {
+      query: jest.fn(async (sql) => {
+        if (/^\s*(UPDATE|DELETE)/i.test(sql)) {
+          return { rows: [ROW], rowCount: 1 };
+        }
+        if (/FROM notifications/i.test(sql)) {
+          return { rows: [ROW], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 0 };
+      }),
+      release: jest.fn(),
+    };
+    db.getClient.mockResolvedValue(mockClient);
+  });
+
+  const queryText = () =>
+    mockClient.query.mock.calls.map((c) => (typeof c[0] === 'string' ? c[0] : ''));
+  const statement = (pattern) => queryText().find((q) => pattern.test(q));
+
+  describe('update()', () => {
+    test('stamps updated_at on every update', async () => {
+      await GenericEntityService.update('notification', 999, { is_read: true });
+
+      expect(statement(/UPDATE notifications/i)).toMatch(/updated_at = CURRENT_TIMESTAMP/);
+    });
+
+    test('locks the row and applies the update when If-Match is current', async () => {
+      const result = await GenericEntityService.update(
+        'notification',
+        999,
+        { is_read: true },
+        { expectedVersion: CURRENT_ETAG },
+      );
+
+      expect(result).toMatchObject({ id: 999 });
+      expect(statement(/FOR UPDATE/i)).toMatch(/FROM notifications/);
+      expect(statement(/UPDATE notifications/i)).toBeDefined();
+    });
+
+    test('throws 412 with the current record when If-Match is stale', async () => {
+      const error = await GenericEntityService.update(
+        'notification',
+        999,
+        { is_read: true },
+        { expectedVersion: STALE_ETAG },
+      ).catch((err) => err);
+
+      expect(error.statusCode).toBe(412);
+      expect(error.code).toBe(ERROR_CODES.RESOURCE_VERSION_MISMATCH);
+      expect(error.details).toEqual({
+        etag: CURRENT_ETAG,
+        current: expect.objectContaining({ id: 999, title: 'Parts arrived' }),
+      });
+      expect(statement(/UPDATE notifications/i)).toBeUndefined();
+      expect(queryText()).toContain('ROLLBACK');
+    });
+
+    test('skips the check (and the lock) for If-Match: *', async () => {
+      await GenericEntityService.update(
+        'notification',
+        999,
+        { is_read: true },
+        { expectedVersion: '*' },
+      );
+
+      expect(statement(/FOR UPDATE/i)).toBeUndefined();
+      expect(statement(/UPDATE notifications/i)).toBeDefined();
+    });
+  });
+
+  describe('delete()', () => {
+    test('locks the existence check and deletes when If-Match is current', async () => {
+      const result = await GenericEntityService.delete('notification', 999, {
+        expectedVersion: CURRENT_ETAG,
+      });
+
+      expect(result).toMatchObject({ id: 999 });
+      expect(statement(/SELECT \* FROM notifications/i)).toMatch(/FOR UPDATE$/);
+      expect(statement(/DELETE FROM notifications/i)).toBeDefined();
+    });
+
+    test('throws 412 and deletes nothing when If-Match is stale', async () => {
+      await expect(
+        GenericEntityService.delete('notification', 999, {
+          expectedVersion: STALE_ETAG,
+        }),
+      ).rejects.toMatchObject({
+        statusCode: 412,
+        code: ERROR_CODES.RESOURCE_VERSION_MISMATCH,
+        details: { etag: CURRENT_ETAG, current: expect.objectContaining({ id: 999 }) },
+      });
+      expect(statement(/DELETE FROM notifications/i)).toBeUndefined();
+    });
+  });
+
+  describe('batch()', () => {
+    test('fails only the operation whose expectedVersion is stale', async () => {
+      const result = await GenericEntityService.batch(
+        'notification',
+        [
+          { operation: 'update', id: 999, data: { is_read: true }, expectedVersion: CURRENT_ETAG },
+          { operation: 'delete', id: 999, expectedVersion: STALE_ETAG },
+        ],
+        { continueOnError: true },
+      );
+
+      expect(result.stats).toMatchObject({ updated: 1, deleted: 0, failed: 1 });
+      expect(result.errors[0]).toMatchObject({
+        index: 1,
+        code: ERROR_CODES.RESOURCE_VERSION_MISMATCH,
+        details: { etag: CURRENT_ETAG },
+      });
+    });
+  });
+});
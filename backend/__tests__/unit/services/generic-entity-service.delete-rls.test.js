@@ -20,7 +20,7 @@ const db = require('../../../db/connection');
 
 describe('GenericEntityService.delete() — RLS scoping (delete-rls-bypass)', () => {
   let mockClient;
-  const CUSTOMER_CTX = { role: 'customer', userId: 42, operation: 'delete' };
+  const CUSTOMER_CTX = { role: 'customer', userId: 42, tenantId: 1, operation: 'delete' };
 
   beforeEach(() => {
     jest.clearAllMocks();
@@ -52,6 +52,7 @@ describe('GenericEntityService.delete() — RLS scoping (delete-rls-bypass)', ()
     const check = existenceCheck();
     expect(check).toBeDefined();
     expect(check).toMatch(/user_id/);
+    expect(check).toMatch(/tenant_id/);
 
     // Crucially: NO DELETE was issued; the empty Unit of Work commits a no-op.
     const allText = queryText().join(' | ');
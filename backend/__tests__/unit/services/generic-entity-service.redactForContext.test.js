@@ -121,11 +121,10 @@ describe("GenericEntityService._redactForContext()", () => {
   // Nested relationship data (Tier-1 output boundary)
   //
   // Relationship keys (e.g. `units`) are NOT declared in fieldAccess, so the
-  // redaction boundary strips them for ANY role-bearing read — loaded
-  // relationship data never leaks through a redacted response, even for admin.
-  // Internal/system callers (no role) receive it intact. Making `?include=`
-  // response-visible with per-target nested redaction is a documented future
-  // feature — see ADR-011 "Field redaction & nested relationships".
+  // redaction boundary strips them for ANY role-bearing read unless they were
+  // requested via `include` — the relationship loader has already redacted the
+  // nested rows against their own entity. Internal/system callers (no role)
+  // receive it intact. See ADR-011 "Field redaction & nested relationships".
   // ---------------------------------------------------------------------------
   describe("nested relationship data (not declared in fieldAccess)", () => {
     const withRelationship = {
@@ -153,5 +152,50 @@ describe("GenericEntityService._redactForContext()", () => {
 
       expect(result.units).toEqual([{ id: 9, unit_identifier: "4A" }]);
     });
+
+    describe("requested via include", () => {
+      const metadataWithRelationships = {
+        ...mockMetadata,
+        fields: { id: {}, summary: {}, internal_notes: {}, admin_override: {} },
+        relationships: {
+          units: { type: "manyToMany", table: "units" },
+          internal_notes: { type: "hasMany", table: "notes" },
+        },
+      };
+
+      test("keeps an included relationship key for the role", () => {
+        const result = GenericEntityService._redactForContext(
+          withRelationship,
+          metadataWithRelationships,
+          { role: "customer" },
+          ["units.customers"],
+        );
+
+        expect(result.units).toEqual([{ id: 9, unit_identifier: "4A" }]);
+        expect(result.internal_notes).toBeUndefined();
+      });
+
+      test("strips relationship keys that were not included", () => {
+        const result = GenericEntityService._redactForContext(
+          withRelationship,
+          metadataWithRelationships,
+          { role: "customer" },
+          [],
+        );
+
+        expect(result.units).toBeUndefined();
+      });
+
+      test("never lets a relationship name unlock a real field", () => {
+        const result = GenericEntityService._redactForContext(
+          sampleRecord,
+          metadataWithRelationships,
+          { role: "customer" },
+          ["internal_notes"],
+        );
+
+        expect(result.internal_notes).toBeUndefined();
+      });
+    });
   });
 });
@@ -32,17 +32,28 @@ jest.mock("../../../services/entity/hook-service", () => ({
   evaluateAfterHooks: jest.fn().mockResolvedValue({ executed: [] }),
   runAfterChangeHooks: jest.fn().mockResolvedValue(undefined),
 }));
+jest.mock("../../../services/entity/approval-service", () => ({
+  requestApproval: jest.fn(),
+}));
+jest.mock("../../../services/realtime/realtime-event-service", () => ({
+  publishChange: jest.fn().mockResolvedValue(null),
+}));
+jest.mock("../../../services/integrations/webhook-delivery-service", () => ({
+  enqueueForChange: jest.fn().mockResolvedValue(0),
+}));
 
 // ============================================================================
 // IMPORTS - After mocks are set up
 // ============================================================================
 const GenericEntityService = require("../../../services/entity/generic-entity-service");
 const db = require("../../../db/connection");
+const PaginationService = require("../../../services/entity/pagination-service");
 const {
   getFieldsWithTrait,
   FIELD_TRAIT,
 } = require("../../../config/metadata-accessors");
 const hookService = require("../../../services/entity/hook-service");
+const ApprovalService = require("../../../services/entity/approval-service");
 
 // Pristine mock references captured at load. Some nested describes (e.g. delete)
 // REASSIGN db.query / db.getClient in their beforeEach; restore them after every
@@ -575,15 +586,16 @@ describe("GenericEntityService", () => {
 
         // Act - pass role for rule matching
         const result = await GenericEntityService.findById("user", 42, {
-          rlsContext: { role: "customer", userId: 42 },
+          rlsContext: { role: "customer", userId: 42, tenantId: 1 },
         });
 
         // Assert
         expect(result).toEqual(mockUser);
         const [query, params] = db.query.mock.calls[0];
         expect(query).toContain("WHERE users.id = $1");
-        expect(query).toContain("users.id = $2"); // RLS filter
-        expect(params).toEqual([42, 42]);
+        expect(query).toContain("users.tenant_id = $2"); // Tenant scope (ADR-014)
+        expect(query).toContain("users.id = $3"); // RLS filter
+        expect(params).toEqual([42, 1, 42]);
       });
 
       test("should allow staff full access (no additional filter)", async () => {
@@ -593,16 +605,16 @@ describe("GenericEntityService", () => {
 
         // Act - ADR-011: admin role has full access (access: null)
         const result = await GenericEntityService.findById("user", 1, {
-          rlsContext: { role: "admin", userId: 99 },
+          rlsContext: { role: "admin", userId: 99, tenantId: 1 },
         });
 
         // Assert
         expect(result).toEqual(mockUser);
-        // Staff access: null means no additional filter beyond the base WHERE
+        // Staff access: null means no filter beyond the base WHERE and the tenant scope
         const [query, params] = db.query.mock.calls[0];
-        expect(query).toContain("WHERE users.id = $1");
+        expect(query).toContain("WHERE users.id = $1 AND (users.tenant_id = $2)");
         expect(query).not.toContain("AND 1=0"); // Not denied
-        expect(params).toEqual([1]);
+        expect(params).toEqual([1, 1]);
       });
 
       test("should deny access when no matching rules", async () => {
@@ -611,7 +623,7 @@ describe("GenericEntityService", () => {
 
         // Act - ADR-011: unknown role has no rules = deny
         const result = await GenericEntityService.findById("invoice", 1, {
-          rlsContext: { role: "unknown_role", userId: 99 },
+          rlsContext: { role: "unknown_role", userId: 99, tenantId: 1 },
         });
 
         // Assert
@@ -645,15 +657,15 @@ describe("GenericEntityService", () => {
 
         // Act - ADR-011: customer role can only see own record
         const result = await GenericEntityService.findById("user", 42, {
-          rlsContext: { role: "customer", userId: 99 }, // Different user
+          rlsContext: { role: "customer", userId: 99, tenantId: 1 }, // Different user
         });
 
         // Assert
         expect(result).toBeNull();
         const [query, params] = db.query.mock.calls[0];
         expect(query).toContain("WHERE users.id = $1");
-        expect(query).toContain("users.id = $2");
-        expect(params).toEqual([42, 99]);
+        expect(query).toContain("users.id = $3");
+        expect(params).toEqual([42, 1, 99]);
       });
 
       test("should apply technician_profile_id RLS for technicians viewing work orders", async () => {
@@ -667,7 +679,7 @@ describe("GenericEntityService", () => {
 
         // Act - pass role and profile ID (snake_case)
         const result = await GenericEntityService.findById("work_order", 10, {
-          rlsContext: { role: "technician", userId: 1, technician_profile_id: 5 },
+          rlsContext: { role: "technician", userId: 1, tenantId: 1, technician_profile_id: 5 },
         });
 
         // Assert - row returned (RLS access granted); field redaction is
@@ -675,8 +687,8 @@ describe("GenericEntityService", () => {
         expect(result).not.toBeNull();
         const [query, params] = db.query.mock.calls[0];
         expect(query).toContain("WHERE work_orders.id = $1");
-        expect(query).toContain("work_orders.assigned_technician_id = $2");
-        expect(params).toEqual([10, 5]);
+        expect(query).toContain("work_orders.assigned_technician_id = $3");
+        expect(params).toEqual([10, 1, 5]);
       });
 
       test("should apply customer_profile_id RLS for customers viewing work orders", async () => {
@@ -686,7 +698,7 @@ describe("GenericEntityService", () => {
 
         // Act - pass role and profile ID (snake_case)
         const result = await GenericEntityService.findById("work_order", 10, {
-          rlsContext: { role: "customer", userId: 1, customer_profile_id: 42 },
+          rlsContext: { role: "customer", userId: 1, tenantId: 1, customer_profile_id: 42 },
         });
 
         // Assert - row returned (RLS access granted); field redaction is
@@ -694,8 +706,8 @@ describe("GenericEntityService", () => {
         expect(result).not.toBeNull();
         const [query, params] = db.query.mock.calls[0];
         expect(query).toContain("WHERE work_orders.id = $1");
-        expect(query).toContain("work_orders.customer_id = $2");
-        expect(params).toEqual([10, 42]);
+        expect(query).toContain("work_orders.customer_id = $3");
+        expect(params).toEqual([10, 1, 42]);
       });
     });
   });
@@ -778,6 +790,228 @@ describe("GenericEntityService", () => {
       });
     });
 
+    // ------------------------------------------------------------------------
+    // Cursor (keyset) Pagination
+    // ------------------------------------------------------------------------
+
+    describe("cursor pagination", () => {
+      const row = (id, createdAt) => ({
+        id,
+        email: `user${id}@test.com`,
+        __cursor_sort: createdAt,
+      });
+
+      test("should skip COUNT, fetch limit + 1 and return next_cursor", async () => {
+        // Arrange - 3 rows for limit 2 → there is a next page
+        db.query.mockResolvedValueOnce({
+          rows: [
+            row(9, "2026-03-03 08:00:00.123456+00"),
+            row(8, "2026-03-02 08:00:00.5+00"),
+            row(7, "2026-03-01 08:00:00+00"),
+          ],
+        });
+
+        // Act
+        const result = await GenericEntityService.findAll("user", {
+          cursor: "",
+          limit: 2,
+        });
+
+        // Assert - single data query, tiebreaker, no OFFSET
+        expect(db.query).toHaveBeenCalledTimes(1);
+        const selectQuery = db.query.mock.calls[0][0];
+        expect(selectQuery).toContain("ORDER BY users.created_at DESC, users.id DESC");
+        expect(selectQuery).toContain("LIMIT 3");
+        expect(selectQuery).not.toContain("OFFSET");
+
+        expect(result.data.map((u) => u.id)).toEqual([9, 8]);
+        expect(result.data[0]).not.toHaveProperty("__cursor_sort");
+        expect(result.pagination).toEqual({
+          limit: 2,
+          hasNext: true,
+          next_cursor: expect.any(String),
+        });
+        expect(PaginationService.decodeCursor(result.pagination.next_cursor)).toEqual({
+          field: "created_at",
+          order: "DESC",
+          value: "2026-03-02 08:00:00.5+00",
+          id: 8,
+        });
+      });
+
+      test("should seek past the cursor row after the filter params", async () => {
+        // Arrange
+        const cursor = PaginationService.encodeCursor({
+          field: "created_at",
+          order: "DESC",
+          value: "2026-03-02 08:00:00.5+00",
+          id: 8,
+        });
+        db.query.mockResolvedValueOnce({ rows: [row(7, "2026-03-01 08:00:00+00")] });
+
+        // Act
+        const result = await GenericEntityService.findAll("user", { cursor, limit: 2 });
+
+        // Assert - is_active param is $1, cursor value/id follow
+        const [selectQuery, params] = db.query.mock.calls[0];
+        expect(selectQuery).toContain(
+          "(users.created_at < $2 OR (users.created_at = $2 AND users.id < $3))",
+        );
+        expect(params).toEqual([true, "2026-03-02 08:00:00.5+00", 8]);
+        expect(result.pagination).toEqual({ limit: 2, hasNext: false, next_cursor: null });
+      });
+
+      test("should reject a cursor issued for a different sort", async () => {
+        const cursor = PaginationService.encodeCursor({
+          field: "created_at",
+          order: "DESC",
+          value: "2026-03-02 08:00:00+00",
+          id: 8,
+        });
+
+        await expect(
+          GenericEntityService.findAll("user", { cursor, sortBy: "email", sortOrder: "asc" }),
+        ).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.query).not.toHaveBeenCalled();
+      });
+
+      test("should ignore a sortBy on a field the caller cannot read", async () => {
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("inventory", {
+          cursor: "",
+          sortBy: "unit_cost",
+          sortOrder: "asc",
+          rlsContext: { role: "technician", userId: 1, tenantId: 1 },
+        });
+
+        const [dataQuery] = db.query.mock.calls[0];
+        expect(dataQuery).not.toContain("unit_cost");
+      });
+
+      test("should honour a sortBy on a readable field", async () => {
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("inventory", {
+          cursor: "",
+          sortBy: "unit_cost",
+          sortOrder: "asc",
+          rlsContext: { role: "manager", userId: 1, tenantId: 1 },
+        });
+
+        const [dataQuery] = db.query.mock.calls[0];
+        expect(dataQuery).toContain("inventory.unit_cost::text AS __cursor_sort");
+      });
+    });
+
+    // ------------------------------------------------------------------------
+    // Full-Text Search (FULLTEXT trait)
+    // ------------------------------------------------------------------------
+
+    describe("full-text search", () => {
+      test("should match the tsvector, rank by relevance and project a snippet", async () => {
+        // Arrange
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "1" }] })
+          .mockResolvedValueOnce({
+            rows: [{ id: 1, summary: "Leaking valve", search_snippet: "<mark>Leaking</mark> valve" }],
+          });
+
+        // Act
+        const result = await GenericEntityService.findAll("work_order", {
+          search: "leaking valve",
+        });
+
+        // Assert - tsquery param first; ILIKE only on the non-FULLTEXT fields
+        const [countQuery, countParams] = db.query.mock.calls[0];
+        const selectQuery = db.query.mock.calls[1][0];
+        expect(countQuery).toContain(
+          "work_orders.search_vector @@ websearch_to_tsquery('english', $1)",
+        );
+        expect(countQuery).not.toContain("work_orders.summary ILIKE");
+        expect(countParams[0]).toBe("leaking valve");
+        expect(countParams).toContain("%leaking valve%");
+        expect(selectQuery).toContain(
+          "ORDER BY ts_rank(work_orders.search_vector, websearch_to_tsquery('english', $1)) DESC, work_orders.created_at DESC",
+        );
+        expect(selectQuery).toMatch(/ts_headline\('english', .*\) AS search_snippet/);
+        expect(result.data[0].search_snippet).toBe("<mark>Leaking</mark> valve");
+        expect(result.appliedFilters).toMatchObject({ sortBy: "relevance", sortOrder: "DESC" });
+      });
+
+      test("should keep an explicit sort instead of ranking", async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "0" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("work_order", {
+          search: "leaking valve",
+          sortBy: "created_at",
+          sortOrder: "asc",
+        });
+
+        const selectQuery = db.query.mock.calls[1][0];
+        expect(selectQuery).toContain("search_vector @@");
+        expect(selectQuery).not.toContain("ts_rank");
+      });
+
+      test("should fall back to ILIKE for identifier lookups", async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "0" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("work_order", { search: "WO-2026-0042" });
+
+        const [selectQuery, params] = db.query.mock.calls[1];
+        expect(selectQuery).toContain("work_orders.summary ILIKE $");
+        expect(selectQuery).not.toContain("search_vector");
+        expect(selectQuery).not.toContain("search_snippet");
+        expect(params[0]).toBe("%WO-2026-0042%");
+      });
+
+      test("should use ILIKE on readable fields when a FULLTEXT field is hidden", async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "0" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("work_order", {
+          search: "compressor",
+          rlsContext: { role: "customer", userId: 1, tenantId: 1, customer_profile_id: 42 },
+        });
+
+        // customer reads summary, but not the technician-only skill fields the tsvector also covers
+        const selectQuery = db.query.mock.calls[1][0];
+        expect(selectQuery).not.toContain("search_vector");
+        expect(selectQuery).not.toContain("search_snippet");
+        expect(selectQuery).toContain("work_orders.summary ILIKE $");
+        expect(selectQuery).not.toContain("required_skills ILIKE");
+        expect(selectQuery).not.toContain("required_certifications ILIKE");
+      });
+
+      test("should not search fields the caller may not read", async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "0" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("payment", {
+          search: "ch_3Nx",
+          rlsContext: { role: "customer", userId: 1, tenantId: 1, customer_profile_id: 42 },
+        });
+
+        expect(db.query.mock.calls[1][0]).not.toContain("external_ref ILIKE");
+      });
+
+      test("should search every field for internal reads", async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "0" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("payment", { search: "ch_3Nx" });
+
+        expect(db.query.mock.calls[1][0]).toContain("payments.external_ref ILIKE $");
+      });
+    });
+
     // ------------------------------------------------------------------------
     // is_active Filtering
     // ------------------------------------------------------------------------
@@ -1016,7 +1250,7 @@ describe("GenericEntityService", () => {
         const result = await GenericEntityService.findAll("user", {
           page: 1,
           limit: 10,
-          rlsContext: { role: "customer", userId: 42 },
+          rlsContext: { role: "customer", userId: 42, tenantId: 1 },
         });
 
         // Assert
@@ -1042,7 +1276,7 @@ describe("GenericEntityService", () => {
         const result = await GenericEntityService.findAll("user", {
           page: 1,
           limit: 10,
-          rlsContext: { role: "admin", userId: 1 },
+          rlsContext: { role: "admin", userId: 1, tenantId: 1 },
         });
 
         // Assert
@@ -1060,7 +1294,7 @@ describe("GenericEntityService", () => {
         const result = await GenericEntityService.findAll("invoice", {
           page: 1,
           limit: 10,
-          rlsContext: { role: "unknown_role", userId: 99 },
+          rlsContext: { role: "unknown_role", userId: 99, tenantId: 1 },
         });
 
         // Assert
@@ -1101,7 +1335,7 @@ describe("GenericEntityService", () => {
           page: 1,
           limit: 10,
           search: "Fix",
-          rlsContext: { role: "customer", userId: 1, customer_profile_id: 42 },
+          rlsContext: { role: "customer", userId: 1, tenantId: 1, customer_profile_id: 42 },
         });
 
         // Assert - rows returned (RLS access granted); field redaction is
@@ -1130,7 +1364,7 @@ describe("GenericEntityService", () => {
         // Act - pass role and profile ID (snake_case)
         const result = await GenericEntityService.findAll("work_order", {
           page: 1,
-          rlsContext: { role: "technician", userId: 1, technician_profile_id: 5 },
+          rlsContext: { role: "technician", userId: 1, tenantId: 1, technician_profile_id: 5 },
         });
 
         // Assert - rows returned (RLS access granted); field redaction is
@@ -1157,7 +1391,7 @@ describe("GenericEntityService", () => {
         // Act - pass role and profile ID (snake_case)
         const result = await GenericEntityService.findAll("invoice", {
           page: 1,
-          rlsContext: { role: "customer", userId: 1, customer_profile_id: 100 },
+          rlsContext: { role: "customer", userId: 1, tenantId: 1, customer_profile_id: 100 },
         });
 
         // Assert (COMPUTED entities get a synthesized `name`; only invoice_number
@@ -1166,6 +1400,38 @@ describe("GenericEntityService", () => {
         const selectQuery = db.query.mock.calls[1][0];
         expect(selectQuery).toContain("customer_id =");
       });
+
+      test("should narrow company-scoped lists to the active organization (ADR-014)", async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "0" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("work_order", {
+          page: 1,
+          rlsContext: { role: "dispatcher", userId: 1, tenantId: 1, activeOrganizationId: 7 },
+        });
+
+        const [selectQuery, selectParams] = db.query.mock.calls[1];
+        const placeholder = `$${selectParams.indexOf(7) + 1}`;
+        expect(selectQuery).toContain(
+          `(work_orders.organization_id = ${placeholder} OR work_orders.organization_id IS NULL)`,
+        );
+      });
+
+      test("should ignore the active organization for entities without one", async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ total: "0" }] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await GenericEntityService.findAll("user", {
+          page: 1,
+          rlsContext: { role: "admin", userId: 1, tenantId: 1, activeOrganizationId: 7 },
+        });
+
+        const [selectQuery, selectParams] = db.query.mock.calls[1];
+        expect(selectQuery).not.toContain("organization_id");
+        expect(selectParams).not.toContain(7);
+      });
     });
   });
 
@@ -1532,6 +1798,182 @@ describe("GenericEntityService", () => {
         const [query] = db.query.mock.calls[0];
         expect(query).toContain("INSERT INTO roles");
       });
+
+      test("should stamp the caller's tenant on tenant-scoped entities (ADR-014)", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await GenericEntityService.create(
+          "customer",
+          { first_name: "John", last_name: "Doe", email: "test@example.com" },
+          { rlsContext: { role: "admin", userId: 1, tenantId: 2 } },
+        );
+
+        const [query, values] = db.query.mock.calls[0];
+        expect(query).toMatch(/INSERT INTO customers \(.*, tenant_id\)/);
+        expect(values[values.length - 1]).toBe(2);
+      });
+
+      test("should inherit the parent row's tenant without a caller tenant", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await GenericEntityService.create("invoice", {
+          invoice_number: "INV-001",
+          customer_id: 7,
+          due_date: "2026-11-01",
+          amount: 100,
+          total: 100,
+        });
+
+        const [query, values] = db.query.mock.calls[0];
+        expect(query).toContain(`(SELECT tenant_id FROM customers WHERE id = $${values.length})`);
+        expect(values[values.length - 1]).toBe(7);
+      });
+
+      test("should number computed identifiers within the caller's tenant", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+        const year = new Date().getFullYear();
+
+        await GenericEntityService.create(
+          "invoice",
+          { customer_id: 7, due_date: "2026-11-01", amount: 100, total: 100 },
+          { rlsContext: { role: "admin", userId: 1, tenantId: 2 } },
+        );
+
+        const numbering = db.query.mock.calls.find(([query]) => query.includes("LIKE $1"));
+        expect(numbering[0]).toContain("AND tenant_id = $2");
+        expect(numbering[1]).toEqual([`INV-${year}-%`, 2]);
+      });
+
+      test("should number computed identifiers within the parent row's tenant", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await GenericEntityService.create("invoice", {
+          customer_id: 7,
+          due_date: "2026-11-01",
+          amount: 100,
+          total: 100,
+        });
+
+        const numbering = db.query.mock.calls.find(([query]) => query.includes("LIKE $1"));
+        expect(numbering[0]).toContain("AND tenant_id = (SELECT tenant_id FROM customers WHERE id = $2)");
+        expect(numbering[1][1]).toBe(7);
+      });
+
+      test("should default organization_id to the active organization", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await GenericEntityService.create(
+          "customer",
+          { first_name: "John", last_name: "Doe", email: "test@example.com" },
+          { rlsContext: { role: "admin", userId: 1, tenantId: 2, activeOrganizationId: 7 } },
+        );
+
+        const [query, values] = db.query.mock.calls.find(([sql]) => sql.includes("INSERT INTO customers"));
+        expect(query).toContain("organization_id");
+        expect(values).toContain(7);
+      });
+
+      test("should keep an explicit organization_id over the active one", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await GenericEntityService.create(
+          "customer",
+          { first_name: "John", last_name: "Doe", email: "test@example.com", organization_id: 3 },
+          { rlsContext: { role: "admin", userId: 1, tenantId: 2, activeOrganizationId: 7 } },
+        );
+
+        const [, values] = db.query.mock.calls.find(([sql]) => sql.includes("INSERT INTO customers"));
+        expect(values).toContain(3);
+        expect(values).not.toContain(7);
+      });
+
+      test("should let staff assign only organizations they are members of", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await GenericEntityService.create(
+          "customer",
+          { first_name: "John", last_name: "Doe", email: "test@example.com", organization_id: 3 },
+          { rlsContext: { role: "manager", userId: 5, tenantId: 2, activeOrganizationId: null } },
+        );
+
+        const membership = db.query.mock.calls.find(([sql]) => sql.includes("FROM organization_memberships"));
+        expect(membership[1]).toEqual([3, 5, 2]);
+        expect(db.query.mock.calls.some(([sql]) => sql.includes("INSERT INTO customers"))).toBe(true);
+      });
+
+      test("should reject an organization_id outside the caller's memberships", async () => {
+        // The organization is in the tenant, the membership is missing
+        db.query.mockResolvedValueOnce({ rows: [{ id: 3 }] }).mockResolvedValueOnce({ rows: [] });
+
+        await expect(
+          GenericEntityService.create(
+            "customer",
+            { first_name: "John", last_name: "Doe", email: "test@example.com", organization_id: 3 },
+            { rlsContext: { role: "manager", userId: 5, tenantId: 2 } },
+          ),
+        ).rejects.toMatchObject({ statusCode: 403, message: "You are not a member of this organization" });
+        expect(db.query.mock.calls.some(([sql]) => sql.includes("INSERT INTO customers"))).toBe(false);
+      });
+
+      test("should let admins assign any organization of their tenant", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await GenericEntityService.create(
+          "customer",
+          { first_name: "John", last_name: "Doe", email: "test@example.com", organization_id: 3 },
+          { rlsContext: { role: "admin", userId: 1, tenantId: 2 } },
+        );
+
+        expect(db.query.mock.calls.some(([sql]) => sql.includes("FROM organization_memberships"))).toBe(false);
+      });
+
+      test("should reject a reference to another tenant's row (ADR-014)", async () => {
+        // The referenced customer is not in tenant 2
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(
+          GenericEntityService.create(
+            "invoice",
+            { invoice_number: "INV-001", customer_id: 9, due_date: "2026-11-01", amount: 100, total: 100 },
+            { rlsContext: { role: "admin", userId: 1, tenantId: 2 } },
+          ),
+        ).rejects.toMatchObject({ statusCode: 400, message: "customer not found. Please provide a valid customer_id." });
+
+        expect(db.query.mock.calls[0]).toEqual([expect.stringContaining("FROM customers WHERE id = $1 AND tenant_id = $2"), [9, 2]]);
+        expect(db.query.mock.calls.some(([sql]) => sql.includes("INSERT INTO"))).toBe(false);
+      });
+
+      test("should reject a webhook target that points at a private address", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await expect(
+          GenericEntityService.create(
+            "webhook_subscription",
+            {
+              name: "Metadata",
+              target_url: "https://169.254.169.254/latest",
+              event_filter: "all",
+              secret_key: "0123456789abcdef",
+            },
+            { rlsContext: { role: "admin", userId: 1, tenantId: 2 } },
+          ),
+        ).rejects.toMatchObject({ statusCode: 400, message: "target_url must resolve to a public address" });
+
+        expect(db.query.mock.calls.some(([sql]) => sql.includes("INSERT INTO"))).toBe(false);
+      });
+
+      test("should not stamp a tenant on platform entities", async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 1, name: "Admin", priority: 100 }] });
+
+        await GenericEntityService.create(
+          "role",
+          { name: "Admin", priority: 100 },
+          { rlsContext: { role: "admin", userId: 1, tenantId: 2 } },
+        );
+
+        const [query] = db.query.mock.calls[0];
+        expect(query).not.toContain("tenant_id");
+      });
     });
 
     // ------------------------------------------------------------------------
@@ -1642,6 +2084,19 @@ describe("GenericEntityService", () => {
         expect(result.updated_at).toBeDefined();
       });
 
+      test("should reject moving a reference to another tenant's row (ADR-014)", async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ id: 1, customer_id: 4, tenant_id: 3 }] }) // current row
+          .mockResolvedValueOnce({ rows: [] }); // customer 9 is not in tenant 3
+
+        await expect(
+          GenericEntityService.update("invoice", 1, { customer_id: 9 }),
+        ).rejects.toMatchObject({ statusCode: 400 });
+
+        expect(db.query.mock.calls[1]).toEqual([expect.stringContaining("FROM customers WHERE id = $1 AND tenant_id = $2"), [9, 3]]);
+        expect(db.query.mock.calls.some(([sql]) => sql.includes("UPDATE invoices"))).toBe(false);
+      });
+
       test("should coerce string ID to integer", async () => {
         // Arrange
         db.query.mockResolvedValue({ rows: [{ id: 123, phone: "555-1234" }] });
@@ -2185,6 +2640,8 @@ describe("GenericEntityService", () => {
           .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // BEGIN
           .mockResolvedValueOnce({ rows: [mockRecord], rowCount: 1 }) // SELECT
           .mockResolvedValueOnce({ rows: [], rowCount: 7 }) // CASCADE DELETE
+          .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // CASCADE DELETE
+          .mockResolvedValueOnce({ rows: [], rowCount: 1 }) // CASCADE DELETE (memberships)
           .mockResolvedValueOnce({ rows: [mockRecord], rowCount: 1 }) // DELETE
           .mockResolvedValueOnce({ rows: [], rowCount: 0 }); // COMMIT
 
@@ -2610,7 +3067,7 @@ describe("GenericEntityService", () => {
 
     describe("works with all entities", () => {
       const entities = [
-        { name: "user", table: "users", cascadeCount: 2 }, // 2 audit_logs cascades
+        { name: "user", table: "users", cascadeCount: 3 }, // 2 audit_logs + organization_memberships
         { name: "role", table: "roles", cascadeCount: 1 },
         { name: "customer", table: "customers", cascadeCount: 1 },
         { name: "technician", table: "technicians", cascadeCount: 1 },
@@ -2849,6 +3306,58 @@ describe("GenericEntityService", () => {
         }
       });
 
+      test("should persist an approval request for the requesting user", async () => {
+        const approvalInfo = {
+          approver: "manager",
+          targetEntity: "recommendation",
+          targetId: 1,
+          targetField: "status",
+          proposedValue: "approved",
+          description: "Needs manager approval",
+        };
+        hookService.evaluateBeforeHooks.mockResolvedValueOnce({
+          allowed: false,
+          requiresApproval: true,
+          approvalInfo,
+        });
+        ApprovalService.requestApproval.mockResolvedValueOnce({ id: 9, status: "pending" });
+
+        const existingRecord = { id: 1, status: "draft" };
+        const originalGetMetadata = GenericEntityService.requireEntityMetadata;
+        GenericEntityService.requireEntityMetadata = jest.fn().mockReturnValue({
+          tableName: "recommendations",
+          primaryKey: "id",
+          fields: {
+            id: { type: "integer", primaryKey: true },
+            status: {
+              type: "enum",
+              beforeChange: [{ on: "change", requiresApproval: { approver: "manager" } }],
+            },
+          },
+          identityField: "id",
+        });
+
+        db.query.mockResolvedValueOnce({ rows: [existingRecord] });
+
+        try {
+          const error = await GenericEntityService.update(
+            "recommendation",
+            1,
+            { status: "approved" },
+            { user: 5 },
+          ).catch((e) => e);
+
+          expect(error.code).toBe("APPROVAL_REQUIRED");
+          expect(error.details.approvalRequest).toEqual({ id: 9, status: "pending" });
+          expect(ApprovalService.requestApproval).toHaveBeenCalledWith(approvalInfo, {
+            record: existingRecord,
+            requestedBy: 5,
+          });
+        } finally {
+          GenericEntityService.requireEntityMetadata = originalGetMetadata;
+        }
+      });
+
       test("should not call hooks for fields without beforeChange defined", async () => {
         // Arrange: Entity with no hooks
         const existingRecord = { id: 1, phone: "555-1234" };
@@ -2867,6 +3376,85 @@ describe("GenericEntityService", () => {
       });
     });
 
+    // ------------------------------------------------------------------------
+    // Status state machine (metadata.transitions) in update()
+    // ------------------------------------------------------------------------
+
+    describe("update() status transitions", () => {
+      const transitionsMetadata = {
+        tableName: "work_orders",
+        primaryKey: "id",
+        fields: {
+          id: { type: "integer", primaryKey: true },
+          status: { type: "enum", enumKey: "status" },
+          completed_at: { type: "timestamp" },
+        },
+        transitions: {
+          field: "status",
+          edges: [{ from: "in_progress", to: "completed", minRole: "dispatcher", requires: ["completed_at"] }],
+        },
+        identityField: "id",
+      };
+      let originalGetMetadata;
+
+      beforeEach(() => {
+        originalGetMetadata = GenericEntityService.requireEntityMetadata;
+        GenericEntityService.requireEntityMetadata = jest.fn().mockReturnValue(transitionsMetadata);
+      });
+
+      afterEach(() => {
+        GenericEntityService.requireEntityMetadata = originalGetMetadata;
+      });
+
+      test("should evaluate the transitions field without beforeChange hooks, with role and changes", async () => {
+        const existingRecord = { id: 1, status: "in_progress", completed_at: null };
+        const data = { status: "completed", completed_at: "2026-03-01T10:00:00Z" };
+        db.query
+          .mockResolvedValueOnce({ rows: [existingRecord] })
+          .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+          .mockResolvedValueOnce({ rows: [{ ...existingRecord, ...data }] });
+
+        await GenericEntityService.update("work_order", 1, data, {
+          rlsContext: { role: "dispatcher", userId: 7 },
+        });
+
+        expect(hookService.evaluateBeforeHooks).toHaveBeenCalledWith(
+          expect.objectContaining({
+            oldValue: "in_progress",
+            newValue: "completed",
+            transitions: transitionsMetadata.transitions,
+            context: expect.objectContaining({
+              field: "status",
+              role: "dispatcher",
+              changes: data,
+            }),
+          }),
+        );
+      });
+
+      test.each([
+        ["invalid_edge", 409, "RESOURCE_CONFLICT"],
+        ["insufficient_role", 403, "AUTH_INSUFFICIENT_PERMISSIONS"],
+        ["missing_fields", 400, "VALIDATION_MISSING_FIELD"],
+      ])("should map a %s refusal to %i %s", async (reason, statusCode, code) => {
+        const details = { field: "status", from: "in_progress", to: "completed" };
+        hookService.evaluateBeforeHooks.mockResolvedValueOnce({
+          allowed: false,
+          blockReason: "Transition refused",
+          transition: { reason, details },
+        });
+        db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: "in_progress" }] });
+
+        const error = await GenericEntityService.update("work_order", 1, { status: "completed" })
+          .catch((err) => err);
+
+        expect(error.message).toBe("Transition refused");
+        expect(error.statusCode).toBe(statusCode);
+        expect(error.code).toBe(code);
+        expect(error.details).toEqual(details);
+      });
+    });
+
     // ------------------------------------------------------------------------
     // afterChange hooks in update()
     // ------------------------------------------------------------------------
@@ -20,7 +20,7 @@ const GenericEntityService = require('../../../services/entity/generic-entity-se
 const db = require('../../../db/connection');
 
 describe('GenericEntityService.update() — RLS scoping (defense-in-depth)', () => {
-  const CUSTOMER_CTX = { role: 'customer', userId: 42, operation: 'update' };
+  const CUSTOMER_CTX = { role: 'customer', userId: 42, tenantId: 1, operation: 'update' };
   const OLD_ROW = { id: 999, user_id: 7, title: 'x', is_read: false };
 
   beforeEach(() => {
@@ -48,6 +48,7 @@ describe('GenericEntityService.update() — RLS scoping (defense-in-depth)', ()
     const upd = updateStatement();
     expect(upd).toBeDefined();
     expect(upd).toMatch(/user_id/); // RLS clause applied to the UPDATE WHERE
+    expect(upd).toMatch(/tenant_id/); // ...under the tenant scope (ADR-014)
   });
 
   test('does NOT scope the UPDATE when no rlsContext is supplied (internal/system caller)', async () => {
@@ -0,0 +1,236 @@
+/**
+ * Global Search Service Unit Tests
+ *
+ * Tests fan-out, permission filtering, grouping/ranking and the time budget.
+ * GenericEntityService.findAll (RLS + field redaction) is mocked.
+ */
+
+const GlobalSearchService = require("../../../services/data/global-search-service");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const { hasPermission } = require("../../../config/permissions-loader");
+const ServiceCredentialService = require("../../../services/auth/service-credential-service");
+
+jest.mock("../../../services/entity/generic-entity-service");
+jest.mock("../../../db/connection");
+jest.mock("../../../config/permissions-loader", () => ({
+  hasPermission: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock("../../../config/models", () => ({
+  customer: {
+    tableName: "customers",
+    rlsResource: "customers",
+    icon: "people",
+    displayField: "email",
+    fields: {
+      id: {},
+      email: { searchable: true },
+    },
+  },
+  work_order: {
+    tableName: "work_orders",
+    rlsResource: "work_orders",
+    icon: "assignment",
+    identityField: "work_order_number",
+    fields: {
+      id: {},
+      work_order_number: { searchable: true },
+      summary: { searchable: true, fulltext: true },
+    },
+  },
+  role: {
+    tableName: "roles",
+    rlsResource: "roles",
+    fields: {
+      id: {},
+      name: {}, // no searchable fields - never searched
+    },
+  },
+}));
+
+const rlsContext = { role: "dispatcher", userId: 7, operation: "read" };
+
+// req.permissions as built by authenticateToken
+const permissionsFor = (role, credential = null) => ({
+  hasPermission: (resource, operation) =>
+    hasPermission(role, resource, operation) &&
+    (!credential || ServiceCredentialService.isResourceAllowed(credential, resource, operation)),
+});
+const permissions = permissionsFor("dispatcher");
+
+function page(data) {
+  return { data, pagination: { total: data.length } };
+}
+
+describe("GlobalSearchService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    hasPermission.mockReturnValue(true);
+  });
+
+  describe("getSearchableEntities()", () => {
+    test("should include only entities with searchable fields", () => {
+      expect(GlobalSearchService.getSearchableEntities(permissions)).toEqual([
+        "customer",
+        "work_order",
+      ]);
+    });
+
+    test("should exclude entities the role cannot read", () => {
+      hasPermission.mockImplementation((role, resource) => resource !== "customers");
+
+      expect(GlobalSearchService.getSearchableEntities(permissionsFor("customer"))).toEqual([
+        "work_order",
+      ]);
+      expect(hasPermission).toHaveBeenCalledWith("customer", "customers", "read");
+    });
+
+    test("should exclude entities outside a service credential's scopes", async () => {
+      const scoped = permissionsFor("dispatcher", { scopes: { work_order: ["read"] } });
+
+      expect(GlobalSearchService.getSearchableEntities(scoped)).toEqual(["work_order"]);
+
+      GenericEntityService.findAll.mockResolvedValue(page([]));
+      await GlobalSearchService.search("smith", rlsContext, scoped);
+      expect(GenericEntityService.findAll).toHaveBeenCalledTimes(1);
+      expect(GenericEntityService.findAll).toHaveBeenCalledWith("work_order", expect.any(Object));
+    });
+  });
+
+  describe("search()", () => {
+    test("should search each entity with its own RLS resource and the per-entity limit", async () => {
+      GenericEntityService.findAll.mockResolvedValue(page([]));
+
+      await GlobalSearchService.search("boiler", rlsContext, permissions, { limit: 3 });
+
+      expect(GenericEntityService.findAll).toHaveBeenCalledTimes(2);
+      expect(GenericEntityService.findAll).toHaveBeenCalledWith("customer", {
+        search: "boiler",
+        limit: 3,
+        rlsContext: { ...rlsContext, resource: "customers" },
+      });
+      expect(GenericEntityService.findAll).toHaveBeenCalledWith("work_order", {
+        search: "boiler",
+        limit: 3,
+        rlsContext: { ...rlsContext, resource: "work_orders" },
+      });
+    });
+
+    test("should shape groups with displayField, icon, total and hits", async () => {
+      GenericEntityService.findAll.mockImplementation(async (entity) =>
+        entity === "work_order"
+          ? {
+              data: [
+                {
+                  id: 12,
+                  work_order_number: "WO-12",
+                  search_snippet: "replace <mark>boiler</mark> valve",
+                },
+              ],
+              pagination: { total: 9 },
+            }
+          : page([]),
+      );
+
+      const result = await GlobalSearchService.search("boiler", rlsContext, permissions);
+
+      expect(result).toEqual({
+        query: "boiler",
+        groups: [
+          {
+            entity: "work_order",
+            icon: "assignment",
+            displayField: "work_order_number",
+            total: 9,
+            hits: [
+              {
+                id: 12,
+                label: "WO-12",
+                snippet: "replace <mark>boiler</mark> valve",
+                score: 0,
+              },
+            ],
+          },
+        ],
+        incomplete: [],
+      });
+    });
+
+    test("should rank hits by label match and groups by their best hit", async () => {
+      GenericEntityService.findAll.mockImplementation(async (entity) =>
+        entity === "customer"
+          ? page([
+              { id: 1, email: "ops@smith.example" },
+              { id: 2, email: "smith" },
+              { id: 3, email: "smithers@example.com" },
+            ])
+          : page([{ id: 20, work_order_number: "WO-20" }]),
+      );
+
+      const result = await GlobalSearchService.search("Smith", rlsContext, permissions);
+
+      expect(result.groups.map((g) => g.entity)).toEqual(["customer", "work_order"]);
+      expect(result.groups[0].hits.map((h) => [h.id, h.score])).toEqual([
+        [2, 3],
+        [3, 2],
+        [1, 1],
+      ]);
+    });
+
+    test("should score redacted labels as plain matches", async () => {
+      GenericEntityService.findAll.mockImplementation(async (entity) =>
+        entity === "customer" ? page([{ id: 1, email: null }]) : page([]),
+      );
+
+      const result = await GlobalSearchService.search("smith", rlsContext, permissions);
+
+      expect(result.groups[0].hits[0]).toEqual({
+        id: 1,
+        label: null,
+        snippet: null,
+        score: 0,
+      });
+    });
+
+    test("should report failed entities as incomplete and keep other groups", async () => {
+      GenericEntityService.findAll.mockImplementation(async (entity) => {
+        if (entity === "customer") {
+          throw new Error("connection reset");
+        }
+        return page([{ id: 5, work_order_number: "WO-5" }]);
+      });
+
+      const result = await GlobalSearchService.search("boiler", rlsContext, permissions);
+
+      expect(result.groups.map((g) => g.entity)).toEqual(["work_order"]);
+      expect(result.incomplete).toEqual([{ entity: "customer", reason: "error" }]);
+    });
+
+    test("should stop waiting at the time budget and report slow entities", async () => {
+      GenericEntityService.findAll.mockImplementation((entity) =>
+        entity === "customer"
+          ? new Promise(() => {}) // never settles
+          : Promise.resolve(page([{ id: 5, work_order_number: "WO-5" }])),
+      );
+
+      const result = await GlobalSearchService.search("boiler", rlsContext, permissions, {
+        budgetMs: 10,
+      });
+
+      expect(result.groups.map((g) => g.entity)).toEqual(["work_order"]);
+      expect(result.incomplete).toEqual([{ entity: "customer", reason: "timeout" }]);
+    });
+
+    test("should not search entities the role cannot read", async () => {
+      hasPermission.mockReturnValue(false);
+
+      const result = await GlobalSearchService.search("boiler", rlsContext, permissions);
+
+      expect(GenericEntityService.findAll).not.toHaveBeenCalled();
+      expect(result).toEqual({ query: "boiler", groups: [], incomplete: [] });
+    });
+  });
+});
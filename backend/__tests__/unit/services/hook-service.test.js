@@ -24,6 +24,10 @@ jest.mock('../../../config/action-handlers', () => ({
   executeAction: jest.fn(),
 }));
 
+jest.mock('../../../services/integrations/webhook-delivery-service', () => ({
+  enqueueForAction: jest.fn().mockResolvedValue(0),
+}));
+
 const {
   matchesOn,
   evaluateWhen,
@@ -34,6 +38,7 @@ const {
   WHEN_OPERATORS,
 } = require('../../../services/entity/hook-service');
 const { getAction, executeAction } = require('../../../config/action-handlers');
+const WebhookDeliveryService = require('../../../services/integrations/webhook-delivery-service');
 const { logger } = require('../../../config/logger');
 const { HOOK_WHEN_OPERATORS } = require('../../../config/constants');
 
@@ -62,6 +67,11 @@ describe('HookService', () => {
         expect(matchesOn('change', 'draft', 'sent', 'update')).toBe(true);
         expect(matchesOn('change', 'draft', 'draft', 'update')).toBe(false);
       });
+
+      test('delete operation matches only the delete pattern', () => {
+        expect(matchesOn('change', 'active', null, 'delete')).toBe(false);
+        expect(matchesOn('active→', 'active', null, 'delete')).toBe(false);
+      });
     });
 
     describe('transition patterns', () => {
@@ -299,14 +309,65 @@ describe('HookService', () => {
       expect(result.approvalInfo).toEqual({
         approver: 'customer',
         timeout: 48,
+        onTimeout: undefined,
+        chain: [{ approver: 'customer', timeout: 48 }],
         targetEntity: 'recommendation',
         targetId: 1,
         targetField: 'status',
+        previousValue: 'open',
         proposedValue: 'approved',
         description: 'Customer must approve',
       });
     });
 
+    test('resolves the approval chain from steps whose condition holds', async () => {
+      const hooks = [
+        {
+          on: 'change',
+          requiresApproval: {
+            approver: 'manager',
+            timeout: 48,
+            onTimeout: 'escalate',
+            steps: [
+              { approver: 'admin', when: { field: 'total', operator: '>', value: 25000 } },
+              { approver: 'admin', when: { field: 'total', operator: '>', value: 100000 }, timeout: 4 },
+            ],
+          },
+          description: 'High value requires approval',
+        },
+      ];
+
+      const result = await evaluateBeforeHooks({
+        hooks,
+        oldValue: 'draft',
+        newValue: 'sent',
+        context: { ...baseContext, record: { id: 1, total: 30000 } },
+      });
+
+      expect(result.approvalInfo.onTimeout).toBe('escalate');
+      expect(result.approvalInfo.chain).toEqual([
+        { approver: 'manager', timeout: 48 },
+        { approver: 'admin', timeout: 48 },
+      ]);
+    });
+
+    test('skips approval hooks once the change was approved, but still blocks', async () => {
+      const hooks = [
+        { on: '→approved', requiresApproval: { approver: 'manager' } },
+        { on: '→approved', blocked: true, description: 'Frozen' },
+      ];
+
+      const result = await evaluateBeforeHooks({
+        hooks,
+        oldValue: 'open',
+        newValue: 'approved',
+        context: baseContext,
+        approvalGranted: true,
+      });
+
+      expect(result).toEqual({ allowed: false, blockReason: 'Frozen' });
+    });
+
     test('respects when condition', async () => {
       const hooks = [
         {
@@ -359,6 +420,126 @@ describe('HookService', () => {
 
       expect(result.blockReason).toBe('First block');
     });
+
+    test('uses context.role when the user is only an id', async () => {
+      const hooks = [
+        { on: '→sent', blocked: true, bypassRoles: ['manager'], description: 'Only managers can send' },
+      ];
+
+      const result = await evaluateBeforeHooks({
+        hooks,
+        oldValue: 'draft',
+        newValue: 'sent',
+        context: { ...baseContext, user: 2, role: 'manager' },
+      });
+
+      expect(result).toEqual({ allowed: true });
+    });
+
+    describe('status transitions', () => {
+      const transitions = {
+        field: 'status',
+        edges: [
+          { from: 'draft', to: 'sent', minRole: 'dispatcher' },
+          { from: 'sent', to: 'paid', minRole: 'dispatcher', requires: ['paid_at'] },
+        ],
+      };
+      const context = {
+        entity: 'invoice',
+        record: { id: 1, status: 'draft', paid_at: null },
+        field: 'status',
+        user: 1,
+        role: 'dispatcher',
+      };
+
+      test('refuses an undeclared move even without hooks', async () => {
+        const result = await evaluateBeforeHooks({
+          hooks: undefined,
+          oldValue: 'draft',
+          newValue: 'paid',
+          context,
+          transitions,
+        });
+
+        expect(result.allowed).toBe(false);
+        expect(result.transition).toEqual({
+          reason: 'invalid_edge',
+          details: { field: 'status', from: 'draft', to: 'paid', allowed: ['sent'] },
+        });
+        expect(logger.info).toHaveBeenCalledWith(
+          'Transition refused',
+          expect.objectContaining({ entity: 'invoice', reason: 'invalid_edge' }),
+        );
+      });
+
+      test('refuses before any approval hook fires', async () => {
+        const hooks = [{ on: 'change', requiresApproval: { approver: 'manager' } }];
+
+        const result = await evaluateBeforeHooks({
+          hooks,
+          oldValue: 'draft',
+          newValue: 'paid',
+          context,
+          transitions,
+        });
+
+        expect(result.requiresApproval).toBeUndefined();
+        expect(result.transition.reason).toBe('invalid_edge');
+      });
+
+      test('runs hooks after an accepted move', async () => {
+        const hooks = [{ on: 'draft→sent', blocked: true, description: 'Blocked by hook' }];
+
+        const result = await evaluateBeforeHooks({
+          hooks,
+          oldValue: 'draft',
+          newValue: 'sent',
+          context,
+          transitions,
+        });
+
+        expect(result).toEqual({ allowed: false, blockReason: 'Blocked by hook' });
+      });
+
+      test('checks required fields against the record merged with the changes', async () => {
+        const sentContext = { ...context, record: { id: 1, status: 'sent', paid_at: null } };
+
+        const missing = await evaluateBeforeHooks({
+          oldValue: 'sent',
+          newValue: 'paid',
+          context: sentContext,
+          transitions,
+        });
+        expect(missing.transition.details.missingFields).toEqual(['paid_at']);
+
+        const supplied = await evaluateBeforeHooks({
+          oldValue: 'sent',
+          newValue: 'paid',
+          context: { ...sentContext, changes: { status: 'paid', paid_at: '2026-02-01' } },
+          transitions,
+        });
+        expect(supplied).toEqual({ allowed: true });
+      });
+
+      test('ignores the state machine for other fields and operations', async () => {
+        const otherField = await evaluateBeforeHooks({
+          oldValue: 100,
+          newValue: 200,
+          context: { ...context, field: 'total' },
+          transitions,
+        });
+        const onCreate = await evaluateBeforeHooks({
+          oldValue: null,
+          newValue: 'paid',
+          context,
+          transitions,
+          operation: 'create',
+        });
+
+        expect(otherField).toEqual({ allowed: true });
+        expect(onCreate).toEqual({ allowed: true });
+      });
+    });
   });
 
   // ═══════════════════════════════════════════════════════════════
@@ -413,6 +594,26 @@ describe('HookService', () => {
       expect(result.errors).toHaveLength(0);
     });
 
+    test('sends executed actions to webhook subscriptions with the action context', async () => {
+      const hooks = [{ on: '→approved', do: 'notify_customer' }];
+
+      await evaluateAfterHooks({
+        hooks,
+        oldValue: 'open',
+        newValue: 'approved',
+        context: baseContext,
+      });
+
+      expect(WebhookDeliveryService.enqueueForAction).toHaveBeenCalledWith(
+        'notify_customer',
+        expect.objectContaining({
+          entity: 'recommendation',
+          oldValue: 'open',
+          newValue: 'approved',
+        }),
+      );
+    });
+
     test('executes all matching hooks', async () => {
       const hooks = [
         { on: '→approved', do: 'notify_customer' },
@@ -451,6 +652,11 @@ describe('HookService', () => {
       expect(result.actionsExecuted).toContain('succeeding_action');
       expect(result.errors).toHaveLength(1);
       expect(result.errors[0].action).toBe('failing_action');
+      expect(WebhookDeliveryService.enqueueForAction).toHaveBeenCalledTimes(1);
+      expect(WebhookDeliveryService.enqueueForAction).toHaveBeenCalledWith(
+        'succeeding_action',
+        expect.any(Object),
+      );
     });
 
     test('propagates a failed action (success:false) when inside a Unit of Work (context.tx)', async () => {
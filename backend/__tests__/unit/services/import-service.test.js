@@ -0,0 +1,267 @@
+/**
+ * Import Service Unit Tests
+ *
+ * Uses the real unit/property metadata and validation schemas; the database
+ * (foreign key lookups) and GenericEntityService.batch are mocked.
+ */
+
+const ImportService = require("../../../services/data/import-service");
+const { XlsxWriter } = require("../../../utils/xlsx-writer");
+
+jest.mock("../../../db/connection", () => ({
+  query: jest.fn(),
+}));
+
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  batch: jest.fn(),
+}));
+
+const db = require("../../../db/connection");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+
+const MANAGER = { role: "manager", rlsContext: { role: "manager", userId: 3 } };
+
+const csv = (text) => Buffer.from(text);
+
+const xlsx = (rows) => {
+  const writer = new XlsxWriter();
+  return Buffer.concat([writer.begin(rows[0]), writer.rows(rows.slice(1)), writer.end()]);
+};
+
+describe("ImportService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({
+      rows: [
+        { id: 4, match_0: "Maple Court" },
+        { id: 7, match_0: "Oak Plaza" },
+        { id: 8, match_0: "Oak Plaza" },
+      ],
+    });
+  });
+
+  describe("parseFile()", () => {
+    test("parses quoted CSV cells, CRLF and a BOM and keeps row numbers across blank rows", () => {
+      const parsed = ImportService.parseFile(
+        csv('\uFEFFName,Notes\r\n"Smith, J","said ""hi""\r\nbye"\r\n,\r\n\r\nLee,\r\n'),
+      );
+
+      expect(parsed).toEqual({
+        format: "csv",
+        headers: ["Name", "Notes"],
+        rows: [
+          { row: 2, values: ["Smith, J", 'said "hi"\r\nbye'] },
+          { row: 5, values: ["Lee", ""] },
+        ],
+      });
+    });
+
+    test("detects a semicolon delimiter", () => {
+      const parsed = ImportService.parseFile(csv("Name;Square Footage\nLobby;1,5\n"));
+
+      expect(parsed.headers).toEqual(["Name", "Square Footage"]);
+      expect(parsed.rows[0].values).toEqual(["Lobby", "1,5"]);
+    });
+
+    test("reads XLSX files by their ZIP signature", () => {
+      const parsed = ImportService.parseFile(xlsx([["Name", "Floor"], ["4A", 2]]));
+
+      expect(parsed).toEqual({ format: "xlsx", headers: ["Name", "Floor"], rows: [{ row: 2, values: ["4A", 2] }] });
+    });
+
+    test.each([
+      ["an empty body", Buffer.alloc(0), "No file data received"],
+      ["a legacy .xls file", Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1]), "Legacy .xls"],
+      ["a broken XLSX file", Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00]), "Unreadable XLSX file"],
+      ["a file without data rows", csv("Name,Floor\n\n"), "File has no data rows"],
+      ["a file over the row limit", csv(`Name\n${"x\n".repeat(2001)}`), "limited to 2000 rows"],
+    ])("rejects %s", (_name, buffer, message) => {
+      expect(() => ImportService.parseFile(buffer)).toThrow(
+        expect.objectContaining({ statusCode: 400, message: expect.stringContaining(message) }),
+      );
+    });
+  });
+
+  describe("getImportableFields()", () => {
+    test("lists the fields the role can create with labels, references and enum values", () => {
+      const fields = ImportService.getImportableFields("unit", "manager");
+
+      expect(fields.find((f) => f.field === "property_id")).toEqual({
+        field: "property_id",
+        label: "Property Id",
+        type: "foreignKey",
+        required: true,
+        references: "property",
+        values: null,
+      });
+      expect(fields.find((f) => f.field === "ownership_type").values).toEqual([
+        { value: "private", label: "Private" },
+        { value: "common", label: "Common Area" },
+      ]);
+    });
+
+    test("leaves out fields the role cannot set", () => {
+      const fields = ImportService.getImportableFields("unit", "dispatcher").map((f) => f.field);
+
+      expect(fields).toEqual(["property_id"]);
+    });
+
+    test("rejects unknown entities", () => {
+      expect(() => ImportService.getImportableFields("spaceship")).toThrow(
+        expect.objectContaining({ statusCode: 404 }),
+      );
+    });
+  });
+
+  describe("buildMapping()", () => {
+    const fields = ImportService.getImportableFields("unit", "manager");
+
+    test("matches columns by field name, export label or reference name", () => {
+      const mapping = ImportService.buildMapping(
+        ["unit_identifier", "OWNERSHIP TYPE", "Property", "Colour"],
+        fields,
+      );
+
+      expect(mapping).toEqual([
+        { column: "unit_identifier", index: 0, field: "unit_identifier" },
+        { column: "OWNERSHIP TYPE", index: 1, field: "ownership_type" },
+        { column: "Property", index: 2, field: "property_id" },
+        { column: "Colour", index: 3, field: null },
+      ]);
+    });
+
+    test("applies overrides and leaves a field to the first automatic match", () => {
+      const mapping = ImportService.buildMapping(
+        ["Unit #", "Notes", "notes", "Floor"],
+        fields,
+        { "Unit #": "unit_identifier", floor: null },
+      );
+
+      expect(mapping.map((m) => m.field)).toEqual(["unit_identifier", "notes", null, null]);
+    });
+
+    test("rejects an override to a field that cannot be imported", () => {
+      expect(() => ImportService.buildMapping(["Id"], fields, { Id: "id" })).toThrow(
+        expect.objectContaining({ statusCode: 400, message: expect.stringContaining('into "id"') }),
+      );
+    });
+
+    test("rejects two overrides onto one field", () => {
+      expect(() =>
+        ImportService.buildMapping(["A", "B"], fields, { A: "notes", B: "notes" }),
+      ).toThrow('Columns "A" and "B" both map to "notes"');
+    });
+  });
+
+  describe("importFile()", () => {
+    const file = csv(
+      [
+        "Property,Unit Identifier,Ownership Type,Unit Category,Floor",
+        "maple court,4A,Common Area,residential,2",
+        "Oak Plaza,4B,Private,,",
+        "Elm,,sometimes,,first",
+        "7,4C,private,,-1",
+      ].join("\n"),
+    );
+
+    test("dry run reports per-row errors and creates nothing", async () => {
+      const report = await ImportService.importFile("unit", file, { ...MANAGER, dryRun: true });
+
+      expect(report).toEqual(
+        expect.objectContaining({
+          entity: "unit",
+          format: "csv",
+          dryRun: true,
+          committed: false,
+          totalRows: 4,
+          validRows: 2,
+          invalidRows: 2,
+        }),
+      );
+      expect(report.errors).toEqual([
+        { row: 3, field: "property_id", message: '"Oak Plaza" matches 2 property records - use the id instead' },
+        { row: 4, field: "ownership_type", message: expect.stringContaining('"sometimes" is not a valid Ownership Type') },
+        { row: 4, field: "property_id", message: 'No property matches "Elm"' },
+        { row: 4, field: "unit_identifier", message: expect.stringContaining("required") },
+        { row: 4, field: "floor", message: expect.stringContaining("number") },
+      ]);
+      expect(GenericEntityService.batch).not.toHaveBeenCalled();
+    });
+
+    test("resolves foreign keys with one lookup per referenced entity", async () => {
+      await ImportService.importFile("unit", file, { ...MANAGER, dryRun: true });
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("LOWER(properties.name::text) = ANY($1::text[])");
+      expect(sql).toContain("properties.id = ANY($2::int[])");
+      expect(params).toEqual([["maple court", "oak plaza", "elm", "7"], [7]]);
+    });
+
+    test("does not commit while any row is invalid", async () => {
+      const report = await ImportService.importFile("unit", file, MANAGER);
+
+      expect(report.committed).toBe(false);
+      expect(report.errors).toHaveLength(5);
+      expect(GenericEntityService.batch).not.toHaveBeenCalled();
+    });
+
+    test("creates every row in one audited batch", async () => {
+      const auditContext = { userId: 3, ipAddress: "127.0.0.1", userAgent: "jest" };
+      GenericEntityService.batch.mockResolvedValue({
+        success: true,
+        stats: { created: 2, updated: 0, deleted: 0, failed: 0 },
+        results: [{ result: { id: 51 } }, { result: { id: 52 } }],
+        errors: [],
+      });
+
+      const report = await ImportService.importFile(
+        "unit",
+        csv("Property,Unit Identifier,Ownership Type,Floor\nMaple Court,4A,Common Area,2\n7,4C,private,-1\n"),
+        { ...MANAGER, auditContext },
+      );
+
+      expect(GenericEntityService.batch).toHaveBeenCalledWith(
+        "unit",
+        [
+          { operation: "create", data: { property_id: 4, unit_identifier: "4A", ownership_type: "common", floor: 2 } },
+          { operation: "create", data: { property_id: 7, unit_identifier: "4C", ownership_type: "private", floor: -1 } },
+        ],
+        { auditContext, rlsContext: MANAGER.rlsContext },
+      );
+      expect(report).toEqual(
+        expect.objectContaining({ committed: true, created: [51, 52], errors: [], validRows: 2 }),
+      );
+    });
+
+    test("reports the row whose create failed when the batch rolls back", async () => {
+      GenericEntityService.batch.mockResolvedValue({
+        success: false,
+        stats: { created: 1, updated: 0, deleted: 0, failed: 1 },
+        results: [],
+        errors: [{ index: 1, operation: "create", success: false, error: "Duplicate unit identifier" }],
+      });
+
+      const report = await ImportService.importFile(
+        "unit",
+        csv("Property,Unit Identifier,Ownership Type\n\nMaple Court,4A,private\nMaple Court,4A,private\n"),
+        MANAGER,
+      );
+
+      expect(report).toEqual(
+        expect.objectContaining({
+          committed: false,
+          validRows: 0,
+          invalidRows: 2,
+          errors: [{ row: 4, field: null, message: "Duplicate unit identifier" }],
+        }),
+      );
+    });
+
+    test("rejects a file where no column matches", async () => {
+      await expect(
+        ImportService.importFile("unit", csv("Colour,Size\nred,L\n"), MANAGER),
+      ).rejects.toMatchObject({ statusCode: 400, message: "No column matches an importable field" });
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Job Queue Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const db = require("../../../db/connection");
+const JobQueueService = require("../../../services/jobs/job-queue-service");
+const { API_OPERATIONS } = require("../../../config/api-operations");
+
+const { JOBS } = API_OPERATIONS;
+
+const runningJob = (overrides) => ({
+  id: 1,
+  type: "tokens.cleanup",
+  status: "running",
+  attempts: 1,
+  max_attempts: 3,
+  run_at: "2026-01-01T00:00:00.000Z",
+  locked_by: "host:1",
+  ...overrides,
+});
+
+describe("JobQueueService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe("enqueue", () => {
+    it("should insert the job and return it", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 9, type: "export.csv" }] });
+
+      const job = await JobQueueService.enqueue("export.csv", { entity: "customer" }, {
+        dedupeKey: "k1",
+      });
+
+      expect(job).toEqual({ id: 9, type: "export.csv" });
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("ON CONFLICT (dedupe_key) DO NOTHING");
+      expect(params[0]).toBe("export.csv");
+      expect(JSON.parse(params[1])).toEqual({ entity: "customer" });
+      expect(params[3]).toBe(JOBS.DEFAULT_MAX_ATTEMPTS);
+      expect(params[4]).toBe("k1");
+    });
+
+    it("should return null when the dedupe key already exists", async () => {
+      const job = await JobQueueService.enqueue("webhook.process", {}, { dedupeKey: "dup" });
+
+      expect(job).toBeNull();
+    });
+
+    it("should enqueue on a caller's client when provided", async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+
+      await JobQueueService.enqueue("notification.deliver", {}, { client });
+
+      expect(client.query).toHaveBeenCalled();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it("should require a type", async () => {
+      await expect(JobQueueService.enqueue("")).rejects.toThrow("Job type is required");
+    });
+  });
+
+  describe("claim", () => {
+    it("should claim due pending jobs with SKIP LOCKED and order them", async () => {
+      db.query.mockResolvedValue({
+        rows: [
+          { id: 2, run_at: "2026-01-01T00:05:00Z" },
+          { id: 1, run_at: "2026-01-01T00:00:00Z" },
+        ],
+      });
+
+      const jobs = await JobQueueService.claim("host:1", 5);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("FOR UPDATE SKIP LOCKED");
+      expect(sql).toContain("attempts = attempts + 1");
+      expect(params).toEqual(["running", "host:1", "pending", 5]);
+      expect(jobs.map((j) => j.id)).toEqual([1, 2]);
+    });
+  });
+
+  describe("complete", () => {
+    it("should guard on the worker lock", async () => {
+      await JobQueueService.complete(runningJob(), { deleted: 3 });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("locked_by = $5");
+      expect(params).toEqual(["completed", '{"deleted":3}', 1, "running", "host:1"]);
+    });
+  });
+
+  describe("fail", () => {
+    it("should re-queue with backoff while attempts remain", async () => {
+      const before = Date.now();
+
+      await JobQueueService.fail(runningJob({ attempts: 2 }), new Error("timeout"));
+
+      const [, params] = db.query.mock.calls[0];
+      expect(params[0]).toBe("pending");
+      expect(params[1]).toBe("timeout");
+      expect(params[2].getTime()).toBeGreaterThanOrEqual(before + JOBS.BACKOFF_BASE_MS * 2);
+    });
+
+    it("should dead-letter when attempts are exhausted", async () => {
+      await JobQueueService.fail(runningJob({ attempts: 3 }), new Error("timeout"));
+
+      expect(db.query.mock.calls[0][1][0]).toBe("dead");
+    });
+
+    it("should dead-letter permanent failures immediately", async () => {
+      await JobQueueService.fail(runningJob(), "No handler", { permanent: true });
+
+      expect(db.query.mock.calls[0][1].slice(0, 2)).toEqual(["dead", "No handler"]);
+    });
+  });
+
+  describe("backoffMs", () => {
+    it("should grow exponentially and cap", () => {
+      expect(JobQueueService.backoffMs(1)).toBe(JOBS.BACKOFF_BASE_MS);
+      expect(JobQueueService.backoffMs(2)).toBe(JOBS.BACKOFF_BASE_MS * 2);
+      expect(JobQueueService.backoffMs(3)).toBe(JOBS.BACKOFF_BASE_MS * 4);
+      expect(JobQueueService.backoffMs(50)).toBe(JOBS.BACKOFF_MAX_MS);
+    });
+  });
+
+  describe("recurring jobs", () => {
+    const definition = { key: "token-cleanup", type: "tokens.cleanup", cron: "0 */6 * * *" };
+
+    it("should enqueue the next slot with a per-slot dedupe key", async () => {
+      await JobQueueService.scheduleRecurring(definition, new Date("2026-01-01T07:00:00Z"));
+
+      const [, params] = db.query.mock.calls[0];
+      expect(params[2].toISOString()).toBe("2026-01-01T12:00:00.000Z");
+      expect(params[4]).toBe("recurring:token-cleanup:2026-01-01T12:00:00.000Z");
+      expect(params.slice(5, 7)).toEqual(["token-cleanup", "0 */6 * * *"]);
+    });
+
+    it("should only schedule definitions without an active instance", async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ recurring_key: "token-cleanup" }] });
+
+      const scheduled = await JobQueueService.ensureRecurring([
+        definition,
+        { key: "job-cleanup", type: "jobs.cleanup", cron: "30 3 * * *" },
+      ]);
+
+      expect(scheduled).toEqual(["job-cleanup"]);
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    it("should schedule after the settled slot, not re-queue it", async () => {
+      const future = new Date(Date.now() + 60 * 60 * 1000);
+      future.setUTCMinutes(0, 0, 0);
+
+      await JobQueueService.scheduleNextInstance({
+        type: "tokens.cleanup",
+        recurring_key: "hourly",
+        cron: "0 * * * *",
+        run_at: future.toISOString(),
+        payload: {},
+      });
+
+      const runAt = db.query.mock.calls[0][1][2];
+      expect(runAt.getTime()).toBe(future.getTime() + 60 * 60 * 1000);
+    });
+
+    it("should ignore one-off jobs", async () => {
+      expect(await JobQueueService.scheduleNextInstance({ type: "export.csv" })).toBeNull();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("hasActive", () => {
+    it("should match pending and running jobs by type and payload", async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ "?column?": 1 }] });
+
+      const active = await JobQueueService.hasActive("webhook.process", { webhookEventId: 7 });
+
+      expect(active).toBe(true);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("payload @> $2::jsonb");
+      expect(params).toEqual(["webhook.process", '{"webhookEventId":7}', ["pending", "running"]]);
+    });
+
+    it("should use the given client and report no active job", async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      expect(await JobQueueService.hasActive("webhook.process", { webhookEventId: 7 }, { client })).toBe(false);
+      expect(client.query).toHaveBeenCalled();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("retry", () => {
+    it("should reset a dead job to pending", async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 4, status: "pending" }] });
+
+      const job = await JobQueueService.retry(4);
+
+      expect(job.status).toBe("pending");
+      expect(db.query.mock.calls[0][0]).toContain("attempts = 0");
+      expect(db.query.mock.calls[0][1][2]).toEqual(["dead", "cancelled"]);
+    });
+
+    it("should 404 for unknown jobs", async () => {
+      await expect(JobQueueService.retry(4)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it("should 409 for jobs in a non-retryable status", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, status: "completed" }] });
+
+      await expect(JobQueueService.retry(4)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining("completed"),
+      });
+    });
+  });
+
+  describe("cancel", () => {
+    it("should cancel and schedule the next recurring instance", async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 5,
+            status: "cancelled",
+            type: "tokens.cleanup",
+            recurring_key: "token-cleanup",
+            cron: "0 */6 * * *",
+            run_at: "2026-01-01T00:00:00.000Z",
+            payload: {},
+          }],
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 6 }] });
+
+      const job = await JobQueueService.cancel(5);
+
+      expect(job.status).toBe("cancelled");
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[1][0]).toContain("INSERT INTO jobs");
+    });
+  });
+
+  describe("list", () => {
+    it("should filter and paginate", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: "3" }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const result = await JobQueueService.list({ page: 2, limit: 2, status: "dead" });
+
+      expect(db.query.mock.calls[0]).toEqual([
+        "SELECT COUNT(*) AS total FROM jobs WHERE status = $1",
+        ["dead"],
+      ]);
+      expect(db.query.mock.calls[1][1]).toEqual(["dead", 2, 2]);
+      expect(result.pagination).toEqual({
+        page: 2,
+        limit: 2,
+        total: 3,
+        totalPages: 2,
+        hasNext: false,
+        hasPrev: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Job Worker Unit Tests
+ */
+
+jest.mock("../../../services/jobs/job-queue-service", () => ({
+  reclaimStale: jest.fn(),
+  claim: jest.fn(),
+  complete: jest.fn(),
+  fail: jest.fn(),
+  scheduleNextInstance: jest.fn(),
+}));
+jest.mock("../../../services/jobs/job-handlers", () => ({
+  getJobHandler: jest.fn(),
+}));
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const JobQueueService = require("../../../services/jobs/job-queue-service");
+const { getJobHandler } = require("../../../services/jobs/job-handlers");
+const JobWorker = require("../../../services/jobs/job-worker");
+
+const job = { id: 1, type: "tokens.cleanup", payload: { a: 1 }, status: "running" };
+
+describe("JobWorker", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("processJob", () => {
+    it("should complete the job and schedule the next recurring instance", async () => {
+      const handler = jest.fn().mockResolvedValue({ deleted: 2 });
+      getJobHandler.mockReturnValue(handler);
+      const settled = { ...job, status: "completed" };
+      JobQueueService.complete.mockResolvedValue(settled);
+
+      const outcome = await JobWorker.processJob(job);
+
+      expect(outcome).toBe("completed");
+      expect(handler).toHaveBeenCalledWith({ a: 1 }, job);
+      expect(JobQueueService.complete).toHaveBeenCalledWith(job, { deleted: 2 });
+      expect(JobQueueService.scheduleNextInstance).toHaveBeenCalledWith(settled);
+    });
+
+    it("should record a failed attempt for retry", async () => {
+      const error = new Error("boom");
+      getJobHandler.mockReturnValue(jest.fn().mockRejectedValue(error));
+      JobQueueService.fail.mockResolvedValue({ ...job, status: "pending" });
+
+      const outcome = await JobWorker.processJob(job);
+
+      expect(outcome).toBe("retry");
+      expect(JobQueueService.fail).toHaveBeenCalledWith(job, error);
+      expect(JobQueueService.scheduleNextInstance).not.toHaveBeenCalled();
+    });
+
+    it("should dead-letter unknown job types without retrying", async () => {
+      getJobHandler.mockReturnValue(null);
+      JobQueueService.fail.mockResolvedValue({ ...job, status: "dead" });
+
+      const outcome = await JobWorker.processJob(job);
+
+      expect(outcome).toBe("dead");
+      expect(JobQueueService.fail).toHaveBeenCalledWith(
+        job,
+        expect.stringContaining("No handler"),
+        { permanent: true },
+      );
+    });
+
+    it("should report jobs whose lock was lost while running", async () => {
+      getJobHandler.mockReturnValue(jest.fn().mockResolvedValue(null));
+      JobQueueService.complete.mockResolvedValue(null);
+
+      expect(await JobWorker.processJob(job)).toBe("lost");
+      expect(JobQueueService.scheduleNextInstance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("runDueJobs", () => {
+    it("should reclaim stale locks, claim jobs one at a time and summarize outcomes", async () => {
+      JobQueueService.claim
+        .mockResolvedValueOnce([job])
+        .mockResolvedValueOnce([{ ...job, id: 2 }]);
+      getJobHandler.mockReturnValue(jest.fn().mockResolvedValue({}));
+      JobQueueService.complete
+        .mockResolvedValueOnce({ ...job, status: "completed" })
+        .mockResolvedValueOnce(null);
+
+      const summary = await JobWorker.runDueJobs({ limit: 2 });
+
+      expect(JobQueueService.reclaimStale).toHaveBeenCalled();
+      expect(JobQueueService.claim).toHaveBeenCalledTimes(2);
+      expect(JobQueueService.claim).toHaveBeenCalledWith(JobWorker.WORKER_ID, 1);
+      expect(summary).toEqual({ claimed: 2, completed: 1, retry: 0, dead: 0, lost: 1 });
+    });
+
+    it("should claim each job only after the previous one settled", async () => {
+      const order = [];
+      JobQueueService.claim.mockImplementation(async () => {
+        order.push("claim");
+        return order.length < 4 ? [{ ...job, id: order.length }] : [];
+      });
+      getJobHandler.mockReturnValue(
+        jest.fn(async () => {
+          order.push("run");
+          return {};
+        }),
+      );
+      JobQueueService.complete.mockResolvedValue({ ...job, status: "completed" });
+
+      const summary = await JobWorker.runDueJobs({ limit: 5 });
+
+      expect(order).toEqual(["claim", "run", "claim", "run", "claim"]);
+      expect(summary.claimed).toBe(2);
+    });
+
+    it("should do nothing when no jobs are due", async () => {
+      JobQueueService.claim.mockResolvedValue([]);
+
+      const summary = await JobWorker.runDueJobs();
+
+      expect(summary.claimed).toBe(0);
+      expect(getJobHandler).not.toHaveBeenCalled();
+    });
+  });
+});
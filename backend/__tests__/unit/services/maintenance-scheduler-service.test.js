@@ -0,0 +1,206 @@
+/**
+ * Maintenance Scheduler Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  create: jest.fn(),
+  update: jest.fn().mockResolvedValue({ id: 1 }),
+}));
+
+const db = require("../../../db/connection");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const MaintenanceSchedulerService = require("../../../services/scheduling/maintenance-scheduler-service");
+
+const schedule = (overrides) => ({
+  id: 7,
+  schedule_number: "MS-2026-0001",
+  customer_id: 3,
+  service_template_id: 4,
+  frequency: "weekly",
+  frequency_interval: 1,
+  occurrence_date: "2026-03-01",
+  ...overrides,
+});
+
+/**
+ * Fake transaction client: answers the schedule lock query with `locked`
+ * and the occurrence-exists query from `existing` dates.
+ */
+const mockClient = ({ locked, existing = [] }) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes("FOR UPDATE SKIP LOCKED")) {
+      return { rows: locked ? [locked] : [] };
+    }
+    if (sql.includes("FROM work_orders")) {
+      return { rows: existing.includes(params[1]) ? [{ "?column?": 1 }] : [] };
+    }
+    return { rows: [] };
+  }),
+  release: jest.fn(),
+});
+
+describe("MaintenanceSchedulerService", () => {
+  let nextId;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextId = 100;
+    GenericEntityService.create.mockImplementation(async () => ({ id: nextId++ }));
+  });
+
+  describe("generateForSchedule", () => {
+    it("should generate every occurrence up to the horizon and advance the schedule", async () => {
+      const client = mockClient({ locked: schedule() });
+      db.getClient.mockResolvedValue(client);
+
+      const result = await MaintenanceSchedulerService.generateForSchedule(7, "2026-03-10");
+
+      expect(result).toEqual({
+        scheduleId: 7,
+        generated: 2,
+        skipped: 0,
+        workOrderIds: [100, 101],
+        next_due_date: "2026-03-15",
+      });
+      expect(GenericEntityService.create).toHaveBeenCalledWith(
+        "work_order",
+        expect.objectContaining({
+          customer_id: 3,
+          service_template_id: 4,
+          status: "scheduled",
+          origin_type: "maintenance_schedule",
+          origin_id: 7,
+          scheduled_start: "2026-03-01T00:00:00.000Z",
+        }),
+        expect.objectContaining({ client }),
+      );
+      expect(GenericEntityService.create.mock.calls[1][1].scheduled_start).toBe(
+        "2026-03-08T00:00:00.000Z",
+      );
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "maintenance_schedule",
+        7,
+        { next_due_date: "2026-03-15", last_generated_date: "2026-03-08" },
+        expect.objectContaining({ client, skipHooks: true }),
+      );
+      expect(client.query).toHaveBeenCalledWith("COMMIT");
+    });
+
+    it("should apply frequency_interval when advancing", async () => {
+      const client = mockClient({
+        locked: schedule({ frequency: "monthly", frequency_interval: 2, occurrence_date: "2026-01-31" }),
+      });
+      db.getClient.mockResolvedValue(client);
+
+      const result = await MaintenanceSchedulerService.generateForSchedule(7, "2026-02-01");
+
+      expect(result.generated).toBe(1);
+      expect(result.next_due_date).toBe("2026-03-31");
+    });
+
+    it("should skip occurrences that already have a work order", async () => {
+      const client = mockClient({ locked: schedule(), existing: ["2026-03-01"] });
+      db.getClient.mockResolvedValue(client);
+
+      const result = await MaintenanceSchedulerService.generateForSchedule(7, "2026-03-10");
+
+      expect(result.skipped).toBe(1);
+      expect(result.generated).toBe(1);
+      expect(GenericEntityService.create).toHaveBeenCalledTimes(1);
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "maintenance_schedule",
+        7,
+        { next_due_date: "2026-03-15", last_generated_date: "2026-03-08" },
+        expect.any(Object),
+      );
+    });
+
+    it("should return null when the schedule is locked or no longer due", async () => {
+      const client = mockClient({ locked: null });
+      db.getClient.mockResolvedValue(client);
+
+      const result = await MaintenanceSchedulerService.generateForSchedule(7, "2026-03-10");
+
+      expect(result).toBeNull();
+      expect(GenericEntityService.create).not.toHaveBeenCalled();
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+
+    it("should roll back when a work order cannot be created", async () => {
+      const client = mockClient({ locked: schedule() });
+      db.getClient.mockResolvedValue(client);
+      GenericEntityService.create.mockRejectedValueOnce(new Error("insert failed"));
+
+      await expect(
+        MaintenanceSchedulerService.generateForSchedule(7, "2026-03-10"),
+      ).rejects.toThrow(/MS-2026-0001.*insert failed/);
+
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+
+    it("should roll back when the next occurrence cannot be computed", async () => {
+      const client = mockClient({ locked: schedule({ frequency: "fortnightly" }) });
+      db.getClient.mockResolvedValue(client);
+
+      await expect(
+        MaintenanceSchedulerService.generateForSchedule(7, "2026-03-10"),
+      ).rejects.toThrow("Cannot compute next occurrence");
+
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+    });
+  });
+
+  describe("generateDueWorkOrders", () => {
+    it("should select due schedules within the horizon", async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const summary = await MaintenanceSchedulerService.generateDueWorkOrders({
+        horizonDays: 7,
+        asOf: new Date("2026-03-01T12:00:00Z"),
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("next_due_date <= $1::date");
+      expect(params[0]).toBe("2026-03-08");
+      expect(summary).toEqual({
+        horizon: "2026-03-08",
+        processed: 0,
+        generated: 0,
+        skipped: 0,
+        failed: 0,
+        errors: [],
+      });
+    });
+
+    it("should isolate failures per schedule", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1 }, { id: 2 }] });
+      jest
+        .spyOn(MaintenanceSchedulerService, "generateForSchedule")
+        .mockRejectedValueOnce(new Error("boom"))
+        .mockResolvedValueOnce({ generated: 3, skipped: 1 });
+
+      const summary = await MaintenanceSchedulerService.generateDueWorkOrders({
+        asOf: new Date("2026-03-01T00:00:00Z"),
+      });
+
+      expect(summary).toMatchObject({
+        processed: 1,
+        generated: 3,
+        skipped: 1,
+        failed: 1,
+        errors: [{ scheduleId: 1, error: "boom" }],
+      });
+      MaintenanceSchedulerService.generateForSchedule.mockRestore();
+    });
+  });
+});
@@ -6,6 +6,7 @@
  */
 
 const PaginationService = require("../../../services/entity/pagination-service");
+const { encrypt } = require("../../../utils/encryption");
 
 describe("PaginationService", () => {
   describe("validateParams()", () => {
@@ -229,6 +230,85 @@ describe("PaginationService", () => {
     });
   });
 
+  describe("encodeCursor() / decodeCursor()", () => {
+    const position = {
+      field: "created_at",
+      order: "DESC",
+      value: "2026-03-02 08:00:00.123456+00",
+      id: 8,
+    };
+
+    test("should round-trip a position through an opaque string", () => {
+      const cursor = PaginationService.encodeCursor(position);
+
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(PaginationService.decodeCursor(cursor)).toEqual(position);
+    });
+
+    test("should not expose the sort value in the cursor", () => {
+      const cursor = PaginationService.encodeCursor({ ...position, value: "85.00" });
+
+      expect(Buffer.from(cursor, "base64url").toString("utf8")).not.toContain("85.00");
+    });
+
+    test("should keep a NULL sort value", () => {
+      const cursor = PaginationService.encodeCursor({ ...position, value: null });
+
+      expect(PaginationService.decodeCursor(cursor).value).toBeNull();
+    });
+
+    test("should reject malformed cursors with 400", () => {
+      const wrongShape = Buffer.from(encrypt(JSON.stringify({ f: "id", o: "SIDEWAYS", v: null, id: 1 })))
+        .toString("base64url");
+      // Well-formed position, but not issued (encrypted) by the server
+      const forged = Buffer.from(JSON.stringify({ f: "id", o: "ASC", v: null, id: 1 }))
+        .toString("base64url");
+
+      for (const cursor of ["not-a-cursor", wrongShape, forged, ""]) {
+        expect(() => PaginationService.decodeCursor(cursor)).toThrow(
+          expect.objectContaining({ statusCode: 400, message: "Invalid pagination cursor" }),
+        );
+      }
+    });
+
+    test("should answer 503, not 400 or 500, when ENCRYPTION_KEY is unusable", () => {
+      const cursor = PaginationService.encodeCursor(position);
+      const originalKey = process.env.ENCRYPTION_KEY;
+      process.env.ENCRYPTION_KEY = "not-a-key";
+
+      try {
+        const unavailable = expect.objectContaining({
+          statusCode: 503,
+          code: "SERVER_UNAVAILABLE",
+          message: "Cursor pagination is unavailable: ENCRYPTION_KEY is not configured",
+        });
+        expect(() => PaginationService.encodeCursor(position)).toThrow(unavailable);
+        expect(() => PaginationService.decodeCursor(cursor)).toThrow(unavailable);
+      } finally {
+        if (originalKey === undefined) {
+          delete process.env.ENCRYPTION_KEY;
+        } else {
+          process.env.ENCRYPTION_KEY = originalKey;
+        }
+      }
+    });
+  });
+
+  describe("generateCursorMetadata()", () => {
+    test("should expose next_cursor and hasNext", () => {
+      expect(PaginationService.generateCursorMetadata(25, "abc")).toEqual({
+        limit: 25,
+        hasNext: true,
+        next_cursor: "abc",
+      });
+      expect(PaginationService.generateCursorMetadata(25, null)).toEqual({
+        limit: 25,
+        hasNext: false,
+        next_cursor: null,
+      });
+    });
+  });
+
   describe("DEFAULTS", () => {
     test("should export default constants", () => {
       expect(PaginationService.DEFAULTS).toEqual({
@@ -4,7 +4,7 @@
  * Tests the GENERIC query builder that powers ALL models
  *
  * Coverage:
- * - Search clause building (ILIKE)
+ * - Search clause building (ILIKE, full-text with ILIKE fallback)
  * - Filter clause building (exact match + operators)
  * - Sort clause building (with validation)
  * - Clause combining
@@ -111,6 +111,78 @@ describe("QueryBuilderService", () => {
     });
   });
 
+  describe("buildFullTextSearchClause", () => {
+    const searchableFields = ["work_order_number", "summary", "notes"];
+    const fulltextFields = ["summary", "notes"];
+
+    test("should match the tsvector and ILIKE only the non-FULLTEXT fields", () => {
+      const result = QueryBuilderService.buildFullTextSearchClause(
+        "  leaking valve ",
+        searchableFields,
+        fulltextFields,
+        "work_orders",
+      );
+
+      expect(result.clause).toBe(
+        "(work_orders.search_vector @@ websearch_to_tsquery('english', $1) OR work_orders.work_order_number ILIKE $2)",
+      );
+      expect(result.params).toEqual(["leaking valve", "%leaking valve%"]);
+      expect(result.paramOffset).toBe(2);
+      expect(result.tsquery).toBe("websearch_to_tsquery('english', $1)");
+    });
+
+    test("should fall back to ILIKE on every searchable field for identifiers", () => {
+      const result = QueryBuilderService.buildFullTextSearchClause(
+        "WO-2026-0042",
+        searchableFields,
+        fulltextFields,
+      );
+
+      expect(result.clause).toBe(
+        "(work_order_number ILIKE $1 OR summary ILIKE $2 OR notes ILIKE $3)",
+      );
+      expect(result.tsquery).toBeNull();
+    });
+
+    test("should fall back to ILIKE for short terms and entities without FULLTEXT fields", () => {
+      expect(
+        QueryBuilderService.buildFullTextSearchClause("ac", searchableFields, fulltextFields).tsquery,
+      ).toBeNull();
+      expect(
+        QueryBuilderService.buildFullTextSearchClause("leaking", ["name"], []),
+      ).toEqual({ clause: "(name ILIKE $1)", params: ["%leaking%"], paramOffset: 1, tsquery: null });
+    });
+
+    test("should return null clause when search term is empty", () => {
+      const result = QueryBuilderService.buildFullTextSearchClause(
+        "",
+        searchableFields,
+        fulltextFields,
+      );
+
+      expect(result.clause).toBeNull();
+      expect(result.params).toEqual([]);
+    });
+  });
+
+  describe("buildSearchRank / buildSearchHeadline", () => {
+    const tsquery = "websearch_to_tsquery('english', $1)";
+
+    test("should rank against the table's tsvector", () => {
+      expect(QueryBuilderService.buildSearchRank(tsquery, "units")).toBe(
+        "ts_rank(units.search_vector, websearch_to_tsquery('english', $1))",
+      );
+    });
+
+    test("should highlight the same document the tsvector indexes", () => {
+      const headline = QueryBuilderService.buildSearchHeadline(["summary", "terms"], tsquery, "contracts");
+
+      expect(headline).toMatch(
+        /^ts_headline\('english', COALESCE\(contracts\.summary, ''\) \|\| ' ' \|\| COALESCE\(contracts\.terms, ''\), websearch_to_tsquery\('english', \$1\), '.*StartSel=<mark>.*'\)$/,
+      );
+    });
+  });
+
   // ==========================================================================
   // FILTER CLAUSE TESTS
   // ==========================================================================
@@ -441,6 +513,77 @@ describe("QueryBuilderService", () => {
     });
   });
 
+  describe("resolveSort", () => {
+    test("should return the validated field and order", () => {
+      expect(
+        QueryBuilderService.resolveSort("email", "asc", ["id", "email"], { field: "id", order: "DESC" }),
+      ).toEqual({ field: "email", order: "ASC" });
+    });
+
+    test("should fall back to the default field and order together", () => {
+      expect(
+        QueryBuilderService.resolveSort("bogus", "asc", ["id", "email"], { field: "id", order: "DESC" }),
+      ).toEqual({ field: "id", order: "DESC" });
+    });
+  });
+
+  describe("buildKeysetClause", () => {
+    const base = { field: "created_at", primaryKey: "id", id: 8, tablePrefix: "users" };
+
+    test("should seek after the cursor for DESC with the id tiebreaker", () => {
+      const result = QueryBuilderService.buildKeysetClause({
+        ...base,
+        order: "DESC",
+        value: "2026-03-02 08:00:00+00",
+        paramOffset: 1,
+      });
+
+      expect(result).toEqual({
+        clause: "(users.created_at < $2 OR (users.created_at = $2 AND users.id < $3))",
+        params: ["2026-03-02 08:00:00+00", 8],
+        paramOffset: 3,
+      });
+    });
+
+    test("should keep trailing NULLs reachable for ASC", () => {
+      const result = QueryBuilderService.buildKeysetClause({
+        ...base,
+        order: "ASC",
+        value: "2026-03-02 08:00:00+00",
+      });
+
+      expect(result.clause).toBe(
+        "(users.created_at > $1 OR (users.created_at = $1 AND users.id > $2) OR users.created_at IS NULL)",
+      );
+    });
+
+    test("should page within the NULL group when the cursor value is NULL", () => {
+      const asc = QueryBuilderService.buildKeysetClause({ ...base, order: "ASC", value: null });
+      const desc = QueryBuilderService.buildKeysetClause({ ...base, order: "DESC", value: null });
+
+      expect(asc).toEqual({
+        clause: "(users.created_at IS NULL AND users.id > $1)",
+        params: [8],
+        paramOffset: 1,
+      });
+      expect(desc.clause).toBe(
+        "((users.created_at IS NULL AND users.id < $1) OR users.created_at IS NOT NULL)",
+      );
+    });
+
+    test("should compare only the key when sorting by the primary key", () => {
+      const result = QueryBuilderService.buildKeysetClause({
+        ...base,
+        field: "id",
+        order: "ASC",
+        value: "8",
+        paramOffset: 2,
+      });
+
+      expect(result).toEqual({ clause: "users.id > $3", params: [8], paramOffset: 3 });
+    });
+  });
+
   // ==========================================================================
   // COMBINING TESTS
   // ==========================================================================
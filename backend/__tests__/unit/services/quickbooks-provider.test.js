@@ -0,0 +1,215 @@
+/**
+ * QuickBooks Provider Unit Tests
+ *
+ * Runs the provider against recorded QBO responses (no network).
+ */
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const quickbooks = require("../../../services/integrations/providers/quickbooks");
+const { createQuickBooksApiMock } = require("../../mocks/quickbooks-api.mock");
+const { QB_TOKENS, QB_RESPONSES } = require("../../fixtures/quickbooks");
+
+const customer = {
+  id: 3,
+  first_name: "Dana",
+  last_name: "Reyes",
+  email: "dana@acme.test",
+  phone: "+15551234567",
+  organization_name: "Acme Property Group",
+  billing_line1: "1 Main St",
+  billing_city: "Austin",
+  billing_state: "TX",
+  billing_postal_code: "78701",
+  qb_customer_id: null,
+};
+
+const invoice = {
+  id: 42,
+  invoice_number: "INV-2026-0042",
+  summary: "Quarterly HVAC service",
+  amount: "250.00",
+  tax: "20.00",
+  due_date: "2026-04-03",
+  created_at: new Date("2026-03-04T15:16:40Z"),
+  qb_invoice_id: null,
+};
+
+describe("QuickBooks provider", () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete process.env.QB_DEFAULT_ITEM_ID;
+  });
+
+  const useApi = (routes) => {
+    const api = createQuickBooksApiMock(routes);
+    global.fetch = api.fetch;
+    return api;
+  };
+
+  describe("toQboCustomer", () => {
+    it("should map contact, company and billing address", () => {
+      expect(quickbooks.toQboCustomer(customer)).toEqual({
+        DisplayName: "Acme Property Group",
+        GivenName: "Dana",
+        FamilyName: "Reyes",
+        CompanyName: "Acme Property Group",
+        PrimaryEmailAddr: { Address: "dana@acme.test" },
+        PrimaryPhone: { FreeFormNumber: "+15551234567" },
+        BillAddr: {
+          Line1: "1 Main St",
+          City: "Austin",
+          CountrySubDivisionCode: "TX",
+          PostalCode: "78701",
+        },
+      });
+    });
+
+    it("should fall back to the person's name, then email, for DisplayName", () => {
+      expect(
+        quickbooks.toQboCustomer({ first_name: "Dana", last_name: "Reyes", email: "d@x.test" })
+          .DisplayName,
+      ).toBe("Dana Reyes");
+      expect(quickbooks.toQboCustomer({ email: "d@x.test" })).toEqual({
+        DisplayName: "d@x.test",
+        PrimaryEmailAddr: { Address: "d@x.test" },
+      });
+    });
+  });
+
+  describe("toQboInvoice", () => {
+    it("should map to one sales line on the default item", () => {
+      expect(quickbooks.toQboInvoice(invoice, "58")).toEqual({
+        DocNumber: "INV-2026-0042",
+        CustomerRef: { value: "58" },
+        Line: [
+          {
+            DetailType: "SalesItemLineDetail",
+            Amount: 250,
+            Description: "Quarterly HVAC service",
+            SalesItemLineDetail: { ItemRef: { value: "1" }, Qty: 1, UnitPrice: 250 },
+          },
+        ],
+        TxnDate: "2026-03-04",
+        DueDate: "2026-04-03",
+        TxnTaxDetail: { TotalTax: 20 },
+      });
+    });
+
+    it("should use QB_DEFAULT_ITEM_ID and omit zero tax", () => {
+      process.env.QB_DEFAULT_ITEM_ID = "19";
+
+      const mapped = quickbooks.toQboInvoice({ ...invoice, tax: "0" }, "58");
+
+      expect(mapped.Line[0].SalesItemLineDetail.ItemRef).toEqual({ value: "19" });
+      expect(mapped).not.toHaveProperty("TxnTaxDetail");
+    });
+  });
+
+  describe("syncCustomer", () => {
+    it("should create a customer that has no QuickBooks Id", async () => {
+      const api = useApi({
+        "POST customer": { status: 200, body: QB_RESPONSES.customerCreated },
+      });
+
+      const result = await quickbooks.syncCustomer(QB_TOKENS, { customer });
+
+      expect(result).toEqual({ id: "58", syncToken: "0" });
+      expect(api.requests()).toEqual([
+        { method: "POST", resource: "customer", body: quickbooks.toQboCustomer(customer) },
+      ]);
+      const [url, options] = api.fetch.mock.calls[0];
+      expect(url).toBe(
+        "https://sandbox-quickbooks.api.intuit.com/v3/company/9130357766896836/customer?minorversion=73",
+      );
+      expect(options.headers.Authorization).toBe("Bearer qb-access-token");
+    });
+
+    it("should sparse-update with the current SyncToken when already synced", async () => {
+      const api = useApi({
+        "GET customer/58": { status: 200, body: QB_RESPONSES.customerRead },
+        "POST customer": { status: 200, body: QB_RESPONSES.customerUpdated },
+      });
+
+      const result = await quickbooks.syncCustomer(QB_TOKENS, {
+        customer: { ...customer, qb_customer_id: "58" },
+      });
+
+      expect(result).toEqual({ id: "58", syncToken: "4" });
+      const [read, update] = api.requests();
+      expect(read).toEqual({ method: "GET", resource: "customer/58", body: undefined });
+      expect(update.body).toMatchObject({ Id: "58", SyncToken: "3", sparse: true });
+    });
+
+    it("should surface QuickBooks validation faults as 422", async () => {
+      useApi({
+        "POST customer": { status: 400, body: QB_RESPONSES.duplicateNameFault },
+      });
+
+      await expect(quickbooks.syncCustomer(QB_TOKENS, { customer })).rejects.toMatchObject({
+        statusCode: 422,
+        code: "VALIDATION_FAILED",
+        message: expect.stringContaining("The name supplied already exists"),
+      });
+    });
+  });
+
+  describe("syncInvoice", () => {
+    it("should create an invoice for the customer reference", async () => {
+      const api = useApi({
+        "POST invoice": { status: 200, body: QB_RESPONSES.invoiceCreated },
+      });
+
+      const result = await quickbooks.syncInvoice(QB_TOKENS, { invoice, customerRef: "58" });
+
+      expect(result).toEqual({ id: "145", syncToken: "0", docNumber: "INV-2026-0042" });
+      expect(api.requests()[0].body.CustomerRef).toEqual({ value: "58" });
+    });
+
+    it("should update by qb_invoice_id", async () => {
+      const api = useApi({
+        "GET invoice/145": { status: 200, body: QB_RESPONSES.invoiceRead },
+        "POST invoice": { status: 200, body: QB_RESPONSES.invoiceUpdated },
+      });
+
+      const result = await quickbooks.syncInvoice(QB_TOKENS, {
+        invoice: { ...invoice, qb_invoice_id: "145" },
+        customerRef: "58",
+      });
+
+      expect(result.syncToken).toBe("2");
+      expect(api.requests()[1].body).toMatchObject({ Id: "145", SyncToken: "1", sparse: true });
+    });
+
+    it("should reject invoices without a customer reference", async () => {
+      const api = useApi({});
+
+      await expect(
+        quickbooks.syncInvoice(QB_TOKENS, { invoice, customerRef: null }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(api.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should treat non-validation failures as upstream errors", async () => {
+      useApi({
+        "GET invoice/999": { status: 503, body: {} },
+      });
+
+      await expect(
+        quickbooks.syncInvoice(QB_TOKENS, {
+          invoice: { ...invoice, qb_invoice_id: "999" },
+          customerRef: "58",
+        }),
+      ).rejects.toMatchObject({ statusCode: 502, code: "SERVER_UNAVAILABLE" });
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * QuickBooks Sync Service Unit Tests
+ *
+ * Runs through the real runner and provider against recorded QBO responses
+ * (no network); records are served by a mocked GenericEntityService.
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+  logSecurityEvent: jest.fn(),
+}));
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  findById: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock("../../../services/integrations/token-service", () => ({
+  getTokens: jest.fn(),
+  setTokens: jest.fn(),
+  checkTokenStatus: jest.fn(),
+}));
+
+const db = require("../../../db/connection");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const IntegrationTokenService = require("../../../services/integrations/token-service");
+const QuickBooksSyncService = require("../../../services/integrations/quickbooks-sync-service");
+const { createQuickBooksApiMock } = require("../../mocks/quickbooks-api.mock");
+const { QB_TOKENS, QB_RESPONSES } = require("../../fixtures/quickbooks");
+
+const customer = (overrides) => ({
+  id: 3,
+  first_name: "Dana",
+  last_name: "Reyes",
+  email: "dana@acme.test",
+  organization_name: "Acme Property Group",
+  qb_customer_id: null,
+  qb_sync_status: "pending",
+  ...overrides,
+});
+
+const invoice = (overrides) => ({
+  id: 42,
+  customer_id: 3,
+  invoice_number: "INV-2026-0042",
+  amount: "250.00",
+  tax: "20.00",
+  due_date: "2026-04-03",
+  created_at: "2026-03-04T15:16:40.000Z",
+  qb_invoice_id: null,
+  qb_sync_status: "pending",
+  ...overrides,
+});
+
+/** Serve records by entity + id from a fixed set */
+const useRecords = (records) => {
+  GenericEntityService.findById.mockImplementation(
+    async (entity, id) => records[`${entity}:${id}`] || null,
+  );
+  GenericEntityService.update.mockImplementation(async (entity, id, data) => ({
+    ...records[`${entity}:${id}`],
+    ...data,
+  }));
+};
+
+/** Write-back payloads for one entity */
+const writesFor = (entity) =>
+  GenericEntityService.update.mock.calls
+    .filter((call) => call[0] === entity)
+    .map((call) => call[2]);
+
+describe("QuickBooksSyncService", () => {
+  const originalFetch = global.fetch;
+  let api;
+
+  const useApi = (routes) => {
+    api = createQuickBooksApiMock(routes);
+    global.fetch = api.fetch;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    IntegrationTokenService.getTokens.mockResolvedValue(QB_TOKENS);
+    IntegrationTokenService.checkTokenStatus.mockResolvedValue({ hasTokens: true });
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe("syncCustomer", () => {
+    it("should store the QuickBooks Id and mark the customer synced", async () => {
+      useRecords({ "customer:3": customer() });
+      useApi({ "POST customer": { status: 200, body: QB_RESPONSES.customerCreated } });
+
+      const result = await QuickBooksSyncService.syncCustomer(3);
+
+      expect(result.qb_customer_id).toBe("58");
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "customer",
+        3,
+        {
+          qb_customer_id: "58",
+          qb_sync_status: "synced",
+          qb_synced_at: expect.any(String),
+          qb_sync_error: null,
+        },
+        { skipHooks: true },
+      );
+    });
+
+    it("should record the QuickBooks fault on the customer and rethrow", async () => {
+      useRecords({ "customer:3": customer() });
+      useApi({ "POST customer": { status: 400, body: QB_RESPONSES.duplicateNameFault } });
+
+      await expect(QuickBooksSyncService.syncCustomer(3)).rejects.toMatchObject({
+        statusCode: 422,
+      });
+
+      const [write] = writesFor("customer");
+      expect(write.qb_sync_status).toBe("error");
+      expect(write.qb_sync_error).toContain("The name supplied already exists");
+    });
+
+    it("should write nothing when QuickBooks is not connected", async () => {
+      useRecords({ "customer:3": customer() });
+      useApi({});
+      IntegrationTokenService.getTokens.mockResolvedValue(null);
+
+      await expect(QuickBooksSyncService.syncCustomer(3)).rejects.toMatchObject({
+        code: "INTEGRATION_NOT_CONNECTED",
+      });
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+
+    it("should 404 for unknown customers", async () => {
+      useRecords({});
+
+      await expect(QuickBooksSyncService.syncCustomer(3)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe("syncInvoice", () => {
+    it("should sync the customer first when it has no QuickBooks Id", async () => {
+      useRecords({ "customer:3": customer(), "invoice:42": invoice() });
+      useApi({
+        "POST customer": { status: 200, body: QB_RESPONSES.customerCreated },
+        "POST invoice": { status: 200, body: QB_RESPONSES.invoiceCreated },
+      });
+
+      const result = await QuickBooksSyncService.syncInvoice(42);
+
+      expect(api.requests().map((r) => `${r.method} ${r.resource}`)).toEqual([
+        "POST customer",
+        "POST invoice",
+      ]);
+      expect(api.requests()[1].body.CustomerRef).toEqual({ value: "58" });
+      expect(result).toMatchObject({ qb_invoice_id: "145", qb_sync_status: "synced" });
+    });
+
+    it("should update an already-synced invoice by its QuickBooks Id", async () => {
+      useRecords({
+        "customer:3": customer({ qb_customer_id: "58", qb_sync_status: "synced" }),
+        "invoice:42": invoice({ qb_invoice_id: "145", qb_sync_status: "modified" }),
+      });
+      useApi({
+        "GET invoice/145": { status: 200, body: QB_RESPONSES.invoiceRead },
+        "POST invoice": { status: 200, body: QB_RESPONSES.invoiceUpdated },
+      });
+
+      await QuickBooksSyncService.syncInvoice(42);
+
+      expect(api.requests()[1].body).toMatchObject({ Id: "145", SyncToken: "1", sparse: true });
+      expect(writesFor("customer")).toEqual([]);
+      expect(writesFor("invoice")[0].qb_sync_status).toBe("synced");
+    });
+
+    it("should mark the invoice errored when its customer cannot be synced", async () => {
+      useRecords({ "customer:3": customer(), "invoice:42": invoice() });
+      useApi({ "POST customer": { status: 400, body: QB_RESPONSES.duplicateNameFault } });
+
+      await expect(QuickBooksSyncService.syncInvoice(42)).rejects.toThrow(
+        "Customer 3 could not be synced",
+      );
+
+      expect(writesFor("customer")[0].qb_sync_status).toBe("error");
+      expect(writesFor("invoice")[0]).toEqual({
+        qb_sync_status: "error",
+        qb_sync_error: expect.stringContaining("Customer 3 could not be synced"),
+      });
+    });
+  });
+
+  describe("syncAllPending", () => {
+    it("should sync customers, then invoices, and summarize failures", async () => {
+      useRecords({
+        "customer:3": customer(),
+        "invoice:42": invoice({ qb_sync_status: "modified" }),
+        "invoice:43": invoice({ id: 43, invoice_number: "INV-2026-0043" }),
+      });
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 42 }, { id: 43 }] });
+      useApi({
+        "POST customer": { status: 200, body: QB_RESPONSES.customerCreated },
+        "POST invoice": { status: 200, body: QB_RESPONSES.invoiceCreated },
+      });
+      // Second invoice is rejected by QuickBooks
+      const served = api.fetch.getMockImplementation();
+      api.fetch.mockImplementation(async (url, options) => {
+        if (options.body && JSON.parse(options.body).DocNumber === "INV-2026-0043") {
+          return { ok: false, status: 400, json: async () => QB_RESPONSES.staleSyncTokenFault };
+        }
+        return served(url, options);
+      });
+
+      const summary = await QuickBooksSyncService.syncAllPending();
+
+      expect(summary).toEqual({
+        customers: { synced: 1, failed: 0 },
+        invoices: { synced: 1, failed: 1 },
+        errors: [
+          { entity: "invoice", id: 43, error: expect.stringContaining("Stale Object Error") },
+        ],
+      });
+      // Only the operator tenant's records go to the deployment's QuickBooks company
+      expect(db.query.mock.calls[0]).toEqual([
+        expect.stringContaining("FROM customers"),
+        [["pending", "modified"], 1, 200],
+      ]);
+      expect(db.query.mock.calls[0][0]).toContain("tenant_id = $2");
+      expect(db.query.mock.calls[1][0]).toContain("FROM invoices");
+    });
+
+    it("should refuse to run when QuickBooks is not connected", async () => {
+      IntegrationTokenService.checkTokenStatus.mockResolvedValue({ hasTokens: false });
+
+      await expect(QuickBooksSyncService.syncAllPending()).rejects.toMatchObject({
+        statusCode: 401,
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
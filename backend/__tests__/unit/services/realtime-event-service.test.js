@@ -0,0 +1,214 @@
+/**
+ * Realtime Event Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../db/helpers/rls", () => ({
+  buildRLSFilter: jest.fn(),
+}));
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  findById: jest.fn(),
+}));
+
+const db = require("../../../db/connection");
+const { buildRLSFilter } = require("../../../db/helpers/rls");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const RealtimeEventService = require("../../../services/realtime/realtime-event-service");
+
+const event = (overrides) => ({
+  id: "12",
+  type: "entity",
+  entity: "work_order",
+  record_id: 42,
+  operation: "update",
+  user_id: null,
+  tenant_id: 1,
+  created_at: "2026-10-18T09:00:00.000Z",
+  ...overrides,
+});
+
+const customer = { id: 7, role: "customer", tenant_id: 1, customer_profile_id: 3 };
+const admin = { id: 1, role: "admin", tenant_id: 1 };
+const permissions = { hasPermission: jest.fn() };
+
+describe("RealtimeEventService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    permissions.hasPermission.mockReturnValue(true);
+  });
+
+  describe("publishChange", () => {
+    test("inserts and notifies on the given client", async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [event()] }) };
+
+      const result = await RealtimeEventService.publishChange(
+        "update",
+        "work_order",
+        { id: 42, tenant_id: 1 },
+        client,
+      );
+
+      expect(result).toEqual(event());
+      expect(db.query).not.toHaveBeenCalled();
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("INSERT INTO realtime_events");
+      expect(sql).toContain("pg_notify($1");
+      expect(params).toEqual(["tross_events", "entity", "work_order", 42, "update", null, 1]);
+    });
+
+    test("addresses notification writes to their recipient", async () => {
+      await RealtimeEventService.publishChange("create", "notification", { id: 9, user_id: 7 });
+
+      expect(db.query.mock.calls[0][1]).toEqual([
+        "tross_events",
+        "notification",
+        "notification",
+        9,
+        "create",
+        7,
+        null,
+      ]);
+    });
+
+    test("skips records without an id", async () => {
+      expect(await RealtimeEventService.publishChange("delete", "work_order", null)).toBeNull();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("listSince", () => {
+    test("returns the events after the client's last event", async () => {
+      db.query.mockResolvedValue({
+        rows: [event({ id: "10" }), event({ id: "11" }), event({ id: "12" })],
+      });
+
+      const { events, complete } = await RealtimeEventService.listSince(10);
+
+      expect(complete).toBe(true);
+      expect(events.map((e) => e.id)).toEqual(["11", "12"]);
+      expect(db.query.mock.calls[0][1]).toEqual([10, 502]);
+    });
+
+    test("is incomplete when the last event was purged", async () => {
+      db.query.mockResolvedValue({ rows: [event({ id: "15" })] });
+
+      expect(await RealtimeEventService.listSince(10)).toEqual({ events: [], complete: false });
+    });
+
+    test("is incomplete when more than the limit happened since", async () => {
+      db.query.mockResolvedValue({
+        rows: [event({ id: "10" }), event({ id: "11" }), event({ id: "12" }), event({ id: "13" })],
+      });
+
+      expect(await RealtimeEventService.listSince(10, 2)).toEqual({ events: [], complete: false });
+    });
+  });
+
+  describe("purgeExpired", () => {
+    test("deletes events past the retention window", async () => {
+      db.query.mockResolvedValue({ rowCount: 4 });
+
+      expect(await RealtimeEventService.purgeExpired()).toBe(4);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("DELETE FROM realtime_events"),
+        [24],
+      );
+    });
+  });
+
+  describe("canReceive", () => {
+    test("delivers notification events to their recipient only", async () => {
+      const notification = event({ type: "notification", entity: "notification", user_id: 7 });
+
+      expect(await RealtimeEventService.canReceive(notification, customer, permissions)).toBe(true);
+      expect(await RealtimeEventService.canReceive(notification, { ...admin, id: 8 }, permissions)).toBe(false);
+    });
+
+    test("requires read permission on the entity", async () => {
+      permissions.hasPermission.mockReturnValue(false);
+
+      expect(await RealtimeEventService.canReceive(event(), customer, permissions)).toBe(false);
+      expect(permissions.hasPermission).toHaveBeenCalledWith("work_orders", "read");
+    });
+
+    test("delivers without a row check when RLS grants full access", async () => {
+      buildRLSFilter.mockReturnValue({ clause: "", params: [], applied: true, noFilter: true });
+
+      expect(await RealtimeEventService.canReceive(event(), admin, permissions)).toBe(true);
+      expect(GenericEntityService.findById).not.toHaveBeenCalled();
+    });
+
+    test("delivers deletes within the tenant when only the tenant scope applies", async () => {
+      buildRLSFilter.mockReturnValue({
+        clause: "(work_orders.tenant_id = $1)",
+        params: [1],
+        applied: true,
+        tenantOnly: true,
+      });
+      const deleted = event({ operation: "delete" });
+
+      expect(await RealtimeEventService.canReceive(deleted, admin, permissions)).toBe(true);
+      expect(await RealtimeEventService.canReceive(deleted, { ...admin, id: 2, tenant_id: 2 }, permissions)).toBe(false);
+      expect(GenericEntityService.findById).not.toHaveBeenCalled();
+    });
+
+    test("does not deliver tenant-scoped events without a tenant", async () => {
+      buildRLSFilter.mockReturnValue({ clause: "", params: [], applied: true, noFilter: true });
+
+      expect(await RealtimeEventService.canReceive(event({ tenant_id: null }), admin, permissions)).toBe(false);
+      expect(await RealtimeEventService.canReceive(event(), { id: 1, role: "admin" }, permissions)).toBe(false);
+    });
+
+    test("checks the row under the user's RLS context for filtered rules", async () => {
+      buildRLSFilter.mockReturnValue({ clause: "(work_orders.customer_id = $1)", params: [3], applied: true });
+      GenericEntityService.findById.mockResolvedValueOnce({ id: 42 }).mockResolvedValueOnce(null);
+
+      expect(await RealtimeEventService.canReceive(event(), customer, permissions)).toBe(true);
+      expect(await RealtimeEventService.canReceive(event(), customer, permissions)).toBe(false);
+      expect(GenericEntityService.findById).toHaveBeenCalledWith("work_order", 42, {
+        rlsContext: expect.objectContaining({
+          role: "customer",
+          userId: 7,
+          customer_profile_id: 3,
+          resource: "work_orders",
+        }),
+      });
+    });
+
+    test("does not deliver denied entities or deletes under filtered rules", async () => {
+      buildRLSFilter.mockReturnValueOnce({ clause: "1=0", params: [], applied: true });
+      expect(await RealtimeEventService.canReceive(event(), customer, permissions)).toBe(false);
+
+      buildRLSFilter.mockReturnValueOnce({ clause: "(x = $1)", params: [3], applied: true });
+      expect(await RealtimeEventService.canReceive(event({ operation: "delete" }), customer, permissions)).toBe(false);
+      expect(GenericEntityService.findById).not.toHaveBeenCalled();
+    });
+
+    test("rejects unknown entities and users without a role", async () => {
+      expect(await RealtimeEventService.canReceive(event({ entity: "nope" }), customer, permissions)).toBe(false);
+      expect(await RealtimeEventService.canReceive(event(), { id: 7 }, permissions)).toBe(false);
+    });
+  });
+
+  describe("toPayload", () => {
+    test("exposes ids and operation only", () => {
+      expect(RealtimeEventService.toPayload(event())).toEqual({
+        id: 12,
+        type: "entity",
+        entity: "work_order",
+        recordId: 42,
+        operation: "update",
+        at: "2026-10-18T09:00:00.000Z",
+      });
+    });
+  });
+});
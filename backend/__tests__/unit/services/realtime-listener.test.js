@@ -0,0 +1,110 @@
+/**
+ * Realtime Listener Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { EventEmitter } = require("events");
+const db = require("../../../db/connection");
+const realtimeListener = require("../../../services/realtime/realtime-listener");
+
+/** Fake pool client that can emit notifications and errors */
+const mockClient = () =>
+  Object.assign(new EventEmitter(), {
+    query: jest.fn().mockResolvedValue({}),
+    release: jest.fn(),
+  });
+
+const notify = (client, payload, channel = "tross_events") =>
+  client.emit("notification", { channel, payload: JSON.stringify(payload) });
+
+describe("realtimeListener", () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = mockClient();
+    db.getClient.mockResolvedValue(client);
+  });
+
+  afterEach(() => {
+    realtimeListener.stop();
+    jest.useRealTimers();
+  });
+
+  test("LISTENs on one connection shared by all subscribers", async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    await Promise.all([realtimeListener.subscribe(first), realtimeListener.subscribe(second)]);
+    notify(client, { id: 1, entity: "work_order" });
+
+    expect(db.getClient).toHaveBeenCalledTimes(1);
+    expect(client.query).toHaveBeenCalledWith("LISTEN tross_events");
+    expect(first).toHaveBeenCalledWith({ id: 1, entity: "work_order" });
+    expect(second).toHaveBeenCalledWith({ id: 1, entity: "work_order" });
+  });
+
+  test("ignores other channels and malformed payloads", async () => {
+    const onEvent = jest.fn();
+    await realtimeListener.subscribe(onEvent);
+
+    notify(client, { id: 1 }, "other");
+    client.emit("notification", { channel: "tross_events", payload: "{" });
+
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  test("stops delivering after unsubscribe", async () => {
+    const onEvent = jest.fn();
+    const unsubscribe = await realtimeListener.subscribe(onEvent);
+
+    unsubscribe();
+    notify(client, { id: 1 });
+
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  test("rejects and unsubscribes when the database is unreachable", async () => {
+    db.getClient.mockRejectedValueOnce(new Error("connection refused"));
+    const onEvent = jest.fn();
+
+    await expect(realtimeListener.subscribe(onEvent)).rejects.toThrow("connection refused");
+
+    await realtimeListener.subscribe(jest.fn());
+    notify(client, { id: 1 });
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  test("resets subscribers and reconnects after losing the connection", async () => {
+    jest.useFakeTimers();
+    const onReset = jest.fn();
+    await realtimeListener.subscribe(jest.fn(), onReset);
+    const replacement = mockClient();
+    db.getClient.mockResolvedValue(replacement);
+
+    const error = new Error("terminated");
+    client.emit("error", error);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(onReset).toHaveBeenCalledTimes(1);
+    expect(client.release).toHaveBeenCalledWith(error);
+    expect(replacement.query).toHaveBeenCalledWith("LISTEN tross_events");
+  });
+
+  test("stop() destroys the connection instead of returning it to the pool", async () => {
+    await realtimeListener.subscribe(jest.fn());
+
+    realtimeListener.stop();
+
+    expect(client.release).toHaveBeenCalledWith(true);
+  });
+});
@@ -0,0 +1,377 @@
+/**
+ * Report Subscription Service Unit Tests
+ *
+ * Uses the real metadata, permissions and RRULE evaluation; the database,
+ * GenericEntityService, ExportService, storage and notifications are mocked.
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  findById: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock("../../../services/data/export-service", () => ({
+  exportToStorage: jest.fn(),
+  getExportableFields: jest.fn(),
+}));
+jest.mock("../../../services/storage/storage-service", () => ({
+  storageService: {
+    getSignedDownloadUrl: jest.fn(),
+  },
+}));
+jest.mock("../../../config/action-handlers", () => ({
+  ...jest.requireActual("../../../config/action-handlers"),
+  executeAction: jest.fn(),
+}));
+
+const db = require("../../../db/connection");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const ExportService = require("../../../services/data/export-service");
+const { storageService } = require("../../../services/storage/storage-service");
+const { executeAction } = require("../../../config/action-handlers");
+const ReportSubscriptionService = require("../../../services/data/report-subscription-service");
+
+const AS_OF = new Date("2026-10-19T07:00:42.000Z"); // a Monday
+
+const subscription = (overrides) => ({
+  id: 5,
+  user_id: 12,
+  saved_view_id: 3,
+  format: "xlsx",
+  schedule: "RRULE:FREQ=WEEKLY;BYDAY=MO;BYHOUR=7;BYMINUTE=0",
+  next_run_at: new Date("2026-10-19T07:00:00.000Z"),
+  is_active: true,
+  entity_name: "work_order",
+  view_name: "Open jobs",
+  settings: {
+    filters: { status: "pending" },
+    sort: { field: "created_at", direction: "desc" },
+    hiddenColumns: ["description"],
+  },
+  ...overrides,
+});
+
+const owner = (overrides) => ({
+  id: 12,
+  role: "customer",
+  is_active: true,
+  tenant_id: 3,
+  customer_profile_id: 40,
+  technician_profile_id: null,
+  ...overrides,
+});
+
+/**
+ * Fake transaction client: answers the subscription lock query with
+ * `locked` and the owner lookup with `user`.
+ */
+const mockClient = ({ locked, user }) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes("FOR UPDATE OF rs SKIP LOCKED")) {
+      return { rows: locked ? [locked] : [] };
+    }
+    if (sql.includes("FROM users u")) {
+      return { rows: user ? [user] : [] };
+    }
+    return { rows: [] };
+  }),
+  release: jest.fn(),
+});
+
+describe("ReportSubscriptionService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    GenericEntityService.update.mockImplementation(async (entity, id, data) => ({ id, ...data }));
+    GenericEntityService.create.mockImplementation(async (entity, data) => ({ id: 5, ...data }));
+    ExportService.getExportableFields.mockReturnValue([
+      { field: "id", label: "ID" },
+      { field: "status", label: "Status" },
+      { field: "description", label: "Description" },
+    ]);
+    ExportService.exportToStorage.mockResolvedValue({
+      storageKey: "reports/5/77/work_order_export_2026-10-19.xlsx",
+      filename: "work_order_export_2026-10-19.xlsx",
+      format: "xlsx",
+      count: 14,
+    });
+    storageService.getSignedDownloadUrl.mockResolvedValue("https://storage.example.com/signed");
+    executeAction.mockResolvedValue({ success: true });
+  });
+
+  describe("normalizeSchedule()", () => {
+    test.each([
+      ["daily", "RRULE:FREQ=DAILY"],
+      [" Weekly ", "RRULE:FREQ=WEEKLY"],
+      ["byday=mo,th;freq=weekly;byhour=7;byminute=30", "RRULE:FREQ=WEEKLY;BYDAY=MO,TH;BYHOUR=7;BYMINUTE=30"],
+      ["RRULE:FREQ=DAILY;INTERVAL=2", "RRULE:FREQ=DAILY;INTERVAL=2"],
+    ])("normalizes %j", (schedule, expected) => {
+      expect(ReportSubscriptionService.normalizeSchedule(schedule)).toBe(expected);
+    });
+
+    test.each([
+      ["RRULE:FREQ=MONTHLY", "Schedule must repeat daily or weekly"],
+      ["FREQ=DAILY;COUNT=3", "cannot use COUNT, UNTIL or DTSTART"],
+      ["FREQ=DAILY;BYHOUR=24", "BYHOUR must be between 0 and 23"],
+      ["every monday", "Invalid schedule"],
+      ["", "Invalid schedule"],
+    ])("rejects %j", (schedule, message) => {
+      expect(() => ReportSubscriptionService.normalizeSchedule(schedule)).toThrow(
+        expect.objectContaining({ statusCode: 400, message: expect.stringContaining(message) }),
+      );
+    });
+  });
+
+  describe("nextRunAt()", () => {
+    test("counts from the start of the minute so late runs do not drift", () => {
+      expect(
+        ReportSubscriptionService.nextRunAt("RRULE:FREQ=WEEKLY;BYDAY=MO;BYHOUR=7;BYMINUTE=0", AS_OF),
+      ).toBe("2026-10-26T07:00:00.000Z");
+      expect(ReportSubscriptionService.nextRunAt("RRULE:FREQ=DAILY", AS_OF)).toBe(
+        "2026-10-20T07:00:00.000Z",
+      );
+    });
+  });
+
+  describe("subscribe()", () => {
+    const context = {
+      userId: 12,
+      rlsContext: { role: "customer", userId: 12, operation: "update" },
+      auditContext: { userId: 12 },
+    };
+
+    beforeEach(() => {
+      GenericEntityService.findById.mockResolvedValue({ id: 3, user_id: 12, entity_name: "work_order" });
+      db.query.mockResolvedValue({ rows: [] });
+    });
+
+    test("creates a subscription owned by the view's owner", async () => {
+      const result = await ReportSubscriptionService.subscribe(3, { schedule: "weekly", format: "xlsx" }, context);
+
+      expect(GenericEntityService.findById).toHaveBeenCalledWith("saved_view", 3, {
+        rlsContext: { ...context.rlsContext, operation: "read" },
+      });
+      expect(GenericEntityService.create).toHaveBeenCalledWith(
+        "report_subscription",
+        {
+          user_id: 12,
+          saved_view_id: 3,
+          format: "xlsx",
+          schedule: "RRULE:FREQ=WEEKLY",
+          next_run_at: expect.any(String),
+        },
+        { auditContext: context.auditContext },
+      );
+      expect(result.created).toBe(true);
+    });
+
+    test("reschedules the view's existing subscription", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 5 }] });
+
+      const result = await ReportSubscriptionService.subscribe(3, { schedule: "daily" }, context);
+
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "report_subscription",
+        5,
+        { format: "csv", schedule: "RRULE:FREQ=DAILY", next_run_at: expect.any(String) },
+        { auditContext: context.auditContext },
+      );
+      expect(GenericEntityService.create).not.toHaveBeenCalled();
+      expect(result.created).toBe(false);
+    });
+
+    test("answers 404 for a view the user cannot see", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      await expect(
+        ReportSubscriptionService.subscribe(3, { schedule: "daily" }, context),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test("rejects someone else's view", async () => {
+      GenericEntityService.findById.mockResolvedValue({ id: 3, user_id: 99, entity_name: "work_order" });
+
+      await expect(
+        ReportSubscriptionService.subscribe(3, { schedule: "daily" }, {
+          ...context,
+          rlsContext: { role: "admin", userId: 12 },
+        }),
+      ).rejects.toMatchObject({ statusCode: 403, message: "Only the owner of a saved view can subscribe to it" });
+    });
+
+    test("rejects a view over an entity the role cannot read", async () => {
+      GenericEntityService.findById.mockResolvedValue({ id: 3, user_id: 12, entity_name: "audit_log" });
+
+      await expect(
+        ReportSubscriptionService.subscribe(3, { schedule: "daily" }, context),
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(GenericEntityService.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("viewToExport()", () => {
+    test("maps the view's filters and sort and leaves out hidden columns", () => {
+      expect(ReportSubscriptionService.viewToExport("work_order", subscription().settings, "customer")).toEqual({
+        options: { filters: { status: "pending" }, sortBy: "created_at", sortOrder: "desc" },
+        fields: ["id", "status"],
+      });
+      expect(ExportService.getExportableFields).toHaveBeenCalledWith("work_order", "customer");
+    });
+
+    test("exports the default columns when nothing is hidden", () => {
+      expect(ReportSubscriptionService.viewToExport("work_order", {}, "customer").fields).toBeNull();
+    });
+  });
+
+  describe("deliver()", () => {
+    test("renders the view with the owner's RLS context, notifies the owner and advances", async () => {
+      const client = mockClient({ locked: subscription(), user: owner() });
+      db.getClient.mockResolvedValue(client);
+
+      const result = await ReportSubscriptionService.deliver(5, { asOf: AS_OF, jobId: 77 });
+
+      expect(result).toEqual({
+        subscriptionId: 5,
+        status: "delivered",
+        next_run_at: "2026-10-26T07:00:00.000Z",
+        storageKey: "reports/5/77/work_order_export_2026-10-19.xlsx",
+        count: 14,
+      });
+      expect(ExportService.exportToStorage).toHaveBeenCalledWith(
+        {
+          entity: "work_order",
+          format: "xlsx",
+          options: { filters: { status: "pending" }, sortBy: "created_at", sortOrder: "desc" },
+          fields: ["id", "status"],
+          rlsContext: {
+            role: "customer",
+            userId: 12,
+            tenantId: 3,
+            operation: "read",
+            resource: "work_orders",
+            customer_profile_id: 40,
+            technician_profile_id: null,
+          },
+          keyPrefix: "reports/5",
+        },
+        77,
+      );
+      expect(storageService.getSignedDownloadUrl).toHaveBeenCalledWith(
+        "reports/5/77/work_order_export_2026-10-19.xlsx",
+        7 * 24 * 60 * 60,
+      );
+      expect(executeAction).toHaveBeenCalledWith(
+        {
+          type: "notification",
+          template: "report_ready",
+          recipient: { match: "id", value: 12 },
+          channels: ["in_app", "email"],
+        },
+        {
+          entity: "report_subscription",
+          // The owner's tenant, not the default: the record is no tenant-scoped row
+          tenantId: 3,
+          record: expect.objectContaining({
+            id: 5,
+            view_name: "Open jobs",
+            format: "XLSX",
+            row_count: 14,
+            download_url: "https://storage.example.com/signed",
+          }),
+          tx: client,
+        },
+      );
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "report_subscription",
+        5,
+        {
+          last_run_at: AS_OF,
+          next_run_at: "2026-10-26T07:00:00.000Z",
+          last_status: "delivered",
+          last_error: null,
+        },
+        { client, skipHooks: true },
+      );
+      expect(client.query).toHaveBeenCalledWith("COMMIT");
+    });
+
+    test("records a failed render and still advances to the next occurrence", async () => {
+      const client = mockClient({ locked: subscription(), user: owner() });
+      db.getClient.mockResolvedValue(client);
+      ExportService.exportToStorage.mockRejectedValue(new Error("Storage service not configured"));
+
+      const result = await ReportSubscriptionService.deliver(5, { asOf: AS_OF });
+
+      expect(result).toMatchObject({ status: "failed", error: "Storage service not configured" });
+      expect(executeAction).not.toHaveBeenCalled();
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "report_subscription",
+        5,
+        expect.objectContaining({
+          next_run_at: "2026-10-26T07:00:00.000Z",
+          last_status: "failed",
+          last_error: "Storage service not configured",
+        }),
+        expect.anything(),
+      );
+    });
+
+    test.each([
+      ["the owner is deactivated", owner({ is_active: false }), "Owner account is deactivated"],
+      ["the owner's role cannot read the entity", owner({ role: "customer" }), "can no longer read audit_log"],
+    ])("disables the subscription when %s", async (_name, user, reason) => {
+      const locked = reason.includes("audit_log") ? subscription({ entity_name: "audit_log" }) : subscription();
+      db.getClient.mockResolvedValue(mockClient({ locked, user }));
+
+      const result = await ReportSubscriptionService.deliver(5, { asOf: AS_OF });
+
+      expect(result.status).toBe("disabled");
+      expect(ExportService.exportToStorage).not.toHaveBeenCalled();
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "report_subscription",
+        5,
+        expect.objectContaining({ is_active: false, last_status: "failed", last_error: expect.stringContaining(reason) }),
+        expect.anything(),
+      );
+    });
+
+    test("returns null when the subscription is locked or no longer due", async () => {
+      db.getClient.mockResolvedValue(mockClient({ locked: null }));
+
+      expect(await ReportSubscriptionService.deliver(5, { asOf: AS_OF })).toBeNull();
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deliverDue()", () => {
+    test("delivers each due subscription and isolates failures", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 5 }, { id: 6 }, { id: 7 }] });
+      const deliver = jest
+        .spyOn(ReportSubscriptionService, "deliver")
+        .mockResolvedValueOnce({ subscriptionId: 5, status: "delivered" })
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(new Error("connection reset"));
+
+      const summary = await ReportSubscriptionService.deliverDue({ asOf: AS_OF, jobId: 77 });
+
+      expect(db.query.mock.calls[0][1]).toEqual([AS_OF, 100]);
+      expect(deliver).toHaveBeenCalledWith(5, { asOf: AS_OF, jobId: 77 });
+      expect(summary).toEqual({
+        processed: 1,
+        delivered: 1,
+        failed: 1,
+        disabled: 0,
+        errors: [{ subscriptionId: 7, error: "connection reset" }],
+      });
+      deliver.mockRestore();
+    });
+  });
+});
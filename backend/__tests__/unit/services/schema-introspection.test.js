@@ -677,5 +677,44 @@ describe("SchemaIntrospectionService - Business Logic", () => {
         { value: 2, label: "User" },
       ]);
     });
+
+    describe("tenant-scoped tables (ADR-014)", () => {
+      const column = (column_name, ordinal_position) => ({
+        column_name,
+        data_type: column_name === "name" ? "character varying" : "integer",
+        is_nullable: "NO",
+        column_default: null,
+        character_maximum_length: null,
+        numeric_precision: null,
+        numeric_scale: null,
+        udt_name: column_name === "name" ? "varchar" : "int4",
+        ordinal_position,
+      });
+
+      beforeEach(() => {
+        db.query
+          .mockResolvedValueOnce({ rows: [column("id", 1), column("name", 2), column("tenant_id", 3)] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [] });
+      });
+
+      test("should only list the caller's tenant's rows", async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ value: 1, label: "Acme" }] });
+
+        await SchemaIntrospectionService.getForeignKeyOptions("customers", { tenantId: 3 });
+
+        const [sql, params] = db.query.mock.calls[4];
+        expect(sql).toContain("tenant_id = $1");
+        expect(params).toEqual([3]);
+      });
+
+      test("should list nothing without a tenant", async () => {
+        const result = await SchemaIntrospectionService.getForeignKeyOptions("customers");
+
+        expect(result).toEqual([]);
+        expect(db.query).toHaveBeenCalledTimes(4);
+      });
+    });
   });
 });
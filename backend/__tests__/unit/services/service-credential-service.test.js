@@ -0,0 +1,366 @@
+/**
+ * Service Credential Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const crypto = require("crypto");
+const db = require("../../../db/connection");
+const ServiceCredentialService = require("../../../services/auth/service-credential-service");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const storedCredential = (overrides) => ({
+  id: 4,
+  name: "Nightly BI export",
+  client_id: "svc_0123456789abcdef01234567",
+  role: "manager",
+  role_priority: 4,
+  tenant_id: 1,
+  scopes: null,
+  ip_allowlist: null,
+  expires_at: null,
+  revoked_at: null,
+  previous_secret_expires_at: null,
+  last_used_at: null,
+  secret_hash: sha256("current-secret"),
+  previous_secret_hash: null,
+  ...overrides,
+});
+
+describe("ServiceCredentialService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe("issue", () => {
+    it("should store only the secret's hash and return the secret once", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] }) // role lookup
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] }) // insert
+        .mockResolvedValueOnce({ rows: [{ id: 4, name: "Nightly BI export" }] }); // findById
+
+      const { credential, clientSecret } = await ServiceCredentialService.issue(
+        { name: "Nightly BI export", role: "manager", scopes: { invoice: ["read", "read"] } },
+        { userId: 1, tenantId: 3 },
+      );
+
+      expect(credential).toEqual({ id: 4, name: "Nightly BI export" });
+      expect(clientSecret).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain("INSERT INTO service_credentials");
+      expect(params[2]).toMatch(/^svc_[0-9a-f]{24}$/);
+      expect(params[3]).toBe(sha256(clientSecret));
+      expect(params).not.toContain(clientSecret);
+      expect(params[4]).toBe(2);
+      expect(JSON.parse(params[5])).toEqual({ invoice: ["read"] });
+      expect(params[8]).toBe(1);
+      expect(params[9]).toBe(3); // issuer's tenant
+    });
+
+    it("should issue into the requested tenant and reject an unknown one", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockRejectedValueOnce(Object.assign(new Error("fk"), { code: "23503" }));
+
+      await expect(
+        ServiceCredentialService.issue({ name: "x", role: "manager", tenant_id: 9 }, { tenantId: 1 }),
+      ).rejects.toMatchObject({ statusCode: 400, message: "Unknown tenant: 9" });
+      expect(db.query.mock.calls[1][1][9]).toBe(9);
+    });
+
+    it("should reject an unknown role", async () => {
+      await expect(
+        ServiceCredentialService.issue({ name: "x", role: "overlord" }),
+      ).rejects.toMatchObject({ statusCode: 400, message: "Unknown role: overlord" });
+    });
+
+    it("should turn a duplicate name into a 409", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockRejectedValueOnce(Object.assign(new Error("duplicate"), { code: "23505" }));
+
+      await expect(
+        ServiceCredentialService.issue({ name: "Nightly BI export", role: "manager" }),
+      ).rejects.toMatchObject({ statusCode: 409, code: "RESOURCE_ALREADY_EXISTS" });
+    });
+  });
+
+  describe("rotate", () => {
+    it("should keep the old secret for the grace period", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] });
+
+      const { clientSecret } = await ServiceCredentialService.rotate(4, { graceMinutes: 30 });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("previous_secret_hash = CASE WHEN $2 > 0 THEN secret_hash END");
+      expect(sql).toContain("revoked_at IS NULL");
+      expect(params).toEqual([4, 30, sha256(clientSecret)]);
+    });
+
+    it.each([-1, 1.5, 10081])("should reject a grace period of %p", async (graceMinutes) => {
+      await expect(ServiceCredentialService.rotate(4, { graceMinutes })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it("should 404 for a missing or revoked credential", async () => {
+      await expect(ServiceCredentialService.rotate(99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe("revoke", () => {
+    it("should keep the first revocation time and drop the rotated-out secret", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 4, revoked_at: "2026-10-01T00:00:00Z" }] });
+
+      const credential = await ServiceCredentialService.revoke(4);
+
+      expect(credential.revoked_at).toBe("2026-10-01T00:00:00Z");
+      expect(db.query.mock.calls[0][0]).toContain("revoked_at = COALESCE(revoked_at, NOW())");
+      expect(db.query.mock.calls[0][0]).toContain("previous_secret_hash = NULL");
+    });
+
+    it("should 404 for a missing credential", async () => {
+      await expect(ServiceCredentialService.revoke(99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe("list", () => {
+    it("should hide revoked credentials by default and paginate", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: "3" }] })
+        .mockResolvedValueOnce({ rows: [{ id: 4 }, { id: 3 }] });
+
+      const result = await ServiceCredentialService.list({ page: 1, limit: 2 });
+
+      expect(db.query.mock.calls[0][0]).toContain("WHERE sc.revoked_at IS NULL");
+      expect(db.query.mock.calls[1][0]).not.toContain("secret_hash");
+      expect(result.pagination).toEqual({
+        page: 1,
+        limit: 2,
+        total: 3,
+        totalPages: 2,
+        hasNext: true,
+        hasPrev: false,
+      });
+    });
+  });
+
+  describe("parseApiKey", () => {
+    it("should split client_id and secret", () => {
+      expect(ServiceCredentialService.parseApiKey("svc_abc123.s3cr.et")).toEqual({
+        clientId: "svc_abc123",
+        secret: "s3cr.et",
+      });
+    });
+
+    it.each([undefined, "eyJhbGciOi.x.y", "svc_abc123", "svc_.secret", "svc_abc123."])(
+      "should return null for %p",
+      (value) => {
+        expect(ServiceCredentialService.parseApiKey(value)).toBeNull();
+      },
+    );
+  });
+
+  describe("authenticate", () => {
+    it("should accept the current secret and never return hashes", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedCredential()] });
+
+      const credential = await ServiceCredentialService.authenticate(
+        "svc_0123456789abcdef01234567",
+        "current-secret",
+        "203.0.113.7",
+      );
+
+      expect(credential.id).toBe(4);
+      expect(credential).not.toHaveProperty("secret_hash");
+      expect(credential).not.toHaveProperty("previous_secret_hash");
+    });
+
+    it("should accept a rotated-out secret only within its grace period", async () => {
+      const rotated = (expiresAt) =>
+        storedCredential({
+          previous_secret_hash: sha256("old-secret"),
+          previous_secret_expires_at: expiresAt,
+        });
+
+      db.query.mockResolvedValueOnce({ rows: [rotated(new Date(Date.now() + 60000))] });
+      await expect(
+        ServiceCredentialService.authenticate("svc_x", "old-secret", "203.0.113.7"),
+      ).resolves.toMatchObject({ id: 4 });
+
+      db.query.mockResolvedValueOnce({ rows: [rotated(new Date(Date.now() - 60000))] });
+      await expect(
+        ServiceCredentialService.authenticate("svc_x", "old-secret", "203.0.113.7"),
+      ).rejects.toMatchObject({ statusCode: 401, code: "AUTH_INVALID_TOKEN" });
+    });
+
+    it("should reject a wrong secret or unknown client", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedCredential()] });
+      await expect(
+        ServiceCredentialService.authenticate("svc_x", "wrong", "203.0.113.7"),
+      ).rejects.toMatchObject({ statusCode: 401 });
+
+      await expect(
+        ServiceCredentialService.authenticate("svc_unknown", "current-secret", "203.0.113.7"),
+      ).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it("should reject revoked and expired credentials", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedCredential({ revoked_at: new Date() })] });
+      await expect(
+        ServiceCredentialService.authenticate("svc_x", "current-secret", "203.0.113.7"),
+      ).rejects.toMatchObject({ statusCode: 401, message: "Service credential has been revoked" });
+
+      db.query.mockResolvedValueOnce({
+        rows: [storedCredential({ expires_at: new Date(Date.now() - 1000) })],
+      });
+      await expect(
+        ServiceCredentialService.authenticate("svc_x", "current-secret", "203.0.113.7"),
+      ).rejects.toMatchObject({ statusCode: 401, code: "AUTH_TOKEN_EXPIRED" });
+    });
+
+    it("should enforce the IP allow-list with 403", async () => {
+      const allowlisted = storedCredential({ ip_allowlist: ["10.0.0.0/8", "2001:db8::1"] });
+
+      db.query.mockResolvedValueOnce({ rows: [allowlisted] });
+      await expect(
+        ServiceCredentialService.authenticate("svc_x", "current-secret", "::ffff:10.1.2.3"),
+      ).resolves.toMatchObject({ id: 4 });
+
+      db.query.mockResolvedValueOnce({ rows: [allowlisted] });
+      await expect(
+        ServiceCredentialService.authenticate("svc_x", "current-secret", "203.0.113.7"),
+      ).rejects.toMatchObject({ statusCode: 403, code: "AUTH_INSUFFICIENT_PERMISSIONS" });
+    });
+  });
+
+  describe("resolve", () => {
+    it("should re-check the credential behind an access token", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedCredential({ revoked_at: new Date() })] });
+      await expect(ServiceCredentialService.resolve(4, "203.0.113.7")).rejects.toMatchObject({
+        statusCode: 401,
+      });
+
+      await expect(ServiceCredentialService.resolve(99, "203.0.113.7")).rejects.toMatchObject({
+        statusCode: 401,
+      });
+    });
+  });
+
+  describe("recordUse", () => {
+    it("should record use at most once per throttle window", async () => {
+      await ServiceCredentialService.recordUse({ id: 4, last_used_at: new Date() }, "10.0.0.1");
+      expect(db.query).not.toHaveBeenCalled();
+
+      await ServiceCredentialService.recordUse({ id: 4, last_used_at: null }, "10.0.0.1");
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining("last_used_at = NOW()"), [
+        4,
+        "10.0.0.1",
+      ]);
+    });
+
+    it("should not fail the request when the update fails", async () => {
+      db.query.mockRejectedValueOnce(new Error("connection lost"));
+
+      await expect(
+        ServiceCredentialService.recordUse({ id: 4, last_used_at: null }, "10.0.0.1"),
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe("isAllowed", () => {
+    it("should allow everything without scopes", () => {
+      expect(ServiceCredentialService.isAllowed({ scopes: null }, "invoice", "delete")).toBe(true);
+    });
+
+    it("should allow only listed entity operations", () => {
+      const credential = { scopes: { invoice: ["read"] } };
+
+      expect(ServiceCredentialService.isAllowed(credential, "invoice", "read")).toBe(true);
+      expect(ServiceCredentialService.isAllowed(credential, "invoice", "update")).toBe(false);
+      expect(ServiceCredentialService.isAllowed(credential, "customer", "read")).toBe(false);
+      expect(ServiceCredentialService.isAllowed(credential, "constructor", "read")).toBe(false);
+    });
+  });
+
+  describe("isResourceAllowed", () => {
+    it("should allow every resource without scopes", () => {
+      expect(ServiceCredentialService.isResourceAllowed({ scopes: null }, "admin_panel", "read")).toBe(true);
+    });
+
+    it("should map resources to the scoped entities", () => {
+      const credential = { scopes: { invoice: ["read"] } };
+
+      expect(ServiceCredentialService.isResourceAllowed(credential, "invoices", "read")).toBe(true);
+      expect(ServiceCredentialService.isResourceAllowed(credential, "invoices", "delete")).toBe(false);
+      expect(ServiceCredentialService.isResourceAllowed(credential, "customers", "read")).toBe(false);
+      expect(ServiceCredentialService.isResourceAllowed(credential, "admin_panel", "read")).toBe(false);
+    });
+  });
+
+  describe("toActor", () => {
+    it("should build a user-less service actor", () => {
+      expect(ServiceCredentialService.toActor(storedCredential())).toEqual({
+        id: null,
+        actor_type: "service",
+        service_credential_id: 4,
+        client_id: "svc_0123456789abcdef01234567",
+        name: "Nightly BI export",
+        email: null,
+        role: "manager",
+        role_priority: 4,
+        tenant_id: 1,
+        is_active: true,
+      });
+    });
+  });
+
+  describe("validateScopes", () => {
+    it("should treat missing scopes as unrestricted", () => {
+      expect(ServiceCredentialService.validateScopes(undefined)).toBeNull();
+      expect(ServiceCredentialService.validateScopes(null)).toBeNull();
+    });
+
+    it.each([
+      [{}, "Scopes must name at least one entity"],
+      [{ spaceship: ["read"] }, "Unknown entity in scopes: spaceship"],
+      [{ invoice: ["approve"] }, "Scopes for invoice must be some of"],
+      [{ invoice: [] }, "Scopes for invoice must be some of"],
+    ])("should reject %j", (scopes, message) => {
+      expect(() => ServiceCredentialService.validateScopes(scopes)).toThrow(message);
+    });
+  });
+
+  describe("validateIpAllowlist", () => {
+    it("should accept addresses and CIDR ranges", () => {
+      const entries = ["203.0.113.7", "10.0.0.0/8", "2001:db8::/32"];
+      expect(ServiceCredentialService.validateIpAllowlist(entries)).toEqual(entries);
+      expect(ServiceCredentialService.validateIpAllowlist([])).toBeNull();
+    });
+
+    it.each(["not-an-ip", "10.0.0.0/33", "10.0.0.0/8/1", "10.0.0.0/x"])(
+      "should reject %p",
+      (entry) => {
+        expect(() => ServiceCredentialService.validateIpAllowlist([entry])).toThrow(
+          `Invalid IP allow-list entry: ${entry}`,
+        );
+      },
+    );
+  });
+});
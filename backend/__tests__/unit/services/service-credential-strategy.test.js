@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for services/auth/strategies/ServiceCredentialStrategy.js
+ *
+ * Test Coverage: authenticate (client-credentials grant), verifyToken
+ * (API keys and service access tokens), getUserProfile, getProviderName
+ */
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+jest.mock("../../../db/connection");
+
+const { signJwt, decodeJwt } = require("../../../utils/jwt-helper");
+const { TEST_JWT_SECRET } = require("../../../config/test-constants");
+const ServiceCredentialService = require("../../../services/auth/service-credential-service");
+const ServiceCredentialStrategy = require("../../../services/auth/strategies/ServiceCredentialStrategy");
+const { AuthStrategyFactory } = require("../../../services/auth/strategies/AuthStrategyFactory");
+
+const credential = {
+  id: 4,
+  name: "Nightly BI export",
+  client_id: "svc_0123456789abcdef01234567",
+  role: "manager",
+  role_priority: 4,
+  tenant_id: 1,
+  scopes: null,
+};
+
+describe("services/auth/strategies/ServiceCredentialStrategy.js", () => {
+  let strategy;
+
+  beforeEach(() => {
+    strategy = new ServiceCredentialStrategy();
+    jest.spyOn(ServiceCredentialService, "authenticate").mockResolvedValue(credential);
+    jest.spyOn(ServiceCredentialService, "resolve").mockResolvedValue(credential);
+    jest.spyOn(ServiceCredentialService, "recordUse").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should be provided by the factory independently of AUTH_MODE", () => {
+    AuthStrategyFactory.reset();
+    const first = AuthStrategyFactory.getServiceStrategy();
+
+    expect(first).toBeInstanceOf(ServiceCredentialStrategy);
+    expect(AuthStrategyFactory.getServiceStrategy()).toBe(first);
+    expect(first.getProviderName()).toBe("service");
+  });
+
+  describe("authenticate()", () => {
+    test("should sign a short-lived service token", async () => {
+      const result = await strategy.authenticate({
+        clientId: credential.client_id,
+        clientSecret: "s3cret",
+        ip: "203.0.113.7",
+      });
+
+      expect(result.expiresIn).toBe(3600);
+      expect(result.user).toMatchObject({ id: null, actor_type: "service", service_credential_id: 4 });
+      expect(decodeJwt(result.token)).toMatchObject({
+        sub: `service:${credential.client_id}`,
+        provider: "service",
+        credential_id: 4,
+        role: "manager",
+        tenant_id: 1,
+      });
+      expect(ServiceCredentialService.recordUse).toHaveBeenCalledWith(credential, "203.0.113.7");
+    });
+
+    test("should require both client_id and secret", async () => {
+      await expect(strategy.authenticate({ clientId: credential.client_id })).rejects.toMatchObject({
+        statusCode: 401,
+      });
+      expect(ServiceCredentialService.authenticate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("verifyToken()", () => {
+    test("should verify an API key", async () => {
+      await expect(
+        strategy.verifyToken(`${credential.client_id}.s3cret`, { ip: "203.0.113.7" }),
+      ).resolves.toBe(credential);
+
+      expect(ServiceCredentialService.authenticate).toHaveBeenCalledWith(
+        credential.client_id,
+        "s3cret",
+        "203.0.113.7",
+      );
+    });
+
+    test("should re-check the credential behind an access token", async () => {
+      const { token } = await strategy.authenticate({
+        clientId: credential.client_id,
+        clientSecret: "s3cret",
+      });
+
+      await expect(strategy.verifyToken(token, { ip: "203.0.113.7" })).resolves.toBe(credential);
+      expect(ServiceCredentialService.resolve).toHaveBeenCalledWith(4, "203.0.113.7");
+    });
+
+    test("should reject an access token minted for another tenant", async () => {
+      const token = await signJwt(
+        { sub: "service:svc_x", provider: "service", credential_id: 4, tenant_id: 2 },
+        TEST_JWT_SECRET,
+        { expiresIn: "1h" },
+      );
+
+      await expect(strategy.verifyToken(token)).rejects.toMatchObject({
+        statusCode: 401,
+        code: "AUTH_TENANT_MISMATCH",
+      });
+    });
+
+    test("should reject user tokens", async () => {
+      const token = await signJwt(
+        { sub: "auth0|123", provider: "auth0", role: "admin" },
+        TEST_JWT_SECRET,
+        { expiresIn: "1h" },
+      );
+
+      await expect(strategy.verifyToken(token)).rejects.toMatchObject({
+        statusCode: 401,
+        message: "Invalid token provider",
+      });
+    });
+
+    test("should report expired access tokens", async () => {
+      const token = await signJwt(
+        { sub: "service:svc_x", provider: "service", credential_id: 4 },
+        TEST_JWT_SECRET,
+        { expiresIn: "-1h" },
+      );
+
+      await expect(strategy.verifyToken(token)).rejects.toMatchObject({
+        statusCode: 401,
+        code: "AUTH_TOKEN_EXPIRED",
+      });
+    });
+
+    test("should reject tokens signed with another secret", async () => {
+      const token = await signJwt(
+        { sub: "service:svc_x", provider: "service", credential_id: 4 },
+        "some-other-secret",
+        { expiresIn: "1h" },
+      );
+
+      await expect(strategy.verifyToken(token)).rejects.toMatchObject({
+        statusCode: 401,
+        code: "AUTH_INVALID_TOKEN",
+      });
+    });
+  });
+
+  describe("getUserProfile()", () => {
+    test("should return the credential's actor", async () => {
+      jest.spyOn(ServiceCredentialService, "findById").mockResolvedValue(credential);
+
+      await expect(strategy.getUserProfile(4)).resolves.toMatchObject({
+        actor_type: "service",
+        role: "manager",
+      });
+    });
+
+    test("should 404 for an unknown credential", async () => {
+      jest.spyOn(ServiceCredentialService, "findById").mockResolvedValue(null);
+
+      await expect(strategy.getUserProfile(99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -36,11 +36,13 @@ describe("SessionsService", () => {
         rows: [
           {
             session_id: 1,
+            family_id: "6f1c2a0e-8b5d-4c47-9a3e-2d7f1b9c4e10",
             user_id: 10,
             login_time: new Date(),
             last_used_at: new Date(),
             ip_address: "192.168.1.1",
             user_agent: "Mozilla/5.0",
+            device_name: "Firefox on Linux",
             expires_at: new Date(),
             email: "test@example.com",
             first_name: "Test",
@@ -55,6 +57,10 @@ describe("SessionsService", () => {
 
       expect(result).toHaveLength(1);
       expect(result[0].sessionId).toBe(1);
+      expect(result[0]).toMatchObject({
+        familyId: "6f1c2a0e-8b5d-4c47-9a3e-2d7f1b9c4e10",
+        deviceName: "Firefox on Linux",
+      });
       expect(result[0].user.email).toBe("test@example.com");
       expect(result[0].user.fullName).toBe("Test User");
       expect(result[0].user.role).toBe("admin");
@@ -159,6 +165,10 @@ describe("SessionsService", () => {
       expect(result.user.newStatus).toBe("suspended");
       expect(result.revokedSessionCount).toBe(3);
       expect(result.reason).toBe("Security concern");
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining("revoked_reason = $2"),
+        [10, "force_logout"],
+      );
     });
 
     it("should throw when trying to logout self", async () => {
@@ -231,6 +241,22 @@ describe("SessionsService", () => {
       expect(result.userId).toBe(10);
     });
 
+    it("should revoke the session's whole token family", async () => {
+      db.query.mockResolvedValue({
+        rowCount: 2,
+        rows: [
+          { id: 5, user_id: 10 },
+          { id: 3, user_id: 10 },
+        ],
+      });
+
+      await SessionsService.revokeSession(5, 1);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("WHERE family_id = (");
+      expect(params).toEqual([5, "admin_revoked"]);
+    });
+
     it("should throw when session not found", async () => {
       db.query.mockResolvedValue({ rowCount: 0, rows: [] });
 
@@ -204,6 +204,167 @@ describe("StatsService", () => {
     });
   });
 
+  describe("summarize", () => {
+    const adminReq = {
+      user: { role: "admin", userId: 1 },
+      rlsContext: { role: "admin", userId: 1, tenantId: 1 },
+    };
+
+    /** Answer the totals query with `totals` and the grouped query with `rows` */
+    const mockSummary = (totals, rows = []) => {
+      db.query.mockImplementation(async (sql) => ({
+        rows: sql.includes("GROUP BY") ? rows : [totals],
+      }));
+    };
+
+    it("should default to a total count", async () => {
+      mockSummary({ count: 7 });
+
+      const result = await StatsService.summarize("invoice", adminReq);
+
+      expect(result).toMatchObject({
+        measures: ["count"],
+        groupBy: [],
+        interval: null,
+        rows: [{ count: 7 }],
+        totals: { count: 7 },
+        truncated: false,
+      });
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][0]).toBe(
+        "SELECT COUNT(*)::int AS count FROM invoices WHERE (invoices.tenant_id = $1)",
+      );
+    });
+
+    it("should bucket by interval and group by two fields with several measures", async () => {
+      mockSummary(
+        { count: 3, sum_total: "450.00", avg_total: "150.00", max_total: "200.00" },
+        [
+          {
+            bucket: new Date("2026-09-01T00:00:00Z"),
+            status: "paid",
+            customer_id: 4,
+            count: 2,
+            sum_total: "300.00",
+            avg_total: "150.00",
+            max_total: "200.00",
+          },
+        ],
+      );
+
+      const result = await StatsService.summarize("invoice", adminReq, {
+        measures: ["count", "sum:total", "avg:total", "max:total"],
+        groupBy: ["status", "customer_id"],
+        interval: "month",
+        dateField: "due_date",
+      });
+
+      const rowsQuery = db.query.mock.calls.find(([sql]) => sql.includes("GROUP BY"))[0];
+      expect(rowsQuery).toContain("date_trunc('month', invoices.due_date) AS bucket");
+      expect(rowsQuery).toContain("invoices.status AS status, invoices.customer_id AS customer_id");
+      expect(rowsQuery).toContain("COALESCE(SUM(invoices.total), 0) AS sum_total");
+      expect(rowsQuery).toContain("AVG(invoices.total) AS avg_total");
+      expect(rowsQuery).toContain("GROUP BY 1, 2, 3");
+      expect(rowsQuery).toContain("ORDER BY bucket, count DESC");
+      expect(result.rows).toEqual([
+        {
+          bucket: "2026-09-01T00:00:00.000Z",
+          status: "paid",
+          customer_id: 4,
+          count: 2,
+          sum_total: 300,
+          avg_total: 150,
+          max_total: 200,
+        },
+      ]);
+      expect(result.totals).toEqual({ count: 3, sum_total: 450, avg_total: 150, max_total: 200 });
+      expect(result.dateField).toBe("due_date");
+    });
+
+    it("should compare with the previous period of the same length", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: 12, sum_total: "1100.00" }] })
+        .mockResolvedValueOnce({ rows: [{ count: 8, sum_total: "0" }] });
+
+      const result = await StatsService.summarize("invoice", adminReq, {
+        measures: ["count", "sum:total"],
+        from: "2026-10-01T00:00:00Z",
+        to: "2026-10-15T00:00:00Z",
+        compare: "previous",
+      });
+
+      expect(db.query.mock.calls[0][0]).toContain(
+        "invoices.created_at >= $2 AND invoices.created_at < $3",
+      );
+      expect(db.query.mock.calls[1][1]).toEqual([
+        1,
+        new Date("2026-09-17T00:00:00Z"),
+        new Date("2026-10-01T00:00:00Z"),
+      ]);
+      expect(result.previous).toMatchObject({
+        from: "2026-09-17T00:00:00.000Z",
+        to: "2026-10-01T00:00:00.000Z",
+        totals: { count: 8, sum_total: 0 },
+      });
+      expect(result.change).toEqual({
+        count: { delta: 4, percent: 50 },
+        sum_total: { delta: 1100, percent: null },
+      });
+    });
+
+    it("should number the range parameters after RLS and filter parameters", async () => {
+      mockSummary({ count: 1 });
+
+      await StatsService.summarize(
+        "invoice",
+        {
+          user: { role: "customer", userId: 5 },
+          rlsContext: { role: "customer", userId: 5, tenantId: 1, customer_profile_id: 9 },
+        },
+        { from: "2026-10-01", filters: { status: "paid" }, dateField: "due_date" },
+      );
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(params).toHaveLength(4);
+      expect(sql).toContain("invoices.status = $3");
+      expect(sql).toContain("invoices.due_date >= $4");
+      expect(sql).not.toContain("$0");
+    });
+
+    it.each([
+      [{ groupBy: ["summary"] }, "Cannot group by 'summary' - not a groupable field"],
+      [{ groupBy: ["status", "customer_id", "work_order_id"] }, "Cannot group by more than 2 fields"],
+      [{ measures: ["sum:status"] }, "Cannot sum 'status' - not a summable field"],
+      [{ measures: ["median:total"] }, "Unknown measure 'median:total'"],
+      [{ interval: "hour" }, "Unknown interval 'hour' - use day, week, month"],
+      [{ interval: "day", dateField: "total" }, "Cannot bucket or range by 'total' - not a date field"],
+      [{ from: "yesterday" }, "'from' must be an ISO 8601 date"],
+      [{ from: "2026-10-02", to: "2026-10-01" }, "'from' must be before 'to'"],
+      [{ from: "2026-10-01", compare: "previous" }, "needs both from and to"],
+    ])("should reject %j", async (options, message) => {
+      await expect(StatsService.summarize("invoice", adminReq, options)).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringContaining(message),
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it("should reject fields the role cannot read", async () => {
+      // created_at is internal to customers (UNIVERSAL_FIELD_ACCESS)
+      const customerReq = { rlsContext: { role: "customer", userId: 5 } };
+
+      await expect(
+        StatsService.summarize("work_order", customerReq, { interval: "week" }),
+      ).rejects.toThrow("Cannot bucket or range by 'created_at' - not a date field");
+    });
+
+    it("should reject entities without a summary config", async () => {
+      await expect(StatsService.summarize("saved_view", adminReq)).rejects.toThrow(
+        "Summaries are not available for saved_view",
+      );
+    });
+  });
+
   describe("RLS integration", () => {
     it("should apply RLS filter for non-admin users in count", async () => {
       db.query.mockResolvedValue({ rows: [{ count: "2" }] });
@@ -249,6 +410,22 @@ describe("StatsService", () => {
       expect(db.query).toHaveBeenCalled();
     });
 
+    it("should number filter parameters after the RLS parameters", async () => {
+      db.query.mockResolvedValue({ rows: [{ count: "1" }] });
+
+      await StatsService.count(
+        "invoice",
+        { rlsContext: { role: "customer", userId: 5, tenantId: 1, customer_profile_id: 9 } },
+        { status: "paid" },
+      );
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("invoices.tenant_id = $1");
+      expect(sql).toContain("invoices.customer_id = $2");
+      expect(sql).toContain("invoices.status = $3");
+      expect(params).toEqual([1, 9, "paid"]);
+    });
+
     it("should apply RLS filter for non-admin users in sum", async () => {
       db.query.mockResolvedValue({ rows: [{ total: "100.00" }] });
 
@@ -249,6 +249,56 @@ describe("StorageService", () => {
     });
   });
 
+  // ===========================================================================
+  // uploadFile() Tests
+  // ===========================================================================
+  describe("uploadFile()", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    let filePath;
+
+    beforeEach(() => {
+      filePath = path.join(os.tmpdir(), `storage-service-test-${process.pid}.csv`);
+      fs.writeFileSync(filePath, "id,name\n1,Test\n");
+    });
+
+    afterEach(() => {
+      fs.rmSync(filePath, { force: true });
+    });
+
+    test("streams the file with its length", async () => {
+      const { PutObjectCommand } = require("@aws-sdk/client-s3");
+      mockSend.mockResolvedValueOnce({});
+
+      const result = await service.uploadFile({
+        filePath,
+        storageKey: "exports/31/customer_export.csv",
+        mimeType: "text/csv",
+      });
+
+      expect(result).toEqual({
+        success: true,
+        storageKey: "exports/31/customer_export.csv",
+        size: 15,
+      });
+      const params = PutObjectCommand.mock.calls[0][0];
+      expect(params.Body).toBeInstanceOf(fs.ReadStream);
+      expect(params.ContentLength).toBe(15);
+    });
+
+    test("closes the file stream when the upload fails", async () => {
+      const { PutObjectCommand } = require("@aws-sdk/client-s3");
+      mockSend.mockRejectedValueOnce(new Error("S3 connection failed"));
+
+      await expect(
+        service.uploadFile({ filePath, storageKey: "test/key", mimeType: "text/csv" }),
+      ).rejects.toThrow("S3 connection failed");
+
+      expect(PutObjectCommand.mock.calls[0][0].Body.destroyed).toBe(true);
+    });
+  });
+
   // ===========================================================================
   // getSignedDownloadUrl() Tests
   // ===========================================================================
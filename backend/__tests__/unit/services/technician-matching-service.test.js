@@ -0,0 +1,237 @@
+/**
+ * Technician Matching Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  findById: jest.fn(),
+  findAll: jest.fn(),
+}));
+
+const db = require("../../../db/connection");
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const TechnicianMatchingService = require("../../../services/scheduling/technician-matching-service");
+
+const managerContext = {
+  role: "manager",
+  userId: 1,
+  operation: "read",
+  resource: "work_orders",
+};
+
+const tech = (overrides) => ({
+  id: 1,
+  name: "Tech",
+  email: "tech@example.com",
+  availability: "available",
+  skills: "",
+  certifications: "",
+  hourly_rate: "50.00",
+  ...overrides,
+});
+
+describe("TechnicianMatchingService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("rankTechnicians", () => {
+    const requirements = { skills: ["hvac", "plumbing"], certifications: ["epa 608"] };
+
+    it("should rank by skills and certifications overlap", () => {
+      const ranked = TechnicianMatchingService.rankTechnicians(
+        [
+          tech({ id: 1, name: "Partial", skills: "HVAC" }),
+          tech({ id: 2, name: "Full", skills: "hvac, Plumbing", certifications: "EPA 608" }),
+        ],
+        { requirements, conflicts: new Map(), window: null },
+      );
+
+      expect(ranked.map((m) => m.technician.id)).toEqual([2, 1]);
+      expect(ranked[0].score).toBe(100);
+      expect(ranked[1].breakdown.skills.missing).toEqual(["plumbing"]);
+      expect(ranked[1].reasons).toContain(
+        "Has 1 of 2 required skills (missing: plumbing)",
+      );
+    });
+
+    it("should penalize schedule conflicts only when the work order is scheduled", () => {
+      const technicians = [tech({ id: 1, name: "Busy" }), tech({ id: 2, name: "Free" })];
+      const conflicts = new Map([[1, [99]]]);
+      const window = { start: new Date("2026-01-01T09:00Z"), end: new Date("2026-01-01T10:00Z") };
+
+      const scheduled = TechnicianMatchingService.rankTechnicians(technicians, {
+        requirements,
+        conflicts,
+        window,
+      });
+      expect(scheduled[0].technician.id).toBe(2);
+      expect(scheduled[1].breakdown.schedule.conflicts).toEqual([99]);
+
+      const unscheduled = TechnicianMatchingService.rankTechnicians(technicians, {
+        requirements,
+        conflicts,
+        window: null,
+      });
+      expect(unscheduled[0].breakdown.schedule).toBeUndefined();
+    });
+
+    it("should score availability", () => {
+      const ranked = TechnicianMatchingService.rankTechnicians(
+        [tech({ id: 1, availability: "off_duty" }), tech({ id: 2, availability: "available" })],
+        { requirements, conflicts: new Map(), window: null },
+      );
+
+      expect(ranked[0].technician.id).toBe(2);
+      expect(ranked[1].breakdown.availability.score).toBe(0);
+    });
+
+    it("should prefer lower hourly rates when rates are readable", () => {
+      const ranked = TechnicianMatchingService.rankTechnicians(
+        [tech({ id: 1, hourly_rate: "90.00" }), tech({ id: 2, hourly_rate: "40.00" })],
+        { requirements, conflicts: new Map(), window: null },
+      );
+
+      expect(ranked[0].technician.id).toBe(2);
+      expect(ranked[0].breakdown.cost.score).toBe(1);
+      expect(ranked[1].breakdown.cost.score).toBe(0);
+    });
+
+    it("should skip the cost component when hourly_rate was redacted", () => {
+      const redacted = tech({ id: 1 });
+      delete redacted.hourly_rate;
+
+      const [match] = TechnicianMatchingService.rankTechnicians([redacted], {
+        requirements: { skills: [], certifications: [] },
+        conflicts: new Map(),
+        window: null,
+      });
+
+      expect(match.breakdown.cost).toBeUndefined();
+      expect(match.score).toBe(100);
+    });
+
+    it("should flag the currently assigned technician", () => {
+      const ranked = TechnicianMatchingService.rankTechnicians(
+        [tech({ id: 1 }), tech({ id: 2 })],
+        { requirements, conflicts: new Map(), window: null, assignedTechnicianId: 2 },
+      );
+
+      expect(ranked.find((m) => m.technician.id === 2).is_assigned).toBe(true);
+      expect(ranked.find((m) => m.technician.id === 1).is_assigned).toBe(false);
+    });
+  });
+
+  describe("findMatches", () => {
+    it("should return null when the work order is not visible", async () => {
+      GenericEntityService.findById.mockResolvedValue(null);
+
+      const result = await TechnicianMatchingService.findMatches(5, {
+        rlsContext: managerContext,
+      });
+
+      expect(result).toBeNull();
+      expect(GenericEntityService.findAll).not.toHaveBeenCalled();
+    });
+
+    it("should fall back to service template requirements", async () => {
+      GenericEntityService.findById.mockImplementation(async (entity) =>
+        entity === "work_order"
+          ? { id: 5, work_order_number: "WO-2026-0001", service_template_id: 3 }
+          : { id: 3, required_skills: "Electrical", required_certifications: null },
+      );
+      GenericEntityService.findAll.mockResolvedValue({
+        data: [tech({ id: 1, skills: "electrical" })],
+      });
+
+      const result = await TechnicianMatchingService.findMatches(5, {
+        rlsContext: managerContext,
+      });
+
+      expect(result.requirements).toEqual({
+        skills: ["electrical"],
+        certifications: [],
+        sources: ["service_template"],
+      });
+      expect(GenericEntityService.findById).toHaveBeenCalledWith(
+        "service_template",
+        3,
+        { rlsContext: expect.objectContaining({ resource: "service_templates" }) },
+      );
+      expect(result.matches[0].breakdown.skills.matched).toEqual(["electrical"]);
+    });
+
+    it("should load technicians under the caller's RLS context", async () => {
+      GenericEntityService.findById.mockResolvedValue({ id: 5, required_skills: "hvac" });
+      GenericEntityService.findAll.mockResolvedValue({ data: [] });
+
+      await TechnicianMatchingService.findMatches(5, { rlsContext: managerContext });
+
+      expect(GenericEntityService.findAll).toHaveBeenCalledWith(
+        "technician",
+        expect.objectContaining({
+          filters: { status: "active" },
+          rlsContext: expect.objectContaining({ role: "manager", resource: "technicians" }),
+        }),
+      );
+    });
+
+    it("should query overlapping open assignments for scheduled work orders", async () => {
+      GenericEntityService.findById.mockResolvedValue({
+        id: 5,
+        scheduled_start: "2026-01-01T09:00:00Z",
+        scheduled_end: "2026-01-01T11:00:00Z",
+      });
+      GenericEntityService.findAll.mockResolvedValue({
+        data: [tech({ id: 1 }), tech({ id: 2 })],
+      });
+      db.query.mockResolvedValue({ rows: [{ id: 42, assigned_technician_id: 1 }] });
+
+      const result = await TechnicianMatchingService.findMatches(5, {
+        rlsContext: managerContext,
+        limit: 1,
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("assigned_technician_id = ANY($1)");
+      expect(params[0]).toEqual([1, 2]);
+      expect(params[1]).toBe(5);
+      expect(result.evaluated).toBe(2);
+      expect(result.matches).toHaveLength(1);
+      expect(result.matches[0].technician.id).toBe(2);
+    });
+
+    it("should apply work order RLS to the conflict lookup", async () => {
+      GenericEntityService.findById.mockResolvedValue({
+        id: 5,
+        scheduled_start: "2026-01-01T09:00:00Z",
+        scheduled_end: "2026-01-01T11:00:00Z",
+      });
+      GenericEntityService.findAll.mockResolvedValue({ data: [tech({ id: 7 })] });
+      db.query.mockResolvedValue({ rows: [] });
+
+      await TechnicianMatchingService.findMatches(5, {
+        rlsContext: {
+          role: "technician",
+          userId: 2,
+          tenantId: 1,
+          technician_profile_id: 7,
+          resource: "work_orders",
+        },
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("work_orders.tenant_id = $6");
+      expect(sql).toContain("work_orders.assigned_technician_id = $7");
+      expect(params.slice(5)).toEqual([1, 7]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Tenant Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+
+const db = require("../../../db/connection");
+const TenantService = require("../../../services/auth/tenant-service");
+
+describe("TenantService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  describe("resolveTenantId", () => {
+    it("should map an Auth0 organization to its tenant", async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 2, slug: "acme" }] });
+
+      await expect(TenantService.resolveTenantId({ org_id: "org_abc" })).resolves.toBe(2);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("auth0_org_id = $1 AND is_active = true");
+      expect(params).toEqual(["org_abc"]);
+    });
+
+    it("should refuse an unregistered organization instead of defaulting", async () => {
+      await expect(TenantService.resolveTenantId({ org_id: "org_unknown" })).rejects.toMatchObject({
+        statusCode: 403,
+        code: "AUTH_TENANT_MISMATCH",
+      });
+    });
+
+    it("should place sign-ins without an organization in the original tenant", async () => {
+      await expect(TenantService.resolveTenantId({ sub: "auth0|1" })).resolves.toBe(1);
+      await expect(TenantService.resolveTenantId({ tenant_id: 1 })).resolves.toBe(1);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it("should keep another tenant's claim only while that tenant is active", async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 3 }] });
+      await expect(TenantService.resolveTenantId({ tenant_id: 3 })).resolves.toBe(3);
+
+      await expect(TenantService.resolveTenantId({ tenant_id: 4 })).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+  });
+});
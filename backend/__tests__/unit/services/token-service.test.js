@@ -24,8 +24,12 @@ describe("TokenService", () => {
     id: MOCK_USERS.technician.id,
     email: MOCK_USERS.technician.email,
     role: "technician",
+    tenant_id: 1,
   };
 
+  /** Transaction client; data queries go through db.query so call order stays assertable */
+  let txClient;
+
   beforeEach(() => {
     originalEnv = { ...process.env };
     setTestEnv({
@@ -33,6 +37,13 @@ describe("TokenService", () => {
       NODE_ENV: "test",
     });
     jest.clearAllMocks();
+    txClient = {
+      query: jest.fn((sql, params) =>
+        ["BEGIN", "COMMIT", "ROLLBACK"].includes(sql) ? Promise.resolve({}) : db.query(sql, params),
+      ),
+      release: jest.fn(),
+    };
+    db.getClient = jest.fn().mockResolvedValue(txClient);
   });
 
   afterEach(() => {
@@ -114,6 +125,7 @@ describe("TokenService", () => {
       expect(payload.userId).toBe(testUser.id);
       expect(payload.email).toBe(testUser.email);
       expect(payload.role).toBe(testUser.role);
+      expect(payload.tenant_id).toBe(testUser.tenant_id);
       expect(payload.type).toBe("access");
     });
 
@@ -138,11 +150,67 @@ describe("TokenService", () => {
       expect(queryCall[1][4]).toBeNull(); // ip_address
       expect(queryCall[1][5]).toBeNull(); // user_agent
     });
+
+    test("should start a new session (token family) per login", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      const first = await TokenService.generateTokenPair(
+        testUser,
+        "127.0.0.1",
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Chrome/120.0.0.0 Safari/537.36",
+      );
+      const second = await TokenService.generateTokenPair(testUser);
+
+      const [, , , , , , familyId, parentTokenId, deviceName] =
+        db.query.mock.calls[0][1];
+      expect(decodeJwt(first.accessToken).sid).toBe(familyId);
+      expect(decodeJwt(second.accessToken).sid).not.toBe(familyId);
+      expect(parentTokenId).toBeNull();
+      expect(deviceName).toBe("Chrome on macOS");
+    });
+
+    test("should continue an existing family when rotating", async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+      const familyId = "6f1c2a0e-8b5d-4c47-9a3e-2d7f1b9c4e10";
+      const parentTokenId = "550e8400-e29b-41d4-a716-446655440000";
+
+      const result = await TokenService.generateTokenPair(
+        testUser,
+        null,
+        null,
+        "auth0",
+        null,
+        { familyId, parentTokenId },
+      );
+
+      expect(decodeJwt(result.accessToken).sid).toBe(familyId);
+      expect(db.query.mock.calls[0][1].slice(6, 8)).toEqual([
+        familyId,
+        parentTokenId,
+      ]);
+    });
   });
 
   describe("refreshAccessToken()", () => {
     let validRefreshToken;
     let tokenId;
+    const familyId = "6f1c2a0e-8b5d-4c47-9a3e-2d7f1b9c4e10";
+
+    // refresh_tokens row (joined with user) for validRefreshToken
+    const storedRow = async (overrides = {}) => ({
+      token_id: tokenId,
+      user_id: testUser.id,
+      token_hash: await bcrypt.hash(validRefreshToken, 4),
+      expires_at: new Date(Date.now() + 86400000),
+      revoked_at: null,
+      revoked_reason: null,
+      family_id: familyId,
+      email: testUser.email,
+      role: testUser.role,
+      ...overrides,
+    });
 
     beforeEach(async () => {
       // Generate a valid refresh token for testing
@@ -170,17 +238,16 @@ describe("TokenService", () => {
               token_hash: hashedToken,
               expires_at: new Date(Date.now() + 86400000), // 1 day from now
               revoked_at: null,
+              family_id: familyId,
               email: testUser.email,
               role: testUser.role,
             },
           ],
           rowCount: 1,
         })
-        // Second call: UPDATE last_used_at
+        // Second call: UPDATE claiming (rotating) the presented token
         .mockResolvedValueOnce({ rows: [], rowCount: 1 })
         // Third call: INSERT new refresh token (from generateTokenPair)
-        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
-        // Fourth call: UPDATE to revoke old token
         .mockResolvedValueOnce({ rows: [], rowCount: 1 });
 
       const result = await TokenService.refreshAccessToken(
@@ -197,38 +264,126 @@ describe("TokenService", () => {
       expect(result.refreshToken.split(".").length).toBe(3);
     });
 
-    test("should update refresh token last_used_at timestamp", async () => {
-      const hashedToken = await bcrypt.hash(validRefreshToken, 10);
+    test("should rotate the presented token before issuing its successor", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [await storedRow()], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      const result = await TokenService.refreshAccessToken(validRefreshToken);
+
+      expect(db.query).toHaveBeenCalledTimes(3);
+      const [claimSql, claimParams] = db.query.mock.calls[1];
+      expect(claimSql).toContain("UPDATE refresh_tokens");
+      expect(claimSql).toContain("last_used_at = NOW()");
+      expect(claimSql).toContain("revoked_at IS NULL");
+      expect(claimParams).toEqual([tokenId, "rotated"]);
+
+      // Successor stays in the same family and points back at its parent
+      const [insertSql, insertParams] = db.query.mock.calls[2];
+      expect(insertSql).toContain("INSERT INTO refresh_tokens");
+      expect(insertParams.slice(6, 8)).toEqual([familyId, tokenId]);
+      expect(decodeJwt(result.accessToken).sid).toBe(familyId);
+    });
+
+    test("should claim the token and store its successor in one transaction", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [await storedRow()], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      await TokenService.refreshAccessToken(validRefreshToken);
+
+      const statements = txClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+      expect(statements).toEqual(["BEGIN", "UPDATE", "INSERT", "COMMIT"]);
+    });
+
+    test("should roll back the rotation when the successor cannot be stored", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [await storedRow()], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        .mockRejectedValueOnce(new Error("connection lost"));
+
+      await expect(TokenService.refreshAccessToken(validRefreshToken)).rejects.toThrow("connection lost");
+
+      expect(txClient.query).toHaveBeenCalledWith("ROLLBACK");
+      expect(txClient.query).not.toHaveBeenCalledWith("COMMIT");
+      expect(txClient.release).toHaveBeenCalled();
+    });
+
+    test("should revoke the whole family when a rotated token is reused", async () => {
       db.query
-        // SELECT with JOIN
         .mockResolvedValueOnce({
           rows: [
-            {
-              token_id: tokenId,
-              user_id: testUser.id,
-              token_hash: hashedToken,
-              expires_at: new Date(Date.now() + 86400000),
-              revoked_at: null,
-              email: testUser.email,
-              role: testUser.role,
-            },
+            await storedRow({ revoked_at: new Date(), revoked_reason: "rotated" }),
           ],
           rowCount: 1,
         })
-        // UPDATE last_used_at
-        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
-        // INSERT new token
-        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
-        // UPDATE revoke old token
+        .mockResolvedValueOnce({ rows: [], rowCount: 2 });
+
+      await expect(
+        TokenService.refreshAccessToken(validRefreshToken, "203.0.113.9"),
+      ).rejects.toMatchObject({
+        statusCode: 401,
+        code: "AUTH_TOKEN_REUSED",
+        userId: testUser.id,
+        sessionId: familyId,
+      });
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      const [revokeSql, revokeParams] = db.query.mock.calls[1];
+      expect(revokeSql).toContain("family_id = $1");
+      expect(revokeParams).toEqual([familyId, "reuse_detected", null]);
+      expect(logger.logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining("reuse detected"),
+        expect.objectContaining({ familyId, ipAddress: "203.0.113.9" }),
+      );
+    });
+
+    test("should treat losing a concurrent rotation as reuse", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [await storedRow()], rowCount: 1 })
+        // Claim finds the token already rotated by the other request
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 })
         .mockResolvedValueOnce({ rows: [], rowCount: 1 });
 
-      await TokenService.refreshAccessToken(validRefreshToken);
+      await expect(
+        TokenService.refreshAccessToken(validRefreshToken),
+      ).rejects.toMatchObject({ code: "AUTH_TOKEN_REUSED" });
+
+      expect(db.query.mock.calls[2][1]).toEqual([familyId, "reuse_detected", null]);
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    test("should reject a logged-out token without revoking anything else", async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          await storedRow({ revoked_at: new Date(), revoked_reason: "logout" }),
+        ],
+        rowCount: 1,
+      });
 
-      // Verify UPDATE query was called (second call)
-      expect(db.query).toHaveBeenCalledTimes(4);
-      const updateCall = db.query.mock.calls[1];
-      expect(updateCall[0]).toContain("UPDATE refresh_tokens");
-      expect(updateCall[0]).toContain("last_used_at");
+      await expect(
+        TokenService.refreshAccessToken(validRefreshToken),
+      ).rejects.toMatchObject({ code: "AUTH_INVALID_TOKEN" });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test("should not act on reuse when the hash does not match", async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          {
+            ...(await storedRow({ revoked_at: new Date(), revoked_reason: "rotated" })),
+            token_hash: await bcrypt.hash("some-other-token", 4),
+          },
+        ],
+        rowCount: 1,
+      });
+
+      await expect(
+        TokenService.refreshAccessToken(validRefreshToken),
+      ).rejects.toMatchObject({ code: "AUTH_INVALID_TOKEN" });
+      expect(db.query).toHaveBeenCalledTimes(1);
     });
 
     test("should reject expired refresh token", async () => {
@@ -317,7 +472,7 @@ describe("TokenService", () => {
       const queryCall = db.query.mock.calls[0];
       expect(queryCall[0]).toContain("UPDATE refresh_tokens");
       expect(queryCall[0]).toContain("revoked_at = NOW()"); // Updated to match actual SQL
-      expect(queryCall[1]).toEqual([tokenId]);
+      expect(queryCall[1]).toEqual([tokenId, "logout"]);
     });
 
     test("should handle non-existent token gracefully", async () => {
@@ -355,7 +510,7 @@ describe("TokenService", () => {
       const queryCall = db.query.mock.calls[0];
       expect(queryCall[0]).toContain("UPDATE refresh_tokens");
       expect(queryCall[0]).toContain("user_id = $1");
-      expect(queryCall[1]).toEqual([userId]);
+      expect(queryCall[1]).toEqual([userId, "logout_all"]);
       expect(result).toBe(3); // Should return count of revoked tokens
     });
 
@@ -368,6 +523,56 @@ describe("TokenService", () => {
     });
   });
 
+  describe("revokeFamily()", () => {
+    const familyId = "6f1c2a0e-8b5d-4c47-9a3e-2d7f1b9c4e10";
+
+    test("should revoke every live token in the family", async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      const count = await TokenService.revokeFamily(familyId, "session_revoked", 7);
+
+      expect(count).toBe(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("family_id = $1 AND revoked_at IS NULL");
+      expect(sql).toContain("user_id = $3");
+      expect(params).toEqual([familyId, "session_revoked", 7]);
+    });
+
+    test("should return zero for an unknown or foreign session", async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(
+        TokenService.revokeFamily(familyId, "session_revoked", 7),
+      ).resolves.toBe(0);
+    });
+
+    test("should reject a session id that is not a UUID", async () => {
+      await expect(
+        TokenService.revokeFamily("not-a-uuid", "session_revoked", 7),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getUserSessions()", () => {
+    test("should list one row per live family", async () => {
+      const rows = [
+        {
+          family_id: "6f1c2a0e-8b5d-4c47-9a3e-2d7f1b9c4e10",
+          device_name: "Chrome on macOS",
+          started_at: new Date(),
+          last_active_at: new Date(),
+        },
+      ];
+      db.query.mockResolvedValueOnce({ rows, rowCount: 1 });
+
+      await expect(TokenService.getUserSessions(1)).resolves.toBe(rows);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("MIN(f.created_at)");
+      expect(params).toEqual([1]);
+    });
+  });
+
   describe("cleanupExpiredTokens()", () => {
     test("should delete expired tokens from database", async () => {
       db.query.mockResolvedValueOnce({ rows: [], rowCount: 5 }); // 5 tokens deleted
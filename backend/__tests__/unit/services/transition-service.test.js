@@ -0,0 +1,203 @@
+/**
+ * TransitionService Unit Tests
+ *
+ * Tests the declarative status state machine: edge expansion, edge/role/
+ * required-field checks, and the moves listed for a caller.
+ */
+
+const {
+  evaluateTransition,
+  getAvailableTransitions,
+  expandEdges,
+  findEdge,
+  TRANSITION_REFUSAL,
+} = require('../../../services/entity/transition-service');
+const workOrderMetadata = require('../../../config/models/work-order-metadata');
+
+const transitions = {
+  field: 'status',
+  edges: [
+    { from: 'pending', to: ['scheduled', 'cancelled'], minRole: 'dispatcher' },
+    { from: 'in_progress', to: 'completed', minRole: 'dispatcher', requires: ['completed_at'] },
+    { from: 'completed', to: 'in_progress', minRole: 'manager' },
+  ],
+};
+
+describe('TransitionService', () => {
+  describe('expandEdges', () => {
+    test('expands from/to lists into single edges', () => {
+      expect(expandEdges(transitions)).toEqual([
+        { from: 'pending', to: 'scheduled', minRole: 'dispatcher', requires: [] },
+        { from: 'pending', to: 'cancelled', minRole: 'dispatcher', requires: [] },
+        { from: 'in_progress', to: 'completed', minRole: 'dispatcher', requires: ['completed_at'] },
+        { from: 'completed', to: 'in_progress', minRole: 'manager', requires: [] },
+      ]);
+    });
+
+    test('returns no edges without a state machine', () => {
+      expect(expandEdges(undefined)).toEqual([]);
+    });
+  });
+
+  describe('findEdge', () => {
+    test('finds a declared edge', () => {
+      expect(findEdge(transitions, 'pending', 'cancelled')).toMatchObject({
+        from: 'pending',
+        to: 'cancelled',
+      });
+    });
+
+    test('returns null for an undeclared edge', () => {
+      expect(findEdge(transitions, 'cancelled', 'completed')).toBeNull();
+    });
+  });
+
+  describe('evaluateTransition', () => {
+    test('allows a declared edge for a sufficient role', () => {
+      const result = evaluateTransition({
+        transitions,
+        oldValue: 'pending',
+        newValue: 'scheduled',
+        record: { status: 'scheduled' },
+        role: 'dispatcher',
+      });
+
+      expect(result).toEqual({ allowed: true });
+    });
+
+    test('allows an unchanged value', () => {
+      expect(
+        evaluateTransition({ transitions, oldValue: 'cancelled', newValue: 'cancelled', record: {} }),
+      ).toEqual({ allowed: true });
+    });
+
+    test('refuses an undeclared edge and lists the allowed targets', () => {
+      const result = evaluateTransition({
+        transitions,
+        oldValue: 'pending',
+        newValue: 'completed',
+        record: { status: 'completed', completed_at: '2026-01-01' },
+        role: 'admin',
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe(TRANSITION_REFUSAL.INVALID_EDGE);
+      expect(result.details).toEqual({
+        field: 'status',
+        from: 'pending',
+        to: 'completed',
+        allowed: ['scheduled', 'cancelled'],
+      });
+      expect(result.blockReason).toContain("from 'pending' to 'completed'");
+    });
+
+    test('refuses a terminal state with no outgoing edges', () => {
+      const result = evaluateTransition({
+        transitions,
+        oldValue: 'cancelled',
+        newValue: 'pending',
+        record: {},
+        role: 'admin',
+      });
+
+      expect(result.reason).toBe(TRANSITION_REFUSAL.INVALID_EDGE);
+      expect(result.blockReason).toContain('allowed: none');
+    });
+
+    test('refuses a role below the edge minRole', () => {
+      const result = evaluateTransition({
+        transitions,
+        oldValue: 'completed',
+        newValue: 'in_progress',
+        record: {},
+        role: 'dispatcher',
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe(TRANSITION_REFUSAL.INSUFFICIENT_ROLE);
+      expect(result.details.minRole).toBe('manager');
+    });
+
+    test('skips the role check for internal callers (no role) but keeps the edges', () => {
+      expect(
+        evaluateTransition({ transitions, oldValue: 'completed', newValue: 'in_progress', record: {} }),
+      ).toEqual({ allowed: true });
+      expect(
+        evaluateTransition({ transitions, oldValue: 'cancelled', newValue: 'pending', record: {} })
+          .reason,
+      ).toBe(TRANSITION_REFUSAL.INVALID_EDGE);
+    });
+
+    test.each([null, undefined, '', '   '])(
+      'refuses when a required field is empty (%p)',
+      (completedAt) => {
+        const result = evaluateTransition({
+          transitions,
+          oldValue: 'in_progress',
+          newValue: 'completed',
+          record: { status: 'completed', completed_at: completedAt },
+          role: 'dispatcher',
+        });
+
+        expect(result.reason).toBe(TRANSITION_REFUSAL.MISSING_FIELDS);
+        expect(result.details.missingFields).toEqual(['completed_at']);
+      },
+    );
+
+    test('allows the move once the required field is set', () => {
+      const result = evaluateTransition({
+        transitions,
+        oldValue: 'in_progress',
+        newValue: 'completed',
+        record: { status: 'completed', completed_at: '2026-01-01T10:00:00Z' },
+        role: 'dispatcher',
+      });
+
+      expect(result).toEqual({ allowed: true });
+    });
+  });
+
+  describe('getAvailableTransitions', () => {
+    const record = { id: 1, status: 'in_progress', completed_at: null };
+
+    test('lists moves from the current state with labels and missing fields', () => {
+      const result = getAvailableTransitions(workOrderMetadata, record, 'manager');
+
+      expect(result.field).toBe('status');
+      expect(result.current).toBe('in_progress');
+      expect(result.transitions).toEqual(
+        expect.arrayContaining([
+          {
+            to: 'completed',
+            label: 'Completed',
+            requires: ['completed_at'],
+            missingFields: ['completed_at'],
+          },
+          { to: 'cancelled', label: 'Cancelled', requires: [], missingFields: [] },
+        ]),
+      );
+    });
+
+    test('omits moves above the caller role', () => {
+      const result = getAvailableTransitions(workOrderMetadata, record, 'dispatcher');
+
+      const targets = result.transitions.map((t) => t.to);
+      expect(targets).toContain('completed');
+      expect(targets).not.toContain('cancelled'); // manager+ from in_progress
+    });
+
+    test('lists nothing when the role cannot update the status field', () => {
+      const result = getAvailableTransitions(workOrderMetadata, record, 'customer');
+
+      expect(result).toEqual({ field: 'status', current: 'in_progress', transitions: [] });
+    });
+
+    test('lists nothing from a state without outgoing edges', () => {
+      const metadata = { ...workOrderMetadata, transitions };
+
+      const result = getAvailableTransitions(metadata, { status: 'cancelled' }, 'admin');
+
+      expect(result.transitions).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,381 @@
+/**
+ * Webhook Delivery Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../services/jobs/job-queue-service", () => ({
+  enqueue: jest.fn().mockResolvedValue({ id: 50 }),
+}));
+jest.mock("dns", () => ({ promises: { lookup: jest.fn() } }));
+jest.mock("https", () => ({ request: jest.fn() }));
+
+const { EventEmitter } = require("events");
+const dns = require("dns");
+const https = require("https");
+const db = require("../../../db/connection");
+const JobQueueService = require("../../../services/jobs/job-queue-service");
+const WebhookValidator = require("../../../utils/webhook-validator");
+const WebhookDeliveryService = require("../../../services/integrations/webhook-delivery-service");
+
+const storedDelivery = (overrides) => ({
+  id: 9,
+  subscription_id: 3,
+  event: "work_order.updated",
+  entity: "work_order",
+  record_id: 42,
+  payload: { event: "work_order.updated", recordId: 42 },
+  status: "pending",
+  target_url: "https://hooks.example.com/tross",
+  secret_key: "0123456789abcdef",
+  subscription_active: true,
+  ...overrides,
+});
+
+/** Fake transaction client; `rows` answers every non-transaction-control query */
+const mockClient = (rows = []) => ({
+  query: jest.fn(async (sql) =>
+    ["BEGIN", "COMMIT", "ROLLBACK"].includes(sql) ? {} : { rows },
+  ),
+  release: jest.fn(),
+});
+
+/**
+ * Fake https.request: once the body is sent, answers with `status`, emits
+ * `error`, or (neither) emits 'timeout'. Returns the created requests.
+ */
+const mockHttps = ({ status, error } = {}) => {
+  const requests = [];
+  https.request.mockImplementation(() => {
+    const request = new EventEmitter();
+    request.destroy = jest.fn((reason) => request.emit("error", reason));
+    request.end = jest.fn(() =>
+      setImmediate(() => {
+        if (status) {
+          request.emit("response", { statusCode: status, resume: jest.fn() });
+        } else {
+          request.emit(error ? "error" : "timeout", error);
+        }
+      }),
+    );
+    requests.push(request);
+    return request;
+  });
+  return requests;
+};
+
+describe("WebhookDeliveryService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    dns.promises.lookup.mockResolvedValue([{ address: "93.184.216.34", family: 4 }]);
+  });
+
+  describe("enqueueForChange", () => {
+    it("should log a delivery per matching subscription and enqueue jobs on the write's client", async () => {
+      const client = mockClient([{ id: 11 }, { id: 12 }]);
+
+      const count = await WebhookDeliveryService.enqueueForChange(
+        "update",
+        "work_order",
+        { id: 42, status: "completed" },
+        { id: 42, status: "in_progress" },
+        client,
+      );
+
+      expect(count).toBe(2);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("INSERT INTO webhook_deliveries");
+      expect(sql).toContain("event_filter IN ('all', $5)");
+      expect(params.slice(0, 3)).toEqual(["work_order.updated", "work_order", 42]);
+      expect(params[4]).toBe("update");
+      expect(JSON.parse(params[3])).toEqual(
+        expect.objectContaining({
+          event: "work_order.updated",
+          operation: "update",
+          data: { id: 42, status: "completed" },
+          previous: { id: 42, status: "in_progress" },
+          occurredAt: expect.any(String),
+        }),
+      );
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "webhook.deliver",
+        { webhookDeliveryId: 11 },
+        { client, maxAttempts: 8 },
+      );
+      expect(JobQueueService.enqueue).toHaveBeenCalledTimes(2);
+    });
+
+    it("should only match subscriptions of the record's tenant (ADR-014)", async () => {
+      const client = mockClient([]);
+
+      await WebhookDeliveryService.enqueueForChange(
+        "create",
+        "work_order",
+        { id: 42, status: "pending", tenant_id: 2 },
+        null,
+        client,
+      );
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("tenant_id = $6");
+      expect(params[5]).toBe(2);
+      expect(JSON.parse(params[3]).data).not.toHaveProperty("tenant_id");
+    });
+
+    it("should leave fields admins cannot read out of the payload", async () => {
+      const client = mockClient([]);
+
+      await WebhookDeliveryService.enqueueForChange(
+        "create",
+        "user",
+        { id: 5, email: "a@test.com", auth0_id: "auth0|123" },
+        null,
+        client,
+      );
+
+      const payload = JSON.parse(client.query.mock.calls[0][1][3]);
+      expect(payload.data).toEqual({ id: 5, email: "a@test.com" });
+      expect(payload.previous).toBeNull();
+    });
+
+    it("should skip webhook subscriptions themselves and records without an id", async () => {
+      const client = mockClient([{ id: 11 }]);
+
+      await WebhookDeliveryService.enqueueForChange("create", "webhook_subscription", { id: 1 }, null, client);
+      await WebhookDeliveryService.enqueueForChange("delete", "work_order", null, null, client);
+
+      expect(client.query).not.toHaveBeenCalled();
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("enqueueForAction", () => {
+    it("should log action events for 'action' subscriptions in the hook's transaction", async () => {
+      const tx = mockClient([{ id: 13 }]);
+
+      await WebhookDeliveryService.enqueueForAction("notify_customer", {
+        entity: "work_order",
+        record: { id: 42 },
+        field: "status",
+        oldValue: "in_progress",
+        newValue: "completed",
+        tx,
+      });
+
+      const [, params] = tx.query.mock.calls[0];
+      expect(params[0]).toBe("work_order.action.notify_customer");
+      expect(params[4]).toBe("action");
+      expect(JSON.parse(params[3]).action).toEqual({
+        key: "notify_customer",
+        field: "status",
+        oldValue: "in_progress",
+        newValue: "completed",
+      });
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "webhook.deliver",
+        { webhookDeliveryId: 13 },
+        { client: tx, maxAttempts: 8 },
+      );
+    });
+
+    it("should use the pool outside a transaction", async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 14 }] });
+
+      await WebhookDeliveryService.enqueueForAction("notify_customer", {
+        entity: "work_order",
+        record: { id: 42 },
+      });
+
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("INSERT INTO webhook_deliveries"),
+        expect.any(Array),
+      );
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "webhook.deliver",
+        { webhookDeliveryId: 14 },
+        { maxAttempts: 8 },
+      );
+    });
+  });
+
+  describe("deliver", () => {
+    it("should POST the signed payload and mark the delivery delivered", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery()] });
+      const requests = mockHttps({ status: 204 });
+
+      const result = await WebhookDeliveryService.deliver(9);
+
+      expect(result).toEqual({ deliveryId: 9, status: "delivered", responseStatus: 204 });
+      const [url, options] = https.request.mock.calls[0];
+      const body = requests[0].end.mock.calls[0][0];
+      expect(url.href).toBe("https://hooks.example.com/tross");
+      expect(options.method).toBe("POST");
+      expect(body).toBe('{"event":"work_order.updated","recordId":42}');
+      expect(options.headers["X-Tross-Event"]).toBe("work_order.updated");
+      expect(options.headers["X-Tross-Delivery"]).toBe("9");
+      expect(
+        WebhookValidator.verifyStripe(body, options.headers["X-Tross-Signature"], "0123456789abcdef"),
+      ).toBe(true);
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining("UPDATE webhook_deliveries"),
+        ["delivered", 204, null, true, 9],
+      );
+    });
+
+    it("should keep the delivery pending and rethrow on a non-2xx response", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery()] });
+      mockHttps({ status: 503 });
+
+      await expect(
+        WebhookDeliveryService.deliver(9, { attempt: 1, maxAttempts: 8 }),
+      ).rejects.toThrow("Receiver responded with HTTP 503");
+
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining("UPDATE webhook_deliveries"),
+        ["pending", 503, "Receiver responded with HTTP 503", false, 9],
+      );
+    });
+
+    it("should mark the delivery failed when attempts are exhausted", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery()] });
+      mockHttps({ error: new Error("connect ECONNREFUSED") });
+
+      await expect(
+        WebhookDeliveryService.deliver(9, { attempt: 8, maxAttempts: 8 }),
+      ).rejects.toThrow("ECONNREFUSED");
+
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining("UPDATE webhook_deliveries"),
+        ["failed", null, "connect ECONNREFUSED", false, 9],
+      );
+    });
+
+    it("should fail without sending when the target resolves to a private address", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery()] });
+      dns.promises.lookup.mockResolvedValue([{ address: "169.254.169.254", family: 4 }]);
+
+      expect(await WebhookDeliveryService.deliver(9)).toEqual({ deliveryId: 9, status: "failed" });
+
+      expect(https.request).not.toHaveBeenCalled();
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining("UPDATE webhook_deliveries"),
+        ["failed", null, "target_url must resolve to a public address", false, 9],
+      );
+    });
+
+    it("should connect to the vetted address even if DNS answers differently afterwards", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery()] });
+      mockHttps({ status: 204 });
+
+      await WebhookDeliveryService.deliver(9);
+      dns.promises.lookup.mockResolvedValue([{ address: "127.0.0.1", family: 4 }]);
+
+      const [url, options] = https.request.mock.calls[0];
+      const callback = jest.fn();
+      options.lookup(url.hostname, { family: 0 }, callback);
+      expect(callback).toHaveBeenCalledWith(null, "93.184.216.34", 4);
+      expect(url.hostname).toBe("hooks.example.com");
+      expect(options).not.toHaveProperty("servername");
+      expect(options.headers).not.toHaveProperty("Host");
+    });
+
+    it("should treat a receiver that does not answer in time as a failed attempt", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery()] });
+      const requests = mockHttps();
+
+      await expect(
+        WebhookDeliveryService.deliver(9, { attempt: 1, maxAttempts: 8 }),
+      ).rejects.toThrow("did not respond");
+      expect(requests[0].destroy).toHaveBeenCalled();
+    });
+
+    it("should fail without sending when the stored target is plain http", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery({ target_url: "http://hooks.example.com/tross" })] });
+
+      expect(await WebhookDeliveryService.deliver(9)).toEqual({ deliveryId: 9, status: "failed" });
+      expect(https.request).not.toHaveBeenCalled();
+    });
+
+    it("should not send settled deliveries or deliveries of inactive subscriptions", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery({ status: "delivered" })] });
+      expect(await WebhookDeliveryService.deliver(9)).toEqual({ deliveryId: 9, status: "delivered" });
+
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery({ subscription_active: false })] });
+      expect(await WebhookDeliveryService.deliver(9)).toEqual({ deliveryId: 9, status: "failed" });
+
+      db.query.mockResolvedValueOnce({ rows: [] });
+      expect(await WebhookDeliveryService.deliver(9)).toEqual({ deliveryId: 9, status: "missing" });
+
+      expect(https.request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("redeliver", () => {
+    it("should reset a settled delivery and enqueue a new job", async () => {
+      const client = mockClient([storedDelivery()]);
+      db.getClient.mockResolvedValue(client);
+
+      const delivery = await WebhookDeliveryService.redeliver(9, { userId: 1 });
+
+      expect(delivery.status).toBe("pending");
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "webhook.deliver",
+        { webhookDeliveryId: 9 },
+        { client, maxAttempts: 8, createdBy: 1 },
+      );
+    });
+
+    it("should throw 409 for a pending delivery and 404 for an unknown one", async () => {
+      db.getClient.mockResolvedValue(mockClient([]));
+
+      db.query.mockResolvedValueOnce({ rows: [storedDelivery()] });
+      await expect(WebhookDeliveryService.redeliver(9)).rejects.toMatchObject({ statusCode: 409 });
+
+      db.query.mockResolvedValueOnce({ rows: [] });
+      await expect(WebhookDeliveryService.redeliver(9)).rejects.toMatchObject({ statusCode: 404 });
+
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("list", () => {
+    it("should filter and paginate", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: "3" }] })
+        .mockResolvedValueOnce({ rows: [storedDelivery()] });
+
+      const result = await WebhookDeliveryService.list({
+        page: 1,
+        limit: 1,
+        status: "failed",
+        subscriptionId: 3,
+      });
+
+      expect(db.query.mock.calls[0][0]).toContain("WHERE status = $1 AND subscription_id = $2");
+      expect(db.query.mock.calls[1][1]).toEqual(["failed", 3, 1, 0]);
+      expect(result.pagination).toEqual(
+        expect.objectContaining({ total: 3, totalPages: 3, hasNext: true }),
+      );
+    });
+  });
+
+  describe("purgeExpired", () => {
+    it("should delete settled deliveries past the retention window", async () => {
+      db.query.mockResolvedValue({ rowCount: 6 });
+
+      expect(await WebhookDeliveryService.purgeExpired()).toBe(6);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("DELETE FROM webhook_deliveries"),
+        ["pending", 30],
+      );
+    });
+  });
+});
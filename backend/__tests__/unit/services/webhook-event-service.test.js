@@ -0,0 +1,242 @@
+/**
+ * Webhook Event Service Unit Tests
+ */
+
+jest.mock("../../../db/connection");
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../services/jobs/job-queue-service", () => ({
+  enqueue: jest.fn().mockResolvedValue({ id: 50 }),
+  hasActive: jest.fn().mockResolvedValue(false),
+}));
+jest.mock("../../../services/integrations/webhook-handlers", () => ({
+  getWebhookHandler: jest.fn(),
+}));
+
+const db = require("../../../db/connection");
+const JobQueueService = require("../../../services/jobs/job-queue-service");
+const { getWebhookHandler } = require("../../../services/integrations/webhook-handlers");
+const WebhookEventService = require("../../../services/integrations/webhook-event-service");
+
+const storedEvent = (overrides) => ({
+  id: 7,
+  provider: "stripe",
+  event_id: "evt_1",
+  event_type: "payment_intent.succeeded",
+  payload: { id: "evt_1" },
+  status: "received",
+  ...overrides,
+});
+
+/** Fake transaction client; `rows` answers every non-transaction-control query */
+const mockClient = (rows = []) => ({
+  query: jest.fn(async (sql) =>
+    ["BEGIN", "COMMIT", "ROLLBACK"].includes(sql) ? {} : { rows },
+  ),
+  release: jest.fn(),
+});
+
+describe("WebhookEventService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  describe("record", () => {
+    it("should store the event and enqueue its job in one transaction", async () => {
+      const client = mockClient([storedEvent()]);
+      db.getClient.mockResolvedValue(client);
+
+      const event = await WebhookEventService.record("stripe", { id: "evt_1" }, {
+        eventId: "evt_1",
+        eventType: "payment_intent.succeeded",
+      });
+
+      expect(event.id).toBe(7);
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes("INSERT"));
+      expect(insert[0]).toContain("ON CONFLICT (provider, event_id) DO NOTHING");
+      expect(insert[1]).toEqual([
+        "stripe",
+        "evt_1",
+        "payment_intent.succeeded",
+        '{"id":"evt_1"}',
+      ]);
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "webhook.process",
+        { webhookEventId: 7 },
+        { client },
+      );
+      expect(client.query).toHaveBeenCalledWith("COMMIT");
+    });
+
+    it("should return null and enqueue nothing for a duplicate delivery", async () => {
+      db.getClient.mockResolvedValue(mockClient([]));
+
+      const event = await WebhookEventService.record("stripe", {}, { eventId: "evt_1" });
+
+      expect(event).toBeNull();
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("process", () => {
+    it("should run the handler and mark the event processed", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedEvent()] });
+      const handler = jest.fn().mockResolvedValue({ action: "created", paymentId: 3 });
+      getWebhookHandler.mockReturnValue(handler);
+      const client = mockClient();
+      db.getClient.mockResolvedValue(client);
+
+      const result = await WebhookEventService.process(7);
+
+      expect(result).toEqual({
+        status: "processed",
+        result: { action: "created", paymentId: 3 },
+      });
+      expect(getWebhookHandler).toHaveBeenCalledWith("stripe", "payment_intent.succeeded");
+      expect(handler).toHaveBeenCalledWith({ id: "evt_1" }, {
+        client,
+        webhookEvent: expect.objectContaining({ id: 7 }),
+      });
+      const processed = client.query.mock.calls.find(([sql]) => sql.includes("UPDATE"));
+      expect(processed[1]).toEqual(["processed", null, true, 7]);
+      const [claimSql, claimParams] = db.query.mock.calls[0];
+      expect(claimSql).toContain("RETURNING *");
+      expect(claimParams).toEqual(["processing", 7, ["received", "failed"], String(15 * 60 * 1000)]);
+    });
+
+    it("should mark the event failed and rethrow so the job retries", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedEvent()] });
+      getWebhookHandler.mockReturnValue(jest.fn().mockRejectedValue(new Error("No customer")));
+      const client = mockClient();
+      db.getClient.mockResolvedValue(client);
+
+      await expect(WebhookEventService.process(7)).rejects.toThrow("No customer");
+
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+      const failed = db.query.mock.calls[db.query.mock.calls.length - 1];
+      expect(failed[1]).toEqual(["failed", "No customer", false, 7]);
+    });
+
+    it("should mark events without a handler ignored", async () => {
+      db.query.mockResolvedValueOnce({ rows: [storedEvent({ event_type: "customer.created" })] });
+      getWebhookHandler.mockReturnValue(null);
+
+      const result = await WebhookEventService.process(7);
+
+      expect(result).toEqual({ status: "ignored" });
+      expect(db.query.mock.calls[1][1]).toEqual(["ignored", null, true, 7]);
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
+
+    it("should skip events that are already settled", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [storedEvent({ status: "processed" })] });
+
+      const result = await WebhookEventService.process(7);
+
+      expect(result).toEqual({ status: "processed" });
+      expect(getWebhookHandler).not.toHaveBeenCalled();
+    });
+
+    it("should not run the handler while another job holds the event", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [storedEvent({ status: "processing" })] });
+
+      const result = await WebhookEventService.process(7);
+
+      expect(result).toEqual({ status: "processing" });
+      expect(getWebhookHandler).not.toHaveBeenCalled();
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
+
+    it("should tolerate events that no longer exist", async () => {
+      const result = await WebhookEventService.process(7);
+
+      expect(result).toEqual({ status: null, reason: "not_found" });
+    });
+  });
+
+  describe("replay", () => {
+    it("should reset a settled event and enqueue a new job", async () => {
+      const client = mockClient([storedEvent({ status: "received" })]);
+      db.getClient.mockResolvedValue(client);
+
+      const event = await WebhookEventService.replay(7, { userId: 1 });
+
+      expect(event.status).toBe("received");
+      const update = client.query.mock.calls.find(([sql]) => sql.includes("UPDATE"));
+      expect(update[1]).toEqual(["received", 7, ["processed", "ignored", "failed"]]);
+      expect(JobQueueService.enqueue).toHaveBeenCalledWith(
+        "webhook.process",
+        { webhookEventId: 7 },
+        { client, createdBy: 1 },
+      );
+    });
+
+    it("should 409 while a processing job for the event is still queued", async () => {
+      const client = mockClient([storedEvent({ status: "failed" })]);
+      db.getClient.mockResolvedValue(client);
+      JobQueueService.hasActive.mockResolvedValueOnce(true);
+
+      await expect(WebhookEventService.replay(7)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining("still has a processing job"),
+      });
+      expect(JobQueueService.hasActive).toHaveBeenCalledWith(
+        "webhook.process",
+        { webhookEventId: 7 },
+        { client },
+      );
+      expect(client.query.mock.calls.some(([sql]) => sql.includes("UPDATE"))).toBe(false);
+      expect(client.query).toHaveBeenCalledWith("ROLLBACK");
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it("should 404 for unknown events", async () => {
+      db.getClient.mockResolvedValue(mockClient([]));
+
+      await expect(WebhookEventService.replay(7)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it("should 409 for events still queued", async () => {
+      db.getClient.mockResolvedValue(mockClient([]));
+      db.query.mockResolvedValueOnce({ rows: [storedEvent({ status: "processing" })] });
+
+      await expect(WebhookEventService.replay(7)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining("processing"),
+      });
+      expect(JobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("list", () => {
+    it("should filter by status, provider and event type", async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: "1" }] })
+        .mockResolvedValueOnce({ rows: [storedEvent()] });
+
+      const result = await WebhookEventService.list({
+        status: "failed",
+        provider: "stripe",
+        eventType: "payment_intent.succeeded",
+      });
+
+      expect(db.query.mock.calls[0]).toEqual([
+        "SELECT COUNT(*) AS total FROM webhook_events WHERE status = $1 AND provider = $2 AND event_type = $3",
+        ["failed", "stripe", "payment_intent.succeeded"],
+      ]);
+      expect(result.data).toHaveLength(1);
+      expect(result.pagination.total).toBe(1);
+    });
+  });
+});
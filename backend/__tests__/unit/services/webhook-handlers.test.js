@@ -0,0 +1,240 @@
+/**
+ * Webhook Handlers Unit Tests (Stripe + QuickBooks)
+ */
+
+jest.mock("../../../config/logger", () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+jest.mock("../../../services/entity/generic-entity-service", () => ({
+  findByField: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+}));
+
+const GenericEntityService = require("../../../services/entity/generic-entity-service");
+const { getWebhookHandler } = require("../../../services/integrations/webhook-handlers");
+const stripe = require("../../../services/integrations/webhook-handlers/stripe");
+const quickbooks = require("../../../services/integrations/webhook-handlers/quickbooks");
+
+const client = { query: jest.fn() };
+
+const intentEvent = (type, intent) => ({
+  id: "evt_1",
+  type,
+  created: Date.UTC(2026, 2, 4, 15, 0, 0) / 1000,
+  data: { object: { id: "pi_123", amount: 12550, latest_charge: "ch_9", metadata: {}, ...intent } },
+});
+
+describe("webhook handlers", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    GenericEntityService.findByField.mockResolvedValue(null);
+    GenericEntityService.create.mockResolvedValue({ id: 42 });
+  });
+
+  describe("getWebhookHandler", () => {
+    it("should resolve registered provider event types", () => {
+      expect(getWebhookHandler("stripe", "payment_intent.succeeded")).toBe(
+        stripe.handlePaymentIntentSucceeded,
+      );
+      expect(getWebhookHandler("quickbooks", "dataChangeEvent")).toBe(
+        quickbooks.handleDataChangeEvent,
+      );
+    });
+
+    it("should return null for unknown providers, types and prototype keys", () => {
+      expect(getWebhookHandler("stripe", "customer.created")).toBeNull();
+      expect(getWebhookHandler("paypal", "payment")).toBeNull();
+      expect(getWebhookHandler("stripe", null)).toBeNull();
+      expect(getWebhookHandler("stripe", "toString")).toBeNull();
+    });
+  });
+
+  describe("stripe payment_intent.succeeded", () => {
+    it("should complete an existing payment for the intent", async () => {
+      GenericEntityService.findByField.mockResolvedValue({ id: 5, stripe_charge_id: null });
+
+      const result = await stripe.handlePaymentIntentSucceeded(
+        intentEvent("payment_intent.succeeded"),
+        { client },
+      );
+
+      expect(result).toEqual({ action: "updated", paymentId: 5 });
+      expect(GenericEntityService.findByField).toHaveBeenCalledWith(
+        "payment",
+        "stripe_payment_intent_id",
+        "pi_123",
+        { client },
+      );
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "payment",
+        5,
+        { status: "completed", stripe_charge_id: "ch_9" },
+        { client },
+      );
+      expect(GenericEntityService.create).not.toHaveBeenCalled();
+    });
+
+    it("should create a payment attributed through the invoice", async () => {
+      GenericEntityService.findById.mockResolvedValue({ id: 8, customer_id: 3 });
+
+      const result = await stripe.handlePaymentIntentSucceeded(
+        intentEvent("payment_intent.succeeded", {
+          amount_received: 12550,
+          metadata: { invoice_id: "8" },
+        }),
+        { client },
+      );
+
+      expect(result).toEqual({ action: "created", paymentId: 42 });
+      expect(GenericEntityService.create).toHaveBeenCalledWith(
+        "payment",
+        {
+          customer_id: 3,
+          invoice_id: 8,
+          amount: 125.5,
+          payment_date: "2026-03-04",
+          payment_method: "online",
+          status: "completed",
+          stripe_payment_intent_id: "pi_123",
+          stripe_charge_id: "ch_9",
+        },
+        { client },
+      );
+    });
+
+    it("should prefer the customer named in metadata", async () => {
+      await stripe.handlePaymentIntentSucceeded(
+        intentEvent("payment_intent.succeeded", { metadata: { customer_id: "11" } }),
+        { client },
+      );
+
+      expect(GenericEntityService.findById).not.toHaveBeenCalled();
+      expect(GenericEntityService.create.mock.calls[0][1]).toMatchObject({
+        customer_id: 11,
+        invoice_id: null,
+      });
+    });
+
+    it("should reject intents that cannot be attributed to a customer", async () => {
+      await expect(
+        stripe.handlePaymentIntentSucceeded(intentEvent("payment_intent.succeeded"), { client }),
+      ).rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it("should reject events without a PaymentIntent", async () => {
+      await expect(
+        stripe.handlePaymentIntentSucceeded({ type: "payment_intent.succeeded", data: {} }, { client }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe("stripe payment_intent.payment_failed", () => {
+    it("should fail the matching payment", async () => {
+      GenericEntityService.findByField.mockResolvedValue({ id: 5 });
+
+      const result = await stripe.handlePaymentIntentFailed(
+        intentEvent("payment_intent.payment_failed"),
+        { client },
+      );
+
+      expect(result).toEqual({ action: "updated", paymentId: 5 });
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "payment",
+        5,
+        { status: "failed" },
+        { client },
+      );
+    });
+
+    it("should do nothing when no payment was recorded", async () => {
+      const result = await stripe.handlePaymentIntentFailed(
+        intentEvent("payment_intent.payment_failed"),
+        { client },
+      );
+
+      expect(result).toEqual({ action: "none", paymentId: null });
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("quickbooks dataChangeEvent", () => {
+    const notification = (entities) => ({
+      eventNotifications: [{ realmId: "r1", dataChangeEvent: { entities } }],
+    });
+
+    it("should flag updated invoices as modified", async () => {
+      GenericEntityService.findByField.mockResolvedValue({ id: 9 });
+
+      const result = await quickbooks.handleDataChangeEvent(
+        notification([{ name: "Invoice", id: "145", operation: "Update" }]),
+        { client },
+      );
+
+      expect(result).toEqual({ updated: 1, unmatched: 0, skipped: 0 });
+      expect(GenericEntityService.findByField).toHaveBeenCalledWith(
+        "invoice",
+        "qb_invoice_id",
+        "145",
+        { client },
+      );
+      expect(GenericEntityService.update).toHaveBeenCalledWith(
+        "invoice",
+        9,
+        { qb_sync_status: "modified", qb_sync_error: null },
+        { client, skipHooks: true },
+      );
+    });
+
+    it("should flag voided and deleted invoices as errors", async () => {
+      GenericEntityService.findByField.mockResolvedValue({ id: 9 });
+
+      await quickbooks.handleDataChangeEvent(
+        notification([
+          { name: "Invoice", id: "1", operation: "Void" },
+          { name: "Invoice", id: "2", operation: "Delete" },
+        ]),
+        { client },
+      );
+
+      expect(GenericEntityService.update.mock.calls.map((call) => call[2])).toEqual([
+        { qb_sync_status: "error", qb_sync_error: "Invoice voided in QuickBooks" },
+        { qb_sync_status: "error", qb_sync_error: "Invoice deleted in QuickBooks" },
+      ]);
+    });
+
+    it("should count unknown invoices and skip other entities", async () => {
+      const result = await quickbooks.handleDataChangeEvent(
+        notification([
+          { name: "Invoice", id: "404", operation: "Update" },
+          { name: "Customer", id: "1", operation: "Update" },
+        ]),
+        { client },
+      );
+
+      expect(result).toEqual({ updated: 0, unmatched: 1, skipped: 1 });
+      expect(GenericEntityService.update).not.toHaveBeenCalled();
+    });
+
+    it("should flatten entities across notifications", () => {
+      expect(
+        quickbooks.getChangedEntities({
+          eventNotifications: [
+            { realmId: "a", dataChangeEvent: { entities: [{ name: "Invoice", id: "1", operation: "Create" }] } },
+            { realmId: "b", dataChangeEvent: { entities: [{ name: "Payment", id: "2", operation: "Update" }] } },
+          ],
+        }),
+      ).toEqual([
+        { realmId: "a", name: "Invoice", id: "1", operation: "Create" },
+        { realmId: "b", name: "Payment", id: "2", operation: "Update" },
+      ]);
+      expect(quickbooks.getChangedEntities({})).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Cron Expression Utility Tests
+ */
+
+const { parseCron, nextCronRun, isValidCron } = require("../../../utils/cron-expression");
+
+describe("cron-expression", () => {
+  describe("parseCron", () => {
+    it("should expand wildcards, ranges, steps and lists", () => {
+      const parsed = parseCron("*/15 9-17 1,15 * 1-5");
+
+      expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+      expect([...parsed.hour]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+      expect([...parsed.dayOfMonth]).toEqual([1, 15]);
+      expect(parsed.month.size).toBe(12);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it("should treat 7 as Sunday", () => {
+      expect(parseCron("0 0 * * 7").dayOfWeek.has(0)).toBe(true);
+    });
+
+    it.each([
+      ["too few fields", "0 * * *"],
+      ["out of range", "60 * * * *"],
+      ["inverted range", "0 5-1 * * *"],
+      ["zero step", "*/0 * * * *"],
+      ["garbage", "a * * * *"],
+    ])("should reject %s", (_label, expression) => {
+      expect(() => parseCron(expression)).toThrow("Invalid cron");
+      expect(isValidCron(expression)).toBe(false);
+    });
+  });
+
+  describe("nextCronRun", () => {
+    it("should return the next matching minute strictly after the reference", () => {
+      expect(nextCronRun("0 * * * *", new Date("2026-01-01T10:00:00Z")).toISOString()).toBe(
+        "2026-01-01T11:00:00.000Z",
+      );
+      expect(nextCronRun("0 * * * *", new Date("2026-01-01T10:59:30Z")).toISOString()).toBe(
+        "2026-01-01T11:00:00.000Z",
+      );
+    });
+
+    it("should roll over days and months", () => {
+      expect(nextCronRun("30 3 * * *", new Date("2026-01-31T04:00:00Z")).toISOString()).toBe(
+        "2026-02-01T03:30:00.000Z",
+      );
+      expect(nextCronRun("0 0 1 */3 *", new Date("2026-02-10T00:00:00Z")).toISOString()).toBe(
+        "2026-04-01T00:00:00.000Z",
+      );
+    });
+
+    it("should match either day-of-month or day-of-week when both are restricted", () => {
+      // 2026-03-02 is a Monday; the 15th comes later
+      expect(nextCronRun("0 0 15 * 1", new Date("2026-03-01T12:00:00Z")).toISOString()).toBe(
+        "2026-03-02T00:00:00.000Z",
+      );
+    });
+
+    it("should find leap-day schedules", () => {
+      expect(nextCronRun("0 0 29 2 *", new Date("2026-03-01T00:00:00Z")).toISOString()).toBe(
+        "2028-02-29T00:00:00.000Z",
+      );
+    });
+
+    it("should throw for expressions that never match", () => {
+      expect(() => nextCronRun("0 0 31 2 *", new Date("2026-01-01T00:00:00Z"))).toThrow(
+        "never matches",
+      );
+    });
+  });
+});
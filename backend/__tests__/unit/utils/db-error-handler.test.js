@@ -100,6 +100,14 @@ describe("db-error-handler", () => {
       ).toBeNull();
     });
 
+    it("reports the field of a per-tenant unique key", () => {
+      expect(
+        extractFieldFromError({
+          detail: 'Key (tenant_id, work_order_number)=(1, WO-2026-0001) already exists.',
+        }),
+      ).toBe("work_order_number");
+    });
+
     it("ignores a non-identifier structured column", () => {
       expect(extractFieldFromError({ column: "weird value!" })).toBeNull();
     });
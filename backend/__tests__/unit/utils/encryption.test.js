@@ -6,7 +6,7 @@
  * by the env manifest.
  */
 
-const { encrypt, decrypt, isEncrypted } = require("../../../utils/encryption");
+const { encrypt, decrypt, hasKey, isEncrypted } = require("../../../utils/encryption");
 
 describe("encryption (AES-256-GCM)", () => {
   describe("encrypt() / decrypt() round-trip", () => {
@@ -51,6 +51,30 @@ describe("encryption (AES-256-GCM)", () => {
     });
   });
 
+  describe("hasKey()", () => {
+    const originalKey = process.env.ENCRYPTION_KEY;
+
+    afterEach(() => {
+      if (originalKey === undefined) {
+        delete process.env.ENCRYPTION_KEY;
+      } else {
+        process.env.ENCRYPTION_KEY = originalKey;
+      }
+    });
+
+    test("is true with a valid key or the test default", () => {
+      delete process.env.ENCRYPTION_KEY;
+      expect(hasKey()).toBe(true);
+      process.env.ENCRYPTION_KEY = "a1".repeat(32);
+      expect(hasKey()).toBe(true);
+    });
+
+    test("is false when the configured key is unusable", () => {
+      process.env.ENCRYPTION_KEY = "not-a-key";
+      expect(hasKey()).toBe(false);
+    });
+  });
+
   describe("integrity / tamper detection", () => {
     test("rejects a tampered ciphertext segment", () => {
       const parts = encrypt("sensitive").split(":");
@@ -74,11 +74,12 @@ describe("utils/env-validator.js", () => {
         ["development", "test", "production"].forEach((env) => {
           process.env.NODE_ENV = env;
 
-          // Production needs stronger JWT
+          // Production needs stronger JWT and a real encryption key
           if (env === "production") {
             process.env.JWT_SECRET =
               "Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!";
             process.env.DB_HOST = "prod-db.example.com";
+            process.env.ENCRYPTION_KEY = "a1".repeat(32);
           }
 
           jest.resetModules();
@@ -376,12 +377,40 @@ describe("utils/env-validator.js", () => {
         expect(result.valid).toBe(false);
       });
 
+      test.each([
+        ["missing", undefined],
+        ["not 64 hex characters", "not-a-key"],
+        ["the development placeholder", "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef"],
+      ])("should reject an ENCRYPTION_KEY that is %s in production", (_case, key) => {
+        // Arrange
+        process.env.NODE_ENV = "production";
+        process.env.JWT_SECRET =
+          "Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!";
+        process.env.DB_HOST = "prod-db.example.com";
+        if (key === undefined) {
+          delete process.env.ENCRYPTION_KEY;
+        } else {
+          process.env.ENCRYPTION_KEY = key;
+        }
+        jest.resetModules();
+        const {
+          validateEnvironment: validate,
+        } = require("../../../utils/env-validator");
+
+        // Act
+        const result = validate({ exitOnError: false });
+
+        // Assert
+        expect(result.valid).toBe(false);
+      });
+
       test("should accept valid production config", () => {
         // Arrange
         process.env.NODE_ENV = "production";
         process.env.JWT_SECRET =
           "Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!Aa1!";
         process.env.DB_HOST = "prod-db.example.com";
+        process.env.ENCRYPTION_KEY = "a1".repeat(32);
         jest.resetModules();
         const {
           validateEnvironment: validate,
@@ -0,0 +1,80 @@
+/**
+ * Unit Tests for utils/etag.js
+ *
+ * Tests record versioning (version column → ETag) and If-Match parsing.
+ */
+
+const {
+  getRecordVersion,
+  formatETag,
+  setETagHeader,
+  parseIfMatch,
+  matchesVersion,
+} = require("../../../utils/etag");
+
+const VERSION = "7";
+
+describe("utils/etag.js", () => {
+  describe("getRecordVersion()", () => {
+    test("should use the version column", () => {
+      expect(getRecordVersion({ id: 1, version: 7 })).toBe(VERSION);
+    });
+
+    test("should not depend on updated_at (two writes can share a timestamp)", () => {
+      const updatedAt = new Date("2026-03-01T10:15:30.123Z");
+
+      expect(getRecordVersion({ version: 7, updated_at: updatedAt })).not.toBe(
+        getRecordVersion({ version: 8, updated_at: updatedAt }),
+      );
+    });
+
+    test("should return null for records without a version", () => {
+      expect(getRecordVersion({ id: 1 })).toBeNull();
+      expect(getRecordVersion(null)).toBeNull();
+      expect(getRecordVersion({ updated_at: new Date() })).toBeNull();
+      expect(getRecordVersion({ version: "7" })).toBeNull();
+    });
+  });
+
+  describe("formatETag() / setETagHeader()", () => {
+    test("should quote the version as a strong ETag", () => {
+      expect(formatETag({ version: 7 })).toBe(`"${VERSION}"`);
+    });
+
+    test("should set the header only for versioned records", () => {
+      const res = { set: jest.fn() };
+
+      setETagHeader(res, { version: 7 });
+      setETagHeader(res, { id: 1 });
+
+      expect(res.set).toHaveBeenCalledTimes(1);
+      expect(res.set).toHaveBeenCalledWith("ETag", `"${VERSION}"`);
+    });
+  });
+
+  describe("parseIfMatch()", () => {
+    test("should return null when there is no precondition", () => {
+      expect(parseIfMatch(undefined)).toBeNull();
+      expect(parseIfMatch(null)).toBeNull();
+      expect(parseIfMatch("  ")).toBeNull();
+      expect(parseIfMatch("*")).toBeNull();
+    });
+
+    test("should strip quotes and weak prefixes from a list", () => {
+      expect(parseIfMatch('"1", W/"2" ,3')).toEqual(["1", "2", "3"]);
+    });
+  });
+
+  describe("matchesVersion()", () => {
+    test("should match any listed version", () => {
+      const record = { version: 7 };
+
+      expect(matchesVersion(record, ["1", VERSION])).toBe(true);
+      expect(matchesVersion(record, ["1"])).toBe(false);
+    });
+
+    test("should never match an unversioned record", () => {
+      expect(matchesVersion({ id: 1 }, [VERSION])).toBe(false);
+    });
+  });
+});
@@ -392,6 +392,25 @@ describe("field-access-controller", () => {
       expect(forTechnician.assigned_technician_id_display).toBe("Bob Tech");
     });
 
+    test("keeps search_snippet only when a FULLTEXT field is readable", () => {
+      const metadata = {
+        fields: {
+          summary: { type: "string", searchable: true, fulltext: true },
+          internal_notes: { type: "text", searchable: true, fulltext: true },
+        },
+        fieldAccess: {
+          summary: { create: "none", read: "technician", update: "none", delete: "none" },
+          internal_notes: { create: "none", read: "technician", update: "none", delete: "none" },
+        },
+      };
+      const row = { summary: "Leaking valve", search_snippet: "<mark>Leaking</mark> valve" };
+
+      expect(filterDataByRole(row, metadata, "technician", "read").search_snippet).toBe(
+        "<mark>Leaking</mark> valve",
+      );
+      expect(filterDataByRole(row, metadata, "customer", "read").search_snippet).toBeUndefined();
+    });
+
     test("does not add <fk>_display on non-read operations", () => {
       const metadata = {
         fields: { customer_id: { type: "foreignKey", references: "customer" } },
@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for utils/fulltext-search.js
+ *
+ * Tests the full-text search SQL SSOT (generated tsvector column, document and
+ * tsquery expressions) and the full-text vs ILIKE term gate.
+ */
+
+const {
+  isFullTextTerm,
+  buildSearchDocumentSqlExpr,
+  buildSearchVectorSqlExpr,
+  buildSearchQuerySqlExpr,
+} = require("../../../utils/fulltext-search");
+
+describe("utils/fulltext-search.js", () => {
+  describe("isFullTextTerm()", () => {
+    test("should accept word-like terms", () => {
+      expect(isFullTextTerm("leak")).toBe(true);
+      expect(isFullTextTerm("  leaking compressor  ")).toBe(true);
+      expect(isFullTextTerm('"rooftop unit" -gas')).toBe(true);
+      expect(isFullTextTerm("unit 4 rattles")).toBe(true);
+    });
+
+    test("should reject short terms", () => {
+      expect(isFullTextTerm("ac")).toBe(false);
+      expect(isFullTextTerm("  a ")).toBe(false);
+    });
+
+    test("should reject single-token identifiers", () => {
+      expect(isFullTextTerm("WO-2026-0042")).toBe(false);
+      expect(isFullTextTerm("INV17")).toBe(false);
+      expect(isFullTextTerm("jane@example.com")).toBe(false);
+      expect(isFullTextTerm("555-0100")).toBe(false);
+    });
+
+    test("should reject non-strings", () => {
+      expect(isFullTextTerm(undefined)).toBe(false);
+      expect(isFullTextTerm(null)).toBe(false);
+      expect(isFullTextTerm(1234)).toBe(false);
+    });
+  });
+
+  describe("buildSearchDocumentSqlExpr()", () => {
+    test("should join COALESCEd fields with a space", () => {
+      expect(buildSearchDocumentSqlExpr(["summary", "notes"])).toBe(
+        "COALESCE(summary, '') || ' ' || COALESCE(notes, '')",
+      );
+    });
+
+    test("should qualify columns with an alias", () => {
+      expect(buildSearchDocumentSqlExpr(["summary"], { alias: "wo" })).toBe(
+        "COALESCE(wo.summary, '')",
+      );
+    });
+  });
+
+  describe("buildSearchVectorSqlExpr()", () => {
+    test("should build an immutable to_tsvector over the document", () => {
+      const expr = buildSearchVectorSqlExpr(["summary", "terms"]);
+
+      expect(expr).toBe(
+        "to_tsvector('english', COALESCE(summary, '') || ' ' || COALESCE(terms, ''))",
+      );
+      // CONCAT_WS is only STABLE - Postgres rejects it in a GENERATED column
+      expect(expr).not.toMatch(/CONCAT/i);
+    });
+  });
+
+  describe("buildSearchQuerySqlExpr()", () => {
+    test("should use websearch_to_tsquery on the bound parameter", () => {
+      expect(buildSearchQuerySqlExpr("$1")).toBe("websearch_to_tsquery('english', $1)");
+    });
+  });
+});
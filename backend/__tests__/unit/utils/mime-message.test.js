@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for utils/mime-message.js
+ *
+ * Tests message serialization, header encoding and header-injection safety.
+ */
+
+const { buildMessage, encodeHeader, formatAddress } = require("../../../utils/mime-message");
+
+const decodePart = (raw, contentType) => {
+  const [, body] = raw.split(`Content-Type: ${contentType}; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n`);
+  return Buffer.from(body.split("\r\n--")[0].replace(/\r\n/g, ""), "base64").toString("utf8");
+};
+
+describe("utils/mime-message.js", () => {
+  describe("encodeHeader()", () => {
+    test("should keep plain ASCII as-is", () => {
+      expect(encodeHeader("Work order assigned")).toBe("Work order assigned");
+    });
+
+    test("should encode non-ASCII text as an RFC 2047 encoded-word", () => {
+      const encoded = encodeHeader("Devis approuvé");
+      expect(encoded).toBe(`=?UTF-8?B?${Buffer.from("Devis approuvé").toString("base64")}?=`);
+    });
+
+    test("should strip line breaks (no header injection)", () => {
+      expect(encodeHeader("Hi\r\nBcc: victim@example.com")).toBe("Hi Bcc: victim@example.com");
+    });
+  });
+
+  describe("formatAddress()", () => {
+    test("should quote display names", () => {
+      expect(formatAddress({ name: 'Jo "JJ" Smith', address: "jo@example.com" })).toBe(
+        '"Jo \\"JJ\\" Smith" <jo@example.com>',
+      );
+    });
+
+    test("should return the bare address without a name", () => {
+      expect(formatAddress({ address: "jo@example.com" })).toBe("jo@example.com");
+      expect(formatAddress("jo@example.com")).toBe("jo@example.com");
+    });
+  });
+
+  describe("buildMessage()", () => {
+    const message = {
+      from: { name: "Tross", address: "no-reply@tross.com" },
+      to: { name: "Jo Smith", address: "jo@example.com" },
+      subject: "Invoice Needs Approval",
+      text: "Hi Jo,\n\n.\nInvoice #7 is awaiting your approval",
+      html: "<p>Invoice #7 is awaiting your approval</p>",
+      messageId: "<notification-1@tross.com>",
+      date: new Date("2026-03-01T12:00:00Z"),
+    };
+
+    test("should write the headers with CRLF line endings", () => {
+      const raw = buildMessage(message);
+
+      expect(raw).toContain('From: "Tross" <no-reply@tross.com>\r\n');
+      expect(raw).toContain('To: "Jo Smith" <jo@example.com>\r\n');
+      expect(raw).toContain("Subject: Invoice Needs Approval\r\n");
+      expect(raw).toContain("Date: Sun, 01 Mar 2026 12:00:00 +0000\r\n");
+      expect(raw).toContain("Message-ID: <notification-1@tross.com>\r\n");
+      expect(raw).toMatch(/Content-Type: multipart\/alternative; boundary="=_alt_[0-9a-f]{24}"/);
+      expect(raw.replace(/\r\n/g, "")).not.toMatch(/[\r\n]/);
+    });
+
+    test("should carry both alternatives, plain text first", () => {
+      const raw = buildMessage(message);
+
+      expect(raw.indexOf("text/plain")).toBeLessThan(raw.indexOf("text/html"));
+      expect(decodePart(raw, "text/plain")).toBe(message.text);
+      expect(decodePart(raw, "text/html")).toBe(message.html);
+    });
+
+    test("should keep encoded body lines within 76 characters", () => {
+      const raw = buildMessage({ ...message, text: "x".repeat(500) });
+
+      const bodyLines = raw.split("\r\n").filter((line) => /^[A-Za-z0-9+/=]+$/.test(line));
+      expect(bodyLines.length).toBeGreaterThan(1);
+      expect(Math.max(...bodyLines.map((line) => line.length))).toBeLessThanOrEqual(76);
+    });
+  });
+});
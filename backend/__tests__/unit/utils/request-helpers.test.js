@@ -4,7 +4,11 @@
  * Tests request utility functions for extracting IP addresses and user agents.
  */
 
-const { getClientIp, getUserAgent } = require("../../../utils/request-helpers");
+const {
+  getClientIp,
+  getUserAgent,
+  describeDevice,
+} = require("../../../utils/request-helpers");
 
 describe("utils/request-helpers.js", () => {
   describe("getClientIp()", () => {
@@ -173,4 +177,39 @@ describe("utils/request-helpers.js", () => {
       expect(result).toBe("");
     });
   });
+
+  describe("describeDevice()", () => {
+    test.each([
+      [
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36",
+        "Chrome on macOS",
+      ],
+      [
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+        "Safari on iOS",
+      ],
+      [
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0",
+        "Edge on Windows",
+      ],
+      [
+        "Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0",
+        "Firefox on Linux",
+      ],
+      [
+        "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36",
+        "Chrome on Android",
+      ],
+      ["Dart/3.4 (dart:io)", "Tross app"],
+    ])("should describe %s", (userAgent, expected) => {
+      expect(describeDevice(userAgent)).toBe(expected);
+    });
+
+    test.each([[undefined], [""], ["curl/8.4.0"]])(
+      "should return null for %p",
+      (userAgent) => {
+        expect(describeDevice(userAgent)).toBeNull();
+      },
+    );
+  });
 });
@@ -5,6 +5,7 @@
  * - Generic HMAC verification
  * - Stripe-specific format (with replay attack prevention)
  * - QuickBooks-specific format (base64 encoded)
+ * - Signing outbound payloads (Stripe format)
  *
  * All tests are pure (no mocks needed - no I/O, no state)
  */
@@ -307,6 +308,32 @@ describe('WebhookValidator', () => {
     });
   });
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SIGNING TESTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  describe('sign() - Outbound Signatures', () => {
+    const secret = 'outbound-webhook-secret';
+    const payload = '{"event":"work_order.updated","recordId":42}';
+
+    test('produces a Stripe-format header over "timestamp.payload"', () => {
+      const expected = crypto
+        .createHmac('sha256', secret)
+        .update(`1700000000.${payload}`, 'utf8')
+        .digest('hex');
+
+      expect(WebhookValidator.sign(payload, secret, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+    });
+
+    test('round-trips through verifyStripe', () => {
+      const header = WebhookValidator.sign(payload, secret);
+
+      expect(WebhookValidator.verifyStripe(payload, header, secret)).toBe(true);
+      expect(WebhookValidator.verifyStripe(`${payload} `, header, secret)).toBe(false);
+      expect(WebhookValidator.verifyStripe(payload, header, 'other-secret')).toBe(false);
+    });
+  });
+
   // ═══════════════════════════════════════════════════════════════════════════
   // QUICKBOOKS-SPECIFIC TESTS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,144 @@
+/**
+ * XLSX Reader Unit Tests
+ *
+ * Workbooks come from XlsxWriter or are assembled here from XML parts, so
+ * shared strings, styles and sparse rows can be tested like Excel writes them.
+ */
+
+const zlib = require("zlib");
+const { readXlsx, columnIndex, unescapeXml } = require("../../../utils/xlsx-reader");
+const { XlsxWriter } = require("../../../utils/xlsx-writer");
+
+/** Assemble a ZIP archive: { path: xml } → Buffer (deflated entries) */
+const buildZip = (parts) => {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, xml] of Object.entries(parts)) {
+    const data = Buffer.from(xml);
+    const compressed = zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(zlib.crc32(data), 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuffer.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(parts).length, 8);
+  eocd.writeUInt16LE(Object.keys(parts).length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+};
+
+const WORKBOOK = `<workbook xmlns:r="r"><workbookPr/><sheets>
+  <sheet name="Units &amp; Assets" sheetId="1" r:id="rId3"/></sheets></workbook>`;
+const RELS = `<Relationships>
+  <Relationship Id="rId1" Target="styles.xml"/>
+  <Relationship Id="rId3" Target="worksheets/data.xml"/></Relationships>`;
+const STYLES = `<styleSheet><numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts>
+  <cellXfs count="4"><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="164"/><xf numFmtId="22"/></cellXfs></styleSheet>`;
+const SHARED = `<sst><si><t>Name</t></si><si><t>Installed</t></si>
+  <si><r><t>Boiler </t></r><r><rPr><b/></rPr><t xml:space="preserve">&lt;A&gt;</t></r><rPh><t>ボイラー</t></rPh></si></sst>`;
+
+describe("xlsx-reader", () => {
+  describe("columnIndex()", () => {
+    test("maps cell references to zero-based columns", () => {
+      expect(["A1", "Z9", "AA10", "ab3", "AAA1", "7"].map(columnIndex)).toEqual([0, 25, 26, 27, 702, -1]);
+    });
+  });
+
+  describe("unescapeXml()", () => {
+    test("decodes named and numeric entities", () => {
+      expect(unescapeXml("&lt;a&gt; &amp; &quot;b&quot; &apos;c&apos; &#233;&#x41; &nbsp;")).toBe(
+        "<a> & \"b\" 'c' éA &nbsp;",
+      );
+    });
+  });
+
+  describe("readXlsx()", () => {
+    test("reads back a workbook written by XlsxWriter", () => {
+      const writer = new XlsxWriter({ sheetName: "Units" });
+      const zip = Buffer.concat([
+        writer.begin(["Name", "Floor", "Active"]),
+        writer.rows([["4A & <B>", 3, true], ["Lobby", null, false]]),
+        writer.end(),
+      ]);
+
+      expect(readXlsx(zip)).toEqual({
+        sheetName: "Units",
+        rows: [
+          ["Name", "Floor", "Active"],
+          ["4A & <B>", 3, true],
+          ["Lobby", null, false],
+        ],
+      });
+    });
+
+    test("follows the workbook relationships and resolves shared strings, dates and sparse cells", () => {
+      const zip = buildZip({
+        "xl/workbook.xml": WORKBOOK,
+        "xl/_rels/workbook.xml.rels": RELS,
+        "xl/styles.xml": STYLES,
+        "xl/sharedStrings.xml": SHARED,
+        "xl/worksheets/data.xml": `<worksheet><sheetData>
+          <row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>
+          <row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3" s="0"><v>12.5</v></c>
+            <c r="C3" s="1"><v>46313</v></c><c r="D3" s="3"><v>46313.375</v></c></row>
+          <row r="4"><c r="A4" t="str"><f>A3</f><v>x &amp; y</v></c><c r="C4" s="2"><v>1</v></c>
+            <c r="D4" t="e"><v>#N/A</v></c><c r="E4"/></row>
+        </sheetData></worksheet>`,
+      });
+
+      expect(readXlsx(zip)).toEqual({
+        sheetName: "Units & Assets",
+        rows: [
+          ["Name", null, "Installed"],
+          [],
+          ["Boiler <A>", 12.5, "2026-10-18", "2026-10-18T09:00:00.000Z"],
+          ["x & y", null, "1900-01-01"],
+        ],
+      });
+    });
+
+    test("honours the 1904 date system", () => {
+      const zip = buildZip({
+        "xl/workbook.xml": '<workbook><workbookPr date1904="1"/><sheets><sheet name="S" r:id="rId1"/></sheets></workbook>',
+        "xl/styles.xml": STYLES,
+        "xl/worksheets/sheet1.xml": '<worksheet><sheetData><row r="1"><c r="A1" s="1"><v>0</v></c></row></sheetData></worksheet>',
+      });
+
+      expect(readXlsx(zip).rows).toEqual([["1904-01-01"]]);
+    });
+
+    test("rejects files that are not workbooks", () => {
+      expect(() => readXlsx(Buffer.from("id,name\n1,Maple Court\n"))).toThrow("Not a ZIP archive");
+      expect(() => readXlsx(buildZip({ "docProps/app.xml": "<Properties/>" }))).toThrow(
+        "Workbook has no worksheet",
+      );
+    });
+  });
+});
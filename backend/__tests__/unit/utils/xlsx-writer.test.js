@@ -0,0 +1,117 @@
+/**
+ * XLSX Writer Unit Tests
+ *
+ * The workbook is read back through the ZIP central directory and inflated,
+ * so the tests check the archive structure as well as the XML.
+ */
+
+const zlib = require("zlib");
+const { XlsxWriter, columnName, escapeXml } = require("../../../utils/xlsx-writer");
+
+/** Parse a ZIP archive: name -> { crc, data, flags } */
+const readZip = (zip) => {
+  const eocd = zip.length - 22;
+  expect(zip.readUInt32LE(eocd)).toBe(0x06054b50);
+
+  const entries = {};
+  let offset = zip.readUInt32LE(eocd + 16);
+  for (let i = 0; i < zip.readUInt16LE(eocd + 10); i++) {
+    expect(zip.readUInt32LE(offset)).toBe(0x02014b50);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const name = zip.toString("utf8", offset + 46, offset + 46 + nameLength);
+    const local = zip.readUInt32LE(offset + 42);
+    expect(zip.readUInt32LE(local)).toBe(0x04034b50);
+    const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const data = zlib.inflateRawSync(zip.subarray(start, start + zip.readUInt32LE(offset + 20)));
+    entries[name] = {
+      crc: zip.readUInt32LE(offset + 16),
+      size: zip.readUInt32LE(offset + 24),
+      flags: zip.readUInt16LE(offset + 8),
+      data,
+    };
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+/** Write a workbook in chunks */
+const writeWorkbook = (columns, batches, options) => {
+  const writer = new XlsxWriter(options);
+  return Buffer.concat([writer.begin(columns), ...batches.map((rows) => writer.rows(rows)), writer.end()]);
+};
+
+describe("xlsx-writer", () => {
+  describe("columnName()", () => {
+    test("maps indexes to spreadsheet column letters", () => {
+      expect([0, 1, 25, 26, 27, 51, 52, 701, 702].map(columnName)).toEqual([
+        "A", "B", "Z", "AA", "AB", "AZ", "BA", "ZZ", "AAA",
+      ]);
+    });
+  });
+
+  describe("escapeXml()", () => {
+    test("escapes markup and drops characters XML does not allow", () => {
+      expect(escapeXml('<a href="x">&\u0001\u000b</a>\t\n')).toBe(
+        "&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;\t\n",
+      );
+    });
+  });
+
+  describe("XlsxWriter", () => {
+    test("writes a valid archive with the workbook parts", () => {
+      const entries = readZip(writeWorkbook(["ID"], [[[1]]]));
+
+      expect(Object.keys(entries)).toEqual([
+        "[Content_Types].xml",
+        "_rels/.rels",
+        "xl/workbook.xml",
+        "xl/_rels/workbook.xml.rels",
+        "xl/worksheets/sheet1.xml",
+      ]);
+      for (const entry of Object.values(entries)) {
+        expect(zlib.crc32(entry.data)).toBe(entry.crc);
+        expect(entry.data.length).toBe(entry.size);
+      }
+    });
+
+    test("streams the worksheet with a data descriptor and a CRC over every chunk", () => {
+      const batches = Array.from({ length: 5 }, (_, batch) =>
+        Array.from({ length: 200 }, (_, i) => [batch * 200 + i, `row ${i}`]),
+      );
+      batches.splice(2, 0, []);
+
+      const zip = writeWorkbook(["ID", "Name"], batches);
+      const sheet = readZip(zip)["xl/worksheets/sheet1.xml"];
+
+      expect(sheet.flags & 0x0008).toBe(0x0008);
+      expect(zlib.crc32(sheet.data)).toBe(sheet.crc);
+      const descriptor = zip.indexOf(Buffer.from([0x50, 0x4b, 0x07, 0x08]));
+      expect(zip.readUInt32LE(descriptor + 4)).toBe(sheet.crc);
+      expect(zip.readUInt32LE(descriptor + 12)).toBe(sheet.size);
+      expect(sheet.data.toString()).toContain('<row r="1001"><c r="A1001"><v>999</v></c>');
+    });
+
+    test("serializes numbers, booleans, text and dates and skips empty cells", () => {
+      const zip = writeWorkbook(
+        ["A", "B", "C", "D", "E"],
+        [[[12.5, true, "x < y & z", new Date("2026-10-18T09:00:00Z"), null]]],
+      );
+      const xml = readZip(zip)["xl/worksheets/sheet1.xml"].data.toString();
+
+      expect(xml).toContain(
+        '<row r="2"><c r="A2"><v>12.5</v></c><c r="B2" t="b"><v>1</v></c>' +
+          '<c r="C2" t="inlineStr"><is><t xml:space="preserve">x &lt; y &amp; z</t></is></c>' +
+          '<c r="D2" t="inlineStr"><is><t xml:space="preserve">2026-10-18T09:00:00.000Z</t></is></c></row>',
+      );
+      expect(xml.endsWith("</sheetData></worksheet>")).toBe(true);
+    });
+
+    test("uses a valid worksheet name", () => {
+      const zip = writeWorkbook(["A"], [], { sheetName: "work/orders: [all] of this very long name" });
+
+      expect(readZip(zip)["xl/workbook.xml"].data.toString()).toContain(
+        '<sheet name="work orders   all  of this very" sheetId="1" r:id="rId1"/>',
+      );
+    });
+  });
+});
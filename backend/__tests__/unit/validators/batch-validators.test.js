@@ -297,6 +297,57 @@ describe('validateBatchRequest', () => {
     });
   });
 
+  // ═══════════════════════════════════════════════════════════════
+  // EXPECTED VERSION VALIDATION (optimistic concurrency)
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('expectedVersion validation', () => {
+    test('accepts an ETag on update and delete', () => {
+      mockReq.body = {
+        operations: [
+          { operation: 'update', id: 1, data: { name: 'x' }, expectedVersion: '"4"' },
+          { operation: 'delete', id: 2, expectedVersion: '"7"' },
+        ],
+      };
+
+      middleware(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.validated.batch.operations[1].expectedVersion).toBe('"7"');
+    });
+
+    test('rejects expectedVersion on create', () => {
+      mockReq.body = {
+        operations: [{ operation: 'create', data: { name: 'new' }, expectedVersion: '"1"' }],
+      };
+
+      middleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.details).toContainEqual(
+        expect.objectContaining({ field: 'operations[0].expectedVersion' }),
+      );
+    });
+
+    test('rejects a non-string expectedVersion', () => {
+      mockReq.body = {
+        operations: [{ operation: 'delete', id: 1, expectedVersion: 7 }],
+      };
+
+      middleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.details).toContainEqual(
+        expect.objectContaining({
+          field: 'operations[0].expectedVersion',
+          message: expect.stringContaining('non-empty string'),
+        }),
+      );
+    });
+  });
+
   // ═══════════════════════════════════════════════════════════════
   // OPTIONS VALIDATION
   // ═══════════════════════════════════════════════════════════════
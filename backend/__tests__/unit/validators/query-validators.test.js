@@ -11,7 +11,9 @@ const {
   validateSearch,
   validateSort,
   validateQuery,
+  validateInclude,
 } = require("../../../validators/query-validators");
+const allMetadata = require("../../../config/models");
 
 jest.mock("../../../validators/validation-logger");
 
@@ -475,4 +477,70 @@ describe("Query Validators", () => {
       expect(req.validated.query).toBeDefined();
     });
   });
+
+  describe("validateInclude", () => {
+    test("should accept nested include paths", () => {
+      // Arrange
+      req.query = { include: "customer, lineItems,payments" };
+      const middleware = validateInclude(allMetadata.invoice);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.query.include).toEqual(["customer", "lineItems", "payments"]);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should resolve each segment against the previous target", () => {
+      // Arrange
+      req.query = { include: "invoices.payments,invoices.customer" };
+      const middleware = validateInclude(allMetadata.customer);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(req.validated.query.include).toEqual(["invoices.payments", "invoices.customer"]);
+    });
+
+    test("should reject an unknown nested relationship", () => {
+      // Arrange
+      req.query = { include: "invoices.nope" };
+      const middleware = validateInclude(allMetadata.customer);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toMatch(/^Invalid include: invoices\.nope/);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("should reject paths nested beyond the configured depth", () => {
+      // Arrange
+      req.query = { include: "invoices.customer.invoices.payments" };
+      const middleware = validateQuery(allMetadata.customer);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toMatch(/nest at most 3 levels/);
+    });
+
+    test("should reject too many include paths", () => {
+      // Arrange
+      req.query = { include: Array(11).fill("invoices").join(",") };
+      const middleware = validateInclude(allMetadata.customer);
+
+      // Act
+      middleware(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
 });
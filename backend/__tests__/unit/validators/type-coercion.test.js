@@ -551,6 +551,18 @@ describe("Type Coercion Validators - DEFENSIVE TESTING", () => {
         const result = toSafePagination({ page: "3" }, { maxLimit: 200 });
         expect(result).toEqual({ page: 3, limit: 50, offset: 100 });
       });
+
+      test("passes an opaque cursor through (empty = first page)", () => {
+        expect(toSafePagination({ cursor: "" })).toEqual({
+          page: 1,
+          limit: 50,
+          offset: 0,
+          cursor: "",
+        });
+        expect(toSafePagination({ cursor: "eyJmIjoiaWQifQ", limit: "10" }).cursor).toBe(
+          "eyJmIjoiaWQifQ",
+        );
+      });
     });
 
     describe("❌ Invalid pagination", () => {
@@ -577,6 +589,15 @@ describe("Type Coercion Validators - DEFENSIVE TESTING", () => {
           "page must be a valid integer",
         );
       });
+
+      test("rejects a repeated or oversized cursor", () => {
+        expect(() => toSafePagination({ cursor: ["a", "b"] })).toThrow(
+          "Invalid pagination cursor",
+        );
+        expect(() => toSafePagination({ cursor: "x".repeat(2000) })).toThrow(
+          "Invalid pagination cursor",
+        );
+      });
     });
   });
 });
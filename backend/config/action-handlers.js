@@ -34,6 +34,14 @@ const { RRule } = require('rrule');
 const { sanitizeIdentifier } = require('../utils/sql-safety');
 const AppError = require('../utils/app-error');
 const { ERROR_CODES } = require('./error-codes');
+const { API_OPERATIONS } = require('./api-operations');
+const { TENANCY } = require('./constants');
+const {
+  renderNotification,
+  resolveLocale,
+  hasTemplate,
+  getTemplateRelationships,
+} = require('./notification-templates');
 
 const log = testLogger;
 
@@ -53,6 +61,17 @@ function getGenericEntityService() {
   return _GenericEntityService;
 }
 
+/**
+ * Get JobQueueService for queuing email deliveries.
+ */
+let _JobQueueService = null;
+function getJobQueueService() {
+  if (!_JobQueueService) {
+    _JobQueueService = require('../services/jobs/job-queue-service');
+  }
+  return _JobQueueService;
+}
+
 /**
  * Get database connection for formula queries.
  */
@@ -68,16 +87,21 @@ function getDb() {
  * Resolve a notification recipient spec to the set of target USER ids.
  *
  * Unified shape (SSOT): `recipient: { match: '<users column>', value: <valueSpec> }`.
- * Selects every active user whose `users.<match>` equals the resolved value, e.g.
+ * Selects every active user of the action's tenant (ADR-014) whose
+ * `users.<match>` equals the resolved value, e.g.
  *   { match: 'customer_profile_id',   value: { field: 'customer_id' } }
  *   { match: 'technician_profile_id', value: { field: 'assigned_technician_id' } }
  *   { match: 'role_id',               value: { role: 'manager' } }
  *
+ * The tenant is context.tenantId, else the triggering row's tenant_id. Callers
+ * whose record is not a tenant-scoped row (export/report notices) pass
+ * tenantId explicitly; with neither there are no recipients.
+ *
  * A profile or a role may map to 0..N users; all matches are returned. Errors
  * (and unresolved values) yield an empty list, so the caller skips gracefully.
  *
  * @param {Object} recipient - Recipient spec from the action config
- * @param {Object} context - Action execution context (record, entity, user, ...)
+ * @param {Object} context - Action execution context (record, entity, user, tenantId, ...)
  * @returns {Promise<Array<number>>} Target user ids (possibly empty)
  */
 async function resolveRecipients(recipient, context) {
@@ -86,6 +110,15 @@ async function resolveRecipients(recipient, context) {
   }
 
   try {
+    const tenantId = context.tenantId ?? context.record?.[TENANCY.COLUMN];
+    if (tenantId === null || tenantId === undefined) {
+      log.error('Notification recipients skipped: no tenant on the action context', {
+        recipient,
+        entity: context.entity,
+      });
+      return [];
+    }
+
     const value = await resolveRecipientValue(recipient.value, context);
     if (value === null || value === undefined) {
       return [];
@@ -94,8 +127,8 @@ async function resolveRecipients(recipient, context) {
     const column = sanitizeIdentifier(recipient.match, 'recipient.match');
     const db = getDb();
     const result = await db.query(
-      `SELECT id FROM users WHERE ${column} = $1 AND is_active = true`,
-      [value],
+      `SELECT id FROM users WHERE ${column} = $1 AND is_active = true AND ${TENANCY.COLUMN} = $2`,
+      [value, tenantId],
     );
     return (result?.rows || []).map((row) => row.id);
   } catch (error) {
@@ -142,60 +175,85 @@ async function getRoleId(roleName) {
 }
 
 // ============================================================================
-// NOTIFICATION TEMPLATES
+// NOTIFICATION RENDERING (wording lives in notification-templates.json)
 // ============================================================================
 
 /**
- * Simple notification templates.
- * Maps template names to title/body generators.
+ * Resolve each recipient's locale from preferences.locale.
+ * Recipients without preferences (or on a lookup failure) get the default locale.
  *
- * Future: Could be moved to config/notification-templates.json
+ * @param {Array<number>} userIds - Recipient user ids
+ * @returns {Promise<Map<number, string>>} userId -> supported locale
  */
-const NOTIFICATION_TEMPLATES = {
-  status_change: {
-    title: (ctx) => `${ctx.entity} Status Updated`,
-    body: (ctx) => `${ctx.entity} #${ctx.record?.id} status changed from ${ctx.oldValue} to ${ctx.newValue}`,
-    type: 'info',
-  },
-  assignment: {
-    title: (ctx) => `New ${ctx.entity} Assignment`,
-    body: (ctx) => `You have been assigned to ${ctx.entity} #${ctx.record?.id}`,
-    type: 'assignment',
-  },
-  update: {
-    title: (ctx) => `${ctx.entity} Updated`,
-    body: (ctx) => `${ctx.entity} #${ctx.record?.id} has been updated`,
-    type: 'info',
-  },
-  approval_required: {
-    title: (ctx) => `${ctx.entity} Needs Approval`,
-    body: (ctx) => `${ctx.entity} #${ctx.record?.id} is awaiting your approval`,
-    type: 'warning',
-  },
-};
+async function resolveRecipientLocales(userIds) {
+  const locales = new Map(userIds.map((userId) => [userId, resolveLocale(null)]));
+  try {
+    const result = await getDb().query(
+      'SELECT id, locale FROM preferences WHERE id = ANY($1)',
+      [userIds],
+    );
+    for (const row of result?.rows || []) {
+      if (locales.has(row.id)) {
+        locales.set(row.id, resolveLocale(row.locale));
+      }
+    }
+  } catch (error) {
+    log.error('Failed to resolve notification locales:', { error: error.message });
+  }
+  return locales;
+}
 
 /**
- * Resolve a notification template to title/body.
+ * Load the belongsTo relationships a template references (e.g. {{customer}}),
+ * limited to the columns the relationship exposes plus the display columns.
+ * Missing or failing relationships are left out, so they render as ''.
  *
- * @param {string} templateName - Template name from actions.json
+ * @param {string} templateName - Template name
  * @param {Object} context - Execution context
- * @returns {{ title: string, body: string, type: string }}
+ * @returns {Promise<Object>} Relationship name -> { entityKey, row, metadata }
  */
-function resolveNotificationTemplate(templateName, context) {
-  const template = NOTIFICATION_TEMPLATES[templateName];
-  if (!template) {
-    log.log(`Unknown notification template: ${templateName}, using fallback`);
-    return {
-      title: `Notification: ${context.entity}`,
-      body: `Action triggered for ${context.entity} #${context.record?.id}`,
-      type: 'info',
-    };
+async function loadTemplateRelations(templateName, context) {
+  const names = getTemplateRelationships(templateName);
+  if (names.length === 0) {
+    return {};
+  }
+
+  const allMetadata = require('./models');
+  const relationships = allMetadata[context.entity]?.relationships || {};
+  const relations = {};
+
+  for (const name of names) {
+    const relationship = relationships[name];
+    const foreignKey = relationship?.type === 'belongsTo' ? context.record?.[relationship.foreignKey] : null;
+    if (foreignKey === null || foreignKey === undefined) {
+      continue;
+    }
+    const metadata = Object.values(allMetadata).find((meta) => meta.tableName === relationship.table);
+    if (!metadata) {
+      continue;
+    }
+
+    try {
+      const displayColumns = [...(metadata.displayFields || []), metadata.displayField];
+      const columns = [...new Set([...(relationship.fields || []), ...displayColumns])]
+        .filter((column) => metadata.fields?.[column])
+        .map((column) => sanitizeIdentifier(column, 'relationship field'));
+      const table = sanitizeIdentifier(relationship.table, 'relationship table');
+      const primaryKey = sanitizeIdentifier(metadata.primaryKey || 'id', 'primary key');
+      const executor = context.tx || getDb();
+      const result = await executor.query(
+        `SELECT ${columns.join(', ')} FROM ${table} WHERE ${primaryKey} = $1`,
+        [foreignKey],
+      );
+      if (result?.rows?.[0]) {
+        relations[name] = { entityKey: metadata.entityKey, row: result.rows[0], metadata };
+      }
+    } catch (error) {
+      log.error('Failed to load notification template relationship:', { name, error: error.message });
+    }
   }
-  return {
-    title: template.title(context),
-    body: template.body(context),
-    type: template.type,
-  };
+
+  return relations;
 }
 
 // ============================================================================
@@ -312,7 +370,8 @@ function validateNotificationRecipient(actionId, recipient) {
 
 /**
  * Validate all registered workflow actions at startup (fail-fast).
- * Currently validates notification recipient specs against the unified shape.
+ * Validates notification recipient specs against the unified shape and that
+ * their template exists in notification-templates.json.
  *
  * @throws {AppError} If any action is malformed
  */
@@ -326,6 +385,9 @@ function validateActions() {
       if (error) {
         errors.push(error);
       }
+      if (!hasTemplate(action.template)) {
+        errors.push(`notification action '${actionId}': template '${action.template}' is not defined in notification-templates.json`);
+      }
     }
   }
 
@@ -373,58 +435,222 @@ function resolveValue(valueSpec, context) {
 /**
  * Resolve a compute reference.
  *
+ * next_occurrence resolves, in order: an explicit `context.occurrence` (set by
+ * the maintenance scheduler), the record's `next_due_date`, or the occurrence
+ * after `last_generated_date` per the record's frequency.
+ *
  * @param {string} computeName - Compute function name
  * @param {Object} context - Execution context
  * @returns {*} Computed value
  */
-function resolveCompute(computeName, _context) {
+function resolveCompute(computeName, context) {
   switch (computeName) {
     case 'now':
       return new Date().toISOString();
-    case 'next_occurrence':
-      // TODO: Implement RRULE next occurrence calculation
-      return null;
+    case 'next_occurrence': {
+      const record = context?.record || {};
+      const occurrence = context?.occurrence || record.next_due_date;
+      if (occurrence) {
+        return toTimestamp(occurrence);
+      }
+      return computeNextOccurrence(
+        record.frequency,
+        record.last_generated_date ? toTimestamp(record.last_generated_date) : new Date(),
+        record.frequency_interval,
+      );
+    }
     default:
       log.log(`Unknown compute: ${computeName}`);
       return null;
   }
 }
 
+/**
+ * Normalize a date-ish value to an ISO timestamp.
+ * Bare dates ('YYYY-MM-DD') are anchored at UTC midnight.
+ *
+ * @param {string|Date} value - Date value
+ * @returns {string|null} ISO timestamp, or null when unparseable
+ */
+function toTimestamp(value) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00.000Z`)
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ============================================================================
+// RRULE EVALUATION
+// ============================================================================
+
+const FREQUENCY_MAP = Object.freeze({
+  daily: RRule.DAILY,
+  weekly: RRule.WEEKLY,
+  biweekly: RRule.WEEKLY,
+  monthly: RRule.MONTHLY,
+  quarterly: RRule.MONTHLY,
+  semiannually: RRule.MONTHLY,
+  annually: RRule.YEARLY,
+});
+
+const INTERVAL_MAP = Object.freeze({
+  daily: 1,
+  weekly: 1,
+  biweekly: 2,
+  monthly: 1,
+  quarterly: 3,
+  semiannually: 6,
+  annually: 1,
+});
+
+/**
+ * Calculate the occurrence strictly after baseDate.
+ * Supports both a full RRULE string and the simple frequency enum.
+ *
+ * @param {string} rruleValue - 'RRULE:FREQ=WEEKLY;INTERVAL=2' or 'weekly', 'monthly', ...
+ * @param {string|Date} baseDate - Date to advance from
+ * @param {number} [multiplier=1] - Interval multiplier for frequency enums
+ * @returns {string|null} ISO timestamp of the next occurrence, or null
+ */
+function computeNextOccurrence(rruleValue, baseDate, multiplier = 1) {
+  const base = new Date(baseDate);
+
+  try {
+    let rule;
+
+    if (typeof rruleValue === 'string' && rruleValue.startsWith('RRULE:')) {
+      // Full RRULE string: RRULE:FREQ=WEEKLY;INTERVAL=2 (anchored at baseDate
+      // unless the string carries its own DTSTART)
+      rule = new RRule({ dtstart: base, ...RRule.parseString(rruleValue) });
+    } else if (typeof rruleValue === 'string') {
+      // Simple frequency enum: daily, weekly, monthly, etc.
+      const key = rruleValue.toLowerCase();
+      const freq = FREQUENCY_MAP[key];
+
+      if (freq === undefined) {
+        log.log(`RRULE_NEXT: Unknown frequency "${rruleValue}"`);
+        return null;
+      }
+
+      const factor = parseInt(multiplier, 10) > 0 ? parseInt(multiplier, 10) : 1;
+      rule = new RRule({
+        freq,
+        interval: INTERVAL_MAP[key] * factor,
+        dtstart: base,
+      });
+    } else {
+      log.log('RRULE_NEXT: No valid rrule value found');
+      return null;
+    }
+
+    // Get next occurrence after baseDate
+    const next = rule.after(base, false); // false = exclusive (after, not on)
+    return next ? next.toISOString() : null;
+  } catch (error) {
+    log.error('RRULE_NEXT evaluation failed:', error.message);
+    return null;
+  }
+}
+
 // ============================================================================
 // FORMULA EVALUATOR
 // ============================================================================
 
+/** SQL functions allowed in the per-row expression of SUM(related_table.<expression>) */
+const SUM_EXPRESSION_FUNCTIONS = Object.freeze(['ROUND', 'ABS', 'COALESCE']);
+
+/**
+ * Compile the per-row expression of a SUM(related_table.<expression>) formula
+ * to SQL. Allowed tokens: column names (checked with sanitizeIdentifier),
+ * numeric literals, + - * / ( ) , and SUM_EXPRESSION_FUNCTIONS.
+ *
+ * @param {string} expression - e.g. 'amount' or 'ROUND(quantity * unit_price, 2)'
+ * @returns {string} SQL expression
+ * @throws {AppError} On any other token or unbalanced parentheses
+ */
+function compileSumExpression(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?|[A-Za-z_]\w*|\S/g) || [];
+  let depth = 0;
+
+  const sql = tokens.map((token, i) => {
+    if (/^[A-Za-z_]/.test(token)) {
+      if (tokens[i + 1] !== '(') {
+        return sanitizeIdentifier(token, 'formula column');
+      }
+      if (!SUM_EXPRESSION_FUNCTIONS.includes(token.toUpperCase())) {
+        throw new AppError(
+          `Unsupported function in formula: ${token}`,
+          500,
+          ERROR_CODES.SERVER_ERROR,
+        );
+      }
+      return token.toUpperCase();
+    }
+    if (token === '(') {depth++;}
+    if (token === ')') {depth--;}
+    if (depth < 0 || !/^(?:\d+(?:\.\d+)?|[-+*\/(),])$/.test(token)) {
+      throw new AppError(
+        `Invalid formula expression: ${expression}`,
+        500,
+        ERROR_CODES.SERVER_ERROR,
+      );
+    }
+    return token;
+  });
+
+  if (depth !== 0 || sql.length === 0) {
+    throw new AppError(`Invalid formula expression: ${expression}`, 500, ERROR_CODES.SERVER_ERROR);
+  }
+  return sql.join(' ');
+}
+
 /**
  * Evaluate a formula for compute actions.
  * Supports:
  * - SUM(related_table.field) - SQL aggregation
- * - RRULE_NEXT(rrule, last_date) - Next RRule occurrence
+ * - SUM(related_table.<expression>) - SQL aggregation of a per-row expression,
+ *   e.g. SUM(invoice_line_items.ROUND(quantity * unit_price, 2))
+ * - RRULE_NEXT(rrule, last_date[, interval]) - Next RRule occurrence
  * - Simple arithmetic expressions
  *
+ * SUM queries run on context.tx when present, so they see rows written earlier
+ * in the same Unit of Work (e.g. the line item that triggered the hook).
+ * `where` narrows the summed rows by column equality (e.g. { is_active: true }
+ * leaves out soft-deleted lines).
+ *
  * @param {string} formula - Formula string
  * @param {Object} context - Execution context with entity, record, etc.
  * @param {string} targetEntity - Target entity for the computation
  * @param {number} targetId - Target entity ID
+ * @param {Object} [where={}] - Column → value filters on the related rows (SUM only)
  * @returns {Promise<*>} Computed value
  */
-async function evaluateFormula(formula, context, targetEntity, targetId) {
-  const db = getDb();
+async function evaluateFormula(formula, context, targetEntity, targetId, where = {}) {
+  const db = context?.tx || getDb();
 
-  // SUM(related_table.field) - SQL aggregation
-  const sumMatch = formula.match(/^SUM\(([\w_]+)\.([\w_]+)\)$/i);
+  // SUM(related_table.<field or expression>) - SQL aggregation
+  const sumMatch = formula.match(/^SUM\((\w+)\.(.+)\)$/i);
   if (sumMatch) {
-    const [, relatedTable, field] = sumMatch;
+    const relatedTable = sanitizeIdentifier(sumMatch[1], 'formula table');
+    const expression = compileSumExpression(sumMatch[2]);
     // Determine the FK field name (e.g., invoice_id for invoices)
-    const fkField = `${targetEntity}_id`;
+    const fkField = sanitizeIdentifier(`${targetEntity}_id`, 'formula foreign key');
+
+    const params = [targetId];
+    const conditions = [`${fkField} = $1`];
+    for (const [column, value] of Object.entries(where)) {
+      params.push(value);
+      conditions.push(`${sanitizeIdentifier(column, 'formula filter')} = $${params.length}`);
+    }
 
     const query = `
-      SELECT COALESCE(SUM(${field}), 0) as total
+      SELECT COALESCE(SUM(${expression}), 0) as total
       FROM ${relatedTable}
-      WHERE ${fkField} = $1
+      WHERE ${conditions.join(' AND ')}
     `;
 
     try {
-      const result = await db.query(query, [targetId]);
+      const result = await db.query(query, params);
       return parseFloat(result.rows[0]?.total || 0);
     } catch (error) {
       log.error('Formula SUM evaluation failed:', error.message);
@@ -432,69 +658,19 @@ async function evaluateFormula(formula, context, targetEntity, targetId) {
     }
   }
 
-  // RRULE_NEXT(rrule_field, last_date_field) - calculate next occurrence
+  // RRULE_NEXT(rrule_field, last_date_field[, interval_field]) - calculate next occurrence
   // Supports both RRULE string and simple frequency enum
-  const rruleMatch = formula.match(/^RRULE_NEXT\((\w+),\s*(\w+)\)$/i);
+  const rruleMatch = formula.match(/^RRULE_NEXT\((\w+),\s*(\w+)(?:,\s*(\w+))?\)$/i);
   if (rruleMatch) {
-    const [, rruleField, lastDateField] = rruleMatch;
+    const [, rruleField, lastDateField, intervalField] = rruleMatch;
     const rruleValue = context.record?.[rruleField];
     const lastDate = context.record?.[lastDateField];
+    const multiplier = intervalField ? context.record?.[intervalField] : 1;
 
     // Use lastDate as base, or now if not set
-    const baseDate = lastDate ? new Date(lastDate) : new Date();
-
-    try {
-      let rule;
-
-      if (typeof rruleValue === 'string' && rruleValue.startsWith('RRULE:')) {
-        // Full RRULE string: RRULE:FREQ=WEEKLY;INTERVAL=2
-        rule = RRule.fromString(rruleValue);
-      } else if (typeof rruleValue === 'string') {
-        // Simple frequency enum: daily, weekly, monthly, etc.
-        const freqMap = {
-          daily: RRule.DAILY,
-          weekly: RRule.WEEKLY,
-          biweekly: RRule.WEEKLY,
-          monthly: RRule.MONTHLY,
-          quarterly: RRule.MONTHLY,
-          semiannually: RRule.MONTHLY,
-          annually: RRule.YEARLY,
-        };
-        const intervalMap = {
-          daily: 1,
-          weekly: 1,
-          biweekly: 2,
-          monthly: 1,
-          quarterly: 3,
-          semiannually: 6,
-          annually: 1,
-        };
-
-        const freq = freqMap[rruleValue.toLowerCase()];
-        const interval = intervalMap[rruleValue.toLowerCase()] || 1;
-
-        if (!freq) {
-          log.log(`RRULE_NEXT: Unknown frequency "${rruleValue}"`);
-          return null;
-        }
+    const baseDate = lastDate ? toTimestamp(lastDate) : new Date();
 
-        rule = new RRule({
-          freq,
-          interval,
-          dtstart: baseDate,
-        });
-      } else {
-        log.log('RRULE_NEXT: No valid rrule value found');
-        return null;
-      }
-
-      // Get next occurrence after baseDate
-      const next = rule.after(baseDate, false); // false = exclusive (after, not on)
-      return next ? next.toISOString() : null;
-    } catch (error) {
-      log.error('RRULE_NEXT evaluation failed:', error.message);
-      return null;
-    }
+    return computeNextOccurrence(rruleValue, baseDate, multiplier);
   }
 
   // Simple arithmetic: field + value or field - value
@@ -526,6 +702,9 @@ const handlers = {
    *   template: 'status_change'
    *   recipient: { field: 'customer_id' } | { role: 'manager' }
    *   channels: ['in_app', 'email']
+   *
+   * Email is delivered by a 'notification.email' job (services/notifications);
+   * its status is tracked on the notification row (email_status).
    */
   notification: async (config, context) => {
     const { template, recipient, channels = ['in_app'] } = config;
@@ -540,12 +719,20 @@ const handlers = {
       return { success: true, type: 'notification', skipped: true, reason: 'no_recipients' };
     }
 
-    // Resolve template to title/body
-    const { title, body, type } = resolveNotificationTemplate(template, context);
+    // Render title/body once per recipient locale
+    const locales = await resolveRecipientLocales(recipientIds);
+    const relations = await loadTemplateRelations(template, context);
+    const rendered = new Map();
+    const renderFor = (userId) => {
+      const locale = locales.get(userId);
+      if (!rendered.has(locale)) {
+        rendered.set(locale, renderNotification(template, context, { locale, relations }));
+      }
+      return rendered.get(locale);
+    };
 
     log.log('NOTIFICATION:', {
       template,
-      title,
       recipientCount: recipientIds.length,
       channels,
       sourceEntity: context.entity,
@@ -558,19 +745,26 @@ const handlers = {
       errors: [],
     };
 
-    // Process in_app notifications
-    if (channels.includes('in_app')) {
+    // The notification row is also the email's delivery record, so an
+    // email-only notification still shows in the tray.
+    const wantsInApp = channels.includes('in_app');
+    const wantsEmail = channels.includes('email');
+
+    if (wantsInApp || wantsEmail) {
       const GenericEntityService = getGenericEntityService();
 
       for (const userId of recipientIds) {
         try {
+          const { title, body, type } = renderFor(userId);
           const notificationData = {
             user_id: userId,
             title,
             body,
             type,
+            template,
             resource_type: context.entity,
             resource_id: context.record?.id,
+            ...(wantsEmail && { email_status: API_OPERATIONS.EMAIL.DELIVERY_STATUSES.PENDING }),
           };
 
           const result = await GenericEntityService.create('notification', notificationData, {
@@ -579,24 +773,35 @@ const handlers = {
             client: context.tx, // join the caller's Unit of Work when present
           });
 
-          results.in_app.push({ userId, notificationId: result?.id });
+          if (wantsInApp) {
+            results.in_app.push({ userId, notificationId: result?.id });
+          }
+
+          // Email channel - delivered by a job (retries, opt-out, status on the row).
+          // Enqueued in the same Unit of Work, so a rolled-back change sends nothing.
+          if (wantsEmail) {
+            await getJobQueueService().enqueue(
+              'notification.email',
+              { notificationId: result.id },
+              {
+                maxAttempts: API_OPERATIONS.EMAIL.MAX_ATTEMPTS,
+                dedupeKey: `notification-email:${result.id}`,
+                client: context.tx,
+              },
+            );
+            results.email.push({ userId, notificationId: result.id, status: 'queued' });
+          }
         } catch (error) {
           log.error('Failed to create notification:', { userId, error: error.message });
-          results.errors.push({ userId, channel: 'in_app', error: error.message });
+          results.errors.push({
+            userId,
+            channel: wantsInApp ? 'in_app' : 'email',
+            error: error.message,
+          });
         }
       }
     }
 
-    // Email channel - queue for async delivery (infrastructure pending)
-    if (channels.includes('email')) {
-      // TODO: Queue email jobs when email infrastructure is implemented
-      log.log('EMAIL: Queuing emails for recipients (pending infrastructure)', {
-        recipientCount: recipientIds.length,
-        template,
-      });
-      results.email = recipientIds.map((userId) => ({ userId, status: 'pending_infrastructure' }));
-    }
-
     return {
       success: results.errors.length === 0,
       type: 'notification',
@@ -748,24 +953,31 @@ const handlers = {
   },
 
   /**
-   * compute - Recalculate a derived value
+   * compute - Recalculate derived value(s)
    *
-   * Config:
-   *   target: 'invoice.total_amount'
-   *   formula: 'SUM(line_items.amount)'
+   * Config (one field):
+   *   target: 'invoice.total'
+   *   formula: 'SUM(invoice_line_items.amount)'
+   *
+   * Config (several fields of one entity, written in a single update):
+   *   target: 'invoice'
+   *   formulas: { amount: 'SUM(...)', tax: 'SUM(...)' }
+   *
+   * Optional: where: { is_active: true } - filters the rows SUM aggregates
    */
   compute: async (config, context) => {
-    const { target, formula } = config;
+    const { target, formula, where = {} } = config;
 
-    // Parse target: 'entity.field'
+    // Parse target: 'entity.field', or 'entity' with a formulas map
     const [targetEntity, targetField] = target.split('.');
+    const formulas = config.formulas || (targetField ? { [targetField]: formula } : null);
 
     // Resolve target ID: prefer FK field (e.g., invoice_id), fallback to record.id
     // FK takes priority because compute is typically triggered by a child record
     // updating a parent entity (e.g., line_item updates invoice total)
     const targetId = context.record?.[`${targetEntity}_id`] || context.record?.id;
 
-    if (!targetEntity || !targetField || !targetId) {
+    if (!targetEntity || !formulas || !targetId) {
       log.log('COMPUTE: Invalid target or missing ID', { target, targetId });
       return { success: false, type: 'compute', error: 'Invalid target or missing ID' };
     }
@@ -773,25 +985,31 @@ const handlers = {
     log.log('COMPUTE:', {
       target,
       targetEntity,
-      targetField,
       targetId,
-      formula,
+      formulas,
       sourceEntity: context.entity,
       sourceId: context.record?.id,
     });
 
-    // Evaluate the formula
-    const computedValue = await evaluateFormula(formula, context, targetEntity, targetId);
+    // Evaluate each formula; a null result skips that field
+    const updates = {};
+    for (const [field, fieldFormula] of Object.entries(formulas)) {
+      const computedValue = await evaluateFormula(fieldFormula, context, targetEntity, targetId, where);
+      if (computedValue === null) {
+        log.log('COMPUTE: Formula evaluation returned null', { formula: fieldFormula });
+        continue;
+      }
+      updates[field] = computedValue;
+    }
 
-    if (computedValue === null) {
-      log.log('COMPUTE: Formula evaluation returned null', { formula });
+    if (Object.keys(updates).length === 0) {
       return { success: true, type: 'compute', target, formula, value: null, skipped: true };
     }
 
-    // Update the target entity with the computed value
+    // Update the target entity with the computed value(s)
     try {
       const GenericEntityService = getGenericEntityService();
-      await GenericEntityService.update(targetEntity, targetId, { [targetField]: computedValue }, {
+      await GenericEntityService.update(targetEntity, targetId, updates, {
         user: context.user?.id || 'system',
         skipHooks: true, // Avoid recursive hooks on compute updates
         client: context.tx, // join the caller's Unit of Work when present
@@ -802,7 +1020,7 @@ const handlers = {
         type: 'compute',
         target,
         formula,
-        value: computedValue,
+        value: targetField ? updates[targetField] : updates,
       };
     } catch (error) {
       log.error('COMPUTE: Update failed:', error.message);
@@ -924,6 +1142,8 @@ module.exports = {
   clearActionsCache,
   resolveValue,
   resolveCompute,
+  evaluateFormula,
+  computeNextOccurrence,
 
   // Handler registry (for extension and testing)
   handlers,
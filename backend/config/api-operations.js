@@ -76,23 +76,381 @@ const API_OPERATIONS = Object.freeze({
 
   /**
    * BACKGROUND TASKS CONFIGURATION
-   * In-process scheduled maintenance tasks
+   * In-process job worker (polls the durable jobs table)
    */
   BACKGROUND_TASKS: Object.freeze({
     // Whether to run background tasks (disabled in test mode)
     ENABLED: !require('./app-mode').isTestMode(),
 
-    // Cleanup intervals (milliseconds)
+    // Worker intervals (milliseconds)
     INTERVALS: Object.freeze({
-      // Idempotency key cleanup - run every hour
-      // Keys have 24h TTL, hourly cleanup keeps table size bounded
-      IDEMPOTENCY_CLEANUP_MS: 60 * 60 * 1000, // 1 hour
+      // Job worker poll - claims due jobs from the jobs table
+      // Short interval keeps enqueued work (webhooks, exports) responsive
+      JOB_POLL_MS: 5 * 1000, // 5 seconds
+    }),
+  }),
+
+  /**
+   * JOB QUEUE CONFIGURATION
+   * Postgres-backed durable jobs (claimed with FOR UPDATE SKIP LOCKED)
+   */
+  JOBS: Object.freeze({
+    // Job lifecycle states
+    // pending → running → completed
+    //                   ↘ pending (retry with backoff) ↘ dead (attempts exhausted)
+    // pending/running → cancelled (admin)
+    STATUSES: Object.freeze({
+      PENDING: 'pending',
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      DEAD: 'dead',
+      CANCELLED: 'cancelled',
+    }),
+
+    // Jobs run per worker poll (claimed one at a time)
+    BATCH_SIZE: 10,
 
-      // Expired refresh token cleanup - run every 6 hours
+    // Default attempts before a job is dead-lettered
+    DEFAULT_MAX_ATTEMPTS: 5,
+
+    // Exponential backoff between attempts: BASE × 2^(attempt-1), capped at MAX
+    BACKOFF_BASE_MS: 30 * 1000, // 30 seconds
+    BACKOFF_MAX_MS: 60 * 60 * 1000, // 1 hour
+
+    // Running jobs locked longer than this are presumed orphaned (crashed
+    // worker) and returned to pending
+    LOCK_TIMEOUT_MS: 15 * 60 * 1000, // 15 minutes
+
+    // Completed/cancelled jobs older than this are purged (dead jobs are kept)
+    RETENTION_DAYS: 7,
+
+    // Cron-style recurring jobs (UTC). One pending instance per key is kept
+    // in the table; the next instance is enqueued when the current one settles.
+    RECURRING: Object.freeze([
+      // Idempotency keys have 24h TTL, hourly cleanup keeps table size bounded
+      Object.freeze({ key: 'idempotency-cleanup', type: 'idempotency.cleanup', cron: '0 * * * *' }),
       // Tokens expire individually, periodic cleanup prevents table bloat
-      TOKEN_CLEANUP_MS: 6 * 60 * 60 * 1000, // 6 hours
+      Object.freeze({ key: 'token-cleanup', type: 'tokens.cleanup', cron: '0 */6 * * *' }),
+      // Generation is idempotent, so frequent runs only pick up new/edited schedules
+      Object.freeze({ key: 'maintenance-schedules', type: 'maintenance.generate', cron: '15 * * * *' }),
+      Object.freeze({ key: 'job-cleanup', type: 'jobs.cleanup', cron: '30 3 * * *' }),
+      // Approval timeouts are in hours, so a 5-minute sweep is precise enough
+      Object.freeze({ key: 'approval-timeouts', type: 'approvals.timeouts', cron: '*/5 * * * *' }),
+      // Realtime events are only needed for the Last-Event-ID resume window
+      Object.freeze({ key: 'realtime-cleanup', type: 'realtime.cleanup', cron: '45 * * * *' }),
+      // The delivery log is for troubleshooting/redelivery, not an archive
+      Object.freeze({ key: 'webhook-delivery-cleanup', type: 'webhooks.cleanup', cron: '0 4 * * *' }),
+      // Schedules are at least daily, so a report lands within 15 minutes of its time
+      Object.freeze({ key: 'report-subscriptions', type: 'reports.deliver', cron: '*/15 * * * *' }),
+    ]),
+  }),
+
+  /**
+   * WEBHOOK INBOX CONFIGURATION
+   * Every verified webhook payload is stored in webhook_events and processed
+   * by a 'webhook.process' job
+   */
+  WEBHOOK_EVENTS: Object.freeze({
+    // Event lifecycle states
+    // received → processing → processed
+    //                       ↘ ignored (no handler for provider/event type)
+    //                       ↘ failed (handler threw; the job retries with backoff)
+    // processed/ignored/failed → received (admin replay)
+    STATUSES: Object.freeze({
+      RECEIVED: 'received',
+      PROCESSING: 'processing',
+      PROCESSED: 'processed',
+      IGNORED: 'ignored',
+      FAILED: 'failed',
     }),
   }),
+
+  /**
+   * OUTBOUND WEBHOOK CONFIGURATION
+   * Entity events matching a webhook_subscription are logged in
+   * webhook_deliveries and POSTed by a 'webhook.deliver' job
+   */
+  WEBHOOK_DELIVERIES: Object.freeze({
+    // Delivery lifecycle states
+    // pending → delivered (2xx response)
+    //         ↘ failed (attempts exhausted)
+    // delivered/failed → pending (admin redelivery)
+    STATUSES: Object.freeze({
+      PENDING: 'pending',
+      DELIVERED: 'delivered',
+      FAILED: 'failed',
+    }),
+
+    // Request headers. The signature uses the Stripe "t=<unix>,v1=<hex>" format
+    // (HMAC-SHA256 of "<t>.<body>"), see WebhookValidator.sign/verifyStripe
+    HEADERS: Object.freeze({
+      SIGNATURE: 'X-Tross-Signature',
+      EVENT: 'X-Tross-Event',
+      DELIVERY: 'X-Tross-Delivery',
+    }),
+
+    // Delivery attempts (job retries with the queue's backoff, ~2h in total)
+    MAX_ATTEMPTS: 8,
+
+    // Receivers must answer within this time
+    TIMEOUT_MS: 10 * 1000,
+
+    // error column is capped at this length
+    MAX_ERROR_LENGTH: 500,
+
+    // Settled deliveries older than this are purged
+    RETENTION_DAYS: 30,
+  }),
+
+  /**
+   * QUICKBOOKS SYNC CONFIGURATION
+   * Bulk "sync all pending" run by the 'quickbooks.sync' job
+   */
+  QUICKBOOKS_SYNC: Object.freeze({
+    // qb_sync_status values picked up by a bulk sync
+    // ('pending' = never synced, 'modified' = changed since last sync)
+    SYNCABLE_STATUSES: Object.freeze(['pending', 'modified']),
+
+    // Records of each entity synced per run (the rest go on the next run)
+    MAX_RECORDS_PER_RUN: 200,
+
+    // qb_sync_error column is capped at this length
+    MAX_ERROR_LENGTH: 500,
+  }),
+
+  /**
+   * MAINTENANCE SCHEDULER CONFIGURATION
+   * Generates work orders from maintenance_schedules ahead of their due dates
+   */
+  MAINTENANCE_SCHEDULER: Object.freeze({
+    // Generate work orders for occurrences due within this many days
+    HORIZON_DAYS: parseInt(process.env.MAINTENANCE_HORIZON_DAYS || '14', 10),
+
+    // Occurrences generated per schedule per run (bounds catch-up after downtime;
+    // remaining occurrences are picked up on the next run)
+    MAX_OCCURRENCES_PER_SCHEDULE: 50,
+
+    // Schedules processed per run (each in its own transaction)
+    MAX_SCHEDULES_PER_RUN: 500,
+  }),
+
+  /**
+   * APPROVAL REQUEST CONFIGURATION
+   * Timeouts of pending approval_requests, swept by the 'approvals.timeouts' job
+   */
+  APPROVALS: Object.freeze({
+    // What happens when a step's timeout elapses (beforeChange requiresApproval.onTimeout)
+    // expire → request closed as 'expired'
+    // escalate → step handed to the next role up the hierarchy (expires at the top)
+    ON_TIMEOUT: Object.freeze({
+      EXPIRE: 'expire',
+      ESCALATE: 'escalate',
+    }),
+
+    // Overdue requests processed per run (each in its own transaction)
+    MAX_REQUESTS_PER_RUN: 200,
+  }),
+
+  /**
+   * EMAIL NOTIFICATION CONFIGURATION
+   * Notifications with channels: ['email'] are delivered by a
+   * 'notification.email' job through the EMAIL_TRANSPORT transport
+   */
+  EMAIL: Object.freeze({
+    // EMAIL_TRANSPORT values
+    // smtp → SMTP_HOST/SMTP_PORT relay
+    // file → one .eml per message in the EMAIL_MAILDIR maildir (dev/test)
+    // none → emails are recorded as skipped
+    TRANSPORTS: Object.freeze({
+      SMTP: 'smtp',
+      FILE: 'file',
+      NONE: 'none',
+    }),
+
+    // notifications.email_status lifecycle (null = no email requested)
+    // pending → sent
+    //         ↘ bounced (permanent rejection, not retried)
+    //         ↘ failed (attempts exhausted)
+    //         ↘ skipped (opted out, no address, or no transport)
+    DELIVERY_STATUSES: Object.freeze({
+      PENDING: 'pending',
+      SENT: 'sent',
+      BOUNCED: 'bounced',
+      FAILED: 'failed',
+      SKIPPED: 'skipped',
+    }),
+
+    // Delivery attempts per email (job retries with the queue's backoff)
+    MAX_ATTEMPTS: 5,
+
+    // Socket timeout for each SMTP command
+    SMTP_TIMEOUT_MS: 30 * 1000,
+
+    // email_error column is capped at this length
+    MAX_ERROR_LENGTH: 500,
+  }),
+
+  /**
+   * REALTIME EVENT STREAM CONFIGURATION
+   * Entity writes record a realtime_events row and pg_notify it in the same
+   * transaction; GET /api/events streams them (Server-Sent Events)
+   */
+  REALTIME: Object.freeze({
+    // Postgres LISTEN/NOTIFY channel
+    CHANNEL: 'tross_events',
+
+    // SSE event names
+    // notification: a notification of the connected user was created/updated
+    // entity: a record the user can read was created/updated/deleted
+    // reset: events since Last-Event-ID are no longer available - refetch
+    EVENT_TYPES: Object.freeze({
+      NOTIFICATION: 'notification',
+      ENTITY: 'entity',
+      RESET: 'reset',
+    }),
+
+    // Comment line sent on idle streams so proxies keep the connection open
+    HEARTBEAT_MS: 25 * 1000,
+
+    // Reconnect delay suggested to clients (SSE "retry:" field)
+    CLIENT_RETRY_MS: 5 * 1000,
+
+    // Delay before the listener reconnects after losing its connection
+    LISTENER_RECONNECT_MS: 5 * 1000,
+
+    // Events replayed for a Last-Event-ID resume; a bigger gap sends 'reset'
+    REPLAY_LIMIT: 500,
+
+    // Concurrent streams per user (tabs/devices)
+    MAX_STREAMS_PER_USER: 5,
+
+    // realtime_events rows older than this are purged (resume window)
+    RETENTION_HOURS: 24,
+  }),
+
+  /**
+   * DATA EXPORT CONFIGURATION
+   * GET /api/export/:entity streams small results; bigger ones are written
+   * to storage by an 'export.generate' job and the user is notified
+   */
+  EXPORT: Object.freeze({
+    // ?format= values and how each is served
+    FORMATS: Object.freeze({
+      csv: Object.freeze({ extension: 'csv', contentType: 'text/csv; charset=utf-8' }),
+      xlsx: Object.freeze({
+        extension: 'xlsx',
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      }),
+      json: Object.freeze({ extension: 'json', contentType: 'application/json; charset=utf-8' }),
+      ndjson: Object.freeze({ extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' }),
+    }),
+
+    DEFAULT_FORMAT: 'csv',
+
+    // Results with more rows than this are exported by a job instead of the request
+    ASYNC_ROW_THRESHOLD: parseInt(process.env.EXPORT_ASYNC_THRESHOLD || '5000', 10),
+
+    // Rows fetched per cursor round trip
+    CURSOR_BATCH_SIZE: 500,
+
+    // Lifetime of the signed download link sent when a job finishes
+    DOWNLOAD_URL_EXPIRY_SECONDS: 24 * 60 * 60,
+
+    // Attempts per export job (a failed attempt starts the file over)
+    MAX_ATTEMPTS: 3,
+  }),
+
+  /**
+   * DATA IMPORT CONFIGURATION
+   * POST /api/import/:entity reads a CSV/XLSX file, validates every row and
+   * (unless it is a dry run) creates them in one batch transaction
+   */
+  IMPORT: Object.freeze({
+    // Request body types the import route reads as a raw file
+    CONTENT_TYPES: Object.freeze([
+      'text/csv',
+      'text/plain',
+      'application/vnd.ms-excel', // What some browsers send for .csv
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/octet-stream',
+    ]),
+
+    // Largest file accepted
+    MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+
+    // Data rows per file - all of them are created in ONE transaction
+    // Keep MAX_ROWS × avg_create_time well under the request timeout
+    MAX_ROWS: 2000,
+  }),
+
+  /**
+   * SCHEDULED REPORTS CONFIGURATION
+   * Report subscriptions render a saved view through the export service on
+   * an RRULE schedule; the 'reports.deliver' job sends the due ones
+   */
+  REPORTS: Object.freeze({
+    // Formats a subscription can be delivered in (keys of EXPORT.FORMATS)
+    FORMATS: Object.freeze(['csv', 'xlsx']),
+
+    // RRULE frequencies a schedule may use; 'daily'/'weekly' are shorthands
+    FREQUENCIES: Object.freeze(['DAILY', 'WEEKLY']),
+
+    // Lifetime of the signed download link (S3 presigned URLs cap at 7 days)
+    DOWNLOAD_URL_EXPIRY_SECONDS: 7 * 24 * 60 * 60,
+
+    // Subscriptions delivered per run (the rest are picked up on the next run)
+    MAX_SUBSCRIPTIONS_PER_RUN: 100,
+  }),
+
+  /**
+   * SUMMARIES CONFIGURATION
+   * GET /api/summaries/:entity aggregates over the fields an entity declares
+   * in features.summary (groupableFields, summableFields, dateFields)
+   */
+  SUMMARIES: Object.freeze({
+    // Aggregate functions; count takes no field, the rest a summable field
+    MEASURES: Object.freeze(['count', 'sum', 'avg', 'min', 'max']),
+
+    // date_trunc() precisions a date field can be bucketed by
+    INTERVALS: Object.freeze(['day', 'week', 'month']),
+
+    // Group-by dimensions per request (not counting the time bucket)
+    MAX_GROUP_BY: 2,
+
+    // Rows returned per period; more sets `truncated`
+    MAX_ROWS: 1000,
+  }),
+
+  /**
+   * SERVICE CREDENTIALS CONFIGURATION
+   * Machine clients authenticate with an API key ("<client_id>.<secret>") on
+   * every request, or exchange the pair for a short-lived access token at
+   * POST /api/auth/token (client-credentials grant). See
+   * services/auth/service-credential-service.js
+   */
+  SERVICE_CREDENTIALS: Object.freeze({
+    // client_id prefix; also how an API key is told apart from a JWT
+    CLIENT_ID_PREFIX: 'svc_',
+
+    // Random bytes in a client_id / client secret
+    CLIENT_ID_BYTES: 12,
+    SECRET_BYTES: 32,
+
+    // Access token lifetime for the client-credentials grant
+    ACCESS_TOKEN_EXPIRY: '1h',
+    ACCESS_TOKEN_EXPIRY_SECONDS: 60 * 60,
+
+    // The replaced secret keeps working this long after a rotation by default
+    // (0 revokes it immediately); rotations may not ask for more than the max
+    ROTATION_GRACE_MINUTES: 60,
+    MAX_ROTATION_GRACE_MINUTES: 7 * 24 * 60,
+
+    // last_used_at/last_used_ip are written at most this often per credential
+    LAST_USED_THROTTLE_MS: 60 * 1000,
+
+    // Operations an allow-list (scopes) may grant per entity
+    OPERATIONS: Object.freeze(['create', 'read', 'update', 'delete']),
+  }),
 });
 
 module.exports = { API_OPERATIONS };
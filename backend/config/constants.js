@@ -37,6 +37,39 @@ const PAGINATION = Object.freeze({
   DEFAULT_PAGE: 1,
   DEFAULT_LIMIT: 50,
   MAX_LIMIT: 200,
+  MAX_CURSOR_LENGTH: 1024, // Opaque keyset cursor (sort value + id, base64url)
+});
+
+// Full-Text Search Constants
+// SSOT for Postgres full-text search over FULLTEXT-trait fields. Consumed by the
+// schema generator (generated tsvector column + GIN index) and QueryBuilderService
+// (websearch_to_tsquery / ts_rank / ts_headline). Terms that fail the full-text
+// gate (too short, or identifier-like) fall back to ILIKE.
+const FULLTEXT_SEARCH = Object.freeze({
+  VECTOR_COLUMN: 'search_vector', // STORED generated tsvector (never returned to clients)
+  SNIPPET_COLUMN: 'search_snippet', // ts_headline projection on ranked list reads
+  TEXT_SEARCH_CONFIG: 'english',
+  MIN_TERM_LENGTH: 3, // Shorter terms are prefixes/codes, not words: ILIKE handles them
+  HEADLINE_OPTIONS: 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2',
+});
+
+// Global Search Constants
+// Bounds for GET /api/search (cross-entity fan-out). The overall time budget
+// lives with the other service timeouts (TIMEOUTS.SERVICES.GLOBAL_SEARCH_BUDGET_MS).
+const GLOBAL_SEARCH = Object.freeze({
+  MIN_QUERY_LENGTH: 2,
+  MAX_QUERY_LENGTH: 200,
+  DEFAULT_LIMIT: 5, // Hits per entity group
+  MAX_LIMIT: 20,
+});
+
+// Relationship Include Constants
+// Bounds for ?include= (db/helpers/relationship-loader). Each dotted segment is
+// one level (include=invoices.payments is depth 2); every relationship in the
+// tree costs one batched query, whatever the number of parent rows.
+const RELATIONSHIP_INCLUDES = Object.freeze({
+  MAX_DEPTH: 3,
+  MAX_PATHS: 10,
 });
 
 // Authentication Constants
@@ -45,12 +78,67 @@ const AUTH = Object.freeze({
   PROVIDERS: Object.freeze({
     DEVELOPMENT_JWT: 'development',
     AUTH0: 'auth0',
+    SERVICE: 'service', // Machine clients (service credentials)
+  }),
+  // Who performed a request: a human user or a service credential.
+  // Carried on req.dbUser.actor_type, the RLS context and audit rows.
+  ACTOR_TYPES: Object.freeze({
+    USER: 'user',
+    SERVICE: 'service',
   }),
   JWT: Object.freeze({
     ALGORITHM: 'HS256',
     DEFAULT_EXPIRY: '24h',
     BEARER_PREFIX: 'Bearer ',
   }),
+  // Why a refresh token stopped working (refresh_tokens.revoked_reason).
+  // ROTATED marks a token that was exchanged: presenting it again is reuse,
+  // which revokes its whole family (session).
+  REFRESH_TOKEN_REVOKE_REASONS: Object.freeze({
+    ROTATED: 'rotated',
+    LOGOUT: 'logout',
+    LOGOUT_ALL: 'logout_all',
+    SESSION_REVOKED: 'session_revoked',
+    REUSE_DETECTED: 'reuse_detected',
+    ADMIN_REVOKED: 'admin_revoked',
+    FORCE_LOGOUT: 'force_logout',
+  }),
+});
+
+// ============================================================================
+// TENANCY (ADR-014)
+// ============================================================================
+/**
+ * Row-scoped multi-tenancy. Every entity except the platform-wide ones
+ * (ENTITY_TRAITS.PLATFORM) carries a tenant_id column, and the RLS engine ANDs
+ * `tenant_id = rlsContext.tenantId` above the per-role grants.
+ *
+ * DEFAULT_TENANT_ID is the deployment's original tenant: pre-conversion rows
+ * migrate into it, users without an Auth0 organization land in it, and only
+ * its admins reach the deployment-wide /api/admin/system console.
+ */
+const TENANCY = Object.freeze({
+  COLUMN: 'tenant_id', // Tier-1 column on tenant-scoped tables
+  CLAIM: 'tenant_id', // Internal JWT claim (user and service tokens)
+  AUTH0_ORG_CLAIM: 'org_id', // Auth0 Organizations claim mapped at token exchange
+  DEFAULT_TENANT_ID: 1,
+});
+
+// ============================================================================
+// ORGANIZATIONS (ADR-014 §1)
+// ============================================================================
+/**
+ * Companies within a tenant (e.g. PREM and ARKE sharing one tenant). A
+ * company-scoped row carries organization_id; staff reach it through an
+ * active organization_memberships row (the RLS 'organization' access type).
+ * Rows without an organization are shared by every company of the tenant.
+ * This is a data dimension, not an isolation boundary - that is TENANCY.
+ */
+const ORGANIZATIONS = Object.freeze({
+  COLUMN: 'organization_id', // FK on company-scoped tables
+  TABLE: 'organizations',
+  MEMBERSHIP_TABLE: 'organization_memberships',
+  HEADER_NAME: 'X-Organization-Id', // Active organization (UI switch) for list endpoints
 });
 
 // HTTP Status Constants
@@ -62,6 +150,7 @@ const HTTP_STATUS = Object.freeze({
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PRECONDITION_FAILED: 412,
   REQUEST_TIMEOUT: 408,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
@@ -218,15 +307,17 @@ const ENTITY_FIELDS = Object.freeze({
   /**
    * Fields that are auto-generated by the database and should NEVER be set during CREATE.
    * These are universal across ALL entities - no exceptions.
+   * tenant_id is stamped from the caller's tenant, never from the payload (ADR-014).
+   * version starts at 1 and is bumped by the database on every update (utils/etag.js).
    */
-  SYSTEM_MANAGED_ON_CREATE: Object.freeze(['id', 'created_at', 'updated_at']),
+  SYSTEM_MANAGED_ON_CREATE: Object.freeze(['id', 'created_at', 'updated_at', 'tenant_id', 'version']),
 
   /**
    * Fields that can NEVER be modified after initial creation.
    * These are universal across ALL entities.
    * Entity-specific immutables (e.g., 'email' on users) are defined in metadata.immutableFields
    */
-  UNIVERSAL_IMMUTABLES: Object.freeze(['id', 'created_at']),
+  UNIVERSAL_IMMUTABLES: Object.freeze(['id', 'created_at', 'tenant_id']),
 });
 
 // ============================================================================
@@ -252,9 +343,10 @@ const RLS_ENGINE = Object.freeze({
   // SQL generation
   JUNCTION_ALIAS_PREFIX: 'j', // Prefix for junction table aliases (j0, j1, j2...)
   PARENT_ALIAS_PREFIX: 'p', // Prefix for parent table aliases (p0, p1, p2...)
+  ORGANIZATION_ALIAS_PREFIX: 'o', // Prefix for membership aliases (o0, o1, o2...)
 
   // Access types supported
-  ACCESS_TYPES: Object.freeze(['direct', 'junction', 'parent']),
+  ACCESS_TYPES: Object.freeze(['direct', 'junction', 'parent', 'organization']),
 });
 
 // ============================================================================
@@ -369,6 +461,14 @@ const FIELD_ACCESS_LEVELS = Object.freeze({
     delete: 'none',
   }),
 
+  // Company assignment (organization_id) - set on create, reassigned by manager+
+  ORGANIZATION_ASSIGNMENT: Object.freeze({
+    create: 'dispatcher',
+    read: 'technician',
+    update: 'manager',
+    delete: 'none',
+  }),
+
   // Admin-only fields - full access only for admin
   ADMIN_ONLY: Object.freeze({
     create: 'admin',
@@ -388,7 +488,7 @@ const FIELD_ACCESS_LEVELS = Object.freeze({
 
 /**
  * Universal field access for Entity Contract fields
- * These apply to ALL entities - id, is_active, created_at, updated_at, status
+ * These apply to ALL entities - id, is_active, created_at, updated_at, version, status
  * Entity-specific fields are defined in each metadata file
  */
 const UNIVERSAL_FIELD_ACCESS = Object.freeze({
@@ -407,6 +507,9 @@ const UNIVERSAL_FIELD_ACCESS = Object.freeze({
   created_at: FIELD_ACCESS_LEVELS.SYSTEM_READONLY,
   updated_at: FIELD_ACCESS_LEVELS.SYSTEM_READONLY,
 
+  // Row version (ETag source) - bumped by the database, readable with the record
+  version: FIELD_ACCESS_LEVELS.PUBLIC_READONLY,
+
   // Status field (optional per entity) - dispatcher+ can update
   status: FIELD_ACCESS_LEVELS.DISPATCHER_MANAGED,
 });
@@ -664,7 +767,12 @@ module.exports = Object.freeze({
   ENVIRONMENTS,
   DATABASE_PERFORMANCE,
   PAGINATION,
+  FULLTEXT_SEARCH,
+  GLOBAL_SEARCH,
+  RELATIONSHIP_INCLUDES,
   AUTH,
+  TENANCY,
+  ORGANIZATIONS,
   USER_ROLES,
   HTTP_STATUS,
   SECURITY,
@@ -12,12 +12,13 @@
  */
 
 const { getRoleHierarchy } = require('./role-hierarchy-loader');
-const { RLS_ENGINE, HOOK_WHEN_OPERATORS } = require('./constants');
-const { ENTITY_TRAITS } = require('./entity-traits');
+const { RLS_ENGINE, HOOK_WHEN_OPERATORS, ORGANIZATIONS, TENANCY } = require('./constants');
+const { ENTITY_TRAITS, isTenantScoped } = require('./entity-traits');
 const { getFieldsWithTrait, FIELD_TRAIT } = require('./metadata-accessors');
 const { extractForeignKeyFields } = require('./fk-helpers');
 const { foreignKeyFieldName, DERIVATION_VIA, NAME_PATTERNS } = require('./field-types');
 const { listActions } = require('./action-handlers');
+const { API_OPERATIONS } = require('./api-operations');
 
 /**
  * Valid navigation groups for menu placement.
@@ -224,6 +225,7 @@ const SEARCHABLE_TYPES = new Set(['string', 'text', 'email', 'phone']);
  * Only genuine, zero-false-positive conflicts are enforced:
  * - default + derived              → two competing sources of a default value
  * - searchable on a non-text type  → full-text search only applies to text-like fields
+ * - fulltext without searchable    → the tsvector index only serves the search param
  */
 function validateFieldTraitConflicts(meta, errors) {
   const fields = meta.fields || {};
@@ -244,6 +246,13 @@ function validateFieldTraitConflicts(meta, errors) {
         `trait 'searchable' requires a text-like type (${[...SEARCHABLE_TYPES].join(', ')}); got '${fieldDef.type}'`,
       );
     }
+
+    if (fieldDef.fulltext && !fieldDef.searchable) {
+      errors.add(
+        prefix,
+        "trait 'fulltext' requires 'searchable' (use TRAIT_SETS.FULLTEXT)",
+      );
+    }
   }
 }
 
@@ -400,6 +409,7 @@ function validateRlsPolicy(_meta, _errors) {
  * - { type: 'direct', field, value }: Direct field match
  * - { type: 'parent', foreignKey, parentEntity }: Inherit from parent RLS
  * - { type: 'junction', junction: {...} }: Access via junction table
+ * - { type: 'organization', field? }: Row's company is one of the user's memberships
  */
 function validateRlsRules(meta, errors) {
   const rlsRules = meta.rlsRules;
@@ -426,7 +436,7 @@ function validateRlsRules(meta, errors) {
   // Valid operations for RLS rules
   const validOperations = new Set(['read', 'summary', 'update', 'delete', '*']);
 
-  // Valid access types from RLS_ENGINE (direct, junction, parent)
+  // Valid access types from RLS_ENGINE (direct, junction, parent, organization)
   const validAccessTypes = new Set(RLS_ENGINE.ACCESS_TYPES);
 
   // Track rule IDs for uniqueness
@@ -589,6 +599,17 @@ function validateRlsRules(meta, errors) {
           }
         }
       }
+    } else if (access.type === 'organization') {
+      // Organization access matches the row's company column against memberships
+      const field = access.field ?? ORGANIZATIONS.COLUMN;
+      if (typeof field !== 'string') {
+        errors.add(`${prefix}.access.field`, 'Must be a string');
+      } else if (!meta.fields?.[field]) {
+        errors.add(
+          `${prefix}.access.field`,
+          `Organization field '${field}' not found in fields`,
+        );
+      }
     }
   }
 }
@@ -869,9 +890,10 @@ function validateUniqueConstraints(meta, errors) {
       );
     }
 
-    // Validate each field exists
+    // Validate each field exists (tenant_id is a column of every tenant-scoped table)
     for (const fieldName of constraint.fields) {
-      if (!fields[fieldName]) {
+      const isTenantColumn = fieldName === TENANCY.COLUMN && isTenantScoped(meta);
+      if (!fields[fieldName] && !isTenantColumn) {
         errors.add(
           `uniqueConstraints[${i}]`,
           `Field '${fieldName}' not found in fields definition`,
@@ -1474,6 +1496,7 @@ const VALID_FIELD_BOOLEAN_PROPS = new Set([
   'required',
   'immutable',
   'searchable',
+  'fulltext',
   'filterable',
   'sortable',
   'readonly',
@@ -1557,6 +1580,93 @@ function validateFieldLevelAccess(meta, errors) {
  */
 const VALID_HOOK_EVENTS = new Set(['create', 'change', 'delete']);
 
+/**
+ * Validate a hook `when` condition ({ field, operator, value }).
+ *
+ * @param {*} when - Condition to validate
+ * @param {string} prefix - Error path (e.g. 'fields.status.beforeChange[0].when')
+ * @param {Object} errors - ValidationErrors collector
+ */
+function validateWhenCondition(when, prefix, errors) {
+  if (typeof when !== 'object' || when === null) {
+    errors.add(prefix, 'Must be an object with field, operator, value');
+    return;
+  }
+  if (!when.field) {
+    errors.add(`${prefix}.field`, 'Required when using condition');
+  }
+  if (!when.operator) {
+    errors.add(`${prefix}.operator`, 'Required when using condition');
+  } else if (!HOOK_WHEN_OPERATORS.includes(when.operator)) {
+    errors.add(
+      `${prefix}.operator`,
+      `Invalid operator '${when.operator}'. Valid: ${HOOK_WHEN_OPERATORS.join(', ')}`,
+    );
+  }
+}
+
+/**
+ * Validate a beforeChange `requiresApproval` block.
+ *
+ * Shape: { approver, timeout?, onTimeout?, steps?: [{ approver, timeout?, when? }] }
+ * approver roles come from the role hierarchy, timeouts are positive hours and
+ * onTimeout is one of API_OPERATIONS.APPROVALS.ON_TIMEOUT.
+ *
+ * @param {*} requirement - hook.requiresApproval
+ * @param {string} prefix - Error path
+ * @param {Object} errors - ValidationErrors collector
+ */
+function validateApprovalRequirement(requirement, prefix, errors) {
+  if (typeof requirement !== 'object' || requirement === null) {
+    errors.add(prefix, 'Must be an object');
+    return;
+  }
+
+  const roleHierarchy = getRoleHierarchy();
+  const timeoutPolicies = Object.values(API_OPERATIONS.APPROVALS.ON_TIMEOUT);
+
+  const validateStep = (step, stepPrefix) => {
+    if (!step.approver) {
+      errors.add(`${stepPrefix}.approver`, 'Required property');
+    } else if (!roleHierarchy.includes(step.approver)) {
+      errors.add(
+        `${stepPrefix}.approver`,
+        `Invalid role '${step.approver}'. Valid: ${roleHierarchy.join(', ')}`,
+      );
+    }
+    if (step.timeout !== undefined && !(typeof step.timeout === 'number' && step.timeout > 0)) {
+      errors.add(`${stepPrefix}.timeout`, 'Must be a positive number of hours');
+    }
+  };
+
+  validateStep(requirement, prefix);
+
+  if (requirement.onTimeout !== undefined && !timeoutPolicies.includes(requirement.onTimeout)) {
+    errors.add(
+      `${prefix}.onTimeout`,
+      `Invalid value '${requirement.onTimeout}'. Valid: ${timeoutPolicies.join(', ')}`,
+    );
+  }
+
+  if (requirement.steps !== undefined) {
+    if (!Array.isArray(requirement.steps)) {
+      errors.add(`${prefix}.steps`, 'Must be an array');
+      return;
+    }
+    requirement.steps.forEach((step, index) => {
+      const stepPrefix = `${prefix}.steps[${index}]`;
+      if (!step || typeof step !== 'object') {
+        errors.add(stepPrefix, 'Must be an object');
+        return;
+      }
+      validateStep(step, stepPrefix);
+      if (step.when !== undefined) {
+        validateWhenCondition(step.when, `${stepPrefix}.when`, errors);
+      }
+    });
+  }
+}
+
 /**
  * Validate beforeChange hooks on fields.
  *
@@ -1605,21 +1715,7 @@ function validateBeforeChangeHooks(meta, errors) {
 
       // Validate 'when' condition if present
       if (hook.when !== undefined) {
-        if (typeof hook.when !== 'object' || hook.when === null) {
-          errors.add(`${prefix}.when`, 'Must be an object with field, operator, value');
-        } else {
-          if (!hook.when.field) {
-            errors.add(`${prefix}.when.field`, 'Required when using condition');
-          }
-          if (!hook.when.operator) {
-            errors.add(`${prefix}.when.operator`, 'Required when using condition');
-          } else if (!HOOK_WHEN_OPERATORS.includes(hook.when.operator)) {
-            errors.add(
-              `${prefix}.when.operator`,
-              `Invalid operator '${hook.when.operator}'. Valid: ${HOOK_WHEN_OPERATORS.join(', ')}`,
-            );
-          }
-        }
+        validateWhenCondition(hook.when, `${prefix}.when`, errors);
       }
 
       // Validate 'blocked' if present
@@ -1645,11 +1741,7 @@ function validateBeforeChangeHooks(meta, errors) {
 
       // Validate 'requiresApproval' if present
       if (hook.requiresApproval !== undefined) {
-        if (typeof hook.requiresApproval !== 'object' || hook.requiresApproval === null) {
-          errors.add(`${prefix}.requiresApproval`, 'Must be an object');
-        } else if (!hook.requiresApproval.approver) {
-          errors.add(`${prefix}.requiresApproval.approver`, 'Required property');
-        }
+        validateApprovalRequirement(hook.requiresApproval, `${prefix}.requiresApproval`, errors);
       }
 
       // beforeChange cannot have 'do' (that's for afterChange)
@@ -1738,6 +1830,104 @@ function validateAfterChangeHooks(meta, errors) {
   }
 }
 
+/**
+ * Validate the status state machine (metadata.transitions).
+ *
+ * Only workflow entities may declare one. The field must be an enum; every
+ * from/to state must be one of its values, every edge needs a valid minRole,
+ * and `requires` must name existing fields.
+ *
+ * @param {Object} meta - Entity metadata
+ * @param {Object} errors - ValidationErrors collector
+ */
+function validateTransitions(meta, errors) {
+  const transitions = meta.transitions;
+  if (transitions === undefined) { return; }
+
+  if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+    errors.add('transitions', 'Must be an object with field and edges');
+    return;
+  }
+
+  if (!(meta.traits || []).includes(ENTITY_TRAITS.WORKFLOW)) {
+    errors.add('transitions', `Only entities with the '${ENTITY_TRAITS.WORKFLOW}' trait may declare transitions`);
+  }
+
+  const fields = meta.fields || {};
+  const fieldDef = fields[transitions.field];
+  if (!transitions.field) {
+    errors.add('transitions.field', 'Required property');
+    return;
+  }
+  if (!fieldDef || fieldDef.type !== 'enum') {
+    errors.add('transitions.field', `'${transitions.field}' must be an enum field`);
+    return;
+  }
+
+  const states = new Set(Object.keys(meta.enums?.[fieldDef.enumKey] || {}));
+  const validRoles = new Set(getRoleHierarchy());
+
+  if (!Array.isArray(transitions.edges) || transitions.edges.length === 0) {
+    errors.add('transitions.edges', 'Must be a non-empty array');
+    return;
+  }
+
+  const seen = new Set();
+  transitions.edges.forEach((edge, i) => {
+    const prefix = `transitions.edges[${i}]`;
+    if (!edge || typeof edge !== 'object') {
+      errors.add(prefix, 'Must be an object');
+      return;
+    }
+
+    const froms = Array.isArray(edge.from) ? edge.from : [edge.from];
+    const tos = Array.isArray(edge.to) ? edge.to : [edge.to];
+    for (const [key, values] of [['from', froms], ['to', tos]]) {
+      for (const state of values) {
+        if (!states.has(state)) {
+          errors.add(
+            `${prefix}.${key}`,
+            `Unknown state '${state}'. Valid: ${[...states].join(', ')}`,
+          );
+        }
+      }
+    }
+
+    for (const from of froms) {
+      for (const to of tos) {
+        if (from === to) {
+          errors.add(prefix, `Self-transition '${from}→${to}' is not allowed`);
+        } else if (seen.has(`${from}→${to}`)) {
+          errors.add(prefix, `Duplicate edge '${from}→${to}'`);
+        }
+        seen.add(`${from}→${to}`);
+      }
+    }
+
+    if (!validRoles.has(edge.minRole)) {
+      errors.add(
+        `${prefix}.minRole`,
+        `Invalid role '${edge.minRole}'. Valid: ${[...validRoles].join(', ')}`,
+      );
+    }
+
+    if (edge.requires !== undefined) {
+      if (!Array.isArray(edge.requires)) {
+        errors.add(`${prefix}.requires`, 'Must be an array of field names');
+      } else {
+        for (const fieldName of edge.requires) {
+          if (!fields[fieldName]) {
+            errors.add(
+              `${prefix}.requires`,
+              `References field '${fieldName}' which does not exist in fields`,
+            );
+          }
+        }
+      }
+    }
+  });
+}
+
 /**
  * Validate a single entity's metadata
  */
@@ -1797,6 +1987,7 @@ function validateEntity(entityName, meta, allMetadata) {
   validateFieldLevelAccess(meta, errors);
   validateBeforeChangeHooks(meta, errors);
   validateAfterChangeHooks(meta, errors);
+  validateTransitions(meta, errors);
 
   return errors;
 }
@@ -21,12 +21,15 @@
  * - UNCOUNTABLE: Excluded from dashboard/summary counts
  * - SELF_PROTECTED: A principal cannot delete their own record (e.g. a user
  *   cannot delete their own account)
+ * - PLATFORM: Shared by every tenant (roles) - no tenant_id column and no
+ *   tenant predicate (ADR-014). Every other entity is tenant-scoped.
  */
 const ENTITY_TRAITS = Object.freeze({
   SYSTEM: 'system',
   WORKFLOW: 'workflow',
   UNCOUNTABLE: 'uncountable',
   SELF_PROTECTED: 'self-protected',
+  PLATFORM: 'platform',
 });
 
 // ============================================================================
@@ -94,6 +97,18 @@ function isSelfProtected(metadata) {
   return hasTrait(metadata, ENTITY_TRAITS.SELF_PROTECTED);
 }
 
+/**
+ * Check if entity rows belong to a tenant (ADR-014).
+ * Tenant scoping is the default; platform-wide entities opt out with
+ * ENTITY_TRAITS.PLATFORM.
+ *
+ * @param {Object} metadata - Entity metadata object
+ * @returns {boolean} True if the entity has a tenant_id column
+ */
+function isTenantScoped(metadata) {
+  return !hasTrait(metadata, ENTITY_TRAITS.PLATFORM);
+}
+
 module.exports = {
   ENTITY_TRAITS,
   hasTrait,
@@ -101,4 +116,5 @@ module.exports = {
   hasWorkflow,
   getTraits,
   isSelfProtected,
+  isTenantScoped,
 };
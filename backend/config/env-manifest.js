@@ -295,9 +295,9 @@ const ENV_MANIFEST = Object.freeze({
   ENCRYPTION_KEY: {
     category: CATEGORY.OPERATIONAL,
     description:
-      'AES-256-GCM key (64 hex chars / 32 bytes) for encrypting integration tokens at rest',
+      'AES-256-GCM key (64 hex chars / 32 bytes) for pagination cursors and integration tokens at rest',
     // Deterministic dev/test placeholder ONLY. Production MUST supply a real key;
-    // the integration token path fails closed if it is missing there.
+    // startup refuses to run without one (utils/env-validator.js).
     defaultValue:
       '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef',
     allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST],
@@ -355,6 +355,24 @@ const ENV_MANIFEST = Object.freeze({
     errorMessage: 'HEALTH_CHECK_TIMEOUT must be a number',
   },
 
+  MAINTENANCE_HORIZON_DAYS: {
+    category: CATEGORY.OPTIONAL,
+    description: 'Days ahead of due date to generate work orders from maintenance schedules',
+    defaultValue: '14',
+    allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST, ENVIRONMENTS.PRODUCTION],
+    validator: (val) => !isNaN(parseInt(val, 10)) && parseInt(val, 10) >= 0,
+    errorMessage: 'MAINTENANCE_HORIZON_DAYS must be a non-negative number',
+  },
+
+  EXPORT_ASYNC_THRESHOLD: {
+    category: CATEGORY.OPTIONAL,
+    description: 'Rows above which an export is generated by a background job and sent as a download link',
+    defaultValue: '5000',
+    allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST, ENVIRONMENTS.PRODUCTION],
+    validator: (val) => !isNaN(parseInt(val, 10)) && parseInt(val, 10) >= 0,
+    errorMessage: 'EXPORT_ASYNC_THRESHOLD must be a non-negative number',
+  },
+
   JWT_EXPIRES_IN: {
     category: CATEGORY.OPTIONAL,
     description: 'JWT token expiration time',
@@ -373,6 +391,53 @@ const ENV_MANIFEST = Object.freeze({
     errorMessage: 'STORAGE_PROVIDER must be r2, s3, local, or none',
   },
 
+  // =========================================================================
+  // EMAIL OPTIONAL - Notification email delivery (services/notifications)
+  // =========================================================================
+  EMAIL_TRANSPORT: {
+    category: CATEGORY.OPTIONAL,
+    description: 'Notification email transport (smtp, file, none)',
+    defaultValue: 'none',
+    allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST, ENVIRONMENTS.PRODUCTION],
+    validator: (val) => ['smtp', 'file', 'none'].includes(val),
+    errorMessage: 'EMAIL_TRANSPORT must be smtp, file, or none',
+  },
+
+  EMAIL_FROM: {
+    category: CATEGORY.OPTIONAL,
+    description: 'Sender address of notification emails',
+    defaultValue: 'no-reply@localhost',
+    allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST, ENVIRONMENTS.PRODUCTION],
+    validator: (val) => /^[^\s@<>]+@[^\s@<>]+$/.test(val),
+    errorMessage: 'EMAIL_FROM must be a bare email address (name goes in EMAIL_FROM_NAME)',
+  },
+
+  SMTP_HOST: {
+    category: CATEGORY.OPTIONAL,
+    description: 'SMTP relay host (EMAIL_TRANSPORT=smtp)',
+    defaultValue: null,
+    allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST, ENVIRONMENTS.PRODUCTION],
+    validator: (val) => !val || !/\s/.test(val),
+    errorMessage: 'SMTP_HOST must be a host name',
+  },
+
+  SMTP_PORT: {
+    category: CATEGORY.OPTIONAL,
+    description: 'SMTP relay port (587 STARTTLS, 465 with SMTP_SECURE=true)',
+    defaultValue: '587',
+    allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST, ENVIRONMENTS.PRODUCTION],
+    validator: (val) => /^\d+$/.test(val) && parseInt(val, 10) > 0 && parseInt(val, 10) < 65536,
+    errorMessage: 'SMTP_PORT must be a valid port number',
+  },
+
+  SMTP_PASSWORD: {
+    category: CATEGORY.OPTIONAL,
+    description: 'SMTP AUTH password (with SMTP_USER)',
+    defaultValue: null,
+    allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST, ENVIRONMENTS.PRODUCTION],
+    sensitive: true,
+  },
+
   // =========================================================================
   // INTEGRATION OPTIONAL - Non-critical integration settings
   // =========================================================================
@@ -418,6 +483,15 @@ const ENV_MANIFEST = Object.freeze({
     },
     errorMessage: 'QB_REDIRECT_URI must be a valid URL (HTTPS required in production)',
   },
+
+  QB_DEFAULT_ITEM_ID: {
+    category: CATEGORY.OPTIONAL,
+    description: 'QuickBooks Item Id used for synced invoice lines',
+    defaultValue: '1',
+    allowDefaultIn: [ENVIRONMENTS.DEVELOPMENT, ENVIRONMENTS.TEST, ENVIRONMENTS.PRODUCTION],
+    validator: (val) => /^\d+$/.test(val),
+    errorMessage: 'QB_DEFAULT_ITEM_ID must be a numeric QuickBooks Item Id',
+  },
 });
 
 /**
@@ -16,6 +16,8 @@ const ERROR_CODES = Object.freeze({
   AUTH_REQUIRED: 'AUTH_REQUIRED',
   AUTH_INVALID_TOKEN: 'AUTH_INVALID_TOKEN',
   AUTH_TOKEN_EXPIRED: 'AUTH_TOKEN_EXPIRED',
+  AUTH_TOKEN_REUSED: 'AUTH_TOKEN_REUSED',
+  AUTH_TENANT_MISMATCH: 'AUTH_TENANT_MISMATCH',
   AUTH_INSUFFICIENT_PERMISSIONS: 'AUTH_INSUFFICIENT_PERMISSIONS',
 
   // Validation (VALIDATION_*)
@@ -27,6 +29,7 @@ const ERROR_CODES = Object.freeze({
   RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
   RESOURCE_ALREADY_EXISTS: 'RESOURCE_ALREADY_EXISTS',
   RESOURCE_CONFLICT: 'RESOURCE_CONFLICT',
+  RESOURCE_VERSION_MISMATCH: 'RESOURCE_VERSION_MISMATCH',
 
   // Rate limiting (RATE_*)
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
@@ -215,10 +215,12 @@ const TRAIT_SETS = Object.freeze({
   /**
    * Fulltext: Fields for text search only.
    * Used for: description, notes, comments.
-   * Includes: searchable
+   * Includes: searchable, fulltext (indexed in the table's tsvector column;
+   * matched with websearch_to_tsquery and ranked, instead of ILIKE)
    */
   FULLTEXT: Object.freeze({
     searchable: true,
+    fulltext: true,
   }),
 
   /**
@@ -44,6 +44,7 @@ const WEBHOOK_VERIFIERS = {
  * - apiKey: API key configuration (null for OAuth based)
  * - webhook: Webhook signature verification config
  * - capabilities: Operations this provider supports
+ * - bulkSync: Job that syncs all pending records (adds POST /sync), or null
  * - envVars: Environment variables this provider needs
  */
 const PROVIDERS = {
@@ -95,6 +96,11 @@ const PROVIDERS = {
       'syncCustomer',
     ],
 
+    // "Sync all pending" customers + invoices (services/jobs/job-handlers.js)
+    bulkSync: {
+      jobType: 'quickbooks.sync',
+    },
+
     // All env vars this provider needs
     envVars: [
       'QB_CLIENT_ID',
@@ -145,6 +151,9 @@ const PROVIDERS = {
       'syncPayment',
     ],
 
+    // No bulk sync (payments arrive via webhooks)
+    bulkSync: null,
+
     // All env vars this provider needs
     envVars: [
       'STRIPE_SECRET_KEY',
@@ -1,7 +1,7 @@
 /**
  * Metadata Accessors
  *
- * Field TRAITS (required/immutable/searchable/filterable/sortable) are read
+ * Field TRAITS (required/immutable/searchable/fulltext/filterable/sortable) are read
  * from the canonical FIELD-CENTRIC shape only, via the generic accessors:
  *
  *    fields: {
@@ -69,6 +69,7 @@ const FIELD_TRAIT = Object.freeze({
   REQUIRED: 'required',
   IMMUTABLE: 'immutable',
   SEARCHABLE: 'searchable',
+  FULLTEXT: 'fulltext',
   FILTERABLE: 'filterable',
   SORTABLE: 'sortable',
 });
@@ -20,8 +20,16 @@
  * - target_field: the field being changed (e.g., 'status')
  * - proposed_value: JSON serialized new value
  * - previous_value: JSON serialized old value (for history)
- * - approver_role: minimum role required to approve
+ * - approver_role: minimum role required to approve the current step
  * - approved_by: user who approved/rejected (null = pending)
+ * - approval_chain + current_step: ordered approver steps (e.g. manager, then admin)
+ * - expires_at + on_timeout: when the current step times out and whether it then
+ *   expires or escalates to the next role up
+ * - target_version: target record version (ETag) when requested; the change is
+ *   applied only if the target is still unchanged
+ *
+ * Created by GenericEntityService when a beforeChange hook requires approval;
+ * decided via POST /api/approval_requests/:id/decision (services/entity/approval-service.js).
  *
  * Tracks who created the request (requested_by) and who decided (approved_by).
  */
@@ -56,7 +64,11 @@ module.exports = {
 
   identityField: 'request_number',
   identifierPrefix: 'APR',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_approval_requests_tenant_request_number', fields: ['tenant_id', 'request_number'], description: 'Approval request number unique within a tenant' },
+  ],
 
   rlsResource: 'approval_requests',
 
@@ -134,8 +146,8 @@ module.exports = {
     },
     approval: {
       label: 'Approval',
-      fields: ['approver_role', 'decision_notes', 'decided_at'],
-      rows: [['approver_role'], ['decision_notes'], ['decided_at']],
+      fields: ['approver_role', 'current_step', 'expires_at', 'on_timeout', 'decision_notes', 'decided_at'],
+      rows: [['approver_role', 'current_step'], ['expires_at', 'on_timeout'], ['decision_notes'], ['decided_at']],
       order: 3,
     },
   },
@@ -196,7 +208,44 @@ module.exports = {
     approver_role: {
       create: 'customer',
       read: 'customer',
-      update: 'none', // Set at creation
+      update: 'none', // Set at creation; advanced by approval-service (next step, escalation)
+      delete: 'none',
+    },
+    // Chain, timeout and target version - system-managed (approval-service)
+    approval_chain: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    current_step: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    expires_at: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    on_timeout: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    target_version: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    decision_history: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
       delete: 'none',
     },
     // Decision fields
@@ -244,6 +293,7 @@ module.exports = {
       recommendation: { label: 'Recommendation', color: 'info' },
       quote: { label: 'Quote', color: 'info' },
       purchase_order: { label: 'Purchase Order', color: 'info' },
+      invoice: { label: 'Invoice', color: 'info' },
     },
     // Roles that can be designated as approvers
     approver_role: {
@@ -253,6 +303,11 @@ module.exports = {
       manager: { label: 'Manager', color: 'info' },
       admin: { label: 'Admin', color: 'info' },
     },
+    // What happens when the current step times out
+    on_timeout: {
+      expire: { label: 'Expire', color: 'secondary' },
+      escalate: { label: 'Escalate', color: 'warning' },
+    },
   },
 
   // ============================================================================
@@ -325,6 +380,24 @@ module.exports = {
       { type: 'enum', enumKey: 'approver_role', description: 'Minimum role required to approve' },
       TRAITS.REQUIRED, TRAIT_SETS.LOOKUP,
     ),
+    approval_chain: withTraits(
+      { type: 'json', description: 'Ordered approver steps [{ approver, timeout }]' },
+      TRAITS.IMMUTABLE,
+    ),
+    current_step: { type: 'integer', default: 0, description: 'Index of the step awaiting a decision' },
+    expires_at: withTraits(
+      { type: 'timestamp', description: 'When the current step times out (null = never)' },
+      TRAIT_SETS.LOOKUP,
+    ),
+    on_timeout: withTraits(
+      { type: 'enum', enumKey: 'on_timeout', default: 'expire', description: 'Expire or escalate when a step times out' },
+      TRAITS.IMMUTABLE,
+    ),
+    target_version: withTraits(
+      { type: 'string', maxLength: 32, description: 'Target record version (ETag) when requested' },
+      TRAITS.IMMUTABLE,
+    ),
+    decision_history: { type: 'json', description: 'Per-step decisions, escalations and expiry' },
 
     // Decision fields
     decision_notes: { type: 'text', description: 'Notes from approver on decision' },
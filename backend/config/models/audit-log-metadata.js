@@ -86,7 +86,7 @@ module.exports = {
   features: {
     fileAttachments: false,
     summary: {
-      groupableFields: ['resource_type', 'action', 'user_id'],
+      groupableFields: ['resource_type', 'action', 'user_id', 'actor_type'],
     },
   },
 
@@ -101,7 +101,7 @@ module.exports = {
    * DEPRECATED: Use features.summary
    */
   summaryConfig: {
-    groupableFields: ['resource_type', 'action', 'user_id'],
+    groupableFields: ['resource_type', 'action', 'user_id', 'actor_type'],
   },
 
   /**
@@ -118,6 +118,13 @@ module.exports = {
 
   fieldGroups: {},
 
+  enums: {
+    actor_type: {
+      user: { color: 'primary', label: 'User' },
+      service: { color: 'secondary', label: 'Service' },
+    },
+  },
+
   /**
    * Entity category: N/A - system table, not a business entity
    */
@@ -147,6 +154,23 @@ module.exports = {
       TRAITS.READONLY,
       TRAIT_SETS.FILTER_ONLY,
     ),
+    // Who acted: a human user (user_id) or a machine client
+    // (service_credential_id, a row of the service_credentials table)
+    actor_type: withTraits(
+      {
+        type: 'enum',
+        enumKey: 'actor_type',
+        default: 'user',
+        description: 'user or service (machine client)',
+      },
+      TRAITS.READONLY,
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+    service_credential_id: withTraits(
+      { type: 'integer', description: 'Service credential that acted (actor_type service)' },
+      TRAITS.READONLY,
+      TRAIT_SETS.FILTER_ONLY,
+    ),
     ip_address: withTraits(
       { type: 'string', maxLength: 45 },
       TRAITS.READONLY,
@@ -213,6 +237,18 @@ module.exports = {
       update: 'none',
       delete: 'none',
     },
+    actor_type: {
+      create: 'none',
+      read: 'admin',
+      update: 'none',
+      delete: 'none',
+    },
+    service_credential_id: {
+      create: 'none',
+      read: 'admin',
+      update: 'none',
+      delete: 'none',
+    },
     ip_address: {
       create: 'none',
       read: 'admin',
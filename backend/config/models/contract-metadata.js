@@ -71,8 +71,13 @@ module.exports = {
 
   /**
    * Whether the identity field has a UNIQUE constraint in the database
+   * (no: it is unique per tenant, see uniqueConstraints - each tenant numbers its own)
    */
-  identityFieldUnique: true,
+  identityFieldUnique: false,
+
+  uniqueConstraints: [
+    { name: 'uq_contracts_tenant_contract_number', fields: ['tenant_id', 'contract_number'], description: 'Contract number unique within a tenant' },
+  ],
 
   /**
    * RLS resource name for permission checks
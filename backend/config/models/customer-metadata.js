@@ -20,6 +20,7 @@ const {
   withTraits,
   TRAITS,
   TRAIT_SETS,
+  createForeignKey,
 } = require('../field-types');
 
 /** @type {import('./entity-metadata.types').EntityMetadata} */
@@ -89,9 +90,16 @@ module.exports = {
       access: { type: 'direct', field: 'id', value: 'customer_profile_id' },
     },
     {
-      id: 'staff-full-access',
-      description: 'Staff see all customer records',
-      roles: ['technician', 'dispatcher', 'manager', 'admin'],
+      id: 'staff-organization-access',
+      description: 'Staff see customer records of their organizations, and unassigned ones',
+      roles: ['technician', 'dispatcher', 'manager'],
+      operations: '*',
+      access: { type: 'organization', field: 'organization_id' },
+    },
+    {
+      id: 'admin-full-access',
+      description: 'Admins see all customer records',
+      roles: 'admin',
       operations: '*',
       access: null,
     },
@@ -227,6 +235,9 @@ module.exports = {
     // Entity Contract v2.0 fields (id, is_active, created_at, updated_at, status)
     ...UNIVERSAL_FIELD_ACCESS,
 
+    // Owning company (ADR-014 §1)
+    organization_id: FAL.ORGANIZATION_ASSIGNMENT,
+
     // HUMAN entity name fields
     first_name: {
       create: 'dispatcher',
@@ -271,6 +282,39 @@ module.exports = {
     // Flat address fields - customer can update their own, internal teams can view
     ...createAddressFieldAccess('billing', 'customer'),
     ...createAddressFieldAccess('service', 'customer'),
+
+    // =========================================================================
+    // QUICKBOOKS INTEGRATION FIELDS
+    // =========================================================================
+
+    // QuickBooks Customer Id
+    qb_customer_id: {
+      create: 'admin',
+      read: 'dispatcher',
+      update: 'admin',
+      delete: 'none',
+    },
+    // Sync status enum
+    qb_sync_status: {
+      create: 'admin',
+      read: 'dispatcher',
+      update: 'admin',
+      delete: 'none',
+    },
+    // Last successful sync timestamp
+    qb_synced_at: {
+      create: 'admin',
+      read: 'dispatcher',
+      update: 'admin',
+      delete: 'none',
+    },
+    // Last sync error (restricted - may contain sensitive details)
+    qb_sync_error: {
+      create: 'admin',
+      read: 'admin',
+      update: 'admin',
+      delete: 'none',
+    },
   },
 
   // ============================================================================
@@ -283,6 +327,14 @@ module.exports = {
       active: { color: 'success', label: 'Active' },
       suspended: { color: 'error', label: 'Suspended' },
     },
+    // QuickBooks sync status enum
+    qb_sync_status: {
+      pending: { color: 'secondary', label: 'Pending' },
+      synced: { color: 'success', label: 'Synced' },
+      modified: { color: 'warning', label: 'Modified' },
+      error: { color: 'error', label: 'Error' },
+      skipped: { color: 'secondary', label: 'Skipped' },
+    },
   },
 
   // ============================================================================
@@ -292,6 +344,13 @@ module.exports = {
   defaultIncludes: [],
 
   relationships: {
+    organization: {
+      type: 'belongsTo',
+      foreignKey: 'organization_id',
+      table: 'organizations',
+      fields: ['id', 'name', 'code'],
+      description: 'Company that serves this customer',
+    },
     // Customers have many work orders
     workOrders: {
       type: 'hasMany',
@@ -398,6 +457,9 @@ module.exports = {
     // TIER 1: Universal Entity Contract Fields (field-centric)
     ...TIER1_FIELDS.WITH_STATUS,
 
+    // Owning company (ADR-014 §1) - rows without one are shared by all companies
+    organization_id: createForeignKey('organization', { traits: TRAIT_SETS.LOOKUP }),
+
     // HUMAN entity identity fields - REQUIRED + IDENTITY traits
     email: withTraits(
       { ...FIELD.EMAIL, description: 'Customer email (identity field)' },
@@ -428,5 +490,48 @@ module.exports = {
     // Flat address fields with traits embedded
     ...createAddressFields('billing', { searchable: true }),
     ...createAddressFields('service', { searchable: true }),
+
+    // =========================================================================
+    // QUICKBOOKS INTEGRATION FIELDS
+    // =========================================================================
+
+    // External ID from QuickBooks (Customer Id)
+    qb_customer_id: withTraits(
+      {
+        type: 'string',
+        maxLength: 50,
+        description: 'QuickBooks Customer Id',
+        pattern: '^[A-Za-z0-9-]+$',
+      },
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+
+    // Sync status enum
+    qb_sync_status: withTraits(
+      {
+        type: 'enum',
+        enumKey: 'qb_sync_status',
+        default: null,
+        description: 'QuickBooks synchronization status',
+      },
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+
+    // Last successful sync timestamp
+    qb_synced_at: withTraits(
+      {
+        type: 'timestamp',
+        description: 'Timestamp of last successful QuickBooks sync',
+      },
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+
+    // Last sync error (cleared on success)
+    // NOTE: Intentionally no traits - error messages should not be filterable/searchable
+    qb_sync_error: {
+      type: 'text',
+      maxLength: 500,
+      description: 'Last QuickBooks sync error message',
+    },
   },
 };
@@ -234,10 +234,18 @@
  * @property {RLSJunctionConfig} junction - Junction path configuration
  */
 
+/**
+ * Organization access configuration - the row's company must be one of the
+ * user's active organization_memberships. Rows without a company are shared.
+ * @typedef {Object} RLSOrganizationAccess
+ * @property {'organization'} type - Access type discriminator
+ * @property {string} [field='organization_id'] - Column holding the row's organization
+ */
+
 /**
  * Access configuration for an RLS rule.
  * null = full access (no filtering).
- * @typedef {null | RLSDirectAccess | RLSParentAccess | RLSJunctionAccess} RLSAccessConfig
+ * @typedef {null | RLSDirectAccess | RLSParentAccess | RLSJunctionAccess | RLSOrganizationAccess} RLSAccessConfig
  */
 
 /**
@@ -297,6 +305,15 @@
  * @typedef {Object} RouteConfig
  * @property {boolean} useGenericRouter - Whether to use GenericEntityService for CRUD
  * @property {string} [mountPath] - Custom API mount path
+ * @property {SubEntityConfig} [subEntityOf] - Mount CRUD under the parent entity instead
+ */
+
+/**
+ * Sub-entity routing: child CRUD mounted at /api/<parent table>/:id/<path>.
+ * @typedef {Object} SubEntityConfig
+ * @property {string} parent - Parent entity key (e.g., 'invoice')
+ * @property {string} foreignKey - Child FK to the parent, set from the URL (e.g., 'invoice_id')
+ * @property {string} path - Path segment under the parent (e.g., 'line_items')
  */
 
 /**
@@ -307,6 +324,22 @@
  * @property {boolean} [readOnly] - Whether users can override computed name
  */
 
+/**
+ * One allowed move of a workflow state machine.
+ * @typedef {Object} TransitionEdge
+ * @property {string | string[]} from - Current state(s)
+ * @property {string | string[]} to - Target state(s)
+ * @property {string} minRole - Minimum role allowed to make the move (e.g., 'dispatcher')
+ * @property {string[]} [requires] - Fields that must be non-empty after the move
+ */
+
+/**
+ * Status state machine for workflow entities (enforced on update).
+ * @typedef {Object} TransitionsConfig
+ * @property {string} field - Enum field holding the state (usually 'status')
+ * @property {TransitionEdge[]} edges - Allowed from→to moves; anything else is refused
+ */
+
 /**
  * Dependent entity for cascade operations.
  * @typedef {Object} DependentConfig
@@ -438,6 +471,7 @@
  *
  * @property {RouteConfig} [routeConfig] - API routing configuration
  * @property {ComputedNameConfig} [computedName] - Name computation for COMPUTED entities
+ * @property {TransitionsConfig} [transitions] - Status state machine (workflow entities only)
  * @property {SystemProtected} [systemProtected] - Protection for seed data records
  * @property {DependentConfig[]} [dependents] - Cascade delete configuration
  *
@@ -0,0 +1,324 @@
+/**
+ * Invoice Line Item Model Metadata
+ *
+ * Category: SIMPLE (description field for identity and display)
+ *
+ * SRP: ONLY defines InvoiceLineItem table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * SINGLE SOURCE OF TRUTH for InvoiceLineItem model query and CRUD capabilities
+ *
+ * Line items itemise an invoice (parts, labour hours, fees). They are edited
+ * through the invoice: /api/invoices/:id/line_items (routes/sub-entity-router.js).
+ * Any change to quantity, unit_price, tax_rate or is_active - and deleting a
+ * line - recomputes the parent invoice's amount, tax and total via the
+ * 'recalculate_invoice_total' compute action (config/actions.json).
+ */
+
+const {
+  FIELD_ACCESS_LEVELS: FAL,
+  UNIVERSAL_FIELD_ACCESS,
+} = require('../constants');
+const {
+  FIELD,
+  TIER1_FIELDS,
+  withTraits,
+  TRAITS,
+  TRAIT_SETS,
+  createForeignKey,
+} = require('../field-types');
+
+/** Hook shared by every field the invoice totals are computed from */
+const RECALCULATE_INVOICE_TOTALS = Object.freeze([
+  Object.freeze({
+    on: 'change',
+    do: 'recalculate_invoice_total',
+    description: 'Recompute invoice amount, tax and total',
+  }),
+]);
+
+/** @type {import('./entity-metadata.types').EntityMetadata} */
+module.exports = {
+  entityKey: 'invoice_line_item',
+  tableName: 'invoice_line_items',
+  primaryKey: 'id',
+  icon: 'format_list_numbered',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  // null namePattern = no auto-generated name columns; uses description as identity
+  namePattern: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  identityField: 'description',
+  displayField: 'description',
+  identityFieldUnique: false, // The same description can appear on many invoices
+
+  rlsResource: 'invoice_line_items',
+
+  /**
+   * Row-Level Security rules (ADR-011)
+   * Customers see the lines of their own invoices (parent access)
+   */
+  rlsRules: [
+    {
+      id: 'customer-via-invoice',
+      description: 'Customers see line items of their own invoices',
+      roles: 'customer',
+      operations: ['read'],
+      access: { type: 'parent', foreignKey: 'invoice_id', parentEntity: 'invoice' },
+    },
+    // technician: no rule = deny (matches invoice)
+    {
+      id: 'office-staff-full-access',
+      description: 'Dispatcher, manager, admin see all invoice line items',
+      roles: ['dispatcher', 'manager', 'admin'],
+      operations: '*',
+      access: null,
+    },
+  ],
+
+  entityPermissions: {
+    create: 'dispatcher',
+    read: 'customer',
+    update: 'dispatcher',
+    delete: 'dispatcher',
+  },
+
+  // ============================================================================
+  // CONSOLIDATED NAVIGATION & FEATURES
+  // ============================================================================
+
+  /**
+   * Navigation configuration - consolidated
+   * null = line items are managed from the parent invoice UI
+   */
+  navigation: null,
+
+  features: {
+    fileAttachments: false,
+    summary: null,
+  },
+
+  navVisibility: null, // DEPRECATED: Use navigation
+
+  supportsFileAttachments: false, // DEPRECATED: Use features.fileAttachments
+
+  summaryConfig: null, // DEPRECATED: Use features.summary
+
+  /**
+   * Route configuration - no top-level generic router; mounted under the
+   * parent invoice by config/route-loader.js loadSubEntityRoutes()
+   */
+  routeConfig: {
+    useGenericRouter: false,
+    subEntityOf: {
+      parent: 'invoice',
+      foreignKey: 'invoice_id',
+      path: 'line_items',
+    },
+  },
+
+  fieldGroups: {
+    pricing: {
+      label: 'Pricing',
+      fields: ['quantity', 'unit_price', 'tax_rate'],
+      rows: [['quantity', 'unit_price', 'tax_rate']],
+      order: 1,
+    },
+    source: {
+      label: 'Source',
+      fields: ['inventory_id', 'service_template_id'],
+      rows: [['inventory_id', 'service_template_id']],
+      order: 2,
+    },
+  },
+
+  fieldAliases: {
+    tax_rate: 'Tax Rate (%)',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  displayColumns: ['description', 'quantity', 'unit_price', 'tax_rate'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL
+  // ============================================================================
+
+  fieldAccess: {
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Parent invoice - set from the route, immutable
+    invoice_id: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'none', // Cannot move a line to another invoice
+      delete: 'none',
+    },
+    description: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    quantity: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    unit_price: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    tax_rate: {
+      create: 'dispatcher',
+      read: 'customer',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    // Optional source references - office-internal
+    inventory_id: FAL.DISPATCHER_MANAGED,
+    service_template_id: FAL.DISPATCHER_MANAGED,
+    sort_order: FAL.DISPATCHER_MANAGED,
+  },
+
+  // ============================================================================
+  // ENUM DEFINITIONS
+  // ============================================================================
+
+  enums: {},
+
+  // ============================================================================
+  // RELATIONSHIPS
+  // ============================================================================
+
+  defaultIncludes: [],
+
+  relationships: {
+    invoice: {
+      type: 'belongsTo',
+      foreignKey: 'invoice_id',
+      table: 'invoices',
+      fields: ['id', 'invoice_number', 'status'],
+      description: 'Invoice this line belongs to',
+    },
+    inventory: {
+      type: 'belongsTo',
+      foreignKey: 'inventory_id',
+      table: 'inventory',
+      fields: ['id', 'name', 'sku'],
+      description: 'Inventory part billed on this line',
+    },
+    serviceTemplate: {
+      type: 'belongsTo',
+      foreignKey: 'service_template_id',
+      table: 'service_templates',
+      fields: ['id', 'name'],
+      description: 'Service billed on this line',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'invoice_line_items' },
+    },
+  ],
+
+  // ============================================================================
+  // SORT CONFIGURATION
+  // ============================================================================
+
+  defaultSort: {
+    field: 'sort_order',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (with embedded traits for query capabilities)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields (field-centric)
+    ...TIER1_FIELDS.CORE,
+
+    // Deactivating (soft-deleting) a line drops it from the invoice totals
+    is_active: {
+      ...TIER1_FIELDS.CORE.is_active,
+      afterChange: RECALCULATE_INVOICE_TOTALS,
+    },
+
+    // Parent reference - immutable; deleting the line recomputes the invoice
+    invoice_id: {
+      ...createForeignKey('invoice', {
+        required: true,
+        immutable: true,
+        onDelete: 'CASCADE',
+        traits: TRAIT_SETS.LOOKUP,
+      }),
+      afterChange: [
+        {
+          on: 'delete',
+          do: 'recalculate_invoice_total',
+          description: 'Recompute invoice totals without the removed line',
+        },
+      ],
+    },
+
+    // Identity field
+    description: withTraits(
+      { type: 'string', maxLength: 255, description: 'What is being billed (part, labour, fee)' },
+      TRAITS.REQUIRED, TRAIT_SETS.FULLTEXT,
+    ),
+
+    // Pricing - each change recomputes the invoice
+    quantity: {
+      ...withTraits(
+        { type: 'decimal', precision: 10, scale: 2, min: 0, default: 1, description: 'Quantity (units or hours)' },
+        TRAIT_SETS.SORTABLE,
+      ),
+      afterChange: RECALCULATE_INVOICE_TOTALS,
+    },
+    unit_price: {
+      ...withTraits(
+        { ...FIELD.CURRENCY, description: 'Price per unit' },
+        TRAITS.REQUIRED, TRAIT_SETS.SORTABLE,
+      ),
+      afterChange: RECALCULATE_INVOICE_TOTALS,
+    },
+    tax_rate: {
+      ...withTraits(
+        { type: 'decimal', precision: 5, scale: 2, min: 0, max: 100, default: 0, description: 'Tax rate in percent' },
+        TRAIT_SETS.FILTER_ONLY,
+      ),
+      afterChange: RECALCULATE_INVOICE_TOTALS,
+    },
+
+    // Optional source references
+    inventory_id: createForeignKey('inventory', { traits: TRAIT_SETS.LOOKUP }),
+    service_template_id: createForeignKey('service_template', { traits: TRAIT_SETS.LOOKUP }),
+
+    // Display order on the invoice
+    sort_order: withTraits(
+      { ...FIELD.INTEGER, default: 0, min: 0, description: 'Position on the invoice' },
+      TRAIT_SETS.SORTABLE,
+    ),
+  },
+};
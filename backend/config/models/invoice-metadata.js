@@ -11,7 +11,7 @@
  */
 
 const {
-  FIELD_ACCESS_LEVELS: _FAL,
+  FIELD_ACCESS_LEVELS: FAL,
   UNIVERSAL_FIELD_ACCESS,
 } = require('../constants');
 const {
@@ -74,8 +74,13 @@ module.exports = {
 
   /**
    * Whether the identity field has a UNIQUE constraint in the database
+   * (no: it is unique per tenant, see uniqueConstraints - each tenant numbers its own)
    */
-  identityFieldUnique: true,
+  identityFieldUnique: false,
+
+  uniqueConstraints: [
+    { name: 'uq_invoices_tenant_invoice_number', fields: ['tenant_id', 'invoice_number'], description: 'Invoice number unique within a tenant' },
+  ],
 
   /**
    * RLS resource name for permission checks
@@ -97,9 +102,16 @@ module.exports = {
     },
     // technician: no rule = deny
     {
-      id: 'office-staff-full-access',
-      description: 'Dispatcher, manager, admin see all invoices',
-      roles: ['dispatcher', 'manager', 'admin'],
+      id: 'staff-organization-access',
+      description: 'Staff see invoices of their organizations, and unassigned ones',
+      roles: ['dispatcher', 'manager'],
+      operations: '*',
+      access: { type: 'organization', field: 'organization_id' },
+    },
+    {
+      id: 'admin-full-access',
+      description: 'Admins see all invoices',
+      roles: 'admin',
       operations: '*',
       access: null,
     },
@@ -218,6 +230,9 @@ module.exports = {
     // Entity Contract v2.0 fields
     ...UNIVERSAL_FIELD_ACCESS,
 
+    // Owning company (ADR-014 §1)
+    organization_id: FAL.ORGANIZATION_ASSIGNMENT,
+
     // Identity field - auto-generated, immutable
     invoice_number: {
       create: 'none', // Auto-generated
@@ -290,7 +305,7 @@ module.exports = {
     // QUICKBOOKS INTEGRATION FIELDS
     // =========================================================================
 
-    // External ID from QuickBooks (DocNumber)
+    // External ID from QuickBooks (Invoice Id)
     qb_invoice_id: {
       create: 'admin',
       read: 'dispatcher',
@@ -343,6 +358,24 @@ module.exports = {
     },
   },
 
+  // ============================================================================
+  // STATUS TRANSITIONS (state machine - enforced on update, see transition-service.js)
+  // ============================================================================
+
+  transitions: {
+    field: 'status',
+    edges: [
+      { from: 'draft', to: 'sent', minRole: 'dispatcher' },
+      { from: 'draft', to: 'cancelled', minRole: 'dispatcher' },
+      { from: 'sent', to: 'overdue', minRole: 'dispatcher' },
+      { from: 'overdue', to: 'sent', minRole: 'dispatcher' },
+      { from: ['sent', 'overdue'], to: 'paid', minRole: 'dispatcher', requires: ['paid_at'] },
+      { from: ['draft', 'sent', 'overdue'], to: 'void', minRole: 'manager' },
+      // Reopen
+      { from: 'cancelled', to: 'draft', minRole: 'manager' },
+    ],
+  },
+
   // ============================================================================
   // RELATIONSHIPS (for JOIN queries)
   // ============================================================================
@@ -359,6 +392,13 @@ module.exports = {
    * Used for JOIN generation and validation
    */
   relationships: {
+    organization: {
+      type: 'belongsTo',
+      foreignKey: 'organization_id',
+      table: 'organizations',
+      fields: ['id', 'name', 'code'],
+      description: 'Company issuing this invoice',
+    },
     // Invoice belongs to a customer (required)
     customer: {
       type: 'belongsTo',
@@ -382,6 +422,22 @@ module.exports = {
       fields: ['id', 'work_order_number', 'name', 'status'],
       description: 'Work order this invoice is for',
     },
+    // Invoice has many line items (amount/tax/total are computed from them)
+    lineItems: {
+      type: 'hasMany',
+      foreignKey: 'invoice_id',
+      table: 'invoice_line_items',
+      fields: ['id', 'description', 'quantity', 'unit_price', 'tax_rate'],
+      description: 'Itemised lines billed on this invoice',
+    },
+    // Invoice has many payments (partial payments settle it over time)
+    payments: {
+      type: 'hasMany',
+      foreignKey: 'invoice_id',
+      table: 'payments',
+      fields: ['id', 'payment_number', 'amount', 'payment_date', 'payment_method', 'status'],
+      description: 'Payments recorded against this invoice',
+    },
   },
 
   // ============================================================================
@@ -429,6 +485,9 @@ module.exports = {
   fields: {
     // TIER 1: Universal Entity Contract Fields (field-centric)
     ...TIER1_FIELDS.WITH_STATUS,
+
+    // Owning company (ADR-014 §1) - rows without one are shared by all companies
+    organization_id: createForeignKey('organization', { traits: TRAIT_SETS.LOOKUP }),
     // Override status default (workflow entity - draft→sent→paid, not active/inactive)
     // Includes lifecycle hooks for status transitions
     status: {
@@ -442,7 +501,16 @@ module.exports = {
           description: 'High-value invoices require manager approval before sending',
           on: 'change',
           when: { field: 'total', operator: '>', value: 5000 },
-          requiresApproval: { approver: 'manager', reason: 'high_value_invoice' },
+          // Manager within 48h (then escalated to admin); above 25000 an admin signs off too
+          requiresApproval: {
+            approver: 'manager',
+            reason: 'high_value_invoice',
+            timeout: 48,
+            onTimeout: 'escalate',
+            steps: [
+              { approver: 'admin', when: { field: 'total', operator: '>', value: 25000 } },
+            ],
+          },
         },
       ],
     },
@@ -477,12 +545,12 @@ module.exports = {
     // QUICKBOOKS INTEGRATION FIELDS
     // =========================================================================
 
-    // External ID from QuickBooks (DocNumber)
+    // External ID from QuickBooks (Invoice Id; DocNumber mirrors invoice_number)
     qb_invoice_id: withTraits(
       {
         type: 'string',
         maxLength: 50,
-        description: 'QuickBooks Invoice DocNumber',
+        description: 'QuickBooks Invoice Id',
         pattern: '^[A-Za-z0-9-]+$',
       },
       TRAIT_SETS.FILTER_ONLY,
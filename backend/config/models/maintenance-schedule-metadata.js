@@ -46,7 +46,11 @@ module.exports = {
 
   identityField: 'schedule_number',
   identifierPrefix: 'MS',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_maintenance_schedules_tenant_schedule_number', fields: ['tenant_id', 'schedule_number'], description: 'Schedule number unique within a tenant' },
+  ],
 
   rlsResource: 'maintenance_schedules',
 
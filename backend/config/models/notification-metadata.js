@@ -12,6 +12,8 @@
  * - Follows saved_views pattern for per-user data
  * - type field for UI styling (info, success, warning, error, assignment, reminder)
  * - resource_type + resource_id for navigation on click
+ * - email_* fields track email delivery (channels: ['email']); set by
+ *   services/notifications/email-service.js, null when no email was requested
  */
 
 const { FIELD_ACCESS_LEVELS: FAL } = require('../constants');
@@ -218,6 +220,43 @@ module.exports = {
       update: 'system', // Set automatically when is_read changes
       delete: 'none',
     },
+    template: {
+      create: 'system',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    // Email delivery - written by the delivery job only
+    email_status: {
+      create: 'system',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    email_sent_at: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    email_attempts: {
+      create: 'none',
+      read: 'admin',
+      update: 'none',
+      delete: 'none',
+    },
+    email_error: {
+      create: 'none',
+      read: 'admin',
+      update: 'none',
+      delete: 'none',
+    },
+    email_message_id: {
+      create: 'none',
+      read: 'admin',
+      update: 'none',
+      delete: 'none',
+    },
     created_at: FAL.SYSTEM_ONLY,
     updated_at: FAL.SYSTEM_ONLY,
   },
@@ -235,6 +274,13 @@ module.exports = {
       assignment: { color: 'primary', label: 'Assignment' },
       reminder: { color: 'warning', label: 'Reminder' },
     },
+    email_status: {
+      pending: { color: 'info', label: 'Pending' },
+      sent: { color: 'success', label: 'Sent' },
+      bounced: { color: 'error', label: 'Bounced' },
+      failed: { color: 'error', label: 'Failed' },
+      skipped: { color: 'secondary', label: 'Skipped' },
+    },
   },
 
   // ============================================================================
@@ -356,6 +402,58 @@ module.exports = {
       description: 'When notification was marked as read',
     },
 
+    // Source template (config/notification-templates.json) - picks the email template
+    template: withTraits(
+      {
+        type: 'string',
+        maxLength: 50,
+        description: 'Notification template that produced this notification',
+      },
+      TRAITS.IMMUTABLE,
+      TRAITS.READONLY,
+    ),
+
+    // Email delivery - system-managed
+    email_status: withTraits(
+      {
+        type: 'enum',
+        enumKey: 'email_status',
+        description: 'Email delivery status (null when no email was requested)',
+      },
+      TRAITS.READONLY,
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+    email_sent_at: withTraits(
+      {
+        type: 'timestamp',
+        description: 'When the email was accepted by the transport',
+      },
+      TRAITS.READONLY,
+    ),
+    email_attempts: withTraits(
+      {
+        type: 'integer',
+        default: 0,
+        description: 'Email delivery attempts made',
+      },
+      TRAITS.READONLY,
+    ),
+    email_error: withTraits(
+      {
+        type: 'text',
+        description: 'Last delivery error, bounce or skip reason',
+      },
+      TRAITS.READONLY,
+    ),
+    email_message_id: withTraits(
+      {
+        type: 'string',
+        maxLength: 255,
+        description: 'Message-ID of the sent email (matches bounce reports)',
+      },
+      TRAITS.READONLY,
+    ),
+
     // Timestamps
     created_at: withTraits(TIER1.CREATED_AT, TRAIT_SETS.FILTER_ONLY),
     updated_at: TIER1.UPDATED_AT,
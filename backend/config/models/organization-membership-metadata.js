@@ -0,0 +1,220 @@
+/**
+ * OrganizationMembership Junction Model Metadata
+ *
+ * Category: JUNCTION (M:M relationship table, no display name)
+ *
+ * SRP: ONLY defines OrganizationMembership junction table structure
+ * Used by QueryBuilderService for M:M relationship queries
+ * Used by GenericEntityService for junction record CRUD
+ *
+ * SINGLE SOURCE OF TRUTH for Organization-User relationship metadata
+ *
+ * This junction places staff in the companies they work for. The RLS
+ * 'organization' access type reads it at query time, so an active membership
+ * is what lets a user reach an organization's rows (ADR-014 §1).
+ */
+
+const { UNIVERSAL_FIELD_ACCESS } = require('../constants');
+const {
+  createJunctionFields,
+  createJunctionUniqueConstraint,
+} = require('../field-types');
+
+/** @type {import('./entity-metadata.types').EntityMetadata} */
+module.exports = {
+  entityKey: 'organization_membership',
+  tableName: 'organization_memberships',
+  primaryKey: 'id',
+  icon: 'badge',
+
+  // ============================================================================
+  // JUNCTION CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Junction entities have no display name pattern
+   * They are referenced by their composite key, not a name field
+   */
+  namePattern: null,
+
+  // ============================================================================
+  // CONSOLIDATED JUNCTION CONFIGURATION
+  // ============================================================================
+
+  junction: {
+    entities: ['organization', 'user'],
+    uniqueOn: [['organization_id', 'user_id']],
+  },
+
+  /**
+   * Composite unique constraint prevents duplicate memberships
+   */
+  uniqueConstraints: [createJunctionUniqueConstraint('organization', 'user')],
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Junction tables use 'id' as identity (no separate identity field)
+   */
+  identityField: 'id',
+  identityFieldUnique: true,
+
+  rlsResource: 'organization_memberships',
+
+  /**
+   * Row-Level Security rules (ADR-011)
+   * Declarative grant-based rules. No match = deny.
+   */
+  rlsRules: [
+    {
+      id: 'staff-own-memberships',
+      description: 'Staff see their own memberships (the active organization switch)',
+      roles: ['technician', 'dispatcher', 'manager'],
+      operations: 'read',
+      access: { type: 'direct', field: 'user_id', value: 'userId' },
+    },
+    {
+      id: 'admin-full-access',
+      description: 'Admins manage all memberships',
+      roles: 'admin',
+      operations: '*',
+      access: null,
+    },
+  ],
+
+  /**
+   * Navigation configuration - consolidated
+   * null = junction tables are managed through the parent entities' UI
+   */
+  navigation: null,
+
+  /**
+   * Junction tables are not shown in navigation
+   * They are managed through the parent entities' UI
+   * DEPRECATED: Use navigation
+   */
+  navVisibility: null,
+
+  /**
+   * Features configuration - consolidated
+   */
+  features: {
+    fileAttachments: false,
+    summary: null,
+  },
+
+  /**
+   * DEPRECATED: Use features.fileAttachments
+   */
+  supportsFileAttachments: false,
+
+  /**
+   * Summary endpoint configuration for aggregated analytics.
+   * Null: Junction table for organization-user relationships.
+   * DEPRECATED: Use features.summary
+   */
+  summaryConfig: null,
+
+  entityPermissions: {
+    create: 'admin',
+    read: 'technician',
+    update: 'admin',
+    delete: 'admin',
+  },
+
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {},
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  displayColumns: ['organization_id', 'user_id'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL
+  // ============================================================================
+
+  fieldAccess: {
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    // Deactivating a membership revokes access without losing the record
+    is_active: {
+      create: 'none',
+      read: 'technician',
+      update: 'admin',
+      delete: 'none',
+    },
+
+    // Junction FK fields
+    organization_id: {
+      create: 'admin',
+      read: 'technician',
+      update: 'none', // Cannot change the relationship
+      delete: 'none',
+    },
+    user_id: {
+      create: 'admin',
+      read: 'technician',
+      update: 'none', // Cannot change the relationship
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // ENUM DEFINITIONS
+  // ============================================================================
+
+  enums: {},
+
+  // ============================================================================
+  // RELATIONSHIPS
+  // ============================================================================
+
+  defaultIncludes: ['organization'],
+
+  relationships: {
+    organization: {
+      type: 'belongsTo',
+      foreignKey: 'organization_id',
+      table: 'organizations',
+      fields: ['id', 'name', 'code', 'status'],
+      description: 'Company the user works for',
+    },
+    user: {
+      type: 'belongsTo',
+      foreignKey: 'user_id',
+      table: 'users',
+      fields: ['id', 'first_name', 'last_name', 'email'],
+      description: 'Staff member in this organization',
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  dependents: [],
+
+  // ============================================================================
+  // SORT CONFIGURATION
+  // ============================================================================
+
+  defaultSort: {
+    field: 'created_at',
+    order: 'DESC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (Field-Centric: traits embedded in field definitions)
+  // ============================================================================
+
+  fields: createJunctionFields('organization', 'user'),
+};
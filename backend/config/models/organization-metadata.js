@@ -0,0 +1,201 @@
+/**
+ * Organization Model Metadata
+ *
+ * Category: SIMPLE (name field for identity and display)
+ *
+ * SRP: ONLY defines Organization table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * SINGLE SOURCE OF TRUTH for Organization model query and CRUD capabilities
+ *
+ * An organization is one company of the family sharing a tenant (ADR-014 §1,
+ * e.g. PREM / ARKE). Company-scoped entities reference it via organization_id
+ * and staff reach those rows through organization_memberships. It is a data
+ * dimension within the tenant, not an isolation boundary.
+ */
+
+const {
+  FIELD_ACCESS_LEVELS: FAL,
+  UNIVERSAL_FIELD_ACCESS,
+} = require('../constants');
+const {
+  FIELD,
+  NAME_PATTERNS,
+  TIER1_FIELDS,
+  withTraits,
+  TRAITS,
+  TRAIT_SETS,
+} = require('../field-types');
+
+/** @type {import('./entity-metadata.types').EntityMetadata} */
+module.exports = {
+  entityKey: 'organization',
+  tableName: 'organizations',
+  primaryKey: 'id',
+  icon: 'domain',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  namePattern: NAME_PATTERNS.SIMPLE,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  identityField: 'name',
+  displayField: 'name',
+  identityFieldUnique: false, // Unique per tenant: each hosted company names its own
+
+  uniqueConstraints: [
+    { name: 'uq_organizations_tenant_name', fields: ['tenant_id', 'name'], description: 'Organization name unique within a tenant' },
+  ],
+
+  rlsResource: 'organizations',
+
+  /**
+   * Row-Level Security rules (ADR-011)
+   * Declarative grant-based rules. No match = deny.
+   */
+  rlsRules: [
+    // customer: no rule = deny (internal resource)
+    {
+      id: 'staff-full-access',
+      description: 'Staff see all organizations of their tenant',
+      roles: ['technician', 'dispatcher', 'manager', 'admin'],
+      operations: '*',
+      access: null,
+    },
+  ],
+
+  // ============================================================================
+  // CONSOLIDATED NAVIGATION & FEATURES
+  // ============================================================================
+
+  navigation: {
+    visibility: 'admin',
+    group: 'admin',
+    order: 3,
+  },
+
+  features: {
+    fileAttachments: false,
+    summary: null,
+  },
+
+  navVisibility: 'admin', // DEPRECATED: Use navigation.visibility
+  navGroup: 'admin', // DEPRECATED: Use navigation.group
+  navOrder: 3, // DEPRECATED: Use navigation.order
+
+  supportsFileAttachments: false, // DEPRECATED: Use features.fileAttachments
+
+  /**
+   * Summary endpoint configuration for aggregated analytics.
+   * Null: Organizations are not aggregated.
+   */
+  summaryConfig: null, // DEPRECATED: Use features.summary
+
+  entityPermissions: {
+    create: 'admin',
+    read: 'technician',
+    update: 'admin',
+    delete: 'admin',
+  },
+
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+  fieldAliases: {},
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  displayColumns: ['name', 'code', 'description', 'status'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL
+  // ============================================================================
+
+  fieldAccess: {
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    name: FAL.ADMIN_MANAGED_MANAGER_READ,
+    code: FAL.ADMIN_MANAGED_MANAGER_READ,
+    description: FAL.ADMIN_MANAGED_MANAGER_READ,
+  },
+
+  // ============================================================================
+  // ENUM DEFINITIONS
+  // ============================================================================
+
+  enums: {
+    status: {
+      active: { color: 'success', label: 'Active' },
+      inactive: { color: 'secondary', label: 'Inactive' },
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS
+  // ============================================================================
+
+  defaultIncludes: [],
+  relationships: {},
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  dependents: [
+    {
+      table: 'organization_memberships',
+      foreignKey: 'organization_id',
+      strategy: 'cascade', // Memberships go with the company
+    },
+    ...['customers', 'properties', 'work_orders', 'invoices', 'vendors'].map((table) => ({
+      table,
+      foreignKey: 'organization_id',
+      strategy: 'restrict', // Deactivate a company that still owns records instead
+    })),
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'organizations' },
+    },
+  ],
+
+  // ============================================================================
+  // SORT CONFIGURATION
+  // ============================================================================
+
+  defaultSort: {
+    field: 'name',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (Field-Centric: traits embedded in field definitions)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields
+    ...TIER1_FIELDS.WITH_STATUS,
+
+    // Entity-specific fields
+    name: withTraits(
+      { ...FIELD.NAME, maxLength: 100 },
+      TRAITS.REQUIRED,
+      TRAIT_SETS.IDENTITY,
+    ),
+    code: withTraits(
+      { type: 'string', maxLength: 20, description: 'Short company code (e.g. PREM)' },
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+    description: withTraits(FIELD.DESCRIPTION, TRAITS.SEARCHABLE),
+  },
+};
@@ -46,7 +46,11 @@ module.exports = {
 
   identityField: 'payment_number',
   identifierPrefix: 'PMT',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_payments_tenant_payment_number', fields: ['tenant_id', 'payment_number'], description: 'Payment number unique within a tenant' },
+  ],
 
   rlsResource: 'payments',
 
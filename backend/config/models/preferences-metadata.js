@@ -105,7 +105,7 @@ module.exports = {
     },
     notifications: {
       label: 'Notifications',
-      fields: ['notifications_enabled', 'notification_retention_days'],
+      fields: ['notifications_enabled', 'locale', 'notification_retention_days'],
       order: 2,
     },
     data: {
@@ -133,6 +133,7 @@ module.exports = {
     theme: FAL.SELF_EDITABLE,
     density: FAL.SELF_EDITABLE,
     notifications_enabled: FAL.SELF_EDITABLE,
+    locale: FAL.SELF_EDITABLE,
     items_per_page: FAL.SELF_EDITABLE,
     notification_retention_days: FAL.SELF_EDITABLE,
     auto_refresh_interval: FAL.SELF_EDITABLE,
@@ -173,6 +174,11 @@ module.exports = {
 
     // Notification settings
     notifications_enabled: { type: 'boolean', default: true },
+    // Language of notifications and emails (values = locales in notification-templates.json)
+    locale: withTraits(
+      { type: 'enum', enumKey: 'locale', default: 'en' },
+      TRAIT_SETS.FILTER_ONLY,
+    ),
     notification_retention_days: {
       type: 'integer',
       min: 1,
@@ -214,5 +220,9 @@ module.exports = {
       standard: { label: 'Standard' },
       comfortable: { label: 'Comfortable' },
     },
+    locale: {
+      en: { label: 'English' },
+      es: { label: 'Español' },
+    },
   },
 };
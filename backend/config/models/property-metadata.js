@@ -22,6 +22,7 @@ const {
   TRAIT_SETS,
   createAddressFields,
   createAddressFieldAccess,
+  createForeignKey,
 } = require('../field-types');
 
 /** @type {import('./entity-metadata.types').EntityMetadata} */
@@ -89,9 +90,16 @@ module.exports = {
       },
     },
     {
-      id: 'staff-full-access',
-      description: 'Staff see all properties',
-      roles: ['technician', 'dispatcher', 'manager', 'admin'],
+      id: 'staff-organization-access',
+      description: 'Staff see properties of their organizations, and unassigned ones',
+      roles: ['technician', 'dispatcher', 'manager'],
+      operations: '*',
+      access: { type: 'organization', field: 'organization_id' },
+    },
+    {
+      id: 'admin-full-access',
+      description: 'Admins see all properties',
+      roles: 'admin',
       operations: '*',
       access: null,
     },
@@ -189,6 +197,9 @@ module.exports = {
   fieldAccess: {
     ...UNIVERSAL_FIELD_ACCESS,
 
+    // Owning company (ADR-014 §1)
+    organization_id: FAL.ORGANIZATION_ASSIGNMENT,
+
     name: FAL.DISPATCHER_MANAGED,
     property_type: FAL.DISPATCHER_MANAGED,
     access_instructions: {
@@ -226,6 +237,13 @@ module.exports = {
   defaultIncludes: [],
 
   relationships: {
+    organization: {
+      type: 'belongsTo',
+      foreignKey: 'organization_id',
+      table: 'organizations',
+      fields: ['id', 'name', 'code'],
+      description: 'Company that manages this property',
+    },
     // Property has many units (the primary subdivision)
     units: {
       type: 'hasMany',
@@ -296,6 +314,9 @@ module.exports = {
     // TIER 1: Universal Entity Contract Fields
     ...TIER1_FIELDS.WITH_STATUS,
 
+    // Owning company (ADR-014 §1) - rows without one are shared by all companies
+    organization_id: createForeignKey('organization', { traits: TRAIT_SETS.LOOKUP }),
+
     // Entity-specific fields
     name: withTraits(
       { ...FIELD.NAME, maxLength: 200 },
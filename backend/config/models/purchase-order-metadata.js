@@ -46,7 +46,11 @@ module.exports = {
 
   identityField: 'po_number',
   identifierPrefix: 'PO',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_purchase_orders_tenant_po_number', fields: ['tenant_id', 'po_number'], description: 'PO number unique within a tenant' },
+  ],
 
   rlsResource: 'purchase_orders',
 
@@ -172,6 +176,24 @@ module.exports = {
     },
   },
 
+  // ============================================================================
+  // STATUS TRANSITIONS (state machine - enforced on update, see transition-service.js)
+  // ============================================================================
+
+  transitions: {
+    field: 'status',
+    edges: [
+      { from: 'draft', to: 'submitted', minRole: 'dispatcher' },
+      { from: 'submitted', to: 'draft', minRole: 'dispatcher' },
+      { from: 'submitted', to: ['approved', 'rejected'], minRole: 'manager' },
+      { from: 'rejected', to: 'draft', minRole: 'dispatcher' },
+      { from: 'approved', to: 'ordered', minRole: 'dispatcher' },
+      { from: 'ordered', to: 'received', minRole: 'dispatcher' },
+      { from: ['draft', 'submitted'], to: 'cancelled', minRole: 'dispatcher' },
+      { from: ['approved', 'ordered'], to: 'cancelled', minRole: 'manager' },
+    ],
+  },
+
   // ============================================================================
   // RELATIONSHIPS
   // ============================================================================
@@ -49,7 +49,11 @@ module.exports = {
 
   identityField: 'quote_number',
   identifierPrefix: 'QT',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_quotes_tenant_quote_number', fields: ['tenant_id', 'quote_number'], description: 'Quote number unique within a tenant' },
+  ],
 
   rlsResource: 'quotes',
 
@@ -177,6 +181,21 @@ module.exports = {
     },
   },
 
+  // ============================================================================
+  // STATUS TRANSITIONS (state machine - enforced on update, see transition-service.js)
+  // ============================================================================
+
+  transitions: {
+    field: 'status',
+    edges: [
+      { from: 'draft', to: 'sent', minRole: 'dispatcher' },
+      { from: 'sent', to: ['accepted', 'rejected', 'expired'], minRole: 'dispatcher' },
+      // Revise and resend
+      { from: ['sent', 'rejected', 'expired'], to: 'draft', minRole: 'dispatcher' },
+      { from: ['draft', 'sent'], to: 'cancelled', minRole: 'dispatcher' },
+    ],
+  },
+
   // ============================================================================
   // RELATIONSHIPS
   // ============================================================================
@@ -219,7 +238,12 @@ module.exports = {
           description: 'High-value quotes require manager approval',
           on: 'change',
           when: { field: 'total_amount', operator: '>', value: 10000 },
-          requiresApproval: { approver: 'manager', reason: 'high_value_quote' },
+          requiresApproval: {
+            approver: 'manager',
+            reason: 'high_value_quote',
+            timeout: 72,
+            onTimeout: 'expire',
+          },
         },
       ],
     },
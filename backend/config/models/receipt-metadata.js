@@ -46,7 +46,11 @@ module.exports = {
 
   identityField: 'receipt_number',
   identifierPrefix: 'RCT',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_receipts_tenant_receipt_number', fields: ['tenant_id', 'receipt_number'], description: 'Receipt number unique within a tenant' },
+  ],
 
   rlsResource: 'receipts',
 
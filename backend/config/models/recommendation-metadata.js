@@ -46,7 +46,11 @@ module.exports = {
 
   identityField: 'recommendation_number',
   identifierPrefix: 'REC',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_recommendations_tenant_recommendation_number', fields: ['tenant_id', 'recommendation_number'], description: 'Recommendation number unique within a tenant' },
+  ],
 
   rlsResource: 'recommendations',
 
@@ -0,0 +1,319 @@
+/**
+ * Report Subscription Model Metadata
+ *
+ * Category: N/A (system table, not a business entity)
+ *
+ * SRP: ONLY defines Report Subscription table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * Scheduled reports: a saved view rendered to CSV/XLSX on an RRULE schedule
+ * and delivered to its owner as a notification with a download link
+ * (see services/data/report-subscription-service.js).
+ *
+ * DESIGN NOTES:
+ * - Created/rescheduled via PUT /api/saved_views/:id/subscription (sets the
+ *   owner and computes next_run_at), so create is system-only here
+ * - RLS by user_id: users see, reformat and delete their own subscriptions
+ * - is_active: admins disable any subscription; the scheduler disables one
+ *   whose owner is deactivated or can no longer read the view's entity
+ * - One subscription per saved view (saved_view_id UNIQUE)
+ *
+ * SINGLE SOURCE OF TRUTH for Report Subscription model query and CRUD capabilities
+ */
+
+const { FIELD_ACCESS_LEVELS: FAL } = require('../constants');
+const {
+  TIER1_FIELDS,
+  withTraits,
+  TRAITS,
+  TRAIT_SETS,
+} = require('../field-types');
+
+/** @type {import('./entity-metadata.types').EntityMetadata} */
+module.exports = {
+  entityKey: 'report_subscription',
+  tableName: 'report_subscriptions',
+  primaryKey: 'id',
+  icon: 'schedule',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  namePattern: null,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  identityField: 'id',
+  identityFieldUnique: true,
+
+  rlsResource: 'report_subscriptions',
+
+  /**
+   * Row-Level Security rules (ADR-011)
+   * Declarative grant-based rules. No match = deny.
+   */
+  rlsRules: [
+    {
+      id: 'user-own-report-subscriptions',
+      description: 'Users see only their own report subscriptions',
+      roles: ['customer', 'technician', 'dispatcher', 'manager'],
+      operations: '*',
+      access: { type: 'direct', field: 'user_id', value: 'userId' },
+    },
+    {
+      id: 'admin-full-access',
+      description: 'Admins see and disable all report subscriptions',
+      roles: 'admin',
+      operations: '*',
+      access: null,
+    },
+  ],
+
+  // ============================================================================
+  // CONSOLIDATED NAVIGATION & FEATURES
+  // ============================================================================
+
+  // Managed from the saved view's table UI, not nav
+  navigation: null,
+
+  features: {
+    fileAttachments: false,
+    summary: null,
+  },
+
+  navVisibility: null, // DEPRECATED: Use navigation
+
+  supportsFileAttachments: false, // DEPRECATED: Use features.fileAttachments
+
+  summaryConfig: null, // DEPRECATED: Use features.summary
+
+  entityPermissions: {
+    create: null, // System only - PUT /api/saved_views/:id/subscription
+    read: 'customer',
+    update: 'customer',
+    delete: 'customer', // Unsubscribe
+  },
+
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+
+  fieldAliases: {
+    saved_view_id: 'Saved View',
+    last_status: 'Last Delivery',
+  },
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  displayColumns: [
+    'saved_view_id',
+    'user_id',
+    'format',
+    'schedule',
+    'next_run_at',
+    'last_status',
+    'is_active',
+  ],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL
+  // ============================================================================
+
+  fieldAccess: {
+    // Note: id, created_at, updated_at inherit from UNIVERSAL_FIELD_ACCESS
+    user_id: {
+      create: 'none', // Set from the auth context by the subscribe endpoint
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    saved_view_id: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    // Rescheduling goes through the subscribe endpoint (recomputes next_run_at)
+    schedule: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    format: FAL.SELF_EDITABLE,
+    // Owners unsubscribe (delete); only admins disable and re-enable
+    is_active: {
+      create: 'none',
+      read: 'customer',
+      update: 'admin',
+      delete: 'none',
+    },
+    next_run_at: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    last_run_at: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    last_status: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+    last_error: {
+      create: 'none',
+      read: 'customer',
+      update: 'none',
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // ENUM DEFINITIONS
+  // ============================================================================
+
+  enums: {
+    format: {
+      csv: { color: 'primary', label: 'CSV' },
+      xlsx: { color: 'success', label: 'Excel (XLSX)' },
+    },
+    last_status: {
+      delivered: { color: 'success', label: 'Delivered' },
+      failed: { color: 'error', label: 'Failed' },
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS
+  // ============================================================================
+
+  defaultIncludes: [],
+
+  relationships: {
+    user: {
+      type: 'belongsTo',
+      foreignKey: 'user_id',
+      table: 'users',
+      fields: ['id', 'email', 'first_name', 'last_name'],
+    },
+    saved_view: {
+      type: 'belongsTo',
+      foreignKey: 'saved_view_id',
+      table: 'saved_views',
+      fields: ['id', 'view_name', 'entity_name'],
+    },
+  },
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  dependents: [],
+
+  defaultSort: {
+    field: 'next_run_at',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (FIELD-CENTRIC: all properties on field itself)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields (via TIER1_FIELDS.CORE)
+    // is_active = false stops deliveries without deleting the subscription
+    ...TIER1_FIELDS.CORE,
+
+    // Owner - the report runs with this user's role and RLS context
+    user_id: withTraits(
+      {
+        type: 'foreignKey',
+        references: 'user',
+        onDelete: 'CASCADE',
+        description: 'Owner and recipient (FK to users)',
+      },
+      TRAITS.REQUIRED,
+      TRAITS.IMMUTABLE,
+      TRAITS.READONLY,
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+    saved_view_id: withTraits(
+      {
+        type: 'foreignKey',
+        references: 'saved_view',
+        onDelete: 'CASCADE',
+        unique: true,
+        description: 'Saved view whose filters, sort and columns are rendered',
+      },
+      TRAITS.REQUIRED,
+      TRAITS.IMMUTABLE,
+      TRAITS.READONLY,
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+    format: withTraits(
+      {
+        type: 'enum',
+        enumKey: 'format',
+        default: 'csv',
+        description: 'File format of the rendered report',
+      },
+      TRAITS.REQUIRED,
+      TRAIT_SETS.LOOKUP,
+    ),
+    schedule: withTraits(
+      {
+        type: 'string',
+        maxLength: 500,
+        pattern: '^RRULE:FREQ=(DAILY|WEEKLY)(;[A-Z]+=[A-Z0-9,+-]+)*$',
+        errorMessages: { pattern: 'Schedule must be a daily or weekly RRULE' },
+        description: 'Delivery schedule, e.g. RRULE:FREQ=WEEKLY;BYDAY=MO;BYHOUR=7;BYMINUTE=0 (UTC)',
+      },
+      TRAITS.REQUIRED,
+    ),
+    next_run_at: withTraits(
+      {
+        type: 'timestamp',
+        description: 'When the report is next rendered and delivered',
+      },
+      TRAITS.REQUIRED,
+      TRAIT_SETS.TIMESTAMP,
+    ),
+    last_run_at: withTraits(
+      {
+        type: 'timestamp',
+        description: 'When the report was last rendered',
+      },
+      TRAIT_SETS.TIMESTAMP,
+    ),
+    last_status: withTraits(
+      {
+        type: 'enum',
+        enumKey: 'last_status',
+        description: 'Outcome of the last run (null before the first one)',
+      },
+      TRAITS.READONLY,
+      TRAIT_SETS.FILTER_ONLY,
+    ),
+    last_error: withTraits(
+      {
+        type: 'text',
+        description: 'Why the last run failed or the subscription was disabled',
+      },
+      TRAITS.READONLY,
+    ),
+  },
+};
@@ -38,6 +38,10 @@ module.exports = {
   // Material icon for navigation menus and entity displays
   icon: 'badge',
 
+  // Behavioral traits: platform = one role catalogue shared by every tenant
+  // (no tenant_id column, no tenant predicate - ADR-014)
+  traits: ['platform'],
+
   // ============================================================================
   // ENTITY CATEGORY (determines name handling pattern)
   // ============================================================================
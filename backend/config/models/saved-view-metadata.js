@@ -196,6 +196,7 @@ module.exports = {
   // DELETE CONFIGURATION
   // ============================================================================
 
+  // report_subscriptions rows cascade with the view (FK ON DELETE CASCADE)
   dependents: [],
 
   // ============================================================================
@@ -49,7 +49,11 @@ module.exports = {
 
   identityField: 'agreement_number',
   identifierPrefix: 'SA',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_service_agreements_tenant_agreement_number', fields: ['tenant_id', 'agreement_number'], description: 'Agreement number unique within a tenant' },
+  ],
 
   rlsResource: 'service_agreements',
 
@@ -168,6 +172,24 @@ module.exports = {
     },
   },
 
+  // ============================================================================
+  // STATUS TRANSITIONS (state machine - enforced on update, see transition-service.js)
+  // ============================================================================
+
+  transitions: {
+    field: 'status',
+    edges: [
+      { from: 'draft', to: 'pending', minRole: 'dispatcher' },
+      { from: 'pending', to: 'draft', minRole: 'dispatcher' },
+      { from: ['draft', 'pending'], to: 'active', minRole: 'manager', requires: ['start_date'] },
+      { from: ['draft', 'pending'], to: 'cancelled', minRole: 'dispatcher' },
+      { from: 'active', to: 'expired', minRole: 'dispatcher', requires: ['end_date'] },
+      { from: 'active', to: 'cancelled', minRole: 'manager' },
+      // Renew
+      { from: 'expired', to: 'active', minRole: 'manager', requires: ['end_date'] },
+    ],
+  },
+
   // ============================================================================
   // RELATIONSHIPS
   // ============================================================================
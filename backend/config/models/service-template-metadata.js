@@ -123,6 +123,10 @@ module.exports = {
     description: FAL.MANAGER_MANAGED,
     estimated_duration: FAL.MANAGER_MANAGED,
     notes: FAL.MANAGER_MANAGED,
+
+    // Matching requirements - manager-maintained, readable by all staff
+    required_skills: FAL.MANAGER_MANAGED_PUBLIC_READ,
+    required_certifications: FAL.MANAGER_MANAGED_PUBLIC_READ,
   },
 
   // ============================================================================
@@ -178,5 +182,24 @@ module.exports = {
       type: 'text',
       description: 'Internal notes',
     },
+
+    // Technician matching requirements (same comma-separated convention as
+    // technicians.skills / technicians.certifications)
+    required_skills: withTraits(
+      {
+        type: 'text',
+        maxLength: 500,
+        description: 'Skills required to perform this service (comma-separated)',
+      },
+      TRAIT_SETS.FULLTEXT,
+    ),
+    required_certifications: withTraits(
+      {
+        type: 'text',
+        maxLength: 1000,
+        description: 'Certifications required to perform this service (comma-separated)',
+      },
+      TRAIT_SETS.FULLTEXT,
+    ),
   },
 };
@@ -173,7 +173,7 @@ module.exports = {
       TRAIT_SETS.SEARCHABLE_LOOKUP,
     ),
     email: withTraits(FIELD.EMAIL, TRAIT_SETS.SEARCHABLE_LOOKUP),
-    phone: withTraits(FIELD.PHONE, TRAIT_SETS.FULLTEXT),
+    phone: withTraits(FIELD.PHONE, TRAITS.SEARCHABLE),
 
     // Notes - no query traits (internal only)
     notes: { type: 'text', description: 'Internal notes' },
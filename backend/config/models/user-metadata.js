@@ -292,6 +292,10 @@ module.exports = {
       table: 'audit_logs',
       foreignKey: 'user_id',
     },
+    {
+      table: 'organization_memberships',
+      foreignKey: 'user_id',
+    },
   ],
 
   /**
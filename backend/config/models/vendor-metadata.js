@@ -21,6 +21,7 @@ const {
   withTraits,
   TRAITS,
   TRAIT_SETS,
+  createForeignKey,
 } = require('../field-types');
 
 /** @type {import('./entity-metadata.types').EntityMetadata} */
@@ -53,9 +54,16 @@ module.exports = {
   rlsRules: [
     // customer: no rule = deny (internal resource)
     {
-      id: 'staff-full-access',
-      description: 'Staff see all vendors',
-      roles: ['technician', 'dispatcher', 'manager', 'admin'],
+      id: 'staff-organization-access',
+      description: 'Staff see vendors of their organizations, and unassigned ones',
+      roles: ['technician', 'dispatcher', 'manager'],
+      operations: '*',
+      access: { type: 'organization', field: 'organization_id' },
+    },
+    {
+      id: 'admin-full-access',
+      description: 'Admins see all vendors',
+      roles: 'admin',
       operations: '*',
       access: null,
     },
@@ -118,6 +126,9 @@ module.exports = {
   fieldAccess: {
     ...UNIVERSAL_FIELD_ACCESS,
 
+    // Owning company (ADR-014 §1)
+    organization_id: FAL.ORGANIZATION_ASSIGNMENT,
+
     name: FAL.MANAGER_MANAGED,
     contact_email: FAL.MANAGER_MANAGED,
     phone: FAL.MANAGER_MANAGED,
@@ -140,7 +151,15 @@ module.exports = {
   // ============================================================================
 
   defaultIncludes: [],
-  relationships: {},
+  relationships: {
+    organization: {
+      type: 'belongsTo',
+      foreignKey: 'organization_id',
+      table: 'organizations',
+      fields: ['id', 'name', 'code'],
+      description: 'Company that contracts this vendor',
+    },
+  },
 
   // ============================================================================
   // DELETE CONFIGURATION
@@ -171,6 +190,9 @@ module.exports = {
     // TIER 1: Universal Entity Contract Fields
     ...TIER1_FIELDS.WITH_STATUS,
 
+    // Owning company (ADR-014 §1) - rows without one are shared by all companies
+    organization_id: createForeignKey('organization', { traits: TRAIT_SETS.LOOKUP }),
+
     // Entity-specific fields
     name: withTraits(
       { ...FIELD.NAME, maxLength: 100 },
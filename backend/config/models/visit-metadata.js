@@ -49,7 +49,11 @@ module.exports = {
 
   identityField: 'visit_number',
   identifierPrefix: 'VIS',
-  identityFieldUnique: true,
+  identityFieldUnique: false, // Unique per tenant: each tenant numbers its own
+
+  uniqueConstraints: [
+    { name: 'uq_visits_tenant_visit_number', fields: ['tenant_id', 'visit_number'], description: 'Visit number unique within a tenant' },
+  ],
 
   rlsResource: 'visits',
 
@@ -200,6 +204,23 @@ module.exports = {
     },
   },
 
+  // ============================================================================
+  // STATUS TRANSITIONS (state machine - enforced on update, see transition-service.js)
+  // ============================================================================
+
+  transitions: {
+    field: 'status',
+    edges: [
+      { from: 'scheduled', to: 'confirmed', minRole: 'dispatcher' },
+      { from: 'confirmed', to: 'scheduled', minRole: 'dispatcher' },
+      { from: ['scheduled', 'confirmed'], to: 'in_progress', minRole: 'dispatcher', requires: ['actual_start'] },
+      { from: ['scheduled', 'confirmed'], to: ['cancelled', 'no_show'], minRole: 'dispatcher' },
+      { from: 'in_progress', to: 'completed', minRole: 'dispatcher', requires: ['actual_start', 'actual_end'] },
+      // Rebook
+      { from: ['cancelled', 'no_show'], to: 'scheduled', minRole: 'manager' },
+    ],
+  },
+
   // ============================================================================
   // RELATIONSHIPS
   // ============================================================================
@@ -0,0 +1,230 @@
+/**
+ * Webhook Subscription Model Metadata
+ *
+ * Category: SIMPLE (name field for identity and display)
+ *
+ * SRP: ONLY defines Webhook Subscription table structure and query capabilities
+ * Used by QueryBuilderService to generate dynamic queries
+ * Used by GenericEntityService for CRUD operations
+ *
+ * Outbound webhooks: each active subscription receives a signed POST for the
+ * entity events it matches (see services/integrations/webhook-delivery-service.js).
+ * secret_key signs the payloads; it can be written but is never returned.
+ *
+ * SINGLE SOURCE OF TRUTH for Webhook Subscription model query and CRUD capabilities
+ */
+
+const {
+  FIELD_ACCESS_LEVELS: FAL,
+  UNIVERSAL_FIELD_ACCESS,
+} = require('../constants');
+const {
+  FIELD,
+  NAME_PATTERNS,
+  TIER1_FIELDS,
+  withTraits,
+  TRAITS,
+  TRAIT_SETS,
+} = require('../field-types');
+
+/** @type {import('./entity-metadata.types').EntityMetadata} */
+module.exports = {
+  entityKey: 'webhook_subscription',
+  tableName: 'webhook_subscriptions',
+  primaryKey: 'id',
+  icon: 'webhook',
+
+  // ============================================================================
+  // ENTITY CATEGORY
+  // ============================================================================
+
+  namePattern: NAME_PATTERNS.SIMPLE,
+
+  // ============================================================================
+  // IDENTITY CONFIGURATION
+  // ============================================================================
+
+  identityField: 'name',
+  displayField: 'name',
+  identityFieldUnique: true,
+
+  rlsResource: 'webhook_subscriptions',
+
+  /**
+   * Row-Level Security rules (ADR-011)
+   * Declarative grant-based rules. No match = deny.
+   */
+  rlsRules: [
+    // everyone else: no rule = deny (system configuration)
+    {
+      id: 'admin-full-access',
+      description: 'Admins manage all webhook subscriptions',
+      roles: ['admin'],
+      operations: '*',
+      access: null,
+    },
+  ],
+
+  // ============================================================================
+  // CONSOLIDATED NAVIGATION & FEATURES
+  // ============================================================================
+
+  navigation: {
+    visibility: 'admin',
+    group: 'admin',
+    order: 10,
+  },
+
+  features: {
+    fileAttachments: false,
+    summary: null,
+  },
+
+  navVisibility: 'admin', // DEPRECATED: Use navigation.visibility
+  navGroup: 'admin', // DEPRECATED: Use navigation.group
+  navOrder: 10, // DEPRECATED: Use navigation.order
+
+  supportsFileAttachments: false, // DEPRECATED: Use features.fileAttachments
+
+  summaryConfig: null, // DEPRECATED: Use features.summary
+
+  entityPermissions: {
+    create: 'admin',
+    read: 'admin',
+    update: 'admin',
+    delete: 'admin',
+  },
+
+  routeConfig: {
+    useGenericRouter: true,
+  },
+
+  fieldGroups: {},
+  fieldAliases: {},
+
+  // ============================================================================
+  // CRUD CONFIGURATION
+  // ============================================================================
+
+  displayColumns: ['name', 'target_url', 'entity_name', 'event_filter', 'is_active'],
+
+  // ============================================================================
+  // FIELD-LEVEL ACCESS CONTROL
+  // ============================================================================
+
+  fieldAccess: {
+    ...UNIVERSAL_FIELD_ACCESS,
+
+    name: FAL.ADMIN_ONLY,
+    description: FAL.ADMIN_ONLY,
+    target_url: FAL.ADMIN_ONLY,
+    entity_name: FAL.ADMIN_ONLY,
+    event_filter: FAL.ADMIN_ONLY,
+    // Write-only: needed to sign deliveries, never sent back
+    secret_key: {
+      create: 'admin',
+      read: 'none',
+      update: 'admin',
+      delete: 'none',
+    },
+  },
+
+  // ============================================================================
+  // ENUM DEFINITIONS
+  // ============================================================================
+
+  enums: {
+    event_filter: {
+      all: { color: 'primary', label: 'All events' },
+      create: { color: 'success', label: 'Created' },
+      update: { color: 'info', label: 'Updated' },
+      delete: { color: 'error', label: 'Deleted' },
+      action: { color: 'warning', label: 'Actions' },
+    },
+  },
+
+  // ============================================================================
+  // RELATIONSHIPS
+  // ============================================================================
+
+  defaultIncludes: [],
+  relationships: {},
+
+  // ============================================================================
+  // DELETE CONFIGURATION
+  // ============================================================================
+
+  // webhook_deliveries rows cascade with the subscription (FK ON DELETE CASCADE)
+  dependents: [
+    {
+      table: 'audit_logs',
+      foreignKey: 'resource_id',
+      polymorphicType: { column: 'resource_type', value: 'webhook_subscriptions' },
+    },
+  ],
+
+  defaultSort: {
+    field: 'name',
+    order: 'ASC',
+  },
+
+  // ============================================================================
+  // FIELD DEFINITIONS (FIELD-CENTRIC: all properties on field itself)
+  // ============================================================================
+
+  fields: {
+    // TIER 1: Universal Entity Contract Fields (via TIER1_FIELDS.CORE)
+    // is_active pauses a subscription without deleting it
+    ...TIER1_FIELDS.CORE,
+
+    // Entity-specific fields
+    name: withTraits(
+      { ...FIELD.NAME, maxLength: 100 },
+      TRAITS.REQUIRED,
+      TRAIT_SETS.IDENTITY,
+    ),
+    description: withTraits(FIELD.DESCRIPTION, TRAITS.SEARCHABLE),
+    target_url: withTraits(
+      {
+        type: 'string',
+        maxLength: 2048,
+        pattern: '^https://[^\\s]+$',
+        errorMessages: { pattern: 'Target URL must be an https URL' },
+        // Host must resolve to public addresses (checked on save and send)
+        outboundUrl: true,
+        description: 'Endpoint that receives the signed POST',
+      },
+      TRAITS.REQUIRED,
+      TRAITS.SEARCHABLE,
+    ),
+    entity_name: withTraits(
+      {
+        type: 'string',
+        maxLength: 50,
+        pattern: '^[a-z][a-z_]*$',
+        errorMessages: { pattern: 'Entity must be an entity key such as work_order' },
+        description: 'Entity key to subscribe to (empty = every entity)',
+      },
+      TRAIT_SETS.LOOKUP,
+    ),
+    event_filter: withTraits(
+      {
+        type: 'enum',
+        enumKey: 'event_filter',
+        default: 'all',
+        description: 'Which events are delivered: create/update/delete, afterChange actions, or all',
+      },
+      TRAITS.REQUIRED,
+      TRAIT_SETS.LOOKUP,
+    ),
+    secret_key: withTraits(
+      {
+        type: 'string',
+        maxLength: 255,
+        minLength: 16,
+        description: 'Shared secret for the X-Tross-Signature HMAC (write-only)',
+      },
+      TRAITS.REQUIRED,
+    ),
+  },
+};
@@ -11,7 +11,7 @@
  */
 
 const {
-  FIELD_ACCESS_LEVELS: _FAL,
+  FIELD_ACCESS_LEVELS: FAL,
   UNIVERSAL_FIELD_ACCESS,
 } = require('../constants');
 const {
@@ -76,8 +76,13 @@ module.exports = {
 
   /**
    * Whether the identity field has a UNIQUE constraint in the database
+   * (no: it is unique per tenant, see uniqueConstraints - each tenant numbers its own)
    */
-  identityFieldUnique: true,
+  identityFieldUnique: false,
+
+  uniqueConstraints: [
+    { name: 'uq_work_orders_tenant_work_order_number', fields: ['tenant_id', 'work_order_number'], description: 'Work order number unique within a tenant' },
+  ],
 
   /**
    * RLS resource name for permission checks
@@ -105,9 +110,16 @@ module.exports = {
       access: { type: 'direct', field: 'assigned_technician_id', value: 'technician_profile_id' },
     },
     {
-      id: 'staff-full-access',
-      description: 'Dispatcher, manager, admin see all work orders',
-      roles: ['dispatcher', 'manager', 'admin'],
+      id: 'staff-organization-access',
+      description: 'Staff see work orders of their organizations, and unassigned ones',
+      roles: ['dispatcher', 'manager'],
+      operations: '*',
+      access: { type: 'organization', field: 'organization_id' },
+    },
+    {
+      id: 'admin-full-access',
+      description: 'Admins see all work orders',
+      roles: 'admin',
       operations: '*',
       access: null,
     },
@@ -194,7 +206,7 @@ module.exports = {
     },
     assignment: {
       label: 'Assignment',
-      fields: ['customer_id', 'unit_id', 'assigned_technician_id', 'priority', 'status'],
+      fields: ['customer_id', 'unit_id', 'service_template_id', 'assigned_technician_id', 'priority', 'status'],
       rows: [['priority', 'status']],
       order: 2,
     },
@@ -263,6 +275,9 @@ module.exports = {
     // Entity Contract v2.0 fields
     ...UNIVERSAL_FIELD_ACCESS,
 
+    // Owning company (ADR-014 §1)
+    organization_id: FAL.ORGANIZATION_ASSIGNMENT,
+
     // Identity field - auto-generated, immutable
     work_order_number: {
       create: 'none', // Auto-generated
@@ -341,6 +356,28 @@ module.exports = {
       delete: 'none',
     },
 
+    // Service template - dispatcher+ sets, staff read (drives technician matching)
+    service_template_id: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+
+    // Matching requirements - override the service template's when set
+    required_skills: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+    required_certifications: {
+      create: 'dispatcher',
+      read: 'technician',
+      update: 'dispatcher',
+      delete: 'none',
+    },
+
     // AUDIT TEST: service_region - dispatcher+ manages, all can read
     service_region: {
       create: 'dispatcher',
@@ -401,6 +438,26 @@ module.exports = {
     },
   },
 
+  // ============================================================================
+  // STATUS TRANSITIONS (state machine - enforced on update, see transition-service.js)
+  // ============================================================================
+
+  transitions: {
+    field: 'status',
+    edges: [
+      { from: 'pending', to: 'scheduled', minRole: 'dispatcher', requires: ['scheduled_start'] },
+      { from: ['pending', 'scheduled'], to: 'cancelled', minRole: 'dispatcher' },
+      { from: 'scheduled', to: 'pending', minRole: 'dispatcher' },
+      { from: 'scheduled', to: 'in_progress', minRole: 'dispatcher' },
+      { from: 'in_progress', to: 'scheduled', minRole: 'dispatcher' },
+      { from: 'in_progress', to: 'completed', minRole: 'dispatcher', requires: ['completed_at'] },
+      { from: 'in_progress', to: 'cancelled', minRole: 'manager' },
+      // Reopen
+      { from: 'completed', to: 'in_progress', minRole: 'manager' },
+      { from: 'cancelled', to: 'pending', minRole: 'manager' },
+    ],
+  },
+
   // ============================================================================
   // RELATIONSHIPS (for JOIN queries)
   // ============================================================================
@@ -408,6 +465,13 @@ module.exports = {
   defaultIncludes: ['customer'],
 
   relationships: {
+    organization: {
+      type: 'belongsTo',
+      foreignKey: 'organization_id',
+      table: 'organizations',
+      fields: ['id', 'name', 'code'],
+      description: 'Company performing this work order',
+    },
     // Work order belongs to a customer (required)
     customer: {
       type: 'belongsTo',
@@ -454,6 +518,14 @@ module.exports = {
       ],
       description: 'Technician assigned to this work order',
     },
+    // Work order may follow a service template (optional)
+    serviceTemplate: {
+      type: 'belongsTo',
+      foreignKey: 'service_template_id',
+      table: 'service_templates',
+      fields: ['id', 'name', 'required_skills', 'required_certifications'],
+      description: 'Service template describing the work to be performed',
+    },
     // Work order may have invoices
     invoices: {
       type: 'hasMany',
@@ -500,6 +572,9 @@ module.exports = {
   fields: {
     // TIER 1: Universal Entity Contract Fields (field-centric)
     ...TIER1_FIELDS.WITH_STATUS,
+
+    // Owning company (ADR-014 §1) - rows without one are shared by all companies
+    organization_id: createForeignKey('organization', { traits: TRAIT_SETS.LOOKUP }),
     // Override status default (workflow entity - pending→scheduled→completed, not active/inactive)
     status: withTraits(
       { type: 'enum', enumKey: 'status', default: 'pending' },
@@ -542,6 +617,21 @@ module.exports = {
     assigned_technician_id: createForeignKey('technician', {
       traits: TRAIT_SETS.LOOKUP,
     }),
+    service_template_id: createForeignKey('service_template', {
+      description: 'Service template describing the work (supplies matching requirements)',
+      traits: TRAIT_SETS.LOOKUP,
+    }),
+
+    // Technician matching requirements (comma-separated, like technicians.skills);
+    // when empty, the service template's requirements apply
+    required_skills: withTraits(
+      { type: 'text', maxLength: 500, description: 'Skills required for this work order (comma-separated)' },
+      TRAIT_SETS.FULLTEXT,
+    ),
+    required_certifications: withTraits(
+      { type: 'text', maxLength: 1000, description: 'Certifications required for this work order (comma-separated)' },
+      TRAIT_SETS.FULLTEXT,
+    ),
 
     // Scheduling fields
     scheduled_start: withTraits(
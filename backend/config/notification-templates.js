@@ -0,0 +1,556 @@
+/**
+ * Notification Templates
+ *
+ * INTERPRETER for config/notification-templates.json (the wording of every
+ * notification, per locale). action-handlers renders in-app title/body when a
+ * notification action fires; the email service renders the email from the
+ * stored notification row.
+ *
+ * VARIABLES ({{path}}, no logic):
+ *   entity, record, record.<field>, oldValue, newValue  - the action context
+ *   <relationship>, <relationship>.<field>             - belongsTo of the record
+ *   notification.<field>, recipient.<field>            - email sections only
+ *
+ * A record-valued variable ({{record}}, {{customer}}) renders the entity's
+ * display name (utils/name-utils); enum fields render their label, translated
+ * via locales.<locale>.enums when available. Unknown values render as ''.
+ *
+ * LOCALES: a missing locale (or key within one) falls back to defaultLocale.
+ *
+ * @module config/notification-templates
+ */
+
+const path = require('path');
+const AppError = require('../utils/app-error');
+const { ERROR_CODES } = require('./error-codes');
+const { snakeToTitleCase } = require('./fk-helpers');
+const { resolveDisplayName } = require('../utils/name-utils');
+const testLogger = require('./test-logger');
+
+const log = testLogger;
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/** Variable roots available to in-app title/body (besides relationships) */
+const CONTEXT_VARIABLES = Object.freeze(['entity', 'record', 'oldValue', 'newValue']);
+
+/** Variable roots available to email sections */
+const EMAIL_VARIABLES = Object.freeze(['notification', 'recipient']);
+
+const RECORD_REF = Symbol('recordRef');
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+let templatesCache = null;
+
+/**
+ * Load notification-templates.json (cached).
+ *
+ * @returns {{ defaultLocale: string, locales: Object, fallback: Object, templates: Object }}
+ */
+function loadTemplates() {
+  if (!templatesCache) {
+    templatesCache = require(path.join(__dirname, 'notification-templates.json'));
+  }
+  return templatesCache;
+}
+
+/**
+ * Clear cached templates (for testing).
+ */
+function clearTemplatesCache() {
+  templatesCache = null;
+}
+
+/**
+ * Lazy metadata access - config/models loads the metadata validator, which
+ * loads action-handlers, which loads this module.
+ *
+ * @returns {Object} entityKey -> metadata
+ */
+function getAllMetadata() {
+  return require('./models');
+}
+
+/**
+ * Locales that have templates.
+ *
+ * @returns {string[]}
+ */
+function getSupportedLocales() {
+  return Object.keys(loadTemplates().locales || {});
+}
+
+/**
+ * Map a requested locale to a supported one.
+ *
+ * @param {string|null|undefined} locale - Requested locale (preferences.locale)
+ * @returns {string} The locale, or defaultLocale when unsupported
+ */
+function resolveLocale(locale) {
+  const { defaultLocale, locales } = loadTemplates();
+  return locale && locales[locale] ? locale : defaultLocale;
+}
+
+/**
+ * Whether a template name is defined.
+ *
+ * @param {string} templateName - Template name
+ * @returns {boolean}
+ */
+function hasTemplate(templateName) {
+  return Object.prototype.hasOwnProperty.call(loadTemplates().templates, templateName);
+}
+
+/**
+ * Look up a template key for a locale, falling back to defaultLocale.
+ *
+ * @param {Object} template - Template definition ({ type, locales })
+ * @param {string} locale - Resolved locale
+ * @param {string} key - 'title' | 'body' | 'email'
+ * @returns {*}
+ */
+function localized(template, locale, key) {
+  const { defaultLocale } = loadTemplates();
+  return template.locales[locale]?.[key] ?? template.locales[defaultLocale]?.[key];
+}
+
+// ============================================================================
+// VARIABLES
+// ============================================================================
+
+/**
+ * Variable paths used in a template string.
+ *
+ * @param {string} text - Template string
+ * @returns {string[]} e.g. ['entity', 'record.status']
+ */
+function extractVariables(text) {
+  return [...String(text ?? '').matchAll(VARIABLE_PATTERN)].map(([, variable]) => variable);
+}
+
+/**
+ * Relationship names a template's title/body reference (to load before rendering).
+ *
+ * @param {string} templateName - Template name
+ * @returns {string[]}
+ */
+function getTemplateRelationships(templateName) {
+  const template = loadTemplates().templates[templateName];
+  if (!template) {
+    return [];
+  }
+  const roots = new Set();
+  for (const content of Object.values(template.locales)) {
+    for (const variable of [...extractVariables(content.title), ...extractVariables(content.body)]) {
+      roots.add(variable.split('.')[0]);
+    }
+  }
+  return [...roots].filter((root) => !CONTEXT_VARIABLES.includes(root));
+}
+
+/**
+ * Entity label for a locale.
+ *
+ * @param {string} entityKey - Entity key
+ * @param {string} locale - Resolved locale
+ * @returns {string} e.g. 'Work Order'
+ */
+function getEntityLabel(entityKey, locale) {
+  if (!entityKey) {
+    return '';
+  }
+  return loadTemplates().locales[locale]?.entities?.[entityKey] ?? snakeToTitleCase(entityKey);
+}
+
+/**
+ * Format a plain value.
+ *
+ * @param {*} value - Value
+ * @param {string} locale - Resolved locale
+ * @returns {string}
+ */
+function formatValue(value, locale) {
+  if (value === null || value === undefined || typeof value === 'object') {
+    if (value instanceof Date) {
+      return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }).format(value);
+    }
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Format a field value of an entity; enum values render their (translated) label.
+ *
+ * @param {string} entityKey - Entity key
+ * @param {Object|undefined} metadata - Entity metadata
+ * @param {string|undefined} field - Field name
+ * @param {*} value - Field value
+ * @param {string} locale - Resolved locale
+ * @returns {string}
+ */
+function formatFieldValue(entityKey, metadata, field, value, locale) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const fieldDef = field ? metadata?.fields?.[field] : null;
+  if (fieldDef?.type !== 'enum') {
+    return formatValue(value, locale);
+  }
+  const enumKey = fieldDef.enumKey || field;
+  return (
+    loadTemplates().locales[locale]?.enums?.[entityKey]?.[enumKey]?.[value]
+    ?? metadata.enums?.[enumKey]?.[value]?.label
+    ?? String(value)
+  );
+}
+
+/**
+ * Wrap a row so {{name}} renders its display name and {{name.field}} its fields.
+ *
+ * @param {string} entityKey - Entity key
+ * @param {Object|undefined} row - Entity row
+ * @param {Object|undefined} metadata - Entity metadata
+ * @returns {Object}
+ */
+function recordRef(entityKey, row, metadata) {
+  return { [RECORD_REF]: true, entityKey, row: row || {}, metadata };
+}
+
+/**
+ * Resolve one variable path against a scope.
+ *
+ * @param {string} variable - e.g. 'customer.email'
+ * @param {Object} scope - Root name -> value or recordRef
+ * @param {string} locale - Resolved locale
+ * @returns {string}
+ */
+function resolveVariable(variable, scope, locale) {
+  const [root, ...rest] = variable.split('.');
+  const value = scope[root];
+
+  if (value && value[RECORD_REF]) {
+    if (rest.length === 0) {
+      const name = resolveDisplayName(value.row, value.metadata);
+      return name || (value.row.id !== undefined && value.row.id !== null ? `#${value.row.id}` : '');
+    }
+    return formatFieldValue(value.entityKey, value.metadata, rest[0], value.row[rest[0]], locale);
+  }
+
+  return formatValue(rest.reduce((object, key) => object?.[key], value), locale);
+}
+
+/**
+ * Replace {{variables}} in a template string.
+ *
+ * @param {string} text - Template string
+ * @param {Object} scope - Root name -> value or recordRef
+ * @param {string} locale - Resolved locale
+ * @returns {string}
+ */
+function interpolate(text, scope, locale) {
+  return String(text ?? '').replace(VARIABLE_PATTERN, (_match, variable) =>
+    resolveVariable(variable, scope, locale),
+  );
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render a notification's in-app title/body for one locale.
+ *
+ * @param {string} templateName - Template name from the action config
+ * @param {Object} context - Action context ({ entity, record, field, oldValue, newValue })
+ * @param {Object} [options={}]
+ * @param {string} [options.locale] - Recipient locale (unsupported -> defaultLocale)
+ * @param {Object} [options.relations={}] - Relationship name -> { entityKey, row, metadata }
+ * @returns {{ title: string, body: string, type: string }}
+ */
+function renderNotification(templateName, context, { locale, relations = {} } = {}) {
+  const config = loadTemplates();
+  let template = config.templates[templateName];
+  if (!template) {
+    log.log(`Unknown notification template: ${templateName}, using fallback`);
+    template = config.fallback;
+  }
+
+  const resolved = resolveLocale(locale);
+  const metadata = getAllMetadata()[context.entity];
+  const scope = {
+    entity: getEntityLabel(context.entity, resolved),
+    record: recordRef(context.entity, context.record, metadata),
+    oldValue: formatFieldValue(context.entity, metadata, context.field, context.oldValue, resolved),
+    newValue: formatFieldValue(context.entity, metadata, context.field, context.newValue, resolved),
+  };
+  for (const [name, related] of Object.entries(relations)) {
+    scope[name] = recordRef(related.entityKey, related.row, related.metadata);
+  }
+
+  return {
+    title: interpolate(localized(template, resolved, 'title'), scope, resolved),
+    body: interpolate(localized(template, resolved, 'body'), scope, resolved),
+    type: template.type,
+  };
+}
+
+/**
+ * Escape text for HTML.
+ *
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a notification email (subject, plain text, HTML).
+ *
+ * Renders from the stored notification row, so a retried delivery sends the
+ * same content as the first attempt. Every interpolated value is HTML-escaped.
+ *
+ * @param {string|null} templateName - notifications.template (unknown -> fallback)
+ * @param {Object} context
+ * @param {Object} context.notification - notifications row
+ * @param {Object} context.recipient - { first_name, last_name, email }
+ * @param {string|null} context.link - Deep link to the related record
+ * @param {string} [locale] - Recipient locale (unsupported -> defaultLocale)
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderEmail(templateName, { notification, recipient, link }, locale) {
+  const config = loadTemplates();
+  const template = config.templates[templateName] || config.fallback;
+  const resolved = resolveLocale(locale);
+  const layout = {
+    ...config.locales[config.defaultLocale].layout,
+    ...config.locales[resolved].layout,
+  };
+  const email = localized(template, resolved, 'email');
+  const scope = { notification, recipient };
+
+  const greeting = recipient.first_name
+    ? interpolate(layout.greeting, scope, resolved)
+    : layout.greetingFallback;
+  const subject = interpolate(email.subject, scope, resolved);
+  const paragraphs = email.paragraphs.map((paragraph) => interpolate(paragraph, scope, resolved)).filter(Boolean);
+  const { action } = email;
+
+  const text = [
+    greeting,
+    ...paragraphs,
+    ...(link ? [`${action}: ${link}`] : []),
+    '--',
+    layout.footer,
+  ].join('\n\n');
+
+  const html = [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(resolved)}"><body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">`,
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(link
+      ? [`<p><a href="${escapeHtml(link)}" style="color: #1565c0;">${escapeHtml(action)}</a></p>`]
+      : []),
+    `<p style="color: #777; font-size: 12px;">${escapeHtml(layout.footer)}</p>`,
+    '</body></html>',
+  ].join('\n');
+
+  return { subject, text, html };
+}
+
+// ============================================================================
+// VALIDATION (fail-fast at startup)
+// ============================================================================
+
+/**
+ * belongsTo relationship name -> fields it exposes, across all entities.
+ *
+ * @param {Object} allMetadata - entityKey -> metadata
+ * @returns {Map<string, Set<string>>}
+ */
+function collectRelationships(allMetadata) {
+  const relationships = new Map();
+  for (const metadata of Object.values(allMetadata)) {
+    for (const [name, relationship] of Object.entries(metadata.relationships || {})) {
+      if (relationship.type !== 'belongsTo') {
+        continue;
+      }
+      const fields = relationships.get(name) || new Set();
+      (relationship.fields || []).forEach((field) => fields.add(field));
+      relationships.set(name, fields);
+    }
+  }
+  return relationships;
+}
+
+/**
+ * Validate the variables of one template string.
+ *
+ * @param {string} where - Location for error messages
+ * @param {string} text - Template string
+ * @param {string[]} roots - Allowed plain roots
+ * @param {Map<string, Set<string>>|null} relationships - Allowed relationship roots
+ * @param {string[]} errors - Collected errors
+ */
+function validateVariables(where, text, roots, relationships, errors) {
+  for (const variable of extractVariables(text)) {
+    const [root, ...rest] = variable.split('.');
+    if (rest.length > 1) {
+      errors.push(`${where}: '{{${variable}}}' is nested too deep (use {{name}} or {{name.field}})`);
+    } else if (['entity', 'oldValue', 'newValue'].includes(root) && roots.includes(root) && rest.length > 0) {
+      errors.push(`${where}: '{{${variable}}}' - ${root} has no fields`);
+    } else if (roots.includes(root)) {
+      continue;
+    } else if (relationships?.has(root)) {
+      if (rest.length > 0 && !relationships.get(root).has(rest[0])) {
+        errors.push(`${where}: '{{${variable}}}' - '${rest[0]}' is not a field of any '${root}' relationship`);
+      }
+    } else {
+      errors.push(`${where}: unknown variable '{{${variable}}}'`);
+    }
+  }
+}
+
+/**
+ * Validate one template definition (or the fallback).
+ *
+ * @param {string} name - Template name
+ * @param {Object} template - { type, locales }
+ * @param {Object} config - Loaded templates file
+ * @param {Map<string, Set<string>>} relationships - From collectRelationships
+ * @param {string[]} errors - Collected errors
+ */
+function validateTemplate(name, template, config, relationships, errors) {
+  if (!template || typeof template.type !== 'string' || !template.locales) {
+    errors.push(`template '${name}': must be { type, locales }`);
+    return;
+  }
+
+  const base = template.locales[config.defaultLocale] || {};
+  if (typeof base.title !== 'string' || typeof base.body !== 'string') {
+    errors.push(`template '${name}': default locale '${config.defaultLocale}' needs a title and body`);
+  }
+  if (!base.email || typeof base.email.subject !== 'string' || !Array.isArray(base.email.paragraphs)
+    || typeof base.email.action !== 'string') {
+    errors.push(`template '${name}': default locale '${config.defaultLocale}' needs email { subject, paragraphs, action }`);
+  }
+
+  for (const [locale, content] of Object.entries(template.locales)) {
+    const where = `template '${name}' (${locale})`;
+    if (!config.locales[locale]) {
+      errors.push(`${where}: locale is not declared in 'locales'`);
+    }
+    validateVariables(`${where} title`, content.title, CONTEXT_VARIABLES, relationships, errors);
+    validateVariables(`${where} body`, content.body, CONTEXT_VARIABLES, relationships, errors);
+    const email = content.email || {};
+    [email.subject, ...(email.paragraphs || []), email.action].forEach((text) =>
+      validateVariables(`${where} email`, text, EMAIL_VARIABLES, null, errors),
+    );
+  }
+}
+
+/**
+ * Validate locale-level labels (layout, entity names, enum translations).
+ *
+ * @param {Object} config - Loaded templates file
+ * @param {Object} allMetadata - entityKey -> metadata
+ * @param {string[]} errors - Collected errors
+ */
+function validateLocales(config, allMetadata, errors) {
+  const base = config.locales[config.defaultLocale]?.layout || {};
+  for (const key of ['greeting', 'greetingFallback', 'footer']) {
+    if (typeof base[key] !== 'string') {
+      errors.push(`locale '${config.defaultLocale}': layout.${key} is required`);
+    }
+  }
+
+  for (const [locale, { layout = {}, entities = {}, enums = {} }] of Object.entries(config.locales)) {
+    Object.values(layout).forEach((text) =>
+      validateVariables(`locale '${locale}' layout`, text, ['recipient'], null, errors),
+    );
+    for (const entityKey of Object.keys(entities)) {
+      if (!allMetadata[entityKey]) {
+        errors.push(`locale '${locale}': entities.${entityKey} is not an entity`);
+      }
+    }
+    for (const [entityKey, entityEnums] of Object.entries(enums)) {
+      for (const [enumKey, labels] of Object.entries(entityEnums)) {
+        const values = allMetadata[entityKey]?.enums?.[enumKey];
+        if (!values) {
+          errors.push(`locale '${locale}': enums.${entityKey}.${enumKey} is not an enum of that entity`);
+          continue;
+        }
+        Object.keys(labels)
+          .filter((value) => !values[value])
+          .forEach((value) => errors.push(`locale '${locale}': enums.${entityKey}.${enumKey}.${value} is not an enum value`));
+      }
+    }
+  }
+
+  // preferences.locale offers exactly the locales that have templates
+  const preferenceLocales = Object.keys(allMetadata.preferences?.enums?.locale || {});
+  const missing = preferenceLocales.filter((locale) => !config.locales[locale]);
+  if (missing.length > 0) {
+    errors.push(`preferences locale(s) without templates: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Validate notification-templates.json at startup (fail-fast).
+ *
+ * @throws {AppError} If any template, locale or variable is invalid
+ */
+function validateNotificationTemplates() {
+  const config = loadTemplates();
+  const allMetadata = getAllMetadata();
+  const errors = [];
+
+  if (!config.locales?.[config.defaultLocale]) {
+    errors.push(`defaultLocale '${config.defaultLocale}' is not declared in 'locales'`);
+  } else {
+    const relationships = collectRelationships(allMetadata);
+    validateLocales(config, allMetadata, errors);
+    validateTemplate('fallback', config.fallback, config, relationships, errors);
+    for (const [name, template] of Object.entries(config.templates || {})) {
+      validateTemplate(name, template, config, relationships, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new AppError(
+      `Invalid notification templates:\n${errors.join('\n')}`,
+      500,
+      ERROR_CODES.SERVER_ERROR,
+    );
+  }
+}
+
+module.exports = {
+  // Rendering
+  renderNotification,
+  renderEmail,
+  escapeHtml,
+
+  // Registry access
+  hasTemplate,
+  getTemplateRelationships,
+  getSupportedLocales,
+  resolveLocale,
+
+  // Startup validation (fail-fast)
+  validateNotificationTemplates,
+
+  // Testing utilities
+  clearTemplatesCache,
+  extractVariables,
+};
@@ -12,6 +12,7 @@
  * WHAT THIS HANDLES:
  * - Entity CRUD routes (users, customers, work_orders, etc.)
  * - File sub-routes for entities with supportsFileAttachments: true
+ * - Child entity sub-routes for entities with routeConfig.subEntityOf
  *
  * WHAT THIS DOES NOT HANDLE (kept explicit in server.js):
  * - Infrastructure routes (auth, health, dev, schema)
@@ -22,6 +23,7 @@
 const allMetadata = require('./models');
 const { createEntityRouter } = require('../routes/entities');
 const { createFileSubRouter } = require('../routes/file-sub-router');
+const { createSubEntityRouter } = require('../routes/sub-entity-router');
 const { getFeatures } = require('./metadata-accessors');
 
 /**
@@ -118,9 +120,46 @@ function getFileRouteSummary(routes) {
   return routes.map((r) => `  ${r.path} (${r.entityName})`).join('\n');
 }
 
+/**
+ * Load sub-entity routers for child entities with routeConfig.subEntityOf
+ *
+ * Each child is mounted under its parent at /api/:parentTableName/:id/:path
+ * (e.g., invoice_line_item → /api/invoices/:id/line_items).
+ *
+ * @returns {Array<{path: string, router: Router, entityName: string}>}
+ */
+function loadSubEntityRoutes() {
+  const routes = [];
+
+  for (const [entityName, metadata] of Object.entries(allMetadata)) {
+    const subEntityOf = metadata.routeConfig?.subEntityOf;
+    if (!subEntityOf) {
+      continue;
+    }
+
+    const parentMetadata = allMetadata[subEntityOf.parent];
+    if (!parentMetadata) {
+      console.error(
+        `[route-loader] ❌ '${entityName}' sets routeConfig.subEntityOf.parent ` +
+          `'${subEntityOf.parent}', which is not an entity; skipping route mount.`,
+      );
+      continue;
+    }
+
+    routes.push({
+      path: `/api/${parentMetadata.tableName}/:id/${subEntityOf.path}`,
+      router: createSubEntityRouter(entityName),
+      entityName, // Include for logging/debugging
+    });
+  }
+
+  return routes;
+}
+
 module.exports = {
   loadEntityRoutes,
   loadFileSubRoutes,
+  loadSubEntityRoutes,
   getRouteSummary,
   getFileRouteSummary,
 };
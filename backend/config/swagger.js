@@ -349,6 +349,11 @@ const options = {
               format: 'date-time',
               description: 'Last update timestamp',
             },
+            version: {
+              type: 'integer',
+              description: 'Row version, sent as the ETag',
+              example: 3,
+            },
           },
         },
         Role: {
@@ -392,6 +397,11 @@ const options = {
               format: 'date-time',
               description: 'Last update timestamp',
             },
+            version: {
+              type: 'integer',
+              description: 'Row version, sent as the ETag',
+              example: 3,
+            },
           },
         },
         Session: {
@@ -400,17 +410,23 @@ const options = {
             id: {
               type: 'string',
               format: 'uuid',
-              description: 'Session token ID',
+              description: 'Session ID (refresh token family)',
+            },
+            deviceName: {
+              type: 'string',
+              nullable: true,
+              description: 'Device label derived from the user agent',
+              example: 'Chrome on macOS',
             },
             createdAt: {
               type: 'string',
               format: 'date-time',
-              description: 'Session creation time',
+              description: 'Login time',
             },
             lastUsedAt: {
               type: 'string',
               format: 'date-time',
-              description: 'Last activity time',
+              description: 'Last token refresh',
             },
             expiresAt: {
               type: 'string',
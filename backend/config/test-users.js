@@ -11,6 +11,7 @@
 // ✅ DB Fields (must match exactly):
 //    - id, email, auth0_id, first_name, last_name
 //    - role_id (FK to roles.id)
+//    - tenant_id (FK to tenants.id) - dev users live in the original tenant (ADR-014)
 //    - is_active, created_at, updated_at
 //
 // ⚠️  Query-Time Fields (added by User.findById JOIN, NOT in DB):
@@ -25,6 +26,7 @@
 // This file is part of the dev auth strategy - not used in production Auth0 flow.
 
 const { ROLE_NAME_TO_PRIORITY } = require('./role-definitions');
+const { TENANCY } = require('./constants');
 
 // Database role_id to role name mapping
 // This matches the database seed data in roles table
@@ -51,6 +53,7 @@ function createTestUser({ auth0_id, email, first_name, last_name, role_id }) {
     first_name,
     last_name,
     role_id,
+    tenant_id: TENANCY.DEFAULT_TENANT_ID,
     is_active: true,
     created_at: '2025-01-01T00:00:00.000Z',
     updated_at: '2025-01-01T00:00:00.000Z',
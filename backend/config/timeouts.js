@@ -99,6 +99,9 @@ const TIMEOUTS = Object.freeze({
 
     // Email delivery timeout
     EMAIL_DELIVERY_MS: 15000, // 15 seconds
+
+    // Global search: whole cross-entity fan-out (late entities are reported, not awaited)
+    GLOBAL_SEARCH_BUDGET_MS: 3000, // 3 seconds
   }),
 
   /**
@@ -27,6 +27,7 @@
 const auditService = require('../../services/audit/audit-service');
 const { logger } = require('../../config/logger');
 const allMetadata = require('../../config/models');
+const { AUTH } = require('../../config/constants');
 const {
   AuditResults,
   EntityToResourceType,
@@ -55,6 +56,9 @@ const VALID_OPERATIONS = ['create', 'update', 'delete'];
  * @param {number|null} auditContext.userId - User performing the action
  * @param {string} [auditContext.ipAddress] - Client IP address
  * @param {string} [auditContext.userAgent] - Client user agent
+ * @param {string} [auditContext.actorType] - 'user' (default) or 'service'
+ * @param {number} [auditContext.serviceCredentialId] - Acting service credential
+ * @param {number} [auditContext.tenantId] - Caller's tenant (the row's own tenant_id wins - ADR-014)
  * @param {Object} [auditContext.oldValues] - Previous values (for update/delete)
  * @param {Object} [auditContext.newValues] - New values (for create/update)
  * @param {Object} [client=null] - pg client to run the audit INSERT inside a caller's transaction; when present a failed audit throws (rolls back the Unit of Work)
@@ -124,6 +128,9 @@ async function logEntityAudit(
       ipAddress: auditContext.ipAddress || null,
       userAgent: auditContext.userAgent || null,
       result: AuditResults.SUCCESS,
+      actorType: auditContext.actorType || AUTH.ACTOR_TYPES.USER,
+      serviceCredentialId: auditContext.serviceCredentialId || null,
+      tenantId: result?.tenant_id ?? effectiveOldValues?.tenant_id ?? auditContext.tenantId ?? null,
       client,
     });
   } catch (error) {
@@ -21,6 +21,9 @@
  * - api_key - API secrets (future-proofing)
  * - api_secret, secret_key, private_key - Various secrets
  *
+ * INTERNAL COLUMNS (also never returned, for the same reason: implementation detail):
+ * - search_vector - Generated tsvector backing full-text search (FULLTEXT trait)
+ *
  * USAGE:
  *   const { stripAuthIdentifiers } = require('../db/helpers/auth-identifier-sanitizer');
  *   const safeUser = stripAuthIdentifiers(user, userMetadata);
@@ -30,6 +33,7 @@
  */
 
 const { logger } = require('../../config/logger');
+const { FULLTEXT_SEARCH } = require('../../config/constants');
 
 /**
  * Fields that contain external auth identifiers - ALWAYS stripped from output
@@ -48,10 +52,17 @@ const AUTH_IDENTIFIERS = Object.freeze([
   'private_key',     // Cryptographic private keys
 ]);
 
+/**
+ * Database-maintained columns that only serve queries - ALWAYS stripped from output
+ */
+const INTERNAL_COLUMNS = Object.freeze([
+  FULLTEXT_SEARCH.VECTOR_COLUMN, // Full-text search tsvector (matched in SQL, meaningless to clients)
+]);
+
 /**
  * Strip external auth identifiers from a single entity record
  *
- * Uses blacklist approach: removes AUTH_IDENTIFIERS + metadata.sensitiveFields from output.
+ * Uses blacklist approach: removes AUTH_IDENTIFIERS + INTERNAL_COLUMNS + metadata.sensitiveFields from output.
  * This creates a new object - the original is NOT mutated.
  *
  * @param {Object} record - Entity record from database
@@ -81,8 +92,8 @@ function stripAuthIdentifiers(record, metadata = {}) {
 
   const { sensitiveFields = [] } = metadata;
 
-  // Combine default auth identifiers with entity-specific sensitive fields
-  const fieldsToExclude = new Set([...AUTH_IDENTIFIERS, ...sensitiveFields]);
+  // Combine default auth identifiers and internal columns with entity-specific sensitive fields
+  const fieldsToExclude = new Set([...AUTH_IDENTIFIERS, ...INTERNAL_COLUMNS, ...sensitiveFields]);
 
   const sanitized = {};
   for (const [key, value] of Object.entries(record)) {
@@ -167,6 +178,7 @@ module.exports = {
 
   // Exported for testing
   _AUTH_IDENTIFIERS: AUTH_IDENTIFIERS,
+  _INTERNAL_COLUMNS: INTERNAL_COLUMNS,
   // Legacy alias
   _ALWAYS_SENSITIVE: AUTH_IDENTIFIERS,
 };
@@ -5,23 +5,23 @@
  * Implements post-query loading pattern to avoid SQL row multiplication.
  *
  * PHILOSOPHY:
- * - BATCH: Load all related records in minimal queries (avoid N+1)
+ * - BATCH: Load all related records in minimal queries (avoid N+1) - one query
+ *   per relationship per include level, whatever the number of parent rows
  * - METADATA-DRIVEN: Uses relationship definitions from entity metadata
  * - PURE: No side effects, returns new data structures
  * - SECURE: Uses parameterized queries throughout
  * - RLS-AWARE: Applies row-level security to related entities
  *
  * USAGE:
- *   const loaded = await loadRelationships(entityName, ['units', 'invoices'], parentRecords, { rlsContext });
- *   // Returns parentRecords with units: [...] and invoices: [...] attached (RLS-filtered)
+ *   const loaded = await loadRelationships('customer', ['units', 'invoices.payments'], parentRecords, { rlsContext });
+ *   // Returns parentRecords with units: [...] and invoices: [{ ..., payments: [...] }] attached
  *
- * NOTE — field redaction: relationship names are not declared in the parent's
- * `fieldAccess`, so GenericEntityService._redactForContext (the field-redaction
- * output boundary) STRIPS these nested keys on any role-bearing read; nested data
- * therefore surfaces only for internal/no-role callers today. Row-level RLS on the
- * target rows IS applied here (see _buildRelatedRLS). Making `?include=`
- * response-visible with per-target nested FIELD redaction is a deferred feature —
- * see ADR-011 "Field redaction & nested relationships".
+ * FIELD REDACTION (ADR-011 "Field redaction & nested relationships"):
+ * with a role in the rlsContext, each nested row is redacted against its TARGET
+ * entity's fieldAccess (plus the target's RLS on the rows), and a relationship
+ * is only loaded when the role may include it (canIncludeRelationship). The
+ * parent's own redaction (GenericEntityService._redactForContext) keeps the
+ * included relationship keys and redacts the parent's columns as usual.
  *
  * @module relationship-loader
  */
@@ -30,9 +30,14 @@ const db = require('../connection');
 const { logger } = require('../../config/logger');
 const allMetadata = require('../../config/models');
 const { buildRLSFilter } = require('./rls');
+const { stripAuthIdentifiers } = require('./auth-identifier-sanitizer');
 const { getEntityDisplayField } = require('../../config/metadata-accessors');
 const { extractForeignKeyFields } = require('../../config/fk-helpers');
+const { hasPermission } = require('../../config/permissions-loader');
+const { RELATIONSHIP_INCLUDES, TENANCY } = require('../../config/constants');
+const { isTenantScoped } = require('../../config/entity-traits');
 const { sanitizeIdentifier } = require('../../utils/sql-safety');
+const { filterDataByRole, getFieldsForOperation } = require('../../utils/field-access-controller');
 
 // ============================================================================
 // HELPERS
@@ -40,21 +45,21 @@ const { sanitizeIdentifier } = require('../../utils/sql-safety');
 
 /**
  * The columns to SELECT for a related entity: the relationship's `fields`, minus
- * any that have no backing column. A COMPUTED entity's display `name` is composed
- * on read (no column), so it must not be projected in a relationship query.
+ * any that have no backing column, plus `extraColumns` a nested include needs
+ * (its keys). A COMPUTED entity's display `name` is composed on read (no
+ * column), so it must not be projected in a relationship query.
+ * An empty result means SELECT * (the relationship lists no fields).
  */
-function _projectionColumns(relDef) {
+function _projectionColumns(relDef, extraColumns = []) {
   const fields = relDef.fields || [];
-  if (fields.length === 0 || !fields.includes('name')) {
+  if (fields.length === 0) {
     return fields;
   }
-  const targetMeta = Object.values(allMetadata).find(
-    (m) => m.tableName === relDef.table,
-  );
-  if (targetMeta && !targetMeta.fields?.name) {
-    return fields.filter((f) => f !== 'name');
-  }
-  return fields;
+  const targetMeta = _findMetadataByTable(relDef.table);
+  const columns = targetMeta?.fields
+    ? fields.filter((f) => targetMeta.fields[f])
+    : fields;
+  return [...new Set([...columns, ...extraColumns])];
 }
 
 /**
@@ -176,15 +181,16 @@ function groupByKey(records, keyField) {
  * @param {Object} relDef - Relationship definition from metadata
  * @param {number[]} parentIds - Array of parent entity IDs
  * @param {Object} [rlsContext] - RLS context for filtering
+ * @param {string[]} [extraColumns=[]] - Columns to project beyond relDef.fields (nested include keys)
  * @returns {Promise<Map<number, Object[]>>} Map of parentId -> related records
  */
-async function loadManyToMany(relationshipName, relDef, parentIds, rlsContext = null) {
+async function loadManyToMany(relationshipName, relDef, parentIds, rlsContext = null, extraColumns = []) {
   if (!parentIds || parentIds.length === 0) {
     return new Map();
   }
 
   const { table, through, foreignKey, targetKey } = relDef;
-  const fields = _projectionColumns(relDef);
+  const fields = _projectionColumns(relDef, extraColumns);
 
   // Validate required M:M properties
   if (!through || !targetKey) {
@@ -263,15 +269,16 @@ async function loadManyToMany(relationshipName, relDef, parentIds, rlsContext =
  * @param {Object} relDef - Relationship definition from metadata
  * @param {number[]} parentIds - Array of parent entity IDs
  * @param {Object} [rlsContext] - RLS context for filtering
+ * @param {string[]} [extraColumns=[]] - Columns to project beyond relDef.fields (nested include keys)
  * @returns {Promise<Map<number, Object[]>>} Map of parentId -> related records
  */
-async function loadHasMany(relationshipName, relDef, parentIds, rlsContext = null) {
+async function loadHasMany(relationshipName, relDef, parentIds, rlsContext = null, extraColumns = []) {
   if (!parentIds || parentIds.length === 0) {
     return new Map();
   }
 
   const { table, foreignKey } = relDef;
-  const fields = _projectionColumns(relDef);
+  const fields = _projectionColumns(relDef, extraColumns);
 
   // Build select - always include FK for grouping
   const selectFields = fields.length > 0
@@ -335,11 +342,12 @@ async function loadHasMany(relationshipName, relDef, parentIds, rlsContext = nul
  * @param {Object} relDef - Relationship definition
  * @param {number[]} parentIds - Array of parent entity IDs
  * @param {Object} [rlsContext] - RLS context for filtering
+ * @param {string[]} [extraColumns=[]] - Columns to project beyond relDef.fields
  * @returns {Promise<Map<number, Object>>} Map of parentId -> single related record
  */
-async function loadHasOne(relationshipName, relDef, parentIds, rlsContext = null) {
+async function loadHasOne(relationshipName, relDef, parentIds, rlsContext = null, extraColumns = []) {
   // Load as hasMany, then flatten to single record
-  const hasManyResult = await loadHasMany(relationshipName, relDef, parentIds, rlsContext);
+  const hasManyResult = await loadHasMany(relationshipName, relDef, parentIds, rlsContext, extraColumns);
 
   const result = new Map();
   for (const [parentId, records] of hasManyResult) {
@@ -350,86 +358,270 @@ async function loadHasOne(relationshipName, relDef, parentIds, rlsContext = null
   return result;
 }
 
+/**
+ * Load belongsTo related records by primary key
+ *
+ * Query pattern:
+ *   SELECT id, field1, field2
+ *   FROM target_table
+ *   WHERE id IN ($1, $2, ...)
+ *   AND (RLS clause)
+ *
+ * Unlike the child loaders there is no is_active filter: a parent keeps
+ * pointing at its (soft-deleted) target, exactly as the <fk>_display JOIN does.
+ *
+ * @param {string} relationshipName - Name of relationship (for logging)
+ * @param {Object} relDef - Relationship definition from metadata
+ * @param {Array<number|string>} fkValues - Distinct foreign key values from the parents
+ * @param {Object} [rlsContext] - RLS context for filtering
+ * @param {string[]} [extraColumns=[]] - Columns to project beyond relDef.fields
+ * @returns {Promise<Map<number, Object>>} Map of foreign key value -> related record
+ */
+async function loadBelongsTo(relationshipName, relDef, fkValues, rlsContext = null, extraColumns = []) {
+  if (!fkValues || fkValues.length === 0) {
+    return new Map();
+  }
+
+  const { table } = relDef;
+  const targetKey = _findMetadataByTable(table)?.primaryKey || 'id';
+  const fields = _projectionColumns(relDef, extraColumns);
+
+  // Build select - always include PK for keying
+  const selectFields = fields.length > 0
+    ? [...new Set([...fields, targetKey])].join(', ')
+    : '*';
+
+  // Build params and RLS
+  const params = [...fkValues];
+  const placeholders = fkValues.map((_, i) => `$${i + 1}`).join(', ');
+
+  // Apply RLS to the related entity
+  const rls = _buildRelatedRLS(table, table, rlsContext, fkValues.length + 1);
+  const rlsClause = rls.clause ? `AND ${rls.clause}` : '';
+  params.push(...rls.params);
+
+  const query = `
+    SELECT ${selectFields}
+    FROM ${table}
+    WHERE ${targetKey} IN (${placeholders})
+      ${rlsClause}
+  `;
+
+  logger.debug('loadBelongsTo query', {
+    relationship: relationshipName,
+    keyCount: fkValues.length,
+    rlsApplied: !!rls.clause,
+  });
+
+  try {
+    const result = await db.query(query, params);
+    return new Map(result.rows.map((row) => [row[targetKey], row]));
+  } catch (error) {
+    logger.error('loadBelongsTo failed', {
+      relationship: relationshipName,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 // ============================================================================
-// PUBLIC API
+// INCLUDE PATHS
 // ============================================================================
 
 /**
- * Load specified relationships for parent records
+ * Parse dotted include paths into a tree of relationship names
  *
- * @param {string} entityName - Parent entity name (e.g., 'customer')
- * @param {string[]} includeRelationships - Relationship names to load (e.g., ['units', 'invoices'])
- * @param {Object[]} parentRecords - Array of parent records (must have primary key)
- * @param {Object} [options={}] - Options
- * @param {Object} [options.rlsContext] - RLS context to apply to related entities
- * @returns {Promise<Object[]>} Parent records with relationships attached (RLS-filtered)
+ * @param {string[]} paths - Include paths (e.g., ['customer', 'invoices.payments'])
+ * @returns {Object} Nested tree (e.g., { customer: {}, invoices: { payments: {} } })
+ */
+function parseIncludeTree(paths = []) {
+  const tree = Object.create(null);
+  for (const path of paths) {
+    let node = tree;
+    for (const segment of String(path).split('.').map((s) => s.trim()).filter(Boolean)) {
+      node[segment] = node[segment] || Object.create(null);
+      node = node[segment];
+    }
+  }
+  return tree;
+}
+
+/**
+ * Top-level relationship names of a set of include paths
  *
- * @example
- *   const customers = [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }];
- *   const result = await loadRelationships('customer', ['units'], customers, { rlsContext });
- *   // Returns: [
- *   //   { id: 1, name: 'Alice', units: [{ id: 10, unit_identifier: '4A' }] },
- *   //   { id: 2, name: 'Bob', units: [] }
- *   // ]
+ * @param {string[]} paths - Include paths (e.g., ['customer', 'invoices.payments'])
+ * @returns {string[]} Root names (e.g., ['customer', 'invoices'])
  */
-async function loadRelationships(entityName, includeRelationships, parentRecords, options = {}) {
-  const { rlsContext = null } = options;
+function getIncludeRoots(paths = []) {
+  return Object.keys(parseIncludeTree(paths));
+}
 
-  if (!includeRelationships || includeRelationships.length === 0) {
-    return parentRecords;
+/**
+ * Validate include paths against entity metadata, resolving each segment
+ * against the previous segment's TARGET entity.
+ *
+ * @param {Object} metadata - Root entity metadata
+ * @param {string[]} paths - Include paths (e.g., ['customer', 'invoices.payments'])
+ * @returns {{ invalid: string[], tooDeep: string[] }} Paths naming an unknown
+ *   relationship, and paths nested deeper than RELATIONSHIP_INCLUDES.MAX_DEPTH
+ */
+function validateIncludePaths(metadata, paths) {
+  const invalid = [];
+  const tooDeep = [];
+
+  for (const path of paths) {
+    const segments = String(path).split('.').map((s) => s.trim());
+    if (segments.length > RELATIONSHIP_INCLUDES.MAX_DEPTH) {
+      tooDeep.push(path);
+      continue;
+    }
+
+    let current = metadata;
+    for (const segment of segments) {
+      const relDef = current && Object.hasOwn(current.relationships || {}, segment)
+        ? current.relationships[segment]
+        : null;
+      if (!relDef) {
+        invalid.push(path);
+        break;
+      }
+      current = _findMetadataByTable(relDef.table);
+    }
   }
 
-  if (!parentRecords || parentRecords.length === 0) {
-    return parentRecords;
+  return { invalid, tooDeep };
+}
+
+/**
+ * Whether a role may have a relationship included on its parent.
+ *
+ * The role needs read permission on the TARGET entity; a belongsTo also needs
+ * the parent's foreign key to be readable (the nested object would otherwise
+ * disclose the redacted id). Without a role (internal/system load) every
+ * declared relationship may be included. With a role the target must have
+ * metadata, since its rows cannot be redacted otherwise.
+ *
+ * @param {Object} metadata - Parent entity metadata
+ * @param {string} relName - Relationship name on the parent
+ * @param {string|null} role - Caller's role, or null for internal loads
+ * @returns {boolean}
+ */
+function canIncludeRelationship(metadata, relName, role) {
+  const relDef = (metadata.relationships || {})[relName];
+  if (!relDef) {
+    return false;
+  }
+  if (!role) {
+    return true;
   }
 
-  // Get entity metadata
-  const metadata = allMetadata[entityName];
-  if (!metadata) {
-    logger.warn('loadRelationships: Unknown entity', { entityName });
-    return parentRecords;
+  const targetMeta = _findMetadataByTable(relDef.table);
+  if (!targetMeta) {
+    return false;
+  }
+  if (
+    relDef.type === 'belongsTo' &&
+    !getFieldsForOperation(metadata, role, 'read').includes(relDef.foreignKey)
+  ) {
+    return false;
   }
+  return hasPermission(role, targetMeta.rlsResource, 'read');
+}
 
-  const { relationships = {}, primaryKey = 'id' } = metadata;
+/**
+ * Columns a level must project so its own includes can be loaded: the primary
+ * key (parent id for child relationships) and belongsTo foreign keys.
+ */
+function _nestedKeyColumns(targetMeta, subtree) {
+  const columns = [targetMeta.primaryKey || 'id'];
+  for (const name of Object.keys(subtree)) {
+    const relDef = (targetMeta.relationships || {})[name];
+    if (relDef?.type === 'belongsTo') {
+      columns.push(relDef.foreignKey);
+    }
+  }
+  return columns;
+}
 
-  // Extract parent IDs
-  const parentIds = parentRecords.map((r) => r[primaryKey]).filter((id) => id !== null && id !== undefined);
-  if (parentIds.length === 0) {
-    return parentRecords;
+/**
+ * Drop the key columns only projected for nested loading, strip auth
+ * identifiers, and redact against the target's fieldAccess for the role.
+ */
+function _finalizeRow(row, projection, targetMeta, childNames, role) {
+  let finalized = { ...row };
+
+  if (projection.length > 0) {
+    for (const key of Object.keys(finalized)) {
+      if (!projection.includes(key) && !childNames.includes(key)) {
+        delete finalized[key];
+      }
+    }
+  }
+
+  if (targetMeta) {
+    finalized = stripAuthIdentifiers(finalized, targetMeta);
+  }
+  if (role && targetMeta) {
+    finalized = filterDataByRole(finalized, targetMeta, role, 'read', childNames);
   }
+  return finalized;
+}
 
-  // Load each requested relationship
-  const relationshipData = new Map();
+/**
+ * Load one include level onto `records` (mutated in place), recursing into
+ * each relationship's subtree with one batch query per relationship.
+ */
+async function _loadLevel(metadata, tree, records, rlsContext) {
+  const { relationships = {}, primaryKey = 'id' } = metadata;
+  const role = rlsContext?.role || null;
+  const parentIds = [...new Set(
+    records.map((r) => r[primaryKey]).filter((id) => id !== null && id !== undefined),
+  )];
 
-  for (const relName of includeRelationships) {
-    const relDef = relationships[relName];
+  for (const [relName, subtree] of Object.entries(tree)) {
+    const relDef = Object.hasOwn(relationships, relName) ? relationships[relName] : null;
     if (!relDef) {
       logger.warn('loadRelationships: Unknown relationship', {
-        entityName,
+        entity: metadata.tableName,
         relationship: relName,
         available: Object.keys(relationships),
       });
       continue;
     }
 
+    if (!canIncludeRelationship(metadata, relName, role)) {
+      logger.debug('loadRelationships: Relationship not includable for role', {
+        relationship: relName,
+        role,
+      });
+      continue;
+    }
+
+    // Nested includes need the target's metadata to resolve and redact
+    const targetMeta = _findMetadataByTable(relDef.table);
+    const childTree = targetMeta ? subtree : {};
+    const childNames = Object.keys(childTree);
+    const extraColumns = childNames.length > 0 ? _nestedKeyColumns(targetMeta, childTree) : [];
+
     let loaded;
     switch (relDef.type) {
       case 'manyToMany':
-        loaded = await loadManyToMany(relName, relDef, parentIds, rlsContext);
+        loaded = await loadManyToMany(relName, relDef, parentIds, rlsContext, extraColumns);
         break;
       case 'hasMany':
-        loaded = await loadHasMany(relName, relDef, parentIds, rlsContext);
+        loaded = await loadHasMany(relName, relDef, parentIds, rlsContext, extraColumns);
         break;
       case 'hasOne':
-        loaded = await loadHasOne(relName, relDef, parentIds, rlsContext);
+        loaded = await loadHasOne(relName, relDef, parentIds, rlsContext, extraColumns);
         break;
-      case 'belongsTo':
-        // belongsTo display is already embedded by buildForeignKeyDisplayClauses JOINs
-        // Skip here to avoid duplicate data
-        logger.debug('loadRelationships: Skipping belongsTo (handled by JOIN)', {
-          relationship: relName,
-        });
-        continue;
+      case 'belongsTo': {
+        const fkValues = [...new Set(
+          records.map((r) => r[relDef.foreignKey]).filter((v) => v !== null && v !== undefined),
+        )];
+        loaded = await loadBelongsTo(relName, relDef, fkValues, rlsContext, extraColumns);
+        break;
+      }
       default:
         logger.warn('loadRelationships: Unknown relationship type', {
           relationship: relName,
@@ -438,27 +630,83 @@ async function loadRelationships(entityName, includeRelationships, parentRecords
         continue;
     }
 
-    relationshipData.set(relName, loaded);
-  }
+    // Each related row once, however many parents share it
+    const rows = [...new Set(
+      [...loaded.values()].flat().filter((row) => row !== null && row !== undefined),
+    )];
+    if (childNames.length > 0 && rows.length > 0) {
+      await _loadLevel(targetMeta, childTree, rows, rlsContext);
+    }
 
-  // Attach relationship data to parent records
-  const result = parentRecords.map((record) => {
-    const parentId = record[primaryKey];
-    const enriched = { ...record };
+    const projection = _projectionColumns(relDef);
+    const finalized = new Map(
+      rows.map((row) => [row, _finalizeRow(row, projection, targetMeta, childNames, role)]),
+    );
 
-    for (const [relName, dataMap] of relationshipData) {
-      const relDef = relationships[relName];
-      if (relDef.type === 'hasOne') {
+    for (const record of records) {
+      if (relDef.type === 'belongsTo') {
+        // Single record or null (missing, or hidden by the target's RLS)
+        const row = loaded.get(record[relDef.foreignKey]);
+        record[relName] = row ? finalized.get(row) : null;
+      } else if (relDef.type === 'hasOne') {
         // Single record or null
-        enriched[relName] = dataMap.get(parentId) || null;
+        const row = loaded.get(record[primaryKey]);
+        record[relName] = row ? finalized.get(row) : null;
       } else {
         // Array of records (manyToMany, hasMany)
-        enriched[relName] = dataMap.get(parentId) || [];
+        record[relName] = (loaded.get(record[primaryKey]) || []).map((row) => finalized.get(row));
       }
     }
+  }
+}
 
-    return enriched;
-  });
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Load specified relationships for parent records
+ *
+ * Nested paths ('invoices.payments') load level by level, one batch query per
+ * relationship per level. With a role in rlsContext each nested row is RLS-
+ * filtered and field-redacted against its own entity, and relationships the
+ * role may not include (canIncludeRelationship) are left off.
+ *
+ * @param {string} entityName - Parent entity name (e.g., 'customer')
+ * @param {string[]} includeRelationships - Relationship paths to load (e.g., ['units', 'invoices.payments'])
+ * @param {Object[]} parentRecords - Array of parent records (must have primary key)
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.rlsContext] - RLS context to apply to related entities
+ * @returns {Promise<Object[]>} Parent records with relationships attached (RLS-filtered)
+ *
+ * @example
+ *   const customers = [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }];
+ *   const result = await loadRelationships('customer', ['units'], customers, { rlsContext });
+ *   // Returns: [
+ *   //   { id: 1, name: 'Alice', units: [{ id: 10, unit_identifier: '4A' }] },
+ *   //   { id: 2, name: 'Bob', units: [] }
+ *   // ]
+ */
+async function loadRelationships(entityName, includeRelationships, parentRecords, options = {}) {
+  const { rlsContext = null } = options;
+
+  if (!includeRelationships || includeRelationships.length === 0) {
+    return parentRecords;
+  }
+
+  if (!parentRecords || parentRecords.length === 0) {
+    return parentRecords;
+  }
+
+  // Get entity metadata
+  const metadata = allMetadata[entityName];
+  if (!metadata) {
+    logger.warn('loadRelationships: Unknown entity', { entityName });
+    return parentRecords;
+  }
+
+  const result = parentRecords.map((record) => ({ ...record }));
+  await _loadLevel(metadata, parseIncludeTree(includeRelationships), result, rlsContext);
 
   logger.debug('loadRelationships complete', {
     entityName,
@@ -483,21 +731,13 @@ function validateRelationshipNames(entityName, relationshipNames) {
   }
 
   const available = Object.keys(metadata.relationships || {});
-  // Filter out belongsTo since those are handled by JOINs
-  const loadable = available.filter((name) => {
-    const rel = metadata.relationships[name];
-    return rel.type !== 'belongsTo';
-  });
 
   const valid = [];
   const invalid = [];
 
   for (const name of relationshipNames) {
-    if (loadable.includes(name)) {
+    if (available.includes(name)) {
       valid.push(name);
-    } else if (available.includes(name)) {
-      // belongsTo - not an error, just skip
-      logger.debug('validateRelationshipNames: belongsTo skipped', { name });
     } else {
       invalid.push(name);
     }
@@ -514,7 +754,9 @@ function validateRelationshipNames(entityName, relationshipNames) {
  * embedding: every user-facing entity has one real display column (HUMAN=name,
  * SIMPLE=name, COMPUTED=identifier), resolved via the FK field's own
  * `displayField` or the target's `getEntityDisplayField`. The FK->PK join is 1:1,
- * so it never multiplies source rows. All identifiers pass through sanitizeIdentifier.
+ * so it never multiplies source rows. Between tenant-scoped tables the join also
+ * matches tenant_id, so an id pointing into another tenant embeds no label
+ * (ADR-014). All identifiers pass through sanitizeIdentifier.
  *
  * @param {Object} metadata - Source entity metadata (needs tableName + fields)
  * @param {Object} allModels - entityKey -> metadata map (for FK target lookup)
@@ -550,9 +792,13 @@ function buildForeignKeyDisplayClauses(metadata, allModels) {
     const dispCol = sanitizeIdentifier(displayCol, 'display column');
     const alias = sanitizeIdentifier(`fk_${fkField}`, 'join alias');
 
+    const tenantMatch = isTenantScoped(metadata) && isTenantScoped(targetMeta)
+      ? ` AND ${alias}.${TENANCY.COLUMN} = ${srcTable}.${TENANCY.COLUMN}`
+      : '';
+
     selectParts.push(`${alias}.${dispCol} AS ${srcCol}_display`);
     joinParts.push(
-      `LEFT JOIN ${tgtTable} ${alias} ON ${srcTable}.${srcCol} = ${alias}.${tgtPk}`,
+      `LEFT JOIN ${tgtTable} ${alias} ON ${srcTable}.${srcCol} = ${alias}.${tgtPk}${tenantMatch}`,
     );
   }
 
@@ -562,10 +808,15 @@ function buildForeignKeyDisplayClauses(metadata, allModels) {
 module.exports = {
   loadRelationships,
   validateRelationshipNames,
+  validateIncludePaths,
+  canIncludeRelationship,
+  parseIncludeTree,
+  getIncludeRoots,
   buildForeignKeyDisplayClauses,
   // Expose for testing
   loadManyToMany,
   loadHasMany,
   loadHasOne,
+  loadBelongsTo,
   groupByKey,
 };
@@ -6,6 +6,9 @@
  * - direct: Field match against context value
  * - junction: EXISTS subquery through junction table
  * - parent: EXISTS subquery delegating to parent entity's RLS
+ * - organization: Row's company matches one of the user's memberships
+ *
+ * Plus the tenant scope (ADR-014) that buildRLSFilter ANDs above them.
  *
  * ADR-011: Rule-based RLS engine.
  *
@@ -18,7 +21,7 @@ const { sanitizeIdentifier } = require('../../../utils/sql-safety');
 const AppError = require('../../../utils/app-error');
 const { ERROR_CODES } = require('../../../config/error-codes');
 const { logger } = require('../../../config/logger');
-const { RLS_ENGINE } = require('../../../config/constants');
+const { RLS_ENGINE, TENANCY, ORGANIZATIONS } = require('../../../config/constants');
 
 /**
  * Build SQL clause for a single access rule
@@ -56,11 +59,46 @@ function buildAccessClause(access, rlsContext, tableAlias, paramOffset, aliasCou
     case 'parent':
       return buildParentClause(access, rlsContext, tableAlias, paramOffset, aliasCounter, allMetadata, depth);
 
+    case 'organization':
+      return buildOrganizationClause(access, rlsContext, tableAlias, paramOffset, aliasCounter);
+
     default:
       throw new AppError(`Unknown RLS access type: ${type}`, 500, ERROR_CODES.SERVER_ERROR);
   }
 }
 
+/**
+ * Build the tenant scope clause (ADR-014)
+ *
+ * buildRLSFilter ANDs this above the per-role grants of every tenant-scoped
+ * entity, so no grant - full access included - reaches another tenant's rows.
+ * Junction and parent subqueries only choose among the outer row's tenant, so
+ * they are not scoped again. A context without a tenant resolves to FALSE.
+ *
+ * Result: "t.tenant_id = $1" with [tenantId]
+ *
+ * @param {Object} rlsContext - Context containing tenantId
+ * @param {string} tableAlias - Alias for the main table
+ * @param {number} paramOffset - Parameter offset
+ * @returns {{ clause: string, params: Array, nextOffset: number }}
+ */
+function buildTenantClause(rlsContext, tableAlias, paramOffset) {
+  const tenantId = rlsContext?.tenantId;
+
+  if (tenantId === undefined || tenantId === null) {
+    logger.debug('RLS tenant scope denied - no tenant in context');
+    return { clause: 'FALSE', params: [], nextOffset: paramOffset };
+  }
+
+  const columnRef = tableAlias ? `${tableAlias}.${TENANCY.COLUMN}` : TENANCY.COLUMN;
+
+  return {
+    clause: `${columnRef} = $${paramOffset}`,
+    params: [tenantId],
+    nextOffset: paramOffset + 1,
+  };
+}
+
 /**
  * Build clause for direct field access
  *
@@ -124,6 +162,51 @@ function buildDirectClause(access, rlsContext, tableAlias, paramOffset, aliasCou
   };
 }
 
+/**
+ * Build clause for organization (company) access
+ *
+ * Example: { type: 'organization', field: 'organization_id' }
+ * Result:
+ * (t.organization_id IS NULL OR EXISTS (
+ *   SELECT 1 FROM organization_memberships o0
+ *   WHERE o0.organization_id = t.organization_id
+ *   AND o0.user_id = $1 AND o0.is_active = true
+ * ))
+ *
+ * Rows without an organization are shared by every company of the tenant.
+ * Memberships are read at query time, so granting or revoking one needs no
+ * cache invalidation. A context without a userId (service credentials) only
+ * reaches the shared rows.
+ */
+function buildOrganizationClause(access, rlsContext, tableAlias, paramOffset, aliasCounter) {
+  const { field = ORGANIZATIONS.COLUMN } = access;
+
+  const safeField = sanitizeIdentifier(field, 'access.field');
+  const columnRef = tableAlias ? `${tableAlias}.${safeField}` : safeField;
+  const shared = `${columnRef} IS NULL`;
+
+  const userId = rlsContext?.userId;
+  if (userId === undefined || userId === null) {
+    logger.debug('RLS organization access limited to shared rows - no userId in context', { field });
+    return { clause: shared, params: [], nextOffset: paramOffset, nextAliasCounter: aliasCounter };
+  }
+
+  const membershipAlias = `${RLS_ENGINE.ORGANIZATION_ALIAS_PREFIX}${aliasCounter}`;
+  const membership =
+    `EXISTS (SELECT 1 FROM ${ORGANIZATIONS.MEMBERSHIP_TABLE} ${membershipAlias}` +
+    ` WHERE ${membershipAlias}.${ORGANIZATIONS.COLUMN} = ${columnRef}` +
+    ` AND ${membershipAlias}.user_id = $${paramOffset} AND ${membershipAlias}.is_active = true)`;
+
+  logger.debug('RLS organization clause built', { field: safeField, alias: membershipAlias });
+
+  return {
+    clause: `(${shared} OR ${membership})`,
+    params: [userId],
+    nextOffset: paramOffset + 1,
+    nextAliasCounter: aliasCounter + 1,
+  };
+}
+
 /**
  * Build clause for junction-based access
  *
@@ -598,6 +681,8 @@ module.exports = {
   buildParentClause,
   buildStaticParentClause,
   buildPolymorphicParentClause,
+  buildOrganizationClause,
+  buildTenantClause,
   combineClausesOr,
   resolveFilterValues,
 };
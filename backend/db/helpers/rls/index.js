@@ -8,7 +8,9 @@
  * - Junction table access (WHERE EXISTS subquery)
  * - Parent entity delegation (WHERE EXISTS subquery to parent's RLS)
  * - Multi-hop access (through junction or parent chains)
+ * - Organization (company) membership (WHERE EXISTS membership subquery)
  * - Multiple rules combined with OR
+ * - Tenant scope AND-ed above the grants (ADR-014)
  *
  * Grant-only model: No matching grant = implicit deny.
  *
@@ -16,9 +18,21 @@
  */
 
 const { matchRules, getContextValue, isValidAccessType, resolveValue } = require('./rule-matcher');
-const { buildAccessClause, buildParentClause, combineClausesOr } = require('./clause-builder');
-const { getCachedClause, cacheClause, clearCache, invalidateEntity } = require('./sql-cache');
+const {
+  buildAccessClause,
+  buildParentClause,
+  buildTenantClause,
+  combineClausesOr,
+} = require('./clause-builder');
+const {
+  getCachedClause,
+  cacheClause,
+  clearCache,
+  invalidateEntity,
+  invalidateTenant,
+} = require('./sql-cache');
 const { validateAllRules: validateAllMetadataRules } = require('./path-validator');
+const { isTenantScoped } = require('../../../config/entity-traits');
 const AppError = require('../../../utils/app-error');
 const { ERROR_CODES } = require('../../../config/error-codes');
 const { logger } = require('../../../config/logger');
@@ -26,16 +40,23 @@ const { logger } = require('../../../config/logger');
 /**
  * Build RLS filter clause using rule-based engine
  *
+ * Tenant-scoped entities (ADR-014) always get `table.tenant_id = $paramOffset`
+ * AND-ed above the role grants - even full access and rule-less entities - so
+ * `noFilter` is only ever returned for platform entities; `tenantOnly` marks a
+ * tenant-scoped filter with no role grant on top. A context without a tenant
+ * is denied.
+ *
  * @param {Object} rlsContext - Context from enforceRLS middleware
  * @param {string} rlsContext.role - User's role
  * @param {number} rlsContext.userId - User's ID
+ * @param {number|null} rlsContext.tenantId - User's tenant
  * @param {number|null} rlsContext.customerProfileId - Customer profile ID
  * @param {number|null} rlsContext.technicianProfileId - Technician profile ID
  * @param {Object} metadata - Entity metadata
  * @param {string} [operation='read'] - Operation being performed
  * @param {number} [paramOffset=1] - Starting parameter offset (1-indexed)
  * @param {Object} [allMetadata=null] - All entity metadata (required for parent access)
- * @returns {Object} { clause: string, params: array, applied: boolean }
+ * @returns {Object} { clause: string, params: array, applied: boolean, noFilter?: boolean, tenantOnly?: boolean }
  */
 function buildRLSFilter(rlsContext, metadata, operation = 'read', paramOffset = 1, allMetadata = null) {
   if (!rlsContext || !metadata) {
@@ -43,7 +64,49 @@ function buildRLSFilter(rlsContext, metadata, operation = 'read', paramOffset =
     return { clause: '', params: [], applied: false };
   }
 
-  const { role } = rlsContext;
+  if (!isTenantScoped(metadata)) {
+    return buildGrantFilter(rlsContext, metadata, operation, paramOffset, allMetadata);
+  }
+
+  // Tenant param takes paramOffset; grant params follow it
+  const tenant = buildTenantClause(rlsContext, metadata.tableName, paramOffset);
+  const grants = buildGrantFilter(rlsContext, metadata, operation, tenant.nextOffset, allMetadata);
+
+  if (tenant.clause === 'FALSE' || grants.clause === '1=0') {
+    if (tenant.clause === 'FALSE') {
+      logger.debug('RLS access denied - no tenant in context', {
+        entity: metadata.entityKey || metadata.tableName,
+        operation,
+      });
+    }
+    return { clause: '1=0', params: [], applied: true };
+  }
+
+  if (!grants.clause) {
+    // Full access (or no rules): the tenant scope is the whole filter
+    return { clause: `(${tenant.clause})`, params: tenant.params, applied: true, tenantOnly: true };
+  }
+
+  return {
+    clause: `(${tenant.clause} AND ${grants.clause})`,
+    params: [...tenant.params, ...grants.params],
+    applied: true,
+  };
+}
+
+/**
+ * Build the per-role grant filter (ADR-011), without the tenant scope
+ *
+ * @private
+ * @param {Object} rlsContext - Context from enforceRLS middleware
+ * @param {Object} metadata - Entity metadata
+ * @param {string} operation - Operation being performed
+ * @param {number} paramOffset - Starting parameter offset (1-indexed)
+ * @param {Object|null} allMetadata - All entity metadata (required for parent access)
+ * @returns {Object} { clause: string, params: array, applied: boolean, noFilter?: boolean }
+ */
+function buildGrantFilter(rlsContext, metadata, operation, paramOffset, allMetadata) {
+  const { role, tenantId = null } = rlsContext;
   const tableName = metadata.tableName;
   const tableAlias = tableName;
   // FIX: Use entityKey (the correct field name in metadata), fallback to tableName
@@ -61,7 +124,7 @@ function buildRLSFilter(rlsContext, metadata, operation = 'read', paramOffset =
   // ===== CACHE CHECK =====
   // Check for cached deterministic outcomes (full-access or deny).
   // Complex clauses with params are not cached (they depend on rlsContext values + paramOffset).
-  const cached = getCachedClause(entityType, operation, role);
+  const cached = getCachedClause(entityType, operation, role, tenantId);
   if (cached) {
     if (cached.outcome === 'full-access') {
       logger.debug('RLS cache hit: full access', { entity: entityType, role, operation });
@@ -81,7 +144,7 @@ function buildRLSFilter(rlsContext, metadata, operation = 'read', paramOffset =
   if (matchedRules.length === 0) {
     // No matching rules = deny
     logger.debug('RLS access denied - no matching rules', { entity: entityType, role, operation });
-    cacheClause(entityType, operation, role, { outcome: 'deny' });
+    cacheClause(entityType, operation, role, tenantId, { outcome: 'deny' });
     return { clause: '1=0', params: [], applied: true };
   }
 
@@ -89,7 +152,7 @@ function buildRLSFilter(rlsContext, metadata, operation = 'read', paramOffset =
   const hasFullAccess = matchedRules.some(r => r.access === null);
   if (hasFullAccess) {
     logger.debug('RLS full access granted', { entity: entityType, role, operation });
-    cacheClause(entityType, operation, role, { outcome: 'full-access' });
+    cacheClause(entityType, operation, role, tenantId, { outcome: 'full-access' });
     return { clause: '', params: [], applied: true, noFilter: true };
   }
 
@@ -110,13 +173,13 @@ function buildRLSFilter(rlsContext, metadata, operation = 'read', paramOffset =
 
   if (combined.clause === 'TRUE') {
     logger.debug('RLS full access via TRUE clause', { entity: entityType, role, operation });
-    cacheClause(entityType, operation, role, { outcome: 'full-access' });
+    cacheClause(entityType, operation, role, tenantId, { outcome: 'full-access' });
     return { clause: '', params: [], applied: true, noFilter: true };
   }
 
   if (combined.clause === 'FALSE') {
     logger.debug('RLS access denied via FALSE clause', { entity: entityType, role, operation });
-    cacheClause(entityType, operation, role, { outcome: 'deny' });
+    cacheClause(entityType, operation, role, tenantId, { outcome: 'deny' });
     return { clause: '1=0', params: [], applied: true };
   }
 
@@ -124,7 +187,7 @@ function buildRLSFilter(rlsContext, metadata, operation = 'read', paramOffset =
   // Full clause caching with param rebasing not implemented yet - would require
   // storing clause template and context keys, then rebasing $N positions at runtime.
   if (!cached) {
-    cacheClause(entityType, operation, role, { outcome: 'filtered' });
+    cacheClause(entityType, operation, role, tenantId, { outcome: 'filtered' });
   }
 
   logger.debug('RLS filter applied', {
@@ -171,10 +234,12 @@ module.exports = {
   resolveValue,
   buildAccessClause,
   buildParentClause,
+  buildTenantClause,
   combineClausesOr,
   // Cache management
   clearCache,
   invalidateEntity,
+  invalidateTenant,
   getCachedClause,
   cacheClause,
 };
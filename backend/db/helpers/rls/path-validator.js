@@ -155,6 +155,17 @@ function validateAccess(access, prefix, _allMetadata) {
       const parentErrors = validateParentAccess(access, prefix, _allMetadata);
       errors.push(...parentErrors);
       break;
+
+    case 'organization':
+      // field is optional (defaults to organization_id)
+      if (access.field !== undefined) {
+        try {
+          sanitizeIdentifier(access.field, 'access.field');
+        } catch {
+          errors.push(`${prefix}: invalid organization access field '${access.field}'`);
+        }
+      }
+      break;
   }
 
   return errors;
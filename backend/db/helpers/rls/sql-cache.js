@@ -2,7 +2,8 @@
  * RLS SQL Cache
  *
  * Memoization for compiled SQL shapes.
- * Caches generated clauses by entity + operation + role combination.
+ * Caches generated clauses by entity + operation + role + tenant combination
+ * (ADR-014: the tenant term keeps one tenant's entries from serving another).
  * Parameters are NOT cached (they vary per request).
  *
  * ADR-011: Rule-based RLS engine.
@@ -22,10 +23,11 @@ const cache = new Map();
  * @param {string} entity - Entity type
  * @param {string} operation - Operation (read, summary, etc.)
  * @param {string} role - User role
+ * @param {number|null} tenantId - Caller's tenant
  * @returns {string} Cache key
  */
-function getCacheKey(entity, operation, role) {
-  return `${entity}:${operation}:${role}`;
+function getCacheKey(entity, operation, role, tenantId) {
+  return `${entity}:${operation}:${role}:${tenantId}`;
 }
 
 /**
@@ -34,17 +36,18 @@ function getCacheKey(entity, operation, role) {
  * @param {string} entity
  * @param {string} operation
  * @param {string} role
+ * @param {number|null} tenantId
  * @returns {Object|null} Cached clause template or null
  */
-function getCachedClause(entity, operation, role) {
-  const key = getCacheKey(entity, operation, role);
+function getCachedClause(entity, operation, role, tenantId) {
+  const key = getCacheKey(entity, operation, role, tenantId);
   const cached = cache.get(key);
 
   if (!cached) {
     return null;
   }
 
-  logger.debug('RLS cache hit', { entity, operation, role });
+  logger.debug('RLS cache hit', { entity, operation, role, tenantId });
   return cached.clauseTemplate;
 }
 
@@ -54,9 +57,10 @@ function getCachedClause(entity, operation, role) {
  * @param {string} entity
  * @param {string} operation
  * @param {string} role
+ * @param {number|null} tenantId
  * @param {Object} clauseTemplate - The clause template to cache
  */
-function cacheClause(entity, operation, role, clauseTemplate) {
+function cacheClause(entity, operation, role, tenantId, clauseTemplate) {
   // Evict oldest entries if cache is full
   if (cache.size >= RLS_ENGINE.CACHE_MAX_SIZE) {
     const evictCount = Math.floor(RLS_ENGINE.CACHE_MAX_SIZE * RLS_ENGINE.CACHE_EVICT_PERCENT);
@@ -64,7 +68,7 @@ function cacheClause(entity, operation, role, clauseTemplate) {
     logger.debug('RLS cache evicted entries', { count: evictCount });
   }
 
-  const key = getCacheKey(entity, operation, role);
+  const key = getCacheKey(entity, operation, role, tenantId);
   cache.set(key, {
     clauseTemplate,
     createdAt: Date.now(),
@@ -128,6 +132,25 @@ function invalidateEntity(entity) {
   }
 }
 
+/**
+ * Invalidate cache for a specific tenant
+ * Call when a tenant is deactivated or re-provisioned
+ *
+ * @param {number} tenantId - Tenant to invalidate
+ */
+function invalidateTenant(tenantId) {
+  let count = 0;
+  for (const key of cache.keys()) {
+    if (key.endsWith(`:${tenantId}`)) {
+      cache.delete(key);
+      count++;
+    }
+  }
+  if (count > 0) {
+    logger.debug('RLS cache invalidated tenant', { tenantId, entriesRemoved: count });
+  }
+}
+
 module.exports = {
   getCacheKey,
   getCachedClause,
@@ -135,4 +158,5 @@ module.exports = {
   clearCache,
   getCacheStats,
   invalidateEntity,
+  invalidateTenant,
 };
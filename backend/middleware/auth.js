@@ -6,8 +6,15 @@
  *
  * SECURITY: Development tokens are ONLY accepted in development/test mode.
  * Production mode ONLY accepts Auth0 tokens.
+ *
+ * Machine clients authenticate with a service credential instead: an API key
+ * (Bearer or X-API-Key) or a client-credentials access token. They act as the
+ * credential's role, narrowed by its entity/operation scopes.
+ *
+ * TENANCY (ADR-014): req.dbUser.tenant_id is the caller's tenant. A token whose
+ * tenant claim no longer matches its user is refused.
  */
-const { verifyJwt } = require('../utils/jwt-helper');
+const { verifyJwt, decodeJwt } = require('../utils/jwt-helper');
 const UserDataService = require('../services/utils/user-data');
 const {
   hasPermission,
@@ -17,21 +24,87 @@ const { logSecurityEvent } = require('../config/logger');
 const { getClientIp, getUserAgent } = require('../utils/request-helpers');
 const AppConfig = require('../config/app-config');
 const { TEST_USERS } = require('../config/test-users');
-const { AUTH } = require('../config/constants');
+const { AUTH, TENANCY } = require('../config/constants');
 const ResponseFormatter = require('../utils/response-formatter');
 const { ERROR_CODES } = require('../config/error-codes');
 const AppError = require('../utils/app-error');
+const { AuthStrategyFactory } = require('../services/auth/strategies/AuthStrategyFactory');
+const ServiceCredentialService = require('../services/auth/service-credential-service');
+const { serviceLimiter } = require('./rate-limit');
 
 // SECURITY: JWT_SECRET accessed via AppConfig.jwt.secret getter
 // This getter FAILS FAST if secret is not configured (no fallbacks)
 // See app-config.js for implementation details
 
+/**
+ * Whether a bearer token is a service credential (API key or service JWT).
+ * Unverified - only routes the token to the service strategy, which verifies it.
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+const isServiceToken = (token) =>
+  ServiceCredentialService.parseApiKey(token) !== null ||
+  decodeJwt(token)?.provider === AUTH.PROVIDERS.SERVICE;
+
+/**
+ * Authenticate a machine client and attach its actor.
+ * Counted against serviceLimiter - per credential once verified, per IP otherwise.
+ */
+const authenticateService = async (req, res, next, token) => {
+  try {
+    const credential = await AuthStrategyFactory.getServiceStrategy().verifyToken(token, {
+      ip: getClientIp(req),
+    });
+
+    req.serviceCredential = credential;
+    req.user = {
+      sub: `service:${credential.client_id}`,
+      provider: AUTH.PROVIDERS.SERVICE,
+      role: credential.role,
+    };
+    req.dbUser = ServiceCredentialService.toActor(credential);
+    // Routes that check req.permissions (search, events, sub-entities) are
+    // held to the credential's scopes as well as its role
+    req.permissions = {
+      hasPermission: (resource, operation) =>
+        hasPermission(req.dbUser.role, resource, operation) &&
+        ServiceCredentialService.isResourceAllowed(credential, resource, operation),
+      hasMinimumRole: (requiredRole) =>
+        hasMinimumRole(req.dbUser.role, requiredRole),
+    };
+
+    return serviceLimiter(req, res, next);
+  } catch (error) {
+    logSecurityEvent('AUTH_INVALID_SERVICE_CREDENTIAL', {
+      ip: getClientIp(req),
+      userAgent: getUserAgent(req),
+      url: req.url,
+      error: error.message,
+    });
+
+    const respond = () =>
+      error.statusCode === 403
+        ? ResponseFormatter.forbidden(res, error.message, error.code)
+        : ResponseFormatter.unauthorized(
+          res,
+          error.statusCode === 401 ? error.message : 'Invalid service credentials',
+          error.code || ERROR_CODES.AUTH_INVALID_TOKEN,
+        );
+    return serviceLimiter(req, res, respond);
+  }
+};
+
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   const token = authHeader?.startsWith('Bearer ')
     ? authHeader.substring(7)
     : null;
 
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey || (token && isServiceToken(token))) {
+    return authenticateService(req, res, next, apiKey || token);
+  }
+
   if (!token) {
     logSecurityEvent('AUTH_MISSING_TOKEN', {
       ip: getClientIp(req),
@@ -53,8 +126,11 @@ const authenticateToken = async (req, res, next) => {
       throw new AppError('Missing required "sub" claim', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
     }
 
-    // Accept only known token providers (SSOT: AUTH.PROVIDERS)
-    const validProviders = Object.values(AUTH.PROVIDERS);
+    // Accept only known user token providers (SSOT: AUTH.PROVIDERS);
+    // service tokens were routed to authenticateService above
+    const validProviders = Object.values(AUTH.PROVIDERS).filter(
+      (provider) => provider !== AUTH.PROVIDERS.SERVICE,
+    );
     if (!decoded.provider || !validProviders.includes(decoded.provider)) {
       throw new AppError('Invalid token provider', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
     }
@@ -185,6 +261,24 @@ const authenticateToken = async (req, res, next) => {
         role_priority: rolePriority, // 5, 4, 3, 2, 1
       };
 
+      // ADR-014: a token minted for another tenant (user moved since) is stale
+      const claimedTenant = decoded[TENANCY.CLAIM];
+      if (claimedTenant !== undefined && claimedTenant !== req.dbUser.tenant_id) {
+        logSecurityEvent('AUTH_TENANT_MISMATCH', {
+          ip: getClientIp(req),
+          userAgent: getUserAgent(req),
+          url: req.url,
+          userId: req.dbUser.id,
+          claimedTenant,
+          tenantId: req.dbUser.tenant_id,
+        });
+        return ResponseFormatter.unauthorized(
+          res,
+          'Token tenant does not match the user',
+          ERROR_CODES.AUTH_TENANT_MISMATCH,
+        );
+      }
+
       // Attach permissions helper for route-level checks
       req.permissions = {
         hasPermission: (resource, operation) =>
@@ -311,6 +405,27 @@ const requirePermission = (operation) => (req, res, next) => {
     );
   }
 
+  // Service credentials may be narrowed to specific entities/operations
+  const entityName = req.entityMetadata.entityKey;
+  if (
+    req.serviceCredential &&
+    !ServiceCredentialService.isAllowed(req.serviceCredential, entityName, operation)
+  ) {
+    logSecurityEvent('AUTH_SERVICE_SCOPE_DENIED', {
+      ip: getClientIp(req),
+      userAgent: getUserAgent(req),
+      url: req.url,
+      serviceCredentialId: req.serviceCredential.id,
+      entity: entityName,
+      operation,
+    });
+    return ResponseFormatter.forbidden(
+      res,
+      `Service credential is not scoped to ${operation} ${entityName}`,
+      ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+    );
+  }
+
   next();
 };
 
@@ -345,6 +460,23 @@ const requireMinimumRole = (minimumRole) => (req, res, next) => {
     );
   }
 
+  // Role-gated routes (admin, integrations) are not entity operations a scope
+  // can name, so a scoped credential is held to its scopes
+  if (req.serviceCredential?.scopes) {
+    logSecurityEvent('AUTH_SERVICE_SCOPE_DENIED', {
+      ip: getClientIp(req),
+      userAgent: getUserAgent(req),
+      url: req.url,
+      serviceCredentialId: req.serviceCredential.id,
+      minimumRole,
+    });
+    return ResponseFormatter.forbidden(
+      res,
+      'Service credential scopes do not cover this route',
+      ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+    );
+  }
+
   if (!hasMinimumRole(userRole, minimumRole)) {
     logSecurityEvent('AUTH_INSUFFICIENT_ROLE', {
       ip: getClientIp(req),
@@ -364,8 +496,38 @@ const requireMinimumRole = (minimumRole) => (req, res, next) => {
   next();
 };
 
+/**
+ * Operator-tenant authorization middleware (ADR-014)
+ *
+ * The /api/admin/system console manages deployment-wide state (settings,
+ * jobs, sessions, credentials of every tenant), so only callers from the
+ * original tenant (TENANCY.DEFAULT_TENANT_ID) may reach it.
+ *
+ * @example
+ * router.use('/system', requirePlatformTenant);
+ */
+const requirePlatformTenant = (req, res, next) => {
+  if (req.dbUser?.tenant_id !== TENANCY.DEFAULT_TENANT_ID) {
+    logSecurityEvent('AUTH_TENANT_DENIED', {
+      ip: getClientIp(req),
+      userAgent: getUserAgent(req),
+      url: req.url,
+      userId: req.dbUser?.id,
+      tenantId: req.dbUser?.tenant_id,
+    });
+    return ResponseFormatter.forbidden(
+      res,
+      'System administration is limited to the operator tenant',
+      ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+    );
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
   requirePermission,
   requireMinimumRole,
+  requirePlatformTenant,
 };
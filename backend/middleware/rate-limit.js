@@ -7,13 +7,23 @@
  * KISS Principle: Simple, focused rate limiting per endpoint type.
  * Uses a factory pattern to eliminate duplication across limiter configurations.
  *
+ * TENANCY (ADR-014): buckets for authenticated callers are tenant-keyed
+ * (`tenant:<id>:...`) so one tenant's traffic never drains another's. The
+ * pre-authentication limiters (api, auth, refresh) stay keyed by client IP:
+ * the tenant is not known until the token verifies, and keying on an
+ * unverified claim would let a client mint fresh buckets at will.
+ *
  * NOTE: Rate limiting is DISABLED when NODE_ENV is undefined, 'test', or 'development'
  * to allow rapid test execution and local development without limits.
  * Only enabled when NODE_ENV === 'production'.
  */
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const { logger } = require('../config/logger');
-const { HTTP_STATUS } = require('../config/constants');
+const { HTTP_STATUS, AUTH } = require('../config/constants');
+const { API_OPERATIONS } = require('../config/api-operations');
+const { decodeJwt } = require('../utils/jwt-helper');
+
+const SERVICE_CREDENTIALS = API_OPERATIONS.SERVICE_CREDENTIALS;
 
 // ─────────────────────────────────────────────────────────────
 // Environment Detection
@@ -46,6 +56,8 @@ const bypassLimiter = (req, res, next) => next();
  * @property {number} retryAfterSeconds - Retry time in seconds for response
  * @property {boolean} [skipSuccessfulRequests] - Don't count successful requests
  * @property {string[]} [logFields] - Additional request fields to log (e.g., ['email'])
+ * @property {Function} [keyGenerator] - (req) => bucket key (default: client IP)
+ * @property {Function} [skip] - (req) => true to not count the request
  */
 
 /**
@@ -65,12 +77,16 @@ function createRateLimiter(config) {
     retryAfterSeconds,
     skipSuccessfulRequests = false,
     logFields = [],
+    keyGenerator,
+    skip,
   } = config;
 
   const limiter = rateLimit({
     windowMs,
     max,
     skipSuccessfulRequests,
+    ...(keyGenerator && { keyGenerator }),
+    ...(skip && { skip }),
     message: {
       error: errorType,
       message: errorMessage,
@@ -93,6 +109,9 @@ function createRateLimiter(config) {
       if (logFields.includes('email')) {
         logContext.email = req.body?.email || 'unknown';
       }
+      if (logFields.includes('serviceCredential')) {
+        logContext.serviceCredentialId = req.serviceCredential?.id || null;
+      }
 
       logger.warn(`${logEmoji} ${name} rate limit exceeded`, logContext);
 
@@ -147,6 +166,38 @@ const REFRESH_RATE_LIMIT_MAX_REQUESTS = parseInt(
   10,
 );
 
+// Service credential limits (default: 5000 req/15 min per credential)
+const SERVICE_RATE_LIMIT_WINDOW_MS = parseInt(
+  process.env.SERVICE_RATE_LIMIT_WINDOW_MS || '900000',
+  10,
+); // 15 minutes
+const SERVICE_RATE_LIMIT_MAX_REQUESTS = parseInt(
+  process.env.SERVICE_RATE_LIMIT_MAX_REQUESTS || '5000',
+  10,
+);
+
+/**
+ * Whether a request presents a service credential (API key or service access
+ * token). The claim is unverified - it only picks the bucket; authenticateToken
+ * counts the request against serviceLimiter whether or not it verifies.
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const presentsServiceCredential = (req) => {
+  if (req.headers?.['x-api-key']) {
+    return true;
+  }
+  const authHeader = req.headers?.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return false;
+  }
+  const token = authHeader.substring(7);
+  return (
+    token.startsWith(SERVICE_CREDENTIALS.CLIENT_ID_PREFIX) ||
+    decodeJwt(token)?.provider === AUTH.PROVIDERS.SERVICE
+  );
+};
+
 /**
  * General API rate limit
  * Configurable via RATE_LIMIT_MAX_REQUESTS and RATE_LIMIT_WINDOW_MS
@@ -164,6 +215,7 @@ const apiLimiter = createRateLimiter({
   retryAfterLabel: '15 minutes',
   retryAfterSeconds: 900,
   logFields: ['method'],
+  skip: presentsServiceCredential, // Counted by serviceLimiter instead
 });
 
 /**
@@ -203,6 +255,38 @@ const refreshLimiter = createRateLimiter({
   retryAfterSeconds: Math.round(REFRESH_RATE_LIMIT_WINDOW_MS / 1000),
 });
 
+/**
+ * Bucket key for an authenticated caller's tenant (ADR-014)
+ * @param {number} tenantId - Tenant ID
+ * @param {string} key - Caller key within the tenant
+ * @returns {string} e.g. 'tenant:2:credential:4'
+ */
+const tenantKey = (tenantId, key) => `tenant:${tenantId}:${key}`;
+
+/**
+ * Service credential limit - each credential gets its own bucket
+ * Configurable via SERVICE_RATE_LIMIT_* env vars
+ * Default: 5000 requests per 15 minutes per credential
+ * Applied by authenticateToken once the credential is known (bucket keyed by
+ * the credential's tenant); requests whose credential fails to verify share a
+ * per-IP bucket
+ */
+const serviceLimiter = createRateLimiter({
+  name: 'Service',
+  logEmoji: '⚠️',
+  windowMs: SERVICE_RATE_LIMIT_WINDOW_MS,
+  max: SERVICE_RATE_LIMIT_MAX_REQUESTS,
+  errorType: 'Too many requests',
+  errorMessage: 'This service credential has exceeded its rate limit. Please try again later.',
+  retryAfterLabel: `${Math.round(SERVICE_RATE_LIMIT_WINDOW_MS / 60000)} minutes`,
+  retryAfterSeconds: Math.round(SERVICE_RATE_LIMIT_WINDOW_MS / 1000),
+  logFields: ['method', 'serviceCredential'],
+  keyGenerator: (req) =>
+    req.serviceCredential
+      ? tenantKey(req.serviceCredential.tenant_id, `credential:${req.serviceCredential.id}`)
+      : `ip:${ipKeyGenerator(req.ip)}`,
+});
+
 // NOTE: passwordResetLimiter removed - Auth0 handles all password operations
 
 // ─────────────────────────────────────────────────────────────
@@ -214,6 +298,7 @@ module.exports = {
   apiLimiter,
   authLimiter,
   refreshLimiter,
+  serviceLimiter,
 
   // Factory for custom rate limiters (allows extending with new limiters)
   createRateLimiter,
@@ -226,5 +311,11 @@ module.exports = {
     AUTH_RATE_LIMIT_MAX_REQUESTS,
     REFRESH_RATE_LIMIT_WINDOW_MS,
     REFRESH_RATE_LIMIT_MAX_REQUESTS,
+    SERVICE_RATE_LIMIT_WINDOW_MS,
+    SERVICE_RATE_LIMIT_MAX_REQUESTS,
   },
+
+  // Exported for testing
+  _presentsServiceCredential: presentsServiceCredential,
+  _tenantKey: tenantKey,
 };
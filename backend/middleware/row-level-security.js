@@ -28,6 +28,9 @@ const { logSecurityEvent, logger } = require('../config/logger');
 const { getClientIp, getUserAgent } = require('../utils/request-helpers');
 const ResponseFormatter = require('../utils/response-formatter');
 const { ERROR_CODES } = require('../config/error-codes');
+const { AUTH, ORGANIZATIONS, TENANCY, USER_ROLES } = require('../config/constants');
+const { hasMinimumRole } = require('../config/permissions-loader');
+const { pool } = require('../db/connection');
 
 // ============================================================================
 // PROFILE TYPE REGISTRY
@@ -79,6 +82,60 @@ function extractProfileIds(user) {
   );
 }
 
+/**
+ * Read the active organization (the UI's company switch) from the request
+ *
+ * @param {Object} req - Express request object
+ * @returns {number|null|undefined} Organization ID, null when no header was sent,
+ *   undefined when the header is not a positive integer
+ */
+function getActiveOrganizationId(req) {
+  const header = req.headers?.[ORGANIZATIONS.HEADER_NAME.toLowerCase()];
+
+  if (header === undefined || header === '') {
+    return null;
+  }
+
+  return /^[1-9]\d{0,9}$/.test(header) ? Number(header) : undefined;
+}
+
+/**
+ * Whether the user may select an organization as their active one
+ *
+ * The active organization narrows lists and is stamped on created rows, so a
+ * header naming another company (or another tenant's) must not be honoured.
+ * Admins may select any organization of their tenant; everyone else needs an
+ * active membership in it.
+ *
+ * @param {number} organizationId - Organization from X-Organization-Id
+ * @param {Object} dbUser - Authenticated user (id, role, tenant_id)
+ * @returns {Promise<boolean>} True if the organization may be selected
+ */
+async function canSelectOrganization(organizationId, dbUser) {
+  const tenantId = dbUser.tenant_id ?? null;
+
+  if (hasMinimumRole(dbUser.role, USER_ROLES.ADMIN)) {
+    const { rows } = await pool.query(
+      `SELECT 1 FROM ${ORGANIZATIONS.TABLE}
+       WHERE id = $1 AND ${TENANCY.COLUMN} = $2`,
+      [organizationId, tenantId],
+    );
+    return rows.length > 0;
+  }
+
+  if (!dbUser.id) {
+    return false;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT 1 FROM ${ORGANIZATIONS.MEMBERSHIP_TABLE}
+     WHERE ${ORGANIZATIONS.COLUMN} = $1 AND user_id = $2 AND is_active = true
+       AND ${TENANCY.COLUMN} = $3`,
+    [organizationId, dbUser.id, tenantId],
+  );
+  return rows.length > 0;
+}
+
 /**
  * Map HTTP method to RLS operation
  *
@@ -105,6 +162,10 @@ function getOperationFromMethod(method) {
  * ADR-011: Rule-based RLS. Context structure:
  * - role: User's role (for rule matching)
  * - userId: User's ID
+ * - tenantId: User's tenant (ADR-014 - scopes every tenant-scoped entity)
+ * - activeOrganizationId: Company chosen in the UI switch (X-Organization-Id), or null;
+ *   403 unless the user has an active membership in it within their tenant (admins: any
+ *   organization of their tenant)
  * - operation: Derived from HTTP method (read, create, update, delete)
  * - *_profile_id: All profile columns from users table (snake_case)
  * - filterConfig: (LEGACY) For backward compatibility during migration
@@ -127,7 +188,7 @@ function getOperationFromMethod(method) {
  *   }
  * );
  */
-const enforceRLS = (req, res, next) => {
+const enforceRLS = async (req, res, next) => {
   // Resource comes from entity metadata - ONE source, no fallbacks
   const resource = req.entityMetadata?.rlsResource;
 
@@ -170,18 +231,60 @@ const enforceRLS = (req, res, next) => {
   // Determine operation from HTTP method
   const operation = getOperationFromMethod(req.method);
 
+  const activeOrganizationId = getActiveOrganizationId(req);
+  if (activeOrganizationId === undefined) {
+    return ResponseFormatter.badRequest(
+      res,
+      `${ORGANIZATIONS.HEADER_NAME} must be an organization ID`,
+    );
+  }
+  if (activeOrganizationId !== null) {
+    let canSelect;
+    try {
+      canSelect = await canSelectOrganization(activeOrganizationId, req.dbUser);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!canSelect) {
+      logSecurityEvent('RLS_ORGANIZATION_NOT_MEMBER', {
+        ip: getClientIp(req),
+        userAgent: getUserAgent(req),
+        url: req.url,
+        userId,
+        organizationId: activeOrganizationId,
+      });
+      return ResponseFormatter.forbidden(
+        res,
+        'You are not a member of this organization',
+        ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+      );
+    }
+  }
+
   // Build RLS context (ADR-011 format)
   // The new RLS engine reads rlsRules from entity metadata to match rules by role
   req.rlsContext = {
     // Core identity
     role: userRole,
     userId,
+    tenantId: req.dbUser.tenant_id ?? null,
     operation,
     resource,
 
+    // Actor: service credentials have no userId or profile IDs, so rules
+    // scoped to "own" records resolve to FALSE for them (fail closed)
+    actorType: req.dbUser.actor_type || AUTH.ACTOR_TYPES.USER,
+    serviceCredentialId: req.dbUser.service_credential_id || null,
+
     // Dynamic profile IDs (snake_case, schema-driven)
     ...profileIds,
 
+    // Active organization (X-Organization-Id, verified above):
+    // narrows company-scoped lists and defaults organization_id on create -
+    // a view, not a grant
+    activeOrganizationId,
+
     // Polymorphic parent context (from setPolymorphicContext middleware)
     // Used by polymorphic parent RLS rules to resolve parent type at runtime
     polymorphic: req.polymorphicContext || null,
@@ -255,6 +358,7 @@ module.exports = {
   // Exported for use by related modules (e.g., sub-entity.js)
   extractProfileIds,
   getOperationFromMethod,
+  getActiveOrganizationId,
   // Exported for tests and documentation
   KNOWN_PROFILE_TYPES,
 };
@@ -111,6 +111,7 @@ function requireParentAccess(parentEntityKey, idParam = 'id') {
       const rlsContext = {
         role: req.dbUser.role,
         userId: req.dbUser.id,
+        tenantId: req.dbUser.tenant_id ?? null,
         resource: parentMetadata.rlsResource,
         operation: getOperationFromMethod(req.method),
         ...extractProfileIds(req.dbUser),
@@ -8,6 +8,7 @@
  * - Request duration tracking and logging
  * - Slow request detection and alerting
  * - Integration with existing logger
+ * - Server-Sent Event streams (Accept: text/event-stream) are exempt
  *
  * USAGE:
  *   const { requestTimeout, timeoutHandler } = require('./middleware/timeout');
@@ -49,6 +50,12 @@ function requestTimeout(timeoutMs = TIMEOUTS.REQUEST.DEFAULT_MS, options = {}) {
       return next();
     }
 
+    // Skip Server-Sent Event streams (GET /api/events): open-ended by design,
+    // kept alive by heartbeats instead
+    if (req.get('accept')?.includes('text/event-stream')) {
+      return next();
+    }
+
     // Track request start time for duration measurement
     req.startTime = Date.now();
     req.timeoutMs = timeoutMs;
@@ -0,0 +1,60 @@
+-- ============================================================================
+-- MIGRATION: 008_add_technician_matching_fields
+-- ============================================================================
+-- Adds the requirement fields consumed by technician matching
+-- (GET /api/work_orders/:id/technician-matches):
+--   - service_templates.required_skills / required_certifications
+--   - work_orders.service_template_id (optional FK) plus per-order overrides
+--     required_skills / required_certifications
+--
+-- Values are comma-separated, matching technicians.skills/certifications.
+--
+-- Idempotent: ADD COLUMN IF NOT EXISTS + guarded constraint creation.
+-- ============================================================================
+
+-- ============================================================================
+-- SERVICE_TEMPLATES: Matching requirements
+-- ============================================================================
+
+ALTER TABLE service_templates
+ADD COLUMN IF NOT EXISTS required_skills TEXT;
+
+ALTER TABLE service_templates
+ADD COLUMN IF NOT EXISTS required_certifications TEXT;
+
+-- ============================================================================
+-- WORK_ORDERS: Template link + per-order overrides
+-- ============================================================================
+
+ALTER TABLE work_orders
+ADD COLUMN IF NOT EXISTS service_template_id INTEGER;
+
+ALTER TABLE work_orders
+ADD COLUMN IF NOT EXISTS required_skills TEXT;
+
+ALTER TABLE work_orders
+ADD COLUMN IF NOT EXISTS required_certifications TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'fk_work_orders_service_template_id'
+  ) THEN
+    ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_service_template_id
+      FOREIGN KEY (service_template_id) REFERENCES service_templates(id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_work_orders_service_template_id
+ON work_orders(service_template_id);
+
+-- ============================================================================
+-- ROLLBACK (DOWN) -- run manually if reverting this migration
+-- ============================================================================
+-- DROP INDEX IF EXISTS idx_work_orders_service_template_id;
+-- ALTER TABLE work_orders DROP CONSTRAINT IF EXISTS fk_work_orders_service_template_id;
+-- ALTER TABLE work_orders DROP COLUMN IF EXISTS required_certifications;
+-- ALTER TABLE work_orders DROP COLUMN IF EXISTS required_skills;
+-- ALTER TABLE work_orders DROP COLUMN IF EXISTS service_template_id;
+-- ALTER TABLE service_templates DROP COLUMN IF EXISTS required_certifications;
+-- ALTER TABLE service_templates DROP COLUMN IF EXISTS required_skills;
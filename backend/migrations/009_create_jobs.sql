@@ -0,0 +1,70 @@
+-- ============================================================================
+-- MIGRATION: 009_create_jobs
+-- ============================================================================
+-- Creates the durable background job queue (services/jobs):
+--   - Claimed with FOR UPDATE SKIP LOCKED (safe across app instances)
+--   - Retries with exponential backoff, dead-letter status when exhausted
+--   - Cron-style recurring jobs (recurring_key + cron, per-slot dedupe_key)
+--
+-- Replaces the per-process setInterval cleanups in background-tasks.js.
+--
+-- Idempotent: CREATE ... IF NOT EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- JOBS TABLE
+-- ============================================================================
+-- Purpose: Durable background job queue (services/jobs)
+-- Claiming: FOR UPDATE SKIP LOCKED (safe across multiple app instances)
+-- Lifecycle: pending → running → completed | pending (retry) | dead
+--            pending/running → cancelled (admin)
+-- Recurring: cron-style jobs share a recurring_key; dedupe_key is per-slot
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS jobs (
+    id SERIAL PRIMARY KEY,
+
+    -- Handler key (services/jobs/job-handlers.js) and its input
+    type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'dead', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    -- Worker lock (orphaned locks are reclaimed after a timeout)
+    locked_at TIMESTAMPTZ,
+    locked_by VARCHAR(255),
+
+    -- Outcome
+    last_error TEXT,
+    result JSONB,
+    completed_at TIMESTAMPTZ,
+
+    -- Deduplication (NULLs are distinct, so keyless jobs never conflict)
+    dedupe_key VARCHAR(255) UNIQUE,
+
+    -- Recurring (cron) jobs
+    recurring_key VARCHAR(100),
+    cron VARCHAR(100),
+
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for jobs
+-- Worker claim scans pending jobs by run_at
+CREATE INDEX IF NOT EXISTS idx_jobs_pending_run_at
+    ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type);
+CREATE INDEX IF NOT EXISTS idx_jobs_recurring_key
+    ON jobs(recurring_key) WHERE recurring_key IS NOT NULL;
+
+-- ============================================================================
+-- ROLLBACK (DOWN) -- run manually if reverting this migration
+-- ============================================================================
+-- DROP TABLE IF EXISTS jobs CASCADE;
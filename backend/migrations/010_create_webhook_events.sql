@@ -0,0 +1,56 @@
+-- ============================================================================
+-- MIGRATION: 010_create_webhook_events
+-- ============================================================================
+-- Creates the persistent webhook inbox (routes/webhooks.js):
+--   - Stores every verified payload with provider, event id, type and status
+--   - UNIQUE (provider, event_id) dedupes provider redeliveries across
+--     restarts and app instances
+--   - Events are dispatched to per-provider handlers by 'webhook.process'
+--     jobs and can be replayed by admins
+--
+-- Idempotent: CREATE ... IF NOT EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- WEBHOOK EVENTS TABLE
+-- ============================================================================
+-- Purpose: Persistent inbox of verified webhook payloads (routes/webhooks.js)
+-- Dedupe: UNIQUE (provider, event_id) - provider redeliveries are no-ops
+-- Processing: each event is handled by a 'webhook.process' job
+-- Lifecycle: received → processing → processed | ignored | failed
+--            processed/ignored/failed → received (admin replay)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id SERIAL PRIMARY KEY,
+
+    -- Source (provider key from config/integration-providers.js)
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255),
+    event_type VARCHAR(100),
+    payload JSONB NOT NULL,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    processed_at TIMESTAMPTZ,
+
+    received_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    -- NULL event_ids are distinct, so events without an ID are always stored
+    CONSTRAINT uq_webhook_events_provider_event UNIQUE (provider, event_id)
+);
+
+-- Indexes for webhook_events
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_provider_type
+    ON webhook_events(provider, event_type);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at
+    ON webhook_events(received_at DESC);
+
+-- ============================================================================
+-- ROLLBACK (DOWN) -- run manually if reverting this migration
+-- ============================================================================
+-- DROP TABLE IF EXISTS webhook_events CASCADE;
@@ -0,0 +1,61 @@
+-- ============================================================================
+-- MIGRATION: 011_add_customer_qb_sync_fields
+-- ============================================================================
+-- Adds QuickBooks sync tracking fields to customers (mirrors the invoice
+-- fields from 003_add_integration_sync_fields).
+-- Used for: QuickBooks customer sync (invoices reference the QBO customer)
+--
+-- UP: Add columns for external ID, sync status, timestamps
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+-- External ID from QuickBooks (Customer Id)
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS qb_customer_id VARCHAR(50);
+
+-- Sync status: pending, synced, modified, error, skipped
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS qb_sync_status VARCHAR(25);
+
+-- Add CHECK constraint for valid sync status values (DB-level validation)
+-- Using DO block to handle "constraint already exists" gracefully
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'customers_qb_sync_status_check'
+  ) THEN
+    ALTER TABLE customers ADD CONSTRAINT customers_qb_sync_status_check
+      CHECK (qb_sync_status IS NULL OR qb_sync_status IN ('pending', 'synced', 'modified', 'error', 'skipped'));
+  END IF;
+END $$;
+
+-- Timestamp of last successful sync
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS qb_synced_at TIMESTAMPTZ;
+
+-- Last sync error message (cleared on success)
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS qb_sync_error TEXT;
+
+-- Index for efficient sync status queries
+CREATE INDEX IF NOT EXISTS idx_customers_qb_sync_status
+ON customers(qb_sync_status)
+WHERE qb_sync_status IS NOT NULL;
+
+-- Index for finding customers by QuickBooks ID
+CREATE INDEX IF NOT EXISTS idx_customers_qb_customer_id
+ON customers(qb_customer_id)
+WHERE qb_customer_id IS NOT NULL;
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- DROP INDEX IF EXISTS idx_customers_qb_sync_status;
+-- DROP INDEX IF EXISTS idx_customers_qb_customer_id;
+-- ALTER TABLE customers DROP CONSTRAINT IF EXISTS customers_qb_sync_status_check;
+-- ALTER TABLE customers DROP COLUMN IF EXISTS qb_customer_id;
+-- ALTER TABLE customers DROP COLUMN IF EXISTS qb_sync_status;
+-- ALTER TABLE customers DROP COLUMN IF EXISTS qb_synced_at;
+-- ALTER TABLE customers DROP COLUMN IF EXISTS qb_sync_error;
+-- ============================================================================
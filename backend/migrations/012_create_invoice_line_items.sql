@@ -0,0 +1,61 @@
+-- ============================================================================
+-- MIGRATION: 012_create_invoice_line_items
+-- ============================================================================
+-- Creates invoice_line_items (see config/models/invoice-line-item-metadata.js).
+-- Used for: itemised invoices; invoices.amount/tax/total are recomputed from
+-- the lines by the 'recalculate_invoice_total' compute action.
+--
+-- UP: Create table, indexes and foreign keys
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+    id SERIAL PRIMARY KEY,
+    description VARCHAR(255) NOT NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    invoice_id INTEGER NOT NULL,
+    quantity DECIMAL(10,2) DEFAULT 1,
+    unit_price DECIMAL(12,2) NOT NULL,
+    tax_rate DECIMAL(5,2) DEFAULT 0,
+    inventory_id INTEGER,
+    service_template_id INTEGER,
+    sort_order INTEGER DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_description ON invoice_line_items(description);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice_id ON invoice_line_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_inventory_id ON invoice_line_items(inventory_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_service_template_id ON invoice_line_items(service_template_id);
+
+-- Foreign keys (lines go with their invoice)
+-- Using DO block to handle "constraint already exists" gracefully
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'fk_invoice_line_items_invoice_id'
+  ) THEN
+    ALTER TABLE invoice_line_items ADD CONSTRAINT fk_invoice_line_items_invoice_id
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE;
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'fk_invoice_line_items_inventory_id'
+  ) THEN
+    ALTER TABLE invoice_line_items ADD CONSTRAINT fk_invoice_line_items_inventory_id
+      FOREIGN KEY (inventory_id) REFERENCES inventory(id);
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'fk_invoice_line_items_service_template_id'
+  ) THEN
+    ALTER TABLE invoice_line_items ADD CONSTRAINT fk_invoice_line_items_service_template_id
+      FOREIGN KEY (service_template_id) REFERENCES service_templates(id);
+  END IF;
+END $$;
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- DROP TABLE IF EXISTS invoice_line_items CASCADE;
+-- ============================================================================
@@ -0,0 +1,117 @@
+-- ============================================================================
+-- MIGRATION: 013_add_fulltext_search_vectors
+-- ============================================================================
+-- Adds the full-text search column to every table with FULLTEXT-trait fields
+-- (see TRAIT_SETS.FULLTEXT in config/field-types.js): a STORED generated
+-- tsvector over those fields plus a GIN index. List reads match it with
+-- websearch_to_tsquery and rank by ts_rank (QueryBuilderService).
+-- Used for: ranked, stemmed, index-backed ?search= on entity list endpoints
+--
+-- UP: Add search_vector generated columns and GIN indexes
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+ALTER TABLE contracts
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(summary, '') || ' ' || COALESCE(terms, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_contracts_search_vector
+ON contracts USING GIN (search_vector);
+
+ALTER TABLE invoice_line_items
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_search_vector
+ON invoice_line_items USING GIN (search_vector);
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(summary, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_search_vector
+ON invoices USING GIN (search_vector);
+
+ALTER TABLE purchase_orders
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_search_vector
+ON purchase_orders USING GIN (search_vector);
+
+ALTER TABLE quotes
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_search_vector
+ON quotes USING GIN (search_vector);
+
+ALTER TABLE receipts
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_receipts_search_vector
+ON receipts USING GIN (search_vector);
+
+ALTER TABLE recommendations
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_recommendations_search_vector
+ON recommendations USING GIN (search_vector);
+
+ALTER TABLE service_templates
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(required_skills, '') || ' ' || COALESCE(required_certifications, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_service_templates_search_vector
+ON service_templates USING GIN (search_vector);
+
+ALTER TABLE technicians
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(certifications, '') || ' ' || COALESCE(skills, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_technicians_search_vector
+ON technicians USING GIN (search_vector);
+
+ALTER TABLE units
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(notes, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_units_search_vector
+ON units USING GIN (search_vector);
+
+ALTER TABLE work_orders
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(summary, '') || ' ' || COALESCE(required_skills, '') || ' ' || COALESCE(required_certifications, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_work_orders_search_vector
+ON work_orders USING GIN (search_vector);
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- DROP INDEX IF EXISTS idx_contracts_search_vector;
+-- DROP INDEX IF EXISTS idx_invoice_line_items_search_vector;
+-- DROP INDEX IF EXISTS idx_invoices_search_vector;
+-- DROP INDEX IF EXISTS idx_purchase_orders_search_vector;
+-- DROP INDEX IF EXISTS idx_quotes_search_vector;
+-- DROP INDEX IF EXISTS idx_receipts_search_vector;
+-- DROP INDEX IF EXISTS idx_recommendations_search_vector;
+-- DROP INDEX IF EXISTS idx_service_templates_search_vector;
+-- DROP INDEX IF EXISTS idx_technicians_search_vector;
+-- DROP INDEX IF EXISTS idx_units_search_vector;
+-- DROP INDEX IF EXISTS idx_work_orders_search_vector;
+-- ALTER TABLE contracts DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE invoice_line_items DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE purchase_orders DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE quotes DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE receipts DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE recommendations DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE service_templates DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE technicians DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE units DROP COLUMN IF EXISTS search_vector;
+-- ALTER TABLE work_orders DROP COLUMN IF EXISTS search_vector;
+-- ============================================================================
@@ -0,0 +1,41 @@
+-- ============================================================================
+-- MIGRATION: 014_add_approval_request_lifecycle
+-- ============================================================================
+-- Adds multi-step chains, timeouts and a target version to approval_requests
+-- (see config/models/approval-request-metadata.js), and allows invoices as a
+-- target (invoice status changes above the threshold require approval).
+-- Used for: approval requests created by beforeChange requiresApproval hooks,
+-- escalated/expired by the 'approvals.timeouts' job and decided via
+-- POST /api/approval_requests/:id/decision (services/entity/approval-service.js)
+--
+-- UP: Add columns, widen the target_entity check
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+ALTER TABLE approval_requests ADD COLUMN IF NOT EXISTS approval_chain JSON;
+ALTER TABLE approval_requests ADD COLUMN IF NOT EXISTS current_step INTEGER DEFAULT 0;
+ALTER TABLE approval_requests ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE approval_requests ADD COLUMN IF NOT EXISTS on_timeout VARCHAR(25) DEFAULT 'expire'
+  CHECK (on_timeout IN ('expire', 'escalate'));
+ALTER TABLE approval_requests ADD COLUMN IF NOT EXISTS target_version VARCHAR(32);
+ALTER TABLE approval_requests ADD COLUMN IF NOT EXISTS decision_history JSON;
+
+-- Inline column check from the original CREATE TABLE (Postgres default name)
+ALTER TABLE approval_requests DROP CONSTRAINT IF EXISTS approval_requests_target_entity_check;
+ALTER TABLE approval_requests ADD CONSTRAINT approval_requests_target_entity_check
+  CHECK (target_entity IN ('recommendation', 'quote', 'purchase_order', 'invoice'));
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- ALTER TABLE approval_requests DROP CONSTRAINT IF EXISTS approval_requests_target_entity_check;
+-- ALTER TABLE approval_requests ADD CONSTRAINT approval_requests_target_entity_check
+--   CHECK (target_entity IN ('recommendation', 'quote', 'purchase_order'));
+-- ALTER TABLE approval_requests DROP COLUMN IF EXISTS decision_history;
+-- ALTER TABLE approval_requests DROP COLUMN IF EXISTS target_version;
+-- ALTER TABLE approval_requests DROP COLUMN IF EXISTS on_timeout;
+-- ALTER TABLE approval_requests DROP COLUMN IF EXISTS expires_at;
+-- ALTER TABLE approval_requests DROP COLUMN IF EXISTS current_step;
+-- ALTER TABLE approval_requests DROP COLUMN IF EXISTS approval_chain;
+-- ============================================================================
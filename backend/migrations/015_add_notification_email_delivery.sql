@@ -0,0 +1,31 @@
+-- ============================================================================
+-- MIGRATION: 015_add_notification_email_delivery
+-- ============================================================================
+-- Adds email delivery tracking to notifications
+-- (see config/models/notification-metadata.js).
+-- Used for: notifications created with channels: ['email'], delivered by the
+-- 'notification.email' job (services/notifications/email-service.js)
+--
+-- UP: Add columns
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS template VARCHAR(50);
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_status VARCHAR(25)
+  CHECK (email_status IN ('pending', 'sent', 'bounced', 'failed', 'skipped'));
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_sent_at TIMESTAMPTZ;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_attempts INTEGER DEFAULT 0;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_error TEXT;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_message_id VARCHAR(255);
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- ALTER TABLE notifications DROP COLUMN IF EXISTS email_message_id;
+-- ALTER TABLE notifications DROP COLUMN IF EXISTS email_error;
+-- ALTER TABLE notifications DROP COLUMN IF EXISTS email_attempts;
+-- ALTER TABLE notifications DROP COLUMN IF EXISTS email_sent_at;
+-- ALTER TABLE notifications DROP COLUMN IF EXISTS email_status;
+-- ALTER TABLE notifications DROP COLUMN IF EXISTS template;
+-- ============================================================================
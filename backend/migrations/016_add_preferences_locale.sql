@@ -0,0 +1,21 @@
+-- ============================================================================
+-- MIGRATION: 016_add_preferences_locale
+-- ============================================================================
+-- Adds the notification language to preferences
+-- (see config/models/preferences-metadata.js).
+-- Used for: rendering notifications and emails in the recipient's locale
+-- (config/notification-templates.json)
+--
+-- UP: Add column
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+ALTER TABLE preferences ADD COLUMN IF NOT EXISTS locale VARCHAR(25) DEFAULT 'en'
+  CHECK (locale IN ('en', 'es'));
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- ALTER TABLE preferences DROP COLUMN IF EXISTS locale;
+-- ============================================================================
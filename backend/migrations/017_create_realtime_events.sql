@@ -0,0 +1,44 @@
+-- ============================================================================
+-- MIGRATION: 017_create_realtime_events
+-- ============================================================================
+-- Creates the realtime event outbox (services/realtime):
+--   - GenericEntityService records every create/update/delete in the write's
+--     transaction and pg_notify()s it, so only committed changes are streamed
+--   - GET /api/events streams them over Server-Sent Events; the id doubles
+--     as the SSE event id for Last-Event-ID resume
+--   - Rows are purged hourly by the 'realtime.cleanup' job
+--
+-- Idempotent: CREATE ... IF NOT EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- REALTIME EVENTS TABLE
+-- ============================================================================
+-- Purpose: Outbox of entity/notification changes streamed by GET /api/events
+-- Written: by GenericEntityService in the write's transaction, then
+--          pg_notify('tross_events') - rolled-back writes publish nothing
+-- Resume: the id is the SSE event id (Last-Event-ID replays id > n)
+-- Retention: purged after API_OPERATIONS.REALTIME.RETENTION_HOURS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+
+    -- 'notification' (for user_id only) or 'entity' (RLS-filtered per reader)
+    type VARCHAR(20) NOT NULL CHECK (type IN ('notification', 'entity')),
+    entity VARCHAR(100) NOT NULL,
+    record_id INTEGER NOT NULL,
+    operation VARCHAR(10) NOT NULL CHECK (operation IN ('create', 'update', 'delete')),
+
+    -- Recipient of a notification event (NULL for entity events)
+    user_id INTEGER,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for realtime_events
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created_at ON realtime_events(created_at);
+
+-- ============================================================================
+-- ROLLBACK (DOWN) -- run manually if reverting this migration
+-- ============================================================================
+-- DROP TABLE IF EXISTS realtime_events CASCADE;
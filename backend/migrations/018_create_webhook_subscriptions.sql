@@ -0,0 +1,66 @@
+-- ============================================================================
+-- MIGRATION: 018_create_webhook_subscriptions
+-- ============================================================================
+-- Creates outbound webhooks (services/integrations/webhook-delivery-service.js):
+--   - webhook_subscriptions: admin-managed entity (see
+--     config/models/webhook-subscription-metadata.js) - target URL, entity
+--     and event filter, signing secret
+--   - webhook_deliveries: delivery log, one row per subscription × event,
+--     POSTed with retries by the 'webhook.deliver' job
+--   - Settled deliveries are purged daily by the 'webhooks.cleanup' job
+--
+-- Idempotent: CREATE ... IF NOT EXISTS.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    target_url VARCHAR(2048) NOT NULL,
+    entity_name VARCHAR(50),
+    event_filter VARCHAR(25) NOT NULL DEFAULT 'all' CHECK (event_filter IN ('all', 'create', 'update', 'delete', 'action')),
+    secret_key VARCHAR(255) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_name ON webhook_subscriptions(name);
+
+-- ============================================================================
+-- WEBHOOK DELIVERIES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+
+    -- Event ('work_order.updated', 'work_order.action.notify_customer', ...)
+    event VARCHAR(150) NOT NULL,
+    entity VARCHAR(100) NOT NULL,
+    record_id INTEGER,
+    payload JSONB NOT NULL,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    delivered_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for webhook_deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id
+    ON webhook_deliveries(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at
+    ON webhook_deliveries(created_at DESC);
+
+-- ============================================================================
+-- ROLLBACK (DOWN) -- run manually if reverting this migration
+-- ============================================================================
+-- DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+-- DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
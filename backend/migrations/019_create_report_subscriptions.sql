@@ -0,0 +1,35 @@
+-- ============================================================================
+-- MIGRATION: 019_create_report_subscriptions
+-- ============================================================================
+-- Creates scheduled reports (services/data/report-subscription-service.js):
+--   - report_subscriptions: a saved view on a daily/weekly RRULE schedule
+--     (see config/models/report-subscription-metadata.js), rendered to
+--     CSV/XLSX with the owner's access and delivered as a notification
+--   - Due subscriptions are delivered by the recurring 'reports.deliver' job
+--   - One subscription per saved view; deleted with the view or its owner
+--
+-- Idempotent: CREATE ... IF NOT EXISTS.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    saved_view_id INTEGER NOT NULL UNIQUE REFERENCES saved_views(id) ON DELETE CASCADE,
+    format VARCHAR(25) NOT NULL DEFAULT 'csv' CHECK (format IN ('csv', 'xlsx')),
+    schedule VARCHAR(500) NOT NULL,
+    next_run_at TIMESTAMPTZ NOT NULL,
+    last_run_at TIMESTAMPTZ,
+    last_status VARCHAR(25) CHECK (last_status IN ('delivered', 'failed')),
+    last_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_user_id ON report_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_saved_view_id ON report_subscriptions(saved_view_id);
+
+-- ============================================================================
+-- ROLLBACK (DOWN) -- run manually if reverting this migration
+-- ============================================================================
+-- DROP TABLE IF EXISTS report_subscriptions CASCADE;
@@ -0,0 +1,50 @@
+-- ============================================================================
+-- MIGRATION: 020_create_service_credentials
+-- ============================================================================
+-- Adds machine-client authentication (services/auth/service-credential-service.js):
+--   - service_credentials: API keys / client-credentials pairs mapped to a
+--     role, with optional entity/operation scopes and an IP allow-list
+--   - audit_logs.actor_type / service_credential_id: audit rows record
+--     whether a user or a service credential acted
+--
+-- Idempotent: CREATE ... IF NOT EXISTS / ADD COLUMN IF NOT EXISTS.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS service_credentials (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+
+    -- Identity (client_id is public, the secret is not)
+    client_id VARCHAR(64) NOT NULL UNIQUE,
+    secret_hash VARCHAR(64) NOT NULL,
+    -- Secret replaced by the last rotation, accepted until the grace period ends
+    previous_secret_hash VARCHAR(64),
+    previous_secret_expires_at TIMESTAMPTZ,
+
+    -- Authorization
+    role_id INTEGER NOT NULL REFERENCES roles(id),
+    scopes JSONB,        -- { "<entity>": ["read", ...] }; NULL = all the role allows
+    ip_allowlist TEXT[], -- addresses / CIDR ranges; NULL = any address
+
+    -- Lifecycle
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    rotated_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip VARCHAR(45),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_credentials_role_id ON service_credentials(role_id);
+
+-- ============================================================================
+-- AUDIT LOG ACTOR
+-- ============================================================================
+ALTER TABLE audit_logs
+    ADD COLUMN IF NOT EXISTS actor_type VARCHAR(25) DEFAULT 'user'
+        CHECK (actor_type IN ('user', 'service'));
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS service_credential_id INTEGER;
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- MIGRATION: 021_add_refresh_token_families
+-- ============================================================================
+-- Adds refresh-token families for rotation with reuse detection
+-- (see services/auth/token-service.js):
+--   - family_id: one per login (= session); rotation keeps the family
+--   - parent_token_id: the token a rotated token replaced
+--   - revoked_reason: why a token stopped working ('rotated' marks a used
+--     token - presenting it again revokes the whole family)
+--   - device_name: device label recorded per session
+--
+-- Existing tokens each become their own family.
+--
+-- UP: Add columns + index
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS family_id UUID NOT NULL DEFAULT uuid_generate_v4();
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS parent_token_id UUID;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50);
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS device_name VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- DROP INDEX IF EXISTS idx_refresh_tokens_family_id;
+-- ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS device_name;
+-- ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS revoked_reason;
+-- ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS parent_token_id;
+-- ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS family_id;
@@ -0,0 +1,107 @@
+-- ============================================================================
+-- MIGRATION: 022_add_tenancy
+-- ============================================================================
+-- Converts the deployment to row-scoped multi-tenancy (ADR-014):
+--   - tenants: one row per hosted company; id 1 is the original tenant
+--   - tenant_id on every tenant-scoped entity table (all but roles) and on
+--     service_credentials, NOT NULL DEFAULT 1 - existing rows move into the
+--     original tenant
+--
+-- The RLS engine ANDs tenant_id = <caller's tenant> into every query from
+-- here on (db/helpers/rls), so apply this migration before deploying the code.
+--
+-- Idempotent: CREATE ... IF NOT EXISTS / ADD COLUMN IF NOT EXISTS, and the
+-- foreign keys are only added when missing.
+--
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tenants (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    auth0_org_id VARCHAR(100) UNIQUE,
+
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+INSERT INTO tenants (id, slug, name) VALUES
+(1, 'default', 'Tross')
+ON CONFLICT (id) DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('tenants', 'id'), GREATEST((SELECT MAX(id) FROM tenants), 1));
+
+DO $$
+DECLARE
+    scoped_table TEXT;
+BEGIN
+    FOREACH scoped_table IN ARRAY ARRAY[
+        'approval_requests',
+        'assets',
+        'audit_logs',
+        'contracts',
+        'customer_units',
+        'customers',
+        'departments',
+        'file_attachments',
+        'inventory',
+        'invoice_line_items',
+        'invoices',
+        'maintenance_schedules',
+        'notifications',
+        'payments',
+        'preferences',
+        'properties',
+        'property_roles',
+        'purchase_orders',
+        'quotes',
+        'receipts',
+        'recommendations',
+        'report_subscriptions',
+        'saved_views',
+        'service_agreement_items',
+        'service_agreements',
+        'service_credentials',
+        'service_templates',
+        'subcontractors',
+        'technicians',
+        'units',
+        'users',
+        'vendors',
+        'visit_subcontractors',
+        'visit_technicians',
+        'visits',
+        'webhook_subscriptions',
+        'work_orders'
+    ]
+    LOOP
+        EXECUTE format(
+            'ALTER TABLE %I ADD COLUMN IF NOT EXISTS tenant_id INTEGER NOT NULL DEFAULT 1',
+            scoped_table
+        );
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_constraint WHERE conname = format('fk_%s_tenant_id', scoped_table)
+        ) THEN
+            EXECUTE format(
+                'ALTER TABLE %I ADD CONSTRAINT %I FOREIGN KEY (tenant_id) REFERENCES tenants(id)',
+                scoped_table,
+                format('fk_%s_tenant_id', scoped_table)
+            );
+        END IF;
+        EXECUTE format(
+            'CREATE INDEX IF NOT EXISTS %I ON %I(tenant_id)',
+            format('idx_%s_tenant_id', scoped_table),
+            scoped_table
+        );
+    END LOOP;
+END $$;
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- For each table above:
+--   ALTER TABLE <table> DROP COLUMN IF EXISTS tenant_id;
+-- DROP TABLE IF EXISTS tenants;
@@ -0,0 +1,91 @@
+-- ============================================================================
+-- MIGRATION: 023_add_organizations
+-- ============================================================================
+-- Adds the company dimension within a tenant (ADR-014 §1):
+--   - organizations: one row per company of the family (e.g. PREM, ARKE)
+--     (see config/models/organization-metadata.js)
+--   - organization_memberships: which staff work for which company; the RLS
+--     'organization' access type limits staff to their companies' rows
+--   - organization_id on customers, properties, work_orders, invoices and
+--     vendors - nullable: existing rows stay unassigned, which every company
+--     of the tenant shares, so nobody loses access until records are assigned
+--
+-- Idempotent: CREATE ... IF NOT EXISTS / ADD COLUMN IF NOT EXISTS, and the
+-- foreign keys are only added when missing.
+--
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL REFERENCES tenants(id),
+    name VARCHAR(255) NOT NULL,
+    status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+    code VARCHAR(20),
+    description TEXT,
+    -- Names are unique per tenant: two hosted companies may both have a 'North'
+    CONSTRAINT uq_organizations_tenant_name UNIQUE (tenant_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organizations_tenant_id ON organizations(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_organizations_name ON organizations(tenant_id, name);
+
+CREATE TABLE IF NOT EXISTS organization_memberships (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL REFERENCES tenants(id),
+    organization_id INTEGER NOT NULL REFERENCES organizations(id),
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    CONSTRAINT uq_organization_user UNIQUE (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_memberships_tenant_id ON organization_memberships(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_organization_memberships_organization_id ON organization_memberships(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_memberships_user_id ON organization_memberships(user_id);
+
+DO $$
+DECLARE
+    scoped_table TEXT;
+BEGIN
+    FOREACH scoped_table IN ARRAY ARRAY[
+        'customers',
+        'invoices',
+        'properties',
+        'vendors',
+        'work_orders'
+    ]
+    LOOP
+        EXECUTE format(
+            'ALTER TABLE %I ADD COLUMN IF NOT EXISTS organization_id INTEGER',
+            scoped_table
+        );
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_constraint WHERE conname = format('fk_%s_organization_id', scoped_table)
+        ) THEN
+            EXECUTE format(
+                'ALTER TABLE %I ADD CONSTRAINT %I FOREIGN KEY (organization_id) REFERENCES organizations(id)',
+                scoped_table,
+                format('fk_%s_organization_id', scoped_table)
+            );
+        END IF;
+        EXECUTE format(
+            'CREATE INDEX IF NOT EXISTS %I ON %I(organization_id)',
+            format('idx_%s_organization_id', scoped_table),
+            scoped_table
+        );
+    END LOOP;
+END $$;
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- For each table above:
+--   ALTER TABLE <table> DROP COLUMN IF EXISTS organization_id;
+-- DROP TABLE IF EXISTS organization_memberships;
+-- DROP TABLE IF EXISTS organizations;
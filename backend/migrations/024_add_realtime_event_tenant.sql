@@ -0,0 +1,33 @@
+-- ============================================================================
+-- MIGRATION: 024_add_realtime_event_tenant
+-- ============================================================================
+-- Records the tenant of each realtime event (ADR-014):
+--   - tenant_id on realtime_events, copied from the written record. The
+--     SSE stream delivers tenant-scoped entity events only to users of the
+--     same tenant, including deletes whose row can no longer be read
+--   - nullable: events written before this migration have no tenant and are
+--     not delivered; they age out after API_OPERATIONS.REALTIME.RETENTION_HOURS
+--
+-- Idempotent: ADD COLUMN IF NOT EXISTS, and the foreign key is only added
+-- when missing.
+--
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+ALTER TABLE realtime_events ADD COLUMN IF NOT EXISTS tenant_id INTEGER;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'fk_realtime_events_tenant_id'
+    ) THEN
+        ALTER TABLE realtime_events
+            ADD CONSTRAINT fk_realtime_events_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+    END IF;
+END $$;
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- ALTER TABLE realtime_events DROP COLUMN IF EXISTS tenant_id;
@@ -0,0 +1,91 @@
+-- ============================================================================
+-- MIGRATION: 025_add_row_versions
+-- ============================================================================
+-- Gives every entity table a row version (the ETag, utils/etag.js):
+--   - version INTEGER NOT NULL DEFAULT 1; existing rows start at 1
+--   - bump_row_version() + trg_<table>_version: every UPDATE increments it,
+--     including raw SQL writes outside GenericEntityService
+--   - replaces updated_at as the ETag source: CURRENT_TIMESTAMP is the
+--     transaction start time in milliseconds, so two writes could share one
+--
+-- ETags handed out before this migration (timestamps) no longer match: a
+-- stale If-Match gets 412 with the current ETag, and the client retries.
+--
+-- Idempotent: ADD COLUMN IF NOT EXISTS, CREATE OR REPLACE FUNCTION, and each
+-- trigger is dropped before it is created.
+--
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION bump_row_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version = OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+    versioned_table TEXT;
+BEGIN
+    FOREACH versioned_table IN ARRAY ARRAY[
+        'approval_requests',
+        'assets',
+        'contracts',
+        'customer_units',
+        'customers',
+        'departments',
+        'file_attachments',
+        'inventory',
+        'invoice_line_items',
+        'invoices',
+        'maintenance_schedules',
+        'notifications',
+        'organization_memberships',
+        'organizations',
+        'payments',
+        'preferences',
+        'properties',
+        'property_roles',
+        'purchase_orders',
+        'quotes',
+        'receipts',
+        'recommendations',
+        'report_subscriptions',
+        'roles',
+        'saved_views',
+        'service_agreement_items',
+        'service_agreements',
+        'service_templates',
+        'subcontractors',
+        'technicians',
+        'units',
+        'users',
+        'vendors',
+        'visit_subcontractors',
+        'visit_technicians',
+        'visits',
+        'webhook_subscriptions',
+        'work_orders'
+    ]
+    LOOP
+        EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1 NOT NULL', versioned_table);
+        EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', 'trg_' || versioned_table || '_version', versioned_table);
+        EXECUTE format(
+            'CREATE TRIGGER %I BEFORE UPDATE ON %I FOR EACH ROW EXECUTE FUNCTION bump_row_version()',
+            'trg_' || versioned_table || '_version',
+            versioned_table
+        );
+    END LOOP;
+END $$;
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- For each table above:
+--   DROP TRIGGER IF EXISTS trg_<table>_version ON <table>;
+--   ALTER TABLE <table> DROP COLUMN IF EXISTS version;
+-- Then:
+--   DROP FUNCTION IF EXISTS bump_row_version();
@@ -0,0 +1,64 @@
+-- ============================================================================
+-- MIGRATION: 026_scope_identifiers_per_tenant
+-- ============================================================================
+-- Numbers auto-generated identifiers (WO-YYYY-NNNN, INV-..., ...) per tenant
+-- (ADR-014), matching utils/identifier-generator.js:
+--   - the deployment-wide UNIQUE (<identifier>) becomes
+--     uq_<table>_tenant_<identifier> UNIQUE (tenant_id, <identifier>)
+--   - idx_<table>_<identifier> covers (tenant_id, <identifier>)
+--
+-- Existing numbers are kept: they are unique deployment-wide, so they are
+-- unique per tenant too. New rows continue from each tenant's own highest
+-- number for the year.
+--
+-- Idempotent: constraints and indexes are dropped IF EXISTS before creation.
+--
+-- DOWN: See rollback section at bottom
+-- ============================================================================
+
+DO $$
+DECLARE
+    target TEXT[];
+BEGIN
+    FOREACH target SLICE 1 IN ARRAY ARRAY[
+        ['approval_requests', 'request_number'],
+        ['contracts', 'contract_number'],
+        ['invoices', 'invoice_number'],
+        ['maintenance_schedules', 'schedule_number'],
+        ['payments', 'payment_number'],
+        ['purchase_orders', 'po_number'],
+        ['quotes', 'quote_number'],
+        ['receipts', 'receipt_number'],
+        ['recommendations', 'recommendation_number'],
+        ['service_agreements', 'agreement_number'],
+        ['visits', 'visit_number'],
+        ['work_orders', 'work_order_number']
+    ]
+    LOOP
+        EXECUTE format('ALTER TABLE %I DROP CONSTRAINT IF EXISTS %I', target[1], target[1] || '_' || target[2] || '_key');
+        EXECUTE format('ALTER TABLE %I DROP CONSTRAINT IF EXISTS %I', target[1], 'uq_' || target[1] || '_tenant_' || target[2]);
+        EXECUTE format(
+            'ALTER TABLE %I ADD CONSTRAINT %I UNIQUE (tenant_id, %I)',
+            target[1],
+            'uq_' || target[1] || '_tenant_' || target[2],
+            target[2]
+        );
+        EXECUTE format('DROP INDEX IF EXISTS %I', 'idx_' || target[1] || '_' || target[2]);
+        EXECUTE format(
+            'CREATE INDEX %I ON %I (tenant_id, %I)',
+            'idx_' || target[1] || '_' || target[2],
+            target[1],
+            target[2]
+        );
+    END LOOP;
+END $$;
+
+-- ============================================================================
+-- ROLLBACK (execute manually if needed)
+-- ============================================================================
+--
+-- Only once no two tenants share a number. For each (table, identifier) above:
+--   ALTER TABLE <table> DROP CONSTRAINT IF EXISTS uq_<table>_tenant_<identifier>;
+--   ALTER TABLE <table> ADD CONSTRAINT <table>_<identifier>_key UNIQUE (<identifier>);
+--   DROP INDEX IF EXISTS idx_<table>_<identifier>;
+--   CREATE INDEX idx_<table>_<identifier> ON <table> (<identifier>);
@@ -10,6 +10,20 @@
  *   ├── sessions              - GET active sessions list
  *   ├── sessions/:userId/force-logout  - POST force logout
  *   ├── sessions/:userId/reactivate    - POST reactivate
+ *   ├── jobs                  - GET background jobs (filter by status/type)
+ *   ├── jobs/:id              - GET job details
+ *   ├── jobs/:id/retry        - POST re-queue a dead/cancelled job
+ *   ├── jobs/:id/cancel       - POST cancel a pending/running job
+ *   ├── webhooks              - GET stored webhook events (filter by status/provider/type)
+ *   ├── webhooks/:id          - GET webhook event details (payload, error)
+ *   ├── webhooks/:id/replay   - POST re-process a stored webhook event
+ *   ├── webhook-deliveries    - GET outbound webhook deliveries (filter by status/subscription/entity)
+ *   ├── webhook-deliveries/:id            - GET delivery details (payload, response, error)
+ *   ├── webhook-deliveries/:id/redeliver  - POST resend a delivered/failed delivery
+ *   ├── service-credentials   - GET machine-client credentials / POST issue one
+ *   ├── service-credentials/:id         - GET credential details (never the secret)
+ *   ├── service-credentials/:id/rotate  - POST replace the secret (old one kept for a grace period)
+ *   ├── service-credentials/:id/revoke  - POST revoke the credential
  *   ├── logs/data             - GET CRUD operation logs
  *   ├── logs/auth             - GET authentication logs
  *   ├── logs/summary          - GET log summary
@@ -22,7 +36,9 @@
  *   └── GET /raw              - Raw metadata file
  *
  * All endpoints require authentication and admin role.
- * SECURITY: Admin-only access enforced via requireMinimumRole('admin')
+ * SECURITY: Admin-only access enforced via requireMinimumRole('admin');
+ * /system/* is deployment-wide and further limited to the operator tenant
+ * (requirePlatformTenant - ADR-014)
  */
 
 const express = require('express');
@@ -30,18 +46,31 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 
-const { authenticateToken, requireMinimumRole } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireMinimumRole,
+  requirePlatformTenant,
+} = require('../middleware/auth');
 const ResponseFormatter = require('../utils/response-formatter');
 const systemSettingsService = require('../services/admin/settings-service');
 const sessionsService = require('../services/auth/sessions-service');
 const EntityMetadataService = require('../services/entity/metadata-service');
 const AuditService = require('../services/audit/audit-service');
+const JobQueueService = require('../services/jobs/job-queue-service');
+const WebhookEventService = require('../services/integrations/webhook-event-service');
+const WebhookDeliveryService = require('../services/integrations/webhook-delivery-service');
+const ServiceCredentialService = require('../services/auth/service-credential-service');
 // Logger available if needed: const { logger } = require('../config/logger');
-const { validateIdParam } = require('../validators');
+const {
+  validateIdParam,
+  validateServiceCredential,
+  validateServiceCredentialRotation,
+} = require('../validators');
 const { getClientIp, getUserAgent } = require('../utils/request-helpers');
 const { asyncHandler } = require('../middleware/utils');
 const AppError = require('../utils/app-error');
 const { ERROR_CODES } = require('../config/error-codes');
+const { API_OPERATIONS } = require('../config/api-operations');
 const allMetadata = require('../config/models');
 const {
   getFieldsWithTrait,
@@ -53,6 +82,7 @@ const {
 // ============================================================================
 router.use(authenticateToken);
 router.use(requireMinimumRole('admin'));
+router.use('/system', requirePlatformTenant);
 
 // ============================================================================
 // SYSTEM: SETTINGS
@@ -287,6 +317,442 @@ router.delete(
     });
   }),
 );
+// ============================================================================
+// SYSTEM: JOBS (Durable background job queue)
+// ============================================================================
+
+/**
+ * GET /api/admin/system/jobs
+ * List background jobs, newest first
+ * Query params: page, limit, status, type
+ */
+router.get(
+  '/system/jobs',
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, status, type } = req.query;
+    const statuses = Object.values(API_OPERATIONS.JOBS.STATUSES);
+
+    if (status && !statuses.includes(status)) {
+      return ResponseFormatter.badRequest(
+        res,
+        `Invalid status '${status}'. Must be one of: ${statuses.join(', ')}`,
+      );
+    }
+
+    const result = await JobQueueService.list({
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      type,
+    });
+
+    return ResponseFormatter.success(res, result);
+  }),
+);
+
+/**
+ * GET /api/admin/system/jobs/:id
+ * Get a single job (payload, attempts, last error, result)
+ */
+router.get(
+  '/system/jobs/:id',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const job = await JobQueueService.findById(req.validated.id);
+
+    if (!job) {
+      return ResponseFormatter.notFound(res, `Job ${req.validated.id} not found`);
+    }
+
+    return ResponseFormatter.success(res, job);
+  }),
+);
+
+/**
+ * POST /api/admin/system/jobs/:id/retry
+ * Re-queue a dead or cancelled job with a fresh attempt budget
+ */
+router.post(
+  '/system/jobs/:id/retry',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const job = await JobQueueService.retry(req.validated.id);
+
+    await AuditService.log({
+      action: 'update',
+      resourceType: 'jobs',
+      resourceId: job.id,
+      userId: req.dbUser.id,
+      newValues: { status: job.status, type: job.type },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, job, {
+      message: `Job ${job.id} re-queued`,
+    });
+  }),
+);
+
+/**
+ * POST /api/admin/system/jobs/:id/cancel
+ * Cancel a pending or running job
+ */
+router.post(
+  '/system/jobs/:id/cancel',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const job = await JobQueueService.cancel(req.validated.id);
+
+    await AuditService.log({
+      action: 'update',
+      resourceType: 'jobs',
+      resourceId: job.id,
+      userId: req.dbUser.id,
+      newValues: { status: job.status, type: job.type },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, job, {
+      message: `Job ${job.id} cancelled`,
+    });
+  }),
+);
+
+// ============================================================================
+// SYSTEM: WEBHOOKS (Persistent webhook inbox)
+// ============================================================================
+
+/**
+ * GET /api/admin/system/webhooks
+ * List stored webhook events, newest first
+ * Query params: page, limit, status, provider, eventType
+ */
+router.get(
+  '/system/webhooks',
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, status, provider, eventType } = req.query;
+    const statuses = Object.values(API_OPERATIONS.WEBHOOK_EVENTS.STATUSES);
+
+    if (status && !statuses.includes(status)) {
+      return ResponseFormatter.badRequest(
+        res,
+        `Invalid status '${status}'. Must be one of: ${statuses.join(', ')}`,
+      );
+    }
+
+    const result = await WebhookEventService.list({
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      provider,
+      eventType,
+    });
+
+    return ResponseFormatter.success(res, result);
+  }),
+);
+
+/**
+ * GET /api/admin/system/webhooks/:id
+ * Get a single stored webhook event (payload, status, error)
+ */
+router.get(
+  '/system/webhooks/:id',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const event = await WebhookEventService.findById(req.validated.id);
+
+    if (!event) {
+      return ResponseFormatter.notFound(res, `Webhook event ${req.validated.id} not found`);
+    }
+
+    return ResponseFormatter.success(res, event);
+  }),
+);
+
+/**
+ * POST /api/admin/system/webhooks/:id/replay
+ * Re-process a stored webhook event through its provider handler
+ */
+router.post(
+  '/system/webhooks/:id/replay',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const event = await WebhookEventService.replay(req.validated.id, {
+      userId: req.dbUser.id,
+    });
+
+    await AuditService.log({
+      action: 'update',
+      resourceType: 'webhook_events',
+      resourceId: event.id,
+      userId: req.dbUser.id,
+      newValues: { status: event.status, provider: event.provider, event_type: event.event_type },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, event, {
+      message: `Webhook event ${event.id} queued for replay`,
+    });
+  }),
+);
+
+// ============================================================================
+// SYSTEM: WEBHOOK DELIVERIES (Outbound webhook log)
+// Every tenant's deliveries; a tenant's own admins use
+// /api/webhook_subscriptions/:id/deliveries (routes/webhook-subscriptions-extensions.js)
+// ============================================================================
+
+/**
+ * GET /api/admin/system/webhook-deliveries
+ * List outbound webhook deliveries, newest first
+ * Query params: page, limit, status, subscriptionId, entity
+ */
+router.get(
+  '/system/webhook-deliveries',
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, status, subscriptionId, entity } = req.query;
+    const statuses = Object.values(API_OPERATIONS.WEBHOOK_DELIVERIES.STATUSES);
+
+    if (status && !statuses.includes(status)) {
+      return ResponseFormatter.badRequest(
+        res,
+        `Invalid status '${status}'. Must be one of: ${statuses.join(', ')}`,
+      );
+    }
+
+    const result = await WebhookDeliveryService.list({
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      status,
+      subscriptionId: subscriptionId ? parseInt(subscriptionId, 10) : null,
+      entity,
+    });
+
+    return ResponseFormatter.success(res, result);
+  }),
+);
+
+/**
+ * GET /api/admin/system/webhook-deliveries/:id
+ * Get a single delivery (payload, attempts, response status, error)
+ */
+router.get(
+  '/system/webhook-deliveries/:id',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const delivery = await WebhookDeliveryService.findById(req.validated.id);
+
+    if (!delivery) {
+      return ResponseFormatter.notFound(res, `Webhook delivery ${req.validated.id} not found`);
+    }
+
+    return ResponseFormatter.success(res, delivery);
+  }),
+);
+
+/**
+ * POST /api/admin/system/webhook-deliveries/:id/redeliver
+ * Resend a delivered or failed delivery with its original payload
+ */
+router.post(
+  '/system/webhook-deliveries/:id/redeliver',
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const delivery = await WebhookDeliveryService.redeliver(req.validated.id, {
+      userId: req.dbUser.id,
+    });
+
+    await AuditService.log({
+      action: 'update',
+      resourceType: 'webhook_deliveries',
+      resourceId: delivery.id,
+      userId: req.dbUser.id,
+      newValues: {
+        status: delivery.status,
+        subscription_id: delivery.subscription_id,
+        event: delivery.event,
+      },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, delivery, {
+      message: `Webhook delivery ${delivery.id} queued for redelivery`,
+    });
+  }),
+);
+
+// ============================================================================
+// SYSTEM: SERVICE CREDENTIALS (Machine-client API keys / client credentials)
+// ============================================================================
+
+/**
+ * Credentials are managed by people only: a service credential with the admin
+ * role must not be able to mint or re-key credentials.
+ */
+const requireUserActor = (req, res, next) => {
+  if (req.serviceCredential) {
+    return ResponseFormatter.forbidden(
+      res,
+      'Service credentials cannot manage service credentials',
+      ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+    );
+  }
+  next();
+};
+
+/**
+ * GET /api/admin/system/service-credentials
+ * List credentials, newest first (secrets are never returned)
+ * Query params: page, limit, includeRevoked
+ */
+router.get(
+  '/system/service-credentials',
+  requireUserActor,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, includeRevoked } = req.query;
+
+    const result = await ServiceCredentialService.list({
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      includeRevoked: includeRevoked === 'true',
+    });
+
+    return ResponseFormatter.success(res, result);
+  }),
+);
+
+/**
+ * GET /api/admin/system/service-credentials/:id
+ * Get a single credential (role, scopes, IP allow-list, last use)
+ */
+router.get(
+  '/system/service-credentials/:id',
+  requireUserActor,
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const credential = await ServiceCredentialService.findById(req.validated.id);
+
+    if (!credential) {
+      return ResponseFormatter.notFound(res, `Service credential ${req.validated.id} not found`);
+    }
+
+    return ResponseFormatter.success(res, credential);
+  }),
+);
+
+/**
+ * POST /api/admin/system/service-credentials
+ * Issue a credential. The client_secret is in this response ONLY.
+ * Body: { name, role, tenant_id?, description?, scopes?, ip_allowlist?, expires_at? }
+ * tenant_id defaults to the issuing admin's tenant (ADR-014)
+ */
+router.post(
+  '/system/service-credentials',
+  requireUserActor,
+  validateServiceCredential,
+  asyncHandler(async (req, res) => {
+    const { credential, clientSecret } = await ServiceCredentialService.issue(req.body, {
+      userId: req.dbUser.id,
+      tenantId: req.dbUser.tenant_id,
+    });
+
+    await AuditService.log({
+      action: 'create',
+      resourceType: 'service_credentials',
+      resourceId: credential.id,
+      userId: req.dbUser.id,
+      newValues: {
+        name: credential.name,
+        client_id: credential.client_id,
+        tenant_id: credential.tenant_id,
+        role: credential.role,
+        scopes: credential.scopes,
+        ip_allowlist: credential.ip_allowlist,
+        expires_at: credential.expires_at,
+      },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.created(
+      res,
+      { ...credential, client_secret: clientSecret },
+      'Service credential issued. Store the client_secret now - it cannot be shown again.',
+    );
+  }),
+);
+
+/**
+ * POST /api/admin/system/service-credentials/:id/rotate
+ * Replace the secret. The old one keeps working for grace_minutes.
+ * Body: { grace_minutes? }
+ */
+router.post(
+  '/system/service-credentials/:id/rotate',
+  requireUserActor,
+  validateIdParam(),
+  validateServiceCredentialRotation,
+  asyncHandler(async (req, res) => {
+    const { credential, clientSecret } = await ServiceCredentialService.rotate(req.validated.id, {
+      graceMinutes: req.body.grace_minutes,
+    });
+
+    await AuditService.log({
+      action: 'service_credential_rotated',
+      resourceType: 'service_credentials',
+      resourceId: credential.id,
+      userId: req.dbUser.id,
+      newValues: {
+        client_id: credential.client_id,
+        previous_secret_expires_at: credential.previous_secret_expires_at,
+      },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(
+      res,
+      { ...credential, client_secret: clientSecret },
+      {
+        message:
+          'Service credential rotated. Store the client_secret now - it cannot be shown again.',
+      },
+    );
+  }),
+);
+
+/**
+ * POST /api/admin/system/service-credentials/:id/revoke
+ * Revoke a credential; its API key and access tokens stop working at once
+ */
+router.post(
+  '/system/service-credentials/:id/revoke',
+  requireUserActor,
+  validateIdParam(),
+  asyncHandler(async (req, res) => {
+    const credential = await ServiceCredentialService.revoke(req.validated.id);
+
+    await AuditService.log({
+      action: 'service_credential_revoked',
+      resourceType: 'service_credentials',
+      resourceId: credential.id,
+      userId: req.dbUser.id,
+      newValues: { client_id: credential.client_id, revoked_at: credential.revoked_at },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, credential, {
+      message: `Service credential ${credential.id} revoked`,
+    });
+  }),
+);
+
 // ============================================================================
 // SYSTEM: LOGS (Data and Auth logs with filtering)
 // ============================================================================
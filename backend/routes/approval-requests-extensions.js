@@ -0,0 +1,105 @@
+/**
+ * Approval Request Extensions - Non-CRUD routes for approval requests
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY the decision endpoint, which runs the approval
+ * lifecycle (multi-step chain, target re-check, notifications) in
+ * services/entity/approval-service.js.
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { validateIdParam, validateApprovalDecision } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const ApprovalService = require('../services/entity/approval-service');
+const GenericEntityService = require('../services/entity/generic-entity-service');
+const { buildRlsContext, buildAuditContext } = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/approval_requests/{id}/decision:
+ *   post:
+ *     tags: [Approval Requests]
+ *     summary: Approve or reject the current step of an approval request
+ *     description: |
+ *       The caller's role must meet the current step's approver_role, and each
+ *       step must be decided by a different user. Approving the last step
+ *       applies the proposed value to the target record, provided the target
+ *       is unchanged since the request was made. Approving an earlier step
+ *       moves the request to the next approver.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Approval request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               notes:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Updated approval request
+ *       400:
+ *         description: Invalid decision
+ *       403:
+ *         description: Role below the step's approver, or the user already approved a step
+ *       404:
+ *         description: Approval request not found
+ *       409:
+ *         description: Request already decided, or the target changed since the request
+ */
+router.post(
+  '/:id/decision',
+  authenticateToken,
+  attachEntity('approval_request'),
+  requirePermission('update'),
+  enforceRLS,
+  validateIdParam(),
+  validateApprovalDecision,
+  asyncHandler(async (req, res) => {
+    const rlsContext = buildRlsContext(req);
+
+    // Same RLS pre-check as PATCH: out-of-scope requests are 404, not 403/409
+    const existing = await GenericEntityService.findById('approval_request', req.validated.id, {
+      rlsContext: { ...rlsContext, operation: 'update' },
+    });
+    if (!existing) {
+      return ResponseFormatter.notFound(res, 'Approval Request not found');
+    }
+
+    const updated = await ApprovalService.decide(req.validated.id, {
+      decision: req.body.decision,
+      notes: req.body.notes || null,
+      userId: req.dbUser.id,
+      role: rlsContext.role,
+      auditContext: buildAuditContext(req),
+    });
+
+    if (!updated) {
+      return ResponseFormatter.notFound(res, 'Approval Request not found');
+    }
+
+    return ResponseFormatter.success(res, updated);
+  }),
+);
+
+module.exports = router;
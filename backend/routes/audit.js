@@ -15,7 +15,8 @@
  * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
  * - attachEntity middleware sets req.entityMetadata at factory time
  *
- * All endpoints require authentication and appropriate permissions.
+ * All endpoints require authentication and appropriate permissions, and only
+ * return the caller's tenant's rows (ADR-014).
  */
 const express = require('express');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
@@ -78,6 +79,7 @@ router.get(
       limit,
       offset,
       actionFilter,
+      tenantId: req.dbUser.tenant_id,
     });
 
     // Format dates for frontend
@@ -125,7 +127,7 @@ router.get(
       );
     }
 
-    const logs = await auditService.getUserAuditTrail(userId, limit);
+    const logs = await auditService.getUserAuditTrail(userId, limit, req.dbUser.tenant_id);
 
     // Format dates for frontend
     const formattedLogs = formatAuditLogDates(logs);
@@ -183,6 +185,7 @@ router.get(
       resourceType,
       resourceId,
       limit,
+      req.dbUser.tenant_id,
     );
 
     // Format dates for frontend
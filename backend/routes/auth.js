@@ -24,8 +24,35 @@ const { asyncHandler } = require('../middleware/utils');
 const GenericEntityService = require('../services/entity/generic-entity-service');
 const AppError = require('../utils/app-error');
 const { ERROR_CODES } = require('../config/error-codes');
+const { AuthStrategyFactory } = require('../services/auth/strategies/AuthStrategyFactory');
+const { AUTH } = require('../config/constants');
 
 const router = express.Router();
+const REVOKE_REASONS = AUTH.REFRESH_TOKEN_REVOKE_REASONS;
+
+/**
+ * Read client credentials from HTTP Basic auth (RFC 6749 §2.3.1)
+ * @param {string|undefined} authHeader - Authorization header
+ * @returns {{clientId: string, clientSecret: string}|null}
+ */
+const parseBasicClientAuth = (authHeader) => {
+  if (!authHeader?.startsWith('Basic ')) {
+    return null;
+  }
+  const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+    };
+  } catch {
+    return null;
+  }
+};
 
 /**
  * NOTE: Customer signup handled by Auth0 → /api/auth0/callback
@@ -225,7 +252,9 @@ router.put(
  *       400:
  *         description: Bad request - Refresh token required or invalid
  *       401:
- *         description: Token expired
+ *         description: |
+ *           Token expired or invalid. AUTH_TOKEN_REUSED means an already-rotated
+ *           token was presented - the whole session has been revoked.
  */
 router.post(
   '/refresh',
@@ -238,11 +267,28 @@ router.post(
     const userAgent = getUserAgent(req);
 
     // Generate new token pair (throws on error - global handler catches)
-    const tokens = await tokenService.refreshAccessToken(
-      refreshToken,
-      ipAddress,
-      userAgent,
-    );
+    let tokens;
+    try {
+      tokens = await tokenService.refreshAccessToken(
+        refreshToken,
+        ipAddress,
+        userAgent,
+      );
+    } catch (error) {
+      if (error.code === ERROR_CODES.AUTH_TOKEN_REUSED) {
+        await auditService.log({
+          userId: error.userId,
+          action: AuditActions.REFRESH_TOKEN_REUSE,
+          resourceType: ResourceTypes.AUTH,
+          newValues: { sessionId: error.sessionId },
+          ipAddress,
+          userAgent,
+          result: AuditResults.FAILURE,
+          errorMessage: error.message,
+        });
+      }
+      throw error;
+    }
 
     // Log the refresh
     const decoded = decodeJwt(refreshToken);
@@ -258,6 +304,128 @@ router.post(
   }),
 );
 
+/**
+ * @openapi
+ * /api/auth/token:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Client-credentials grant for machine clients
+ *     description: |
+ *       Exchange a service credential's client_id and secret for a short-lived
+ *       access token (RFC 6749 §4.4). Credentials go in HTTP Basic auth or the
+ *       body. Responses follow RFC 6749, not the usual envelope.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [client_credentials]
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 access_token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                   example: Bearer
+ *                 expires_in:
+ *                   type: integer
+ *                   example: 3600
+ *       400:
+ *         description: invalid_request or unsupported_grant_type
+ *       401:
+ *         description: invalid_client - unknown, revoked or expired credential
+ *       403:
+ *         description: unauthorized_client - address not in the credential's IP allow-list
+ */
+router.post(
+  '/token',
+  asyncHandler(async (req, res) => {
+    const { grant_type: grantType } = req.body || {};
+    const basic = parseBasicClientAuth(req.headers.authorization);
+    const clientId = basic?.clientId || req.body?.client_id;
+    const clientSecret = basic?.clientSecret || req.body?.client_secret;
+    const ipAddress = getClientIp(req);
+    const userAgent = getUserAgent(req);
+
+    // Token responses must not be cached (RFC 6749 §5.1)
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    if (!grantType || !clientId || !clientSecret) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'grant_type, client_id and client_secret are required',
+      });
+    }
+    if (grantType !== 'client_credentials') {
+      return res.status(400).json({
+        error: 'unsupported_grant_type',
+        error_description: 'Only the client_credentials grant is supported',
+      });
+    }
+
+    let issued;
+    try {
+      issued = await AuthStrategyFactory.getServiceStrategy().authenticate({
+        clientId,
+        clientSecret,
+        ip: ipAddress,
+      });
+    } catch (error) {
+      if (error.statusCode !== 401 && error.statusCode !== 403) {
+        throw error;
+      }
+
+      await auditService.log({
+        action: AuditActions.SERVICE_TOKEN_FAILED,
+        resourceType: ResourceTypes.AUTH,
+        actorType: AUTH.ACTOR_TYPES.SERVICE,
+        newValues: { client_id: clientId },
+        ipAddress,
+        userAgent,
+        result: AuditResults.FAILURE,
+        errorMessage: error.message,
+      });
+
+      return res.status(error.statusCode).json({
+        error: error.statusCode === 403 ? 'unauthorized_client' : 'invalid_client',
+        error_description: error.message,
+      });
+    }
+
+    await auditService.log({
+      action: AuditActions.SERVICE_TOKEN_ISSUE,
+      resourceType: ResourceTypes.AUTH,
+      actorType: AUTH.ACTOR_TYPES.SERVICE,
+      serviceCredentialId: issued.user.service_credential_id,
+      ipAddress,
+      userAgent,
+    });
+
+    return res.json({
+      access_token: issued.token,
+      token_type: 'Bearer',
+      expires_in: issued.expiresIn,
+    });
+  }),
+);
+
 /**
  * @openapi
  * /api/auth/logout:
@@ -294,7 +462,8 @@ router.post(
     if (refreshToken) {
       const decoded = decodeJwt(refreshToken);
       if (decoded && decoded.tokenId) {
-        await tokenService.revokeToken(decoded.tokenId, 'logout');
+        // Ends the whole session (token family), not just this token
+        await tokenService.revokeToken(decoded.tokenId, REVOKE_REASONS.LOGOUT);
       }
     }
 
@@ -353,7 +522,7 @@ router.post(
   asyncHandler(async (req, res) => {
     const count = await tokenService.revokeAllUserTokens(
       req.user.userId,
-      'logout_all',
+      REVOKE_REASONS.LOGOUT_ALL,
     );
     const ipAddress = getClientIp(req);
     const userAgent = getUserAgent(req);
@@ -382,7 +551,10 @@ router.post(
  *   get:
  *     tags: [Authentication]
  *     summary: Get active sessions
- *     description: Returns all active sessions (refresh tokens) for the authenticated user
+ *     description: |
+ *       Returns the authenticated user's active sessions - one per login
+ *       (refresh token family), with the device, IP and user agent of its latest
+ *       refresh. isCurrent marks the session the request's access token belongs to.
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -409,23 +581,84 @@ router.get(
   '/sessions',
   authenticateToken,
   asyncHandler(async (req, res) => {
-    const tokens = await tokenService.getUserTokens(req.user.userId);
+    const rows = await tokenService.getUserSessions(req.user.userId);
 
     // Format for frontend (hide sensitive data)
-    const sessions = tokens.map((t) => ({
-      id: t.token_id,
-      createdAt: t.created_at,
-      lastUsedAt: t.last_used_at,
-      expiresAt: t.expires_at,
-      ipAddress: t.ip_address,
-      userAgent: t.user_agent,
-      isCurrent: false, // Frontend can determine this by comparing creation time
+    const sessions = rows.map((s) => ({
+      id: s.family_id,
+      deviceName: s.device_name,
+      createdAt: s.started_at,
+      lastUsedAt: s.last_active_at,
+      expiresAt: s.expires_at,
+      ipAddress: s.ip_address,
+      userAgent: s.user_agent,
+      isCurrent: Boolean(req.user.sid) && s.family_id === req.user.sid,
     }));
 
     return ResponseFormatter.get(res, sessions);
   }),
 );
 
+/**
+ * @openapi
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Revoke one of your sessions
+ *     description: |
+ *       Signs out a single device: revokes the session's refresh token family so
+ *       it can no longer be refreshed. Its current access token stays valid
+ *       until it expires (at most 15 minutes).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session id from GET /api/auth/sessions
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       400:
+ *         description: sessionId is not a UUID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No active session with this id for the user
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    // Scoped to the caller: another user's session id is indistinguishable from an unknown one
+    const count = await tokenService.revokeFamily(
+      sessionId,
+      REVOKE_REASONS.SESSION_REVOKED,
+      req.user.userId,
+    );
+    if (count === 0) {
+      throw new AppError('Session not found', 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    await auditService.log({
+      userId: req.user.userId,
+      action: AuditActions.SESSION_REVOKE,
+      resourceType: ResourceTypes.AUTH,
+      newValues: { sessionId, current: sessionId === req.user.sid },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+      result: AuditResults.SUCCESS,
+    });
+
+    return ResponseFormatter.deleted(res, 'Session revoked');
+  }),
+);
+
 /**
  * @openapi
  * /api/auth/admin/revoke-user-sessions/{userId}:
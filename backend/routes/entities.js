@@ -15,6 +15,13 @@
  * - All entity names use snake_case
  *
  * All handlers use GenericEntityService + ResponseFormatter for consistent responses.
+ *
+ * Workflow entities with a state machine (metadata.transitions) also get
+ * GET /:id/transitions: the status moves the caller can make right now.
+ *
+ * Optimistic concurrency: GET/POST/PATCH responses carry an ETag (the record's
+ * version column, utils/etag.js); PATCH and DELETE honour If-Match and
+ * answer 412 with the current record when it is stale.
  */
 const express = require('express');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
@@ -46,6 +53,8 @@ const { logger } = require('../config/logger');
 const AppError = require('../utils/app-error');
 const { ERROR_CODES } = require('../config/error-codes');
 const { isSelfProtected } = require('../config/entity-traits');
+const { setETagHeader } = require('../utils/etag');
+const { getAvailableTransitions } = require('../services/entity/transition-service');
 
 // =============================================================================
 // ASYNC HANDLER WRAPPER
@@ -64,6 +73,11 @@ const createAsyncHandler =
         entityId: req.params?.id,
       });
 
+      // Stale If-Match: expose the current version alongside the 412 body
+      if (error.code === ERROR_CODES.RESOURCE_VERSION_MISMATCH && error.details?.etag) {
+        res.set('ETag', error.details.etag);
+      }
+
       // Try entity-specific DB error handling (unique constraints, FK violations)
       if (metadata) {
         const dbErrorConfig = buildDbErrorConfig(metadata);
@@ -139,7 +153,8 @@ function createEntityRouter(entityName, _options = {}) {
     validatePagination({ maxLimit: 200 }),
     (req, res, next) => validateQuery(metadata)(req, res, next),
     asyncHandler(async (req, res) => {
-      const { page, limit } = req.validated.pagination;
+      // ?cursor opts into keyset pagination (pagination.next_cursor in response)
+      const { page, limit, cursor } = req.validated.pagination;
       const { search, filters, sortBy, sortOrder } = req.validated.query;
       const rlsContext = buildRlsContext(req);
 
@@ -148,6 +163,7 @@ function createEntityRouter(entityName, _options = {}) {
         {
           page,
           limit,
+          cursor,
           search,
           filters,
           sortBy,
@@ -195,10 +211,58 @@ function createEntityRouter(entityName, _options = {}) {
       }
 
       // Field redaction is applied in-service (ADR-011 output boundary)
+      setETagHeader(res, entity);
       return ResponseFormatter.get(res, entity);
     }),
   );
 
+  // =============================================================================
+  // AVAILABLE TRANSITIONS - GET /:id/transitions
+  // Only for workflow entities that declare a state machine (metadata.transitions)
+  // =============================================================================
+
+  if (metadata.transitions) {
+    router.get(
+      '/:id/transitions',
+      authenticateToken,
+      attachEntity,
+      requirePermission('read'),
+      enforceRLS,
+      validateIdParam(),
+      asyncHandler(async (req, res) => {
+        const entityId = req.validated.id;
+        const rlsContext = buildRlsContext(req);
+        const { role } = req.dbUser;
+
+        const entity = await GenericEntityService.findById(
+          entityName,
+          entityId,
+          { rlsContext },
+        );
+
+        if (!entity) {
+          return ResponseFormatter.notFound(res, `${displayName} not found`);
+        }
+
+        // A move is an update: the caller also needs update permission and the
+        // row must be inside their update scope
+        const canUpdate =
+          req.permissions.hasPermission(metadata.rlsResource, 'update') &&
+          (await GenericEntityService.findById(entityName, entityId, {
+            rlsContext: { ...rlsContext, operation: 'update' },
+          })) !== null;
+
+        const { field } = metadata.transitions;
+        return ResponseFormatter.get(
+          res,
+          canUpdate
+            ? getAvailableTransitions(metadata, entity, role)
+            : { field, current: entity[field], transitions: [] },
+        );
+      }),
+    );
+  }
+
   // =============================================================================
   // CREATE - POST /
   // =============================================================================
@@ -208,15 +272,17 @@ function createEntityRouter(entityName, _options = {}) {
     authenticateToken,
     attachEntity,
     requirePermission('create'),
+    enforceRLS,
     checkIdempotency,
     genericValidateBody('create'),
     asyncHandler(async (req, res) => {
       const validatedBody = req.validated.body;
       const auditContext = buildAuditContext(req);
       // Create has no row-level RLS (nothing to filter on INSERT), but the
-      // response must still be redacted to the caller's role — supply the role
-      // so the service applies field redaction at its output boundary.
-      const rlsContext = { role: req.dbUser.role };
+      // context still redacts the response to the caller's role, stamps the
+      // caller's tenant (ADR-014), defaults organization_id to the active
+      // organization and limits an explicit one to the caller's memberships.
+      const rlsContext = buildRlsContext(req);
 
       const created = await GenericEntityService.create(
         entityName,
@@ -243,6 +309,7 @@ function createEntityRouter(entityName, _options = {}) {
       // Save idempotency response for future retries
       await saveIdempotencyResponse(req, 201, responseBody);
 
+      setETagHeader(res, created);
       return ResponseFormatter.created(
         res,
         created,
@@ -283,11 +350,12 @@ function createEntityRouter(entityName, _options = {}) {
         return ResponseFormatter.notFound(res, `${displayName} not found`);
       }
 
+      // If-Match is checked in-service against the locked row (stale → 412)
       const updated = await GenericEntityService.update(
         entityName,
         entityId,
         validatedBody,
-        { auditContext, rlsContext },
+        { auditContext, rlsContext, expectedVersion: req.get('If-Match') },
       );
 
       if (!updated) {
@@ -295,6 +363,7 @@ function createEntityRouter(entityName, _options = {}) {
       }
 
       // Field redaction is applied in-service (ADR-011 output boundary)
+      setETagHeader(res, updated);
       return ResponseFormatter.updated(
         res,
         updated,
@@ -330,9 +399,11 @@ function createEntityRouter(entityName, _options = {}) {
 
       // rlsContext row-scopes the delete in-service (ADR-011): out-of-scope rows
       // return null → 404, so a caller cannot delete records outside their scope.
+      // If-Match is checked against the locked row (stale → 412).
       const deleted = await GenericEntityService.delete(entityName, entityId, {
         auditContext,
         rlsContext,
+        expectedVersion: req.get('If-Match'),
       });
 
       if (!deleted) {
@@ -422,6 +493,9 @@ function createEntityRouter(entityName, _options = {}) {
 // Entity routers are built on demand by config/route-loader.js, which calls
 // createEntityRouter(entityName) for each entity whose metadata sets
 // routeConfig.useGenericRouter. No pre-built named exports (single load path).
+// createAsyncHandler/toDisplayName are shared with routes/sub-entity-router.js.
 module.exports = {
   createEntityRouter,
+  createAsyncHandler,
+  toDisplayName,
 };
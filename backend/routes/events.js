@@ -0,0 +1,172 @@
+/**
+ * Event Routes - Realtime Event Stream (Server-Sent Events)
+ *
+ * SRP: ONLY handles the HTTP/SSE concerns of the realtime stream
+ *
+ * ENDPOINTS:
+ *   GET /api/events - text/event-stream of committed changes the user may see
+ *
+ * EVENTS (see API_OPERATIONS.REALTIME.EVENT_TYPES):
+ *   notification - { id, type, entity, recordId, operation, at } for the user's notifications
+ *   entity       - same shape, for records the user can read
+ *   reset        - { reason } events were missed; refetch what is on screen
+ *
+ * RESUME:
+ *   Every event carries its id; EventSource resends it as Last-Event-ID on
+ *   reconnect (or pass ?lastEventId=) and missed events are replayed.
+ *
+ * SECURITY:
+ *   - Requires authentication
+ *   - Per event: read permission + RLS of the entity (RealtimeEventService.canReceive),
+ *     notifications only to their recipient
+ *   - Events carry no record data; clients refetch through the normal endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const RealtimeEventService = require('../services/realtime/realtime-event-service');
+const realtimeListener = require('../services/realtime/realtime-listener');
+const { authenticateToken } = require('../middleware/auth');
+const ResponseFormatter = require('../utils/response-formatter');
+const AppError = require('../utils/app-error');
+const { ERROR_CODES } = require('../config/error-codes');
+const { HTTP_STATUS } = require('../config/constants');
+const { API_OPERATIONS } = require('../config/api-operations');
+const { logger } = require('../config/logger');
+const { asyncHandler } = require('../middleware/utils');
+const { toSafeInteger } = require('../validators/type-coercion');
+
+const { EVENT_TYPES, HEARTBEAT_MS, CLIENT_RETRY_MS, MAX_STREAMS_PER_USER } =
+  API_OPERATIONS.REALTIME;
+
+// Open streams per user id (this instance)
+const openStreams = new Map();
+
+/**
+ * Write one SSE message
+ *
+ * @param {Object} res - Express response
+ * @param {string} event - SSE event name
+ * @param {Object} data - JSON payload
+ * @param {number} [id] - Event id (omitted for reset)
+ */
+function writeEvent(res, event, data, id = null) {
+  const idLine = id === null ? '' : `id: ${id}\n`;
+  res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /api/events
+ *
+ * Headers / query params:
+ *   - Last-Event-ID (or ?lastEventId=): Resume after this event id
+ *
+ * Response: text/event-stream (see file header for events)
+ */
+router.get(
+  '/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const user = req.dbUser;
+    if (!user?.role) {
+      return ResponseFormatter.forbidden(res, 'User has no assigned role');
+    }
+
+    const lastEventId = toSafeInteger(
+      req.get('Last-Event-ID') ?? req.query.lastEventId,
+      'lastEventId',
+      { allowNull: true, min: 0 },
+    );
+
+    const streams = openStreams.get(user.id) || 0;
+    if (streams >= MAX_STREAMS_PER_USER) {
+      throw new AppError(
+        `Too many open event streams (max ${MAX_STREAMS_PER_USER})`,
+        HTTP_STATUS.TOO_MANY_REQUESTS,
+        ERROR_CODES.RATE_LIMIT_EXCEEDED,
+      );
+    }
+
+    // Deliver in order: headers and replay first, then live events (each
+    // awaits its RLS check). Live events wait on the queue until openStream().
+    let closed = false;
+    let openStream;
+    let queue = new Promise((resolve) => {
+      openStream = resolve;
+    });
+    const replayedIds = new Set();
+    const enqueue = (task) => {
+      queue = queue.then(task).catch((error) => {
+        logger.error('[Events] Delivery failed', { userId: user.id, error: error.message });
+      });
+    };
+
+    const deliver = async (event) => {
+      if (closed || replayedIds.has(Number(event.id))) {
+        return;
+      }
+      if (await RealtimeEventService.canReceive(event, user, req.permissions)) {
+        writeEvent(res, event.type, RealtimeEventService.toPayload(event), event.id);
+      }
+    };
+
+    const reset = (reason) => {
+      if (!closed) {
+        writeEvent(res, EVENT_TYPES.RESET, { reason });
+      }
+    };
+
+    // Subscribe before replaying so nothing committed in between is lost
+    const unsubscribe = await realtimeListener.subscribe(
+      (event) => enqueue(() => deliver(event)),
+      () => enqueue(() => reset('listener_reconnected')),
+    );
+    openStreams.set(user.id, streams + 1);
+
+    res.status(HTTP_STATUS.OK);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    const replay = async () => {
+      try {
+        const { events, complete } = await RealtimeEventService.listSince(lastEventId);
+        if (!complete) {
+          return reset('events_expired');
+        }
+        for (const event of events) {
+          await deliver(event);
+          replayedIds.add(Number(event.id));
+        }
+      } catch (error) {
+        logger.error('[Events] Replay failed', { userId: user.id, error: error.message });
+        reset('replay_failed');
+      }
+    };
+    openStream(lastEventId !== null ? replay() : undefined);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+
+      const remaining = (openStreams.get(user.id) || 1) - 1;
+      if (remaining > 0) {
+        openStreams.set(user.id, remaining);
+      } else {
+        openStreams.delete(user.id);
+      }
+    });
+
+    logger.info('[Events] Stream opened', { userId: user.id, lastEventId });
+  }),
+);
+
+module.exports = router;
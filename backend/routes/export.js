@@ -1,16 +1,17 @@
 /**
- * Export Routes - CSV Export Endpoints
+ * Export Routes - File Export Endpoints
  *
  * SRP: ONLY handles HTTP concerns for data export
  *
  * ENDPOINTS:
- *   GET /api/export/:entity          - Export entity data to CSV
+ *   GET /api/export/:entity          - Export entity data (CSV, XLSX, JSON, NDJSON)
  *   GET /api/export/:entity/fields   - Get exportable fields for entity
  *
  * SECURITY:
  *   - Requires authentication
  *   - Respects resource-level permissions (read access required)
  *   - Respects RLS policies (user sees only their data)
+ *   - Respects field-level read access (unreadable columns are left out)
  */
 
 const express = require('express');
@@ -20,15 +21,22 @@ const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { enforceRLS } = require('../middleware/row-level-security');
 const { extractEntity } = require('../middleware/generic-entity');
 const ResponseFormatter = require('../utils/response-formatter');
+const JobQueueService = require('../services/jobs/job-queue-service');
+const { storageService } = require('../services/storage/storage-service');
+const { API_OPERATIONS } = require('../config/api-operations');
 const { logger } = require('../config/logger');
 const { asyncHandler } = require('../middleware/utils');
 
+const { EXPORT } = API_OPERATIONS;
+
 /**
  * GET /api/export/:entity
  *
- * Export entity data to CSV format
+ * Export entity data
  *
  * Query params:
+ *   - format: 'csv' (default), 'xlsx', 'json' or 'ndjson'
+ *   - stream: 'true' to stream rows through a database cursor
  *   - search: Search term
  *   - filters: JSON object of filters (e.g., ?status=pending)
  *   - sortBy: Field to sort by
@@ -37,8 +45,11 @@ const { asyncHandler } = require('../middleware/utils');
  *   - includeInactive: Include inactive records (default: false)
  *
  * Response:
- *   - Content-Type: text/csv
- *   - Content-Disposition: attachment with filename
+ *   - Up to EXPORT.ASYNC_ROW_THRESHOLD rows: the file
+ *     (Content-Type of the format, Content-Disposition: attachment)
+ *   - More rows: the queued 'export.generate' job (JSON); the user is
+ *     notified with a download link when the file is ready. Without
+ *     configured storage the file is streamed instead.
  */
 router.get(
   '/:entity',
@@ -48,6 +59,15 @@ router.get(
   enforceRLS,
   asyncHandler(async (req, res) => {
     const entityName = req.entityName;
+    const format = req.query.format || EXPORT.DEFAULT_FORMAT;
+
+    if (!Object.hasOwn(EXPORT.FORMATS, format)) {
+      return ResponseFormatter.badRequest(
+        res,
+        `Unsupported export format: ${format}`,
+        { allowed: Object.keys(EXPORT.FORMATS) },
+      );
+    }
 
     // Extract query options
     const options = {
@@ -66,6 +86,7 @@ router.get(
       'fields',
       'includeInactive',
       'format',
+      'stream',
     ];
     for (const [key, value] of Object.entries(req.query)) {
       if (!nonFilterParams.includes(key)) {
@@ -81,34 +102,83 @@ router.get(
     // Get RLS context from middleware
     const rlsContext = req.rlsContext || null;
 
-    // Generate export
-    const result = await ExportService.exportToCSV(
+    const plan = ExportService.buildExportPlan(
       entityName,
       options,
       rlsContext,
       selectedFields,
     );
+    const count = await ExportService.countRows(plan);
+    const tooLarge = count > EXPORT.ASYNC_ROW_THRESHOLD;
+
+    if (tooLarge && storageService.isConfigured()) {
+      const job = await JobQueueService.enqueue(
+        'export.generate',
+        {
+          entity: entityName,
+          format,
+          options,
+          fields: selectedFields,
+          rlsContext,
+          userId: req.dbUser?.id ?? null,
+        },
+        { createdBy: req.dbUser?.id ?? null, maxAttempts: EXPORT.MAX_ATTEMPTS },
+      );
+
+      logger.info('[Export] Export job queued', {
+        entity: entityName,
+        format,
+        userId: req.user?.id,
+        rowCount: count,
+        jobId: job.id,
+      });
+
+      return ResponseFormatter.success(res, job, {
+        message: `Export of ${count} rows queued - you will be notified when the file is ready`,
+      });
+    }
 
     // Log export for audit
-    logger.info('[Export] CSV download', {
+    logger.info('[Export] Download', {
       entity: entityName,
+      format,
       userId: req.user?.id,
-      rowCount: result.count,
-      columns: result.columns.length,
+      rowCount: count,
+      columns: plan.columns.length,
       filters: Object.keys(options.filters).length,
     });
 
     // Set response headers for file download
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Type', EXPORT.FORMATS[format].contentType);
     res.setHeader(
       'Content-Disposition',
-      `attachment; filename="${result.filename}"`,
+      `attachment; filename="${ExportService.getFilename(entityName, format)}"`,
     );
-    res.setHeader('X-Row-Count', result.count);
-    res.setHeader('X-Column-Count', result.columns.length);
+    res.setHeader('X-Row-Count', count);
+    res.setHeader('X-Column-Count', plan.columns.length);
+
+    if (req.query.stream === 'true' || tooLarge) {
+      try {
+        await ExportService.streamExport(plan, format, res);
+      } catch (error) {
+        if (!res.headersSent) {
+          throw error;
+        }
+        // Part of the file is sent - abort so the client sees a failed download
+        logger.error('[Export] Streamed export failed', {
+          entity: entityName,
+          format,
+          error: error.message,
+        });
+        res.destroy();
+        return;
+      }
+      res.end();
+      return;
+    }
 
-    // Send CSV data
-    res.send(result.csv);
+    const result = await ExportService.exportRows(plan, format);
+    res.send(result.body);
   }),
 );
 
@@ -129,7 +199,7 @@ router.get(
   asyncHandler(async (req, res) => {
     const entityName = req.entityName;
 
-    const fields = ExportService.getExportableFields(entityName);
+    const fields = ExportService.getExportableFields(entityName, req.dbUser?.role);
 
     return ResponseFormatter.get(res, {
       entity: entityName,
@@ -114,6 +114,7 @@ function createFileSubRouter(metadata) {
         category,
         description,
         uploadedBy: req.user.id,
+        tenantId: req.dbUser.tenant_id,
       });
 
       const downloadInfo = await generateDownloadInfo(storageKey);
@@ -0,0 +1,152 @@
+/**
+ * Import Routes - Bulk Import Endpoints
+ *
+ * SRP: ONLY handles HTTP concerns for data import
+ *
+ * ENDPOINTS:
+ *   POST /api/import/:entity          - Import a CSV/XLSX file (or dry-run it)
+ *   GET  /api/import/:entity/fields   - Get importable fields (file template)
+ *
+ * SECURITY:
+ *   - Requires authentication
+ *   - Requires create permission on the entity
+ *   - Field-level create access: columns the role cannot set are rejected
+ *   - Foreign keys only resolve to records the user can read (RLS)
+ *   - Every created record is audited with the request's audit context
+ */
+
+const express = require('express');
+const router = express.Router();
+const ImportService = require('../services/data/import-service');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { extractEntity } = require('../middleware/generic-entity');
+const ResponseFormatter = require('../utils/response-formatter');
+const {
+  buildRlsContext,
+  buildAuditContext,
+} = require('../utils/request-context');
+const { API_OPERATIONS } = require('../config/api-operations');
+const { logger } = require('../config/logger');
+const { asyncHandler } = require('../middleware/utils');
+
+const { IMPORT } = API_OPERATIONS;
+
+// The file is the raw request body
+const importRawParser = express.raw({
+  type: [...IMPORT.CONTENT_TYPES],
+  limit: IMPORT.MAX_FILE_SIZE,
+});
+
+/**
+ * POST /api/import/:entity
+ *
+ * Import records from a CSV or XLSX file sent as the raw request body
+ *
+ * Query params:
+ *   - dryRun: 'true' to validate without creating anything
+ *   - mapping: JSON object of column header → field (null ignores the
+ *     column); unlisted columns are matched by field name or export label
+ *
+ * Response (the import report):
+ *   { entity, format, dryRun, committed, totalRows, validRows, invalidRows,
+ *     columns: [{ column, field }], errors: [{ row, field, message }],
+ *     created: [ids], stats }
+ *   - 200: dry run (errors listed, nothing created)
+ *   - 201: every row created
+ *   - 400: some rows are invalid or the batch failed - nothing created
+ */
+router.post(
+  '/:entity',
+  authenticateToken,
+  extractEntity,
+  requirePermission('create'),
+  enforceRLS,
+  importRawParser,
+  asyncHandler(async (req, res) => {
+    const entityName = req.entityName;
+    const dryRun = req.query.dryRun === 'true';
+
+    let mapping = {};
+    if (req.query.mapping) {
+      try {
+        mapping = JSON.parse(req.query.mapping);
+      } catch {
+        mapping = null;
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return ResponseFormatter.badRequest(
+          res,
+          'mapping must be a JSON object of column header to field name',
+        );
+      }
+    }
+
+    const report = await ImportService.importFile(entityName, req.body, {
+      mapping,
+      dryRun,
+      role: req.dbUser?.role,
+      rlsContext: buildRlsContext(req),
+      auditContext: buildAuditContext(req),
+    });
+
+    logger.info('[Import] File processed', {
+      entity: entityName,
+      format: report.format,
+      dryRun,
+      committed: report.committed,
+      userId: req.user?.id,
+      totalRows: report.totalRows,
+      invalidRows: report.invalidRows,
+    });
+
+    if (dryRun) {
+      return ResponseFormatter.success(res, report, {
+        message: `${report.validRows} of ${report.totalRows} rows are valid`,
+      });
+    }
+
+    if (!report.committed) {
+      return ResponseFormatter.badRequest(
+        res,
+        `Import failed: ${report.invalidRows} of ${report.totalRows} rows are invalid - nothing was imported`,
+        report,
+      );
+    }
+
+    return ResponseFormatter.created(
+      res,
+      report,
+      `Imported ${report.created.length} ${entityName} records`,
+    );
+  }),
+);
+
+/**
+ * GET /api/import/:entity/fields
+ *
+ * Get the fields the user's role can import, with their column labels
+ * Useful for building an import template or a column mapping UI
+ *
+ * Response:
+ *   { fields: [{ field, label, type, required, references, values }, ...] }
+ */
+router.get(
+  '/:entity/fields',
+  authenticateToken,
+  extractEntity,
+  requirePermission('create'),
+  asyncHandler(async (req, res) => {
+    const entityName = req.entityName;
+
+    const fields = ImportService.getImportableFields(entityName, req.dbUser?.role);
+
+    return ResponseFormatter.get(res, {
+      entity: entityName,
+      fields,
+      count: fields.length,
+    });
+  }),
+);
+
+module.exports = router;
@@ -11,10 +11,19 @@
  * ROUTES PER PROVIDER:
  * OAuth providers: GET /connect, GET /callback, POST /disconnect, GET /status
  * API key providers: POST /configure, POST /disconnect, GET /status
+ * Bulk sync providers: POST /sync (queues the provider's bulkSync job)
+ *
+ * Provider connections are deployment-wide (one token set per provider), so
+ * they belong to the operator tenant: only its admins may manage them
+ * (requirePlatformTenant - ADR-014).
  */
 
 const express = require('express');
-const { authenticateToken, requireMinimumRole } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireMinimumRole,
+  requirePlatformTenant,
+} = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/utils');
 const ResponseFormatter = require('../utils/response-formatter');
 const AppError = require('../utils/app-error');
@@ -25,6 +34,7 @@ const { logger, logSecurityEvent } = require('../config/logger');
 const IntegrationTokenService = require('../services/integrations/token-service');
 const IntegrationOAuthService = require('../services/integrations/oauth-service');
 const { IntegrationRunner } = require('../services/integrations');
+const JobQueueService = require('../services/jobs/job-queue-service');
 
 // Provider metadata
 const {
@@ -50,9 +60,10 @@ function createIntegrationRouter(providerName) {
     );
   }
 
-  // All integration routes require admin
+  // All integration routes require an admin of the operator tenant
   router.use(authenticateToken);
   router.use(requireMinimumRole('admin'));
+  router.use(requirePlatformTenant);
 
   // ===========================================================================
   // GET /status - Connection status for this provider
@@ -277,6 +288,40 @@ function createIntegrationRouter(providerName) {
     );
   }
 
+  // ===========================================================================
+  // Bulk sync providers
+  // ===========================================================================
+  if (providerConfig.bulkSync) {
+    /**
+     * POST /sync - Queue a sync of all pending records
+     * Returns the queued job (track via /api/admin/system/jobs/:id)
+     */
+    router.post(
+      '/sync',
+      asyncHandler(async (req, res) => {
+        const tokenStatus = await IntegrationTokenService.checkTokenStatus(providerName);
+
+        if (!tokenStatus.hasTokens) {
+          return ResponseFormatter.badRequest(res, `${providerConfig.displayName} is not connected`);
+        }
+
+        const job = await JobQueueService.enqueue(providerConfig.bulkSync.jobType, {}, {
+          createdBy: req.dbUser?.id ?? null,
+        });
+
+        logger.info('Integration bulk sync queued', {
+          provider: providerName,
+          jobId: job.id,
+          userId: req.user.id,
+        });
+
+        return ResponseFormatter.success(res, job, {
+          message: `${providerConfig.displayName} sync queued`,
+        });
+      }),
+    );
+  }
+
   return router;
 }
 
@@ -0,0 +1,97 @@
+/**
+ * Saved View Extensions - Non-CRUD routes for saved views
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY the report subscription endpoint, which schedules
+ * a saved view for delivery (services/data/report-subscription-service.js).
+ * Subscriptions themselves are listed, reformatted, disabled (admin) and
+ * deleted through the generic /api/report_subscriptions router.
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { validateIdParam, validateReportSubscription } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const ReportSubscriptionService = require('../services/data/report-subscription-service');
+const { buildRlsContext, buildAuditContext } = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+
+/**
+ * @openapi
+ * /api/saved_views/{id}/subscription:
+ *   put:
+ *     tags: [Saved Views]
+ *     summary: Subscribe a saved view to a scheduled report
+ *     description: |
+ *       Renders the view (its filters, sort and visible columns) to CSV or
+ *       XLSX on a daily or weekly RRULE (UTC) with the owner's access, and
+ *       delivers it as a notification with a download link. Calling it again
+ *       reschedules the existing subscription. Only the view's owner can
+ *       subscribe it.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Saved view ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [schedule]
+ *             properties:
+ *               schedule:
+ *                 type: string
+ *                 description: "'daily', 'weekly' or an RRULE, e.g. RRULE:FREQ=WEEKLY;BYDAY=MO;BYHOUR=7;BYMINUTE=0"
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx]
+ *                 default: csv
+ *     responses:
+ *       200:
+ *         description: Subscription rescheduled
+ *       201:
+ *         description: Subscription created
+ *       400:
+ *         description: Not a daily or weekly schedule, or an unsupported format
+ *       403:
+ *         description: Someone else's view, or the view's entity is not readable
+ *       404:
+ *         description: Saved view not found
+ */
+router.put(
+  '/:id/subscription',
+  authenticateToken,
+  attachEntity('saved_view'),
+  requirePermission('read'),
+  enforceRLS,
+  validateIdParam(),
+  validateReportSubscription,
+  asyncHandler(async (req, res) => {
+    const { subscription, created } = await ReportSubscriptionService.subscribe(
+      req.validated.id,
+      { schedule: req.body.schedule, format: req.body.format },
+      {
+        userId: req.dbUser.id,
+        rlsContext: buildRlsContext(req),
+        auditContext: buildAuditContext(req),
+      },
+    );
+
+    if (created) {
+      return ResponseFormatter.created(res, subscription, 'Report subscription created');
+    }
+    return ResponseFormatter.success(res, subscription, { message: 'Report subscription rescheduled' });
+  }),
+);
+
+module.exports = router;
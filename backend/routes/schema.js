@@ -202,6 +202,7 @@ router.get(
     // Get options from the referenced table
     const options = await SchemaIntrospectionService.getForeignKeyOptions(
       columnInfo.foreignKey.table,
+      { tenantId: req.dbUser?.tenant_id ?? null },
     );
 
     return ResponseFormatter.list(res, {
@@ -0,0 +1,83 @@
+/**
+ * Search Routes - Cross-Entity Global Search
+ *
+ * SRP: ONLY handles HTTP concerns for global search
+ *
+ * ENDPOINTS:
+ *   GET /api/search?q=smith+boiler&limit=5 - Grouped hits across all searchable entities
+ *
+ * SECURITY:
+ *   - Requires authentication
+ *   - Per entity: resource-level read permission (req.permissions, so service
+ *     credentials are held to their scopes), RLS rules and field-level
+ *     read redaction (enforced by GlobalSearchService, not route middleware,
+ *     because one request spans many resources)
+ */
+
+const express = require('express');
+const router = express.Router();
+const GlobalSearchService = require('../services/data/global-search-service');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  extractProfileIds,
+  getOperationFromMethod,
+} = require('../middleware/row-level-security');
+const ResponseFormatter = require('../utils/response-formatter');
+const { logger } = require('../config/logger');
+const { asyncHandler } = require('../middleware/utils');
+const { toSafeString, toSafeInteger } = require('../validators/type-coercion');
+const { GLOBAL_SEARCH } = require('../config/constants');
+
+/**
+ * GET /api/search
+ *
+ * Query params:
+ *   - q: Search term (required, GLOBAL_SEARCH.MIN_QUERY_LENGTH..MAX_QUERY_LENGTH chars)
+ *   - limit: Max hits per entity (default GLOBAL_SEARCH.DEFAULT_LIMIT, max GLOBAL_SEARCH.MAX_LIMIT)
+ *
+ * Response:
+ *   { query, groups: [{ entity, icon, displayField, total, hits: [{ id, label, snippet, score }] }],
+ *     incomplete: [{ entity, reason: 'timeout' | 'error' }] }
+ */
+router.get(
+  '/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const term = toSafeString(req.query.q, 'q', {
+      minLength: GLOBAL_SEARCH.MIN_QUERY_LENGTH,
+      maxLength: GLOBAL_SEARCH.MAX_QUERY_LENGTH,
+    });
+    const limit =
+      toSafeInteger(req.query.limit, 'limit', {
+        allowNull: true,
+        min: 1,
+        max: GLOBAL_SEARCH.MAX_LIMIT,
+        silent: true,
+      }) ?? GLOBAL_SEARCH.DEFAULT_LIMIT;
+
+    if (!req.dbUser?.role) {
+      return ResponseFormatter.forbidden(res, 'User has no assigned role');
+    }
+
+    // ADR-011 context; GlobalSearchService sets resource per entity
+    const rlsContext = {
+      role: req.dbUser.role,
+      userId: req.dbUser.id,
+      tenantId: req.dbUser.tenant_id ?? null,
+      operation: getOperationFromMethod(req.method),
+      ...extractProfileIds(req.dbUser),
+    };
+
+    const result = await GlobalSearchService.search(term, rlsContext, req.permissions, { limit });
+
+    logger.info('[Search] Global search', {
+      userId: req.dbUser.id,
+      groups: result.groups.length,
+      incomplete: result.incomplete.length,
+    });
+
+    return ResponseFormatter.get(res, result);
+  }),
+);
+
+module.exports = router;
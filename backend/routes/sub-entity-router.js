@@ -0,0 +1,208 @@
+/**
+ * Sub-Entity Router - CRUD for child entities nested under their parent
+ *
+ * Mounted for entities whose metadata declares routeConfig.subEntityOf
+ * Routes: GET/POST on /:id/<path>, PATCH/DELETE on /:id/<path>/:itemId
+ * e.g., /api/invoices/:id/line_items
+ *
+ * Authorization follows the file sub-router: reads need the parent's 'read'
+ * permission, writes need its 'update' permission, and the parent row must pass
+ * the parent's RLS (requireParentAccess → 404). Child rows are then scoped by the
+ * child's own rlsRules and must belong to the parent in the URL.
+ *
+ * The parent foreign key always comes from the URL, never from the body.
+ * PATCH/DELETE honour If-Match like the generic entity router (stale → 412).
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { genericValidateBody } = require('../middleware/generic-entity');
+const { validateIdParam, validatePagination } = require('../validators');
+const GenericEntityService = require('../services/entity/generic-entity-service');
+const ResponseFormatter = require('../utils/response-formatter');
+const {
+  buildRlsContext,
+  buildAuditContext,
+} = require('../utils/request-context');
+const {
+  checkIdempotency,
+  saveIdempotencyResponse,
+} = require('../middleware/idempotency');
+const { createAsyncHandler, toDisplayName } = require('./entities');
+const { setETagHeader } = require('../utils/etag');
+const allMetadata = require('../config/models');
+
+// Generic sub-entity middleware
+const {
+  attachParentMetadata,
+  requireParentPermission,
+  requireParentAccess,
+} = require('../middleware/sub-entity');
+
+/**
+ * Create a sub-router for a child entity
+ *
+ * @param {string} entityName - Child entity key (e.g., 'invoice_line_item')
+ * @returns {express.Router} Router to mount at /api/<parent table>/:id/<path>
+ */
+function createSubEntityRouter(entityName) {
+  const router = express.Router({ mergeParams: true });
+
+  const metadata = GenericEntityService.requireEntityMetadata(entityName);
+  const { parent, foreignKey } = metadata.routeConfig.subEntityOf;
+  const parentMetadata = allMetadata[parent];
+  const displayName = metadata.displayName || toDisplayName(entityName);
+  const asyncHandler = createAsyncHandler(entityName, metadata);
+
+  // Child entity info for genericValidateBody and enforceRLS
+  const attachEntity = (req, res, next) => {
+    req.entityName = entityName;
+    req.entityMetadata = metadata;
+    next();
+  };
+
+  // Parent FK comes from the URL (after requireParentAccess sets req.parentId)
+  const bindParentKey = (req, res, next) => {
+    req.body = { ...req.body, [foreignKey]: req.parentId };
+    next();
+  };
+
+  /**
+   * Load a child row within the caller's RLS scope that belongs to this parent.
+   * @returns {Promise<Object|null>} Row, or null (not found / other parent)
+   */
+  const findChild = async (req) => {
+    const child = await GenericEntityService.findById(
+      entityName,
+      req.validated.itemId,
+      { rlsContext: buildRlsContext(req) },
+    );
+    return child && child[foreignKey] === req.parentId ? child : null;
+  };
+
+  router.use(attachParentMetadata(parentMetadata));
+  router.use(authenticateToken);
+  router.use(validateIdParam({ paramName: 'id' }));
+  router.use(attachEntity);
+
+  // GET /:id/<path> - List the parent's children
+  router.get(
+    '/',
+    requireParentPermission('read'),
+    requireParentAccess(parent),
+    enforceRLS,
+    validatePagination({ maxLimit: 200 }),
+    asyncHandler(async (req, res) => {
+      const { page, limit } = req.validated.pagination;
+
+      const result = await GenericEntityService.findAll(entityName, {
+        page,
+        limit,
+        filters: { [foreignKey]: req.parentId },
+        rlsContext: buildRlsContext(req),
+      });
+
+      return ResponseFormatter.list(res, {
+        data: result.data,
+        pagination: result.pagination,
+        appliedFilters: result.appliedFilters,
+        rlsApplied: result.rlsApplied,
+      });
+    }),
+  );
+
+  // POST /:id/<path> - Add a child to the parent
+  router.post(
+    '/',
+    requireParentPermission('update'),
+    requireParentAccess(parent),
+    enforceRLS,
+    checkIdempotency,
+    bindParentKey,
+    genericValidateBody('create'),
+    asyncHandler(async (req, res) => {
+      const created = await GenericEntityService.create(
+        entityName,
+        req.validated.body,
+        {
+          auditContext: buildAuditContext(req),
+          rlsContext: buildRlsContext(req),
+        },
+      );
+
+      const message = `${displayName} created successfully`;
+      await saveIdempotencyResponse(req, 201, { success: true, data: created, message });
+
+      setETagHeader(res, created);
+      return ResponseFormatter.created(res, created, message);
+    }),
+  );
+
+  // PATCH /:id/<path>/:itemId - Update a child of the parent
+  router.patch(
+    '/:itemId',
+    validateIdParam({ paramName: 'itemId' }),
+    requireParentPermission('update'),
+    requireParentAccess(parent),
+    enforceRLS,
+    genericValidateBody('update'),
+    asyncHandler(async (req, res) => {
+      if (!(await findChild(req))) {
+        return ResponseFormatter.notFound(res, `${displayName} not found`);
+      }
+
+      const updated = await GenericEntityService.update(
+        entityName,
+        req.validated.itemId,
+        req.validated.body,
+        {
+          auditContext: buildAuditContext(req),
+          rlsContext: buildRlsContext(req),
+          expectedVersion: req.get('If-Match'),
+        },
+      );
+
+      if (!updated) {
+        return ResponseFormatter.notFound(res, `${displayName} not found`);
+      }
+
+      setETagHeader(res, updated);
+      return ResponseFormatter.updated(res, updated, `${displayName} updated successfully`);
+    }),
+  );
+
+  // DELETE /:id/<path>/:itemId - Remove a child from the parent
+  router.delete(
+    '/:itemId',
+    validateIdParam({ paramName: 'itemId' }),
+    requireParentPermission('update'),
+    requireParentAccess(parent),
+    enforceRLS,
+    asyncHandler(async (req, res) => {
+      if (!(await findChild(req))) {
+        return ResponseFormatter.notFound(res, `${displayName} not found`);
+      }
+
+      const deleted = await GenericEntityService.delete(
+        entityName,
+        req.validated.itemId,
+        {
+          auditContext: buildAuditContext(req),
+          rlsContext: buildRlsContext(req),
+          expectedVersion: req.get('If-Match'),
+        },
+      );
+
+      if (!deleted) {
+        return ResponseFormatter.notFound(res, `${displayName} not found`);
+      }
+
+      return ResponseFormatter.deleted(res, `${displayName} deleted successfully`);
+    }),
+  );
+
+  return router;
+}
+
+module.exports = { createSubEntityRouter };
@@ -0,0 +1,105 @@
+/**
+ * Summary Routes
+ *
+ * Multi-measure analytics for dashboards:
+ * - GET /summaries/:entity - Measures by time bucket and group-by fields
+ *
+ * FEATURES:
+ * - RLS enforcement (users only see stats for records they can access)
+ * - Permission checking (requires read access to entity)
+ * - Metadata validation (only features.summary fields the role can read)
+ *
+ * ARCHITECTURE:
+ * - Uses StatsService.summarize for all aggregation logic
+ * - Same middleware chain as routes/stats.js
+ * - ResponseFormatter for consistent responses
+ */
+
+const express = require('express');
+const router = express.Router();
+const StatsService = require('../services/admin/stats-service');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { extractEntity } = require('../middleware/generic-entity');
+const ResponseFormatter = require('../utils/response-formatter');
+const { logger } = require('../config/logger');
+
+/**
+ * Split a comma-separated (or repeated) query parameter into a list
+ * @param {string|string[]|undefined} value - Query value
+ * @returns {string[]}
+ */
+const toList = (value) =>
+  [value]
+    .flat()
+    .filter((item) => typeof item === 'string')
+    .flatMap((item) => item.split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * GET /summaries/:entity
+ *
+ * Aggregate an entity by time bucket and group-by fields, respecting RLS.
+ *
+ * Query params:
+ *   - measures: comma-separated count, sum:field, avg:field, min:field, max:field (default count)
+ *   - group_by: up to two comma-separated groupable fields
+ *   - interval: day | week | month (buckets date_field)
+ *   - date_field: date field for interval/from/to (default created_at)
+ *   - from, to: ISO 8601 range on date_field (from inclusive, to exclusive)
+ *   - compare=previous: also aggregate the period of equal length before from..to
+ *   - Any filterable field (e.g., ?status=paid)
+ *
+ * @example GET /api/summaries/invoice?measures=count,sum:total&group_by=status&interval=month&from=2026-04-01&to=2026-07-01&compare=previous
+ * @returns { success: true, data: { rows, totals, truncated, previous, change, ... } }
+ */
+router.get(
+  '/:entity',
+  authenticateToken,
+  extractEntity,
+  requirePermission('read'),
+  enforceRLS,
+  async (req, res, next) => {
+    try {
+      const {
+        measures,
+        group_by: groupBy,
+        interval,
+        date_field: dateField,
+        from,
+        to,
+        compare,
+        ...filters
+      } = req.query || {};
+
+      // Remove non-filter params
+      delete filters.page;
+      delete filters.limit;
+      delete filters.sort;
+      delete filters.order;
+      delete filters.search;
+
+      const summary = await StatsService.summarize(req.entityName, req, {
+        measures: toList(measures),
+        groupBy: toList(groupBy),
+        interval,
+        dateField,
+        from,
+        to,
+        compare,
+        filters,
+      });
+
+      return ResponseFormatter.get(res, summary);
+    } catch (error) {
+      logger.error('[Summaries] Summary failed', {
+        entity: req.params.entity,
+        error: error.message,
+      });
+      next(error);
+    }
+  },
+);
+
+module.exports = router;
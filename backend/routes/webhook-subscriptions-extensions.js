@@ -0,0 +1,230 @@
+/**
+ * Webhook Subscription Extensions - Non-CRUD routes for webhook subscriptions
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY the delivery log of a subscription
+ * (services/integrations/webhook-delivery-service.js). The subscription must
+ * pass its own RLS (requireParentAccess → 404), so a tenant's admins see and
+ * redeliver only their own tenant's deliveries (ADR-014). The deployment-wide
+ * view stays at /api/admin/system/webhook-deliveries (operator tenant only).
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const { requireParentAccess } = require('../middleware/sub-entity');
+const { validateIdParam, validateIdParams, validatePagination } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const WebhookDeliveryService = require('../services/integrations/webhook-delivery-service');
+const AuditService = require('../services/audit/audit-service');
+const { getClientIp, getUserAgent } = require('../utils/request-helpers');
+const { asyncHandler } = require('../middleware/utils');
+const { API_OPERATIONS } = require('../config/api-operations');
+
+/**
+ * Load a delivery of the subscription in the URL
+ *
+ * @param {number} subscriptionId - Subscription that passed requireParentAccess
+ * @param {number} deliveryId - Webhook delivery ID
+ * @returns {Promise<Object|null>} Delivery, or null if missing or another subscription's
+ */
+async function findSubscriptionDelivery(subscriptionId, deliveryId) {
+  const delivery = await WebhookDeliveryService.findById(deliveryId);
+  return delivery && delivery.subscription_id === subscriptionId ? delivery : null;
+}
+
+/**
+ * @openapi
+ * /api/webhook_subscriptions/{id}/deliveries:
+ *   get:
+ *     tags: [Webhook Subscriptions]
+ *     summary: List a subscription's deliveries
+ *     description: Outbound deliveries of the subscription, newest first.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook subscription ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *       400:
+ *         description: Unknown status
+ *       404:
+ *         description: Subscription not found (or not in the caller's tenant)
+ */
+router.get(
+  '/:id/deliveries',
+  authenticateToken,
+  attachEntity('webhook_subscription'),
+  requirePermission('read'),
+  validateIdParam(),
+  requireParentAccess('webhook_subscription'),
+  validatePagination(),
+  asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const statuses = Object.values(API_OPERATIONS.WEBHOOK_DELIVERIES.STATUSES);
+
+    if (status && !statuses.includes(status)) {
+      return ResponseFormatter.badRequest(
+        res,
+        `Invalid status '${status}'. Must be one of: ${statuses.join(', ')}`,
+      );
+    }
+
+    const { page, limit } = req.validated.pagination;
+    const result = await WebhookDeliveryService.list({
+      page,
+      limit,
+      status,
+      subscriptionId: req.validated.id,
+    });
+
+    return ResponseFormatter.list(res, {
+      data: result.data,
+      pagination: result.pagination,
+    });
+  }),
+);
+
+/**
+ * @openapi
+ * /api/webhook_subscriptions/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     tags: [Webhook Subscriptions]
+ *     summary: Get a delivery of a subscription
+ *     description: Payload, attempts, response status and error of one delivery.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook subscription ID
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook delivery ID
+ *     responses:
+ *       200:
+ *         description: Delivery retrieved successfully
+ *       404:
+ *         description: Subscription or delivery not found
+ */
+router.get(
+  '/:id/deliveries/:deliveryId',
+  authenticateToken,
+  attachEntity('webhook_subscription'),
+  requirePermission('read'),
+  validateIdParams(['id', 'deliveryId']),
+  requireParentAccess('webhook_subscription'),
+  asyncHandler(async (req, res) => {
+    const { id, deliveryId } = req.validated;
+    const delivery = await findSubscriptionDelivery(id, deliveryId);
+
+    if (!delivery) {
+      return ResponseFormatter.notFound(res, `Webhook delivery ${deliveryId} not found`);
+    }
+
+    return ResponseFormatter.success(res, delivery);
+  }),
+);
+
+/**
+ * @openapi
+ * /api/webhook_subscriptions/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     tags: [Webhook Subscriptions]
+ *     summary: Resend a delivery
+ *     description: Resends a delivered or failed delivery with its original payload.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook subscription ID
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook delivery ID
+ *     responses:
+ *       200:
+ *         description: Delivery queued for redelivery
+ *       404:
+ *         description: Subscription or delivery not found
+ *       409:
+ *         description: Delivery is still pending
+ */
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  authenticateToken,
+  attachEntity('webhook_subscription'),
+  requirePermission('update'),
+  validateIdParams(['id', 'deliveryId']),
+  requireParentAccess('webhook_subscription'),
+  asyncHandler(async (req, res) => {
+    const { id, deliveryId } = req.validated;
+
+    if (!(await findSubscriptionDelivery(id, deliveryId))) {
+      return ResponseFormatter.notFound(res, `Webhook delivery ${deliveryId} not found`);
+    }
+
+    const delivery = await WebhookDeliveryService.redeliver(deliveryId, {
+      userId: req.dbUser.id,
+    });
+
+    await AuditService.log({
+      action: 'update',
+      resourceType: 'webhook_deliveries',
+      resourceId: delivery.id,
+      userId: req.dbUser.id,
+      newValues: {
+        status: delivery.status,
+        subscription_id: delivery.subscription_id,
+        event: delivery.event,
+      },
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req),
+    });
+
+    return ResponseFormatter.success(res, delivery, {
+      message: `Webhook delivery ${delivery.id} queued for redelivery`,
+    });
+  }),
+);
+
+module.exports = router;
@@ -14,33 +14,31 @@
  * - Raw body required for signature verification
  * - Idempotency tracking prevents duplicate processing
  *
+ * PROCESSING:
+ * - Verified events are stored in the webhook_events inbox and acknowledged
+ *   immediately (services/integrations/webhook-event-service.js)
+ * - UNIQUE (provider, event ID) makes redeliveries no-ops
+ * - A 'webhook.process' job dispatches each event to its provider handler
+ *   (services/integrations/webhook-handlers)
+ *
  * ROUTES:
  * POST /webhooks/:provider - Receive webhook events
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const WebhookValidator = require('../utils/webhook-validator');
 const AppError = require('../utils/app-error');
 const { ERROR_CODES } = require('../config/error-codes');
 const { logger, logSecurityEvent } = require('../config/logger');
+const WebhookEventService = require('../services/integrations/webhook-event-service');
+const { DATA_CHANGE_EVENT } = require('../services/integrations/webhook-handlers/quickbooks');
 const {
   getProvider,
   getWebhookProviders,
   WEBHOOK_VERIFIERS,
 } = require('../config/integration-providers');
 
-/**
- * Webhook event queue (in-memory for now)
- * In production, use Redis/RabbitMQ/SQS
- */
-const eventQueue = [];
-
-/**
- * Processed event IDs for idempotency (in-memory)
- * In production, use database
- */
-const processedEvents = new Set();
-
 /**
  * Extract event ID from webhook payload based on provider
  * @param {string} providerName - Provider name
@@ -50,36 +48,37 @@ const processedEvents = new Set();
 function extractEventId(providerName, payload) {
   switch (providerName) {
     case 'stripe':
-      return payload.id; // Stripe events have 'id' field
+      return payload.id || null; // Stripe events have 'id' field
     case 'quickbooks':
-      // QuickBooks webhooks have eventNotifications with unique IDs
-      return payload.eventNotifications?.[0]?.realmId + '_' +
-             payload.eventNotifications?.[0]?.dataChangeEvent?.entities?.[0]?.id;
+      // QuickBooks notifications carry no ID; fingerprint the change list so
+      // redeliveries dedupe but later changes to the same entity do not
+      if (!Array.isArray(payload.eventNotifications)) {
+        return null;
+      }
+      return crypto
+        .createHash('sha256')
+        .update(JSON.stringify(payload.eventNotifications))
+        .digest('hex');
     default:
       return null;
   }
 }
 
 /**
- * Queue a webhook event for processing
+ * Extract event type from webhook payload based on provider
  * @param {string} providerName - Provider name
- * @param {Object} event - Parsed event payload
- * @param {Object} metadata - Additional metadata
+ * @param {Object} payload - Parsed webhook payload
+ * @returns {string|null} Event type or null
  */
-function queueEvent(providerName, event, metadata = {}) {
-  eventQueue.push({
-    provider: providerName,
-    event,
-    metadata,
-    receivedAt: new Date().toISOString(),
-    status: 'pending',
-  });
-
-  logger.info('Webhook event queued', {
-    provider: providerName,
-    eventType: event.type || event.eventNotifications?.[0]?.dataChangeEvent?.entities?.[0]?.operation,
-    queueLength: eventQueue.length,
-  });
+function extractEventType(providerName, payload) {
+  switch (providerName) {
+    case 'stripe':
+      return payload.type || null;
+    case 'quickbooks':
+      return Array.isArray(payload.eventNotifications) ? DATA_CHANGE_EVENT : null;
+    default:
+      return payload.type || null;
+  }
 }
 
 /**
@@ -194,10 +193,13 @@ function createWebhookRouter(providerName) {
         return res.status(400).json({ error: 'Invalid JSON payload' });
       }
 
-      // Idempotency check
+      // Store event for processing (idempotent on provider + event ID)
       const eventId = extractEventId(providerName, payload);
-      if (eventId && processedEvents.has(eventId)) {
-        logger.info('Webhook event already processed (idempotent)', {
+      const eventType = extractEventType(providerName, payload);
+      const event = await WebhookEventService.record(providerName, payload, { eventId, eventType });
+
+      if (!event) {
+        logger.info('Webhook event already received (idempotent)', {
           provider: providerName,
           eventId,
         });
@@ -205,30 +207,11 @@ function createWebhookRouter(providerName) {
         return res.status(200).json({ received: true, duplicate: true });
       }
 
-      // Mark as processed
-      if (eventId) {
-        processedEvents.add(eventId);
-
-        // Clean up old events (keep last 10000)
-        if (processedEvents.size > 10000) {
-          const iterator = processedEvents.values();
-          for (let i = 0; i < 1000; i++) {
-            processedEvents.delete(iterator.next().value);
-          }
-        }
-      }
-
-      // Queue event for processing (Phase 3 will process these)
-      queueEvent(providerName, payload, {
-        eventId,
-        signatureVerified: true,
-        processingTime: Date.now() - startTime,
-      });
-
-      logger.info('Webhook received and queued', {
+      logger.info('Webhook received and stored', {
         provider: providerName,
         eventId,
-        eventType: payload.type,
+        eventType,
+        webhookEventId: event.id,
         processingTime: Date.now() - startTime,
       });
 
@@ -268,7 +251,6 @@ function createMainWebhooksRouter() {
     res.json({
       status: 'ok',
       providers: Object.keys(webhookProviders),
-      queueLength: eventQueue.length,
     });
   });
 
@@ -278,18 +260,9 @@ function createMainWebhooksRouter() {
 // Generate main router
 const mainRouter = createMainWebhooksRouter();
 
-// Export factory + main router + queue accessors (for Phase 3)
+// Export factory + main router
 module.exports = {
   createWebhookRouter,
   createMainWebhooksRouter,
   router: mainRouter,
-
-  // Queue accessors for Phase 3 sync services
-  getEventQueue: () => [...eventQueue],
-  getQueueLength: () => eventQueue.length,
-  dequeueEvent: () => eventQueue.shift(),
-  clearQueue: () => { eventQueue.length = 0; }, // For testing
-
-  // Idempotency accessors (for testing)
-  _processedEvents: processedEvents,
 };
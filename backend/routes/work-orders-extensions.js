@@ -0,0 +1,92 @@
+/**
+ * Work Order Extensions - Non-CRUD routes for work orders
+ *
+ * Standard CRUD operations (list, get, create, update, delete) are handled
+ * by the generic entity router in routes/entities.js.
+ *
+ * This file contains ONLY unique work-order-specific endpoints that don't fit
+ * the standard CRUD pattern.
+ *
+ * UNIFIED DATA FLOW:
+ * - requirePermission(operation) reads resource from req.entityMetadata.rlsResource
+ * - attachEntity middleware sets req.entityMetadata at factory time
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { attachEntity } = require('../middleware/generic-entity');
+const { enforceRLS } = require('../middleware/row-level-security');
+const { validateIdParam, validatePagination } = require('../validators');
+const ResponseFormatter = require('../utils/response-formatter');
+const TechnicianMatchingService = require('../services/scheduling/technician-matching-service');
+const { buildRlsContext } = require('../utils/request-context');
+const { asyncHandler } = require('../middleware/utils');
+const allMetadata = require('../config/models');
+
+/**
+ * @openapi
+ * /api/work_orders/{id}/technician-matches:
+ *   get:
+ *     tags: [Work Orders]
+ *     summary: Rank technicians for a work order
+ *     description: |
+ *       Scores active technicians against the work order's required skills and
+ *       certifications (falling back to its service template), availability,
+ *       scheduling conflicts in the work order's window, and hourly rate.
+ *       Each match carries a per-component breakdown and human-readable reasons.
+ *       Only data the caller can read (RLS + field access) is scored.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Work order ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: Maximum number of matches to return
+ *     responses:
+ *       200:
+ *         description: Ranked technician matches
+ *       403:
+ *         description: Caller cannot read work orders or technicians
+ *       404:
+ *         description: Work order not found
+ */
+router.get(
+  '/:id/technician-matches',
+  authenticateToken,
+  attachEntity('work_order'),
+  requirePermission('read'),
+  enforceRLS,
+  validateIdParam(),
+  validatePagination({ defaultLimit: 10, maxLimit: 50 }),
+  asyncHandler(async (req, res) => {
+    // Ranking exposes technician records - require read on that resource too
+    if (!req.permissions.hasPermission(allMetadata.technician.rlsResource, 'read')) {
+      return ResponseFormatter.forbidden(
+        res,
+        `Insufficient permissions to read ${allMetadata.technician.rlsResource}`,
+      );
+    }
+
+    const result = await TechnicianMatchingService.findMatches(req.validated.id, {
+      rlsContext: buildRlsContext(req),
+      limit: req.validated.pagination.limit,
+    });
+
+    if (!result) {
+      return ResponseFormatter.notFound(res, 'Work Order not found');
+    }
+
+    return ResponseFormatter.success(res, result);
+  }),
+);
+
+module.exports = router;
@@ -13,6 +13,9 @@
 -- Purpose: JWT refresh token storage for authentication
 -- Relationship: Many-to-one with users (user can have multiple active sessions)
 -- Security: Stores hashed tokens only, supports revocation
+-- Sessions: every login starts a token family (family_id = session); each
+--           refresh rotates to a new token in the same family. Presenting a
+--           token that was already rotated revokes the whole family.
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS refresh_tokens (
     id SERIAL PRIMARY KEY,
@@ -20,16 +23,22 @@ CREATE TABLE IF NOT EXISTS refresh_tokens (
     token_id UUID NOT NULL DEFAULT uuid_generate_v4(),
     token_hash TEXT NOT NULL,
 
+    -- Rotation chain
+    family_id UUID NOT NULL DEFAULT uuid_generate_v4(),
+    parent_token_id UUID, -- token this one replaced (NULL = login)
+
     -- Token lifecycle
     expires_at TIMESTAMPTZ NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     last_used_at TIMESTAMPTZ,
     revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(50), -- rotated, logout, reuse_detected, ...
 
-    -- Request context
+    -- Request context (device the token was issued to)
     ip_address VARCHAR(45),
-    user_agent TEXT
+    user_agent TEXT,
+    device_name VARCHAR(100)
 );
 
 -- Indexes for refresh_tokens
@@ -37,6 +46,7 @@ CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_token_id ON refresh_tokens(token_id);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_active ON refresh_tokens(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
 
 -- ============================================================================
 -- SYSTEM SETTINGS TABLE
@@ -107,3 +117,205 @@ CREATE TABLE IF NOT EXISTS idempotency_keys (
 -- Cleanup job finds expired keys efficiently
 CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at 
     ON idempotency_keys(created_at);
+
+-- ============================================================================
+-- JOBS TABLE
+-- ============================================================================
+-- Purpose: Durable background job queue (services/jobs)
+-- Claiming: FOR UPDATE SKIP LOCKED (safe across multiple app instances)
+-- Lifecycle: pending → running → completed | pending (retry) | dead
+--            pending/running → cancelled (admin)
+-- Recurring: cron-style jobs share a recurring_key; dedupe_key is per-slot
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS jobs (
+    id SERIAL PRIMARY KEY,
+
+    -- Handler key (services/jobs/job-handlers.js) and its input
+    type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'dead', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    -- Worker lock (orphaned locks are reclaimed after a timeout)
+    locked_at TIMESTAMPTZ,
+    locked_by VARCHAR(255),
+
+    -- Outcome
+    last_error TEXT,
+    result JSONB,
+    completed_at TIMESTAMPTZ,
+
+    -- Deduplication (NULLs are distinct, so keyless jobs never conflict)
+    dedupe_key VARCHAR(255) UNIQUE,
+
+    -- Recurring (cron) jobs
+    recurring_key VARCHAR(100),
+    cron VARCHAR(100),
+
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for jobs
+-- Worker claim scans pending jobs by run_at
+CREATE INDEX IF NOT EXISTS idx_jobs_pending_run_at
+    ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type);
+CREATE INDEX IF NOT EXISTS idx_jobs_recurring_key
+    ON jobs(recurring_key) WHERE recurring_key IS NOT NULL;
+
+-- ============================================================================
+-- WEBHOOK EVENTS TABLE
+-- ============================================================================
+-- Purpose: Persistent inbox of verified webhook payloads (routes/webhooks.js)
+-- Dedupe: UNIQUE (provider, event_id) - provider redeliveries are no-ops
+-- Processing: each event is handled by a 'webhook.process' job
+-- Lifecycle: received → processing → processed | ignored | failed
+--            processed/ignored/failed → received (admin replay)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id SERIAL PRIMARY KEY,
+
+    -- Source (provider key from config/integration-providers.js)
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255),
+    event_type VARCHAR(100),
+    payload JSONB NOT NULL,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    processed_at TIMESTAMPTZ,
+
+    received_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    -- NULL event_ids are distinct, so events without an ID are always stored
+    CONSTRAINT uq_webhook_events_provider_event UNIQUE (provider, event_id)
+);
+
+-- Indexes for webhook_events
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_provider_type
+    ON webhook_events(provider, event_type);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at
+    ON webhook_events(received_at DESC);
+-- ============================================================================
+-- REALTIME EVENTS TABLE
+-- ============================================================================
+-- Purpose: Outbox of entity/notification changes streamed by GET /api/events
+-- Written: by GenericEntityService in the write's transaction, then
+--          pg_notify('tross_events') - rolled-back writes publish nothing
+-- Resume: the id is the SSE event id (Last-Event-ID replays id > n)
+-- Retention: purged after API_OPERATIONS.REALTIME.RETENTION_HOURS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+
+    -- 'notification' (for user_id only) or 'entity' (RLS-filtered per reader)
+    type VARCHAR(20) NOT NULL CHECK (type IN ('notification', 'entity')),
+    entity VARCHAR(100) NOT NULL,
+    record_id INTEGER NOT NULL,
+    operation VARCHAR(10) NOT NULL CHECK (operation IN ('create', 'update', 'delete')),
+
+    -- Recipient of a notification event (NULL for entity events)
+    user_id INTEGER,
+
+    -- Tenant of the written record; tenant-scoped entity events are only
+    -- delivered within it (NULL for events recorded before tenancy)
+    tenant_id INTEGER REFERENCES tenants(id),
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for realtime_events
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created_at ON realtime_events(created_at);
+-- ============================================================================
+-- WEBHOOK DELIVERIES TABLE
+-- ============================================================================
+-- Purpose: Delivery log of outbound webhooks (one row per subscription × event)
+-- Written: by WebhookDeliveryService in the entity write's transaction, with
+--          a 'webhook.deliver' job that POSTs the signed payload
+-- Redelivery: admins reset a settled row to 'pending' (new job, same payload)
+-- Retention: purged after API_OPERATIONS.WEBHOOK_DELIVERIES.RETENTION_DAYS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+
+    -- Event ('work_order.updated', 'work_order.action.notify_customer', ...)
+    event VARCHAR(150) NOT NULL,
+    entity VARCHAR(100) NOT NULL,
+    record_id INTEGER,
+    payload JSONB NOT NULL,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    delivered_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for webhook_deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id
+    ON webhook_deliveries(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at
+    ON webhook_deliveries(created_at DESC);
+-- ============================================================================
+-- SERVICE CREDENTIALS TABLE
+-- ============================================================================
+-- Purpose: API keys / OAuth client credentials for machine clients (BI jobs,
+--          sensor gateways) - see services/auth/service-credential-service.js
+-- Security: only a SHA-256 hash of the secret is stored; the secret is shown
+--           once, when issued or rotated
+-- Authorization: the credential acts with role_id's permissions, optionally
+--                narrowed by scopes (entity -> operations) and ip_allowlist
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS service_credentials (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+
+    -- Identity (client_id is public, the secret is not)
+    client_id VARCHAR(64) NOT NULL UNIQUE,
+    secret_hash VARCHAR(64) NOT NULL,
+    -- Secret replaced by the last rotation, accepted until the grace period ends
+    previous_secret_hash VARCHAR(64),
+    previous_secret_expires_at TIMESTAMPTZ,
+
+    -- Authorization (acts inside one tenant - ADR-014)
+    tenant_id INTEGER NOT NULL DEFAULT 1 REFERENCES tenants(id),
+    role_id INTEGER NOT NULL REFERENCES roles(id),
+    scopes JSONB,        -- { "<entity>": ["read", ...] }; NULL = all the role allows
+    ip_allowlist TEXT[], -- addresses / CIDR ranges; NULL = any address
+
+    -- Lifecycle
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    rotated_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip VARCHAR(45),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for service_credentials (client_id is indexed by its UNIQUE constraint)
+CREATE INDEX IF NOT EXISTS idx_service_credentials_role_id ON service_credentials(role_id);
+CREATE INDEX IF NOT EXISTS idx_service_credentials_tenant_id ON service_credentials(tenant_id);
@@ -0,0 +1,20 @@
+-- ============================================================================
+-- TENANTS TABLE (ADR-014)
+-- ============================================================================
+-- Purpose: One row per property-management company hosted on this deployment
+-- Relationship: Every tenant-scoped table carries tenant_id REFERENCES tenants(id)
+--               (all entity tables except the platform role catalogue)
+-- Identity: auth0_org_id maps an Auth0 Organization to its tenant; users who
+--           sign in without an organization belong to the original tenant (id 1)
+-- Composed ahead of the entity tables so their foreign keys can reference it
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS tenants (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    auth0_org_id VARCHAR(100) UNIQUE,
+
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
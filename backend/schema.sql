@@ -16,6 +16,16 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Row version (ETag source): entity tables bump version on every UPDATE
+-- (trg_<table>_version, generated with each table)
+CREATE OR REPLACE FUNCTION bump_row_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version = OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
 -- ============================================================================
 -- PRE-PRODUCTION: DROP ALL TABLES FOR CLEAN RESET
 -- Remove this section when you have production data to preserve
@@ -23,7 +33,14 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 DROP TABLE IF EXISTS system_settings CASCADE;
 DROP TABLE IF EXISTS refresh_tokens CASCADE;
 DROP TABLE IF EXISTS idempotency_keys CASCADE;
+DROP TABLE IF EXISTS jobs CASCADE;
+DROP TABLE IF EXISTS webhook_events CASCADE;
+DROP TABLE IF EXISTS realtime_events CASCADE;
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TABLE IF EXISTS service_credentials CASCADE;
+DROP TABLE IF EXISTS tenants CASCADE;
 DROP TABLE IF EXISTS work_orders CASCADE;
+DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
 DROP TABLE IF EXISTS visits CASCADE;
 DROP TABLE IF EXISTS visit_technicians CASCADE;
 DROP TABLE IF EXISTS visit_subcontractors CASCADE;
@@ -37,6 +54,7 @@ DROP TABLE IF EXISTS service_agreements CASCADE;
 DROP TABLE IF EXISTS service_agreement_items CASCADE;
 DROP TABLE IF EXISTS saved_views CASCADE;
 DROP TABLE IF EXISTS roles CASCADE;
+DROP TABLE IF EXISTS report_subscriptions CASCADE;
 DROP TABLE IF EXISTS recommendations CASCADE;
 DROP TABLE IF EXISTS receipts CASCADE;
 DROP TABLE IF EXISTS quotes CASCADE;
@@ -45,9 +63,12 @@ DROP TABLE IF EXISTS property_roles CASCADE;
 DROP TABLE IF EXISTS properties CASCADE;
 DROP TABLE IF EXISTS preferences CASCADE;
 DROP TABLE IF EXISTS payments CASCADE;
+DROP TABLE IF EXISTS organizations CASCADE;
+DROP TABLE IF EXISTS organization_memberships CASCADE;
 DROP TABLE IF EXISTS notifications CASCADE;
 DROP TABLE IF EXISTS maintenance_schedules CASCADE;
 DROP TABLE IF EXISTS invoices CASCADE;
+DROP TABLE IF EXISTS invoice_line_items CASCADE;
 DROP TABLE IF EXISTS inventory CASCADE;
 DROP TABLE IF EXISTS file_attachments CASCADE;
 DROP TABLE IF EXISTS departments CASCADE;
@@ -59,30 +80,63 @@ DROP TABLE IF EXISTS assets CASCADE;
 DROP TABLE IF EXISTS approval_requests CASCADE;
 
 
+-- ============================================================================
+-- TENANTS TABLE (ADR-014)
+-- ============================================================================
+-- Purpose: One row per property-management company hosted on this deployment
+-- Relationship: Every tenant-scoped table carries tenant_id REFERENCES tenants(id)
+--               (all entity tables except the platform role catalogue)
+-- Identity: auth0_org_id maps an Auth0 Organization to its tenant; users who
+--           sign in without an organization belong to the original tenant (id 1)
+-- Composed ahead of the entity tables so their foreign keys can reference it
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS tenants (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    auth0_org_id VARCHAR(100) UNIQUE,
+
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
 -- ============================================================================
 -- Entity: approval_request
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS approval_requests (
     id SERIAL PRIMARY KEY,
-    request_number VARCHAR(20) NOT NULL UNIQUE,
+    request_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled', 'expired')),
-    target_entity VARCHAR(31) NOT NULL CHECK (target_entity IN ('recommendation', 'quote', 'purchase_order')),
+    target_entity VARCHAR(31) NOT NULL CHECK (target_entity IN ('recommendation', 'quote', 'purchase_order', 'invoice')),
     target_id VARCHAR(255) NOT NULL,
     target_field VARCHAR(100) NOT NULL,
     previous_value JSON,
     proposed_value JSON NOT NULL,
     approver_role VARCHAR(25) NOT NULL CHECK (approver_role IN ('customer', 'technician', 'dispatcher', 'manager', 'admin')),
+    approval_chain JSON,
+    current_step INTEGER DEFAULT 0,
+    expires_at TIMESTAMPTZ,
+    on_timeout VARCHAR(25) DEFAULT 'expire' CHECK (on_timeout IN ('expire', 'escalate')),
+    target_version VARCHAR(32),
+    decision_history JSON,
     decision_notes TEXT,
     decided_at TIMESTAMPTZ,
     requested_by INTEGER NOT NULL,
     approved_by INTEGER
 );
+ALTER TABLE approval_requests ADD CONSTRAINT uq_approval_requests_tenant_request_number UNIQUE (tenant_id, request_number);
+DROP TRIGGER IF EXISTS trg_approval_requests_version ON approval_requests;
+CREATE TRIGGER trg_approval_requests_version BEFORE UPDATE ON approval_requests FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_approval_requests_request_number ON approval_requests(request_number);
+CREATE INDEX IF NOT EXISTS idx_approval_requests_tenant_id ON approval_requests(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_approval_requests_request_number ON approval_requests(tenant_id, request_number);
 CREATE INDEX IF NOT EXISTS idx_approval_requests_requested_by ON approval_requests(requested_by);
 CREATE INDEX IF NOT EXISTS idx_approval_requests_approved_by ON approval_requests(approved_by);
 
@@ -96,6 +150,8 @@ CREATE TABLE IF NOT EXISTS assets (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     name VARCHAR(255) NOT NULL,
     status VARCHAR(31) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'needs_repair', 'decommissioned')),
     unit_id INTEGER NOT NULL,
@@ -111,8 +167,11 @@ CREATE TABLE IF NOT EXISTS assets (
     notes TEXT
 );
 ALTER TABLE assets ADD CONSTRAINT uq_assets_unit_name UNIQUE (unit_id, name);
+DROP TRIGGER IF EXISTS trg_assets_version ON assets;
+CREATE TRIGGER trg_assets_version BEFORE UPDATE ON assets FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_assets_tenant_id ON assets(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_assets_name ON assets(name);
 CREATE INDEX IF NOT EXISTS idx_assets_unit_id ON assets(unit_id);
 CREATE INDEX IF NOT EXISTS idx_assets_property_id ON assets(property_id);
@@ -125,10 +184,13 @@ CREATE INDEX IF NOT EXISTS idx_assets_property_id ON assets(property_id);
 CREATE TABLE IF NOT EXISTS audit_logs (
     id SERIAL PRIMARY KEY,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
     action VARCHAR(50),
     resource_type VARCHAR(100),
     resource_id INTEGER,
     user_id INTEGER,
+    actor_type VARCHAR(25) DEFAULT 'user' CHECK (actor_type IN ('user', 'service')),
+    service_credential_id INTEGER,
     ip_address VARCHAR(45),
     user_agent TEXT,
     old_values JSONB,
@@ -138,6 +200,7 @@ CREATE TABLE IF NOT EXISTS audit_logs (
 );
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_audit_logs_tenant_id ON audit_logs(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
 
 -- ============================================================================
@@ -147,10 +210,12 @@ CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS contracts (
     id SERIAL PRIMARY KEY,
-    contract_number VARCHAR(100) NOT NULL UNIQUE,
+    contract_number VARCHAR(100) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('draft', 'active', 'expired', 'cancelled', 'terminated')),
     summary VARCHAR(255),
     customer_id INTEGER NOT NULL,
@@ -158,12 +223,18 @@ CREATE TABLE IF NOT EXISTS contracts (
     end_date DATE,
     terms TEXT,
     value DECIMAL(12,2),
-    billing_cycle VARCHAR(25) CHECK (billing_cycle IN ('monthly', 'quarterly', 'annually', 'one_time'))
+    billing_cycle VARCHAR(25) CHECK (billing_cycle IN ('monthly', 'quarterly', 'annually', 'one_time')),
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(summary, '') || ' ' || COALESCE(terms, ''))) STORED
 );
+ALTER TABLE contracts ADD CONSTRAINT uq_contracts_tenant_contract_number UNIQUE (tenant_id, contract_number);
+DROP TRIGGER IF EXISTS trg_contracts_version ON contracts;
+CREATE TRIGGER trg_contracts_version BEFORE UPDATE ON contracts FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_contracts_contract_number ON contracts(contract_number);
+CREATE INDEX IF NOT EXISTS idx_contracts_tenant_id ON contracts(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_contracts_contract_number ON contracts(tenant_id, contract_number);
 CREATE INDEX IF NOT EXISTS idx_contracts_customer_id ON contracts(customer_id);
+CREATE INDEX IF NOT EXISTS idx_contracts_search_vector ON contracts USING GIN (search_vector);
 
 -- ============================================================================
 -- CUSTOMER_UNITS
@@ -176,14 +247,19 @@ CREATE TABLE IF NOT EXISTS customer_units (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     customer_id INTEGER NOT NULL,
     unit_id INTEGER NOT NULL,
     effective_date DATE,
     end_date DATE
 );
 ALTER TABLE customer_units ADD CONSTRAINT uq_customer_unit UNIQUE (customer_id, unit_id);
+DROP TRIGGER IF EXISTS trg_customer_units_version ON customer_units;
+CREATE TRIGGER trg_customer_units_version BEFORE UPDATE ON customer_units FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_customer_units_tenant_id ON customer_units(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_customer_units_role ON customer_units(role);
 CREATE INDEX IF NOT EXISTS idx_customer_units_customer_id ON customer_units(customer_id);
 CREATE INDEX IF NOT EXISTS idx_customer_units_unit_id ON customer_units(unit_id);
@@ -199,10 +275,13 @@ CREATE TABLE IF NOT EXISTS customers (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     name VARCHAR(255) GENERATED ALWAYS AS (NULLIF(TRIM(COALESCE(NULLIF(TRIM(first_name), '') || ' ', '') || COALESCE(NULLIF(TRIM(last_name), '') || ' ', '')), '')) STORED,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('pending', 'active', 'suspended')),
+    organization_id INTEGER,
     phone VARCHAR(50),
     organization_name VARCHAR(255),
     billing_line1 VARCHAR(255),
@@ -216,11 +295,19 @@ CREATE TABLE IF NOT EXISTS customers (
     service_city VARCHAR(100),
     service_state VARCHAR(25) CHECK (service_state IN ('AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'AS', 'GU', 'MP', 'PR', 'VI', 'AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT')),
     service_postal_code VARCHAR(20),
-    service_country VARCHAR(25) DEFAULT 'US' CHECK (service_country IN ('US', 'CA'))
+    service_country VARCHAR(25) DEFAULT 'US' CHECK (service_country IN ('US', 'CA')),
+    qb_customer_id VARCHAR(50),
+    qb_sync_status VARCHAR(25) DEFAULT null CHECK (qb_sync_status IN ('pending', 'synced', 'modified', 'error', 'skipped')),
+    qb_synced_at TIMESTAMPTZ,
+    qb_sync_error TEXT
 );
+DROP TRIGGER IF EXISTS trg_customers_version ON customers;
+CREATE TRIGGER trg_customers_version BEFORE UPDATE ON customers FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_customers_tenant_id ON customers(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email);
+CREATE INDEX IF NOT EXISTS idx_customers_organization_id ON customers(organization_id);
 
 -- ============================================================================
 -- DEPARTMENTS
@@ -232,13 +319,18 @@ CREATE TABLE IF NOT EXISTS departments (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     name VARCHAR(255) NOT NULL UNIQUE,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
     description TEXT,
     manager_id INTEGER
 );
+DROP TRIGGER IF EXISTS trg_departments_version ON departments;
+CREATE TRIGGER trg_departments_version BEFORE UPDATE ON departments FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_departments_tenant_id ON departments(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_departments_name ON departments(name);
 CREATE INDEX IF NOT EXISTS idx_departments_manager_id ON departments(manager_id);
 
@@ -253,6 +345,8 @@ CREATE TABLE IF NOT EXISTS file_attachments (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     entity_type VARCHAR(50) NOT NULL,
     entity_id INTEGER NOT NULL,
     storage_key VARCHAR(500) NOT NULL,
@@ -262,8 +356,11 @@ CREATE TABLE IF NOT EXISTS file_attachments (
     description TEXT,
     uploaded_by INTEGER
 );
+DROP TRIGGER IF EXISTS trg_file_attachments_version ON file_attachments;
+CREATE TRIGGER trg_file_attachments_version BEFORE UPDATE ON file_attachments FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_file_attachments_tenant_id ON file_attachments(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_file_attachments_original_filename ON file_attachments(original_filename);
 CREATE INDEX IF NOT EXISTS idx_file_attachments_uploaded_by ON file_attachments(uploaded_by);
 
@@ -278,6 +375,8 @@ CREATE TABLE IF NOT EXISTS inventory (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     name VARCHAR(255) NOT NULL,
     status VARCHAR(28) DEFAULT 'in_stock' CHECK (status IN ('in_stock', 'low_stock', 'out_of_stock', 'discontinued')),
     description TEXT,
@@ -287,10 +386,46 @@ CREATE TABLE IF NOT EXISTS inventory (
     location VARCHAR(255),
     supplier VARCHAR(255)
 );
+DROP TRIGGER IF EXISTS trg_inventory_version ON inventory;
+CREATE TRIGGER trg_inventory_version BEFORE UPDATE ON inventory FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_inventory_tenant_id ON inventory(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_inventory_sku ON inventory(sku);
 
+-- ============================================================================
+-- INVOICE_LINE_ITEMS
+-- ============================================================================
+-- Entity: invoice_line_item
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+    id SERIAL PRIMARY KEY,
+    description VARCHAR(255) NOT NULL,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
+    invoice_id INTEGER NOT NULL,
+    quantity DECIMAL(10,2) DEFAULT 1,
+    unit_price DECIMAL(12,2) NOT NULL,
+    tax_rate DECIMAL(5,2) DEFAULT 0,
+    inventory_id INTEGER,
+    service_template_id INTEGER,
+    sort_order INTEGER DEFAULT 0,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED
+);
+DROP TRIGGER IF EXISTS trg_invoice_line_items_version ON invoice_line_items;
+CREATE TRIGGER trg_invoice_line_items_version BEFORE UPDATE ON invoice_line_items FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_tenant_id ON invoice_line_items(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_description ON invoice_line_items(description);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice_id ON invoice_line_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_inventory_id ON invoice_line_items(inventory_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_service_template_id ON invoice_line_items(service_template_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_search_vector ON invoice_line_items USING GIN (search_vector);
+
 -- ============================================================================
 -- INVOICES
 -- ============================================================================
@@ -298,11 +433,14 @@ CREATE INDEX IF NOT EXISTS idx_inventory_sku ON inventory(sku);
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS invoices (
     id SERIAL PRIMARY KEY,
-    invoice_number VARCHAR(100) NOT NULL UNIQUE,
+    invoice_number VARCHAR(100) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'paid', 'overdue', 'cancelled', 'void')),
+    organization_id INTEGER,
     summary VARCHAR(255),
     customer_id INTEGER NOT NULL,
     work_order_id INTEGER,
@@ -314,13 +452,20 @@ CREATE TABLE IF NOT EXISTS invoices (
     qb_invoice_id VARCHAR(50),
     qb_sync_status VARCHAR(25) DEFAULT null CHECK (qb_sync_status IN ('pending', 'synced', 'modified', 'error', 'skipped')),
     qb_synced_at TIMESTAMPTZ,
-    qb_sync_error TEXT
+    qb_sync_error TEXT,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(summary, ''))) STORED
 );
+ALTER TABLE invoices ADD CONSTRAINT uq_invoices_tenant_invoice_number UNIQUE (tenant_id, invoice_number);
+DROP TRIGGER IF EXISTS trg_invoices_version ON invoices;
+CREATE TRIGGER trg_invoices_version BEFORE UPDATE ON invoices FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_invoices_invoice_number ON invoices(invoice_number);
+CREATE INDEX IF NOT EXISTS idx_invoices_tenant_id ON invoices(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_invoice_number ON invoices(tenant_id, invoice_number);
+CREATE INDEX IF NOT EXISTS idx_invoices_organization_id ON invoices(organization_id);
 CREATE INDEX IF NOT EXISTS idx_invoices_customer_id ON invoices(customer_id);
 CREATE INDEX IF NOT EXISTS idx_invoices_work_order_id ON invoices(work_order_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_search_vector ON invoices USING GIN (search_vector);
 
 -- ============================================================================
 -- MAINTENANCE_SCHEDULES
@@ -329,10 +474,12 @@ CREATE INDEX IF NOT EXISTS idx_invoices_work_order_id ON invoices(work_order_id)
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS maintenance_schedules (
     id SERIAL PRIMARY KEY,
-    schedule_number VARCHAR(20) NOT NULL UNIQUE,
+    schedule_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
     frequency VARCHAR(28) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'semiannually', 'annually')),
     frequency_interval INTEGER DEFAULT 1,
@@ -343,9 +490,13 @@ CREATE TABLE IF NOT EXISTS maintenance_schedules (
     asset_id INTEGER,
     service_template_id INTEGER
 );
+ALTER TABLE maintenance_schedules ADD CONSTRAINT uq_maintenance_schedules_tenant_schedule_number UNIQUE (tenant_id, schedule_number);
+DROP TRIGGER IF EXISTS trg_maintenance_schedules_version ON maintenance_schedules;
+CREATE TRIGGER trg_maintenance_schedules_version BEFORE UPDATE ON maintenance_schedules FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_maintenance_schedules_schedule_number ON maintenance_schedules(schedule_number);
+CREATE INDEX IF NOT EXISTS idx_maintenance_schedules_tenant_id ON maintenance_schedules(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_maintenance_schedules_schedule_number ON maintenance_schedules(tenant_id, schedule_number);
 CREATE INDEX IF NOT EXISTS idx_maintenance_schedules_customer_id ON maintenance_schedules(customer_id);
 CREATE INDEX IF NOT EXISTS idx_maintenance_schedules_asset_id ON maintenance_schedules(asset_id);
 CREATE INDEX IF NOT EXISTS idx_maintenance_schedules_service_template_id ON maintenance_schedules(service_template_id);
@@ -361,19 +512,79 @@ CREATE TABLE IF NOT EXISTS notifications (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     user_id INTEGER NOT NULL,
     body TEXT,
     type VARCHAR(25) NOT NULL DEFAULT 'info' CHECK (type IN ('info', 'success', 'warning', 'error', 'assignment', 'reminder')),
     resource_type VARCHAR(50),
     resource_id INTEGER,
     is_read BOOLEAN DEFAULT FALSE,
-    read_at TIMESTAMPTZ
+    read_at TIMESTAMPTZ,
+    template VARCHAR(50),
+    email_status VARCHAR(25) CHECK (email_status IN ('pending', 'sent', 'bounced', 'failed', 'skipped')),
+    email_sent_at TIMESTAMPTZ,
+    email_attempts INTEGER DEFAULT 0,
+    email_error TEXT,
+    email_message_id VARCHAR(255)
 );
+DROP TRIGGER IF EXISTS trg_notifications_version ON notifications;
+CREATE TRIGGER trg_notifications_version BEFORE UPDATE ON notifications FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_notifications_tenant_id ON notifications(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_title ON notifications(title);
 CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
 
+-- ============================================================================
+-- ORGANIZATION_MEMBERSHIPS
+-- ============================================================================
+-- Entity: organization_membership
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS organization_memberships (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
+    organization_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL
+);
+ALTER TABLE organization_memberships ADD CONSTRAINT uq_organization_user UNIQUE (organization_id, user_id);
+DROP TRIGGER IF EXISTS trg_organization_memberships_version ON organization_memberships;
+CREATE TRIGGER trg_organization_memberships_version BEFORE UPDATE ON organization_memberships FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_organization_memberships_tenant_id ON organization_memberships(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_organization_memberships_organization_id ON organization_memberships(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_memberships_user_id ON organization_memberships(user_id);
+
+-- ============================================================================
+-- ORGANIZATIONS
+-- ============================================================================
+-- Entity: organization
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+    code VARCHAR(20),
+    description TEXT
+);
+ALTER TABLE organizations ADD CONSTRAINT uq_organizations_tenant_name UNIQUE (tenant_id, name);
+DROP TRIGGER IF EXISTS trg_organizations_version ON organizations;
+CREATE TRIGGER trg_organizations_version BEFORE UPDATE ON organizations FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_organizations_tenant_id ON organizations(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_organizations_name ON organizations(tenant_id, name);
+
 -- ============================================================================
 -- PAYMENTS
 -- ============================================================================
@@ -381,10 +592,12 @@ CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS payments (
     id SERIAL PRIMARY KEY,
-    payment_number VARCHAR(20) NOT NULL UNIQUE,
+    payment_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'refunded', 'cancelled')),
     amount DECIMAL(10,2) NOT NULL,
     payment_date DATE NOT NULL,
@@ -398,9 +611,13 @@ CREATE TABLE IF NOT EXISTS payments (
     qb_payment_id VARCHAR(50),
     external_ref VARCHAR(100)
 );
+ALTER TABLE payments ADD CONSTRAINT uq_payments_tenant_payment_number UNIQUE (tenant_id, payment_number);
+DROP TRIGGER IF EXISTS trg_payments_version ON payments;
+CREATE TRIGGER trg_payments_version BEFORE UPDATE ON payments FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_payments_payment_number ON payments(payment_number);
+CREATE INDEX IF NOT EXISTS idx_payments_tenant_id ON payments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_payments_payment_number ON payments(tenant_id, payment_number);
 CREATE INDEX IF NOT EXISTS idx_payments_customer_id ON payments(customer_id);
 CREATE INDEX IF NOT EXISTS idx_payments_invoice_id ON payments(invoice_id);
 
@@ -413,15 +630,21 @@ CREATE TABLE IF NOT EXISTS preferences (
     id INTEGER PRIMARY KEY,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     theme VARCHAR(25) DEFAULT 'system' CHECK (theme IN ('system', 'light', 'dark')),
     density VARCHAR(27) DEFAULT 'comfortable' CHECK (density IN ('compact', 'standard', 'comfortable')),
     notifications_enabled BOOLEAN DEFAULT TRUE,
+    locale VARCHAR(25) DEFAULT 'en' CHECK (locale IN ('en', 'es')),
     notification_retention_days INTEGER DEFAULT 30,
     items_per_page INTEGER DEFAULT 25,
     auto_refresh_interval INTEGER DEFAULT 0
 );
+DROP TRIGGER IF EXISTS trg_preferences_version ON preferences;
+CREATE TRIGGER trg_preferences_version BEFORE UPDATE ON preferences FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_preferences_tenant_id ON preferences(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_preferences_id ON preferences(id);
 
 -- ============================================================================
@@ -434,8 +657,11 @@ CREATE TABLE IF NOT EXISTS properties (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     name VARCHAR(255) NOT NULL,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+    organization_id INTEGER,
     property_type VARCHAR(27) DEFAULT 'residential' CHECK (property_type IN ('residential', 'commercial', 'industrial')),
     access_instructions TEXT,
     notes TEXT,
@@ -446,9 +672,13 @@ CREATE TABLE IF NOT EXISTS properties (
     address_postal_code VARCHAR(20),
     address_country VARCHAR(25) DEFAULT 'US' CHECK (address_country IN ('US', 'CA'))
 );
+DROP TRIGGER IF EXISTS trg_properties_version ON properties;
+CREATE TRIGGER trg_properties_version BEFORE UPDATE ON properties FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_properties_tenant_id ON properties(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_properties_name ON properties(name);
+CREATE INDEX IF NOT EXISTS idx_properties_organization_id ON properties(organization_id);
 
 -- ============================================================================
 -- PROPERTY_ROLES
@@ -461,14 +691,19 @@ CREATE TABLE IF NOT EXISTS property_roles (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     customer_id INTEGER NOT NULL,
     property_id INTEGER NOT NULL,
     effective_date DATE,
     end_date DATE
 );
 ALTER TABLE property_roles ADD CONSTRAINT uq_customer_property UNIQUE (customer_id, property_id);
+DROP TRIGGER IF EXISTS trg_property_roles_version ON property_roles;
+CREATE TRIGGER trg_property_roles_version BEFORE UPDATE ON property_roles FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_property_roles_tenant_id ON property_roles(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_property_roles_role ON property_roles(role);
 CREATE INDEX IF NOT EXISTS idx_property_roles_customer_id ON property_roles(customer_id);
 CREATE INDEX IF NOT EXISTS idx_property_roles_property_id ON property_roles(property_id);
@@ -480,22 +715,30 @@ CREATE INDEX IF NOT EXISTS idx_property_roles_property_id ON property_roles(prop
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS purchase_orders (
     id SERIAL PRIMARY KEY,
-    po_number VARCHAR(20) NOT NULL UNIQUE,
+    po_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'draft' CHECK (status IN ('draft', 'submitted', 'approved', 'rejected', 'ordered', 'received', 'cancelled')),
     description TEXT NOT NULL,
     total_amount DECIMAL(10,2),
     notes TEXT,
     vendor_id INTEGER NOT NULL,
-    work_order_id INTEGER
+    work_order_id INTEGER,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED
 );
+ALTER TABLE purchase_orders ADD CONSTRAINT uq_purchase_orders_tenant_po_number UNIQUE (tenant_id, po_number);
+DROP TRIGGER IF EXISTS trg_purchase_orders_version ON purchase_orders;
+CREATE TRIGGER trg_purchase_orders_version BEFORE UPDATE ON purchase_orders FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_purchase_orders_po_number ON purchase_orders(po_number);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_tenant_id ON purchase_orders(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_po_number ON purchase_orders(tenant_id, po_number);
 CREATE INDEX IF NOT EXISTS idx_purchase_orders_vendor_id ON purchase_orders(vendor_id);
 CREATE INDEX IF NOT EXISTS idx_purchase_orders_work_order_id ON purchase_orders(work_order_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_search_vector ON purchase_orders USING GIN (search_vector);
 
 -- ============================================================================
 -- QUOTES
@@ -504,23 +747,31 @@ CREATE INDEX IF NOT EXISTS idx_purchase_orders_work_order_id ON purchase_orders(
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS quotes (
     id SERIAL PRIMARY KEY,
-    quote_number VARCHAR(20) NOT NULL UNIQUE,
+    quote_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'accepted', 'rejected', 'expired', 'cancelled')),
     description TEXT,
     notes TEXT,
     valid_until DATE,
     total_amount DECIMAL(10,2),
     customer_id INTEGER NOT NULL,
-    property_id INTEGER
+    property_id INTEGER,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED
 );
+ALTER TABLE quotes ADD CONSTRAINT uq_quotes_tenant_quote_number UNIQUE (tenant_id, quote_number);
+DROP TRIGGER IF EXISTS trg_quotes_version ON quotes;
+CREATE TRIGGER trg_quotes_version BEFORE UPDATE ON quotes FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_quotes_quote_number ON quotes(quote_number);
+CREATE INDEX IF NOT EXISTS idx_quotes_tenant_id ON quotes(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_quotes_quote_number ON quotes(tenant_id, quote_number);
 CREATE INDEX IF NOT EXISTS idx_quotes_customer_id ON quotes(customer_id);
 CREATE INDEX IF NOT EXISTS idx_quotes_property_id ON quotes(property_id);
+CREATE INDEX IF NOT EXISTS idx_quotes_search_vector ON quotes USING GIN (search_vector);
 
 -- ============================================================================
 -- RECEIPTS
@@ -529,23 +780,31 @@ CREATE INDEX IF NOT EXISTS idx_quotes_property_id ON quotes(property_id);
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS receipts (
     id SERIAL PRIMARY KEY,
-    receipt_number VARCHAR(20) NOT NULL UNIQUE,
+    receipt_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'approved', 'rejected', 'invoiced')),
     description TEXT,
     amount DECIMAL(10,2) NOT NULL,
     receipt_date DATE,
     notes TEXT,
     work_order_id INTEGER,
-    purchase_order_id INTEGER
+    purchase_order_id INTEGER,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED
 );
+ALTER TABLE receipts ADD CONSTRAINT uq_receipts_tenant_receipt_number UNIQUE (tenant_id, receipt_number);
+DROP TRIGGER IF EXISTS trg_receipts_version ON receipts;
+CREATE TRIGGER trg_receipts_version BEFORE UPDATE ON receipts FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_receipts_receipt_number ON receipts(receipt_number);
+CREATE INDEX IF NOT EXISTS idx_receipts_tenant_id ON receipts(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_receipts_receipt_number ON receipts(tenant_id, receipt_number);
 CREATE INDEX IF NOT EXISTS idx_receipts_work_order_id ON receipts(work_order_id);
 CREATE INDEX IF NOT EXISTS idx_receipts_purchase_order_id ON receipts(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_receipts_search_vector ON receipts USING GIN (search_vector);
 
 -- ============================================================================
 -- RECOMMENDATIONS
@@ -554,23 +813,60 @@ CREATE INDEX IF NOT EXISTS idx_receipts_purchase_order_id ON receipts(purchase_o
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS recommendations (
     id SERIAL PRIMARY KEY,
-    recommendation_number VARCHAR(20) NOT NULL UNIQUE,
+    recommendation_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'draft' CHECK (status IN ('draft', 'open', 'approved', 'rejected', 'converted', 'cancelled')),
     title VARCHAR(200) NOT NULL,
     description TEXT,
     priority VARCHAR(25) DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
     notes TEXT,
     customer_id INTEGER NOT NULL,
-    asset_id INTEGER
+    asset_id INTEGER,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(description, ''))) STORED
 );
+ALTER TABLE recommendations ADD CONSTRAINT uq_recommendations_tenant_recommendation_number UNIQUE (tenant_id, recommendation_number);
+DROP TRIGGER IF EXISTS trg_recommendations_version ON recommendations;
+CREATE TRIGGER trg_recommendations_version BEFORE UPDATE ON recommendations FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_recommendations_recommendation_number ON recommendations(recommendation_number);
+CREATE INDEX IF NOT EXISTS idx_recommendations_tenant_id ON recommendations(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_recommendations_recommendation_number ON recommendations(tenant_id, recommendation_number);
 CREATE INDEX IF NOT EXISTS idx_recommendations_customer_id ON recommendations(customer_id);
 CREATE INDEX IF NOT EXISTS idx_recommendations_asset_id ON recommendations(asset_id);
+CREATE INDEX IF NOT EXISTS idx_recommendations_search_vector ON recommendations USING GIN (search_vector);
+
+-- ============================================================================
+-- REPORT_SUBSCRIPTIONS
+-- ============================================================================
+-- Entity: report_subscription
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
+    user_id INTEGER NOT NULL,
+    saved_view_id INTEGER NOT NULL UNIQUE,
+    format VARCHAR(25) NOT NULL DEFAULT 'csv' CHECK (format IN ('csv', 'xlsx')),
+    schedule VARCHAR(500) NOT NULL,
+    next_run_at TIMESTAMPTZ NOT NULL,
+    last_run_at TIMESTAMPTZ,
+    last_status VARCHAR(25) CHECK (last_status IN ('delivered', 'failed')),
+    last_error TEXT
+);
+DROP TRIGGER IF EXISTS trg_report_subscriptions_version ON report_subscriptions;
+CREATE TRIGGER trg_report_subscriptions_version BEFORE UPDATE ON report_subscriptions FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_tenant_id ON report_subscriptions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_user_id ON report_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_saved_view_id ON report_subscriptions(saved_view_id);
 
 -- ============================================================================
 -- ROLES
@@ -583,10 +879,13 @@ CREATE TABLE IF NOT EXISTS roles (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     name VARCHAR(255) NOT NULL UNIQUE,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
     description TEXT
 );
+DROP TRIGGER IF EXISTS trg_roles_version ON roles;
+CREATE TRIGGER trg_roles_version BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_roles_priority ON roles(priority);
@@ -602,13 +901,18 @@ CREATE TABLE IF NOT EXISTS saved_views (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     user_id INTEGER NOT NULL,
     entity_name VARCHAR(50) NOT NULL,
     settings JSONB NOT NULL DEFAULT '{}'::jsonb,
     is_default BOOLEAN DEFAULT FALSE
 );
+DROP TRIGGER IF EXISTS trg_saved_views_version ON saved_views;
+CREATE TRIGGER trg_saved_views_version BEFORE UPDATE ON saved_views FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_saved_views_tenant_id ON saved_views(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_saved_views_view_name ON saved_views(view_name);
 CREATE INDEX IF NOT EXISTS idx_saved_views_user_id ON saved_views(user_id);
 
@@ -622,12 +926,17 @@ CREATE TABLE IF NOT EXISTS service_agreement_items (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     service_agreement_id INTEGER NOT NULL,
     service_template_id INTEGER NOT NULL
 );
 ALTER TABLE service_agreement_items ADD CONSTRAINT uq_service_agreement_service_template UNIQUE (service_agreement_id, service_template_id);
+DROP TRIGGER IF EXISTS trg_service_agreement_items_version ON service_agreement_items;
+CREATE TRIGGER trg_service_agreement_items_version BEFORE UPDATE ON service_agreement_items FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_service_agreement_items_tenant_id ON service_agreement_items(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_service_agreement_items_service_agreement_id ON service_agreement_items(service_agreement_id);
 CREATE INDEX IF NOT EXISTS idx_service_agreement_items_service_template_id ON service_agreement_items(service_template_id);
 
@@ -638,10 +947,12 @@ CREATE INDEX IF NOT EXISTS idx_service_agreement_items_service_template_id ON se
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS service_agreements (
     id SERIAL PRIMARY KEY,
-    agreement_number VARCHAR(20) NOT NULL UNIQUE,
+    agreement_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('draft', 'pending', 'active', 'expired', 'cancelled')),
     start_date DATE NOT NULL,
     end_date DATE,
@@ -649,9 +960,13 @@ CREATE TABLE IF NOT EXISTS service_agreements (
     notes TEXT,
     customer_id INTEGER NOT NULL
 );
+ALTER TABLE service_agreements ADD CONSTRAINT uq_service_agreements_tenant_agreement_number UNIQUE (tenant_id, agreement_number);
+DROP TRIGGER IF EXISTS trg_service_agreements_version ON service_agreements;
+CREATE TRIGGER trg_service_agreements_version BEFORE UPDATE ON service_agreements FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_service_agreements_agreement_number ON service_agreements(agreement_number);
+CREATE INDEX IF NOT EXISTS idx_service_agreements_tenant_id ON service_agreements(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_service_agreements_agreement_number ON service_agreements(tenant_id, agreement_number);
 CREATE INDEX IF NOT EXISTS idx_service_agreements_customer_id ON service_agreements(customer_id);
 
 -- ============================================================================
@@ -664,15 +979,24 @@ CREATE TABLE IF NOT EXISTS service_templates (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     name VARCHAR(255) NOT NULL UNIQUE,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
     description TEXT,
     estimated_duration INTEGER,
-    notes TEXT
+    notes TEXT,
+    required_skills TEXT,
+    required_certifications TEXT,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(required_skills, '') || ' ' || COALESCE(required_certifications, ''))) STORED
 );
+DROP TRIGGER IF EXISTS trg_service_templates_version ON service_templates;
+CREATE TRIGGER trg_service_templates_version BEFORE UPDATE ON service_templates FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_service_templates_tenant_id ON service_templates(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_service_templates_name ON service_templates(name);
+CREATE INDEX IF NOT EXISTS idx_service_templates_search_vector ON service_templates USING GIN (search_vector);
 
 -- ============================================================================
 -- SUBCONTRACTORS
@@ -685,14 +1009,19 @@ CREATE TABLE IF NOT EXISTS subcontractors (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'suspended')),
     contact_name VARCHAR(100),
     email VARCHAR(255),
     phone VARCHAR(50),
     notes TEXT
 );
+DROP TRIGGER IF EXISTS trg_subcontractors_version ON subcontractors;
+CREATE TRIGGER trg_subcontractors_version BEFORE UPDATE ON subcontractors FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_subcontractors_tenant_id ON subcontractors(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_subcontractors_company_name ON subcontractors(company_name);
 
 -- ============================================================================
@@ -706,6 +1035,8 @@ CREATE TABLE IF NOT EXISTS technicians (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     name VARCHAR(255) GENERATED ALWAYS AS (NULLIF(TRIM(COALESCE(NULLIF(TRIM(first_name), '') || ' ', '') || COALESCE(NULLIF(TRIM(last_name), '') || ' ', '')), '')) STORED,
@@ -714,11 +1045,16 @@ CREATE TABLE IF NOT EXISTS technicians (
     license_number VARCHAR(100),
     hourly_rate DECIMAL(12,2),
     certifications TEXT,
-    skills TEXT
+    skills TEXT,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(certifications, '') || ' ' || COALESCE(skills, ''))) STORED
 );
+DROP TRIGGER IF EXISTS trg_technicians_version ON technicians;
+CREATE TRIGGER trg_technicians_version BEFORE UPDATE ON technicians FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_technicians_tenant_id ON technicians(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_technicians_email ON technicians(email);
+CREATE INDEX IF NOT EXISTS idx_technicians_search_vector ON technicians USING GIN (search_vector);
 
 -- ============================================================================
 -- UNITS
@@ -731,19 +1067,26 @@ CREATE TABLE IF NOT EXISTS units (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
     property_id INTEGER NOT NULL,
     ownership_type VARCHAR(25) NOT NULL CHECK (ownership_type IN ('private', 'common')),
     unit_category VARCHAR(27) CHECK (unit_category IN ('residential', 'commercial', 'amenity', 'utility', 'parking')),
     floor INTEGER,
     square_footage INTEGER,
-    notes TEXT
+    notes TEXT,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(notes, ''))) STORED
 );
 ALTER TABLE units ADD CONSTRAINT uq_units_property_identifier UNIQUE (property_id, unit_identifier);
+DROP TRIGGER IF EXISTS trg_units_version ON units;
+CREATE TRIGGER trg_units_version BEFORE UPDATE ON units FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_units_tenant_id ON units(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_units_unit_identifier ON units(unit_identifier);
 CREATE INDEX IF NOT EXISTS idx_units_property_id ON units(property_id);
+CREATE INDEX IF NOT EXISTS idx_units_search_vector ON units USING GIN (search_vector);
 
 -- ============================================================================
 -- USERS
@@ -756,6 +1099,8 @@ CREATE TABLE IF NOT EXISTS users (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     name VARCHAR(255) GENERATED ALWAYS AS (NULLIF(TRIM(COALESCE(NULLIF(TRIM(first_name), '') || ' ', '') || COALESCE(NULLIF(TRIM(last_name), '') || ' ', '')), '')) STORED,
@@ -765,8 +1110,11 @@ CREATE TABLE IF NOT EXISTS users (
     customer_profile_id INTEGER,
     technician_profile_id INTEGER
 );
+DROP TRIGGER IF EXISTS trg_users_version ON users;
+CREATE TRIGGER trg_users_version BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_users_tenant_id ON users(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_role_id ON users(role_id);
 CREATE INDEX IF NOT EXISTS idx_users_customer_profile_id ON users(customer_profile_id);
@@ -782,15 +1130,22 @@ CREATE TABLE IF NOT EXISTS vendors (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     name VARCHAR(255) NOT NULL UNIQUE,
     status VARCHAR(25) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+    organization_id INTEGER,
     contact_email VARCHAR(255),
     phone VARCHAR(50),
     notes TEXT
 );
+DROP TRIGGER IF EXISTS trg_vendors_version ON vendors;
+CREATE TRIGGER trg_vendors_version BEFORE UPDATE ON vendors FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_vendors_tenant_id ON vendors(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_vendors_name ON vendors(name);
+CREATE INDEX IF NOT EXISTS idx_vendors_organization_id ON vendors(organization_id);
 
 -- ============================================================================
 -- VISIT_SUBCONTRACTORS
@@ -802,12 +1157,17 @@ CREATE TABLE IF NOT EXISTS visit_subcontractors (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     visit_id INTEGER NOT NULL,
     subcontractor_id INTEGER NOT NULL
 );
 ALTER TABLE visit_subcontractors ADD CONSTRAINT uq_visit_subcontractor UNIQUE (visit_id, subcontractor_id);
+DROP TRIGGER IF EXISTS trg_visit_subcontractors_version ON visit_subcontractors;
+CREATE TRIGGER trg_visit_subcontractors_version BEFORE UPDATE ON visit_subcontractors FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_visit_subcontractors_tenant_id ON visit_subcontractors(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_visit_subcontractors_visit_id ON visit_subcontractors(visit_id);
 CREATE INDEX IF NOT EXISTS idx_visit_subcontractors_subcontractor_id ON visit_subcontractors(subcontractor_id);
 
@@ -821,12 +1181,17 @@ CREATE TABLE IF NOT EXISTS visit_technicians (
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     visit_id INTEGER NOT NULL,
     technician_id INTEGER NOT NULL
 );
 ALTER TABLE visit_technicians ADD CONSTRAINT uq_visit_technician UNIQUE (visit_id, technician_id);
+DROP TRIGGER IF EXISTS trg_visit_technicians_version ON visit_technicians;
+CREATE TRIGGER trg_visit_technicians_version BEFORE UPDATE ON visit_technicians FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
+CREATE INDEX IF NOT EXISTS idx_visit_technicians_tenant_id ON visit_technicians(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_visit_technicians_visit_id ON visit_technicians(visit_id);
 CREATE INDEX IF NOT EXISTS idx_visit_technicians_technician_id ON visit_technicians(technician_id);
 
@@ -837,10 +1202,12 @@ CREATE INDEX IF NOT EXISTS idx_visit_technicians_technician_id ON visit_technici
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS visits (
     id SERIAL PRIMARY KEY,
-    visit_number VARCHAR(20) NOT NULL UNIQUE,
+    visit_number VARCHAR(20) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(27) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show')),
     scheduled_start TIMESTAMPTZ NOT NULL,
     scheduled_end TIMESTAMPTZ,
@@ -849,11 +1216,41 @@ CREATE TABLE IF NOT EXISTS visits (
     notes TEXT,
     work_order_id INTEGER NOT NULL
 );
+ALTER TABLE visits ADD CONSTRAINT uq_visits_tenant_visit_number UNIQUE (tenant_id, visit_number);
+DROP TRIGGER IF EXISTS trg_visits_version ON visits;
+CREATE TRIGGER trg_visits_version BEFORE UPDATE ON visits FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_visits_visit_number ON visits(visit_number);
+CREATE INDEX IF NOT EXISTS idx_visits_tenant_id ON visits(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_visits_visit_number ON visits(tenant_id, visit_number);
 CREATE INDEX IF NOT EXISTS idx_visits_work_order_id ON visits(work_order_id);
 
+-- ============================================================================
+-- WEBHOOK_SUBSCRIPTIONS
+-- ============================================================================
+-- Entity: webhook_subscription
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    is_active BOOLEAN DEFAULT true NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    target_url VARCHAR(2048) NOT NULL,
+    entity_name VARCHAR(50),
+    event_filter VARCHAR(25) NOT NULL DEFAULT 'all' CHECK (event_filter IN ('all', 'create', 'update', 'delete', 'action')),
+    secret_key VARCHAR(255) NOT NULL
+);
+DROP TRIGGER IF EXISTS trg_webhook_subscriptions_version ON webhook_subscriptions;
+CREATE TRIGGER trg_webhook_subscriptions_version BEFORE UPDATE ON webhook_subscriptions FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_tenant_id ON webhook_subscriptions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_name ON webhook_subscriptions(name);
+
 -- ============================================================================
 -- WORK_ORDERS
 -- ============================================================================
@@ -861,17 +1258,23 @@ CREATE INDEX IF NOT EXISTS idx_visits_work_order_id ON visits(work_order_id);
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS work_orders (
     id SERIAL PRIMARY KEY,
-    work_order_number VARCHAR(100) NOT NULL UNIQUE,
+    work_order_number VARCHAR(100) NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    tenant_id INTEGER DEFAULT 1 NOT NULL,
+    version INTEGER DEFAULT 1 NOT NULL,
     status VARCHAR(27) DEFAULT 'pending' CHECK (status IN ('pending', 'scheduled', 'in_progress', 'completed', 'cancelled')),
+    organization_id INTEGER,
     summary VARCHAR(255),
     priority VARCHAR(25) DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
     customer_id INTEGER NOT NULL,
     property_id INTEGER,
     unit_id INTEGER,
     assigned_technician_id INTEGER,
+    service_template_id INTEGER,
+    required_skills TEXT,
+    required_certifications TEXT,
     scheduled_start TIMESTAMPTZ,
     scheduled_end TIMESTAMPTZ,
     completed_at TIMESTAMPTZ,
@@ -883,64 +1286,123 @@ CREATE TABLE IF NOT EXISTS work_orders (
     location_postal_code VARCHAR(20),
     location_country VARCHAR(25) DEFAULT 'US' CHECK (location_country IN ('US', 'CA')),
     origin_type VARCHAR(40) DEFAULT 'direct' CHECK (origin_type IN ('direct', 'quote', 'recommendation', 'maintenance_schedule')),
-    origin_id INTEGER
+    origin_id INTEGER,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(summary, '') || ' ' || COALESCE(required_skills, '') || ' ' || COALESCE(required_certifications, ''))) STORED
 );
+ALTER TABLE work_orders ADD CONSTRAINT uq_work_orders_tenant_work_order_number UNIQUE (tenant_id, work_order_number);
+DROP TRIGGER IF EXISTS trg_work_orders_version ON work_orders;
+CREATE TRIGGER trg_work_orders_version BEFORE UPDATE ON work_orders FOR EACH ROW EXECUTE FUNCTION bump_row_version();
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_work_orders_work_order_number ON work_orders(work_order_number);
+CREATE INDEX IF NOT EXISTS idx_work_orders_tenant_id ON work_orders(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_work_orders_work_order_number ON work_orders(tenant_id, work_order_number);
+CREATE INDEX IF NOT EXISTS idx_work_orders_organization_id ON work_orders(organization_id);
 CREATE INDEX IF NOT EXISTS idx_work_orders_customer_id ON work_orders(customer_id);
 CREATE INDEX IF NOT EXISTS idx_work_orders_property_id ON work_orders(property_id);
 CREATE INDEX IF NOT EXISTS idx_work_orders_unit_id ON work_orders(unit_id);
 CREATE INDEX IF NOT EXISTS idx_work_orders_assigned_technician_id ON work_orders(assigned_technician_id);
+CREATE INDEX IF NOT EXISTS idx_work_orders_service_template_id ON work_orders(service_template_id);
+CREATE INDEX IF NOT EXISTS idx_work_orders_search_vector ON work_orders USING GIN (search_vector);
 -- ============================================================================
 -- FOREIGN KEY CONSTRAINTS (deferred to avoid forward reference issues)
 -- ============================================================================
+ALTER TABLE approval_requests ADD CONSTRAINT fk_approval_requests_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE approval_requests ADD CONSTRAINT fk_approval_requests_requested_by FOREIGN KEY (requested_by) REFERENCES users(id);
 ALTER TABLE approval_requests ADD CONSTRAINT fk_approval_requests_approved_by FOREIGN KEY (approved_by) REFERENCES users(id);
+ALTER TABLE assets ADD CONSTRAINT fk_assets_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE assets ADD CONSTRAINT fk_assets_unit_id FOREIGN KEY (unit_id) REFERENCES units(id);
 ALTER TABLE assets ADD CONSTRAINT fk_assets_property_id FOREIGN KEY (property_id) REFERENCES properties(id);
+ALTER TABLE audit_logs ADD CONSTRAINT fk_audit_logs_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE audit_logs ADD CONSTRAINT fk_audit_logs_user_id FOREIGN KEY (user_id) REFERENCES users(id);
+ALTER TABLE contracts ADD CONSTRAINT fk_contracts_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE contracts ADD CONSTRAINT fk_contracts_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
+ALTER TABLE customer_units ADD CONSTRAINT fk_customer_units_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE customer_units ADD CONSTRAINT fk_customer_units_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
 ALTER TABLE customer_units ADD CONSTRAINT fk_customer_units_unit_id FOREIGN KEY (unit_id) REFERENCES units(id);
+ALTER TABLE customers ADD CONSTRAINT fk_customers_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE customers ADD CONSTRAINT fk_customers_organization_id FOREIGN KEY (organization_id) REFERENCES organizations(id);
+ALTER TABLE departments ADD CONSTRAINT fk_departments_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE departments ADD CONSTRAINT fk_departments_manager_id FOREIGN KEY (manager_id) REFERENCES users(id);
+ALTER TABLE file_attachments ADD CONSTRAINT fk_file_attachments_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE file_attachments ADD CONSTRAINT fk_file_attachments_uploaded_by FOREIGN KEY (uploaded_by) REFERENCES users(id);
+ALTER TABLE inventory ADD CONSTRAINT fk_inventory_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE invoice_line_items ADD CONSTRAINT fk_invoice_line_items_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE invoice_line_items ADD CONSTRAINT fk_invoice_line_items_invoice_id FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE;
+ALTER TABLE invoice_line_items ADD CONSTRAINT fk_invoice_line_items_inventory_id FOREIGN KEY (inventory_id) REFERENCES inventory(id);
+ALTER TABLE invoice_line_items ADD CONSTRAINT fk_invoice_line_items_service_template_id FOREIGN KEY (service_template_id) REFERENCES service_templates(id);
+ALTER TABLE invoices ADD CONSTRAINT fk_invoices_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE invoices ADD CONSTRAINT fk_invoices_organization_id FOREIGN KEY (organization_id) REFERENCES organizations(id);
 ALTER TABLE invoices ADD CONSTRAINT fk_invoices_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
 ALTER TABLE invoices ADD CONSTRAINT fk_invoices_work_order_id FOREIGN KEY (work_order_id) REFERENCES work_orders(id);
+ALTER TABLE maintenance_schedules ADD CONSTRAINT fk_maintenance_schedules_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE maintenance_schedules ADD CONSTRAINT fk_maintenance_schedules_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
 ALTER TABLE maintenance_schedules ADD CONSTRAINT fk_maintenance_schedules_asset_id FOREIGN KEY (asset_id) REFERENCES assets(id);
 ALTER TABLE maintenance_schedules ADD CONSTRAINT fk_maintenance_schedules_service_template_id FOREIGN KEY (service_template_id) REFERENCES service_templates(id);
+ALTER TABLE notifications ADD CONSTRAINT fk_notifications_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE notifications ADD CONSTRAINT fk_notifications_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE organization_memberships ADD CONSTRAINT fk_organization_memberships_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE organization_memberships ADD CONSTRAINT fk_organization_memberships_organization_id FOREIGN KEY (organization_id) REFERENCES organizations(id);
+ALTER TABLE organization_memberships ADD CONSTRAINT fk_organization_memberships_user_id FOREIGN KEY (user_id) REFERENCES users(id);
+ALTER TABLE organizations ADD CONSTRAINT fk_organizations_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE payments ADD CONSTRAINT fk_payments_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE payments ADD CONSTRAINT fk_payments_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
 ALTER TABLE payments ADD CONSTRAINT fk_payments_invoice_id FOREIGN KEY (invoice_id) REFERENCES invoices(id);
 ALTER TABLE preferences ADD CONSTRAINT fk_preferences_id FOREIGN KEY (id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE preferences ADD CONSTRAINT fk_preferences_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE properties ADD CONSTRAINT fk_properties_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE properties ADD CONSTRAINT fk_properties_organization_id FOREIGN KEY (organization_id) REFERENCES organizations(id);
+ALTER TABLE property_roles ADD CONSTRAINT fk_property_roles_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE property_roles ADD CONSTRAINT fk_property_roles_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
 ALTER TABLE property_roles ADD CONSTRAINT fk_property_roles_property_id FOREIGN KEY (property_id) REFERENCES properties(id);
+ALTER TABLE purchase_orders ADD CONSTRAINT fk_purchase_orders_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE purchase_orders ADD CONSTRAINT fk_purchase_orders_vendor_id FOREIGN KEY (vendor_id) REFERENCES vendors(id);
 ALTER TABLE purchase_orders ADD CONSTRAINT fk_purchase_orders_work_order_id FOREIGN KEY (work_order_id) REFERENCES work_orders(id);
+ALTER TABLE quotes ADD CONSTRAINT fk_quotes_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE quotes ADD CONSTRAINT fk_quotes_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
 ALTER TABLE quotes ADD CONSTRAINT fk_quotes_property_id FOREIGN KEY (property_id) REFERENCES properties(id);
+ALTER TABLE receipts ADD CONSTRAINT fk_receipts_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE receipts ADD CONSTRAINT fk_receipts_work_order_id FOREIGN KEY (work_order_id) REFERENCES work_orders(id);
 ALTER TABLE receipts ADD CONSTRAINT fk_receipts_purchase_order_id FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id);
+ALTER TABLE recommendations ADD CONSTRAINT fk_recommendations_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE recommendations ADD CONSTRAINT fk_recommendations_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
 ALTER TABLE recommendations ADD CONSTRAINT fk_recommendations_asset_id FOREIGN KEY (asset_id) REFERENCES assets(id);
+ALTER TABLE report_subscriptions ADD CONSTRAINT fk_report_subscriptions_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE report_subscriptions ADD CONSTRAINT fk_report_subscriptions_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE report_subscriptions ADD CONSTRAINT fk_report_subscriptions_saved_view_id FOREIGN KEY (saved_view_id) REFERENCES saved_views(id) ON DELETE CASCADE;
+ALTER TABLE saved_views ADD CONSTRAINT fk_saved_views_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE saved_views ADD CONSTRAINT fk_saved_views_user_id FOREIGN KEY (user_id) REFERENCES users(id);
+ALTER TABLE service_agreement_items ADD CONSTRAINT fk_service_agreement_items_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE service_agreement_items ADD CONSTRAINT fk_service_agreement_items_service_agreement_id FOREIGN KEY (service_agreement_id) REFERENCES service_agreements(id);
 ALTER TABLE service_agreement_items ADD CONSTRAINT fk_service_agreement_items_service_template_id FOREIGN KEY (service_template_id) REFERENCES service_templates(id);
+ALTER TABLE service_agreements ADD CONSTRAINT fk_service_agreements_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE service_agreements ADD CONSTRAINT fk_service_agreements_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
+ALTER TABLE service_templates ADD CONSTRAINT fk_service_templates_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE subcontractors ADD CONSTRAINT fk_subcontractors_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE technicians ADD CONSTRAINT fk_technicians_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE units ADD CONSTRAINT fk_units_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE units ADD CONSTRAINT fk_units_property_id FOREIGN KEY (property_id) REFERENCES properties(id);
+ALTER TABLE users ADD CONSTRAINT fk_users_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE users ADD CONSTRAINT fk_users_role_id FOREIGN KEY (role_id) REFERENCES roles(id);
 ALTER TABLE users ADD CONSTRAINT fk_users_customer_profile_id FOREIGN KEY (customer_profile_id) REFERENCES customers(id);
 ALTER TABLE users ADD CONSTRAINT fk_users_technician_profile_id FOREIGN KEY (technician_profile_id) REFERENCES technicians(id);
+ALTER TABLE vendors ADD CONSTRAINT fk_vendors_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE vendors ADD CONSTRAINT fk_vendors_organization_id FOREIGN KEY (organization_id) REFERENCES organizations(id);
+ALTER TABLE visit_subcontractors ADD CONSTRAINT fk_visit_subcontractors_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE visit_subcontractors ADD CONSTRAINT fk_visit_subcontractors_visit_id FOREIGN KEY (visit_id) REFERENCES visits(id);
 ALTER TABLE visit_subcontractors ADD CONSTRAINT fk_visit_subcontractors_subcontractor_id FOREIGN KEY (subcontractor_id) REFERENCES subcontractors(id);
+ALTER TABLE visit_technicians ADD CONSTRAINT fk_visit_technicians_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE visit_technicians ADD CONSTRAINT fk_visit_technicians_visit_id FOREIGN KEY (visit_id) REFERENCES visits(id);
 ALTER TABLE visit_technicians ADD CONSTRAINT fk_visit_technicians_technician_id FOREIGN KEY (technician_id) REFERENCES technicians(id);
+ALTER TABLE visits ADD CONSTRAINT fk_visits_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
 ALTER TABLE visits ADD CONSTRAINT fk_visits_work_order_id FOREIGN KEY (work_order_id) REFERENCES work_orders(id);
+ALTER TABLE webhook_subscriptions ADD CONSTRAINT fk_webhook_subscriptions_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id);
+ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_organization_id FOREIGN KEY (organization_id) REFERENCES organizations(id);
 ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id);
 ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_property_id FOREIGN KEY (property_id) REFERENCES properties(id);
 ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_unit_id FOREIGN KEY (unit_id) REFERENCES units(id);
 ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_assigned_technician_id FOREIGN KEY (assigned_technician_id) REFERENCES technicians(id);
+ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_service_template_id FOREIGN KEY (service_template_id) REFERENCES service_templates(id);
 
 -- ============================================================================
 -- INFRASTRUCTURE TABLES (Non-entity system tables)
@@ -957,6 +1419,9 @@ ALTER TABLE work_orders ADD CONSTRAINT fk_work_orders_assigned_technician_id FOR
 -- Purpose: JWT refresh token storage for authentication
 -- Relationship: Many-to-one with users (user can have multiple active sessions)
 -- Security: Stores hashed tokens only, supports revocation
+-- Sessions: every login starts a token family (family_id = session); each
+--           refresh rotates to a new token in the same family. Presenting a
+--           token that was already rotated revokes the whole family.
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS refresh_tokens (
     id SERIAL PRIMARY KEY,
@@ -964,16 +1429,22 @@ CREATE TABLE IF NOT EXISTS refresh_tokens (
     token_id UUID NOT NULL DEFAULT uuid_generate_v4(),
     token_hash TEXT NOT NULL,
 
+    -- Rotation chain
+    family_id UUID NOT NULL DEFAULT uuid_generate_v4(),
+    parent_token_id UUID, -- token this one replaced (NULL = login)
+
     -- Token lifecycle
     expires_at TIMESTAMPTZ NOT NULL,
     is_active BOOLEAN DEFAULT true NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     last_used_at TIMESTAMPTZ,
     revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(50), -- rotated, logout, reuse_detected, ...
 
-    -- Request context
+    -- Request context (device the token was issued to)
     ip_address VARCHAR(45),
-    user_agent TEXT
+    user_agent TEXT,
+    device_name VARCHAR(100)
 );
 
 -- Indexes for refresh_tokens
@@ -981,6 +1452,7 @@ CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_token_id ON refresh_tokens(token_id);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_active ON refresh_tokens(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
 
 -- ============================================================================
 -- SYSTEM SETTINGS TABLE
@@ -1052,18 +1524,234 @@ CREATE TABLE IF NOT EXISTS idempotency_keys (
 CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at 
     ON idempotency_keys(created_at);
 
+-- ============================================================================
+-- JOBS TABLE
+-- ============================================================================
+-- Purpose: Durable background job queue (services/jobs)
+-- Claiming: FOR UPDATE SKIP LOCKED (safe across multiple app instances)
+-- Lifecycle: pending → running → completed | pending (retry) | dead
+--            pending/running → cancelled (admin)
+-- Recurring: cron-style jobs share a recurring_key; dedupe_key is per-slot
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS jobs (
+    id SERIAL PRIMARY KEY,
+
+    -- Handler key (services/jobs/job-handlers.js) and its input
+    type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'dead', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    -- Worker lock (orphaned locks are reclaimed after a timeout)
+    locked_at TIMESTAMPTZ,
+    locked_by VARCHAR(255),
+
+    -- Outcome
+    last_error TEXT,
+    result JSONB,
+    completed_at TIMESTAMPTZ,
+
+    -- Deduplication (NULLs are distinct, so keyless jobs never conflict)
+    dedupe_key VARCHAR(255) UNIQUE,
+
+    -- Recurring (cron) jobs
+    recurring_key VARCHAR(100),
+    cron VARCHAR(100),
+
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for jobs
+-- Worker claim scans pending jobs by run_at
+CREATE INDEX IF NOT EXISTS idx_jobs_pending_run_at
+    ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type);
+CREATE INDEX IF NOT EXISTS idx_jobs_recurring_key
+    ON jobs(recurring_key) WHERE recurring_key IS NOT NULL;
+
+-- ============================================================================
+-- WEBHOOK EVENTS TABLE
+-- ============================================================================
+-- Purpose: Persistent inbox of verified webhook payloads (routes/webhooks.js)
+-- Dedupe: UNIQUE (provider, event_id) - provider redeliveries are no-ops
+-- Processing: each event is handled by a 'webhook.process' job
+-- Lifecycle: received → processing → processed | ignored | failed
+--            processed/ignored/failed → received (admin replay)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id SERIAL PRIMARY KEY,
+
+    -- Source (provider key from config/integration-providers.js)
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255),
+    event_type VARCHAR(100),
+    payload JSONB NOT NULL,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    processed_at TIMESTAMPTZ,
+
+    received_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+
+    -- NULL event_ids are distinct, so events without an ID are always stored
+    CONSTRAINT uq_webhook_events_provider_event UNIQUE (provider, event_id)
+);
+
+-- Indexes for webhook_events
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_provider_type
+    ON webhook_events(provider, event_type);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at
+    ON webhook_events(received_at DESC);
+-- ============================================================================
+-- REALTIME EVENTS TABLE
+-- ============================================================================
+-- Purpose: Outbox of entity/notification changes streamed by GET /api/events
+-- Written: by GenericEntityService in the write's transaction, then
+--          pg_notify('tross_events') - rolled-back writes publish nothing
+-- Resume: the id is the SSE event id (Last-Event-ID replays id > n)
+-- Retention: purged after API_OPERATIONS.REALTIME.RETENTION_HOURS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+
+    -- 'notification' (for user_id only) or 'entity' (RLS-filtered per reader)
+    type VARCHAR(20) NOT NULL CHECK (type IN ('notification', 'entity')),
+    entity VARCHAR(100) NOT NULL,
+    record_id INTEGER NOT NULL,
+    operation VARCHAR(10) NOT NULL CHECK (operation IN ('create', 'update', 'delete')),
+
+    -- Recipient of a notification event (NULL for entity events)
+    user_id INTEGER,
+
+    -- Tenant of the written record; tenant-scoped entity events are only
+    -- delivered within it (NULL for events recorded before tenancy)
+    tenant_id INTEGER REFERENCES tenants(id),
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for realtime_events
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created_at ON realtime_events(created_at);
+-- ============================================================================
+-- WEBHOOK DELIVERIES TABLE
+-- ============================================================================
+-- Purpose: Delivery log of outbound webhooks (one row per subscription × event)
+-- Written: by WebhookDeliveryService in the entity write's transaction, with
+--          a 'webhook.deliver' job that POSTs the signed payload
+-- Redelivery: admins reset a settled row to 'pending' (new job, same payload)
+-- Retention: purged after API_OPERATIONS.WEBHOOK_DELIVERIES.RETENTION_DAYS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+
+    -- Event ('work_order.updated', 'work_order.action.notify_customer', ...)
+    event VARCHAR(150) NOT NULL,
+    entity VARCHAR(100) NOT NULL,
+    record_id INTEGER,
+    payload JSONB NOT NULL,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    delivered_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for webhook_deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id
+    ON webhook_deliveries(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at
+    ON webhook_deliveries(created_at DESC);
+-- ============================================================================
+-- SERVICE CREDENTIALS TABLE
+-- ============================================================================
+-- Purpose: API keys / OAuth client credentials for machine clients (BI jobs,
+--          sensor gateways) - see services/auth/service-credential-service.js
+-- Security: only a SHA-256 hash of the secret is stored; the secret is shown
+--           once, when issued or rotated
+-- Authorization: the credential acts with role_id's permissions, optionally
+--                narrowed by scopes (entity -> operations) and ip_allowlist
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS service_credentials (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+
+    -- Identity (client_id is public, the secret is not)
+    client_id VARCHAR(64) NOT NULL UNIQUE,
+    secret_hash VARCHAR(64) NOT NULL,
+    -- Secret replaced by the last rotation, accepted until the grace period ends
+    previous_secret_hash VARCHAR(64),
+    previous_secret_expires_at TIMESTAMPTZ,
+
+    -- Authorization (acts inside one tenant - ADR-014)
+    tenant_id INTEGER NOT NULL DEFAULT 1 REFERENCES tenants(id),
+    role_id INTEGER NOT NULL REFERENCES roles(id),
+    scopes JSONB,        -- { "<entity>": ["read", ...] }; NULL = all the role allows
+    ip_allowlist TEXT[], -- addresses / CIDR ranges; NULL = any address
+
+    -- Lifecycle
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    rotated_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip VARCHAR(45),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for service_credentials (client_id is indexed by its UNIQUE constraint)
+CREATE INDEX IF NOT EXISTS idx_service_credentials_role_id ON service_credentials(role_id);
+CREATE INDEX IF NOT EXISTS idx_service_credentials_tenant_id ON service_credentials(tenant_id);
+
 -- ============================================================================
 -- TROSS ESSENTIAL SEED DATA
 -- ============================================================================
 -- IDEMPOTENT: Safe to run multiple times (uses ON CONFLICT)
 -- PURPOSE: Core bootstrap data the application (and the test database) require
---          to function: the role hierarchy, the primary admin account, that
---          account's preferences, and default system settings.
+--          to function: the original tenant, the role hierarchy, the primary
+--          admin account, that account's preferences, and default system settings.
 --
 -- This file is composed into backend/schema.sql by scripts/compose-schema.js.
 -- Business/demo data lives in demo-data.sql (applied separately, dev only).
 -- ============================================================================
 
+-- ============================================================================
+-- ORIGINAL TENANT (ADR-014)
+-- ============================================================================
+-- id 1 is the tenant_id column default and the operator tenant: users who sign
+-- in without an Auth0 organization land here, and only its admins reach
+-- /api/admin/system. Further tenants are provisioned with
+-- INSERT INTO tenants (slug, name, auth0_org_id).
+
+INSERT INTO tenants (id, slug, name) VALUES
+(1, 'default', 'Tross')
+ON CONFLICT (id) DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('tenants', 'id'), GREATEST((SELECT MAX(id) FROM tenants), 1));
+
 -- ============================================================================
 -- ROLES (5 core system roles)
 -- ============================================================================
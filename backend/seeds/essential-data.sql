@@ -3,13 +3,27 @@
 -- ============================================================================
 -- IDEMPOTENT: Safe to run multiple times (uses ON CONFLICT)
 -- PURPOSE: Core bootstrap data the application (and the test database) require
---          to function: the role hierarchy, the primary admin account, that
---          account's preferences, and default system settings.
+--          to function: the original tenant, the role hierarchy, the primary
+--          admin account, that account's preferences, and default system settings.
 --
 -- This file is composed into backend/schema.sql by scripts/compose-schema.js.
 -- Business/demo data lives in demo-data.sql (applied separately, dev only).
 -- ============================================================================
 
+-- ============================================================================
+-- ORIGINAL TENANT (ADR-014)
+-- ============================================================================
+-- id 1 is the tenant_id column default and the operator tenant: users who sign
+-- in without an Auth0 organization land here, and only its admins reach
+-- /api/admin/system. Further tenants are provisioned with
+-- INSERT INTO tenants (slug, name, auth0_org_id).
+
+INSERT INTO tenants (id, slug, name) VALUES
+(1, 'default', 'Tross')
+ON CONFLICT (id) DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('tenants', 'id'), GREATEST((SELECT MAX(id) FROM tenants), 1));
+
 -- ============================================================================
 -- ROLES (5 core system roles)
 -- ============================================================================
@@ -24,6 +24,7 @@ const {
   initializeFromDatabase: initRoleHierarchy,
 } = require('./config/role-hierarchy-loader');
 const backgroundTasks = require('./services/admin/background-tasks');
+const realtimeListener = require('./services/realtime/realtime-listener');
 const { validateStartupOrExit } = require('./utils/startup-validator');
 
 // Environment Validation
@@ -66,7 +67,10 @@ app.use(
       'X-Filename',
       'X-Category',
       'X-Description',
+      'If-Match',
+      'X-Organization-Id', // Active organization (config/constants ORGANIZATIONS)
     ],
+    exposedHeaders: ['ETag'], // Optimistic concurrency (utils/etag.js)
     credentials: true,
     maxAge: 86400, // 24 hours preflight cache
   }),
@@ -153,8 +157,16 @@ const auth0Routes = require('./routes/auth0');
 const healthRoutes = require('./routes/health');
 const schemaRoutes = require('./routes/schema');
 const rolesExtensions = require('./routes/roles-extensions');
+const workOrdersExtensions = require('./routes/work-orders-extensions');
+const approvalRequestsExtensions = require('./routes/approval-requests-extensions');
+const savedViewsExtensions = require('./routes/saved-views-extensions');
+const webhookSubscriptionsExtensions = require('./routes/webhook-subscriptions-extensions');
 const statsRoutes = require('./routes/stats');
+const summaryRoutes = require('./routes/summaries');
 const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const searchRoutes = require('./routes/search');
+const eventRoutes = require('./routes/events');
 const auditRoutes = require('./routes/audit');
 const adminRoutes = require('./routes/admin');
 
@@ -162,6 +174,7 @@ const adminRoutes = require('./routes/admin');
 const {
   loadEntityRoutes,
   loadFileSubRoutes,
+  loadSubEntityRoutes,
 } = require('./config/route-loader');
 const {
   loadIntegrationRoutes,
@@ -169,6 +182,7 @@ const {
 } = require('./config/integration-loader');
 const entityRoutes = loadEntityRoutes();
 const fileSubRoutes = loadFileSubRoutes();
+const subEntityRoutes = loadSubEntityRoutes();
 const integrationRoutes = loadIntegrationRoutes();
 const webhookRoutes = loadWebhookRoutes();
 
@@ -188,6 +202,15 @@ for (const { path, router } of fileSubRoutes) {
   app.use(path, apiLimiter, router);
 }
 
+// =============================================================================
+// CHILD ENTITY SUB-ROUTES (Metadata-Driven)
+// Mounted BEFORE entity routes, like file sub-routes
+// e.g., /api/invoices/:id/line_items for entities with routeConfig.subEntityOf
+// =============================================================================
+for (const { path, router } of subEntityRoutes) {
+  app.use(path, apiLimiter, router);
+}
+
 // =============================================================================
 // ENTITY CRUD ROUTES (Metadata-Driven)
 // Loaded dynamically from config/models/* based on routeConfig.useGenericRouter
@@ -198,6 +221,10 @@ for (const { path, router } of entityRoutes) {
 
 // Entity-specific extensions (not generic - kept explicit)
 app.use('/api/roles', apiLimiter, rolesExtensions); // Extension: /:id/users
+app.use('/api/work_orders', apiLimiter, workOrdersExtensions); // Extension: /:id/technician-matches
+app.use('/api/approval_requests', apiLimiter, approvalRequestsExtensions); // Extension: /:id/decision
+app.use('/api/saved_views', apiLimiter, savedViewsExtensions); // Extension: /:id/subscription
+app.use('/api/webhook_subscriptions', apiLimiter, webhookSubscriptionsExtensions); // Extension: /:id/deliveries
 
 // =============================================================================
 // INFRASTRUCTURE & UTILITY ROUTES (not entity-driven)
@@ -205,7 +232,11 @@ app.use('/api/roles', apiLimiter, rolesExtensions); // Extension: /:id/users
 app.use('/api/health', apiLimiter, healthRoutes); // Health monitoring
 app.use('/api/schema', apiLimiter, schemaRoutes); // Schema introspection for UI generation
 app.use('/api/stats', apiLimiter, statsRoutes); // Aggregation endpoints
-app.use('/api/export', apiLimiter, exportRoutes); // CSV export
+app.use('/api/summaries', apiLimiter, summaryRoutes); // Time-series / multi-dimension analytics
+app.use('/api/export', apiLimiter, exportRoutes); // File exports
+app.use('/api/import', apiLimiter, importRoutes); // Bulk file imports
+app.use('/api/search', apiLimiter, searchRoutes); // Cross-entity global search
+app.use('/api/events', apiLimiter, eventRoutes); // Realtime event stream (SSE)
 app.use('/api/audit', apiLimiter, auditRoutes); // Audit log queries
 app.use('/api/admin', apiLimiter, adminRoutes); // Admin system management
 
@@ -336,6 +367,7 @@ app.use((error, req, res, _next) => {
 process.on('SIGTERM', async () => {
   logger.info('📴 Shutting down gracefully...');
   backgroundTasks.stop();
+  realtimeListener.stop();
   try {
     // Try to close DB connection if available, but don't fail if it's not
     const db = require('./db/connection');
@@ -350,6 +382,7 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('📴 SIGINT received, shutting down gracefully');
   backgroundTasks.stop();
+  realtimeListener.stop();
   try {
     const db = require('./db/connection');
     await db.end();
@@ -1,17 +1,25 @@
 /**
  * Background Tasks Service
  *
- * SRP LITERALISM: ONLY manages scheduled maintenance tasks
+ * SRP LITERALISM: ONLY manages the in-process job worker lifecycle
  *
  * PHILOSOPHY:
- * - IN-PROCESS: Uses setInterval (no external dependencies like node-cron)
- * - CONFIGURABLE: Intervals from API_OPERATIONS (SSOT)
+ * - DURABLE: Work lives in the Postgres jobs table (services/jobs), not in
+ *   timers, so restarts lose nothing and multiple instances share the load
+ * - IN-PROCESS: A setInterval poll drives the worker (no external scheduler)
+ * - CONFIGURABLE: Poll interval and recurring jobs from API_OPERATIONS (SSOT)
  * - GRACEFUL: Clean start/stop for server lifecycle
  * - RESILIENT: Task failures logged, don't crash server
  *
- * TASKS:
+ * RECURRING JOBS (cron, see API_OPERATIONS.JOBS.RECURRING):
  * - Idempotency key cleanup (hourly)
  * - Expired token cleanup (every 6 hours)
+ * - Maintenance schedule work order generation (hourly)
+ * - Finished job purge (daily)
+ * - Approval request timeouts: escalate or expire (every 5 minutes)
+ * - Realtime event purge past the resume window (hourly)
+ * - Webhook delivery log purge past the retention window (daily)
+ * - Scheduled report delivery for due saved-view subscriptions (every 15 minutes)
  *
  * INTEGRATION:
  *   // In server.js after DB connection confirmed:
@@ -25,13 +33,18 @@
 const { API_OPERATIONS } = require('../../config/api-operations');
 const IdempotencyService = require('../utils/idempotency-service');
 const TokenService = require('../auth/token-service');
+const JobQueueService = require('../jobs/job-queue-service');
+const JobWorker = require('../jobs/job-worker');
 const { logger } = require('../../config/logger');
 
-const { BACKGROUND_TASKS } = API_OPERATIONS;
+const { BACKGROUND_TASKS, JOBS } = API_OPERATIONS;
 
 // Track running intervals for cleanup on shutdown
 const runningTasks = new Map();
 
+// Poll guard: a slow tick must not overlap the next one
+let workerBusy = false;
+
 /**
  * Run a task safely (catch errors, log, continue)
  *
@@ -50,6 +63,22 @@ async function runTaskSafely(name, taskFn) {
   }
 }
 
+/**
+ * One worker poll, skipped while the previous poll is still running
+ */
+async function pollJobs() {
+  if (workerBusy) {
+    return;
+  }
+
+  workerBusy = true;
+  try {
+    await runTaskSafely('JobWorker', () => JobWorker.runDueJobs());
+  } finally {
+    workerBusy = false;
+  }
+}
+
 /**
  * Start all background tasks
  *
@@ -68,31 +97,25 @@ function start() {
     return;
   }
 
-  logger.info('[BackgroundTasks] Starting scheduled maintenance tasks');
+  logger.info('[BackgroundTasks] Starting job worker');
 
   // ─────────────────────────────────────────────────────────────
-  // Task: Idempotency key cleanup
+  // Recurring jobs: make sure each has a queued instance
+  // (safe on every instance - per-slot dedupe keys prevent doubles)
   // ─────────────────────────────────────────────────────────────
-  const idempotencyInterval = setInterval(
-    () => runTaskSafely('IdempotencyCleanup', IdempotencyService.cleanup),
-    BACKGROUND_TASKS.INTERVALS.IDEMPOTENCY_CLEANUP_MS,
-  );
-  runningTasks.set('idempotency', idempotencyInterval);
+  runTaskSafely('RecurringJobs', () => JobQueueService.ensureRecurring(JOBS.RECURRING));
 
   // ─────────────────────────────────────────────────────────────
-  // Task: Expired token cleanup
+  // Task: Job worker poll
   // ─────────────────────────────────────────────────────────────
-  const tokenInterval = setInterval(
-    () => runTaskSafely('TokenCleanup', TokenService.cleanupExpiredTokens),
-    BACKGROUND_TASKS.INTERVALS.TOKEN_CLEANUP_MS,
-  );
-  runningTasks.set('tokens', tokenInterval);
+  const workerInterval = setInterval(pollJobs, BACKGROUND_TASKS.INTERVALS.JOB_POLL_MS);
+  runningTasks.set('jobWorker', workerInterval);
 
   logger.info('[BackgroundTasks] Scheduled tasks registered', {
     tasks: [...runningTasks.keys()],
+    recurringJobs: JOBS.RECURRING.map((job) => `${job.key} (${job.cron})`),
     intervals: {
-      idempotencyCleanup: `${BACKGROUND_TASKS.INTERVALS.IDEMPOTENCY_CLEANUP_MS / 1000 / 60} min`,
-      tokenCleanup: `${BACKGROUND_TASKS.INTERVALS.TOKEN_CLEANUP_MS / 1000 / 60} min`,
+      jobPoll: `${BACKGROUND_TASKS.INTERVALS.JOB_POLL_MS / 1000} s`,
     },
   });
 }
@@ -17,6 +17,7 @@
  */
 
 const db = require('../../db/connection');
+const { TENANCY } = require('../../config/constants');
 
 class SchemaIntrospectionService {
   /**
@@ -390,15 +391,19 @@ class SchemaIntrospectionService {
   /**
    * Get select options for a foreign key field
    *
+   * Tenant-scoped tables (tenant_id column) only list the caller's tenant's
+   * rows; without a tenant they list nothing (ADR-014).
+   *
    * @param {string} tableName - Referenced table
-   * @param {string} valueColumn - Column to use as value (default: 'id')
-   * @param {string} labelColumn - Column to use as label (default: 'name')
+   * @param {Object} [options={}]
+   * @param {string} [options.valueColumn='id'] - Column to use as value
+   * @param {string} [options.labelColumn='name'] - Column to use as label
+   * @param {number|null} [options.tenantId=null] - Caller's tenant
    * @returns {Promise<Array>} Array of {value, label} objects
    */
   static async getForeignKeyOptions(
     tableName,
-    valueColumn = 'id',
-    labelColumn = 'name',
+    { valueColumn = 'id', labelColumn = 'name', tenantId = null } = {},
   ) {
     // Try to find a name-like column
     const nameColumns = ['name', 'title', 'email', 'description'];
@@ -413,11 +418,17 @@ class SchemaIntrospectionService {
         valueColumn;
     }
 
+    const tenantScoped = schema.columns.some((c) => c.name === TENANCY.COLUMN);
+    if (tenantScoped && (tenantId === null || tenantId === undefined)) {
+      return [];
+    }
+
     const result = await db.query(
       `SELECT ${valueColumn} as value, ${actualLabelColumn} as label 
        FROM ${tableName} 
-       WHERE is_active = true 
+       WHERE is_active = true${tenantScoped ? ` AND ${TENANCY.COLUMN} = $1` : ''}
        ORDER BY ${actualLabelColumn}`,
+      tenantScoped ? [tenantId] : [],
     );
 
     return result.rows;
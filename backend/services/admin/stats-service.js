@@ -13,14 +13,19 @@
  *   const count = await StatsService.count('work_order', req, { status: 'pending' });
  *   const grouped = await StatsService.countGrouped('work_order', req, 'status');
  *   const sum = await StatsService.sum('invoice', req, 'amount', { status: 'paid' });
+ *   const monthly = await StatsService.summarize('invoice', req, {
+ *     measures: ['count', 'sum:total'], groupBy: ['status'], interval: 'month',
+ *   });
  */
 
 const allMetadata = require('../../config/models');
-const { getFieldsWithTrait, FIELD_TRAIT } = require('../../config/metadata-accessors');
+const { getFieldsWithTrait, getFeatures, FIELD_TRAIT } = require('../../config/metadata-accessors');
+const { API_OPERATIONS } = require('../../config/api-operations');
 const { logger } = require('../../config/logger');
 const db = require('../../db/connection');
 const QueryBuilderService = require('../entity/query-builder-service');
 const { buildRLSFilter } = require('../../db/helpers/rls');
+const { getFieldsForOperation } = require('../../utils/field-access-controller');
 const {
   sanitizeIdentifier,
   validateFieldAgainstWhitelist,
@@ -28,6 +33,11 @@ const {
 const AppError = require('../../utils/app-error');
 const { ERROR_CODES } = require('../../config/error-codes');
 
+const { SUMMARIES } = API_OPERATIONS;
+
+// Field types summaries can bucket and range over (summary dateFields default)
+const DATE_FIELD_TYPES = ['date', 'timestamp'];
+
 class StatsService {
   /**
    * Get metadata for an entity, throwing if not found
@@ -59,7 +69,7 @@ class StatsService {
     const filterableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.FILTERABLE);
 
     // Build RLS filter - ADR-011: include operation for rule matching
-    const rlsResult = buildRLSFilter(req.rlsContext, metadata, 'read', 0);
+    const rlsResult = buildRLSFilter(req.rlsContext, metadata, 'read', 1, allMetadata);
     const paramOffset = rlsResult.params.length;
 
     // Build filter clause
@@ -125,7 +135,7 @@ class StatsService {
     }
 
     // Build RLS filter - ADR-011: include operation for rule matching
-    const rlsResult = buildRLSFilter(req.rlsContext, metadata, 'read', 0);
+    const rlsResult = buildRLSFilter(req.rlsContext, metadata, 'read', 1, allMetadata);
     const paramOffset = rlsResult.params.length;
 
     // Build filter clause
@@ -202,7 +212,7 @@ class StatsService {
     const safeTable = sanitizeIdentifier(tableName, 'table');
 
     // Build RLS filter - ADR-011: include operation for rule matching
-    const rlsResult = buildRLSFilter(req.rlsContext, metadata, 'read', 0);
+    const rlsResult = buildRLSFilter(req.rlsContext, metadata, 'read', 1, allMetadata);
     const paramOffset = rlsResult.params.length;
 
     // Build filter clause
@@ -235,6 +245,276 @@ class StatsService {
     const result = await db.query(query, params);
     return parseFloat(result.rows[0].total);
   }
+
+  /**
+   * Aggregate several measures over time buckets and up to two group-by fields
+   *
+   * Dimensions and measures are limited to the entity's features.summary
+   * fields that the caller's role can read. With compare: 'previous' the
+   * same aggregation runs over the period of equal length before from..to.
+   *
+   * @param {string} entityName - Entity name
+   * @param {Object} req - Express request (for RLS context)
+   * @param {Object} [options={}] - Summary options
+   * @param {string[]} [options.measures=['count']] - 'count' or 'fn:field' (sum/avg/min/max of a summable field)
+   * @param {string[]} [options.groupBy=[]] - Groupable fields (at most SUMMARIES.MAX_GROUP_BY)
+   * @param {string} [options.interval] - Bucket by day/week/month of dateField
+   * @param {string} [options.dateField='created_at'] - Date field for interval, from and to
+   * @param {string} [options.from] - Inclusive lower bound on dateField (ISO 8601)
+   * @param {string} [options.to] - Exclusive upper bound on dateField (ISO 8601)
+   * @param {string} [options.compare] - 'previous' to add the previous period (needs from and to)
+   * @param {Object} [options.filters={}] - Optional filter object
+   * @returns {Promise<Object>} { measures, groupBy, interval, dateField, from, to, rows, totals, truncated, previous?, change? }
+   *
+   * @example
+   *   const summary = await StatsService.summarize('invoice', req, {
+   *     measures: ['count', 'sum:total'], groupBy: ['status'], interval: 'month',
+   *     dateField: 'due_date', from: '2026-04-01', to: '2026-07-01', compare: 'previous',
+   *   });
+   *   // rows: [{ bucket: '2026-04-01T00:00:00.000Z', status: 'paid', count: 4, sum_total: 1200 }, ...]
+   *   // change: { count: { delta: 3, percent: 12.5 }, sum_total: { delta: -80, percent: -2.1 } }
+   */
+  static async summarize(entityName, req, options = {}) {
+    const metadata = this._getMetadata(entityName);
+    const plan = this._buildSummaryPlan(metadata, options, req.rlsContext?.role);
+    const filters = options.filters || {};
+
+    const current = await this._runSummary(plan, req.rlsContext, filters, plan.range);
+    const summary = {
+      measures: plan.measures.map((m) => m.key),
+      groupBy: plan.groupBy,
+      interval: plan.interval,
+      dateField: plan.dateField,
+      from: plan.range?.from?.toISOString() ?? null,
+      to: plan.range?.to?.toISOString() ?? null,
+      ...current,
+    };
+
+    if (!options.compare) {
+      return summary;
+    }
+
+    const { from, to } = plan.range;
+    const previousRange = { from: new Date(from.getTime() - (to - from)), to: from };
+    const previous = await this._runSummary(plan, req.rlsContext, filters, previousRange);
+
+    summary.previous = {
+      from: previousRange.from.toISOString(),
+      to: previousRange.to.toISOString(),
+      ...previous,
+    };
+    summary.change = Object.fromEntries(
+      summary.measures.map((key) => [key, this._change(current.totals[key], previous.totals[key])]),
+    );
+    return summary;
+  }
+
+  /**
+   * Validate summary options against the entity's summary config
+   * @private
+   */
+  static _buildSummaryPlan(metadata, options, role) {
+    const invalid = (message) => new AppError(message, 400, ERROR_CODES.VALIDATION_FAILED);
+
+    const config = getFeatures(metadata).summary;
+    if (!config) {
+      throw invalid(`Summaries are not available for ${metadata.entityKey}`);
+    }
+
+    const { tableName } = metadata;
+    const fields = metadata.fields || {};
+    const readable = role ? new Set(getFieldsForOperation(metadata, role, 'read')) : null;
+    const allows = (list, field) => list.includes(field) && (!readable || readable.has(field));
+
+    const summableFields = config.summableFields || [];
+    const dateFields =
+      config.dateFields ||
+      Object.keys(fields).filter((name) => DATE_FIELD_TYPES.includes(fields[name].type));
+
+    // Measures: count, or fn:field over a summable field
+    const measures = [];
+    for (const measure of options.measures?.length ? options.measures : ['count']) {
+      const [fn, field] = measure.split(':');
+      if (fn === 'count' && !field) {
+        measures.push({ key: 'count', sql: 'COUNT(*)::int' });
+        continue;
+      }
+      if (fn === 'count' || !SUMMARIES.MEASURES.includes(fn) || !field) {
+        throw invalid(
+          `Unknown measure '${measure}' - use count or ${SUMMARIES.MEASURES.slice(1).join('|')}:field`,
+        );
+      }
+      if (!allows(summableFields, field)) {
+        throw invalid(`Cannot ${fn} '${field}' - not a summable field`);
+      }
+      const column = `${tableName}.${sanitizeIdentifier(field, 'field')}`;
+      measures.push({
+        key: `${fn}_${field}`,
+        sql: fn === 'sum' ? `COALESCE(SUM(${column}), 0)` : `${fn.toUpperCase()}(${column})`,
+      });
+    }
+
+    // Group-by fields
+    const groupBy = [...new Set(options.groupBy || [])];
+    if (groupBy.length > SUMMARIES.MAX_GROUP_BY) {
+      throw invalid(`Cannot group by more than ${SUMMARIES.MAX_GROUP_BY} fields`);
+    }
+    for (const field of groupBy) {
+      if (!allows(config.groupableFields || [], field)) {
+        throw invalid(`Cannot group by '${field}' - not a groupable field`);
+      }
+    }
+
+    // Time bucketing and range
+    const { interval = null, from, to, compare } = options;
+    if (interval && !SUMMARIES.INTERVALS.includes(interval)) {
+      throw invalid(`Unknown interval '${interval}' - use ${SUMMARIES.INTERVALS.join(', ')}`);
+    }
+    if (compare && compare !== 'previous') {
+      throw invalid(`Unknown comparison '${compare}' - use previous`);
+    }
+    if (compare && !(from && to)) {
+      throw invalid('Comparing to the previous period needs both from and to');
+    }
+
+    let dateField = null;
+    let range = null;
+    if (interval || from || to) {
+      dateField = options.dateField || 'created_at';
+      if (!allows(dateFields, dateField)) {
+        throw invalid(`Cannot bucket or range by '${dateField}' - not a date field`);
+      }
+    }
+    if (from || to) {
+      range = { from: this._parseDate(from, 'from'), to: this._parseDate(to, 'to') };
+      if (range.from && range.to && range.from >= range.to) {
+        throw invalid("'from' must be before 'to'");
+      }
+    }
+
+    return {
+      metadata,
+      tableName: sanitizeIdentifier(tableName, 'table'),
+      measures: [...new Map(measures.map((m) => [m.key, m])).values()],
+      groupBy,
+      interval,
+      dateField,
+      range,
+    };
+  }
+
+  /**
+   * Parse an optional ISO 8601 bound
+   * @private
+   */
+  static _parseDate(value, name) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(`'${name}' must be an ISO 8601 date`, 400, ERROR_CODES.VALIDATION_FAILED);
+    }
+    return date;
+  }
+
+  /**
+   * Run the grouped and total aggregations for one period
+   * @private
+   */
+  static async _runSummary(plan, rlsContext, filters, range) {
+    const { metadata, tableName, measures, groupBy, interval, dateField } = plan;
+    const filterableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.FILTERABLE);
+
+    // Build RLS filter - ADR-011: include operation for rule matching
+    const rlsResult = buildRLSFilter(rlsContext, metadata, 'read', 1, allMetadata);
+    const filterResult = QueryBuilderService.buildFilterClause(
+      filters,
+      filterableFields,
+      rlsResult.params.length,
+      tableName,
+    );
+
+    const whereClauses = [rlsResult.clause, filterResult.clause].filter(Boolean);
+    const params = [...rlsResult.params, ...filterResult.params];
+
+    if (range?.from) {
+      params.push(range.from);
+      whereClauses.push(`${tableName}.${dateField} >= $${params.length}`);
+    }
+    if (range?.to) {
+      params.push(range.to);
+      whereClauses.push(`${tableName}.${dateField} < $${params.length}`);
+    }
+
+    const whereSQL =
+      whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const measureSQL = measures.map((m) => `${m.sql} AS ${m.key}`).join(', ');
+
+    const dimensions = [
+      ...(interval ? [`date_trunc('${interval}', ${tableName}.${dateField}) AS bucket`] : []),
+      ...groupBy.map((field) => `${tableName}.${field} AS ${field}`),
+    ];
+
+    const totalsQuery = `SELECT ${measureSQL} FROM ${tableName} ${whereSQL}`;
+    const rowsQuery = dimensions.length > 0
+      ? `
+      SELECT ${dimensions.join(', ')}, ${measureSQL}
+      FROM ${tableName}
+      ${whereSQL}
+      GROUP BY ${dimensions.map((_, i) => i + 1).join(', ')}
+      ORDER BY ${interval ? 'bucket, ' : ''}${measures[0].key} DESC NULLS LAST
+      LIMIT ${SUMMARIES.MAX_ROWS + 1}
+    `
+      : null;
+
+    logger.debug('[StatsService.summarize]', {
+      entityName: metadata.entityKey,
+      totalsQuery,
+      rowsQuery,
+      params,
+    });
+
+    const [totalsResult, rowsResult] = await Promise.all([
+      db.query(totalsQuery, params),
+      rowsQuery ? db.query(rowsQuery, params) : null,
+    ]);
+
+    const toNumbers = (row) => {
+      const out = { ...row };
+      for (const { key } of measures) {
+        out[key] = row[key] === null ? null : Number(row[key]);
+      }
+      if (row.bucket instanceof Date) {
+        out.bucket = row.bucket.toISOString();
+      }
+      return out;
+    };
+
+    const totals = toNumbers(totalsResult.rows[0]);
+    const rows = rowsResult ? rowsResult.rows.map(toNumbers) : [totals];
+
+    return {
+      rows: rows.slice(0, SUMMARIES.MAX_ROWS),
+      totals,
+      truncated: rows.length > SUMMARIES.MAX_ROWS,
+    };
+  }
+
+  /**
+   * Change of one measure against the previous period
+   * @private
+   */
+  static _change(current, previous) {
+    if (current === null || previous === null) {
+      return { delta: null, percent: null };
+    }
+    const delta = current - previous;
+    return {
+      delta,
+      percent: previous === 0 ? null : Math.round((delta / Math.abs(previous)) * 1000) / 10,
+    };
+  }
 }
 
 module.exports = StatsService;
@@ -4,6 +4,7 @@ const { AuditActions, AuditResults } = require('./constants');
 const { toSafeUserId, toSafeInteger } = require('../../validators/type-coercion');
 const AppError = require('../../utils/app-error');
 const { ERROR_CODES } = require('../../config/error-codes');
+const { AUTH, TENANCY } = require('../../config/constants');
 
 /**
  * AuditService - Comprehensive audit logging for security and compliance
@@ -46,6 +47,10 @@ class AuditService {
    * @param {string} params.userAgent - Client user agent
    * @param {string} params.result - Result status (use AuditResults constants, defaults to SUCCESS)
    * @param {string} params.errorMessage - Error message if failed
+   * @param {string} [params.actorType='user'] - Who acted (AUTH.ACTOR_TYPES): a user or a service credential
+   * @param {number|null} [params.serviceCredentialId] - Acting service credential (actorType 'service'; userId is null)
+   * @param {number|null} [params.tenantId] - Tenant the event belongs to (ADR-014); when omitted it is the acting
+   *   user's or credential's tenant, else the original tenant
    * @param {Object} [params.client] - pg client to run the INSERT inside a caller's transaction; when present a failed audit THROWS so the Unit of Work rolls back (no committed change without its audit row)
    * @returns {Promise<void>}
    */
@@ -60,6 +65,9 @@ class AuditService {
     userAgent = null,
     result = AuditResults.SUCCESS,
     errorMessage = null,
+    actorType = AUTH.ACTOR_TYPES.USER,
+    serviceCredentialId = null,
+    tenantId = null,
     client = null,
   }) {
     try {
@@ -73,8 +81,12 @@ class AuditService {
       await (client || db).query(
         `INSERT INTO audit_logs 
          (user_id, action, resource_type, resource_id, old_values, new_values, 
-          ip_address, user_agent, result, error_message)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          ip_address, user_agent, result, error_message, actor_type, service_credential_id, tenant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+           COALESCE($13::integer,
+             (SELECT tenant_id FROM users WHERE id = $1),
+             (SELECT tenant_id FROM service_credentials WHERE id = $12),
+             ${TENANCY.DEFAULT_TENANT_ID}))`,
         [
           safeUserId, // Now guaranteed to be integer or null
           action,
@@ -86,6 +98,9 @@ class AuditService {
           userAgent,
           result,
           errorMessage,
+          actorType,
+          serviceCredentialId,
+          tenantId,
         ],
       );
 
@@ -143,10 +158,11 @@ class AuditService {
    * Get audit trail for a specific user
    * @param {number|string} userId - User ID (will be validated)
    * @param {number|string} limit - Maximum records to return (will be validated)
+   * @param {number|null} [tenantId=null] - Caller's tenant; limits the trail to its rows (ADR-014)
    * @returns {Promise<Array>}
    * @throws {Error} If userId or limit is invalid
    */
-  static async getUserAuditTrail(userId, limit = 100) {
+  static async getUserAuditTrail(userId, limit = 100, tenantId = null) {
     try {
       // TYPE SAFETY: Validate userId and limit before query
       const safeUserId = toSafeInteger(userId, 'userId', {
@@ -161,10 +177,10 @@ class AuditService {
 
       const result = await db.query(
         `SELECT * FROM audit_logs
-         WHERE user_id = $1
+         WHERE user_id = $1 AND ($3::integer IS NULL OR tenant_id = $3)
          ORDER BY created_at DESC
          LIMIT $2`,
-        [safeUserId, safeLimit],
+        [safeUserId, safeLimit, tenantId],
       );
 
       return result.rows;
@@ -209,12 +225,14 @@ class AuditService {
    * @param {number} options.limit - Maximum records to return (default 100, max 500)
    * @param {number} options.offset - Offset for pagination (default 0)
    * @param {string} options.actionFilter - Filter by action type ('data' or 'auth')
+   * @param {number|null} [options.tenantId] - Caller's tenant; limits the logs to its rows (ADR-014)
    * @returns {Promise<{logs: Array, total: number}>}
    */
   static async getAllRecentLogs({
     limit = 100,
     offset = 0,
     actionFilter = null,
+    tenantId = null,
   } = {}) {
     try {
       const safeLimit = Math.min(Math.max(1, parseInt(limit) || 100), 500);
@@ -252,6 +270,11 @@ class AuditService {
         );
       }
 
+      if (tenantId !== null && tenantId !== undefined) {
+        params.push(tenantId);
+        whereClause += `${whereClause ? ' AND' : 'WHERE'} tenant_id = $${params.length}`;
+      }
+
       // Get total count
       const countResult = await db.query(
         `SELECT COUNT(*) as total FROM audit_logs ${whereClause}`,
@@ -292,10 +315,11 @@ class AuditService {
    * @param {string} resourceType - Resource type (use ResourceTypes constants)
    * @param {number|string} resourceId - Resource ID (will be validated)
    * @param {number|string} limit - Maximum records to return (will be validated)
+   * @param {number|null} [tenantId=null] - Caller's tenant; limits the trail to its rows (ADR-014)
    * @returns {Promise<Array>}
    * @throws {Error} If resourceType is empty, resourceId is invalid, or limit is invalid
    */
-  static async getResourceAuditTrail(resourceType, resourceId, limit = 50) {
+  static async getResourceAuditTrail(resourceType, resourceId, limit = 50, tenantId = null) {
     try {
       // TYPE SAFETY: Validate inputs before query
       if (!resourceType || typeof resourceType !== 'string') {
@@ -317,10 +341,10 @@ class AuditService {
 
       const result = await db.query(
         `SELECT * FROM audit_logs
-         WHERE resource_type = $1 AND resource_id = $2
+         WHERE resource_type = $1 AND resource_id = $2 AND ($4::integer IS NULL OR tenant_id = $4)
          ORDER BY created_at DESC
          LIMIT $3`,
-        [resourceType, safeResourceId, safeLimit],
+        [resourceType, safeResourceId, safeLimit, tenantId],
       );
 
       return result.rows;
@@ -40,8 +40,12 @@ const AuditActions = {
   LOGOUT_ALL_DEVICES: 'logout_all_devices',
   ADMIN_REVOKE_SESSIONS: 'admin_revoke_sessions',
   TOKEN_REFRESH: 'token_refresh',
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+  SESSION_REVOKE: 'session_revoke',
   PASSWORD_RESET: 'password_reset',
   UNAUTHORIZED_ACCESS: 'unauthorized_access',
+  SERVICE_TOKEN_ISSUE: 'service_token_issue',
+  SERVICE_TOKEN_FAILED: 'service_token_failed',
 
   // ============================================================================
   // USER MANAGEMENT ACTIONS
@@ -24,6 +24,7 @@ const AppError = require('../../utils/app-error');
 const { ERROR_CODES } = require('../../config/error-codes');
 const { TEST_USERS } = require('../../config/test-users');
 const { useInMemoryUsers } = require('../../config/app-mode');
+const TenantService = require('./tenant-service');
 
 class AuthUserService {
   /**
@@ -36,14 +37,21 @@ class AuthUserService {
    * 2. If not found, tries to link by email (account linking)
    * 3. If still not found, creates new user
    *
+   * Tenancy (ADR-014): a sign-in through an Auth0 organization must match the
+   * user's tenant; linking and creation happen inside the resolved tenant
+   * (see TenantService.resolveTenantId).
+   *
    * @param {Object} auth0Data - Auth0 token payload
    * @param {string} auth0Data.sub - Auth0 user ID
    * @param {string} auth0Data.email - User email
    * @param {string} [auth0Data.given_name] - First name
    * @param {string} [auth0Data.family_name] - Last name
    * @param {string} [auth0Data.role] - Custom claim: user role
+   * @param {string} [auth0Data.org_id] - Auth0 organization the user signed in through
+   * @param {number} [auth0Data.tenant_id] - Tenant claim (app tokens)
    * @returns {Promise<Object>} User object with role
    * @throws {Error} If auth0Data is invalid
+   * @throws {AppError} 403 AUTH_TENANT_MISMATCH when the user belongs to another tenant
    *
    * @example
    *   const user = await AuthUserService.findOrCreateFromAuth0({
@@ -76,10 +84,15 @@ class AuthUserService {
           auth0Id: auth0Data.sub,
           userId: user.id,
         });
+        if (auth0Data.org_id) {
+          this._assertSameTenant(user, await TenantService.resolveTenantId(auth0Data));
+        }
         return user;
       }
 
-      // Step 2: Try account linking by email
+      const tenantId = await TenantService.resolveTenantId(auth0Data);
+
+      // Step 2: Try account linking by email (within the tenant only)
       if (auth0Data.email) {
         const existingUser = await GenericEntityService.findByField(
           'user',
@@ -88,6 +101,8 @@ class AuthUserService {
         );
 
         if (existingUser && existingUser.is_active) {
+          this._assertSameTenant(existingUser, tenantId);
+
           // Link accounts: update auth0_id on existing user
           logger.info('Linking Auth0 account to existing user', {
             auth0Id: auth0Data.sub,
@@ -96,8 +111,8 @@ class AuthUserService {
           });
 
           await db.query(
-            'UPDATE users SET auth0_id = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2',
-            [auth0Data.sub, auth0Data.email],
+            'UPDATE users SET auth0_id = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2 AND tenant_id = $3',
+            [auth0Data.sub, auth0Data.email, tenantId],
           );
 
           // Re-fetch to get updated user with JOINs
@@ -131,16 +146,21 @@ class AuthUserService {
         auth0Id: auth0Data.sub,
         email: auth0Data.email,
         roleName: mappedData.roleName,
+        tenantId,
       });
 
-      // Create user with role_id via GenericEntityService
-      await GenericEntityService.create('user', {
-        auth0_id: mappedData.auth0_id,
-        email: mappedData.email,
-        first_name: mappedData.first_name,
-        last_name: mappedData.last_name,
-        role_id: role.id,
-      });
+      // Create user with role_id via GenericEntityService (stamped with the tenant)
+      await GenericEntityService.create(
+        'user',
+        {
+          auth0_id: mappedData.auth0_id,
+          email: mappedData.email,
+          first_name: mappedData.first_name,
+          last_name: mappedData.last_name,
+          role_id: role.id,
+        },
+        { rlsContext: { tenantId } },
+      );
 
       // Re-fetch to get full user with JOINed role name
       user = await GenericEntityService.findByField(
@@ -160,6 +180,27 @@ class AuthUserService {
     }
   }
 
+  /**
+   * Refuse a sign-in whose tenant is not the user's tenant
+   * @private
+   * @param {Object} user - User row
+   * @param {number} tenantId - Tenant the sign-in resolved to
+   * @throws {AppError} 403 AUTH_TENANT_MISMATCH
+   */
+  static _assertSameTenant(user, tenantId) {
+    if (user.tenant_id !== tenantId) {
+      logger.warn('Sign-in refused: user belongs to another tenant', {
+        userId: user.id,
+        tenantId,
+      });
+      throw new AppError(
+        'User does not belong to this organization',
+        403,
+        ERROR_CODES.AUTH_TENANT_MISMATCH,
+      );
+    }
+  }
+
   // ===========================================================================
   // USER DATA METHODS (Merged from user-data.js)
   // ===========================================================================
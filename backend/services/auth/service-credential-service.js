@@ -0,0 +1,605 @@
+/**
+ * Service Credential Service
+ *
+ * SRP: Issue, rotate, revoke and verify credentials for machine clients
+ * (nightly BI jobs, sensor gateways) so they never borrow a human's token.
+ *
+ * CREDENTIALS:
+ * - client_id: public identifier ('svc_' + random hex)
+ * - secret: 256-bit random value, returned ONCE (issue/rotate); only its
+ *   SHA-256 hash is stored. A fast hash is enough for a full-entropy secret
+ *   (there is nothing to brute-force) and keeps per-request API key checks
+ *   cheap; refresh tokens keep bcrypt.
+ * - API key: "<client_id>.<secret>", sent as a Bearer token or X-API-Key
+ * - Client-credentials grant: POST /api/auth/token exchanges the pair for a
+ *   short-lived JWT (provider 'service') - see ServiceCredentialStrategy
+ *
+ * AUTHORIZATION:
+ * - tenant_id: the credential acts inside one tenant (ADR-014)
+ * - role_id: the credential acts with that role's permissions and RLS rules
+ * - scopes: optional allow-list { entity: [operations] } narrowing the role
+ * - ip_allowlist: optional addresses/CIDR ranges requests must come from
+ *
+ * ACTOR: toActor() builds the req.dbUser of a service request - no user id,
+ * actor_type 'service' and service_credential_id - so RLS rules keyed to a
+ * user or profile deny, and audit rows name the credential instead of a user.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const db = require('../../db/connection');
+const { logger } = require('../../config/logger');
+const allMetadata = require('../../config/models');
+const { AUTH, TENANCY } = require('../../config/constants');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const AppError = require('../../utils/app-error');
+const { ERROR_CODES } = require('../../config/error-codes');
+
+const CREDENTIALS = API_OPERATIONS.SERVICE_CREDENTIALS;
+
+// Everything but the secret hashes, with the role resolved
+const PUBLIC_COLUMNS = `
+  sc.id, sc.name, sc.description, sc.client_id, sc.tenant_id,
+  sc.role_id, r.name AS role, r.priority AS role_priority,
+  sc.scopes, sc.ip_allowlist, sc.expires_at, sc.revoked_at, sc.rotated_at,
+  sc.previous_secret_expires_at, sc.last_used_at, sc.last_used_ip,
+  sc.created_by, sc.created_at, sc.updated_at`;
+
+const FROM_CREDENTIALS = 'FROM service_credentials sc JOIN roles r ON r.id = sc.role_id';
+
+class ServiceCredentialService {
+  // ==========================================================================
+  // ADMINISTRATION
+  // ==========================================================================
+
+  /**
+   * Issue a new credential. The secret is returned once and never stored.
+   *
+   * @param {Object} data - Validated body (see validateServiceCredential)
+   * @param {string} data.name - Unique display name
+   * @param {string} data.role - Role name the credential acts as
+   * @param {number} [data.tenant_id] - Tenant the credential acts in (default: the issuer's)
+   * @param {string} [data.description]
+   * @param {Object} [data.scopes] - { entity: ['read', ...] } allow-list
+   * @param {string[]} [data.ip_allowlist] - Addresses / CIDR ranges
+   * @param {string|Date} [data.expires_at] - Optional expiry
+   * @param {Object} [context={}]
+   * @param {number} [context.userId] - Issuing admin
+   * @param {number} [context.tenantId] - Issuing admin's tenant
+   * @returns {Promise<{credential: Object, clientSecret: string}>}
+   * @throws {AppError} 400 on an unknown role/tenant/entity/operation or bad address, 409 on a duplicate name
+   */
+  static async issue(data, { userId = null, tenantId = TENANCY.DEFAULT_TENANT_ID } = {}) {
+    const { name, description = null, role, expires_at: expiresAt = null } = data;
+    const credentialTenantId = data.tenant_id ?? tenantId;
+    const scopes = this.validateScopes(data.scopes);
+    const ipAllowlist = this.validateIpAllowlist(data.ip_allowlist);
+    const roleId = await this._resolveRoleId(role);
+
+    const clientId = `${CREDENTIALS.CLIENT_ID_PREFIX}${crypto
+      .randomBytes(CREDENTIALS.CLIENT_ID_BYTES)
+      .toString('hex')}`;
+    const clientSecret = this._generateSecret();
+
+    let result;
+    try {
+      result = await db.query(
+        `INSERT INTO service_credentials
+           (name, description, client_id, secret_hash, role_id, scopes, ip_allowlist, expires_at, created_by, tenant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id`,
+        [
+          name,
+          description,
+          clientId,
+          this._hashSecret(clientSecret),
+          roleId,
+          scopes ? JSON.stringify(scopes) : null,
+          ipAllowlist,
+          expiresAt,
+          userId,
+          credentialTenantId,
+        ],
+      );
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new AppError(`Unknown tenant: ${credentialTenantId}`, 400, ERROR_CODES.VALIDATION_FAILED);
+      }
+      if (error.code === '23505') {
+        throw new AppError(
+          `A service credential named '${name}' already exists`,
+          409,
+          ERROR_CODES.RESOURCE_ALREADY_EXISTS,
+        );
+      }
+      throw error;
+    }
+
+    const credential = await this.findById(result.rows[0].id);
+    logger.info('Service credential issued', {
+      credentialId: credential.id,
+      clientId,
+      role,
+      tenantId: credentialTenantId,
+      issuedBy: userId,
+    });
+
+    return { credential, clientSecret };
+  }
+
+  /**
+   * Replace a credential's secret. The old secret keeps working for
+   * `graceMinutes` so the client can be redeployed without downtime.
+   *
+   * @param {number} id - Credential ID
+   * @param {Object} [options={}]
+   * @param {number} [options.graceMinutes] - Old secret lifetime (0 = revoke it now)
+   * @returns {Promise<{credential: Object, clientSecret: string}>}
+   * @throws {AppError} 400 on a bad grace period, 404 when missing or revoked
+   */
+  static async rotate(id, { graceMinutes = CREDENTIALS.ROTATION_GRACE_MINUTES } = {}) {
+    if (
+      !Number.isInteger(graceMinutes) ||
+      graceMinutes < 0 ||
+      graceMinutes > CREDENTIALS.MAX_ROTATION_GRACE_MINUTES
+    ) {
+      throw new AppError(
+        `Grace period must be between 0 and ${CREDENTIALS.MAX_ROTATION_GRACE_MINUTES} minutes`,
+        400,
+        ERROR_CODES.VALIDATION_FAILED,
+      );
+    }
+
+    const clientSecret = this._generateSecret();
+    const result = await db.query(
+      `UPDATE service_credentials
+       SET previous_secret_hash = CASE WHEN $2 > 0 THEN secret_hash END,
+           previous_secret_expires_at = CASE WHEN $2 > 0 THEN NOW() + make_interval(mins => $2) END,
+           secret_hash = $3,
+           rotated_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, graceMinutes, this._hashSecret(clientSecret)],
+    );
+
+    if (result.rowCount === 0) {
+      throw new AppError(
+        `Active service credential ${id} not found`,
+        404,
+        ERROR_CODES.RESOURCE_NOT_FOUND,
+      );
+    }
+
+    logger.info('Service credential rotated', { credentialId: id, graceMinutes });
+    return { credential: await this.findById(id), clientSecret };
+  }
+
+  /**
+   * Revoke a credential (and any rotated-out secret). Idempotent: revoking a
+   * revoked credential keeps its original revoked_at.
+   *
+   * @param {number} id - Credential ID
+   * @returns {Promise<Object>} The revoked credential
+   * @throws {AppError} 404 when missing
+   */
+  static async revoke(id) {
+    const result = await db.query(
+      `UPDATE service_credentials
+       SET revoked_at = COALESCE(revoked_at, NOW()),
+           previous_secret_hash = NULL,
+           previous_secret_expires_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING id`,
+      [id],
+    );
+
+    if (result.rowCount === 0) {
+      throw new AppError(`Service credential ${id} not found`, 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+
+    logger.info('Service credential revoked', { credentialId: id });
+    return this.findById(id);
+  }
+
+  /**
+   * List credentials, newest first (never includes secret hashes)
+   *
+   * @param {Object} [filters={}]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=50]
+   * @param {boolean} [filters.includeRevoked=false]
+   * @returns {Promise<{data: Object[], pagination: Object}>}
+   */
+  static async list(filters = {}) {
+    const { page = 1, limit = 50, includeRevoked = false } = filters;
+    const whereClause = includeRevoked ? '' : 'WHERE sc.revoked_at IS NULL';
+    const offset = (page - 1) * limit;
+
+    const [countResult, dataResult] = await Promise.all([
+      db.query(`SELECT COUNT(*) AS total FROM service_credentials sc ${whereClause}`),
+      db.query(
+        `SELECT ${PUBLIC_COLUMNS} ${FROM_CREDENTIALS} ${whereClause}
+         ORDER BY sc.created_at DESC, sc.id DESC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset],
+      ),
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get one credential (never includes secret hashes)
+   *
+   * @param {number} id - Credential ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const result = await db.query(`SELECT ${PUBLIC_COLUMNS} ${FROM_CREDENTIALS} WHERE sc.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  // ==========================================================================
+  // AUTHENTICATION
+  // ==========================================================================
+
+  /**
+   * Split an API key into client_id and secret
+   *
+   * @param {string} value - Bearer token or X-API-Key value
+   * @returns {{clientId: string, secret: string}|null} null when not an API key
+   */
+  static parseApiKey(value) {
+    if (typeof value !== 'string' || !value.startsWith(CREDENTIALS.CLIENT_ID_PREFIX)) {
+      return null;
+    }
+    const separator = value.indexOf('.');
+    if (separator <= CREDENTIALS.CLIENT_ID_PREFIX.length || separator === value.length - 1) {
+      return null;
+    }
+    return { clientId: value.slice(0, separator), secret: value.slice(separator + 1) };
+  }
+
+  /**
+   * Verify a client_id/secret pair (API key or client-credentials grant)
+   *
+   * @param {string} clientId - Public client_id
+   * @param {string} secret - Client secret
+   * @param {string} ip - Caller's address (checked against ip_allowlist)
+   * @returns {Promise<Object>} The credential (public columns)
+   * @throws {AppError} 401 on a wrong pair or a revoked/expired credential, 403 from a disallowed address
+   */
+  static async authenticate(clientId, secret, ip) {
+    const result = await db.query(
+      `SELECT ${PUBLIC_COLUMNS}, sc.secret_hash, sc.previous_secret_hash
+       ${FROM_CREDENTIALS}
+       WHERE sc.client_id = $1`,
+      [clientId],
+    );
+    const row = result.rows[0];
+
+    const inGrace =
+      row?.previous_secret_expires_at && new Date(row.previous_secret_expires_at) > new Date();
+    const matches =
+      row &&
+      (this._secretMatches(secret, row.secret_hash) ||
+        (inGrace && this._secretMatches(secret, row.previous_secret_hash)));
+
+    if (!matches) {
+      throw new AppError('Invalid service credentials', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
+    }
+
+    const { secret_hash: _secretHash, previous_secret_hash: _previousHash, ...credential } = row;
+    return this._assertUsable(credential, ip);
+  }
+
+  /**
+   * Re-check the credential behind a client-credentials access token, so
+   * revocation and the IP allow-list apply before the token expires
+   *
+   * @param {number} credentialId - credential_id claim
+   * @param {string} ip - Caller's address
+   * @returns {Promise<Object>} The credential (public columns)
+   * @throws {AppError} 401 when missing/revoked/expired, 403 from a disallowed address
+   */
+  static async resolve(credentialId, ip) {
+    const credential = await this.findById(credentialId);
+    if (!credential) {
+      throw new AppError('Invalid service credentials', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
+    }
+    return this._assertUsable(credential, ip);
+  }
+
+  /**
+   * Record last use (best-effort; at most once per LAST_USED_THROTTLE_MS)
+   *
+   * @param {Object} credential - Credential from authenticate/resolve
+   * @param {string} ip - Caller's address
+   * @returns {Promise<void>}
+   */
+  static async recordUse(credential, ip) {
+    const lastUsed = credential.last_used_at ? new Date(credential.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < CREDENTIALS.LAST_USED_THROTTLE_MS) {
+      return;
+    }
+
+    try {
+      await db.query(
+        'UPDATE service_credentials SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1',
+        [credential.id, ip],
+      );
+    } catch (error) {
+      logger.warn('Failed to record service credential use', {
+        credentialId: credential.id,
+        error: error.message,
+      });
+    }
+  }
+
+  // ==========================================================================
+  // AUTHORIZATION
+  // ==========================================================================
+
+  /**
+   * Whether a credential's allow-list covers an entity operation.
+   * No scopes = everything the credential's role may do.
+   *
+   * @param {Object} credential - Credential with scopes
+   * @param {string} entityName - Entity key (e.g., 'work_order')
+   * @param {string} operation - create | read | update | delete
+   * @returns {boolean}
+   */
+  static isAllowed(credential, entityName, operation) {
+    if (!credential.scopes) {
+      return true;
+    }
+    const operations = Object.hasOwn(credential.scopes, entityName)
+      ? credential.scopes[entityName]
+      : [];
+    return operations.includes(operation);
+  }
+
+  /**
+   * Whether a credential's allow-list covers an operation on a permission
+   * resource (rlsResource). Resources no entity uses are outside any scopes.
+   *
+   * @param {Object} credential - Credential with scopes
+   * @param {string} resource - Permission resource (e.g., 'work_orders')
+   * @param {string} operation - create | read | update | delete
+   * @returns {boolean}
+   */
+  static isResourceAllowed(credential, resource, operation) {
+    if (!credential.scopes) {
+      return true;
+    }
+    return Object.entries(allMetadata).some(
+      ([entityName, metadata]) =>
+        metadata.rlsResource === resource && this.isAllowed(credential, entityName, operation),
+    );
+  }
+
+  /**
+   * Build the req.dbUser of a service request
+   *
+   * @param {Object} credential - Credential from authenticate/resolve
+   * @returns {Object} Actor with the credential's role and no user id
+   */
+  static toActor(credential) {
+    return {
+      id: null,
+      actor_type: AUTH.ACTOR_TYPES.SERVICE,
+      service_credential_id: credential.id,
+      client_id: credential.client_id,
+      name: credential.name,
+      email: null,
+      role: credential.role,
+      role_priority: credential.role_priority,
+      tenant_id: credential.tenant_id,
+      is_active: true,
+    };
+  }
+
+  // ==========================================================================
+  // VALIDATION
+  // ==========================================================================
+
+  /**
+   * Normalize an entity/operation allow-list
+   *
+   * @param {Object|null|undefined} scopes - { entity: ['read', ...] }
+   * @returns {Object|null} De-duplicated scopes, or null for "no allow-list"
+   * @throws {AppError} 400 on an unknown entity or operation
+   */
+  static validateScopes(scopes) {
+    if (scopes === null || scopes === undefined) {
+      return null;
+    }
+
+    const entries = Object.entries(scopes);
+    if (entries.length === 0) {
+      throw new AppError(
+        'Scopes must name at least one entity (omit them to allow the whole role)',
+        400,
+        ERROR_CODES.VALIDATION_FAILED,
+      );
+    }
+
+    const normalized = {};
+    for (const [entityName, operations] of entries) {
+      if (!Object.hasOwn(allMetadata, entityName)) {
+        throw new AppError(`Unknown entity in scopes: ${entityName}`, 400, ERROR_CODES.VALIDATION_FAILED);
+      }
+      const invalid = operations.filter((op) => !CREDENTIALS.OPERATIONS.includes(op));
+      if (operations.length === 0 || invalid.length > 0) {
+        throw new AppError(
+          `Scopes for ${entityName} must be some of: ${CREDENTIALS.OPERATIONS.join(', ')}`,
+          400,
+          ERROR_CODES.VALIDATION_FAILED,
+        );
+      }
+      normalized[entityName] = [...new Set(operations)];
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate an IP allow-list of addresses and CIDR ranges
+   *
+   * @param {string[]|null|undefined} entries - e.g. ['203.0.113.7', '10.0.0.0/8']
+   * @returns {string[]|null} The entries, or null for "any address"
+   * @throws {AppError} 400 on a malformed entry
+   */
+  static validateIpAllowlist(entries) {
+    if (entries === null || entries === undefined || entries.length === 0) {
+      return null;
+    }
+
+    for (const entry of entries) {
+      if (!this._parseAllowlistEntry(entry)) {
+        throw new AppError(
+          `Invalid IP allow-list entry: ${entry} (expected an address or CIDR range)`,
+          400,
+          ERROR_CODES.VALIDATION_FAILED,
+        );
+      }
+    }
+    return entries;
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Reject revoked/expired credentials and disallowed addresses
+   * @private
+   */
+  static _assertUsable(credential, ip) {
+    if (credential.revoked_at) {
+      throw new AppError('Service credential has been revoked', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
+    }
+    if (credential.expires_at && new Date(credential.expires_at) <= new Date()) {
+      throw new AppError('Service credential has expired', 401, ERROR_CODES.AUTH_TOKEN_EXPIRED);
+    }
+    if (!this._ipAllowed(credential.ip_allowlist, ip)) {
+      throw new AppError(
+        'Requests from this address are not allowed for this service credential',
+        403,
+        ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+      );
+    }
+    return credential;
+  }
+
+  /**
+   * Whether an address matches an allow-list (empty = any address)
+   * @private
+   */
+  static _ipAllowed(allowlist, ip) {
+    if (!allowlist || allowlist.length === 0) {
+      return true;
+    }
+
+    // Express reports IPv4 clients of a dual-stack socket as ::ffff:a.b.c.d
+    const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    const family = net.isIP(address);
+    if (!family) {
+      return false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const entry of allowlist) {
+      const parsed = this._parseAllowlistEntry(entry);
+      if (!parsed) {
+        continue;
+      }
+      if (parsed.prefix === null) {
+        blockList.addAddress(parsed.address, parsed.type);
+      } else {
+        blockList.addSubnet(parsed.address, parsed.prefix, parsed.type);
+      }
+    }
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Parse '203.0.113.7' or '10.0.0.0/8' (IPv4 or IPv6)
+   * @private
+   * @returns {{address: string, prefix: number|null, type: string}|null}
+   */
+  static _parseAllowlistEntry(entry) {
+    if (typeof entry !== 'string') {
+      return null;
+    }
+    const [address, prefixText, ...rest] = entry.trim().split('/');
+    const family = net.isIP(address);
+    if (!family || rest.length > 0) {
+      return null;
+    }
+
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (prefixText === undefined) {
+      return { address, prefix: null, type };
+    }
+
+    const prefix = Number(prefixText);
+    const maxPrefix = family === 6 ? 128 : 32;
+    if (!/^\d+$/.test(prefixText) || prefix > maxPrefix) {
+      return null;
+    }
+    return { address, prefix, type };
+  }
+
+  /**
+   * Look up an active role by name
+   * @private
+   */
+  static async _resolveRoleId(roleName) {
+    const result = await db.query('SELECT id FROM roles WHERE name = $1 AND is_active = true', [
+      roleName,
+    ]);
+    if (result.rows.length === 0) {
+      throw new AppError(`Unknown role: ${roleName}`, 400, ERROR_CODES.VALIDATION_FAILED);
+    }
+    return result.rows[0].id;
+  }
+
+  /** @private */
+  static _generateSecret() {
+    return crypto.randomBytes(CREDENTIALS.SECRET_BYTES).toString('base64url');
+  }
+
+  /** @private */
+  static _hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Constant-time comparison of a secret with a stored hash
+   * @private
+   */
+  static _secretMatches(secret, storedHash) {
+    if (!secret || !storedHash) {
+      return false;
+    }
+    const actual = Buffer.from(this._hashSecret(secret), 'hex');
+    const expected = Buffer.from(storedHash, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+}
+
+module.exports = ServiceCredentialService;
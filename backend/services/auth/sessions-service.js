@@ -5,7 +5,10 @@
  * Provides session listing and force-logout capabilities.
  *
  * DESIGN NOTES:
- * - Active session = refresh_token with is_active=true and expires_at > now
+ * - Session = refresh token family (one login, rotated on each refresh);
+ *   its live token is the row with is_active=true and expires_at > now
+ * - sessionId = id of that live row; loginTime = the family's first token
+ * - Revoke session = revoke the whole family (rotation cannot resurrect it)
  * - Force logout = set user status to 'suspended' + revoke all tokens
  * - Session info includes user name, role, login time, IP, user agent
  * - Static class (no instance state)
@@ -15,6 +18,13 @@ const db = require('../../db/connection');
 const { logger } = require('../../config/logger');
 const AppError = require('../../utils/app-error');
 const { ERROR_CODES } = require('../../config/error-codes');
+const { AUTH } = require('../../config/constants');
+
+const REVOKE_REASONS = AUTH.REFRESH_TOKEN_REVOKE_REASONS;
+
+// A session starts at its family's first token, not the latest rotation
+const LOGIN_TIME_SQL = `(SELECT MIN(f.created_at) FROM refresh_tokens f
+         WHERE f.family_id = rt.family_id) as login_time`;
 
 class SessionsService {
   /**
@@ -25,11 +35,13 @@ class SessionsService {
     const query = `
       SELECT 
         rt.id as session_id,
+        rt.family_id,
         rt.user_id,
-        rt.created_at as login_time,
-        rt.last_used_at,
+        ${LOGIN_TIME_SQL},
+        rt.created_at as last_used_at,
         rt.ip_address,
         rt.user_agent,
+        rt.device_name,
         rt.expires_at,
         u.email,
         u.first_name,
@@ -48,11 +60,13 @@ class SessionsService {
     const result = await db.query(query);
     return result.rows.map((row) => ({
       sessionId: row.session_id,
+      familyId: row.family_id,
       userId: row.user_id,
       loginTime: row.login_time,
       lastUsedAt: row.last_used_at,
       ipAddress: row.ip_address,
       userAgent: row.user_agent,
+      deviceName: row.device_name,
       expiresAt: row.expires_at,
       user: {
         email: row.email,
@@ -76,10 +90,12 @@ class SessionsService {
     const query = `
       SELECT 
         rt.id as session_id,
-        rt.created_at as login_time,
-        rt.last_used_at,
+        rt.family_id,
+        ${LOGIN_TIME_SQL},
+        rt.created_at as last_used_at,
         rt.ip_address,
         rt.user_agent,
+        rt.device_name,
         rt.expires_at
       FROM refresh_tokens rt
       WHERE rt.user_id = $1
@@ -92,10 +108,12 @@ class SessionsService {
     const result = await db.query(query, [userId]);
     return result.rows.map((row) => ({
       sessionId: row.session_id,
+      familyId: row.family_id,
       loginTime: row.login_time,
       lastUsedAt: row.last_used_at,
       ipAddress: row.ip_address,
       userAgent: row.user_agent,
+      deviceName: row.device_name,
       expiresAt: row.expires_at,
     }));
   }
@@ -148,13 +166,16 @@ class SessionsService {
       // Revoke all active refresh tokens for this user
       const revokeTokensQuery = `
         UPDATE refresh_tokens
-        SET is_active = false, revoked_at = NOW()
+        SET is_active = false, revoked_at = NOW(), revoked_reason = $2
         WHERE user_id = $1
           AND is_active = true
           AND revoked_at IS NULL
         RETURNING id
       `;
-      const revokeResult = await client.query(revokeTokensQuery, [userId]);
+      const revokeResult = await client.query(revokeTokensQuery, [
+        userId,
+        REVOKE_REASONS.FORCE_LOGOUT,
+      ]);
 
       await client.query('COMMIT');
 
@@ -194,21 +215,27 @@ class SessionsService {
 
   /**
    * Revoke a specific session (without suspending user)
-   * @param {number} sessionId - Session (refresh_token) ID to revoke
+   * Revokes the token's whole family, so the session cannot be refreshed.
+   * @param {number} sessionId - Session (live refresh_token) ID to revoke
    * @param {number} adminUserId - Admin performing the action
    * @returns {Promise<Object>} Result with revoke status
    */
   static async revokeSession(sessionId, adminUserId) {
     const query = `
       UPDATE refresh_tokens
-      SET is_active = false, revoked_at = NOW()
-      WHERE id = $1
-        AND is_active = true
+      SET is_active = false, revoked_at = NOW(), revoked_reason = $2
+      WHERE family_id = (
+          SELECT family_id FROM refresh_tokens
+          WHERE id = $1 AND is_active = true AND revoked_at IS NULL
+        )
         AND revoked_at IS NULL
       RETURNING id, user_id
     `;
 
-    const result = await db.query(query, [sessionId]);
+    const result = await db.query(query, [
+      sessionId,
+      REVOKE_REASONS.ADMIN_REVOKED,
+    ]);
 
     if (result.rowCount === 0) {
       throw new AppError(
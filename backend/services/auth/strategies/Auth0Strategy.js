@@ -263,6 +263,7 @@ class Auth0Strategy extends AuthStrategy {
         family_name: decoded.family_name,
         picture: decoded.picture,
         email_verified: decoded.email_verified,
+        org_id: decoded.org_id, // Auth0 Organization (ADR-014 tenant)
       };
 
       // Map and create/update user in local database
@@ -323,6 +324,7 @@ class Auth0Strategy extends AuthStrategy {
         role: localUser.role,
         provider: 'auth0',
         userId: localUser.id, // Database ID
+        tenant_id: localUser.tenant_id, // ADR-014: checked against the user on every request
       },
       AppConfig.jwt.secret, // Use centralized config for consistency with middleware
       { expiresIn: '24h' },
@@ -385,6 +387,9 @@ class Auth0Strategy extends AuthStrategy {
     const picture = toSafeString(userInfo.picture, 'auth0.picture', {
       allowNull: true,
     });
+    const org_id = toSafeString(userInfo.org_id, 'auth0.org_id', {
+      allowNull: true,
+    });
 
     // Safe name splitting with fallback
     let first_name = given_name;
@@ -405,6 +410,7 @@ class Auth0Strategy extends AuthStrategy {
       picture,
       email_verified: userInfo.email_verified === true, // Coerce to boolean
       provider: 'auth0',
+      org_id, // Auth0 Organization → tenant (TenantService.resolveTenantId)
     };
   }
 }
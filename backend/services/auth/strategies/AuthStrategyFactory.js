@@ -7,6 +7,7 @@
 const { logger } = require('../../../config/logger');
 const DevAuthStrategy = require('./DevAuthStrategy');
 const Auth0Strategy = require('./Auth0Strategy');
+const ServiceCredentialStrategy = require('./ServiceCredentialStrategy');
 
 /**
  * Authentication modes
@@ -25,6 +26,7 @@ class AuthStrategyFactory {
   static _currentStrategy = null;
   static _currentMode = null;
   static _initialized = false;
+  static _serviceStrategy = null;
 
   /**
    * Get authentication strategy based on AUTH_MODE environment variable
@@ -60,6 +62,21 @@ class AuthStrategyFactory {
     return this._currentStrategy;
   }
 
+  /**
+   * Get the machine-client strategy (service API keys / client credentials)
+   *
+   * Independent of AUTH_MODE: service credentials work alongside whichever
+   * user strategy is active.
+   *
+   * @returns {ServiceCredentialStrategy}
+   */
+  static getServiceStrategy() {
+    if (!this._serviceStrategy) {
+      this._serviceStrategy = new ServiceCredentialStrategy();
+    }
+    return this._serviceStrategy;
+  }
+
   /**
    * Create concrete strategy instance
    * @private
@@ -129,6 +146,7 @@ class AuthStrategyFactory {
     this._currentStrategy = null;
     this._currentMode = null;
     this._initialized = false;
+    this._serviceStrategy = null;
   }
 
   /**
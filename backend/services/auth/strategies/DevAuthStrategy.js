@@ -78,6 +78,7 @@ class DevAuthStrategy extends AuthStrategy {
           // PRIVATE CLAIMS (Application-specific)
           email: user.email,
           role: user.role,
+          tenant_id: user.tenant_id,
           provider: 'development',
           userId: null, // No database ID in dev mode
         },
@@ -0,0 +1,137 @@
+/**
+ * Service Credential Authentication Strategy
+ *
+ * Machine clients (BI jobs, sensor gateways) authenticate with a service
+ * credential instead of a user account. Implements AuthStrategy for:
+ * - Client-credentials grant: client_id + secret → short-lived JWT ('service' provider)
+ * - API keys: "<client_id>.<secret>" presented on every request
+ *
+ * Unlike the user strategies it is not selected by AUTH_MODE - it runs
+ * alongside whichever user strategy is active (see AuthStrategyFactory.getServiceStrategy).
+ * Every verification re-checks the credential, so revocation, expiry and the
+ * IP allow-list apply to issued access tokens immediately.
+ */
+const { signJwt, verifyJwt } = require('../../../utils/jwt-helper');
+const AuthStrategy = require('./AuthStrategy');
+const ServiceCredentialService = require('../service-credential-service');
+const AppError = require('../../../utils/app-error');
+const { ERROR_CODES } = require('../../../config/error-codes');
+const { AUTH } = require('../../../config/constants');
+const { API_OPERATIONS } = require('../../../config/api-operations');
+const { logger } = require('../../../config/logger');
+
+const CREDENTIALS = API_OPERATIONS.SERVICE_CREDENTIALS;
+
+class ServiceCredentialStrategy extends AuthStrategy {
+  /**
+   * Get JWT secret from AppConfig (fail-fast getter)
+   * @returns {string} JWT secret
+   */
+  get jwtSecret() {
+    return require('../../../config/app-config').jwt.secret;
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getProviderName() {
+    return AUTH.PROVIDERS.SERVICE;
+  }
+
+  /**
+   * Client-credentials grant: exchange client_id + secret for an access token
+   * @param {Object} credentials - {clientId, clientSecret, ip}
+   * @returns {Promise<{token: string, user: Object, expiresIn: number}>}
+   * @throws {AppError} 401 on bad credentials, 403 from a disallowed address
+   */
+  async authenticate({ clientId, clientSecret, ip } = {}) {
+    if (!clientId || !clientSecret) {
+      throw new AppError('client_id and client_secret are required', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
+    }
+
+    const credential = await ServiceCredentialService.authenticate(clientId, clientSecret, ip);
+    await ServiceCredentialService.recordUse(credential, ip);
+
+    const token = await signJwt(
+      {
+        // REGISTERED CLAIMS (RFC 7519 Standard)
+        iss: process.env.API_URL || 'https://api.tross.dev',
+        sub: `service:${credential.client_id}`,
+        aud: process.env.API_URL || 'https://api.tross.dev',
+
+        // PRIVATE CLAIMS (Application-specific)
+        provider: AUTH.PROVIDERS.SERVICE,
+        credential_id: credential.id,
+        role: credential.role,
+        tenant_id: credential.tenant_id,
+      },
+      this.jwtSecret,
+      { expiresIn: CREDENTIALS.ACCESS_TOKEN_EXPIRY },
+    );
+
+    logger.info('Service access token issued', {
+      credentialId: credential.id,
+      clientId: credential.client_id,
+    });
+
+    return {
+      token,
+      user: ServiceCredentialService.toActor(credential),
+      expiresIn: CREDENTIALS.ACCESS_TOKEN_EXPIRY_SECONDS,
+    };
+  }
+
+  /**
+   * Verify an API key or service access token
+   * @param {string} token - "<client_id>.<secret>" or service JWT
+   * @param {Object} [context={}]
+   * @param {string} [context.ip] - Caller's address (IP allow-list)
+   * @returns {Promise<Object>} The credential (public columns)
+   * @throws {AppError} 401 on an invalid/expired/revoked credential or a stale tenant claim, 403 from a disallowed address
+   */
+  async verifyToken(token, { ip } = {}) {
+    const apiKey = ServiceCredentialService.parseApiKey(token);
+
+    let credential;
+    if (apiKey) {
+      credential = await ServiceCredentialService.authenticate(apiKey.clientId, apiKey.secret, ip);
+    } else {
+      let decoded;
+      try {
+        decoded = await verifyJwt(token, this.jwtSecret);
+      } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+          throw new AppError('Token has expired', 401, ERROR_CODES.AUTH_TOKEN_EXPIRED);
+        }
+        throw new AppError('Invalid token', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
+      }
+
+      if (decoded.provider !== AUTH.PROVIDERS.SERVICE || !Number.isInteger(decoded.credential_id)) {
+        throw new AppError('Invalid token provider', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
+      }
+      credential = await ServiceCredentialService.resolve(decoded.credential_id, ip);
+      if (decoded.tenant_id !== undefined && decoded.tenant_id !== credential.tenant_id) {
+        throw new AppError('Token tenant does not match the credential', 401, ERROR_CODES.AUTH_TENANT_MISMATCH);
+      }
+    }
+
+    await ServiceCredentialService.recordUse(credential, ip);
+    return credential;
+  }
+
+  /**
+   * Get the actor for a credential
+   * @param {number} credentialId - Service credential ID
+   * @returns {Promise<Object>} Actor (see ServiceCredentialService.toActor)
+   */
+  async getUserProfile(credentialId) {
+    const credential = await ServiceCredentialService.findById(credentialId);
+    if (!credential) {
+      throw new AppError('Service credential not found', 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+    return ServiceCredentialService.toActor(credential);
+  }
+}
+
+module.exports = ServiceCredentialStrategy;
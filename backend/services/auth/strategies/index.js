@@ -12,6 +12,8 @@
  *   Set AUTH_MODE environment variable:
  *   - 'development' or 'dev' → DevAuthStrategy (local JWT with test users)
  *   - 'production' or 'auth0' → Auth0Strategy (OAuth2/OIDC)
+ *
+ *   Machine clients always use ServiceCredentialStrategy (getServiceStrategy)
  */
 
 const { AuthStrategyFactory, AUTH_MODES } = require('./AuthStrategyFactory');
@@ -104,6 +106,14 @@ class AuthService {
     return AuthStrategyFactory.isAuth0();
   }
 
+  /**
+   * Get the machine-client strategy (service API keys / client credentials)
+   * @returns {ServiceCredentialStrategy}
+   */
+  static getServiceStrategy() {
+    return AuthStrategyFactory.getServiceStrategy();
+  }
+
   /**
    * Get raw strategy instance (for advanced use cases)
    * @returns {AuthStrategy}
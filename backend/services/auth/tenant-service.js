@@ -0,0 +1,83 @@
+/**
+ * Tenant Service
+ *
+ * Resolves which tenant (hosted company) a sign-in belongs to (ADR-014).
+ *
+ * DESIGN NOTES:
+ * - A tenant is mapped to an Auth0 Organization by tenants.auth0_org_id;
+ *   a sign-in that names an organization lands in that tenant
+ * - A sign-in without an organization keeps the tenant claim of the app token
+ *   it presents, or falls back to the original tenant (TENANCY.DEFAULT_TENANT_ID)
+ * - Unknown or inactive organizations/tenants are refused, never defaulted
+ * - Static class (no instance state)
+ */
+
+const db = require('../../db/connection');
+const AppError = require('../../utils/app-error');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { TENANCY } = require('../../config/constants');
+
+class TenantService {
+  /**
+   * Find an active tenant by ID
+   * @param {number} tenantId - Tenant ID
+   * @returns {Promise<Object|null>} Tenant row or null
+   */
+  static async findById(tenantId) {
+    const result = await db.query(
+      'SELECT id, slug, name, auth0_org_id FROM tenants WHERE id = $1 AND is_active = true',
+      [tenantId],
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find an active tenant by its Auth0 Organization ID
+   * @param {string} orgId - Auth0 organization ID (org_... claim)
+   * @returns {Promise<Object|null>} Tenant row or null
+   */
+  static async findByAuth0OrgId(orgId) {
+    const result = await db.query(
+      'SELECT id, slug, name, auth0_org_id FROM tenants WHERE auth0_org_id = $1 AND is_active = true',
+      [orgId],
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Resolve the tenant ID for Auth0 sign-in data
+   *
+   * @param {Object} auth0Data - Auth0 profile or app token payload
+   * @param {string} [auth0Data.org_id] - Auth0 organization the user signed in through
+   * @param {number} [auth0Data.tenant_id] - Tenant claim of an app token
+   * @returns {Promise<number>} Tenant ID
+   * @throws {AppError} 403 when the organization or tenant is unknown or inactive
+   */
+  static async resolveTenantId(auth0Data) {
+    const orgId = auth0Data[TENANCY.AUTH0_ORG_CLAIM];
+    if (orgId) {
+      const tenant = await this.findByAuth0OrgId(orgId);
+      if (!tenant) {
+        throw new AppError(
+          'Organization is not registered with this deployment',
+          403,
+          ERROR_CODES.AUTH_TENANT_MISMATCH,
+        );
+      }
+      return tenant.id;
+    }
+
+    const claimed = auth0Data[TENANCY.CLAIM];
+    if (claimed === undefined || claimed === null || claimed === TENANCY.DEFAULT_TENANT_ID) {
+      return TENANCY.DEFAULT_TENANT_ID;
+    }
+
+    const tenant = await this.findById(claimed);
+    if (!tenant) {
+      throw new AppError('Tenant not found or inactive', 403, ERROR_CODES.AUTH_TENANT_MISMATCH);
+    }
+    return tenant.id;
+  }
+}
+
+module.exports = TenantService;
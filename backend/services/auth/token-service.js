@@ -2,21 +2,30 @@ const { signJwt, verifyJwt } = require('../../utils/jwt-helper');
 const { v4: uuidv4 } = require('../../utils/uuid'); // Use CommonJS wrapper for Jest compatibility
 const bcrypt = require('bcrypt');
 const db = require('../../db/connection');
+const { withTransaction } = require('../../db/helpers/transaction-helper');
 const { logger } = require('../../config/logger');
 const { toSafeInteger, toSafeUuid } = require('../../validators/type-coercion');
 const AppError = require('../../utils/app-error');
 const { ERROR_CODES } = require('../../config/error-codes');
 const AppConfig = require('../../config/app-config');
+const { AUTH } = require('../../config/constants');
+const { describeDevice } = require('../../utils/request-helpers');
 
 // SECURITY: JWT_SECRET accessed via AppConfig.jwt.secret getter
 // This getter FAILS FAST if secret is not configured (no fallbacks)
 // See app-config.js for implementation details
 const JWT_ACCESS_EXPIRY = '15m'; // 15 minutes
 const JWT_REFRESH_EXPIRY = '7d'; // 7 days
+const REVOKE_REASONS = AUTH.REFRESH_TOKEN_REVOKE_REASONS;
 
 /**
  * TokenService - Manages JWT token lifecycle with refresh token rotation
  * Implements secure two-token pattern: short-lived access + long-lived refresh
+ *
+ * SESSIONS: every login starts a token family (family_id = session id, carried
+ * in the access token's `sid` claim). Each refresh rotates to a new token in
+ * the same family and marks the old one 'rotated'. A rotated token presented
+ * again means it was copied - the whole family is revoked (reuse detection).
  */
 class TokenService {
   /**
@@ -26,6 +35,10 @@ class TokenService {
    * @param {string} userAgent - Client user agent
    * @param {string} provider - Auth provider (auth0 or development)
    * @param {string} auth0Id - Optional Auth0 ID (sub claim) - pass explicitly since user object may be filtered
+   * @param {Object} [options={}]
+   * @param {string} [options.familyId] - Session to continue (rotation); omitted = new login, new family
+   * @param {string} [options.parentTokenId] - Refresh token this pair replaces
+   * @param {Object} [options.client] - pg client for the INSERT (defaults to the pool)
    * @returns {Promise<{accessToken: string, refreshToken: string}>}
    */
   static async generateTokenPair(
@@ -34,6 +47,7 @@ class TokenService {
     userAgent = null,
     provider = 'auth0',
     auth0Id = null,
+    { familyId = uuidv4(), parentTokenId = null, client = db } = {},
   ) {
     try {
       // Generate short-lived access token (15 minutes)
@@ -47,7 +61,9 @@ class TokenService {
           userId: user.id, // Database ID for internal operations
           email: user.email,
           role: user.role,
+          tenant_id: user.tenant_id, // ADR-014: checked against the user on every request
           provider: provider, // Required by auth middleware
+          sid: familyId, // Session (token family) - lets clients spot their own session
           type: 'access',
         },
         AppConfig.jwt.secret,
@@ -60,6 +76,7 @@ class TokenService {
         {
           userId: user.id,
           tokenId: refreshTokenId,
+          provider: provider, // Carried across rotations
           type: 'refresh',
         },
         AppConfig.jwt.secret,
@@ -71,16 +88,28 @@ class TokenService {
 
       // Store refresh token in database
       const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-      await db.query(
+      await client.query(
         `INSERT INTO refresh_tokens 
-         (token_id, user_id, token_hash, expires_at, ip_address, user_agent)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [refreshTokenId, user.id, tokenHash, expiresAt, ipAddress, userAgent],
+         (token_id, user_id, token_hash, expires_at, ip_address, user_agent,
+          family_id, parent_token_id, device_name)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          refreshTokenId,
+          user.id,
+          tokenHash,
+          expiresAt,
+          ipAddress,
+          userAgent,
+          familyId,
+          parentTokenId,
+          describeDevice(userAgent),
+        ],
       );
 
       logger.info('Token pair generated', {
         userId: user.id,
         tokenId: refreshTokenId,
+        familyId,
         ipAddress,
       });
 
@@ -117,16 +146,15 @@ class TokenService {
         throw new AppError('Invalid token type', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
       }
 
-      // Check if token exists and is valid in database
+      // Look the token up regardless of state: a revoked token is only
+      // rejected once we know whether it is a replay of a rotated one.
       // Join with roles table via users.role_id FK (one role per user)
       const result = await db.query(
-        `SELECT rt.*, u.email, u.first_name, u.last_name, r.name as role 
+        `SELECT rt.*, u.email, u.first_name, u.last_name, u.tenant_id, r.name as role 
          FROM refresh_tokens rt
          JOIN users u ON rt.user_id = u.id
          LEFT JOIN roles r ON u.role_id = r.id
-         WHERE rt.token_id = $1 
-         AND rt.revoked_at IS NULL 
-         AND rt.expires_at > NOW()`,
+         WHERE rt.token_id = $1`,
         [decoded.tokenId],
       );
 
@@ -162,36 +190,68 @@ class TokenService {
         throw new AppError('Invalid refresh token', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
       }
 
-      // Update last used timestamp
-      await db.query(
-        `UPDATE refresh_tokens 
-         SET last_used_at = NOW()
-         WHERE token_id = $1`,
-        [decoded.tokenId],
-      );
+      if (storedToken.revoked_at) {
+        if (storedToken.revoked_reason === REVOKE_REASONS.ROTATED) {
+          await TokenService._handleReuse(storedToken, ipAddress);
+        }
+        logger.warn('Revoked refresh token used', {
+          tokenId: decoded.tokenId,
+          userId: decoded.userId,
+          reason: storedToken.revoked_reason,
+        });
+        throw new AppError('Invalid refresh token', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
+      }
 
-      // Generate new token pair (rotation strategy)
+      if (new Date(storedToken.expires_at) <= new Date()) {
+        throw new AppError('Invalid refresh token', 401, ERROR_CODES.AUTH_INVALID_TOKEN);
+      }
+
+      // Claim the token and store its successor in one transaction, so a
+      // failed INSERT cannot leave the session without a live token. The
+      // conditional UPDATE is atomic, so of two concurrent presentations
+      // exactly one wins; the other is treated as reuse (a legitimate client
+      // never sends the same refresh token twice).
       const user = {
         id: decoded.userId,
         email: storedToken.email,
         role: storedToken.role,
+        tenant_id: storedToken.tenant_id,
       };
 
       // Preserve the provider from the original token, default to auth0
       const provider = decoded.provider || 'auth0';
-      const newTokenPair = await TokenService.generateTokenPair(
-        user,
-        ipAddress,
-        userAgent,
-        provider,
-      );
+      const newTokenPair = await withTransaction(async (client) => {
+        const claim = await client.query(
+          `UPDATE refresh_tokens 
+           SET revoked_at = NOW(), is_active = false, revoked_reason = $2, last_used_at = NOW()
+           WHERE token_id = $1 AND revoked_at IS NULL`,
+          [decoded.tokenId, REVOKE_REASONS.ROTATED],
+        );
+
+        if (claim.rowCount === 0) {
+          return null;
+        }
+
+        // Generate new token pair in the same family (rotation strategy)
+        return TokenService.generateTokenPair(
+          user,
+          ipAddress,
+          userAgent,
+          provider,
+          null,
+          { familyId: storedToken.family_id, parentTokenId: decoded.tokenId, client },
+        );
+      });
 
-      // Revoke old refresh token
-      await TokenService.revokeToken(decoded.tokenId, 'rotated');
+      if (!newTokenPair) {
+        // Outside the transaction: the family revocation must persist
+        await TokenService._handleReuse(storedToken, ipAddress);
+      }
 
       logger.info('Access token refreshed', {
         userId: decoded.userId,
         oldTokenId: decoded.tokenId,
+        familyId: storedToken.family_id,
         ipAddress,
       });
 
@@ -211,22 +271,54 @@ class TokenService {
   }
 
   /**
-   * Revoke a refresh token
+   * Reuse detected: revoke the whole family and raise a distinct error
+   * @private
+   * @param {Object} storedToken - refresh_tokens row that was replayed
+   * @param {string} ipAddress - Address it was replayed from
+   * @throws {AppError} Always - 401 AUTH_TOKEN_REUSED
+   */
+  static async _handleReuse(storedToken, ipAddress) {
+    const revoked = await TokenService.revokeFamily(
+      storedToken.family_id,
+      REVOKE_REASONS.REUSE_DETECTED,
+    );
+
+    logger.warn('SECURITY: Refresh token reuse detected - session revoked', {
+      userId: storedToken.user_id,
+      tokenId: storedToken.token_id,
+      familyId: storedToken.family_id,
+      ipAddress,
+      tokensRevoked: revoked,
+    });
+
+    const error = new AppError(
+      'Refresh token reuse detected - session revoked',
+      401,
+      ERROR_CODES.AUTH_TOKEN_REUSED,
+    );
+    error.userId = storedToken.user_id;
+    error.sessionId = storedToken.family_id;
+    throw error;
+  }
+
+  /**
+   * Revoke a refresh token and the session (family) it belongs to
    * @param {string} tokenId - UUID of the token to revoke (will be validated)
-   * @param {string} reason - Reason for revocation (logout, security, rotated)
+   * @param {string} reason - Reason for revocation (see AUTH.REFRESH_TOKEN_REVOKE_REASONS)
    * @returns {Promise<boolean>}
    * @throws {Error} If tokenId is not a valid UUID
    */
-  static async revokeToken(tokenId, reason = 'logout') {
+  static async revokeToken(tokenId, reason = REVOKE_REASONS.LOGOUT) {
     try {
       // TYPE SAFETY: Validate UUID format before query
       const safeTokenId = toSafeUuid(tokenId, 'tokenId', { allowNull: false });
 
       const result = await db.query(
         `UPDATE refresh_tokens 
-         SET revoked_at = NOW()
-         WHERE token_id = $1 AND revoked_at IS NULL`,
-        [safeTokenId],
+         SET revoked_at = NOW(), is_active = false, revoked_reason = $2
+         WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_id = $1)
+         AND revoked_at IS NULL`,
+        [safeTokenId, reason],
       );
 
       const revoked = result.rowCount > 0;
@@ -242,6 +334,41 @@ class TokenService {
     }
   }
 
+  /**
+   * Revoke every live token in a session (token family)
+   * @param {string} familyId - Session ID (will be validated)
+   * @param {string} reason - Reason for revocation (see AUTH.REFRESH_TOKEN_REVOKE_REASONS)
+   * @param {number|string|null} [userId=null] - Only revoke if the session belongs to this user
+   * @returns {Promise<number>} - Number of tokens revoked (0 = no such live session)
+   * @throws {Error} If familyId is not a valid UUID
+   */
+  static async revokeFamily(familyId, reason, userId = null) {
+    try {
+      // TYPE SAFETY: Validate inputs before query
+      const safeFamilyId = toSafeUuid(familyId, 'familyId', { allowNull: false });
+      const safeUserId = toSafeInteger(userId, 'userId', { min: 1, allowNull: true });
+
+      const result = await db.query(
+        `UPDATE refresh_tokens 
+         SET revoked_at = NOW(), is_active = false, revoked_reason = $2
+         WHERE family_id = $1 AND revoked_at IS NULL
+         AND ($3::integer IS NULL OR user_id = $3)`,
+        [safeFamilyId, reason, safeUserId],
+      );
+
+      logger.info('Session revoked', {
+        familyId: safeFamilyId,
+        reason,
+        count: result.rowCount,
+      });
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error revoking session', { error: error.message, familyId });
+      throw error;
+    }
+  }
+
   /**
    * Revoke all refresh tokens for a user
    * @param {number|string} userId - User ID (will be validated)
@@ -249,7 +376,7 @@ class TokenService {
    * @returns {Promise<number>} - Number of tokens revoked
    * @throws {Error} If userId is invalid
    */
-  static async revokeAllUserTokens(userId, reason = 'logout_all') {
+  static async revokeAllUserTokens(userId, reason = REVOKE_REASONS.LOGOUT_ALL) {
     try {
       // TYPE SAFETY: Validate userId before query
       const safeUserId = toSafeInteger(userId, 'userId', {
@@ -259,9 +386,9 @@ class TokenService {
 
       const result = await db.query(
         `UPDATE refresh_tokens 
-         SET revoked_at = NOW()
+         SET revoked_at = NOW(), is_active = false, revoked_reason = $2
          WHERE user_id = $1 AND revoked_at IS NULL`,
-        [safeUserId],
+        [safeUserId, reason],
       );
 
       logger.info('All user tokens revoked', {
@@ -335,6 +462,43 @@ class TokenService {
     }
   }
 
+  /**
+   * Get a user's active sessions (one per token family)
+   * Rotation leaves exactly one live token per family, so the live token carries
+   * the session's latest device/IP; the family's first token marks the login.
+   * @param {number|string} userId - User ID (will be validated)
+   * @returns {Promise<Array>}
+   * @throws {Error} If userId is invalid
+   */
+  static async getUserSessions(userId) {
+    try {
+      // TYPE SAFETY: Validate userId before query
+      const safeUserId = toSafeInteger(userId, 'userId', {
+        min: 1,
+        allowNull: false,
+      });
+
+      const result = await db.query(
+        `SELECT rt.family_id, rt.created_at AS last_active_at, rt.expires_at,
+                rt.ip_address, rt.user_agent, rt.device_name,
+                (SELECT MIN(f.created_at) FROM refresh_tokens f
+                 WHERE f.family_id = rt.family_id) AS started_at
+         FROM refresh_tokens rt
+         WHERE rt.user_id = $1 AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+         ORDER BY rt.created_at DESC`,
+        [safeUserId],
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching user sessions', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
   // ===========================================================================
   // HEALTH CHECK METHODS (Standard Service Pattern)
   // ===========================================================================
@@ -1,33 +1,58 @@
 /**
- * Export Service - CSV Generation for Entity Data
+ * Export Service - File Exports of Entity Data
  *
- * SRP: ONLY handles generating CSV exports from entity queries
+ * SRP: ONLY handles generating exports (CSV, XLSX, JSON, NDJSON) from entity queries
  *
  * FEATURES:
  * - Full query results (no pagination limits)
  * - Respects filters, search, sort
  * - RLS-aware (user only sees what they're allowed to)
- * - Streaming support for large datasets
+ * - Field-level read access: columns the user cannot read are left out
+ * - Enum values exported as their metadata labels
  * - Configurable column selection
  *
  * ARCHITECTURE:
- * - Reuses GenericEntityService query building patterns
- * - Returns stream for memory efficiency
- * - Extensible for future formats (Excel, JSON, etc.)
+ * - buildExportPlan() turns a request into columns + SQL (same query
+ *   building as GenericEntityService, without pagination)
+ * - exportRows() runs it in one query (small results, buffered)
+ * - streamExport() reads it through a Postgres cursor in batches and writes
+ *   each batch to a writable stream, waiting for it to drain
+ * - exportToStorage() streams to a temp file, uploads it and notifies the
+ *   user with a signed link (run by the 'export.generate' job for results
+ *   over API_OPERATIONS.EXPORT.ASYNC_ROW_THRESHOLD)
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { finished } = require('stream/promises');
 const allMetadata = require('../../config/models');
 const {
   getFieldsWithTrait,
   FIELD_TRAIT,
 } = require('../../config/metadata-accessors');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { executeAction } = require('../../config/action-handlers');
 const { logger } = require('../../config/logger');
 const db = require('../../db/connection');
 const QueryBuilderService = require('../entity/query-builder-service');
+const { storageService } = require('../storage/storage-service');
 const { buildRLSFilter } = require('../../db/helpers/rls');
+const { getFieldsForOperation } = require('../../utils/field-access-controller');
+const { XlsxWriter } = require('../../utils/xlsx-writer');
 const AppError = require('../../utils/app-error');
 const { ERROR_CODES } = require('../../config/error-codes');
 
+const { EXPORT } = API_OPERATIONS;
+
+const SENSITIVE_FIELDS = new Set([
+  'auth0_id',
+  'refresh_token',
+  'api_key',
+  'password',
+]);
+
 /**
  * Escape a value for CSV format
  * - Wraps in quotes if contains comma, quote, or newline
@@ -55,28 +80,94 @@ function escapeCSVValue(value) {
 }
 
 /**
- * Convert array of objects to CSV string
+ * Create the serializer of an export format.
+ *
+ * Each method returns the next piece of the file (string or Buffer);
+ * rows() takes cell values in column order.
+ *
+ * @param {string} format - Key of API_OPERATIONS.EXPORT.FORMATS
+ * @param {Array<{field: string, label: string}>} columns - Exported columns
+ * @param {string} entityName - Entity key (XLSX sheet name)
+ * @returns {{ begin: Function, rows: Function, end: Function }}
  */
-function convertToCSV(rows, columns) {
-  if (!rows || rows.length === 0) {
-    // Return headers only
-    return columns.map((col) => escapeCSVValue(col.label)).join(',') + '\n';
+function createFormatWriter(format, columns, entityName) {
+  const toObject = (values) =>
+    Object.fromEntries(columns.map((col, index) => [col.field, values[index] ?? null]));
+
+  switch (format) {
+    case 'xlsx': {
+      const writer = new XlsxWriter({ sheetName: entityName });
+      return {
+        begin: () => writer.begin(columns.map((col) => col.label)),
+        rows: (rows) => writer.rows(rows),
+        end: () => writer.end(),
+      };
+    }
+    case 'json': {
+      let first = true;
+      return {
+        begin: () => '[',
+        rows: (rows) =>
+          rows.map((values) => {
+            const separator = first ? '\n' : ',\n';
+            first = false;
+            return separator + JSON.stringify(toObject(values));
+          }).join(''),
+        end: () => (first ? ']\n' : '\n]\n'),
+      };
+    }
+    case 'ndjson':
+      return {
+        begin: () => '',
+        rows: (rows) => rows.map((values) => `${JSON.stringify(toObject(values))}\n`).join(''),
+        end: () => '',
+      };
+    default:
+      return {
+        begin: () => `${columns.map((col) => escapeCSVValue(col.label)).join(',')}\n`,
+        rows: (rows) =>
+          rows.map((values) => `${values.map(escapeCSVValue).join(',')}\n`).join(''),
+        end: () => '',
+      };
   }
+}
 
-  // Header row
-  const header = columns.map((col) => escapeCSVValue(col.label)).join(',');
-
-  // Data rows
-  const dataRows = rows.map((row) => {
-    return columns
-      .map((col) => {
-        const value = row[col.field];
-        return escapeCSVValue(value);
-      })
-      .join(',');
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full.
+ *
+ * @param {import('stream').Writable} output - Destination
+ * @param {string|Buffer} chunk - Data
+ * @returns {Promise<void>}
+ */
+function writeChunk(output, chunk) {
+  if (output.destroyed) {
+    return Promise.reject(new Error('Export destination closed'));
+  }
+  if (chunk.length === 0 || output.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Export destination closed'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
   });
-
-  return [header, ...dataRows].join('\n') + '\n';
 }
 
 class ExportService {
@@ -87,13 +178,43 @@ class ExportService {
    * @param {Object} options - Query options (search, filters, sort)
    * @param {Object} [rlsContext] - RLS context from middleware
    * @param {string[]} [selectedFields] - Specific fields to export (null = all exportable)
-   * @returns {Promise<{csv: string, filename: string, count: number}>}
+   * @returns {Promise<{csv: string, filename: string, count: number, columns: string[]}>}
    */
   static async exportToCSV(
     entityName,
     options = {},
     rlsContext = null,
     selectedFields = null,
+  ) {
+    const plan = this.buildExportPlan(entityName, options, rlsContext, selectedFields);
+    const { body, count } = await this.exportRows(plan, 'csv');
+
+    return {
+      csv: body.toString('utf8'),
+      filename: this.getFilename(entityName, 'csv'),
+      count,
+      columns: plan.columns.map((c) => c.label),
+    };
+  }
+
+  /**
+   * Resolve the columns and the query of an export
+   *
+   * Columns: selectedFields > metadata.exportableFields > all non-sensitive
+   * fields, limited to the fields rlsContext.role may read.
+   *
+   * @param {string} entityName - Entity name
+   * @param {Object} [options={}] - Query options (search, filters, sortBy, sortOrder, includeInactive)
+   * @param {Object} [rlsContext] - RLS context from middleware
+   * @param {string[]} [selectedFields] - Specific fields to export (null = all exportable)
+   * @returns {{ entityName: string, columns: Object[], sql: string, params: Array, countSql: string }}
+   * @throws {AppError} 404 for an unknown entity, 400 when no column is left
+   */
+  static buildExportPlan(
+    entityName,
+    options = {},
+    rlsContext = null,
+    selectedFields = null,
   ) {
     const metadata = allMetadata[entityName];
 
@@ -104,67 +225,15 @@ class ExportService {
     const {
       tableName,
       defaultSort = { field: 'id', order: 'ASC' },
-      exportableFields = null, // Explicit export list, or derive from fields
-      fields = {},
     } = metadata;
 
     const searchableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.SEARCHABLE);
     const filterableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.FILTERABLE);
     const sortableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.SORTABLE);
 
-    // Normalize fields to array format: { fieldName: {...} } → [{ name, label, ... }]
-    const fieldsArray = Array.isArray(fields)
-      ? fields
-      : Object.entries(fields).map(([name, def]) => ({
-        name,
-        label: this._formatLabel(name),
-        ...def,
-      }));
-
-    // Determine which fields to export
-    // Priority: selectedFields param > metadata.exportableFields > all non-sensitive fields
-    let columnsToExport;
-    const sensitiveFields = new Set([
-      'auth0_id',
-      'refresh_token',
-      'api_key',
-      'password',
-    ]);
-
-    if (selectedFields && selectedFields.length > 0) {
-      // User-specified fields
-      columnsToExport = selectedFields
-        .map((fieldName) => {
-          const fieldDef = fieldsArray.find((f) => f.name === fieldName);
-          return fieldDef
-            ? {
-              field: fieldName,
-              label: fieldDef.label || this._formatLabel(fieldName),
-            }
-            : null;
-        })
-        .filter(Boolean);
-    } else if (exportableFields && exportableFields.length > 0) {
-      // Metadata-defined exportable fields
-      columnsToExport = exportableFields
-        .map((fieldName) => {
-          const fieldDef = fieldsArray.find((f) => f.name === fieldName);
-          return fieldDef
-            ? {
-              field: fieldName,
-              label: fieldDef.label || this._formatLabel(fieldName),
-            }
-            : null;
-        })
-        .filter(Boolean);
-    } else {
-      // Default: all fields except sensitive ones
-      columnsToExport = fieldsArray
-        .filter((f) => !sensitiveFields.has(f.name) && !f.sensitive)
-        .map((f) => ({ field: f.name, label: f.label || f.name }));
-    }
+    const columns = this._resolveColumns(entityName, selectedFields, rlsContext?.role);
 
-    if (columnsToExport.length === 0) {
+    if (columns.length === 0) {
       throw new AppError(
         `No exportable fields found for entity: ${entityName}`,
         400,
@@ -204,7 +273,7 @@ class ExportService {
 
     // Apply RLS filter - ADR-011: include operation for rule matching
     if (rlsContext) {
-      const rlsFilter = buildRLSFilter(rlsContext, metadata, 'read', params.length);
+      const rlsFilter = buildRLSFilter(rlsContext, metadata, 'read', params.length + 1, allMetadata);
 
       if (rlsFilter.clause) {
         whereClauses.push(rlsFilter.clause);
@@ -230,67 +299,233 @@ class ExportService {
     );
 
     // Select only the fields we're exporting
-    const selectFields = columnsToExport
+    const selectFields = columns
       .map((c) => `${tableName}.${c.field}`)
       .join(', ');
 
     // Query without LIMIT - get all matching records
-    const query = `
+    const sql = `
       SELECT ${selectFields}
       FROM ${tableName}
       ${whereClause}
       ORDER BY ${sortClause}
     `;
 
+    const countSql = `SELECT COUNT(*)::int AS total FROM ${tableName} ${whereClause}`;
+
+    return { entityName, columns, sql, params, countSql };
+  }
+
+  /**
+   * Count the rows an export plan would produce
+   *
+   * @param {Object} plan - From buildExportPlan
+   * @returns {Promise<number>}
+   */
+  static async countRows(plan) {
+    const result = await db.query(plan.countSql, plan.params);
+    return result.rows[0]?.total ?? 0;
+  }
+
+  /**
+   * Run an export plan in one query and serialize the whole result
+   *
+   * @param {Object} plan - From buildExportPlan
+   * @param {string} format - Key of API_OPERATIONS.EXPORT.FORMATS
+   * @returns {Promise<{body: Buffer, count: number}>}
+   */
+  static async exportRows(plan, format) {
     logger.info('[ExportService] Executing export query', {
-      entity: entityName,
-      columns: columnsToExport.length,
-      whereClause: whereClause || '(none)',
+      entity: plan.entityName,
+      format,
+      columns: plan.columns.length,
     });
 
-    const result = await db.query(query, params);
-
-    // Generate CSV
-    const csv = convertToCSV(result.rows, columnsToExport);
+    const result = await db.query(plan.sql, plan.params);
 
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-    const filename = `${entityName}_export_${timestamp}.csv`;
+    const writer = createFormatWriter(format, plan.columns, plan.entityName);
+    const values = result.rows.map((row) => this._toValues(row, plan.columns));
+    const body = Buffer.concat(
+      [writer.begin(), writer.rows(values), writer.end()].map((chunk) => Buffer.from(chunk)),
+    );
 
     logger.info('[ExportService] Export complete', {
-      entity: entityName,
+      entity: plan.entityName,
+      format,
       rowCount: result.rows.length,
-      filename,
     });
 
-    return {
-      csv,
-      filename,
-      count: result.rows.length,
-      columns: columnsToExport.map((c) => c.label),
-    };
+    return { body, count: result.rows.length };
+  }
+
+  /**
+   * Stream an export plan through a Postgres cursor
+   *
+   * Rows are fetched CURSOR_BATCH_SIZE at a time inside a read-only
+   * transaction; the next batch is only fetched once `output` has accepted
+   * the previous one. `output` is not ended.
+   *
+   * @param {Object} plan - From buildExportPlan
+   * @param {string} format - Key of API_OPERATIONS.EXPORT.FORMATS
+   * @param {import('stream').Writable} output - Destination (HTTP response, file)
+   * @returns {Promise<number>} Rows written
+   */
+  static async streamExport(plan, format, output) {
+    const writer = createFormatWriter(format, plan.columns, plan.entityName);
+    const client = await db.getClient();
+    let count = 0;
+
+    try {
+      await client.query('BEGIN READ ONLY');
+      await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${plan.sql}`, plan.params);
+
+      await writeChunk(output, writer.begin());
+
+      for (;;) {
+        const { rows } = await client.query(`FETCH ${EXPORT.CURSOR_BATCH_SIZE} FROM export_cursor`);
+        if (rows.length === 0) {
+          break;
+        }
+        count += rows.length;
+        await writeChunk(output, writer.rows(rows.map((row) => this._toValues(row, plan.columns))));
+      }
+
+      await writeChunk(output, writer.end());
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('[ExportService] Streamed export complete', {
+      entity: plan.entityName,
+      format,
+      rowCount: count,
+    });
+
+    return count;
+  }
+
+  /**
+   * Generate an export file in storage and notify the requesting user
+   *
+   * Runs as the 'export.generate' job. The file is streamed to a temp file
+   * (removed afterwards) and uploaded to <keyPrefix>/<jobId>/<filename>; the
+   * notification carries a signed link valid for DOWNLOAD_URL_EXPIRY_SECONDS.
+   * Scheduled reports reuse it without a userId and send their own notification.
+   *
+   * @param {Object} request - Job payload
+   * @param {string} request.entity - Entity name
+   * @param {string} [request.format='csv'] - Key of API_OPERATIONS.EXPORT.FORMATS
+   * @param {Object} [request.options={}] - Query options
+   * @param {string[]} [request.fields] - Specific fields to export
+   * @param {Object} [request.rlsContext] - RLS context of the requesting user
+   * @param {number} [request.userId] - User to notify
+   * @param {string} [request.keyPrefix='exports'] - Storage key prefix
+   * @param {number|string} jobId - Job id (storage key prefix)
+   * @returns {Promise<{storageKey: string, filename: string, format: string, count: number}>}
+   */
+  static async exportToStorage(
+    {
+      entity,
+      format = EXPORT.DEFAULT_FORMAT,
+      options = {},
+      fields = null,
+      rlsContext = null,
+      userId = null,
+      keyPrefix = 'exports',
+    },
+    jobId,
+  ) {
+    const plan = this.buildExportPlan(entity, options, rlsContext, fields);
+    const filename = this.getFilename(entity, format);
+    const storageKey = `${keyPrefix}/${jobId}/${filename}`;
+    const tempPath = path.join(
+      os.tmpdir(),
+      `tross-export-${jobId}-${crypto.randomUUID()}.${EXPORT.FORMATS[format].extension}`,
+    );
+    const file = fs.createWriteStream(tempPath);
+    let count;
+
+    try {
+      count = await this.streamExport(plan, format, file);
+      file.end();
+      await finished(file);
+
+      await storageService.uploadFile({
+        filePath: tempPath,
+        storageKey,
+        mimeType: EXPORT.FORMATS[format].contentType,
+        metadata: { entity, jobId: String(jobId) },
+      });
+    } finally {
+      file.destroy();
+      await fs.promises.rm(tempPath, { force: true });
+    }
+
+    if (userId) {
+      await this._notifyReady(userId, rlsContext?.tenantId, entity, { storageKey, filename, format, count });
+    }
+
+    return { storageKey, filename, format, count };
+  }
+
+  /**
+   * Download filename for an export
+   *
+   * @param {string} entityName - Entity name
+   * @param {string} format - Key of API_OPERATIONS.EXPORT.FORMATS
+   * @returns {string} e.g. 'customer_export_2026-10-18.xlsx'
+   */
+  static getFilename(entityName, format) {
+    const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+    return `${entityName}_export_${timestamp}.${EXPORT.FORMATS[format].extension}`;
   }
 
   /**
    * Get exportable fields for an entity
    * Useful for UI to show column selection
+   *
+   * @param {string} entityName - Entity name
+   * @param {string} [role] - Limit to the fields this role may read
+   * @returns {Array<{field: string, label: string}>}
    */
-  static getExportableFields(entityName) {
-    const metadata = allMetadata[entityName];
-
-    if (!metadata) {
+  static getExportableFields(entityName, role = null) {
+    if (!allMetadata[entityName]) {
       throw new AppError(`Unknown entity: ${entityName}`, 404, ERROR_CODES.RESOURCE_NOT_FOUND);
     }
 
-    const { fields = {}, exportableFields = null } = metadata;
-    const sensitiveFields = new Set([
-      'auth0_id',
-      'refresh_token',
-      'api_key',
-      'password',
-    ]);
+    return this._resolveColumns(entityName, null, role).map(({ field, label }) => ({ field, label }));
+  }
+
+  /**
+   * Column header a field is exported under (imports match on it too)
+   *
+   * @param {Object} metadata - Entity metadata
+   * @param {string} fieldName - Field name
+   * @returns {string}
+   */
+  static getFieldLabel(metadata, fieldName) {
+    return metadata.fields?.[fieldName]?.label || this._formatLabel(fieldName);
+  }
+
+  /**
+   * Resolve exported columns
+   * Priority: selectedFields > metadata.exportableFields > all non-sensitive fields
+   *
+   * @private
+   * @param {string} entityName - Entity name (must exist)
+   * @param {string[]|null} selectedFields - Requested fields
+   * @param {string|null} role - Role whose field-level read access applies
+   * @returns {Array<{field: string, label: string, type: string, enumValues: Object|null}>}
+   */
+  static _resolveColumns(entityName, selectedFields, role) {
+    const metadata = allMetadata[entityName];
+    const { fields = {}, exportableFields = null, sensitiveFields = [] } = metadata;
 
-    // Normalize fields to array format
+    // Normalize fields to array format: { fieldName: {...} } → [{ name, label, ... }]
     const fieldsArray = Array.isArray(fields)
       ? fields
       : Object.entries(fields).map(([name, def]) => ({
@@ -299,23 +534,90 @@ class ExportService {
         ...def,
       }));
 
-    if (exportableFields && exportableFields.length > 0) {
-      return exportableFields
-        .map((fieldName) => {
-          const fieldDef = fieldsArray.find((f) => f.name === fieldName);
-          return fieldDef
-            ? {
-              field: fieldName,
-              label: fieldDef.label || this._formatLabel(fieldName),
-            }
-            : null;
-        })
+    const readable = role ? new Set(getFieldsForOperation(metadata, role, 'read')) : null;
+    const toColumn = (fieldDef) => ({
+      field: fieldDef.name,
+      label: fieldDef.label || this._formatLabel(fieldDef.name),
+      type: fieldDef.type,
+      enumValues: fieldDef.type === 'enum'
+        ? metadata.enums?.[fieldDef.enumKey || fieldDef.name] || {}
+        : null,
+    });
+
+    let candidates;
+    const requested = selectedFields?.length > 0 ? selectedFields : exportableFields;
+    if (requested && requested.length > 0) {
+      candidates = requested
+        .map((fieldName) => fieldsArray.find((f) => f.name === fieldName))
         .filter(Boolean);
+    } else {
+      candidates = fieldsArray.filter(
+        (f) => !SENSITIVE_FIELDS.has(f.name) && !f.sensitive && !sensitiveFields.includes(f.name),
+      );
     }
 
-    return fieldsArray
-      .filter((f) => !sensitiveFields.has(f.name) && !f.sensitive)
-      .map((f) => ({ field: f.name, label: f.label || f.name }));
+    return candidates
+      .filter((f) => !readable || readable.has(f.name))
+      .map(toColumn);
+  }
+
+  /**
+   * Cell values of a row in column order
+   * Enum values become their metadata label; timestamps ISO 8601; dates YYYY-MM-DD.
+   *
+   * @private
+   * @param {Object} row - Database row
+   * @param {Object[]} columns - From buildExportPlan
+   * @returns {Array<*>}
+   */
+  static _toValues(row, columns) {
+    return columns.map(({ field, type, enumValues }) => {
+      const value = row[field];
+      if (value === null || value === undefined) {
+        return null;
+      }
+      if (enumValues) {
+        return enumValues[value]?.label ?? value;
+      }
+      if (value instanceof Date) {
+        if (type === 'date') {
+          const pad = (n) => String(n).padStart(2, '0');
+          return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        }
+        return value.toISOString();
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Notify the requesting user that an export file is ready
+   * In-app 'export_ready' notification with a signed download link.
+   *
+   * @private
+   * @param {number} userId - Recipient
+   * @param {number} tenantId - Recipient's tenant (the file is not a tenant-scoped row)
+   * @param {string} entity - Entity name
+   * @param {Object} file - { storageKey, filename, format, count }
+   */
+  static async _notifyReady(userId, tenantId, entity, { storageKey, filename, format, count }) {
+    const expiresIn = EXPORT.DOWNLOAD_URL_EXPIRY_SECONDS;
+    const downloadUrl = await storageService.getSignedDownloadUrl(storageKey, expiresIn);
+
+    await executeAction(
+      { type: 'notification', template: 'export_ready', recipient: { match: 'id', value: userId } },
+      {
+        entity,
+        tenantId,
+        record: {
+          filename,
+          format: format.toUpperCase(),
+          row_count: count,
+          download_url: downloadUrl,
+          expires_at: new Date(Date.now() + expiresIn * 1000),
+        },
+      },
+    );
   }
 
   /**
@@ -0,0 +1,185 @@
+/**
+ * Global Search Service
+ *
+ * SRP LITERALISM: ONLY fans one search term out across searchable entities
+ *
+ * PHILOSOPHY:
+ * - METADATA-DRIVEN: Every entity with searchable fields takes part; each group
+ *   carries the entity's displayField and icon from metadata
+ * - SECURE: Resource read permission per entity, then the entity's RLS rules and
+ *   field-level read redaction (GenericEntityService.findAll with rlsContext)
+ * - BOUNDED: Per-entity hit limit and ONE time budget for the whole fan-out;
+ *   entities that miss it are reported as incomplete, not awaited
+ *
+ * RANKING:
+ *   Within a group, rows keep the list-query order (ts_rank for full-text
+ *   searches), re-ordered only by how well the display label matches the term
+ *   (exact > prefix > substring). Groups are ordered by their best hit.
+ *
+ * USAGE:
+ *   const result = await GlobalSearchService.search('smith boiler', rlsContext, req.permissions, { limit: 5 });
+ *   // { query, groups: [{ entity, icon, displayField, total, hits: [...] }], incomplete: [] }
+ */
+
+const allMetadata = require('../../config/models');
+const { getFieldsWithTrait, FIELD_TRAIT } = require('../../config/metadata-accessors');
+const { logger } = require('../../config/logger');
+const { GLOBAL_SEARCH, FULLTEXT_SEARCH } = require('../../config/constants');
+const { TIMEOUTS } = require('../../config/timeouts');
+const GenericEntityService = require('../entity/generic-entity-service');
+
+/** Outcome markers for entities that did not produce a group */
+const TIMED_OUT = Symbol('timed_out');
+const FAILED = Symbol('failed');
+
+/** Display-label match quality, best first */
+const LABEL_SCORE = Object.freeze({
+  EXACT: 3,
+  PREFIX: 2,
+  SUBSTRING: 1,
+  OTHER: 0, // matched on another field (or via full-text stemming)
+});
+
+class GlobalSearchService {
+  /**
+   * Entities a caller may search: metadata has searchable fields and the
+   * caller has read permission on the entity's rlsResource.
+   *
+   * @param {Object} permissions - Caller's req.permissions (role, and a service
+   *   credential's scopes)
+   * @returns {string[]} Entity names, in registry order
+   */
+  static getSearchableEntities(permissions) {
+    return Object.entries(allMetadata)
+      .filter(([, metadata]) =>
+        getFieldsWithTrait(metadata, FIELD_TRAIT.SEARCHABLE).length > 0 &&
+        metadata.rlsResource &&
+        permissions.hasPermission(metadata.rlsResource, 'read'),
+      )
+      .map(([entityName]) => entityName);
+  }
+
+  /**
+   * Search every searchable entity the caller may read
+   *
+   * @param {string} term - Search term (validated/trimmed by the route)
+   * @param {Object} rlsContext - ADR-011 RLS context without resource ({ role, userId, operation, *_profile_id }); resource is set per entity
+   * @param {Object} permissions - Caller's req.permissions
+   * @param {Object} [options={}]
+   * @param {number} [options.limit] - Max hits per entity (default GLOBAL_SEARCH.DEFAULT_LIMIT)
+   * @param {number} [options.budgetMs] - Time budget for the whole fan-out (default TIMEOUTS.SERVICES.GLOBAL_SEARCH_BUDGET_MS)
+   * @returns {Promise<{ query: string, groups: Object[], incomplete: Array<{ entity: string, reason: string }> }>}
+   *   groups only include entities with hits; incomplete lists entities that timed out or failed
+   */
+  static async search(term, rlsContext, permissions, options = {}) {
+    const {
+      limit = GLOBAL_SEARCH.DEFAULT_LIMIT,
+      budgetMs = TIMEOUTS.SERVICES.GLOBAL_SEARCH_BUDGET_MS,
+    } = options;
+    const entityNames = this.getSearchableEntities(permissions);
+
+    let timer;
+    const budget = new Promise((resolve) => {
+      timer = setTimeout(resolve, budgetMs, TIMED_OUT);
+    });
+
+    let outcomes;
+    try {
+      outcomes = await Promise.all(
+        entityNames.map((entityName) =>
+          Promise.race([
+            this._searchEntity(entityName, term, limit, rlsContext).catch((error) => {
+              logger.warn('[GlobalSearch] Entity search failed', {
+                entity: entityName,
+                error: error.message,
+              });
+              return FAILED;
+            }),
+            budget,
+          ]),
+        ),
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const groups = [];
+    const incomplete = [];
+    outcomes.forEach((outcome, index) => {
+      if (outcome === TIMED_OUT || outcome === FAILED) {
+        incomplete.push({
+          entity: entityNames[index],
+          reason: outcome === TIMED_OUT ? 'timeout' : 'error',
+        });
+      } else if (outcome.hits.length > 0) {
+        groups.push(outcome);
+      }
+    });
+
+    // Best hit first; ties keep registry order (Array.prototype.sort is stable)
+    groups.sort((a, b) => b.hits[0].score - a.hits[0].score);
+
+    if (incomplete.length > 0) {
+      logger.info('[GlobalSearch] Incomplete results', {
+        budgetMs,
+        incomplete: incomplete.map((entry) => `${entry.entity}:${entry.reason}`).join(', '),
+      });
+    }
+
+    return { query: term, groups, incomplete };
+  }
+
+  /**
+   * Search one entity and shape its group
+   *
+   * @private
+   * @returns {Promise<{ entity: string, icon: string|null, displayField: string, total: number, hits: Object[] }>}
+   */
+  static async _searchEntity(entityName, term, limit, rlsContext) {
+    const metadata = allMetadata[entityName];
+    const { primaryKey = 'id', icon = null } = metadata;
+    const displayField = metadata.displayField ?? metadata.identityField;
+
+    const { data, pagination } = await GenericEntityService.findAll(entityName, {
+      search: term,
+      limit,
+      rlsContext: { ...rlsContext, resource: metadata.rlsResource },
+    });
+
+    const hits = data
+      .map((row) => ({
+        id: row[primaryKey],
+        label: row[displayField] ?? null,
+        snippet: row[FULLTEXT_SEARCH.SNIPPET_COLUMN] ?? null,
+        score: this._scoreLabel(row[displayField], term),
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    return { entity: entityName, icon, displayField, total: pagination.total, hits };
+  }
+
+  /**
+   * Score how well a display label matches the term (case-insensitive)
+   *
+   * @private
+   * @param {*} label - Display field value (null when redacted or empty)
+   * @param {string} term - Search term
+   * @returns {number} A LABEL_SCORE value
+   */
+  static _scoreLabel(label, term) {
+    if (label === null || label === undefined) {
+      return LABEL_SCORE.OTHER;
+    }
+    const value = String(label).toLowerCase();
+    const needle = term.toLowerCase();
+    if (value === needle) {
+      return LABEL_SCORE.EXACT;
+    }
+    if (value.startsWith(needle)) {
+      return LABEL_SCORE.PREFIX;
+    }
+    return value.includes(needle) ? LABEL_SCORE.SUBSTRING : LABEL_SCORE.OTHER;
+  }
+}
+
+module.exports = GlobalSearchService;
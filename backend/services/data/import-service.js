@@ -0,0 +1,621 @@
+/**
+ * Import Service - Bulk Creation of Entity Records from Files
+ *
+ * SRP: ONLY turns an uploaded CSV/XLSX file into validated create operations
+ *
+ * FEATURES:
+ * - CSV (comma or semicolon separated, RFC 4180 quoting) and XLSX (first sheet)
+ * - Columns map to fields automatically by field name or export label
+ *   (a file exported by ExportService imports back unchanged); explicit
+ *   mappings override or ignore columns
+ * - Enum cells accept the value or its label; boolean cells yes/no/true/false/1/0
+ * - Foreign keys resolve by the referenced entity's display or identity
+ *   field (case-insensitive), then by id; the lookup is RLS-filtered
+ * - Every row is validated with the metadata-derived create schema for the
+ *   user's role (same as POST /api/:entity)
+ *
+ * ARCHITECTURE:
+ * - parseFile() → buildMapping() → validateRows() → importFile()
+ * - importFile() commits only when every row is valid, through
+ *   GenericEntityService.batch (one transaction, audited); a dry run stops
+ *   after validation and reports per-row errors
+ */
+
+const allMetadata = require('../../config/models');
+const {
+  getFieldsWithTrait,
+  FIELD_TRAIT,
+} = require('../../config/metadata-accessors');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { logger } = require('../../config/logger');
+const db = require('../../db/connection');
+const GenericEntityService = require('../entity/generic-entity-service');
+const ExportService = require('./export-service');
+const { buildRLSFilter } = require('../../db/helpers/rls');
+const {
+  buildEntitySchema,
+  deriveCreatableFields,
+} = require('../../utils/validation-schema-builder');
+const { sanitizeIdentifier } = require('../../utils/sql-safety');
+const { readXlsx } = require('../../utils/xlsx-reader');
+const AppError = require('../../utils/app-error');
+const { ERROR_CODES } = require('../../config/error-codes');
+
+const { IMPORT } = API_OPERATIONS;
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]); // Legacy .xls
+
+const BOOLEAN_VALUES = Object.freeze({
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+});
+
+/**
+ * Parse CSV text into rows of cells
+ * RFC 4180: quoted cells may hold delimiters, quotes ("") and line breaks.
+ * The delimiter is ',' unless the first line has more ';' (Excel in
+ * locales that use a decimal comma).
+ *
+ * @param {string} text - CSV contents (BOM already removed)
+ * @returns {string[][]}
+ */
+function parseCSV(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+  const delimiter =
+    firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Cell text, trimmed; '' for empty cells
+ *
+ * @param {*} value - Parsed cell
+ * @returns {string}
+ */
+function cellText(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Comparable form of a header, label or lookup value:
+ * lower case, accents and punctuation removed ('Property ID' → 'propertyid')
+ *
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function matchKey(value) {
+  return cellText(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+class ImportService {
+  /**
+   * Read an uploaded file into a header row and data rows
+   * XLSX is recognised by its ZIP signature; anything else is read as
+   * UTF-8 CSV. Blank rows are skipped but keep their row number.
+   *
+   * @param {Buffer} buffer - File contents
+   * @returns {{ format: string, headers: string[], rows: Array<{row: number, values: Array}> }}
+   * @throws {AppError} 400 for an empty, unreadable or oversized file
+   */
+  static parseFile(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new AppError(
+        'No file data received. Send the CSV or XLSX file as the raw request body.',
+        400,
+        ERROR_CODES.VALIDATION_FAILED,
+      );
+    }
+
+    let format;
+    let table;
+    if (buffer.subarray(0, 4).equals(OLE_SIGNATURE)) {
+      throw new AppError(
+        'Legacy .xls files are not supported - save the sheet as .xlsx or CSV',
+        400,
+        ERROR_CODES.VALIDATION_FAILED,
+      );
+    } else if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+      format = 'xlsx';
+      try {
+        table = readXlsx(buffer).rows;
+      } catch (error) {
+        throw new AppError(
+          `Unreadable XLSX file: ${error.message}`,
+          400,
+          ERROR_CODES.VALIDATION_FAILED,
+        );
+      }
+    } else {
+      format = 'csv';
+      table = parseCSV(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    }
+
+    const isBlank = (values) => values.every((value) => cellText(value) === '');
+    const headerIndex = table.findIndex((values) => !isBlank(values));
+    if (headerIndex < 0) {
+      throw new AppError('File has no header row', 400, ERROR_CODES.VALIDATION_FAILED);
+    }
+
+    const headers = table[headerIndex].map(cellText);
+    const rows = [];
+    for (let i = headerIndex + 1; i < table.length; i++) {
+      if (!isBlank(table[i])) {
+        rows.push({ row: i + 1, values: table[i] });
+      }
+    }
+
+    if (rows.length === 0) {
+      throw new AppError('File has no data rows', 400, ERROR_CODES.VALIDATION_FAILED);
+    }
+
+    if (rows.length > IMPORT.MAX_ROWS) {
+      throw new AppError(
+        `Import files are limited to ${IMPORT.MAX_ROWS} rows (found ${rows.length}) - split the file`,
+        400,
+        ERROR_CODES.VALIDATION_FAILED,
+      );
+    }
+
+    return { format, headers, rows };
+  }
+
+  /**
+   * Fields a role can set when creating records of an entity
+   * The import template: a column per field, headed by its label.
+   *
+   * @param {string} entityName - Entity name
+   * @param {string|null} role - Role whose field-level create access applies
+   * @returns {Array<{field: string, label: string, type: string, required: boolean, references: string|null, values: Array|null}>}
+   * @throws {AppError} 404 for an unknown entity
+   */
+  static getImportableFields(entityName, role = null) {
+    const metadata = this._requireMetadata(entityName);
+    const required = new Set(getFieldsWithTrait(metadata, FIELD_TRAIT.REQUIRED));
+    const creatable = metadata.createableFields || deriveCreatableFields(metadata, role);
+
+    return creatable
+      .filter((field) => metadata.fields?.[field])
+      .map((field) => {
+        const fieldDef = metadata.fields[field];
+        const enumValues = fieldDef.type === 'enum'
+          ? metadata.enums?.[fieldDef.enumKey || field] || {}
+          : null;
+        return {
+          field,
+          label: ExportService.getFieldLabel(metadata, field),
+          type: fieldDef.type,
+          required: required.has(field),
+          references: fieldDef.type === 'foreignKey' ? fieldDef.references : null,
+          values: enumValues
+            ? Object.entries(enumValues).map(([value, def]) => ({ value, label: def.label ?? value }))
+            : null,
+        };
+      });
+  }
+
+  /**
+   * Map file columns to importable fields
+   * A column maps to the field whose name or export label it matches
+   * (ignoring case, spacing and punctuation); 'Property' also matches
+   * property_id. `overrides` maps a column header to a field, or to null
+   * to ignore the column.
+   *
+   * @param {string[]} headers - Header row
+   * @param {Object[]} fields - From getImportableFields
+   * @param {Object<string, string|null>} [overrides={}] - Column → field
+   * @returns {Array<{column: string, index: number, field: string|null}>}
+   * @throws {AppError} 400 for an unknown target field or two columns on one field
+   */
+  static buildMapping(headers, fields, overrides = {}) {
+    const byKey = new Map();
+    for (const { field, label, references } of fields) {
+      const aliases = [field, label];
+      if (references) {
+        aliases.push(field.replace(/_id$/, ''));
+      }
+      for (const alias of aliases) {
+        if (!byKey.has(matchKey(alias))) {
+          byKey.set(matchKey(alias), field);
+        }
+      }
+    }
+
+    const importable = new Set(fields.map((f) => f.field));
+    const overrideByKey = new Map(
+      Object.entries(overrides).map(([column, field]) => [matchKey(column), field]),
+    );
+
+    const claimed = new Map();
+    return headers.map((column, index) => {
+      const key = matchKey(column);
+      let field = overrideByKey.has(key) ? overrideByKey.get(key) || null : byKey.get(key) || null;
+
+      if (field && !importable.has(field)) {
+        throw new AppError(
+          `Cannot import column "${column}" into "${field}": not an importable field`,
+          400,
+          ERROR_CODES.VALIDATION_FAILED,
+          { allowed: [...importable] },
+        );
+      }
+      if (field && claimed.has(field)) {
+        // An automatic match never steals a field from an earlier column
+        if (!overrideByKey.has(key)) {
+          field = null;
+        } else {
+          throw new AppError(
+            `Columns "${claimed.get(field)}" and "${column}" both map to "${field}"`,
+            400,
+            ERROR_CODES.VALIDATION_FAILED,
+          );
+        }
+      }
+      if (field) {
+        claimed.set(field, column);
+      }
+      return { column, index, field };
+    });
+  }
+
+  /**
+   * Convert and validate the data rows
+   * Cells are converted (enum labels, booleans, foreign keys), then each
+   * row is validated with the role's create schema.
+   *
+   * @param {string} entityName - Entity name
+   * @param {Object} parsed - From parseFile
+   * @param {Object[]} mapping - From buildMapping
+   * @param {Object} [options]
+   * @param {string|null} [options.role] - Importing user's role
+   * @param {Object|null} [options.rlsContext] - Scopes the foreign key lookups
+   * @returns {Promise<{ records: Array<{row: number, data: Object}>, errors: Array<{row: number, field: string|null, message: string}> }>}
+   */
+  static async validateRows(entityName, parsed, mapping, { role = null, rlsContext = null } = {}) {
+    const metadata = this._requireMetadata(entityName);
+    const fields = new Map(this.getImportableFields(entityName, role).map((f) => [f.field, f]));
+    const mapped = mapping.filter((m) => m.field);
+    const errors = [];
+
+    // 1. Cell conversion
+    const converted = parsed.rows.map(({ row, values }) => {
+      const data = {};
+      for (const { index, field } of mapped) {
+        const text = cellText(values[index]);
+        if (text === '') {
+          continue;
+        }
+        const fieldInfo = fields.get(field);
+        const result = this._convertCell(text, fieldInfo);
+        if (result.error) {
+          errors.push({ row, field, message: result.error });
+        } else {
+          data[field] = result.value;
+        }
+      }
+      return { row, data };
+    });
+
+    // 2. Foreign keys: one lookup per referenced entity
+    for (const { field, references } of fields.values()) {
+      if (!references || !mapped.some((m) => m.field === field)) {
+        continue;
+      }
+      const values = new Set(
+        converted.map(({ data }) => data[field]).filter((value) => value !== undefined),
+      );
+      if (values.size === 0) {
+        continue;
+      }
+      const resolved = await this._resolveReferences(references, values, rlsContext);
+      for (const { row, data } of converted) {
+        if (data[field] === undefined) {
+          continue;
+        }
+        const match = resolved.get(data[field]);
+        if (match.error) {
+          errors.push({ row, field, message: match.error });
+          delete data[field];
+        } else {
+          data[field] = match.id;
+        }
+      }
+    }
+
+    // 3. Schema validation (same rules as POST /api/:entity for this role)
+    const schema = buildEntitySchema(entityName, 'create', metadata, role);
+    const requiredFields = [...fields.values()].filter((f) => f.required).map((f) => f.field);
+    const failedCells = new Map();
+    for (const { row, field } of errors) {
+      failedCells.set(row, (failedCells.get(row) || new Set()).add(field));
+    }
+    const records = [];
+
+    for (const { row, data } of converted) {
+      // A cell that failed conversion was left out - don't report it again as missing
+      const failed = failedCells.get(row) || new Set();
+      const { error, value } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+      const rowErrors = (error?.details || [])
+        .map((detail) => ({ row, field: detail.path[0] ?? null, message: detail.message }))
+        .filter((e) => !failed.has(e.field));
+
+      for (const field of requiredFields) {
+        const reported = failed.has(field) || rowErrors.some((e) => e.field === field);
+        if (!reported && [undefined, null, ''].includes(value?.[field])) {
+          rowErrors.push({ row, field, message: `${fields.get(field).label} is required` });
+        }
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors);
+      } else if (failed.size === 0) {
+        records.push({ row, data: value });
+      }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return { records, errors };
+  }
+
+  /**
+   * Import a file: parse, map, validate and (unless dryRun) create the records
+   * Nothing is created unless every row is valid; the creates run in one
+   * GenericEntityService.batch transaction and are audited individually.
+   *
+   * @param {string} entityName - Entity name
+   * @param {Buffer} buffer - File contents
+   * @param {Object} [options]
+   * @param {Object<string, string|null>} [options.mapping] - Column overrides (see buildMapping)
+   * @param {boolean} [options.dryRun=false] - Validate only
+   * @param {string|null} [options.role] - Importing user's role
+   * @param {Object|null} [options.rlsContext] - From enforceRLS
+   * @param {Object} [options.auditContext] - From buildAuditContext
+   * @returns {Promise<Object>} Import report:
+   *   { entity, format, dryRun, committed, totalRows, validRows, invalidRows,
+   *     columns: [{column, field}], errors: [{row, field, message}],
+   *     created?: number[], stats? }
+   */
+  static async importFile(entityName, buffer, options = {}) {
+    const {
+      mapping: overrides = {},
+      dryRun = false,
+      role = null,
+      rlsContext = null,
+      auditContext,
+    } = options;
+
+    const parsed = this.parseFile(buffer);
+    const fields = this.getImportableFields(entityName, role);
+    const mapping = this.buildMapping(parsed.headers, fields, overrides);
+
+    if (!mapping.some((m) => m.field)) {
+      throw new AppError(
+        'No column matches an importable field',
+        400,
+        ERROR_CODES.VALIDATION_FAILED,
+        { columns: parsed.headers, fields: fields.map((f) => f.label) },
+      );
+    }
+
+    const { records, errors } = await this.validateRows(entityName, parsed, mapping, {
+      role,
+      rlsContext,
+    });
+
+    const report = {
+      entity: entityName,
+      format: parsed.format,
+      dryRun,
+      committed: false,
+      totalRows: parsed.rows.length,
+      validRows: records.length,
+      invalidRows: parsed.rows.length - records.length,
+      columns: mapping.map(({ column, field }) => ({ column, field })),
+      errors,
+    };
+
+    if (dryRun || errors.length > 0) {
+      return report;
+    }
+
+    const result = await GenericEntityService.batch(
+      entityName,
+      records.map(({ data }) => ({ operation: 'create', data })),
+      { auditContext, rlsContext },
+    );
+
+    if (!result.success) {
+      // The batch rolled back: report the row that failed
+      report.validRows = 0;
+      report.invalidRows = parsed.rows.length;
+      report.errors = result.errors.map(({ index, error }) => ({
+        row: records[index].row,
+        field: null,
+        message: error,
+      }));
+      return report;
+    }
+
+    logger.info('[ImportService] Imported records', {
+      entity: entityName,
+      format: parsed.format,
+      count: records.length,
+      userId: auditContext?.userId,
+    });
+
+    report.committed = true;
+    report.stats = result.stats;
+    report.created = result.results.map(({ result: record }) => record?.id ?? null);
+    return report;
+  }
+
+  /**
+   * Convert one non-empty cell to a field value
+   * Enums accept value or label, booleans the usual words; foreign keys
+   * stay as text until _resolveReferences. Other values go to the schema
+   * as text (Joi converts numbers and dates).
+   *
+   * @private
+   * @param {string} text - Trimmed cell text
+   * @param {Object} fieldInfo - From getImportableFields
+   * @returns {{ value?: *, error?: string }}
+   */
+  static _convertCell(text, { label, type, values }) {
+    if (values) {
+      const key = matchKey(text);
+      const match = values.find((v) => matchKey(v.value) === key || matchKey(v.label) === key);
+      return match
+        ? { value: match.value }
+        : { error: `"${text}" is not a valid ${label} (allowed: ${values.map((v) => v.label).join(', ')})` };
+    }
+    if (type === 'boolean') {
+      const value = BOOLEAN_VALUES[text.toLowerCase()];
+      return value === undefined ? { error: `"${text}" is not a valid ${label} (use yes or no)` } : { value };
+    }
+    return { value: text };
+  }
+
+  /**
+   * Resolve foreign key cells to ids
+   * A cell matches records whose display or identity field equals it
+   * (case-insensitive); with no such match, a whole number matches the id.
+   * Only records the user can read are considered.
+   *
+   * @private
+   * @param {string} targetEntity - Referenced entity
+   * @param {Set<string>} values - Distinct cell texts
+   * @param {Object|null} rlsContext - Importing user's RLS context
+   * @returns {Promise<Map<string, {id?: number, error?: string}>>}
+   */
+  static async _resolveReferences(targetEntity, values, rlsContext) {
+    const metadata = allMetadata[targetEntity];
+    const table = sanitizeIdentifier(metadata.tableName, 'table name');
+    const primaryKey = sanitizeIdentifier(metadata.primaryKey || 'id', 'primary key');
+    const columns = [...new Set([metadata.displayField, metadata.identityField])]
+      .filter((column) => column && column !== primaryKey && metadata.fields?.[column])
+      .map((column) => sanitizeIdentifier(column, 'lookup field'));
+
+    const texts = [...values].map((value) => value.toLowerCase());
+    const ids = [...values].filter((value) => /^\d+$/.test(value)).map(Number);
+    const params = [texts, ids];
+    const matches = [
+      ...columns.map((column) => `LOWER(${table}.${column}::text) = ANY($1::text[])`),
+      `${table}.${primaryKey} = ANY($2::int[])`,
+    ];
+    const whereClauses = [`(${matches.join(' OR ')})`];
+
+    if (rlsContext) {
+      const rlsFilter = buildRLSFilter(
+        { ...rlsContext, operation: 'read' },
+        metadata,
+        'read',
+        params.length + 1,
+        allMetadata,
+      );
+      if (rlsFilter.clause) {
+        whereClauses.push(rlsFilter.clause);
+        params.push(...rlsFilter.params);
+      }
+    }
+
+    const selectColumns = columns.map((column, i) => `${table}.${column}::text AS match_${i}`);
+    const result = await db.query(
+      `SELECT ${[`${table}.${primaryKey} AS id`, ...selectColumns].join(', ')}
+       FROM ${table}
+       WHERE ${whereClauses.join(' AND ')}`,
+      params,
+    );
+
+    const entityLabel = targetEntity.replace(/_/g, ' ');
+    const resolved = new Map();
+    for (const value of values) {
+      const text = value.toLowerCase();
+      const byText = new Set(
+        result.rows
+          .filter((row) => columns.some((_, i) => row[`match_${i}`]?.toLowerCase() === text))
+          .map((row) => row.id),
+      );
+      const byId = result.rows.find((row) => String(row.id) === value);
+
+      if (byText.size === 1) {
+        resolved.set(value, { id: [...byText][0] });
+      } else if (byText.size > 1) {
+        resolved.set(value, {
+          error: `"${value}" matches ${byText.size} ${entityLabel} records - use the id instead`,
+        });
+      } else if (byId) {
+        resolved.set(value, { id: byId.id });
+      } else {
+        resolved.set(value, { error: `No ${entityLabel} matches "${value}"` });
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Entity metadata or a 404
+   *
+   * @private
+   * @param {string} entityName - Entity name
+   * @returns {Object}
+   */
+  static _requireMetadata(entityName) {
+    const metadata = allMetadata[entityName];
+    if (!metadata) {
+      throw new AppError(`Unknown entity: ${entityName}`, 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+    return metadata;
+  }
+}
+
+module.exports = ImportService;
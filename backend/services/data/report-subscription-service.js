@@ -0,0 +1,443 @@
+/**
+ * Report Subscription Service - Scheduled Saved-View Reports
+ *
+ * SRP: ONLY subscribes saved views to schedules and delivers the due reports
+ *
+ * A report subscription renders its saved view (filters, sort, visible
+ * columns) to CSV/XLSX through ExportService on a daily or weekly RRULE, and
+ * notifies the owner (in-app + email) with a signed download link.
+ *
+ * SECURITY: a report runs with its OWNER's role and RLS context, rebuilt from
+ * the users row at delivery time (same shape as enforceRLS builds), so it
+ * never holds more than the owner could see in the table UI at that moment.
+ * A subscription whose owner is deactivated or can no longer read the view's
+ * entity is disabled instead of delivered.
+ *
+ * IDEMPOTENCY: each due subscription is delivered in ONE transaction holding
+ * its row lock (FOR UPDATE SKIP LOCKED) and advanced to its next occurrence
+ * in the same transaction, so concurrent runs never deliver an occurrence
+ * twice. A failed render is recorded (last_status 'failed') and that
+ * occurrence is skipped rather than retried on every run.
+ *
+ * INTEGRATION: run by the recurring 'reports.deliver' job
+ */
+
+const { RRule } = require('rrule');
+const allMetadata = require('../../config/models');
+const db = require('../../db/connection');
+const { withTransaction } = require('../../db/helpers/transaction-helper');
+const { executeAction, computeNextOccurrence } = require('../../config/action-handlers');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { logger } = require('../../config/logger');
+const { hasPermission } = require('../../config/permissions-loader');
+const { extractProfileIds } = require('../../middleware/row-level-security');
+const AppError = require('../../utils/app-error');
+const GenericEntityService = require('../entity/generic-entity-service');
+const ExportService = require('./export-service');
+const { storageService } = require('../storage/storage-service');
+
+const { REPORTS } = API_OPERATIONS;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+class ReportSubscriptionService {
+  /**
+   * Subscribe a saved view to a schedule, or reschedule its subscription.
+   *
+   * Only the view's owner can subscribe it: the report is rendered with the
+   * owner's access and delivered to them. Rescheduling keeps is_active as is,
+   * so a subscription an admin disabled stays disabled.
+   *
+   * @param {number} savedViewId - Saved view ID
+   * @param {Object} subscription - { schedule, format }
+   * @param {Object} context
+   * @param {number} context.userId - Subscribing user
+   * @param {Object} context.rlsContext - RLS context of the request
+   * @param {Object} [context.auditContext] - Audit context of the request
+   * @returns {Promise<{subscription: Object, created: boolean}>}
+   * @throws {AppError} 404 for a view the user cannot see, 403 for someone
+   *   else's view or an entity the user cannot read, 400 for a bad schedule
+   */
+  static async subscribe(savedViewId, { schedule, format = REPORTS.FORMATS[0] }, { userId, rlsContext, auditContext }) {
+    const view = await GenericEntityService.findById('saved_view', savedViewId, {
+      rlsContext: { ...rlsContext, operation: 'read' },
+    });
+    if (!view) {
+      throw new AppError('Saved view not found', 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+    if (Number(view.user_id) !== Number(userId)) {
+      throw new AppError(
+        'Only the owner of a saved view can subscribe to it',
+        403,
+        ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+      );
+    }
+
+    const metadata = allMetadata[view.entity_name];
+    if (!metadata) {
+      throw new AppError(
+        `Saved view entity "${view.entity_name}" cannot be reported on`,
+        400,
+        ERROR_CODES.VALIDATION_FAILED,
+      );
+    }
+    if (!hasPermission(rlsContext?.role, metadata.rlsResource, 'read')) {
+      throw new AppError(
+        `Your role cannot read ${view.entity_name} records`,
+        403,
+        ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+      );
+    }
+
+    if (!REPORTS.FORMATS.includes(format)) {
+      throw new AppError(
+        `Format must be one of: ${REPORTS.FORMATS.join(', ')}`,
+        400,
+        ERROR_CODES.VALIDATION_FAILED,
+      );
+    }
+
+    const rule = this.normalizeSchedule(schedule);
+    const changes = { format, schedule: rule, next_run_at: this.nextRunAt(rule, new Date()) };
+
+    const { rows } = await db.query(
+      'SELECT id FROM report_subscriptions WHERE saved_view_id = $1',
+      [view.id],
+    );
+
+    if (rows[0]) {
+      const subscription = await GenericEntityService.update(
+        'report_subscription',
+        rows[0].id,
+        changes,
+        { auditContext },
+      );
+      return { subscription, created: false };
+    }
+
+    const subscription = await GenericEntityService.create(
+      'report_subscription',
+      { user_id: view.user_id, saved_view_id: view.id, ...changes },
+      { auditContext },
+    );
+    return { subscription, created: true };
+  }
+
+  /**
+   * Validate a schedule and normalize it to an RRULE string.
+   *
+   * 'daily' and 'weekly' are shorthands for RRULE:FREQ=DAILY / FREQ=WEEKLY.
+   * Times are UTC (BYHOUR/BYMINUTE). COUNT, UNTIL and DTSTART are rejected:
+   * a subscription repeats until it is deleted or disabled.
+   *
+   * @param {string} schedule - 'daily', 'weekly' or an RRULE (prefix optional)
+   * @returns {string} e.g. 'RRULE:FREQ=WEEKLY;BYDAY=MO;BYHOUR=7;BYMINUTE=0'
+   * @throws {AppError} 400 when the schedule is not a daily or weekly RRULE
+   */
+  static normalizeSchedule(schedule) {
+    const value = String(schedule ?? '').trim().toUpperCase();
+    const invalid = (message) => new AppError(message, 400, ERROR_CODES.VALIDATION_FAILED);
+
+    if (REPORTS.FREQUENCIES.includes(value)) {
+      return `RRULE:FREQ=${value}`;
+    }
+
+    let options;
+    try {
+      options = RRule.parseString(value.startsWith('RRULE:') ? value : `RRULE:${value}`);
+    } catch (error) {
+      throw invalid(`Invalid schedule: ${error.message}`);
+    }
+
+    if (!REPORTS.FREQUENCIES.includes(RRule.FREQUENCIES[options.freq])) {
+      throw invalid(`Schedule must repeat ${REPORTS.FREQUENCIES.join(' or ').toLowerCase()}`);
+    }
+    if (options.count || options.until || options.dtstart) {
+      throw invalid('Schedule cannot use COUNT, UNTIL or DTSTART - it repeats until unsubscribed');
+    }
+    // rrule accepts any number here (BYHOUR=99 rolls over into the next days)
+    const outOfRange = [['byhour', 23], ['byminute', 59], ['bysecond', 59]]
+      .find(([key, max]) => [].concat(options[key] ?? []).some((v) => v < 0 || v > max));
+    if (outOfRange) {
+      throw invalid(`${outOfRange[0].toUpperCase()} must be between 0 and ${outOfRange[1]}`);
+    }
+
+    // FREQ first, as the report_subscription.schedule pattern expects
+    const rule = RRule.optionsToString({ freq: options.freq, ...options });
+    if (!this.nextRunAt(rule, new Date())) {
+      throw invalid('Schedule has no upcoming occurrence');
+    }
+    return rule;
+  }
+
+  /**
+   * Next occurrence of a schedule after a moment.
+   * Counted from the start of that minute, so runs that start a few seconds
+   * late do not drift the schedule.
+   *
+   * @param {string} rule - Normalized RRULE
+   * @param {Date} from - Moment to advance from
+   * @returns {string|null} ISO timestamp, or null when the rule has none
+   */
+  static nextRunAt(rule, from) {
+    const minute = new Date(Math.floor(from.getTime() / MS_PER_MINUTE) * MS_PER_MINUTE);
+    return computeNextOccurrence(rule, minute);
+  }
+
+  /**
+   * Deliver every active subscription that is due.
+   *
+   * Failures are isolated per subscription: one failed render is recorded
+   * and reported without blocking the others.
+   *
+   * @param {Object} [options={}]
+   * @param {Date} [options.asOf=new Date()] - Reference time
+   * @param {number|string} [options.jobId] - Running job (storage key part)
+   * @returns {Promise<Object>} Summary { processed, delivered, failed, disabled, errors }
+   */
+  static async deliverDue({ asOf = new Date(), jobId = null } = {}) {
+    const { rows } = await db.query(
+      `SELECT id FROM report_subscriptions
+       WHERE is_active = true AND next_run_at <= $1
+       ORDER BY next_run_at, id
+       LIMIT $2`,
+      [asOf, REPORTS.MAX_SUBSCRIPTIONS_PER_RUN],
+    );
+
+    const summary = { processed: 0, delivered: 0, failed: 0, disabled: 0, errors: [] };
+
+    for (const { id } of rows) {
+      try {
+        const result = await this.deliver(id, { asOf, jobId });
+        if (!result) {
+          // Locked by a concurrent run, or no longer due
+          continue;
+        }
+        summary.processed++;
+        summary[result.status]++;
+        if (result.error) {
+          summary.errors.push({ subscriptionId: id, error: result.error });
+        }
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ subscriptionId: id, error: error.message });
+        logger.error('[ReportSubscriptions] Delivery failed', {
+          subscriptionId: id,
+          error: error.message,
+        });
+      }
+    }
+
+    if (summary.processed > 0 || summary.failed > 0) {
+      logger.info('[ReportSubscriptions] Run complete', {
+        processed: summary.processed,
+        delivered: summary.delivered,
+        failed: summary.failed,
+        disabled: summary.disabled,
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Render and deliver one due subscription, then advance it - in a single
+   * transaction holding the subscription's row lock.
+   *
+   * @param {number} subscriptionId - Report subscription ID
+   * @param {Object} [options={}]
+   * @param {Date} [options.asOf=new Date()] - Reference time
+   * @param {number|string} [options.jobId] - Running job (storage key part)
+   * @returns {Promise<Object|null>} { subscriptionId, status, next_run_at, error?, storageKey?, count? }
+   *   with status 'delivered' | 'failed' | 'disabled', or null when the
+   *   subscription is locked elsewhere, inactive or not due
+   */
+  static async deliver(subscriptionId, { asOf = new Date(), jobId = null } = {}) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT rs.*, sv.entity_name, sv.view_name, sv.settings
+         FROM report_subscriptions rs
+         JOIN saved_views sv ON sv.id = rs.saved_view_id
+         WHERE rs.id = $1 AND rs.is_active = true AND rs.next_run_at <= $2
+         FOR UPDATE OF rs SKIP LOCKED`,
+        [subscriptionId, asOf],
+      );
+      const subscription = rows[0];
+      if (!subscription) {
+        return null;
+      }
+
+      const { rows: owners } = await client.query(
+        `SELECT u.*, r.name AS role
+         FROM users u
+         LEFT JOIN roles r ON r.id = u.role_id
+         WHERE u.id = $1`,
+        [subscription.user_id],
+      );
+      const owner = owners[0];
+
+      const nextRunAt = this.nextRunAt(subscription.schedule, asOf);
+      const changes = { last_run_at: asOf, next_run_at: nextRunAt || subscription.next_run_at };
+      const disableReason = this._disableReason(subscription, owner)
+        || (nextRunAt ? null : 'Schedule has no further occurrences');
+      let result;
+
+      if (disableReason) {
+        Object.assign(changes, { is_active: false, last_status: 'failed', last_error: disableReason });
+        result = { status: 'disabled', error: disableReason };
+        logger.warn('[ReportSubscriptions] Subscription disabled', {
+          subscriptionId: subscription.id,
+          reason: disableReason,
+        });
+      } else {
+        try {
+          const file = await this._render(subscription, owner, { client, jobId: jobId ?? asOf.getTime() });
+          Object.assign(changes, { last_status: 'delivered', last_error: null });
+          result = { status: 'delivered', storageKey: file.storageKey, count: file.count };
+        } catch (error) {
+          Object.assign(changes, { last_status: 'failed', last_error: error.message });
+          result = { status: 'failed', error: error.message };
+          logger.error('[ReportSubscriptions] Report render failed', {
+            subscriptionId: subscription.id,
+            error: error.message,
+          });
+        }
+      }
+
+      await GenericEntityService.update('report_subscription', subscription.id, changes, {
+        client,
+        skipHooks: true,
+      });
+
+      return { subscriptionId: subscription.id, next_run_at: changes.next_run_at, ...result };
+    });
+  }
+
+  /**
+   * Export request options for a saved view's settings.
+   *
+   * settings.filters and settings.sort map onto the export's filters and
+   * sort; settings.hiddenColumns are left out of the exportable columns.
+   *
+   * @param {string} entityName - The view's entity
+   * @param {Object} [settings={}] - saved_views.settings
+   * @param {string} role - Owner's role (limits the columns)
+   * @returns {{ options: Object, fields: string[]|null }}
+   */
+  static viewToExport(entityName, settings = {}, role) {
+    const { filters = {}, sort = null, hiddenColumns = [] } = settings || {};
+    const options = {
+      filters: { ...filters },
+      sortBy: sort?.field,
+      sortOrder: sort?.direction,
+    };
+
+    if (!Array.isArray(hiddenColumns) || hiddenColumns.length === 0) {
+      return { options, fields: null };
+    }
+
+    const hidden = new Set(hiddenColumns);
+    const fields = ExportService.getExportableFields(entityName, role)
+      .map(({ field }) => field)
+      .filter((field) => !hidden.has(field));
+    return { options, fields };
+  }
+
+  /**
+   * Why a due subscription must be disabled instead of delivered
+   *
+   * @private
+   * @param {Object} subscription - Locked subscription joined with its view
+   * @param {Object|undefined} owner - Owner user row with role name
+   * @returns {string|null} Reason, or null when it can be delivered
+   */
+  static _disableReason(subscription, owner) {
+    if (!owner || owner.is_active === false) {
+      return 'Owner account is deactivated';
+    }
+    const metadata = allMetadata[subscription.entity_name];
+    if (!metadata) {
+      return `Saved view entity "${subscription.entity_name}" no longer exists`;
+    }
+    if (!hasPermission(owner.role, metadata.rlsResource, 'read')) {
+      return `Owner's role (${owner.role || 'none'}) can no longer read ${subscription.entity_name} records`;
+    }
+    return null;
+  }
+
+  /**
+   * Render the subscription's view to storage and notify the owner
+   *
+   * @private
+   * @param {Object} subscription - Locked subscription joined with its view
+   * @param {Object} owner - Owner user row with role name
+   * @param {Object} run - { client, jobId }
+   * @returns {Promise<{storageKey: string, filename: string, format: string, count: number}>}
+   * @throws {AppError} When the export, upload or notification fails
+   */
+  static async _render(subscription, owner, { client, jobId }) {
+    const entity = subscription.entity_name;
+    const metadata = allMetadata[entity];
+    const { options, fields } = this.viewToExport(entity, subscription.settings, owner.role);
+
+    // Same context enforceRLS attaches to the owner's own requests
+    const rlsContext = {
+      role: owner.role,
+      userId: owner.id,
+      tenantId: owner.tenant_id,
+      operation: 'read',
+      resource: metadata.rlsResource,
+      ...extractProfileIds(owner),
+    };
+
+    const file = await ExportService.exportToStorage(
+      {
+        entity,
+        format: subscription.format,
+        options,
+        fields,
+        rlsContext,
+        keyPrefix: `reports/${subscription.id}`,
+      },
+      jobId,
+    );
+
+    const expiresIn = REPORTS.DOWNLOAD_URL_EXPIRY_SECONDS;
+    const downloadUrl = await storageService.getSignedDownloadUrl(file.storageKey, expiresIn);
+
+    const notified = await executeAction(
+      {
+        type: 'notification',
+        template: 'report_ready',
+        recipient: { match: 'id', value: owner.id },
+        channels: ['in_app', 'email'],
+      },
+      {
+        entity: 'report_subscription',
+        tenantId: owner.tenant_id,
+        record: {
+          id: subscription.id,
+          view_name: subscription.view_name,
+          filename: file.filename,
+          format: file.format.toUpperCase(),
+          row_count: file.count,
+          download_url: downloadUrl,
+          expires_at: new Date(Date.now() + expiresIn * 1000),
+        },
+        tx: client,
+      },
+    );
+    if (!notified.success) {
+      throw new AppError(
+        `Report notification failed: ${notified.error || notified.errors?.[0]?.error || 'unknown error'}`,
+        500,
+        ERROR_CODES.SERVER_ERROR,
+      );
+    }
+
+    return file;
+  }
+}
+
+module.exports = ReportSubscriptionService;
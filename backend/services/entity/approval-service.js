@@ -0,0 +1,448 @@
+/**
+ * Approval Service
+ *
+ * SRP: ONLY runs the lifecycle of approval_requests created by beforeChange
+ * hooks with `requiresApproval`
+ *
+ * LIFECYCLE:
+ *   pending ──approve (last step)──→ approved   (change applied to the target)
+ *      │  ╰─approve (more steps)──→ pending    (next approver in the chain)
+ *      ├──reject─────────────────→ rejected
+ *      ╰──timeout────────────────→ expired, or pending with the next role up
+ *                                  (onTimeout: 'escalate'; expires at the top)
+ *
+ * - CHAIN: approval_chain holds the ordered steps resolved from the hook when
+ *   the change was requested (hook-service resolveApprovalChain). Each step is
+ *   decided by a different user whose role meets the step's approver_role.
+ * - UNCHANGED TARGET: the target's version (ETag) is stored with the request;
+ *   the final approval applies the change with it as If-Match, so a target
+ *   edited in the meantime is never overwritten (409).
+ * - NOTIFICATIONS: the approvers of every step, escalation target and final
+ *   decision are notified in the same transaction (notification action handler).
+ *
+ * INTEGRATION:
+ *   GenericEntityService.update() → requestApproval() (202 APPROVAL_REQUIRED)
+ *   POST /api/approval_requests/:id/decision → decide()
+ *   'approvals.timeouts' recurring job → processTimeouts()
+ */
+
+const db = require('../../db/connection');
+const { withTransaction } = require('../../db/helpers/transaction-helper');
+const { executeAction } = require('../../config/action-handlers');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { logger } = require('../../config/logger');
+const { getRoleHierarchy } = require('../../config/role-hierarchy-loader');
+const AppError = require('../../utils/app-error');
+const { getRecordVersion } = require('../../utils/etag');
+const { hasFieldPermission } = require('../../utils/field-access-controller');
+const GenericEntityService = require('./generic-entity-service');
+
+const { APPROVALS } = API_OPERATIONS;
+
+const ENTITY = 'approval_request';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Deadline of a step started at `from`.
+ *
+ * @param {number|null} timeoutHours - Step timeout in hours (null = never)
+ * @param {Date} from - Step start
+ * @returns {Date|null}
+ */
+function deadline(timeoutHours, from) {
+  return timeoutHours ? new Date(from.getTime() + timeoutHours * MS_PER_HOUR) : null;
+}
+
+/**
+ * Steps of a request. Requests created without a chain (e.g. via the generic
+ * POST) have a single step for their approver_role.
+ *
+ * @param {Object} request - approval_requests row
+ * @returns {Array<{approver: string, timeout: number|null}>}
+ */
+function getChain(request) {
+  return request.approval_chain?.length
+    ? request.approval_chain
+    : [{ approver: request.approver_role, timeout: null }];
+}
+
+class ApprovalService {
+  /**
+   * Create the approval request for a change a beforeChange hook held back.
+   *
+   * A pending request for the same target, field and value is returned as-is
+   * instead of stacking duplicates. The first step's approvers are notified.
+   *
+   * @param {Object} approvalInfo - evaluateBeforeHooks() approvalInfo
+   * @param {Object} options
+   * @param {Object} options.record - Target record before the change (version source)
+   * @param {number} options.requestedBy - Requesting user id
+   * @param {Date} [options.now=new Date()] - Request time
+   * @returns {Promise<Object>} The pending approval request
+   */
+  static async requestApproval(approvalInfo, { record, requestedBy, now = new Date() }) {
+    const { targetEntity, targetId, targetField, previousValue, proposedValue } = approvalInfo;
+    const chain = approvalInfo.chain?.length
+      ? approvalInfo.chain
+      : [{ approver: approvalInfo.approver, timeout: approvalInfo.timeout ?? null }];
+
+    return withTransaction(async (client) => {
+      const existing = await client.query(
+        `SELECT id FROM approval_requests
+         WHERE status = 'pending' AND target_entity = $1 AND target_id = $2
+           AND target_field = $3 AND proposed_value::jsonb = $4::jsonb
+         LIMIT 1`,
+        [targetEntity, String(targetId), targetField, JSON.stringify(proposedValue)],
+      );
+      if (existing.rows.length > 0) {
+        return GenericEntityService.findById(ENTITY, existing.rows[0].id, { client });
+      }
+
+      const request = await GenericEntityService.create(
+        ENTITY,
+        {
+          target_entity: targetEntity,
+          target_id: String(targetId),
+          target_field: targetField,
+          previous_value: previousValue ?? null,
+          proposed_value: proposedValue,
+          approver_role: chain[0].approver,
+          approval_chain: chain,
+          current_step: 0,
+          on_timeout: approvalInfo.onTimeout || APPROVALS.ON_TIMEOUT.EXPIRE,
+          expires_at: deadline(chain[0].timeout, now),
+          target_version: getRecordVersion(record),
+          decision_history: [],
+          requested_by: requestedBy,
+        },
+        { user: requestedBy, client },
+      );
+
+      await this._notifyRole('approval_required', chain[0].approver, request, client);
+
+      logger.info('Approval requested', {
+        requestId: request.id,
+        target: `${targetEntity}:${targetId}`,
+        field: targetField,
+        steps: chain.map((step) => step.approver),
+      });
+
+      return request;
+    });
+  }
+
+  /**
+   * Approve or reject the current step of a pending request.
+   *
+   * Approving the last step applies the proposed value to the target (hooks
+   * and the state machine still run, the approval hook is satisfied) as long
+   * as the target is unchanged since the request.
+   *
+   * @param {number} id - Approval request id
+   * @param {Object} options
+   * @param {'approve'|'reject'} options.decision - Decision
+   * @param {string} [options.notes] - Decision notes
+   * @param {number} options.userId - Deciding user id
+   * @param {string} options.role - Deciding user's role
+   * @param {Object} [options.auditContext] - Audit context for the target update
+   * @param {Date} [options.now=new Date()] - Decision time
+   * @returns {Promise<Object|null>} Updated request, or null if not found
+   * @throws {AppError} 409 if the request is not pending or the target changed;
+   *   403 if the role is below the step's approver or the user decided an earlier step
+   */
+  static async decide(id, { decision, notes = null, userId, role, auditContext, now = new Date() }) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT * FROM approval_requests WHERE id = $1 FOR UPDATE',
+        [id],
+      );
+      const request = rows[0];
+      if (!request) {
+        return null;
+      }
+
+      if (request.status !== 'pending') {
+        throw new AppError(
+          `Approval request ${id} is already ${request.status}`,
+          409,
+          ERROR_CODES.RESOURCE_CONFLICT,
+        );
+      }
+      if (!hasFieldPermission(role, request.approver_role)) {
+        throw new AppError(
+          `Approval request ${id} requires ${request.approver_role} role or higher`,
+          403,
+          ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+        );
+      }
+
+      const history = request.decision_history || [];
+      if (history.some((entry) => entry.action === 'approved' && entry.user_id === userId)) {
+        throw new AppError(
+          'Each approval step must be decided by a different user',
+          403,
+          ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+        );
+      }
+
+      const chain = getChain(request);
+      const entry = {
+        step: request.current_step,
+        approver_role: request.approver_role,
+        action: decision === 'approve' ? 'approved' : 'rejected',
+        user_id: userId,
+        notes,
+        at: now.toISOString(),
+      };
+      const decisionHistory = [...history, entry];
+
+      if (decision === 'reject') {
+        return this._close(request, 'rejected', { userId, notes, now, decisionHistory, client });
+      }
+
+      const nextStep = request.current_step + 1;
+      if (nextStep < chain.length) {
+        const updated = await this._update(
+          request.id,
+          {
+            current_step: nextStep,
+            approver_role: chain[nextStep].approver,
+            expires_at: deadline(chain[nextStep].timeout, now),
+            decision_history: decisionHistory,
+          },
+          { client, userId },
+        );
+        await this._notifyRole('approval_required', chain[nextStep].approver, updated, client);
+        return updated;
+      }
+
+      await this._applyChange(request, { client, userId, auditContext });
+      return this._close(request, 'approved', { userId, notes, now, decisionHistory, client });
+    });
+  }
+
+  /**
+   * Escalate or expire every pending request whose current step timed out.
+   *
+   * Failures are isolated per request: each runs in its own transaction.
+   *
+   * @param {Object} [options={}]
+   * @param {Date} [options.asOf=new Date()] - Reference time
+   * @returns {Promise<Object>} Summary { processed, escalated, expired, failed, errors }
+   */
+  static async processTimeouts({ asOf = new Date() } = {}) {
+    const { rows } = await db.query(
+      `SELECT id FROM approval_requests
+       WHERE status = 'pending' AND expires_at <= $1
+       ORDER BY expires_at, id
+       LIMIT $2`,
+      [asOf, APPROVALS.MAX_REQUESTS_PER_RUN],
+    );
+
+    const summary = { processed: 0, escalated: 0, expired: 0, failed: 0, errors: [] };
+
+    for (const { id } of rows) {
+      try {
+        const outcome = await this._timeOut(id, asOf);
+        if (outcome) {
+          summary.processed++;
+          summary[outcome]++;
+        }
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ id, error: error.message });
+        logger.error('Approval timeout failed', { requestId: id, error: error.message });
+      }
+    }
+
+    if (summary.processed > 0 || summary.failed > 0) {
+      logger.info('Approval timeouts processed', {
+        processed: summary.processed,
+        escalated: summary.escalated,
+        expired: summary.expired,
+        failed: summary.failed,
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Time out one request: hand it to the next role up, or expire it.
+   *
+   * @private
+   * @param {number} id - Approval request id
+   * @param {Date} asOf - Reference time
+   * @returns {Promise<'escalated'|'expired'|null>} null if no longer due (decided or locked)
+   */
+  static async _timeOut(id, asOf) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM approval_requests
+         WHERE id = $1 AND status = 'pending' AND expires_at <= $2
+         FOR UPDATE SKIP LOCKED`,
+        [id, asOf],
+      );
+      const request = rows[0];
+      if (!request) {
+        return null;
+      }
+
+      const history = request.decision_history || [];
+      const hierarchy = getRoleHierarchy();
+      const nextRole = hierarchy[hierarchy.indexOf(request.approver_role) + 1];
+
+      if (request.on_timeout === APPROVALS.ON_TIMEOUT.ESCALATE && nextRole) {
+        const { timeout } = getChain(request)[request.current_step] || {};
+        const updated = await this._update(
+          request.id,
+          {
+            approver_role: nextRole,
+            expires_at: deadline(timeout, asOf),
+            decision_history: [
+              ...history,
+              {
+                step: request.current_step,
+                approver_role: request.approver_role,
+                action: 'escalated',
+                escalated_to: nextRole,
+                at: asOf.toISOString(),
+              },
+            ],
+          },
+          { client },
+        );
+        await this._notifyRole('approval_escalated', nextRole, updated, client);
+        return 'escalated';
+      }
+
+      await this._close(request, 'expired', {
+        now: asOf,
+        decisionHistory: [
+          ...history,
+          {
+            step: request.current_step,
+            approver_role: request.approver_role,
+            action: 'expired',
+            at: asOf.toISOString(),
+          },
+        ],
+        client,
+      });
+      return 'expired';
+    });
+  }
+
+  /**
+   * Apply an approved change to its target, provided the target is unchanged.
+   *
+   * @private
+   * @param {Object} request - approval_requests row
+   * @param {Object} options - { client, userId, auditContext }
+   * @throws {AppError} 409 RESOURCE_CONFLICT if the target changed or no longer exists
+   */
+  static async _applyChange(request, { client, userId, auditContext }) {
+    const target = `${request.target_entity} ${request.target_id}`;
+    let applied;
+    try {
+      applied = await GenericEntityService.update(
+        request.target_entity,
+        request.target_id,
+        { [request.target_field]: request.proposed_value },
+        {
+          client,
+          user: userId,
+          auditContext,
+          expectedVersion: request.target_version,
+          approvalGranted: true,
+        },
+      );
+    } catch (error) {
+      if (error.code === ERROR_CODES.RESOURCE_VERSION_MISMATCH) {
+        throw new AppError(
+          `${target} changed after approval was requested; reject this request and request the change again`,
+          409,
+          ERROR_CODES.RESOURCE_CONFLICT,
+          { etag: error.details?.etag },
+        );
+      }
+      throw error;
+    }
+
+    if (!applied) {
+      throw new AppError(`${target} no longer exists`, 409, ERROR_CODES.RESOURCE_CONFLICT);
+    }
+  }
+
+  /**
+   * Close a request (approved, rejected or expired) and notify the requester.
+   *
+   * @private
+   * @param {Object} request - approval_requests row
+   * @param {string} status - Final status
+   * @param {Object} options - { userId, notes, now, decisionHistory, client }
+   * @returns {Promise<Object>} Updated request
+   */
+  static async _close(request, status, { userId = null, notes = null, now, decisionHistory, client }) {
+    const updated = await this._update(
+      request.id,
+      {
+        status,
+        approved_by: userId,
+        decided_at: now,
+        decision_notes: notes,
+        decision_history: decisionHistory,
+      },
+      { client, userId },
+    );
+
+    await executeAction(
+      {
+        type: 'notification',
+        template: 'approval_decided',
+        recipient: { match: 'id', value: { field: 'requested_by' } },
+      },
+      { entity: ENTITY, record: updated, field: 'status', newValue: status, user: { id: userId }, tx: client },
+    );
+
+    logger.info('Approval request closed', { requestId: request.id, status, user: userId });
+    return updated;
+  }
+
+  /**
+   * Write system-managed fields of a request.
+   *
+   * @private
+   * @param {number} id - Approval request id
+   * @param {Object} changes - Fields to write
+   * @param {Object} options - { client, userId }
+   * @returns {Promise<Object>} Updated request
+   */
+  static async _update(id, changes, { client, userId }) {
+    return GenericEntityService.update(ENTITY, id, changes, {
+      client,
+      user: userId || 'system',
+      skipHooks: true,
+    });
+  }
+
+  /**
+   * Notify every active user holding a role about a request.
+   *
+   * @private
+   * @param {string} template - Notification template
+   * @param {string} role - Role name
+   * @param {Object} request - approval_requests row
+   * @param {Object} client - Unit-of-Work pg client
+   */
+  static async _notifyRole(template, role, request, client) {
+    await executeAction(
+      { type: 'notification', template, recipient: { match: 'role_id', value: { role } } },
+      { entity: ENTITY, record: request, tx: client },
+    );
+  }
+}
+
+module.exports = ApprovalService;
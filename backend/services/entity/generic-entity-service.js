@@ -35,6 +35,7 @@ const {
   evaluateBeforeHooks,
   runAfterChangeHooks,
 } = require('./hook-service');
+const { TRANSITION_REFUSAL } = require('./transition-service');
 const { buildUpdateClause } = require('../../db/helpers/update-helper');
 const { applyDerived } = require('./field-derivation');
 const { cascadeDeleteDependents } = require('../../db/helpers/cascade-helper');
@@ -45,18 +46,31 @@ const {
   stripAuthIdentifiersArray,
 } = require('../../db/helpers/auth-identifier-sanitizer');
 // ADR-011: field-level read redaction at the service output boundary
-const { filterDataByRole } = require('../../utils/field-access-controller');
+const {
+  filterDataByRole,
+  getFieldsForOperation,
+} = require('../../utils/field-access-controller');
 const { composeComputedName } = require('../../utils/name-utils');
+const { assertPublicHttpsUrl } = require('../../utils/outbound-url');
 const { logEntityAuditIfEnabled } = require('../../db/helpers/audit-helper');
+const RealtimeEventService = require('../realtime/realtime-event-service');
+const WebhookDeliveryService = require('../integrations/webhook-delivery-service');
 const {
   loadRelationships,
+  getIncludeRoots,
   buildForeignKeyDisplayClauses,
 } = require('../../db/helpers/relationship-loader');
 const {
   ENTITY_FIELDS,
   NAME_PATTERNS,
   NAME_PATTERN_MAP,
+  FULLTEXT_SEARCH,
+  TENANCY,
+  ORGANIZATIONS,
+  USER_ROLES,
 } = require('../../config/constants');
+const { hasMinimumRole } = require('../../config/permissions-loader');
+const { isTenantScoped } = require('../../config/entity-traits');
 const { sanitizeData } = require('../../utils/data-hygiene');
 const {
   generateIdentifier,
@@ -64,6 +78,11 @@ const {
 } = require('../../utils/identifier-generator');
 const AppError = require('../../utils/app-error');
 const { ERROR_CODES } = require('../../config/error-codes');
+const {
+  formatETag,
+  parseIfMatch,
+  matchesVersion,
+} = require('../../utils/etag');
 
 /**
  * Partition an object's entries into kept vs rejected by a predicate.
@@ -190,6 +209,152 @@ class GenericEntityService {
     return serialized;
   }
 
+  /**
+   * Resolve the tenant stamped on a new row (ADR-014)
+   *
+   * tenant_id is never client-writable (SYSTEM_MANAGED_ON_CREATE). It comes from:
+   * 1. The caller's tenant (rlsContext.tenantId) for API writes
+   * 2. Otherwise the first tenant-scoped belongsTo parent in the data, so system
+   *    creates (hooks, jobs, seeds) land in the same tenant as the row they hang off
+   * 3. Otherwise nothing - the column default (the original tenant) applies
+   *
+   * @private
+   * @param {Object} metadata - Entity metadata
+   * @param {Object} data - Filtered insert data
+   * @param {Object|null} rlsContext - ADR-011 RLS context
+   * @param {number} paramIndex - Placeholder number for the tenant value
+   * @returns {{expression: string, value: *}|null} Column expression + bound value, or null
+   */
+  static _resolveInsertTenant(metadata, data, rlsContext, paramIndex) {
+    if (!isTenantScoped(metadata)) {
+      return null;
+    }
+    if (rlsContext?.tenantId !== undefined && rlsContext?.tenantId !== null) {
+      return { expression: `$${paramIndex}`, value: rlsContext.tenantId };
+    }
+
+    for (const relDef of Object.values(metadata.relationships || {})) {
+      if (relDef.type !== 'belongsTo' || data[relDef.foreignKey] === undefined || data[relDef.foreignKey] === null) {
+        continue;
+      }
+      const parent = Object.values(allMetadata).find((meta) => meta.tableName === relDef.table);
+      if (parent && isTenantScoped(parent)) {
+        return {
+          expression: `(SELECT ${TENANCY.COLUMN} FROM ${relDef.table} WHERE ${parent.primaryKey || 'id'} = $${paramIndex})`,
+          value: data[relDef.foreignKey],
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reject foreign keys that point at another tenant's rows (ADR-014)
+   *
+   * Database FKs are single-column, so a raw id from another tenant would
+   * persist and drive hooks and derived lookups. Every tenant-scoped target
+   * in data must exist in the row's tenant. The error matches a missing
+   * reference, so another tenant's ids are not disclosed.
+   *
+   * @private
+   * @param {Object} metadata - Entity metadata
+   * @param {Object} data - Fields being written
+   * @param {number|null} tenantId - The row's tenant; null skips the check (system write)
+   * @param {Object} client - Unit-of-Work pg client
+   * @throws {AppError} 400 if a referenced row is not in the tenant
+   */
+  static async _assertForeignKeysInTenant(metadata, data, tenantId, client) {
+    if (!isTenantScoped(metadata) || tenantId === null || tenantId === undefined) {
+      return;
+    }
+
+    for (const [field, fieldDef] of Object.entries(metadata.fields || {})) {
+      const value = data[field];
+      const target = fieldDef.type === 'foreignKey' ? allMetadata[fieldDef.references] : null;
+      if (!target || !isTenantScoped(target) || value === undefined || value === null) {
+        continue;
+      }
+
+      const { rows } = await client.query(
+        `SELECT 1 FROM ${target.tableName} WHERE ${target.primaryKey || 'id'} = $1 AND ${TENANCY.COLUMN} = $2`,
+        [value, tenantId],
+      );
+      if (rows.length === 0) {
+        throw new AppError(
+          `${fieldDef.references} not found. Please provide a valid ${field}.`,
+          400,
+          ERROR_CODES.VALIDATION_FAILED,
+        );
+      }
+    }
+  }
+
+  /**
+   * Reject assigning a company-scoped row (RLS 'organization' access) to an
+   * organization the caller has no active membership in (ADR-014)
+   *
+   * Admins may assign any organization of their tenant (the tenant itself is
+   * checked by _assertForeignKeysInTenant). The active organization was
+   * already verified by enforceRLS.
+   *
+   * @private
+   * @param {Object} metadata - Entity metadata
+   * @param {Object} data - Fields being written
+   * @param {Object|null} rlsContext - Caller's RLS context; null skips the check (system write)
+   * @param {Object} client - Unit-of-Work pg client
+   * @throws {AppError} 403 if the caller is not a member of the organization
+   */
+  static async _assertOrganizationMember(metadata, data, rlsContext, client) {
+    const organizationId = data[ORGANIZATIONS.COLUMN];
+    const isCompanyScoped = (metadata.rlsRules || []).some(
+      (rule) => rule.access?.type === 'organization',
+    );
+    if (
+      !isCompanyScoped ||
+      !rlsContext?.role ||
+      organizationId === undefined ||
+      organizationId === null ||
+      Number(organizationId) === Number(rlsContext.activeOrganizationId) ||
+      hasMinimumRole(rlsContext.role, USER_ROLES.ADMIN)
+    ) {
+      return;
+    }
+
+    const { rows } = rlsContext.userId
+      ? await client.query(
+        `SELECT 1 FROM ${ORGANIZATIONS.MEMBERSHIP_TABLE}
+         WHERE ${ORGANIZATIONS.COLUMN} = $1 AND user_id = $2 AND is_active = true
+           AND ${TENANCY.COLUMN} = $3`,
+        [organizationId, rlsContext.userId, rlsContext.tenantId ?? null],
+      )
+      : { rows: [] };
+    if (rows.length === 0) {
+      throw new AppError(
+        'You are not a member of this organization',
+        403,
+        ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS,
+      );
+    }
+  }
+
+  /**
+   * Reject server-contacted URLs that are not https or resolve to
+   * private/reserved addresses (fields flagged outboundUrl, e.g. webhook
+   * target_url). The server later POSTs to them.
+   *
+   * @private
+   * @param {Object} metadata - Entity metadata
+   * @param {Object} data - Fields being written
+   * @throws {AppError} 400 if a URL is not safe to contact
+   */
+  static async _assertOutboundUrls(metadata, data) {
+    for (const [field, fieldDef] of Object.entries(metadata.fields || {})) {
+      if (fieldDef.outboundUrl && data[field] !== undefined && data[field] !== null) {
+        await assertPublicHttpsUrl(data[field], { field });
+      }
+    }
+  }
+
   /**
    * Redact fields the caller's role may not read (ADR-011 output boundary)
    *
@@ -205,6 +370,8 @@ class GenericEntityService {
    * @param {Object|Array|null} data - A record, an array of records, or null
    * @param {Object} metadata - Entity metadata with fieldAccess config
    * @param {Object|null} [rlsContext] - ADR-011 RLS context; redaction is skipped unless rlsContext.role is set
+   * @param {string[]|null} [include] - ?include= paths loaded onto the data; their top-level
+   *   relationship keys survive (nested rows were already redacted by the relationship loader)
    * @returns {Object|Array|null} Data limited to role-readable fields, or unchanged when no role applies
    *
    * @example
@@ -215,14 +382,20 @@ class GenericEntityService {
    *   // Internal/system read (no role) → full record returned
    *   GenericEntityService._redactForContext(row, metadata, null);
    */
-  static _redactForContext(data, metadata, rlsContext = null) {
+  static _redactForContext(data, metadata, rlsContext = null, include = null) {
     // No role in context → internal/system caller → return full data unchanged
     if (!rlsContext || !rlsContext.role) {
       return data;
     }
 
     // Always 'read': this is the response-visibility boundary
-    return filterDataByRole(data, metadata, rlsContext.role, 'read');
+    return filterDataByRole(
+      data,
+      metadata,
+      rlsContext.role,
+      'read',
+      include ? getIncludeRoots(include) : [],
+    );
   }
 
   /**
@@ -251,6 +424,73 @@ class GenericEntityService {
     return Array.isArray(data) ? data.map(apply) : apply(data);
   }
 
+  /**
+   * Build the 412 thrown when an If-Match precondition no longer holds.
+   *
+   * details.current is the row as it is now (already scoped/redacted by the
+   * caller) and details.etag its version, so the client can show the other
+   * edit and retry against it.
+   *
+   * @private
+   * @param {string} entityName - Entity name
+   * @param {number} id - Primary key value
+   * @param {Object} record - Full current row (version source)
+   * @param {Object} current - Current row as the caller may see it
+   * @returns {AppError} 412 RESOURCE_VERSION_MISMATCH
+   */
+  static _versionMismatchError(entityName, id, record, current) {
+    return new AppError(
+      `${entityName} ${id} was modified by another request`,
+      412,
+      ERROR_CODES.RESOURCE_VERSION_MISMATCH,
+      { etag: formatETag(record), current },
+    );
+  }
+
+  /**
+   * Build the error thrown when the status state machine refuses a move.
+   *
+   * Undeclared edge → 409 (the record's current state conflicts with the
+   * request, like a job that cannot be retried); role below the edge's
+   * minRole → 403; required fields missing → 400.
+   *
+   * @private
+   * @param {Object} hookResult - evaluateBeforeHooks result with `transition`
+   * @returns {AppError}
+   */
+  static _transitionError(hookResult) {
+    const { reason, details } = hookResult.transition;
+    const [statusCode, code] = {
+      [TRANSITION_REFUSAL.INVALID_EDGE]: [409, ERROR_CODES.RESOURCE_CONFLICT],
+      [TRANSITION_REFUSAL.INSUFFICIENT_ROLE]: [403, ERROR_CODES.AUTH_INSUFFICIENT_PERMISSIONS],
+      [TRANSITION_REFUSAL.MISSING_FIELDS]: [400, ERROR_CODES.VALIDATION_MISSING_FIELD],
+    }[reason];
+    return new AppError(hookResult.blockReason, statusCode, code, details);
+  }
+
+  /**
+   * Record the approval request for a change a beforeChange hook held back.
+   *
+   * The request is created in its own transaction (approval-service), so it
+   * survives the rollback of the blocked update. Internal/system callers (no
+   * user id) get no request; the 202 still tells them approval is required.
+   *
+   * @private
+   * @param {Object} approvalInfo - evaluateBeforeHooks() approvalInfo
+   * @param {Object} oldRecord - Target record before the change
+   * @param {Object} options - update() options (user / auditContext)
+   * @returns {Promise<Object|null>} The pending approval request, or null
+   */
+  static async _requestApproval(approvalInfo, oldRecord, options) {
+    const requestedBy = Number(options.user || options.auditContext?.userId);
+    if (!Number.isInteger(requestedBy) || requestedBy <= 0) {
+      return null;
+    }
+    // Lazy: approval-service depends on this service
+    const ApprovalService = require('./approval-service');
+    return ApprovalService.requestApproval(approvalInfo, { record: oldRecord, requestedBy });
+  }
+
   // ============================================================================
   // READ OPERATIONS
   // ============================================================================
@@ -263,7 +503,7 @@ class GenericEntityService {
    * @param {string} entityName - Entity name (e.g., 'user', 'role', 'customer')
    * @param {number|string} id - Primary key value
    * @param {Object} [options={}] - Options bag
-   * @param {string[]} [options.include] - Relationship names to eager-load
+   * @param {string[]} [options.include] - Relationship paths to eager-load (e.g. ['customer', 'invoices.payments'])
    * @param {Object} [options.rlsContext] - ADR-011 RLS context ({ role, userId, operation, *_profile_id }); omit for internal/system reads (no filtering)
    * @param {Object} [options.client] - Optional pg client to run the read on a caller's open transaction (batch); defaults to the pool. Relationship eager-loading (include) still uses the pool.
    * @returns {Promise<Object|null>} Entity record or null if not found/not authorized
@@ -318,7 +558,7 @@ class GenericEntityService {
     }
 
     // Redact non-readable fields for the caller's role (ADR-011 output boundary)
-    const redacted = this._redactForContext(entity, metadata, rlsContext);
+    const redacted = this._redactForContext(entity, metadata, rlsContext, include);
     return this._applyComputedName(redacted, metadata);
   }
 
@@ -365,6 +605,28 @@ class GenericEntityService {
     return rlsFilter.applied;
   }
 
+  /**
+   * Narrow a list of a company-scoped entity to the caller's active
+   * organization (X-Organization-Id, carried as rlsContext.activeOrganizationId),
+   * keeping the unassigned rows every company shares. A view filter, not a
+   * grant: RLS has already limited the rows to the caller's memberships.
+   *
+   * @param {string[]} whereClauses - WHERE fragments; the filter is pushed if it applies.
+   * @param {Array} params - Query params; the organization ID is pushed if it applies.
+   * @param {Object|null} rlsContext - RLS context (activeOrganizationId optional).
+   * @param {Object} metadata - Entity metadata.
+   */
+  static _appendActiveOrganizationFilter(whereClauses, params, rlsContext, metadata) {
+    const organizationId = rlsContext?.activeOrganizationId;
+    if (organizationId === undefined || organizationId === null || !metadata.fields?.[ORGANIZATIONS.COLUMN]) {
+      return;
+    }
+
+    params.push(organizationId);
+    const column = `${metadata.tableName}.${ORGANIZATIONS.COLUMN}`;
+    whereClauses.push(`(${column} = $${params.length} OR ${column} IS NULL)`);
+  }
+
   /**
    * Find all entities with pagination, search, filtering, sorting, and RLS
    *
@@ -375,13 +637,14 @@ class GenericEntityService {
    * @param {number} [options.page=1] - Page number (1-indexed)
    * @param {number} [options.limit=50] - Items per page (max: 200)
    * @param {boolean} [options.includeInactive=false] - Include inactive entities
-   * @param {string} [options.search] - Search term (searches across searchableFields)
+   * @param {string} [options.search] - Search term (searches across searchableFields; word-like terms use full-text search over FULLTEXT fields, ranked by relevance unless sortBy is given)
    * @param {Object} [options.filters] - Filters (e.g., { priority[gte]: 50 })
    * @param {string} [options.sortBy] - Field to sort by (validated against sortableFields)
    * @param {string} [options.sortOrder] - 'ASC' or 'DESC'
-   * @param {string[]} [options.include] - Relationship names to eager-load
+   * @param {string[]} [options.include] - Relationship paths to eager-load (e.g. ['customer', 'invoices.payments'])
    * @param {Object} [options.rlsContext] - ADR-011 RLS context ({ role, userId, operation, *_profile_id }); omit for internal/system reads (no filtering)
-   * @returns {Promise<Object>} { data, pagination, appliedFilters, rlsApplied } — rlsApplied = RLS rules were EVALUATED (not that rows were filtered)
+   * @param {string} [options.cursor] - Opt-in keyset pagination: '' for the first page, then the previous response's pagination.next_cursor; page is ignored and no total is counted
+   * @returns {Promise<Object>} { data, pagination, appliedFilters, rlsApplied } — rlsApplied = RLS rules were EVALUATED (not that rows were filtered); in cursor mode pagination is { limit, hasNext, next_cursor }; full-text searches add search_snippet to each row
    *
    * @example
    *   // Internal/system read (no RLS filtering)
@@ -392,6 +655,13 @@ class GenericEntityService {
    *   // With RLS (API endpoints) — rlsContext from enforceRLS middleware
    *   const result = await GenericEntityService.findAll('work_order', { page: 1, rlsContext });
    *   // Returns only rows the caller is authorized to see
+   *
+   * @example
+   *   // Cursor pagination — follow pagination.next_cursor until it is null
+   *   const first = await GenericEntityService.findAll('audit_log', { cursor: '', limit: 100 });
+   *   const next = await GenericEntityService.findAll('audit_log', {
+   *     cursor: first.pagination.next_cursor, limit: 100,
+   *   });
    */
   static async findAll(entityName, options = {}) {
     const { rlsContext = null } = options || {};
@@ -412,6 +682,7 @@ class GenericEntityService {
         total,
         page: built.page,
         limit: built.limit,
+        keyset: built.keyset,
         appliedFilters: built.appliedFilters,
         rlsApplied: built.rlsApplied,
       },
@@ -426,8 +697,23 @@ class GenericEntityService {
    * Assemble the COUNT and DATA queries (with their shared params) for a list
    * read. Pure: no DB access. Used only by findAll.
    *
-   * @returns {{ countQuery: string, dataQuery: string, params: Array, page: number,
-   *   limit: number, appliedFilters: Object, rlsApplied: boolean }}
+   * Cursor mode (options.cursor defined) seeks past the cursor row instead of
+   * using OFFSET, adds the primary key as ORDER BY tiebreaker, fetches one extra
+   * row to detect a next page, and skips the COUNT (countQuery null). The sort
+   * value is projected as text (__cursor_sort) so timestamps keep full precision.
+   *
+   * Full-text search (word-like term, entity has FULLTEXT fields) projects a
+   * ts_headline search_snippet from the FULLTEXT fields and, without an
+   * explicit sortBy, orders by ts_rank first. Cursor mode keeps its own sort:
+   * a keyset cannot seek on a relevance score.
+   *
+   * Search, and an explicit sortBy, only use fields the caller may read: a
+   * match or the order (and the cursor's sort value) would otherwise disclose
+   * hidden values. Full-text search needs every FULLTEXT field readable, since
+   * the tsvector covers them all; otherwise the readable ones use ILIKE.
+   *
+   * @returns {{ countQuery: string|null, dataQuery: string, params: Array, page: number,
+   *   limit: number, keyset: Object|null, appliedFilters: Object, rlsApplied: boolean }}
    */
   static _buildListQuery(entityName, metadata, options, rlsContext) {
     // Validate pagination params (gracefully caps invalid values)
@@ -437,12 +723,25 @@ class GenericEntityService {
     // Extract query-building metadata
     const {
       tableName,
+      primaryKey = 'id',
       defaultSort = DEFAULT_SORT,
     } = metadata;
+    const cursorMode = options.cursor !== undefined && options.cursor !== null;
 
-    const searchableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.SEARCHABLE);
     const filterableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.FILTERABLE);
-    const sortableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.SORTABLE);
+    // Fields the caller may read (no role = internal/system read: all fields)
+    const readableFields = rlsContext?.role
+      ? getFieldsForOperation(metadata, rlsContext.role, 'read')
+      : null;
+    const isReadable = (field) => !readableFields || readableFields.includes(field);
+    const sortableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.SORTABLE).filter(isReadable);
+
+    // Search only matches fields the caller may read, otherwise a hit reveals
+    // a hidden value. The tsvector indexes every FULLTEXT field together, so
+    // if any of them is hidden the readable ones fall back to ILIKE.
+    const searchableFields = getFieldsWithTrait(metadata, FIELD_TRAIT.SEARCHABLE).filter(isReadable);
+    const allFulltextFields = getFieldsWithTrait(metadata, FIELD_TRAIT.FULLTEXT);
+    const fulltextFields = allFulltextFields.every(isReadable) ? allFulltextFields : [];
 
     // Embed each FK's display value (LEFT JOIN target, project <fk>_display)
     let selectClause = `${tableName}.*`;
@@ -457,13 +756,25 @@ class GenericEntityService {
       joinClause = joinParts.join(' ');
     }
 
-    // Build search clause (case-insensitive ILIKE across searchable fields)
-    // Pass tableName as prefix to avoid ambiguity with JOINs
-    const search = QueryBuilderService.buildSearchClause(
+    // Build search clause (full-text over FULLTEXT fields, ILIKE for the rest
+    // and for short/identifier terms). Pass tableName as prefix to avoid
+    // ambiguity with JOINs
+    const search = QueryBuilderService.buildFullTextSearchClause(
       options.search,
       searchableFields,
+      fulltextFields,
       tableName,
     );
+    const ranked = !!search.tsquery;
+    if (ranked) {
+      // Ranked search only runs when every FULLTEXT field is readable
+      const headline = QueryBuilderService.buildSearchHeadline(
+        fulltextFields,
+        search.tsquery,
+        tableName,
+      );
+      selectClause += `, ${headline} AS ${FULLTEXT_SEARCH.SNIPPET_COLUMN}`;
+    }
 
     // Build filter clause
     const filterOptions = { ...options.filters };
@@ -502,17 +813,61 @@ class GenericEntityService {
       metadata,
     );
 
-    const combinedWhere = QueryBuilderService.combineWhereClauses(whereClauses);
-    const whereClause = combinedWhere ? `WHERE ${combinedWhere}` : '';
+    // Active organization (UI company switch) narrows company-scoped lists
+    this._appendActiveOrganizationFilter(whereClauses, params, rlsContext, metadata);
 
     // Build sort clause (validated against sortableFields, with table prefix)
-    const sortClause = QueryBuilderService.buildSortClause(
+    let sortClause = QueryBuilderService.buildSortClause(
       options.sortBy,
       options.sortOrder,
       sortableFields,
       defaultSort,
       tableName,
     );
+    const byRelevance = ranked && !options.sortBy && !cursorMode;
+    if (byRelevance) {
+      sortClause = `${QueryBuilderService.buildSearchRank(search.tsquery, tableName)} DESC, ${sortClause}`;
+    }
+
+    // Cursor mode: seek past the cursor row (after filters + RLS, same params)
+    let keyset = null;
+    if (cursorMode) {
+      const sort = QueryBuilderService.resolveSort(
+        options.sortBy,
+        options.sortOrder,
+        sortableFields,
+        defaultSort,
+      );
+      keyset = { ...sort, primaryKey };
+
+      if (options.cursor !== '') {
+        const position = PaginationService.decodeCursor(options.cursor);
+        if (position.field !== sort.field || position.order !== sort.order) {
+          throw new AppError(
+            `Cursor was issued for sort ${position.field} ${position.order}, not ${sort.field} ${sort.order}`,
+            400,
+            ERROR_CODES.VALIDATION_FAILED,
+          );
+        }
+        const seek = QueryBuilderService.buildKeysetClause({
+          ...keyset,
+          value: position.value,
+          id: position.id,
+          paramOffset: params.length,
+          tablePrefix: tableName,
+        });
+        whereClauses.push(seek.clause);
+        params.push(...seek.params);
+      }
+
+      if (sort.field !== primaryKey) {
+        sortClause += `, ${tableName}.${primaryKey} ${sort.order}`;
+      }
+      selectClause += `, ${tableName}.${sort.field}::text AS __cursor_sort`;
+    }
+
+    const combinedWhere = QueryBuilderService.combineWhereClauses(whereClauses);
+    const whereClause = combinedWhere ? `WHERE ${combinedWhere}` : '';
 
     logger.debug('GenericEntityService.findAll', {
       entity: entityName,
@@ -526,7 +881,15 @@ class GenericEntityService {
     });
 
     // COUNT omits the belongsTo JOINs: they only project display fields; filters/RLS qualify by tableName.
-    const countQuery = `SELECT COUNT(*) as total FROM ${tableName} ${whereClause}`;
+    // Cursor mode never counts (the point is to avoid scanning the whole set).
+    const countQuery = cursorMode
+      ? null
+      : `SELECT COUNT(*) as total FROM ${tableName} ${whereClause}`;
+
+    // Cursor mode: one extra row tells whether a next page exists
+    const limitClause = cursorMode
+      ? `LIMIT ${limit + 1}`
+      : PaginationService.buildLimitClause(limit, offset);
 
     const dataQuery = `
       SELECT ${selectClause} 
@@ -534,7 +897,7 @@ class GenericEntityService {
       ${joinClause}
       ${whereClause} 
       ORDER BY ${sortClause}
-      ${PaginationService.buildLimitClause(limit, offset)}
+      ${limitClause}
     `;
 
     return {
@@ -543,11 +906,12 @@ class GenericEntityService {
       params,
       page,
       limit,
+      keyset,
       appliedFilters: {
         search: options.search || null,
         filters: filterOptions,
-        sortBy: options.sortBy || defaultSort.field,
-        sortOrder: options.sortOrder || defaultSort.order,
+        sortBy: options.sortBy || (byRelevance ? 'relevance' : defaultSort.field),
+        sortOrder: options.sortOrder || (byRelevance ? 'DESC' : defaultSort.order),
       },
       rlsApplied,
     };
@@ -555,13 +919,16 @@ class GenericEntityService {
 
   /**
    * Execute the COUNT and DATA queries for a list read. The only I/O in the
-   * findAll path.
+   * findAll path. A null countQuery (cursor mode) skips the COUNT.
    *
-   * @returns {Promise<{ rows: Object[], total: number }>}
+   * @returns {Promise<{ rows: Object[], total: number|null }>}
    */
   static async _executeListQuery(countQuery, dataQuery, params) {
-    const countResult = await db.query(countQuery, params);
-    const total = parseInt(countResult.rows[0].total, 10);
+    let total = null;
+    if (countQuery) {
+      const countResult = await db.query(countQuery, params);
+      total = parseInt(countResult.rows[0].total, 10);
+    }
 
     const result = await db.query(dataQuery, params);
 
@@ -575,14 +942,33 @@ class GenericEntityService {
    * @returns {Promise<{ data: Object[], pagination: Object, appliedFilters: Object, rlsApplied: boolean }>}
    */
   static async _shapeListResult(
-    { rows, total, page, limit, appliedFilters, rlsApplied },
+    { rows, total, page, limit, keyset = null, appliedFilters, rlsApplied },
     entityName,
     metadata,
     options,
     rlsContext,
   ) {
     // Generate pagination metadata
-    const pagination = PaginationService.generateMetadata(page, limit, total);
+    let pagination;
+    if (keyset) {
+      // Cursor mode: the extra row only signals a next page; the cursor points
+      // at the last row returned. __cursor_sort never leaves the service.
+      const hasNext = rows.length > limit;
+      rows = rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+      const nextCursor = hasNext
+        ? PaginationService.encodeCursor({
+          field: keyset.field,
+          order: keyset.order,
+          value: last.__cursor_sort,
+          id: last[keyset.primaryKey],
+        })
+        : null;
+      rows = rows.map(({ __cursor_sort: _cursorSort, ...row }) => row);
+      pagination = PaginationService.generateCursorMetadata(limit, nextCursor);
+    } else {
+      pagination = PaginationService.generateMetadata(page, limit, total);
+    }
 
     // Strip auth identifiers from all records
     let filteredData = stripAuthIdentifiersArray(rows, metadata);
@@ -598,7 +984,7 @@ class GenericEntityService {
     }
 
     // Redact non-readable fields for the caller's role (ADR-011 output boundary)
-    filteredData = this._redactForContext(filteredData, metadata, rlsContext);
+    filteredData = this._redactForContext(filteredData, metadata, rlsContext, options.include);
 
     // Compose the COMPUTED display name on read (never stored) from the
     // redaction-safe <fk>_display values now on each row.
@@ -783,8 +1169,9 @@ class GenericEntityService {
    * SRP: ONLY inserts a new row using metadata-driven field validation
    *
    * TRANSACTION SEMANTICS (single Unit of Work — see ADR 013):
-   * - INSERT + afterChange hooks + audit all run on ONE pg client via
-   *   withTransaction(): they commit together or roll back together.
+   * - INSERT + afterChange hooks + audit + realtime event + webhook deliveries
+   *   all run on ONE pg client via withTransaction(): they commit together or
+   *   roll back together.
    * - afterChange hooks run IN-transaction; cascade actions join the same Unit
    *   of Work (context.tx = client) and a hook failure aborts the whole write
    *   (Option A atomicity). Recursion is bounded by `options.skipHooks` and the
@@ -801,6 +1188,7 @@ class GenericEntityService {
    * @param {boolean} [options.skipHooks] - Skip hook evaluation (prevents recursion)
    * @param {string|number} [options.user] - User ID for hook/audit context
    * @param {Object} [options.rlsContext] - ADR-011 RLS context; redacts the returned record to the caller's role (omit for internal/system callers → full record)
+   *   and stamps rlsContext.tenantId on the row (system callers inherit the parent row's tenant - ADR-014)
    * @param {Object} [options.client] - Optional pg client; when provided the whole create JOINS the caller's open transaction (propagation) instead of opening its own
    * @returns {Promise<Object>} Created entity with all fields (RETURNING *)
    * @throws {Error} If entityName invalid, required fields missing, or DB error
@@ -849,17 +1237,44 @@ class GenericEntityService {
     // =========================================================================
     return withTransaction(
       async (client) => {
+        // =====================================================================
+        // APPLY METADATA-DRIVEN FIELD DERIVATIONS
+        // For fields with `derived: { from, via }`, compute the value per method.
+        // Example: work_order.property_id via:'lookup' from unit_id → unit.property_id
+        // =====================================================================
+        await applyDerived(entityName, cleanData, metadata);
+
+        // Company-scoped records default to the caller's active organization
+        const activeOrganizationId = options.rlsContext?.activeOrganizationId;
+        if (
+          metadata.fields?.[ORGANIZATIONS.COLUMN] &&
+          cleanData[ORGANIZATIONS.COLUMN] === undefined &&
+          activeOrganizationId !== undefined &&
+          activeOrganizationId !== null
+        ) {
+          cleanData[ORGANIZATIONS.COLUMN] = activeOrganizationId;
+        }
+
         // =====================================================================
         // AUTO-GENERATE IDENTIFIERS FOR COMPUTED ENTITIES
         // COMPUTED entities (work_order, invoice, contract) have auto-generated
         // identifiers in the format PREFIX-YYYY-NNNN (e.g., WO-2025-0001).
         // Runs on the txn client so the reservation is atomic with the INSERT.
+        // Numbered within the tenant the INSERT stamps (after derivations, which
+        // may supply the parent FK it inherits from); untenanted rows take the
+        // column default, DEFAULT_TENANT_ID.
         // =====================================================================
         const namePattern = NAME_PATTERN_MAP[entityName];
         if (namePattern === NAME_PATTERNS.COMPUTED) {
           const identifierField = IDENTIFIER_FIELDS[entityName];
           if (identifierField && !cleanData[identifierField]) {
-            cleanData[identifierField] = await generateIdentifier(entityName, client);
+            const tenant = isTenantScoped(metadata)
+              ? this._resolveInsertTenant(metadata, cleanData, options.rlsContext, 2) ?? {
+                expression: '$2',
+                value: TENANCY.DEFAULT_TENANT_ID,
+              }
+              : null;
+            cleanData[identifierField] = await generateIdentifier(entityName, client, tenant);
             logger.debug('Auto-generated identifier for COMPUTED entity', {
               entity: entityName,
               field: identifierField,
@@ -868,13 +1283,6 @@ class GenericEntityService {
           }
         }
 
-        // =====================================================================
-        // APPLY METADATA-DRIVEN FIELD DERIVATIONS
-        // For fields with `derived: { from, via }`, compute the value per method.
-        // Example: work_order.property_id via:'lookup' from unit_id → unit.property_id
-        // =====================================================================
-        await applyDerived(entityName, cleanData, metadata);
-
         // Validate required fields are present (after sanitization and auto-generation)
         const missingFields = requiredFields.filter(
           (field) =>
@@ -917,10 +1325,27 @@ class GenericEntityService {
         const serializedData = this._serializeForDb(filteredData, metadata);
 
         // Build parameterized INSERT query
-        const columns = fields.join(', ');
-        const placeholders = fields.map((_, i) => `$${i + 1}`).join(', ');
+        const columnList = [...fields];
+        const placeholderList = fields.map((_, i) => `$${i + 1}`);
         const values = fields.map((field) => serializedData[field]);
 
+        await this._assertOutboundUrls(metadata, filteredData);
+
+        // References must stay inside the caller's tenant (ADR-014)
+        await this._assertForeignKeysInTenant(metadata, filteredData, options.rlsContext?.tenantId, client);
+        await this._assertOrganizationMember(metadata, filteredData, options.rlsContext, client);
+
+        // Stamp the tenant (ADR-014) - caller's tenant, else the parent row's
+        const tenant = this._resolveInsertTenant(metadata, filteredData, options.rlsContext, values.length + 1);
+        if (tenant) {
+          columnList.push(TENANCY.COLUMN);
+          placeholderList.push(tenant.expression);
+          values.push(tenant.value);
+        }
+
+        const columns = columnList.join(', ');
+        const placeholders = placeholderList.join(', ');
+
         const query = `
           INSERT INTO ${tableName} (${columns})
           VALUES (${placeholders})
@@ -973,6 +1398,12 @@ class GenericEntityService {
           client,
         );
 
+        // Realtime event on the same client (NOTIFY is delivered on commit)
+        await RealtimeEventService.publishChange('create', entityName, filteredResult, client);
+
+        // Outbound webhooks on the same client (delivered by jobs after commit)
+        await WebhookDeliveryService.enqueueForChange('create', entityName, filteredResult, null, client);
+
         // Redact non-readable fields for the caller's role (ADR-011 output boundary).
         // Applied AFTER hooks + audit, which require the full created record.
         return this._redactForContext(filteredResult, metadata, options.rlsContext);
@@ -988,11 +1419,11 @@ class GenericEntityService {
    *
    * TRANSACTION SEMANTICS (single Unit of Work — see ADR 013):
    * - oldRecord fetch + system-protection + beforeChange + UPDATE + re-fetch +
-   *   afterChange hooks + audit all run on ONE pg client via withTransaction():
-   *   they commit together or roll back together.
+   *   afterChange hooks + audit + realtime event + webhook deliveries all run on
+   *   ONE pg client via withTransaction(): they commit together or roll back together.
    * - beforeChange hooks run PRE-write and may block the update (403) or require
    *   approval (202); a blocked update throws, so the transaction rolls back and
-   *   nothing persists.
+   *   nothing persists except the approval request (created on its own transaction).
    * - afterChange hooks run IN-transaction; cascade actions join the same Unit of
    *   Work (context.tx = client) and a hook failure aborts the whole update
    *   (Option A atomicity). Recursion is bounded by `options.skipHooks` and the
@@ -1002,6 +1433,13 @@ class GenericEntityService {
    * - External side-effects (email/SMS/webhooks) are NOT run here; they are
    *   deferred to the Stage 2 durable outbox drained after commit.
    *
+   * OPTIMISTIC CONCURRENCY:
+   * - Every update bumps the record's version column (a database trigger,
+   *   utils/etag.js) and stamps updated_at.
+   * - With options.expectedVersion the row is locked (SELECT ... FOR UPDATE)
+   *   before the version check, so two writers holding the same version cannot
+   *   both pass it; a stale version throws 412 carrying the current record.
+   *
    * @param {string} entityName - Entity name (e.g., 'user', 'role', 'customer')
    * @param {number|string} id - Primary key value
    * @param {Object} data - Fields to update
@@ -1011,8 +1449,11 @@ class GenericEntityService {
    * @param {string|number} [options.user] - User ID for hook/audit context
    * @param {Object} [options.rlsContext] - ADR-011 RLS context; row-scopes the update (out-of-scope → null → 404) AND redacts the returned record to the caller's role. Omit for internal/system callers (no scoping/redaction).
    * @param {Object} [options.client] - Optional pg client; when provided the whole update JOINS the caller's open transaction (propagation) instead of opening its own
+   * @param {string} [options.expectedVersion] - If-Match value (ETag list, single ETag or bare version); '*' or omitted = no check
+   * @param {boolean} [options.approvalGranted] - Change approved via an approval request: requiresApproval hooks are satisfied (approval-service)
    * @returns {Promise<Object|null>} Updated entity, or null if not found or not authorized by RLS
    * @throws {Error} If entityName invalid, id invalid, or no valid fields provided
+   * @throws {AppError} 412 RESOURCE_VERSION_MISMATCH if expectedVersion is stale (details: { etag, current })
    *
    * @example
    *   const updated = await GenericEntityService.update('customer', 1, {
@@ -1029,6 +1470,7 @@ class GenericEntityService {
    */
   static async update(entityName, id, data, options = {}) {
     const { rlsContext = null } = options || {};
+    const expectedVersions = parseIfMatch(options?.expectedVersion);
 
     // Get metadata (throws if invalid entityName)
     const metadata = this.requireEntityMetadata(entityName);
@@ -1112,6 +1554,12 @@ class GenericEntityService {
       );
     }
 
+    // Stamp updated_at unless the caller set it itself (version is bumped by the database)
+    const setClauses =
+      metadata.fields?.updated_at && filteredData.updated_at === undefined
+        ? [...updates, 'updated_at = CURRENT_TIMESTAMP']
+        : updates;
+
     // =========================================================================
     // SINGLE UNIT OF WORK (ADR 013)
     // oldRecord fetch, system-protection, beforeChange, UPDATE, re-fetch,
@@ -1126,11 +1574,33 @@ class GenericEntityService {
         // Single fetch used by: system protection check, beforeChange hooks,
         // afterChange hooks, and audit old-vs-new comparison
         // =====================================================================
+        if (expectedVersions) {
+          // Lock first: a concurrent writer waits here and then sees our version
+          await client.query(
+            `SELECT ${primaryKey} FROM ${tableName} WHERE ${primaryKey} = $1 FOR UPDATE`,
+            [safeId],
+          );
+        }
         const oldRecord = await this.findById(entityName, safeId, { client });
         if (!oldRecord) {
           return null; // Record doesn't exist
         }
 
+        // =====================================================================
+        // IF-MATCH CHECK (optimistic concurrency)
+        // oldRecord is unscoped, so the current record returned with the 412 is
+        // re-read within the caller's RLS scope (out-of-scope → null → 404).
+        // =====================================================================
+        if (expectedVersions && !matchesVersion(oldRecord, expectedVersions)) {
+          const current = rlsContext
+            ? await this.findById(entityName, safeId, { client, rlsContext })
+            : oldRecord;
+          if (!current) {
+            return null;
+          }
+          throw this._versionMismatchError(entityName, safeId, oldRecord, current);
+        }
+
         // =====================================================================
         // SYSTEM PROTECTION CHECK (against existing record)
         // =====================================================================
@@ -1156,16 +1626,25 @@ class GenericEntityService {
           }
         }
 
+        await this._assertOutboundUrls(metadata, filteredData);
+
+        // References must stay inside the row's tenant (ADR-014)
+        await this._assertForeignKeysInTenant(metadata, filteredData, oldRecord[TENANCY.COLUMN], client);
+        await this._assertOrganizationMember(metadata, filteredData, options.rlsContext, client);
+
         // =====================================================================
         // EVALUATE BEFORE-CHANGE HOOKS (may block the update)
-        // Hooks are defined in metadata.fields[fieldName].beforeChange
+        // Hooks are defined in metadata.fields[fieldName].beforeChange; the
+        // status state machine (metadata.transitions) is checked first for its
+        // field. Role comes from rlsContext (none for internal callers).
         // Skip if options.skipHooks is true (prevents recursive hook execution)
         // =====================================================================
         if (metadata.fields && !options.skipHooks) {
           for (const [fieldName, newValue] of Object.entries(filteredData)) {
             const fieldMeta = metadata.fields[fieldName];
             const hooks = fieldMeta?.beforeChange;
-            if (hooks && hooks.length > 0) {
+            const isTransitionField = metadata.transitions?.field === fieldName;
+            if ((hooks && hooks.length > 0) || isTransitionField) {
               const oldValue = oldRecord[fieldName];
               const hookResult = await evaluateBeforeHooks({
                 hooks,
@@ -1176,18 +1655,30 @@ class GenericEntityService {
                   record: oldRecord,
                   field: fieldName,
                   user: options.user || options.auditContext?.userId,
+                  role: rlsContext?.role,
+                  changes: filteredData,
                 },
                 operation: 'update',
+                transitions: metadata.transitions,
+                approvalGranted: options.approvalGranted,
               });
 
               if (!hookResult.allowed) {
+                if (hookResult.transition) {
+                  throw this._transitionError(hookResult);
+                }
                 if (hookResult.requiresApproval) {
+                  const approvalRequest = await this._requestApproval(
+                    hookResult.approvalInfo,
+                    oldRecord,
+                    options,
+                  );
                   throw new AppError(
                     hookResult.approvalInfo?.description ||
                       'Change requires approval',
                     202,
                     ERROR_CODES.APPROVAL_REQUIRED,
-                    { approvalInfo: hookResult.approvalInfo },
+                    { approvalInfo: hookResult.approvalInfo, approvalRequest },
                   );
                 }
                 throw new AppError(
@@ -1227,7 +1718,7 @@ class GenericEntityService {
         // Build parameterized UPDATE query
         const query = `
           UPDATE ${tableName}
-          SET ${updates.join(', ')}
+          SET ${setClauses.join(', ')}
           WHERE ${whereClause}
           RETURNING ${primaryKey}
         `;
@@ -1288,6 +1779,18 @@ class GenericEntityService {
           client,
         );
 
+        // Realtime event on the same client (NOTIFY is delivered on commit)
+        await RealtimeEventService.publishChange('update', entityName, updatedRecord, client);
+
+        // Outbound webhooks on the same client (delivered by jobs after commit)
+        await WebhookDeliveryService.enqueueForChange(
+          'update',
+          entityName,
+          updatedRecord,
+          oldRecord,
+          client,
+        );
+
         // Redact non-readable fields for the caller's role (ADR-011 output boundary).
         // Applied AFTER hooks + audit, which require the full updated record.
         return this._redactForContext(updatedRecord, metadata, rlsContext);
@@ -1302,12 +1805,15 @@ class GenericEntityService {
    * SRP: ONLY deletes a row using metadata-driven cascade deletion
    *
    * TRANSACTION SEMANTICS (single Unit of Work — see ADR 013):
-   * - RLS existence check + cascade delete + DELETE + audit all run on ONE pg
+   * - RLS existence check + cascade delete + DELETE + afterChange 'delete'
+   *   hooks + audit + realtime event + webhook deliveries all run on ONE pg
    *   client via withTransaction(): they commit together or roll back together.
    * - When options.client is supplied (e.g. batch), this delete JOINS the
    *   caller's transaction (propagation) instead of opening its own.
    * - A not-found / out-of-scope check returns null and commits a no-op (nothing
    *   was written); any error rolls the whole delete back.
+   * - With options.expectedVersion the existence check locks the row
+   *   (FOR UPDATE) and a stale version throws 412 carrying the current record.
    *
    * @param {string} entityName - Entity name (e.g., 'user', 'role', 'customer')
    * @param {number|string} id - Primary key value
@@ -1315,8 +1821,11 @@ class GenericEntityService {
    * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
    * @param {Object} [options.rlsContext] - ADR-011 RLS context; row-scopes the delete so a caller cannot delete rows outside their access scope (out-of-scope → null → 404). Omit for internal/system callers (no filtering).
    * @param {Object} [options.client] - Optional pg client; when provided the whole delete JOINS the caller's open transaction (propagation) instead of opening its own
+   * @param {boolean} [options.skipHooks] - Skip afterChange 'delete' hooks (prevents recursion)
+   * @param {string} [options.expectedVersion] - If-Match value (ETag list, single ETag or bare version); '*' or omitted = no check
    * @returns {Promise<Object|null>} Deleted entity, or null if not found or not authorized by RLS
    * @throws {Error} If entityName invalid, id invalid, or DB constraint violation
+   * @throws {AppError} 412 RESOURCE_VERSION_MISMATCH if expectedVersion is stale (details: { etag, current })
    *
    * @example
    *   const deleted = await GenericEntityService.delete('customer', 1);
@@ -1336,6 +1845,7 @@ class GenericEntityService {
    */
   static async delete(entityName, id, options = {}) {
     const { rlsContext = null, client: externalClient = null } = options || {};
+    const expectedVersions = parseIfMatch(options?.expectedVersion);
 
     // Get metadata (throws if invalid entityName)
     const metadata = this.requireEntityMetadata(entityName);
@@ -1402,7 +1912,8 @@ class GenericEntityService {
           }
         }
 
-        const checkQuery = `SELECT * FROM ${tableName} WHERE ${checkClauses.join(' AND ')}`;
+        const lockClause = expectedVersions ? ' FOR UPDATE' : '';
+        const checkQuery = `SELECT * FROM ${tableName} WHERE ${checkClauses.join(' AND ')}${lockClause}`;
         const checkResult = await client.query(checkQuery, checkParams);
 
         if (checkResult.rows.length === 0) {
@@ -1412,6 +1923,20 @@ class GenericEntityService {
         // Record fetched for audit logging
         const recordBeforeDelete = checkResult.rows[0];
 
+        // If-Match check (optimistic concurrency) against the locked, in-scope row
+        if (expectedVersions && !matchesVersion(recordBeforeDelete, expectedVersions)) {
+          throw this._versionMismatchError(
+            entityName,
+            safeId,
+            recordBeforeDelete,
+            this._redactForContext(
+              stripAuthIdentifiers(recordBeforeDelete, metadata),
+              metadata,
+              rlsContext,
+            ),
+          );
+        }
+
         // Cascade delete dependents (metadata-driven)
         const cascadeResult = await cascadeDeleteDependents(
           client,
@@ -1428,6 +1953,28 @@ class GenericEntityService {
           cascadedDependents: cascadeResult.totalDeleted,
         });
 
+        // =====================================================================
+        // AFTER-CHANGE HOOKS FOR DELETE (trigger actions) — IN-TRANSACTION
+        // Every field of the removed row is "changed" to null, so hooks declared
+        // with on: 'delete' fire with the old row as context (e.g. a line item
+        // recomputing its invoice's totals). Only 'delete' hooks match a delete.
+        // Skip when options.skipHooks is set (batch delegates; prevents recursion).
+        // =====================================================================
+        if (!options.skipHooks) {
+          await runAfterChangeHooks({
+            metadata,
+            entityName,
+            changedData: Object.fromEntries(
+              Object.keys(recordBeforeDelete).map((field) => [field, null]),
+            ),
+            record: recordBeforeDelete,
+            oldRecord: recordBeforeDelete,
+            client,
+            user: options.user || options.auditContext?.userId,
+            operation: 'delete',
+          });
+        }
+
         // Strip auth identifiers from response
         const filteredResult = stripAuthIdentifiers(deleteResult.rows[0], metadata);
         const filteredOldValues = stripAuthIdentifiers(
@@ -1445,6 +1992,18 @@ class GenericEntityService {
           client,
         );
 
+        // Realtime event on the same client (NOTIFY is delivered on commit)
+        await RealtimeEventService.publishChange('delete', entityName, recordBeforeDelete, client);
+
+        // Outbound webhooks on the same client (delivered by jobs after commit)
+        await WebhookDeliveryService.enqueueForChange(
+          'delete',
+          entityName,
+          recordBeforeDelete,
+          null,
+          client,
+        );
+
         return filteredResult;
       },
       { client: externalClient },
@@ -1474,6 +2033,7 @@ class GenericEntityService {
    * @param {string} operations[].operation - 'create' | 'update' | 'delete'
    * @param {number|string} [operations[].id] - Required for update/delete
    * @param {Object} [operations[].data] - Required for create/update
+   * @param {string} [operations[].expectedVersion] - update/delete only: the record's ETag; a stale version fails that operation with 412
    * @param {Object} [options={}] - Additional options
    * @param {Object} [options.auditContext] - Audit context from buildAuditContext()
    * @param {Object} [options.rlsContext] - RLS context for access checks on update/delete
@@ -1634,12 +2194,10 @@ class GenericEntityService {
                 break;
 
               case 'update':
-                result = await this.update(
-                  entityName,
-                  op.id,
-                  op.data,
-                  delegateOptions,
-                );
+                result = await this.update(entityName, op.id, op.data, {
+                  ...delegateOptions,
+                  expectedVersion: op.expectedVersion,
+                });
                 if (result === null) {
                   throw new AppError(
                     `Record not found: ${op.id}`,
@@ -1651,7 +2209,10 @@ class GenericEntityService {
                 break;
 
               case 'delete':
-                result = await this.delete(entityName, op.id, delegateOptions);
+                result = await this.delete(entityName, op.id, {
+                  ...delegateOptions,
+                  expectedVersion: op.expectedVersion,
+                });
                 if (result === null) {
                   throw new AppError(
                     `Record not found: ${op.id}`,
@@ -1683,6 +2244,11 @@ class GenericEntityService {
               success: false,
               error: opError.message,
             };
+            // A stale expectedVersion carries the current record (and its etag)
+            if (opError.code === ERROR_CODES.RESOURCE_VERSION_MISMATCH) {
+              errorEntry.code = opError.code;
+              errorEntry.details = opError.details;
+            }
 
             errors.push(errorEntry);
             results.push(errorEntry);
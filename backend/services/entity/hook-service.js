@@ -7,19 +7,26 @@
  *
  * beforeChange hooks:
  * - Can block changes (blocked: true)
- * - Can require approval (requiresApproval: { approver: 'role' })
+ * - Run after the entity's status state machine (metadata.transitions, see
+ *   transition-service.js) has accepted the move
+ * - Can require approval (requiresApproval: { approver: 'role', timeout, onTimeout, steps });
+ *   the approval request itself is created and run by approval-service.js
  * - Cannot execute actions (no 'do' property)
  *
  * afterChange hooks:
  * - Can execute actions (do: 'action_key')
  * - Cannot block or require approval
  * - Errors are logged but don't fail the request
+ * - Each executed named action is sent to matching webhook subscriptions
+ *   (webhook-delivery-service.js)
  *
  * @module services/hook-service
  */
 
 const { logger } = require('../../config/logger');
 const { getAction, executeAction } = require('../../config/action-handlers');
+const { evaluateTransition } = require('./transition-service');
+const WebhookDeliveryService = require('../integrations/webhook-delivery-service');
 
 // ============================================================================
 // CONFIGURATION
@@ -58,6 +65,8 @@ function matchesOn(onPattern, oldValue, newValue, operation = 'update') {
   // Lifecycle patterns
   if (onPattern === 'create') {return operation === 'create';}
   if (onPattern === 'delete') {return operation === 'delete';}
+  // A deletion only matches 'delete' (not 'change' or departures from a value)
+  if (operation === 'delete') {return false;}
   if (onPattern === 'change') {return oldValue !== newValue;}
 
   // Normalize values for comparison (null/undefined → empty string)
@@ -122,6 +131,27 @@ function evaluateWhen(whenCondition, record) {
   return evaluator(record[field], value);
 }
 
+/**
+ * Resolve the ordered approver steps of a requiresApproval hook.
+ *
+ * The first step is the hook's own approver; each entry of `steps` is added
+ * when its `when` condition holds for the record (e.g. an admin step above a
+ * second threshold). A step without its own timeout uses the hook's.
+ *
+ * @param {Object} requirement - hook.requiresApproval
+ * @param {Object} record - Record state with the proposed value applied
+ * @returns {Array<{approver: string, timeout: number|null}>}
+ */
+function resolveApprovalChain(requirement, record) {
+  const chain = [{ approver: requirement.approver, timeout: requirement.timeout ?? null }];
+  for (const step of requirement.steps || []) {
+    if (evaluateWhen(step.when, record)) {
+      chain.push({ approver: step.approver, timeout: step.timeout ?? requirement.timeout ?? null });
+    }
+  }
+  return chain;
+}
+
 // ============================================================================
 // BEFORE CHANGE HOOKS
 // ============================================================================
@@ -133,9 +163,15 @@ function evaluateWhen(whenCondition, record) {
  * @param {Object[]} options.hooks - Array of beforeChange hook definitions
  * @param {*} options.oldValue - Previous field value
  * @param {*} options.newValue - New field value
- * @param {Object} options.context - { entity, record, field, user, tx }
+ * @param {Object} options.context - { entity, record, field, user, role, changes, tx }
+ *   role: caller's role (falls back to user.role); changes: the full update payload
  * @param {string} [options.operation='update'] - Operation type
- * @returns {Promise<{allowed: boolean, blockReason?: string, requiresApproval?: boolean, approvalInfo?: Object}>}
+ * @param {Object} [options.transitions] - Entity state machine (metadata.transitions);
+ *   checked first when context.field is its field
+ * @param {boolean} [options.approvalGranted=false] - The change was approved through an
+ *   approval request: requiresApproval hooks are skipped (blocks still apply)
+ * @returns {Promise<{allowed: boolean, blockReason?: string, requiresApproval?: boolean, approvalInfo?: Object, transition?: Object}>}
+ *   transition: { reason, details } when the state machine refused the move
  */
 async function evaluateBeforeHooks({
   hooks,
@@ -143,21 +179,51 @@ async function evaluateBeforeHooks({
   newValue,
   context,
   operation = 'update',
+  transitions,
+  approvalGranted = false,
 }) {
+  const userRole = context.role || context.user?.role || context.user?.app_metadata?.role;
+
+  // State machine first: an undeclared move is refused before any approval flow starts
+  if (transitions && operation === 'update' && context.field === transitions.field) {
+    const result = evaluateTransition({
+      transitions,
+      oldValue,
+      newValue,
+      record: { ...context.record, ...context.changes, [context.field]: newValue },
+      role: userRole,
+    });
+    if (!result.allowed) {
+      logger.info('Transition refused', {
+        entity: context.entity,
+        field: context.field,
+        from: oldValue,
+        to: newValue,
+        reason: result.reason,
+        user: context.user?.id,
+      });
+      return {
+        allowed: false,
+        blockReason: result.blockReason,
+        transition: { reason: result.reason, details: result.details },
+      };
+    }
+  }
+
   if (!hooks || hooks.length === 0) {
     return { allowed: true };
   }
 
-  const userRole = context.user?.role || context.user?.app_metadata?.role;
-
   for (const hook of hooks) {
     // Check if hook pattern matches
     if (!matchesOn(hook.on, oldValue, newValue, operation)) {
       continue;
     }
 
+    const proposedRecord = { ...context.record, [context.field]: newValue };
+
     // Check 'when' condition if present
-    if (hook.when && !evaluateWhen(hook.when, { ...context.record, [context.field]: newValue })) {
+    if (hook.when && !evaluateWhen(hook.when, proposedRecord)) {
       continue;
     }
 
@@ -187,6 +253,13 @@ async function evaluateBeforeHooks({
     }
 
     // Check if requires approval
+    if (hook.requiresApproval && approvalGranted) {
+      logger.debug('Approval hook satisfied by approval request', {
+        hook: hook.description,
+        entity: context.entity,
+      });
+      continue;
+    }
     if (hook.requiresApproval) {
       logger.info('Hook requires approval', {
         entity: context.entity,
@@ -201,9 +274,12 @@ async function evaluateBeforeHooks({
         approvalInfo: {
           approver: hook.requiresApproval.approver,
           timeout: hook.requiresApproval.timeout,
+          onTimeout: hook.requiresApproval.onTimeout,
+          chain: resolveApprovalChain(hook.requiresApproval, proposedRecord),
           targetEntity: context.entity,
           targetId: context.record?.id,
           targetField: context.field,
+          previousValue: oldValue,
           proposedValue: newValue,
           description: hook.description,
         },
@@ -307,6 +383,9 @@ async function evaluateAfterHooks({
       }
       actionsExecuted.push(actionKey);
 
+      // Outbound webhooks for subscriptions to actions (same Unit of Work)
+      await WebhookDeliveryService.enqueueForAction(actionKey, actionContext);
+
       logger.debug('Action executed', {
         action: actionKey,
         entity: context.entity,
@@ -344,20 +423,20 @@ async function evaluateAfterHooks({
  * Run all afterChange hooks for a set of changed fields, inside the caller's
  * Unit of Work.
  *
- * SHARED by GenericEntityService create() and update() so the reactive step is
- * defined once (DRY). Threads the transaction `client` as `context.tx` so cascade
- * actions join the same transaction and a failure aborts it (see ADR 013).
+ * SHARED by GenericEntityService create(), update() and delete() so the reactive
+ * step is defined once (DRY). Threads the transaction `client` as `context.tx` so
+ * cascade actions join the same transaction and a failure aborts it (see ADR 013).
  *
  * @param {Object} params
  * @param {Object} params.metadata - Entity metadata (reads fields[x].afterChange)
  * @param {string} params.entityName - Entity name
  * @param {Object} params.changedData - Written fields (fieldName -> newValue)
  * @param {Object} params.record - Post-write record (hook context)
- * @param {Object} [params.oldRecord=null] - Pre-write record; when provided (update),
- *   hooks fire only for fields whose value actually changed. Omit for create.
+ * @param {Object} [params.oldRecord=null] - Pre-write record; when provided (update,
+ *   delete), hooks fire only for fields whose value actually changed. Omit for create.
  * @param {Object} [params.client=null] - The Unit-of-Work pg client (threaded to hooks)
  * @param {number|string} [params.user] - Acting user id (hook context)
- * @param {string} params.operation - 'create' | 'update'
+ * @param {string} params.operation - 'create' | 'update' | 'delete'
  * @returns {Promise<void>}
  */
 async function runAfterChangeHooks({
@@ -413,6 +492,7 @@ module.exports = {
   runAfterChangeHooks,
   matchesOn,
   evaluateWhen,
+  resolveApprovalChain,
 
   // Configuration (for testing)
   HOOK_LIMITS,
@@ -11,9 +11,23 @@
  *
  * Note: Does NOT use toSafeInteger because pagination should gracefully
  * cap values (user-friendly) rather than throw errors (strict validation)
+ *
+ * Two modes:
+ * - OFFSET (default): page/limit → LIMIT … OFFSET …, with totals
+ * - CURSOR (opt-in): an opaque cursor holding the last row's sort value + id,
+ *   encrypted (utils/encryption) so the sort value - which may be a field the
+ *   caller cannot read - never reaches the client and cannot be forged;
+ *   the next page seeks past it (QueryBuilderService.buildKeysetClause), so
+ *   deep pages stay cheap and rows are not skipped or repeated when data
+ *   changes between requests. No COUNT is run in this mode. Without a usable
+ *   ENCRYPTION_KEY cursor requests answer 503 (production refuses to start
+ *   without one, utils/env-validator.js).
  */
 
 const { PAGINATION } = require('../../config/constants');
+const AppError = require('../../utils/app-error');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { encrypt, decrypt, hasKey } = require('../../utils/encryption');
 
 /**
  * Safely parse and clamp an integer value
@@ -132,10 +146,99 @@ function paginate(options, total) {
   return { params, metadata };
 }
 
+/**
+ * Refuse cursor mode when cursors cannot be encrypted
+ *
+ * @throws {AppError} 503 SERVER_UNAVAILABLE if ENCRYPTION_KEY is missing or invalid
+ */
+function assertCursorKey() {
+  if (!hasKey()) {
+    throw new AppError(
+      'Cursor pagination is unavailable: ENCRYPTION_KEY is not configured',
+      503,
+      ERROR_CODES.SERVER_UNAVAILABLE,
+    );
+  }
+}
+
+/**
+ * Encode a cursor pointing at a row (base64url of the encrypted JSON position)
+ *
+ * SRP: ONLY serializes - the sort is embedded so a cursor cannot be replayed
+ * against a different ordering.
+ *
+ * @param {Object} position
+ * @param {string} position.field - Sort field
+ * @param {string} position.order - 'ASC' or 'DESC'
+ * @param {string|null} position.value - Row's sort value (text form)
+ * @param {number|string} position.id - Row's primary key
+ * @returns {string} Opaque cursor
+ * @throws {AppError} 503 if ENCRYPTION_KEY is not configured
+ */
+function encodeCursor({ field, order, value, id }) {
+  assertCursorKey();
+  return Buffer.from(
+    encrypt(JSON.stringify({ f: field, o: order, v: value, id })),
+  ).toString('base64url');
+}
+
+/**
+ * Decode and shape-check a cursor from the client
+ *
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {{ field: string, order: string, value: string|null, id: number|string }}
+ * @throws {AppError} 400 if the cursor is malformed or was not issued by this server
+ * @throws {AppError} 503 if ENCRYPTION_KEY is not configured
+ */
+function decodeCursor(cursor) {
+  assertCursorKey();
+
+  let decoded;
+  try {
+    decoded = JSON.parse(decrypt(Buffer.from(String(cursor), 'base64url').toString('utf8')));
+  } catch (_error) {
+    decoded = null;
+  }
+
+  const valid =
+    decoded &&
+    typeof decoded === 'object' &&
+    typeof decoded.f === 'string' &&
+    (decoded.o === 'ASC' || decoded.o === 'DESC') &&
+    (decoded.v === null || typeof decoded.v === 'string') &&
+    (typeof decoded.id === 'number' || typeof decoded.id === 'string');
+
+  if (!valid) {
+    throw new AppError('Invalid pagination cursor', 400, ERROR_CODES.VALIDATION_FAILED);
+  }
+
+  return { field: decoded.f, order: decoded.o, value: decoded.v, id: decoded.id };
+}
+
+/**
+ * Generate pagination metadata for a cursor-paginated response
+ *
+ * SRP: ONLY generates metadata object - does NOT query or validate
+ *
+ * @param {number} limit - Items per page
+ * @param {string|null} nextCursor - Cursor for the next page, or null on the last page
+ * @returns {Object} Pagination metadata { limit, hasNext, next_cursor }
+ */
+function generateCursorMetadata(limit, nextCursor) {
+  return {
+    limit,
+    hasNext: nextCursor !== null,
+    next_cursor: nextCursor,
+  };
+}
+
 module.exports = {
   DEFAULTS,
   validateParams,
   generateMetadata,
   buildLimitClause,
   paginate,
+  encodeCursor,
+  decodeCursor,
+  generateCursorMetadata,
 };
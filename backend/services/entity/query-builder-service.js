@@ -12,17 +12,23 @@
  *
  * USAGE:
  *   const search = QueryBuilderService.buildSearchClause(term, metadata.searchableFields, 'users');
+ *   const ranked = QueryBuilderService.buildFullTextSearchClause(term, searchable, fulltext, 'work_orders');
  *   const filters = QueryBuilderService.buildFilterClause(params, metadata.filterableFields, 0, 'users');
  *   const sort = QueryBuilderService.buildSortClause(sortBy, order, metadata.sortableFields, metadata.defaultSort, 'users');
  *   const where = QueryBuilderService.combineWhereClauses([search.clause, filters.clause]);
  */
 
 const AppError = require('../../utils/app-error');
-const { SECURITY } = require('../../config/constants');
+const { SECURITY, FULLTEXT_SEARCH } = require('../../config/constants');
+const {
+  isFullTextTerm,
+  buildSearchDocumentSqlExpr,
+  buildSearchQuerySqlExpr,
+} = require('../../utils/fulltext-search');
 
 class QueryBuilderService {
   // ==========================================================================
-  // SEARCH (Text Search with ILIKE)
+  // SEARCH (ILIKE, and Postgres full-text over FULLTEXT fields)
   // ==========================================================================
 
   /**
@@ -76,6 +82,89 @@ class QueryBuilderService {
     };
   }
 
+  /**
+   * Build a search clause that uses Postgres full-text search where it can
+   *
+   * Word-like terms match the table's generated tsvector column (FULLTEXT
+   * fields) with websearch_to_tsquery, ORed with ILIKE on the remaining
+   * searchable fields. Short or identifier-like terms (see isFullTextTerm), and
+   * entities without FULLTEXT fields, fall back to buildSearchClause across all
+   * searchable fields. The search param is always $1 (search comes first).
+   *
+   * @param {string} searchTerm - User's search input
+   * @param {string[]} searchableFields - All searchable fields (from metadata)
+   * @param {string[]} fulltextFields - The FULLTEXT subset (indexed in the tsvector)
+   * @param {string} [tablePrefix] - Table name prefix for JOIN queries (optional)
+   * @returns {Object} { clause, params, paramOffset, tsquery } — tsquery is the
+   *   bound tsquery SQL for ranking/snippets, or null when ILIKE was used
+   *
+   * @example
+   *   buildFullTextSearchClause('leaking valve', ['work_order_number', 'summary'], ['summary'], 'work_orders')
+   *   // Returns: {
+   *   //   clause: "(work_orders.search_vector @@ websearch_to_tsquery('english', $1) OR work_orders.work_order_number ILIKE $2)",
+   *   //   params: ['leaking valve', '%leaking valve%'],
+   *   //   paramOffset: 2,
+   *   //   tsquery: "websearch_to_tsquery('english', $1)"
+   *   // }
+   */
+  static buildFullTextSearchClause(
+    searchTerm,
+    searchableFields = [],
+    fulltextFields = [],
+    tablePrefix = null,
+  ) {
+    if (fulltextFields.length === 0 || !isFullTextTerm(searchTerm)) {
+      return { ...this.buildSearchClause(searchTerm, searchableFields, tablePrefix), tsquery: null };
+    }
+
+    const sanitized = searchTerm.trim();
+    const prefix = tablePrefix ? `${tablePrefix}.` : '';
+    const tsquery = buildSearchQuerySqlExpr('$1');
+
+    // Non-FULLTEXT searchable fields (names, numbers, emails) keep substring matching
+    const ilikeFields = searchableFields.filter((field) => !fulltextFields.includes(field));
+    const conditions = [
+      `${prefix}${FULLTEXT_SEARCH.VECTOR_COLUMN} @@ ${tsquery}`,
+      ...ilikeFields.map((field, index) => `${prefix}${field} ILIKE $${index + 2}`),
+    ];
+    const params = [sanitized, ...ilikeFields.map(() => `%${sanitized}%`)];
+
+    return {
+      clause: `(${conditions.join(' OR ')})`,
+      params,
+      paramOffset: params.length,
+      tsquery,
+    };
+  }
+
+  /**
+   * Build the relevance expression for a full-text search (ORDER BY ... DESC)
+   *
+   * @param {string} tsquery - tsquery SQL from buildFullTextSearchClause
+   * @param {string} [tablePrefix] - Table name prefix for JOIN queries (optional)
+   * @returns {string} ts_rank SQL expression (0 for rows matched only by ILIKE)
+   */
+  static buildSearchRank(tsquery, tablePrefix = null) {
+    const prefix = tablePrefix ? `${tablePrefix}.` : '';
+    return `ts_rank(${prefix}${FULLTEXT_SEARCH.VECTOR_COLUMN}, ${tsquery})`;
+  }
+
+  /**
+   * Build a highlighted snippet expression over FULLTEXT fields
+   *
+   * Matches are wrapped per FULLTEXT_SEARCH.HEADLINE_OPTIONS (<mark>...</mark>).
+   * The text is NOT HTML-escaped. Pass only fields the caller may read.
+   *
+   * @param {string[]} fields - FULLTEXT fields to excerpt
+   * @param {string} tsquery - tsquery SQL from buildFullTextSearchClause
+   * @param {string} [tablePrefix] - Table name prefix for JOIN queries (optional)
+   * @returns {string} ts_headline SQL expression
+   */
+  static buildSearchHeadline(fields, tsquery, tablePrefix = null) {
+    const document = buildSearchDocumentSqlExpr(fields, { alias: tablePrefix || '' });
+    return `ts_headline('${FULLTEXT_SEARCH.TEXT_SEARCH_CONFIG}', ${document}, ${tsquery}, '${FULLTEXT_SEARCH.HEADLINE_OPTIONS}')`;
+  }
+
   // ==========================================================================
   // FILTERS (Exact Match & Operators)
   // ==========================================================================
@@ -220,26 +309,21 @@ class QueryBuilderService {
   // ==========================================================================
 
   /**
-   * Build ORDER BY clause with validation
+   * Resolve the effective sort field and direction with validation
+   *
+   * An unknown sortBy falls back to the default sort, field AND order together.
    *
    * @param {string} sortBy - Field to sort by
    * @param {string} sortOrder - 'ASC' or 'DESC'
    * @param {string[]} sortableFields - Fields allowed (from metadata)
    * @param {Object} defaultSort - Fallback sort (from metadata)
-   * @param {string} [tablePrefix] - Table name prefix for JOIN queries (optional)
-   * @returns {string} ORDER BY clause
+   * @returns {{ field: string, order: string }} Sort field and 'ASC' | 'DESC'
    *
    * @example
-   *   buildSortClause('created_at', 'desc', ['id', 'created_at'], { field: 'id', order: 'ASC' }, 'users')
-   *   // Returns: 'users.created_at DESC'
+   *   resolveSort('created_at', 'desc', ['id', 'created_at'], { field: 'id', order: 'ASC' })
+   *   // Returns: { field: 'created_at', order: 'DESC' }
    */
-  static buildSortClause(
-    sortBy,
-    sortOrder,
-    sortableFields = [],
-    defaultSort = {},
-    tablePrefix = null,
-  ) {
+  static resolveSort(sortBy, sortOrder, sortableFields = [], defaultSort = {}) {
     // Determine if we're using the requested field or falling back to default
     const isValidField = sortableFields.includes(sortBy);
     const field = isValidField
@@ -261,10 +345,114 @@ class QueryBuilderService {
           : (defaultSort.order || 'ASC').toUpperCase();
     }
 
+    return { field, order };
+  }
+
+  /**
+   * Build ORDER BY clause with validation
+   *
+   * @param {string} sortBy - Field to sort by
+   * @param {string} sortOrder - 'ASC' or 'DESC'
+   * @param {string[]} sortableFields - Fields allowed (from metadata)
+   * @param {Object} defaultSort - Fallback sort (from metadata)
+   * @param {string} [tablePrefix] - Table name prefix for JOIN queries (optional)
+   * @returns {string} ORDER BY clause
+   *
+   * @example
+   *   buildSortClause('created_at', 'desc', ['id', 'created_at'], { field: 'id', order: 'ASC' }, 'users')
+   *   // Returns: 'users.created_at DESC'
+   */
+  static buildSortClause(
+    sortBy,
+    sortOrder,
+    sortableFields = [],
+    defaultSort = {},
+    tablePrefix = null,
+  ) {
+    const { field, order } = this.resolveSort(
+      sortBy,
+      sortOrder,
+      sortableFields,
+      defaultSort,
+    );
+
     const prefix = tablePrefix ? `${tablePrefix}.` : '';
     return `${prefix}${field} ${order}`;
   }
 
+  /**
+   * Build the keyset (seek) condition for cursor pagination
+   *
+   * Selects the rows strictly AFTER the cursor row in the order
+   * `ORDER BY field <order>, primaryKey <order>`. Postgres sorts NULLs last for
+   * ASC and first for DESC, so NULL sort values are handled explicitly (a plain
+   * row comparison against NULL would drop them). Sorting by the primary key
+   * itself needs no tiebreaker.
+   *
+   * @param {Object} params
+   * @param {string} params.field - Sort field (already validated)
+   * @param {string} params.order - 'ASC' or 'DESC'
+   * @param {string} params.primaryKey - Tiebreaker column
+   * @param {string|null} params.value - Sort value of the cursor row (text form)
+   * @param {number|string} params.id - Primary key of the cursor row
+   * @param {number} [params.paramOffset=0] - Number of params already bound
+   * @param {string} [params.tablePrefix] - Table name prefix for JOIN queries (optional)
+   * @returns {Object} { clause: string, params: array, paramOffset: number }
+   *
+   * @example
+   *   buildKeysetClause({ field: 'created_at', order: 'DESC', primaryKey: 'id',
+   *     value: '2026-03-01 10:15:30.123456+00', id: 42, paramOffset: 2, tablePrefix: 'work_orders' })
+   *   // Returns: {
+   *   //   clause: '(work_orders.created_at < $3 OR (work_orders.created_at = $3 AND work_orders.id < $4))',
+   *   //   params: ['2026-03-01 10:15:30.123456+00', 42],
+   *   //   paramOffset: 4
+   *   // }
+   */
+  static buildKeysetClause({
+    field,
+    order,
+    primaryKey,
+    value,
+    id,
+    paramOffset = 0,
+    tablePrefix = null,
+  }) {
+    const prefix = tablePrefix ? `${tablePrefix}.` : '';
+    const col = `${prefix}${field}`;
+    const pk = `${prefix}${primaryKey}`;
+    const op = order === 'DESC' ? '<' : '>';
+
+    if (field === primaryKey) {
+      return {
+        clause: `${pk} ${op} $${paramOffset + 1}`,
+        params: [id],
+        paramOffset: paramOffset + 1,
+      };
+    }
+
+    if (value === null) {
+      // Cursor row sits in the NULL group: last for ASC, first for DESC
+      const idParam = `$${paramOffset + 1}`;
+      const clause =
+        order === 'DESC'
+          ? `((${col} IS NULL AND ${pk} < ${idParam}) OR ${col} IS NOT NULL)`
+          : `(${col} IS NULL AND ${pk} > ${idParam})`;
+      return { clause, params: [id], paramOffset: paramOffset + 1 };
+    }
+
+    const valueParam = `$${paramOffset + 1}`;
+    const idParam = `$${paramOffset + 2}`;
+    const seek = `${col} ${op} ${valueParam} OR (${col} = ${valueParam} AND ${pk} ${op} ${idParam})`;
+    // ASC: NULLs sort after every value, so they are still ahead of the cursor
+    const clause = order === 'DESC' ? `(${seek})` : `(${seek} OR ${col} IS NULL)`;
+
+    return {
+      clause,
+      params: [value, id],
+      paramOffset: paramOffset + 2,
+    };
+  }
+
   // ==========================================================================
   // COMBINING CLAUSES
   // ==========================================================================
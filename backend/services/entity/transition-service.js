@@ -0,0 +1,188 @@
+/**
+ * Transition Service
+ *
+ * Evaluates declarative status state machines defined in entity metadata
+ * (`transitions`, workflow entities only).
+ *
+ * METADATA SHAPE:
+ *   transitions: {
+ *     field: 'status',
+ *     edges: [
+ *       { from: 'pending', to: ['scheduled', 'cancelled'], minRole: 'dispatcher' },
+ *       { from: 'in_progress', to: 'completed', minRole: 'dispatcher', requires: ['completed_at'] },
+ *     ],
+ *   }
+ *
+ * RULES:
+ * - A change of the transitions field must follow a declared from→to edge
+ * - The caller's role must meet the edge's minRole. Internal/system callers
+ *   (no role) skip the role check but still follow the edges
+ * - Every `requires` field must be non-empty after the change (existing value
+ *   or supplied in the same update)
+ *
+ * Enforced through evaluateBeforeHooks (hook-service) on update; surfaced to the
+ * UI by GET /api/:entity/:id/transitions.
+ *
+ * @module services/transition-service
+ */
+
+const { hasFieldPermission, canAccessField } = require('../../utils/field-access-controller');
+
+/**
+ * Why a transition was refused. GenericEntityService maps each to an HTTP status.
+ */
+const TRANSITION_REFUSAL = Object.freeze({
+  INVALID_EDGE: 'invalid_edge',
+  INSUFFICIENT_ROLE: 'insufficient_role',
+  MISSING_FIELDS: 'missing_fields',
+});
+
+/**
+ * @param {string|string[]} value - One state or a list of states
+ * @returns {string[]}
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Expand metadata edges (from/to may be arrays) into single from→to edges.
+ *
+ * @param {Object} transitions - metadata.transitions
+ * @returns {Array<{from: string, to: string, minRole: string, requires: string[]}>}
+ */
+function expandEdges(transitions) {
+  const expanded = [];
+  for (const edge of transitions?.edges || []) {
+    for (const from of toList(edge.from)) {
+      for (const to of toList(edge.to)) {
+        expanded.push({ from, to, minRole: edge.minRole, requires: edge.requires || [] });
+      }
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Find the declared edge for a move, if any.
+ *
+ * @param {Object} transitions - metadata.transitions
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {Object|null} Expanded edge or null
+ */
+function findEdge(transitions, from, to) {
+  return expandEdges(transitions).find((edge) => edge.from === from && edge.to === to) || null;
+}
+
+/**
+ * Required fields that are empty (null, undefined or blank string) in a record.
+ *
+ * @param {string[]} requires - Field names
+ * @param {Object} record - Record state after the change
+ * @returns {string[]} Missing field names
+ */
+function getMissingFields(requires, record) {
+  return requires.filter((field) => {
+    const value = record?.[field];
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+  });
+}
+
+/**
+ * Evaluate one change of the transitions field.
+ *
+ * @param {Object} options
+ * @param {Object} options.transitions - metadata.transitions
+ * @param {*} options.oldValue - Current state
+ * @param {*} options.newValue - Requested state
+ * @param {Object} options.record - Record state after the change (old record merged with the update)
+ * @param {string} [options.role] - Caller's role; omit for internal/system callers
+ * @returns {{allowed: boolean, reason?: string, blockReason?: string, details?: Object}}
+ */
+function evaluateTransition({ transitions, oldValue, newValue, record, role }) {
+  if (oldValue === newValue) {
+    return { allowed: true };
+  }
+
+  const { field } = transitions;
+  const edge = findEdge(transitions, oldValue, newValue);
+
+  if (!edge) {
+    const allowedTargets = expandEdges(transitions)
+      .filter((candidate) => candidate.from === oldValue)
+      .map((candidate) => candidate.to);
+    return {
+      allowed: false,
+      reason: TRANSITION_REFUSAL.INVALID_EDGE,
+      blockReason: `Cannot change ${field} from '${oldValue}' to '${newValue}' (allowed: ${allowedTargets.join(', ') || 'none'})`,
+      details: { field, from: oldValue, to: newValue, allowed: allowedTargets },
+    };
+  }
+
+  if (role && !hasFieldPermission(role, edge.minRole)) {
+    return {
+      allowed: false,
+      reason: TRANSITION_REFUSAL.INSUFFICIENT_ROLE,
+      blockReason: `Changing ${field} from '${oldValue}' to '${newValue}' requires ${edge.minRole} role or higher`,
+      details: { field, from: oldValue, to: newValue, minRole: edge.minRole },
+    };
+  }
+
+  const missingFields = getMissingFields(edge.requires, record);
+  if (missingFields.length > 0) {
+    return {
+      allowed: false,
+      reason: TRANSITION_REFUSAL.MISSING_FIELDS,
+      blockReason: `Changing ${field} to '${newValue}' requires: ${missingFields.join(', ')}`,
+      details: { field, from: oldValue, to: newValue, missingFields },
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Moves a role can make from a record's current state.
+ *
+ * Only edges whose minRole the role meets are listed, and none when the role
+ * cannot update the transitions field at all. `missingFields` lists required
+ * fields still empty on the record: the move is possible when they are
+ * supplied in the same update.
+ *
+ * @param {Object} metadata - Entity metadata (with transitions)
+ * @param {Object} record - Current record
+ * @param {string} role - Caller's role
+ * @returns {{field: string, current: *, transitions: Array<{to: string, label: string, requires: string[], missingFields: string[]}>}}
+ */
+function getAvailableTransitions(metadata, record, role) {
+  const { transitions } = metadata;
+  const { field } = transitions;
+  const current = record[field];
+
+  if (!canAccessField(metadata, role, field, 'update')) {
+    return { field, current, transitions: [] };
+  }
+
+  const enumKey = metadata.fields?.[field]?.enumKey;
+  const enumValues = (enumKey && metadata.enums?.[enumKey]) || {};
+
+  const available = expandEdges(transitions)
+    .filter((edge) => edge.from === current && hasFieldPermission(role, edge.minRole))
+    .map((edge) => ({
+      to: edge.to,
+      label: enumValues[edge.to]?.label || edge.to,
+      requires: edge.requires,
+      missingFields: getMissingFields(edge.requires, record),
+    }));
+
+  return { field, current, transitions: available };
+}
+
+module.exports = {
+  evaluateTransition,
+  getAvailableTransitions,
+  expandEdges,
+  findEdge,
+  TRANSITION_REFUSAL,
+};
@@ -75,42 +75,245 @@ async function refreshToken(refreshTokenValue) {
   };
 }
 
+// ============================================================================
+// API HELPERS
+// ============================================================================
+
+/**
+ * QBO API minor version (pins response shapes)
+ */
+const QB_MINOR_VERSION = 73;
+
+/**
+ * Item referenced by invoice lines (QBO requires an ItemRef on sales lines).
+ * Defaults to the "Services" item every QBO company is created with.
+ * @returns {string}
+ */
+function getDefaultItemId() {
+  return process.env.QB_DEFAULT_ITEM_ID || '1';
+}
+
+/**
+ * Call the QuickBooks Online accounting API
+ * @param {Object} tokens - Access tokens (access_token, realm_id)
+ * @param {string} method - HTTP method
+ * @param {string} resource - Path below /company/{realmId}/ (e.g. 'customer/58')
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {AppError} With the QuickBooks fault detail when the request fails
+ */
+async function qbRequest(tokens, method, resource, body) {
+  const response = await fetch(
+    `${getApiBase()}/company/${tokens.realm_id}/${resource}?minorversion=${QB_MINOR_VERSION}`,
+    {
+      method,
+      headers: {
+        Authorization: `Bearer ${tokens.access_token}`,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    },
+  );
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const fault = data.Fault?.Error?.[0];
+    const detail = fault?.Detail || fault?.Message || `HTTP ${response.status}`;
+    throw new AppError(
+      `QuickBooks ${method} ${resource.split('/')[0]} failed: ${detail}`,
+      response.status === 400 ? 422 : 502,
+      response.status === 400 ? ERROR_CODES.VALIDATION_FAILED : ERROR_CODES.SERVER_UNAVAILABLE,
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Create a QBO entity, or sparse-update it when we already hold its Id.
+ * Updates need the current SyncToken (optimistic locking), so the entity is
+ * read first.
+ * @param {Object} tokens - Access tokens
+ * @param {string} resource - QBO resource ('customer', 'invoice')
+ * @param {string} entityKey - Response key ('Customer', 'Invoice')
+ * @param {string|null} existingId - Stored QBO Id, if previously synced
+ * @param {Object} body - Mapped QBO entity
+ * @returns {Promise<Object>} QBO entity as returned by the API
+ */
+async function upsertEntity(tokens, resource, entityKey, existingId, body) {
+  let payload = body;
+
+  if (existingId) {
+    const current = await qbRequest(tokens, 'GET', `${resource}/${encodeURIComponent(existingId)}`);
+    payload = {
+      ...body,
+      Id: current[entityKey].Id,
+      SyncToken: current[entityKey].SyncToken,
+      sparse: true,
+    };
+  }
+
+  const data = await qbRequest(tokens, 'POST', resource, payload);
+  return data[entityKey];
+}
+
+/**
+ * Format a date/timestamp as QBO's YYYY-MM-DD
+ * @param {Date|string} value
+ * @returns {string}
+ */
+function toQboDate(value) {
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * Map a Tross flat address (billing_*, service_*) to a QBO PhysicalAddress
+ * @param {Object} record - Record with flat address fields
+ * @param {string} prefix - 'billing' or 'service'
+ * @returns {Object|undefined} QBO address, or undefined when empty
+ */
+function toQboAddress(record, prefix) {
+  const address = {
+    Line1: record[`${prefix}_line1`],
+    Line2: record[`${prefix}_line2`],
+    City: record[`${prefix}_city`],
+    CountrySubDivisionCode: record[`${prefix}_state`],
+    PostalCode: record[`${prefix}_postal_code`],
+    Country: record[`${prefix}_country`],
+  };
+  const present = Object.entries(address).filter(([, value]) => value);
+  return present.length > 0 ? Object.fromEntries(present) : undefined;
+}
+
+// ============================================================================
+// MAPPINGS (Tross → QBO)
+// ============================================================================
+
+/**
+ * Map a Tross customer to a QBO Customer
+ * @param {Object} customer - Customer record
+ * @returns {Object} QBO Customer body
+ */
+function toQboCustomer(customer) {
+  const fullName = [customer.first_name, customer.last_name].filter(Boolean).join(' ');
+  const qbCustomer = {
+    // DisplayName must be unique across QBO customers, vendors and employees
+    DisplayName: customer.organization_name || fullName || customer.email,
+    GivenName: customer.first_name || undefined,
+    FamilyName: customer.last_name || undefined,
+    CompanyName: customer.organization_name || undefined,
+    PrimaryEmailAddr: customer.email ? { Address: customer.email } : undefined,
+    PrimaryPhone: customer.phone ? { FreeFormNumber: customer.phone } : undefined,
+    BillAddr: toQboAddress(customer, 'billing'),
+    ShipAddr: toQboAddress(customer, 'service'),
+  };
+  return Object.fromEntries(Object.entries(qbCustomer).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Map a Tross invoice to a QBO Invoice
+ *
+ * Tross invoices carry a single amount, so they map to one sales line on the
+ * default item. Tax is sent as the invoice total tax.
+ *
+ * @param {Object} invoice - Invoice record
+ * @param {string} customerRef - QBO Customer Id
+ * @returns {Object} QBO Invoice body
+ */
+function toQboInvoice(invoice, customerRef) {
+  const amount = Number(invoice.amount);
+  const tax = Number(invoice.tax) || 0;
+
+  const qbInvoice = {
+    DocNumber: invoice.invoice_number,
+    CustomerRef: { value: String(customerRef) },
+    Line: [
+      {
+        DetailType: 'SalesItemLineDetail',
+        Amount: amount,
+        Description: invoice.summary || invoice.invoice_number,
+        SalesItemLineDetail: {
+          ItemRef: { value: getDefaultItemId() },
+          Qty: 1,
+          UnitPrice: amount,
+        },
+      },
+    ],
+  };
+
+  if (invoice.created_at) {
+    qbInvoice.TxnDate = toQboDate(invoice.created_at);
+  }
+  if (invoice.due_date) {
+    qbInvoice.DueDate = toQboDate(invoice.due_date);
+  }
+  if (tax > 0) {
+    qbInvoice.TxnTaxDetail = { TotalTax: tax };
+  }
+
+  return qbInvoice;
+}
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
 /**
- * OPTIONAL: Sync an invoice to QuickBooks
+ * OPTIONAL: Sync an invoice to QuickBooks (create, or update by qb_invoice_id)
  * @param {Object} tokens - Access tokens
- * @param {Object} params - { invoice }
- * @returns {Promise<Object>} QuickBooks invoice reference
+ * @param {Object} params - { invoice, customerRef }
+ * @param {Object} params.invoice - Invoice record
+ * @param {string} params.customerRef - QBO Customer Id of the invoice's customer
+ * @returns {Promise<Object>} QuickBooks invoice reference { id, syncToken, docNumber }
  */
-async function syncInvoice(tokens, { invoice }) {
-  logger.info('Syncing invoice to QuickBooks', { invoiceId: invoice.id });
-
-  // TODO: Implement actual QuickBooks invoice creation
-  // const response = await fetch(
-  //   `${getApiBase()}/company/${tokens.realm_id}/invoice`,
-  //   {
-  //     method: 'POST',
-  //     headers: {
-  //       'Authorization': `Bearer ${tokens.access_token}`,
-  //       'Content-Type': 'application/json',
-  //     },
-  //     body: JSON.stringify({ /* QB invoice format */ }),
-  //   }
-  // );
-
-  throw new AppError('QuickBooks syncInvoice not implemented', 501, ERROR_CODES.NOT_IMPLEMENTED);
+async function syncInvoice(tokens, { invoice, customerRef }) {
+  logger.info('Syncing invoice to QuickBooks', {
+    invoiceId: invoice.id,
+    qbInvoiceId: invoice.qb_invoice_id || null,
+  });
+
+  if (!customerRef) {
+    throw new AppError(
+      `Invoice ${invoice.id} has no QuickBooks customer reference`,
+      400,
+      ERROR_CODES.VALIDATION_MISSING_FIELD,
+    );
+  }
+
+  const qbInvoice = await upsertEntity(
+    tokens,
+    'invoice',
+    'Invoice',
+    invoice.qb_invoice_id,
+    toQboInvoice(invoice, customerRef),
+  );
+
+  return { id: qbInvoice.Id, syncToken: qbInvoice.SyncToken, docNumber: qbInvoice.DocNumber };
 }
 
 /**
- * OPTIONAL: Sync a customer to QuickBooks
+ * OPTIONAL: Sync a customer to QuickBooks (create, or update by qb_customer_id)
  * @param {Object} tokens - Access tokens
  * @param {Object} params - { customer }
- * @returns {Promise<Object>} QuickBooks customer reference
+ * @returns {Promise<Object>} QuickBooks customer reference { id, syncToken }
  */
 async function syncCustomer(tokens, { customer }) {
-  logger.info('Syncing customer to QuickBooks', { customerId: customer.id });
+  logger.info('Syncing customer to QuickBooks', {
+    customerId: customer.id,
+    qbCustomerId: customer.qb_customer_id || null,
+  });
+
+  const qbCustomer = await upsertEntity(
+    tokens,
+    'customer',
+    'Customer',
+    customer.qb_customer_id,
+    toQboCustomer(customer),
+  );
 
-  // TODO: Implement actual QuickBooks customer creation
-  throw new AppError('QuickBooks syncCustomer not implemented', 501, ERROR_CODES.NOT_IMPLEMENTED);
+  return { id: qbCustomer.Id, syncToken: qbCustomer.SyncToken };
 }
 
 module.exports = {
@@ -120,4 +323,7 @@ module.exports = {
   // Optional operations
   syncInvoice,
   syncCustomer,
+  // Mappings (exported for testing)
+  toQboCustomer,
+  toQboInvoice,
 };
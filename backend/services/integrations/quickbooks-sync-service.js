@@ -0,0 +1,247 @@
+'use strict';
+
+/**
+ * QuickBooks Sync Service
+ *
+ * SRP: ONLY pushes Tross customers and invoices to QuickBooks Online and
+ * records the outcome on the record (qb_*_id, qb_sync_status, qb_synced_at,
+ * qb_sync_error)
+ *
+ * API calls go through IntegrationRunner (token refresh) to
+ * providers/quickbooks.js (mapping + create-or-update by stored Id).
+ *
+ * - Success → qb_sync_status 'synced', external Id stored, error cleared
+ * - Failure → qb_sync_status 'error' with the QuickBooks fault message
+ * - Not connected → nothing is written (the records are not at fault)
+ *
+ * An invoice needs its customer in QuickBooks first; a customer without a
+ * qb_customer_id is synced as part of the invoice sync.
+ *
+ * The QuickBooks connection is deployment-wide and belongs to the operator
+ * tenant (ADR-014), so only that tenant's records are ever pushed.
+ *
+ * USAGE:
+ *   const QuickBooksSyncService = require('./services/integrations/quickbooks-sync-service');
+ *   await QuickBooksSyncService.syncInvoice(42);
+ *   await QuickBooksSyncService.syncAllPending(); // job: 'quickbooks.sync'
+ */
+
+const db = require('../../db/connection');
+const GenericEntityService = require('../entity/generic-entity-service');
+const IntegrationRunner = require('./runner');
+const IntegrationTokenService = require('./token-service');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { TENANCY } = require('../../config/constants');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { logger } = require('../../config/logger');
+const AppError = require('../../utils/app-error');
+
+const PROVIDER = 'quickbooks';
+const { QUICKBOOKS_SYNC } = API_OPERATIONS;
+
+/** Runner error code when the provider has no stored tokens */
+const NOT_CONNECTED = 'INTEGRATION_NOT_CONNECTED';
+
+/** Bulk sync order: customers first, so invoices find their customer reference */
+const SYNC_ORDER = Object.freeze([
+  Object.freeze({ entity: 'customer', table: 'customers', key: 'customers', method: 'syncCustomer' }),
+  Object.freeze({ entity: 'invoice', table: 'invoices', key: 'invoices', method: 'syncInvoice' }),
+]);
+
+class QuickBooksSyncService {
+  /**
+   * Sync one customer to QuickBooks.
+   *
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Updated customer
+   * @throws {AppError} 404 if not found; the sync error otherwise
+   */
+  static async syncCustomer(customerId) {
+    const customer = await this._load('customer', customerId);
+
+    return this._syncRecord('customer', customer, 'qb_customer_id', () =>
+      IntegrationRunner.run(PROVIDER, 'syncCustomer', { customer }),
+    );
+  }
+
+  /**
+   * Sync one invoice to QuickBooks, syncing its customer first if needed.
+   *
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Promise<Object>} Updated invoice
+   * @throws {AppError} 404 if not found; the sync error otherwise
+   */
+  static async syncInvoice(invoiceId) {
+    const invoice = await this._load('invoice', invoiceId);
+
+    return this._syncRecord('invoice', invoice, 'qb_invoice_id', async () => {
+      const customerRef = await this._resolveCustomerRef(invoice);
+      return IntegrationRunner.run(PROVIDER, 'syncInvoice', { invoice, customerRef });
+    });
+  }
+
+  /**
+   * Sync every customer, then every invoice, of the operator tenant whose
+   * qb_sync_status is pending or modified. One record's failure does not stop
+   * the run.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.limit=QUICKBOOKS_SYNC.MAX_RECORDS_PER_RUN] - Records per entity
+   * @returns {Promise<Object>} { customers: {synced, failed}, invoices: {synced, failed}, errors }
+   * @throws {AppError} 401 if QuickBooks is not connected
+   */
+  static async syncAllPending(options = {}) {
+    const { limit = QUICKBOOKS_SYNC.MAX_RECORDS_PER_RUN } = options;
+
+    const tokenStatus = await IntegrationTokenService.checkTokenStatus(PROVIDER);
+    if (!tokenStatus.hasTokens) {
+      throw new AppError(`${PROVIDER} integration not connected`, 401, NOT_CONNECTED);
+    }
+
+    const summary = {
+      customers: { synced: 0, failed: 0 },
+      invoices: { synced: 0, failed: 0 },
+      errors: [],
+    };
+
+    for (const { entity, table, key, method } of SYNC_ORDER) {
+      const { rows } = await db.query(
+        `SELECT id FROM ${table}
+         WHERE qb_sync_status = ANY($1) AND ${TENANCY.COLUMN} = $2
+         ORDER BY id
+         LIMIT $3`,
+        [QUICKBOOKS_SYNC.SYNCABLE_STATUSES, TENANCY.DEFAULT_TENANT_ID, limit],
+      );
+
+      for (const { id } of rows) {
+        try {
+          await this[method](id);
+          summary[key].synced++;
+        } catch (error) {
+          if (error.code === NOT_CONNECTED) {
+            throw error;
+          }
+          summary[key].failed++;
+          summary.errors.push({ entity, id, error: this._errorMessage(error) });
+        }
+      }
+    }
+
+    logger.info('[QuickBooks] Bulk sync complete', {
+      customers: summary.customers,
+      invoices: summary.invoices,
+    });
+    return summary;
+  }
+
+  /**
+   * Get the invoice customer's QuickBooks Id, syncing the customer when it
+   * has none yet.
+   *
+   * @private
+   * @param {Object} invoice - Invoice record
+   * @returns {Promise<string>} QBO Customer Id
+   */
+  static async _resolveCustomerRef(invoice) {
+    const customer = await this._load('customer', invoice.customer_id);
+
+    if (customer.qb_customer_id) {
+      return customer.qb_customer_id;
+    }
+
+    try {
+      const synced = await this.syncCustomer(customer.id);
+      return synced.qb_customer_id;
+    } catch (error) {
+      if (error.code === NOT_CONNECTED) {
+        throw error;
+      }
+      throw new AppError(
+        `Customer ${customer.id} could not be synced: ${this._errorMessage(error)}`,
+        error.statusCode || 502,
+        error.code || ERROR_CODES.SERVER_UNAVAILABLE,
+      );
+    }
+  }
+
+  /**
+   * Run a provider sync and write the outcome back to the record.
+   *
+   * @private
+   * @param {string} entityName - 'customer' or 'invoice'
+   * @param {Object} record - Record being synced
+   * @param {string} idField - Column holding the QBO Id
+   * @param {Function} operation - Async fn returning the QBO reference { id }
+   * @returns {Promise<Object>} Updated record
+   */
+  static async _syncRecord(entityName, record, idField, operation) {
+    let reference;
+
+    try {
+      reference = await operation();
+    } catch (error) {
+      if (error.code !== NOT_CONNECTED) {
+        await GenericEntityService.update(
+          entityName,
+          record.id,
+          {
+            qb_sync_status: 'error',
+            qb_sync_error: this._errorMessage(error).slice(0, QUICKBOOKS_SYNC.MAX_ERROR_LENGTH),
+          },
+          { skipHooks: true },
+        );
+        logger.warn('[QuickBooks] Sync failed', {
+          entity: entityName,
+          id: record.id,
+          error: this._errorMessage(error),
+        });
+      }
+      throw error;
+    }
+
+    const updated = await GenericEntityService.update(
+      entityName,
+      record.id,
+      {
+        [idField]: reference.id,
+        qb_sync_status: 'synced',
+        qb_synced_at: new Date().toISOString(),
+        qb_sync_error: null,
+      },
+      { skipHooks: true },
+    );
+
+    logger.info('[QuickBooks] Synced', { entity: entityName, id: record.id, qbId: reference.id });
+    return updated;
+  }
+
+  /**
+   * Load a record or throw 404.
+   *
+   * @private
+   * @param {string} entityName - Entity name
+   * @param {number} id - Record ID
+   * @returns {Promise<Object>} Record
+   */
+  static async _load(entityName, id) {
+    const record = await GenericEntityService.findById(entityName, id);
+    if (!record) {
+      throw new AppError(`${entityName} ${id} not found`, 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+    return record;
+  }
+
+  /**
+   * Underlying failure message (the runner wraps provider errors and keeps
+   * the original message in details.reason).
+   *
+   * @private
+   * @param {Error} error
+   * @returns {string}
+   */
+  static _errorMessage(error) {
+    return error.details?.reason || error.message;
+  }
+}
+
+module.exports = QuickBooksSyncService;
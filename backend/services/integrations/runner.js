@@ -148,7 +148,7 @@ async function run(providerName, operation, params = {}) {
       `${providerName} operation failed: ${operation}`,
       error.statusCode || 500,
       'INTEGRATION_OPERATION_FAILED',
-      { provider: providerName, operation },
+      { provider: providerName, operation, reason: error.message },
     );
   }
 }
@@ -0,0 +1,475 @@
+'use strict';
+
+/**
+ * Webhook Delivery Service
+ *
+ * SRP: ONLY manages outbound webhooks (`webhook_deliveries` log) for the
+ * admin-managed webhook_subscription entity
+ *
+ * PHILOSOPHY:
+ * - TRANSACTIONAL: Deliveries are logged (and their 'webhook.deliver' jobs
+ *   enqueued) on the entity write's client, so rolled-back writes send nothing
+ * - SIGNED: The body is signed with the subscription's secret_key in the
+ *   Stripe "t=<unix>,v1=<hex>" format (WebhookValidator.sign), so receivers
+ *   verify it exactly like we verify inbound Stripe webhooks
+ * - RETRIED: Non-2xx responses and network errors throw, so the job retries
+ *   with the queue's exponential backoff; the row turns 'failed' once the
+ *   attempts are exhausted
+ * - REDELIVERABLE: Admins can resend any settled delivery (same payload)
+ * - OUTBOUND-SAFE: target_url must be https and resolve to public addresses,
+ *   checked on save and again before every send; the send connects to the
+ *   vetted address (no second DNS lookup) and redirects are not followed
+ * - TENANT-SCOPED: A change only reaches subscriptions of the record's tenant
+ *   (ADR-014); platform records (no tenant_id) go to the original tenant's
+ *
+ * EVENTS:
+ *   <entity>.created / <entity>.updated / <entity>.deleted - GenericEntityService writes
+ *   <entity>.action.<action_key> - afterChange hook actions (hook-service.js)
+ *
+ * USAGE:
+ *   await WebhookDeliveryService.enqueueForChange('update', 'work_order', record, oldRecord, client);
+ */
+
+const https = require('https');
+const db = require('../../db/connection');
+const { withTransaction } = require('../../db/helpers/transaction-helper');
+const { stripAuthIdentifiers } = require('../../db/helpers/auth-identifier-sanitizer');
+const { filterDataByRole } = require('../../utils/field-access-controller');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { TENANCY } = require('../../config/constants');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { logger } = require('../../config/logger');
+const allMetadata = require('../../config/models');
+const AppError = require('../../utils/app-error');
+const WebhookValidator = require('../../utils/webhook-validator');
+const { resolvePublicHttpsUrl, createPinnedLookup } = require('../../utils/outbound-url');
+const JobQueueService = require('../jobs/job-queue-service');
+
+const { STATUSES, HEADERS, MAX_ATTEMPTS, TIMEOUT_MS, MAX_ERROR_LENGTH, RETENTION_DAYS } =
+  API_OPERATIONS.WEBHOOK_DELIVERIES;
+
+/** Job type that sends a delivery (see services/jobs/job-handlers.js) */
+const DELIVER_JOB_TYPE = 'webhook.deliver';
+
+/** Statuses an admin may redeliver from */
+const REDELIVERABLE_STATUSES = Object.freeze([STATUSES.DELIVERED, STATUSES.FAILED]);
+
+/** Past-tense event names per GenericEntityService operation */
+const OPERATION_EVENTS = Object.freeze({
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+});
+
+/** event_filter value that matches afterChange actions */
+const ACTION_FILTER = 'action';
+
+/**
+ * Subscriptions never receive their own changes: the payload would be the
+ * subscription itself and a subscriber could loop on it
+ */
+const EXCLUDED_ENTITIES = Object.freeze(['webhook_subscription']);
+
+class WebhookDeliveryService {
+  /**
+   * Log deliveries for an entity create/update/delete to every matching
+   * subscription and enqueue their jobs.
+   *
+   * @param {string} operation - 'create' | 'update' | 'delete'
+   * @param {string} entityName - Entity key
+   * @param {Object} record - Record after the write (before it, for deletes)
+   * @param {Object|null} oldRecord - Record before an update
+   * @param {Object} [client] - pg client of the write's transaction
+   * @returns {Promise<number>} Deliveries logged
+   */
+  static async enqueueForChange(operation, entityName, record, oldRecord, client) {
+    const recordId = record?.id;
+    if (!recordId || !OPERATION_EVENTS[operation]) {
+      return 0;
+    }
+
+    return this._enqueue(
+      {
+        event: `${entityName}.${OPERATION_EVENTS[operation]}`,
+        entity: entityName,
+        recordId,
+        operation,
+        data: this._toPayloadData(entityName, record),
+        previous: operation === 'update' ? this._toPayloadData(entityName, oldRecord) : null,
+      },
+      operation,
+      record.tenant_id,
+      client,
+    );
+  }
+
+  /**
+   * Log deliveries for an executed afterChange action to every subscription
+   * with event_filter 'action' or 'all' and enqueue their jobs.
+   *
+   * @param {string} actionKey - Executed action key
+   * @param {Object} context - Hook action context { entity, record, field, oldValue, newValue, tx }
+   * @returns {Promise<number>} Deliveries logged
+   */
+  static async enqueueForAction(actionKey, context) {
+    const { entity, record, field = null, oldValue = null, newValue = null, tx } = context;
+    if (!record?.id) {
+      return 0;
+    }
+
+    return this._enqueue(
+      {
+        event: `${entity}.action.${actionKey}`,
+        entity,
+        recordId: record.id,
+        operation: ACTION_FILTER,
+        action: { key: actionKey, field, oldValue, newValue },
+        data: this._toPayloadData(entity, record),
+      },
+      ACTION_FILTER,
+      record.tenant_id,
+      tx,
+    );
+  }
+
+  /**
+   * Send a delivery to its subscription's target URL and record the outcome.
+   *
+   * @param {number} id - Webhook delivery ID
+   * @param {Object} [options={}]
+   * @param {number} [options.attempt=1] - Current job attempt
+   * @param {number} [options.maxAttempts] - Job attempts before giving up
+   * @returns {Promise<Object>} { deliveryId, status, responseStatus? }
+   * @throws {Error} On network errors and non-2xx responses (the job retries)
+   */
+  static async deliver(id, { attempt = 1, maxAttempts = MAX_ATTEMPTS } = {}) {
+    const { rows } = await db.query(
+      `SELECT d.*, s.target_url, s.secret_key, s.is_active AS subscription_active
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.id = $1`,
+      [id],
+    );
+    const delivery = rows[0];
+
+    if (!delivery) {
+      return { deliveryId: id, status: 'missing' };
+    }
+    if (delivery.status !== STATUSES.PENDING) {
+      return { deliveryId: id, status: delivery.status };
+    }
+    if (!delivery.subscription_active) {
+      await this._record(id, { status: STATUSES.FAILED, error: 'Subscription is inactive' });
+      logger.info('[Webhooks] Delivery skipped: subscription inactive', {
+        id,
+        subscriptionId: delivery.subscription_id,
+      });
+      return { deliveryId: id, status: STATUSES.FAILED };
+    }
+
+    // Re-checked at send time: the host may resolve differently than on save
+    let target;
+    try {
+      target = await resolvePublicHttpsUrl(delivery.target_url, { field: 'target_url' });
+    } catch (error) {
+      await this._record(id, { status: STATUSES.FAILED, error: error.message });
+      logger.warn('[Webhooks] Delivery blocked: target URL is not public https', {
+        id,
+        subscriptionId: delivery.subscription_id,
+      });
+      return { deliveryId: id, status: STATUSES.FAILED };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    let responseStatus = null;
+
+    try {
+      responseStatus = await this._post(target, body, {
+        'Content-Type': 'application/json',
+        [HEADERS.SIGNATURE]: WebhookValidator.sign(body, delivery.secret_key),
+        [HEADERS.EVENT]: delivery.event,
+        [HEADERS.DELIVERY]: String(delivery.id),
+      });
+
+      // A redirect would skip the address check; 3xx counts as a failed attempt
+      if (responseStatus < 200 || responseStatus >= 300) {
+        throw new Error(`Receiver responded with HTTP ${responseStatus}`);
+      }
+
+      await this._record(id, {
+        status: STATUSES.DELIVERED,
+        responseStatus,
+        error: null,
+        delivered: true,
+      });
+      logger.info('[Webhooks] Delivery sent', { id, event: delivery.event, responseStatus });
+      return { deliveryId: id, status: STATUSES.DELIVERED, responseStatus };
+    } catch (error) {
+      const exhausted = attempt >= maxAttempts;
+      await this._record(id, {
+        status: exhausted ? STATUSES.FAILED : STATUSES.PENDING,
+        responseStatus,
+        error: error.message.slice(0, MAX_ERROR_LENGTH),
+      });
+      logger[exhausted ? 'error' : 'warn']('[Webhooks] Delivery failed', {
+        id,
+        event: delivery.event,
+        attempt,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Resend a settled delivery: reset it to 'pending' and enqueue a new job.
+   *
+   * @param {number} id - Webhook delivery ID
+   * @param {Object} [options={}]
+   * @param {number} [options.userId] - Admin redelivering (job created_by)
+   * @returns {Promise<Object>} Updated delivery
+   * @throws {AppError} 404 if not found, 409 if the delivery is still pending
+   */
+  static async redeliver(id, options = {}) {
+    const { userId = null } = options;
+
+    const delivery = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE webhook_deliveries
+         SET status = $1, error = NULL, updated_at = NOW()
+         WHERE id = $2 AND status = ANY($3)
+         RETURNING *`,
+        [STATUSES.PENDING, id, REDELIVERABLE_STATUSES],
+      );
+
+      if (rows[0]) {
+        await JobQueueService.enqueue(
+          DELIVER_JOB_TYPE,
+          { webhookDeliveryId: id },
+          { client, maxAttempts: MAX_ATTEMPTS, createdBy: userId },
+        );
+      }
+      return rows[0] || null;
+    });
+
+    if (!delivery) {
+      const existing = await this.findById(id);
+      if (!existing) {
+        throw new AppError(`Webhook delivery ${id} not found`, 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+      }
+      throw new AppError(
+        `Webhook delivery ${id} is ${existing.status} and cannot be redelivered (allowed from: ${REDELIVERABLE_STATUSES.join(', ')})`,
+        409,
+        ERROR_CODES.RESOURCE_CONFLICT,
+      );
+    }
+
+    logger.info('[Webhooks] Redelivery queued', { id, userId });
+    return delivery;
+  }
+
+  /**
+   * List deliveries, newest first.
+   *
+   * @param {Object} [filters={}]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=50]
+   * @param {string} [filters.status] - Filter by status
+   * @param {number} [filters.subscriptionId] - Filter by subscription
+   * @param {string} [filters.entity] - Filter by entity key
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  static async list(filters = {}) {
+    const { page = 1, limit = 50, status = null, subscriptionId = null, entity = null } = filters;
+
+    const params = [];
+    const conditions = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (subscriptionId) {
+      params.push(subscriptionId);
+      conditions.push(`subscription_id = $${params.length}`);
+    }
+
+    if (entity) {
+      params.push(entity);
+      conditions.push(`entity = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [countResult, dataResult] = await Promise.all([
+      db.query(`SELECT COUNT(*) AS total FROM webhook_deliveries ${whereClause}`, params),
+      db.query(
+        `SELECT * FROM webhook_deliveries ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset],
+      ),
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a delivery by ID.
+   *
+   * @param {number} id - Webhook delivery ID
+   * @returns {Promise<Object|null>} Delivery or null
+   */
+  static async findById(id) {
+    const { rows } = await db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Delete settled deliveries past the retention window.
+   *
+   * @returns {Promise<number>} Deleted rows
+   */
+  static async purgeExpired() {
+    const { rowCount } = await db.query(
+      `DELETE FROM webhook_deliveries
+       WHERE status <> $1 AND created_at < NOW() - make_interval(days => $2)`,
+      [STATUSES.PENDING, RETENTION_DAYS],
+    );
+    return rowCount;
+  }
+
+  /**
+   * Log one delivery per matching subscription and enqueue their jobs.
+   *
+   * @private
+   * @param {Object} payload - Delivery payload (without occurredAt)
+   * @param {string} filter - event_filter value the event matches besides 'all'
+   * @param {number|undefined} tenantId - The record's tenant (undefined for platform records)
+   * @param {Object} [client] - pg client (defaults to the pool)
+   * @returns {Promise<number>} Deliveries logged
+   */
+  static async _enqueue(payload, filter, tenantId, client = db) {
+    if (EXCLUDED_ENTITIES.includes(payload.entity)) {
+      return 0;
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event, entity, record_id, payload)
+       SELECT id, $1, $2, $3, $4
+       FROM webhook_subscriptions
+       WHERE is_active = true
+         AND (entity_name IS NULL OR entity_name = '' OR entity_name = $2)
+         AND event_filter IN ('all', $5)
+         AND tenant_id = $6
+       RETURNING id`,
+      [
+        payload.event,
+        payload.entity,
+        payload.recordId,
+        JSON.stringify({ ...payload, occurredAt: new Date().toISOString() }),
+        filter,
+        tenantId ?? TENANCY.DEFAULT_TENANT_ID,
+      ],
+    );
+
+    const jobOptions = client === db ? { maxAttempts: MAX_ATTEMPTS } : { client, maxAttempts: MAX_ATTEMPTS };
+    for (const { id } of rows) {
+      await JobQueueService.enqueue(DELIVER_JOB_TYPE, { webhookDeliveryId: id }, jobOptions);
+    }
+
+    if (rows.length > 0) {
+      logger.debug('[Webhooks] Deliveries queued', { event: payload.event, count: rows.length });
+    }
+    return rows.length;
+  }
+
+  /**
+   * Reduce a record to what an admin may read (subscriptions are admin-managed).
+   *
+   * @private
+   * @param {string} entityName - Entity key
+   * @param {Object|null} record - Record
+   * @returns {Object|null} Payload-safe record
+   */
+  static _toPayloadData(entityName, record) {
+    const metadata = allMetadata[entityName];
+    if (!record || !metadata) {
+      return record || null;
+    }
+    return filterDataByRole(stripAuthIdentifiers(record, metadata), metadata, 'admin', 'read');
+  }
+
+  /**
+   * POST a body to a vetted target and resolve with the response status.
+   *
+   * Connects to the addresses resolvePublicHttpsUrl vetted (a rebinding DNS
+   * answer is never used); the URL's hostname still drives SNI, certificate
+   * verification and the Host header. The response body is discarded.
+   *
+   * @private
+   * @param {Object} target - { url, addresses } from resolvePublicHttpsUrl
+   * @param {string} body - JSON body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<number>} Receiver HTTP status
+   * @throws {Error} On network errors and timeouts
+   */
+  static _post({ url, addresses }, body, headers) {
+    return new Promise((resolve, reject) => {
+      const request = https.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: createPinnedLookup(addresses),
+        timeout: TIMEOUT_MS,
+      });
+
+      request.on('response', (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('timeout', () => {
+        request.destroy(new Error(`Receiver did not respond within ${TIMEOUT_MS} ms`));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Record a delivery attempt's outcome.
+   *
+   * @private
+   * @param {number} id - Webhook delivery ID
+   * @param {Object} outcome
+   * @param {string} outcome.status - New status
+   * @param {number|null} [outcome.responseStatus] - Receiver HTTP status
+   * @param {string|null} [outcome.error] - Failure message
+   * @param {boolean} [outcome.delivered=false] - Stamp delivered_at
+   */
+  static async _record(id, { status, responseStatus = null, error = null, delivered = false }) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $1, response_status = $2, error = $3, attempts = attempts + 1,
+           delivered_at = CASE WHEN $4 THEN NOW() ELSE delivered_at END,
+           updated_at = NOW()
+       WHERE id = $5`,
+      [status, responseStatus, error, delivered, id],
+    );
+  }
+}
+
+module.exports = WebhookDeliveryService;
@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * Webhook Event Service
+ *
+ * SRP: ONLY manages the persistent webhook inbox (`webhook_events` table)
+ *
+ * PHILOSOPHY:
+ * - STORE FIRST: Every verified payload is persisted before it is acknowledged,
+ *   so nothing a provider delivered is lost on restart
+ * - DURABLE DEDUPE: UNIQUE (provider, event_id) makes provider redeliveries
+ *   no-ops across restarts and app instances
+ * - ASYNC DISPATCH: Each stored event is processed by a 'webhook.process' job,
+ *   enqueued in the same transaction as the insert, which runs the
+ *   per-provider handler (webhook-handlers/) and records the outcome
+ * - REPLAYABLE: Admins can re-run any settled event once no job for it is
+ *   queued; handlers are idempotent
+ * - SINGLE-FLIGHT: A job claims the event with a conditional UPDATE before
+ *   running its handler
+ *
+ * USAGE:
+ *   const WebhookEventService = require('./services/integrations/webhook-event-service');
+ *   const event = await WebhookEventService.record('stripe', payload, { eventId, eventType });
+ *   // null → duplicate delivery
+ */
+
+const db = require('../../db/connection');
+const { withTransaction } = require('../../db/helpers/transaction-helper');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { logger } = require('../../config/logger');
+const AppError = require('../../utils/app-error');
+const JobQueueService = require('../jobs/job-queue-service');
+const { getWebhookHandler } = require('./webhook-handlers');
+
+const { STATUSES } = API_OPERATIONS.WEBHOOK_EVENTS;
+const { LOCK_TIMEOUT_MS } = API_OPERATIONS.JOBS;
+
+/** Job type that processes a stored event (see services/jobs/job-handlers.js) */
+const PROCESS_JOB_TYPE = 'webhook.process';
+
+/** Statuses an admin may replay from */
+const REPLAYABLE_STATUSES = Object.freeze([STATUSES.PROCESSED, STATUSES.IGNORED, STATUSES.FAILED]);
+
+/** Statuses that need no further processing */
+const SETTLED_STATUSES = Object.freeze([STATUSES.PROCESSED, STATUSES.IGNORED]);
+
+/** Statuses a processing job may claim the event from */
+const CLAIMABLE_STATUSES = Object.freeze([STATUSES.RECEIVED, STATUSES.FAILED]);
+
+class WebhookEventService {
+  /**
+   * Store a verified webhook payload and enqueue its processing job.
+   *
+   * @param {string} provider - Provider name
+   * @param {Object} payload - Parsed webhook payload
+   * @param {Object} [options={}]
+   * @param {string} [options.eventId] - Provider event ID (dedupe key)
+   * @param {string} [options.eventType] - Provider event type
+   * @returns {Promise<Object|null>} Stored event, or null for a duplicate delivery
+   */
+  static async record(provider, payload, options = {}) {
+    const { eventId = null, eventType = null } = options;
+
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO webhook_events (provider, event_id, event_type, payload)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (provider, event_id) DO NOTHING
+         RETURNING *`,
+        [provider, eventId, eventType, JSON.stringify(payload)],
+      );
+
+      const event = rows[0] || null;
+      if (event) {
+        await JobQueueService.enqueue(PROCESS_JOB_TYPE, { webhookEventId: event.id }, { client });
+      }
+      return event;
+    });
+  }
+
+  /**
+   * Run a stored event through its provider handler and record the outcome.
+   *
+   * The event is claimed ('processing', attempts + 1) by a conditional
+   * UPDATE, so two jobs for one event never run the handler together. A
+   * 'processing' claim older than the job lock timeout (crashed worker) can
+   * be taken over. Handler side effects and the 'processed' status commit
+   * together. A handler error marks the event 'failed' and is rethrown so the
+   * job retries with backoff.
+   *
+   * @param {number} id - Webhook event ID
+   * @returns {Promise<Object>} { status, result? }
+   */
+  static async process(id) {
+    const { rows } = await db.query(
+      `UPDATE webhook_events
+       SET status = $1, attempts = attempts + 1, updated_at = NOW()
+       WHERE id = $2
+         AND (status = ANY($3) OR (status = $1 AND updated_at < NOW() - ($4 || ' milliseconds')::interval))
+       RETURNING *`,
+      [STATUSES.PROCESSING, id, CLAIMABLE_STATUSES, String(LOCK_TIMEOUT_MS)],
+    );
+    const event = rows[0];
+
+    if (!event) {
+      const existing = await this.findById(id);
+      if (!existing) {
+        logger.warn('[Webhooks] Event to process not found', { id });
+        return { status: null, reason: 'not_found' };
+      }
+      // Settled, or another job is processing it
+      return { status: existing.status };
+    }
+
+    const handler = getWebhookHandler(event.provider, event.event_type);
+
+    if (!handler) {
+      await this._setStatus(id, STATUSES.IGNORED);
+      logger.info('[Webhooks] No handler for event, ignored', {
+        id,
+        provider: event.provider,
+        eventType: event.event_type,
+      });
+      return { status: STATUSES.IGNORED };
+    }
+
+    try {
+      const result = await withTransaction(async (client) => {
+        const handlerResult = await handler(event.payload, { client, webhookEvent: event });
+        await this._setStatus(id, STATUSES.PROCESSED, { client });
+        return handlerResult;
+      });
+
+      logger.info('[Webhooks] Event processed', {
+        id,
+        provider: event.provider,
+        eventType: event.event_type,
+      });
+      return { status: STATUSES.PROCESSED, result: result ?? null };
+    } catch (error) {
+      await this._setStatus(id, STATUSES.FAILED, { error: error.message });
+      logger.error('[Webhooks] Event processing failed', {
+        id,
+        provider: event.provider,
+        eventType: event.event_type,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-run a settled event: reset it to 'received' and enqueue a new job.
+   * Refused while a processing job for the event is pending or running.
+   *
+   * @param {number} id - Webhook event ID
+   * @param {Object} [options={}]
+   * @param {number} [options.userId] - Admin replaying the event (job created_by)
+   * @returns {Promise<Object>} Updated event
+   * @throws {AppError} 404 if not found, 409 if the event is still queued
+   */
+  static async replay(id, options = {}) {
+    const { userId = null } = options;
+
+    const event = await withTransaction(async (client) => {
+      // A failed event's retry may still be queued; replaying would run it twice
+      if (await JobQueueService.hasActive(PROCESS_JOB_TYPE, { webhookEventId: Number(id) }, { client })) {
+        throw new AppError(
+          `Webhook event ${id} still has a processing job queued or running`,
+          409,
+          ERROR_CODES.RESOURCE_CONFLICT,
+        );
+      }
+
+      const { rows } = await client.query(
+        `UPDATE webhook_events
+         SET status = $1, error = NULL, processed_at = NULL, updated_at = NOW()
+         WHERE id = $2 AND status = ANY($3)
+         RETURNING *`,
+        [STATUSES.RECEIVED, id, REPLAYABLE_STATUSES],
+      );
+
+      if (rows[0]) {
+        await JobQueueService.enqueue(
+          PROCESS_JOB_TYPE,
+          { webhookEventId: id },
+          { client, createdBy: userId },
+        );
+      }
+      return rows[0] || null;
+    });
+
+    if (!event) {
+      const existing = await this.findById(id);
+      if (!existing) {
+        throw new AppError(`Webhook event ${id} not found`, 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+      }
+      throw new AppError(
+        `Webhook event ${id} is ${existing.status} and cannot be replayed (allowed from: ${REPLAYABLE_STATUSES.join(', ')})`,
+        409,
+        ERROR_CODES.RESOURCE_CONFLICT,
+      );
+    }
+
+    logger.info('[Webhooks] Event replay queued', { id, userId });
+    return event;
+  }
+
+  /**
+   * List stored events, newest first.
+   *
+   * @param {Object} [filters={}]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=50]
+   * @param {string} [filters.status] - Filter by status
+   * @param {string} [filters.provider] - Filter by provider
+   * @param {string} [filters.eventType] - Filter by event type
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  static async list(filters = {}) {
+    const { page = 1, limit = 50, status = null, provider = null, eventType = null } = filters;
+
+    const params = [];
+    const conditions = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (provider) {
+      params.push(provider);
+      conditions.push(`provider = $${params.length}`);
+    }
+
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [countResult, dataResult] = await Promise.all([
+      db.query(`SELECT COUNT(*) AS total FROM webhook_events ${whereClause}`, params),
+      db.query(
+        `SELECT * FROM webhook_events ${whereClause}
+         ORDER BY received_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset],
+      ),
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a stored event by ID.
+   *
+   * @param {number} id - Webhook event ID
+   * @returns {Promise<Object|null>} Event or null
+   */
+  static async findById(id) {
+    const { rows } = await db.query('SELECT * FROM webhook_events WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Set an event's outcome status.
+   *
+   * @private
+   * @param {number} id - Webhook event ID
+   * @param {string} status - New status
+   * @param {Object} [options={}]
+   * @param {string} [options.error] - Failure message (cleared otherwise)
+   * @param {Object} [options.client] - pg client (defaults to the pool)
+   */
+  static async _setStatus(id, status, options = {}) {
+    const { error = null, client = db } = options;
+    await client.query(
+      `UPDATE webhook_events
+       SET status = $1, error = $2,
+           processed_at = CASE WHEN $3 THEN NOW() ELSE processed_at END,
+           updated_at = NOW()
+       WHERE id = $4`,
+      [status, error, SETTLED_STATUSES.includes(status), id],
+    );
+  }
+}
+
+module.exports = WebhookEventService;
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Webhook Handlers Registry
+ *
+ * Maps provider → event type → handler, dispatched by
+ * services/integrations/webhook-event-service.js.
+ *
+ * Each handler receives (payload, { client, webhookEvent }) and runs inside
+ * the event's processing transaction: pass `client` to every write so the
+ * business update and the event's 'processed' status commit together.
+ * Handlers must be idempotent - events can be replayed.
+ *
+ * Adding a handler: export it from the provider's module under the event
+ * type it handles. Event types without a handler are stored as 'ignored'.
+ */
+
+const stripe = require('./stripe');
+const quickbooks = require('./quickbooks');
+
+const WEBHOOK_HANDLERS = Object.freeze({
+  stripe: stripe.HANDLERS,
+  quickbooks: quickbooks.HANDLERS,
+});
+
+/**
+ * Get the handler for a provider's event type.
+ *
+ * @param {string} provider - Provider name
+ * @param {string} eventType - Provider event type
+ * @returns {Function|null} Handler, or null if none is registered
+ */
+function getWebhookHandler(provider, eventType) {
+  const handlers = Object.prototype.hasOwnProperty.call(WEBHOOK_HANDLERS, provider)
+    ? WEBHOOK_HANDLERS[provider]
+    : null;
+
+  if (!handlers || !eventType || !Object.prototype.hasOwnProperty.call(handlers, eventType)) {
+    return null;
+  }
+  return handlers[eventType];
+}
+
+module.exports = {
+  WEBHOOK_HANDLERS,
+  getWebhookHandler,
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * QuickBooks Webhook Handlers
+ *
+ * QuickBooks sends change notifications (no entity data): a list of
+ * { name, id, operation } per realm. A change on the QuickBooks side means
+ * our copy may be stale, so matching invoices (invoices.qb_invoice_id) are
+ * flagged for re-sync via qb_sync_status:
+ * - Create / Update / Merge / Emailed → 'modified'
+ * - Delete / Void → 'error' (with qb_sync_error) - needs manual attention
+ *
+ * Non-invoice entities and unknown invoices are counted and skipped.
+ */
+
+const GenericEntityService = require('../../entity/generic-entity-service');
+const { logger } = require('../../../config/logger');
+
+/** Event type stored for QuickBooks notifications (see routes/webhooks.js) */
+const DATA_CHANGE_EVENT = 'dataChangeEvent';
+
+/** Operations that leave the local invoice without a live QuickBooks counterpart */
+const REMOVAL_OPERATIONS = Object.freeze({
+  Delete: 'Invoice deleted in QuickBooks',
+  Void: 'Invoice voided in QuickBooks',
+});
+
+/**
+ * Flatten a notification payload into its changed entities.
+ *
+ * @param {Object} payload - QuickBooks webhook payload
+ * @returns {Object[]} [{ realmId, name, id, operation }]
+ */
+function getChangedEntities(payload) {
+  return (payload?.eventNotifications || []).flatMap((notification) =>
+    (notification.dataChangeEvent?.entities || []).map((entity) => ({
+      realmId: notification.realmId,
+      name: entity.name,
+      id: entity.id,
+      operation: entity.operation,
+    })),
+  );
+}
+
+/**
+ * dataChangeEvent → flag changed invoices for re-sync.
+ *
+ * @param {Object} payload - QuickBooks webhook payload
+ * @param {Object} context - { client }
+ * @returns {Promise<Object>} { updated, unmatched, skipped }
+ */
+async function handleDataChangeEvent(payload, { client }) {
+  const summary = { updated: 0, unmatched: 0, skipped: 0 };
+
+  for (const entity of getChangedEntities(payload)) {
+    if (entity.name !== 'Invoice' || !entity.id) {
+      summary.skipped++;
+      continue;
+    }
+
+    const invoice = await GenericEntityService.findByField(
+      'invoice',
+      'qb_invoice_id',
+      String(entity.id),
+      { client },
+    );
+
+    if (!invoice) {
+      summary.unmatched++;
+      continue;
+    }
+
+    const removalError = Object.prototype.hasOwnProperty.call(REMOVAL_OPERATIONS, entity.operation)
+      ? REMOVAL_OPERATIONS[entity.operation]
+      : null;
+    await GenericEntityService.update(
+      'invoice',
+      invoice.id,
+      removalError
+        ? { qb_sync_status: 'error', qb_sync_error: removalError }
+        : { qb_sync_status: 'modified', qb_sync_error: null },
+      { client, skipHooks: true },
+    );
+    summary.updated++;
+  }
+
+  logger.info('[Webhooks] QuickBooks changes applied', summary);
+  return summary;
+}
+
+const HANDLERS = Object.freeze({
+  [DATA_CHANGE_EVENT]: handleDataChangeEvent,
+});
+
+module.exports = {
+  DATA_CHANGE_EVENT,
+  HANDLERS,
+  getChangedEntities,
+  handleDataChangeEvent,
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Stripe Webhook Handlers
+ *
+ * PaymentIntent events keep `payments` in step with Stripe, keyed on
+ * payments.stripe_payment_intent_id:
+ * - payment_intent.succeeded: complete the matching payment, or record a new
+ *   one for the customer/invoice named in the intent's metadata
+ *   (metadata.customer_id and/or metadata.invoice_id)
+ * - payment_intent.payment_failed: mark the matching payment failed
+ */
+
+const GenericEntityService = require('../../entity/generic-entity-service');
+const AppError = require('../../../utils/app-error');
+const { ERROR_CODES } = require('../../../config/error-codes');
+const { logger } = require('../../../config/logger');
+
+/**
+ * Get the PaymentIntent object from an event.
+ *
+ * @param {Object} event - Stripe event
+ * @returns {Object} PaymentIntent
+ * @throws {AppError} If the event carries no PaymentIntent
+ */
+function getPaymentIntent(event) {
+  const intent = event?.data?.object;
+  if (!intent?.id) {
+    throw new AppError(
+      `Stripe ${event?.type} event has no PaymentIntent`,
+      400,
+      ERROR_CODES.VALIDATION_FAILED,
+    );
+  }
+  return intent;
+}
+
+/**
+ * Parse a positive integer ID from intent metadata (Stripe metadata is strings).
+ *
+ * @param {string|number|undefined} value
+ * @returns {number|null}
+ */
+function toId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * payment_intent.succeeded → create or complete the payment.
+ *
+ * @param {Object} event - Stripe event
+ * @param {Object} context - { client }
+ * @returns {Promise<Object>} { action, paymentId }
+ */
+async function handlePaymentIntentSucceeded(event, { client }) {
+  const intent = getPaymentIntent(event);
+  const chargeId = typeof intent.latest_charge === 'string'
+    ? intent.latest_charge
+    : intent.latest_charge?.id || null;
+
+  const existing = await GenericEntityService.findByField(
+    'payment',
+    'stripe_payment_intent_id',
+    intent.id,
+    { client },
+  );
+
+  if (existing) {
+    await GenericEntityService.update(
+      'payment',
+      existing.id,
+      { status: 'completed', stripe_charge_id: chargeId || existing.stripe_charge_id },
+      { client },
+    );
+    return { action: 'updated', paymentId: existing.id };
+  }
+
+  const invoiceId = toId(intent.metadata?.invoice_id);
+  let customerId = toId(intent.metadata?.customer_id);
+
+  if (!customerId && invoiceId) {
+    const invoice = await GenericEntityService.findById('invoice', invoiceId, { client });
+    customerId = invoice?.customer_id ?? null;
+  }
+
+  if (!customerId) {
+    throw new AppError(
+      `PaymentIntent ${intent.id} has no customer_id or invoice_id metadata to attribute the payment`,
+      422,
+      ERROR_CODES.VALIDATION_MISSING_FIELD,
+    );
+  }
+
+  const paidAt = event.created ? new Date(event.created * 1000) : new Date();
+  const payment = await GenericEntityService.create(
+    'payment',
+    {
+      customer_id: customerId,
+      invoice_id: invoiceId,
+      amount: (intent.amount_received ?? intent.amount) / 100,
+      payment_date: paidAt.toISOString().slice(0, 10),
+      payment_method: 'online',
+      status: 'completed',
+      stripe_payment_intent_id: intent.id,
+      stripe_charge_id: chargeId,
+    },
+    { client },
+  );
+
+  logger.info('[Webhooks] Payment recorded from Stripe', {
+    paymentId: payment.id,
+    paymentIntentId: intent.id,
+  });
+  return { action: 'created', paymentId: payment.id };
+}
+
+/**
+ * payment_intent.payment_failed → fail the matching payment, if recorded.
+ *
+ * @param {Object} event - Stripe event
+ * @param {Object} context - { client }
+ * @returns {Promise<Object>} { action, paymentId }
+ */
+async function handlePaymentIntentFailed(event, { client }) {
+  const intent = getPaymentIntent(event);
+
+  const existing = await GenericEntityService.findByField(
+    'payment',
+    'stripe_payment_intent_id',
+    intent.id,
+    { client },
+  );
+
+  if (!existing) {
+    return { action: 'none', paymentId: null };
+  }
+
+  await GenericEntityService.update('payment', existing.id, { status: 'failed' }, { client });
+  return { action: 'updated', paymentId: existing.id };
+}
+
+const HANDLERS = Object.freeze({
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+});
+
+module.exports = {
+  HANDLERS,
+  handlePaymentIntentSucceeded,
+  handlePaymentIntentFailed,
+};
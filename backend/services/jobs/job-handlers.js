@@ -0,0 +1,157 @@
+/**
+ * Job Handlers
+ *
+ * Registry of job types → handler functions, run by job-worker.js.
+ *
+ * Each handler receives (payload, job) and returns a JSON-serializable result
+ * (stored on the job). Throwing marks the attempt failed; the job retries
+ * with backoff until max_attempts, then is dead-lettered.
+ *
+ * Adding a job type: add a handler here, then enqueue it:
+ *   await JobQueueService.enqueue('export.generate', { entity: 'customer' });
+ *
+ * Services are required lazily so enqueuing code (routes, hooks) does not
+ * load every handler dependency.
+ */
+
+const JOB_HANDLERS = Object.freeze({
+  // ───────────────────────────────────────────────────────────────
+  // Maintenance (recurring - see API_OPERATIONS.JOBS.RECURRING)
+  // ───────────────────────────────────────────────────────────────
+
+  'idempotency.cleanup': async () => {
+    const IdempotencyService = require('../utils/idempotency-service');
+    return { deleted: await IdempotencyService.cleanup() };
+  },
+
+  'tokens.cleanup': async () => {
+    const TokenService = require('../auth/token-service');
+    return { deleted: await TokenService.cleanupExpiredTokens() };
+  },
+
+  'maintenance.generate': async () => {
+    const MaintenanceSchedulerService = require('../scheduling/maintenance-scheduler-service');
+    return MaintenanceSchedulerService.generateDueWorkOrders();
+  },
+
+  'jobs.cleanup': async () => {
+    const JobQueueService = require('./job-queue-service');
+    return { deleted: await JobQueueService.purgeFinished() };
+  },
+
+  'approvals.timeouts': async () => {
+    const ApprovalService = require('../entity/approval-service');
+    return ApprovalService.processTimeouts();
+  },
+
+  'realtime.cleanup': async () => {
+    const RealtimeEventService = require('../realtime/realtime-event-service');
+    return { deleted: await RealtimeEventService.purgeExpired() };
+  },
+
+  'webhooks.cleanup': async () => {
+    const WebhookDeliveryService = require('../integrations/webhook-delivery-service');
+    return { deleted: await WebhookDeliveryService.purgeExpired() };
+  },
+
+  // ───────────────────────────────────────────────────────────────
+  // Notifications - payload: { notificationId }
+  // Sends a notification's email; enqueued by the notification action
+  // (channels: ['email']). Transient failures throw so the job retries.
+  // ───────────────────────────────────────────────────────────────
+
+  'notification.email': async ({ notificationId }, job) => {
+    const EmailService = require('../notifications/email-service');
+    return EmailService.deliverNotification(notificationId, {
+      attempt: job?.attempts,
+      maxAttempts: job?.max_attempts,
+    });
+  },
+
+  // ───────────────────────────────────────────────────────────────
+  // Webhooks - payload: { webhookEventId }
+  // Runs a stored webhook_events row through its provider handler
+  // (services/integrations/webhook-handlers). Enqueued on receipt and replay.
+  // ───────────────────────────────────────────────────────────────
+
+  'webhook.process': async ({ webhookEventId }) => {
+    const WebhookEventService = require('../integrations/webhook-event-service');
+    return WebhookEventService.process(webhookEventId);
+  },
+
+  // ───────────────────────────────────────────────────────────────
+  // Outbound webhooks - payload: { webhookDeliveryId }
+  // POSTs a signed webhook_deliveries row to its subscription's URL.
+  // Enqueued by entity writes/actions and admin redelivery.
+  // ───────────────────────────────────────────────────────────────
+
+  'webhook.deliver': async ({ webhookDeliveryId }, job) => {
+    const WebhookDeliveryService = require('../integrations/webhook-delivery-service');
+    return WebhookDeliveryService.deliver(webhookDeliveryId, {
+      attempt: job?.attempts,
+      maxAttempts: job?.max_attempts,
+    });
+  },
+
+  // ───────────────────────────────────────────────────────────────
+  // QuickBooks - bulk push of pending/modified customers and invoices
+  // Enqueued by POST /api/integrations/quickbooks/sync
+  // ───────────────────────────────────────────────────────────────
+
+  'quickbooks.sync': async () => {
+    const QuickBooksSyncService = require('../integrations/quickbooks-sync-service');
+    return QuickBooksSyncService.syncAllPending();
+  },
+
+  // ───────────────────────────────────────────────────────────────
+  // Exports - payload: { entity, format, options, fields, rlsContext, userId }
+  // Enqueued by GET /api/export/:entity above EXPORT.ASYNC_ROW_THRESHOLD rows.
+  // Generates the file under the requester's RLS context, stores it and
+  // notifies the user with a signed download link.
+  // ───────────────────────────────────────────────────────────────
+
+  'export.generate': async (payload, job) => {
+    const ExportService = require('../data/export-service');
+    return ExportService.exportToStorage(payload, job.id);
+  },
+
+  // ───────────────────────────────────────────────────────────────
+  // Scheduled reports (recurring - see API_OPERATIONS.JOBS.RECURRING)
+  // Renders due report subscriptions (saved views) under their owner's
+  // RLS context and notifies each owner with a signed download link.
+  // ───────────────────────────────────────────────────────────────
+
+  'reports.deliver': async (_payload, job) => {
+    const ReportSubscriptionService = require('../data/report-subscription-service');
+    return ReportSubscriptionService.deliverDue({ jobId: job?.id });
+  },
+
+  // ───────────────────────────────────────────────────────────────
+  // Notifications - payload: notification fields
+  // { user_id, title, body, type, resource_type, resource_id }
+  // ───────────────────────────────────────────────────────────────
+
+  'notification.deliver': async (payload) => {
+    const GenericEntityService = require('../entity/generic-entity-service');
+    const notification = await GenericEntityService.create('notification', payload, {
+      user: 'system',
+      skipHooks: true,
+    });
+    return { notificationId: notification?.id ?? null };
+  },
+});
+
+/**
+ * Get the handler for a job type.
+ *
+ * @param {string} type - Job type
+ * @returns {Function|null} Handler, or null if the type is unknown
+ */
+function getJobHandler(type) {
+  return Object.prototype.hasOwnProperty.call(JOB_HANDLERS, type) ? JOB_HANDLERS[type] : null;
+}
+
+module.exports = {
+  JOB_HANDLERS,
+  getJobHandler,
+};
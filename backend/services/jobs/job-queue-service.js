@@ -0,0 +1,450 @@
+/**
+ * Job Queue Service
+ *
+ * SRP: ONLY manages rows in the durable `jobs` table
+ *
+ * PHILOSOPHY:
+ * - DURABLE: Jobs live in Postgres, so enqueued work survives restarts
+ * - MULTI-INSTANCE SAFE: Claiming uses FOR UPDATE SKIP LOCKED, so each job
+ *   runs on exactly one worker even with several app instances polling
+ * - RETRYING: Failures retry with exponential backoff until max_attempts,
+ *   then the job is dead-lettered (status 'dead') for admin inspection
+ * - RECURRING: Cron-style jobs keep one pending instance per recurring_key;
+ *   the next instance is enqueued when the current one settles. A per-slot
+ *   dedupe_key stops instances from double-scheduling the same run.
+ *
+ * Job execution lives in job-worker.js; handlers in job-handlers.js.
+ *
+ * USAGE:
+ *   const JobQueueService = require('./services/jobs/job-queue-service');
+ *   await JobQueueService.enqueue('notification.deliver', { user_id: 1, title: 'Hi' });
+ */
+
+const db = require('../../db/connection');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { logger } = require('../../config/logger');
+const AppError = require('../../utils/app-error');
+const { nextCronRun } = require('../../utils/cron-expression');
+
+const { JOBS } = API_OPERATIONS;
+const { STATUSES } = JOBS;
+
+/** Statuses an admin may retry from / cancel from */
+const RETRYABLE_STATUSES = Object.freeze([STATUSES.DEAD, STATUSES.CANCELLED]);
+const CANCELLABLE_STATUSES = Object.freeze([STATUSES.PENDING, STATUSES.RUNNING]);
+
+class JobQueueService {
+  /**
+   * Enqueue a job.
+   *
+   * @param {string} type - Job type (key in JOB_HANDLERS)
+   * @param {Object} [payload={}] - JSON-serializable handler input
+   * @param {Object} [options={}]
+   * @param {Date} [options.runAt] - Earliest run time (default: now)
+   * @param {number} [options.maxAttempts] - Attempts before dead-lettering
+   * @param {string} [options.dedupeKey] - Unique key; a duplicate enqueue is a no-op
+   * @param {string} [options.recurringKey] - Recurring job key (with options.cron)
+   * @param {string} [options.cron] - Cron expression for recurring jobs
+   * @param {number} [options.createdBy] - User ID that enqueued the job
+   * @param {Object} [options.client] - pg client to enqueue inside a caller's transaction
+   * @returns {Promise<Object|null>} Created job, or null when deduplicated
+   */
+  static async enqueue(type, payload = {}, options = {}) {
+    if (!type || typeof type !== 'string') {
+      throw new AppError('Job type is required', 400, ERROR_CODES.VALIDATION_FAILED);
+    }
+
+    const {
+      runAt = new Date(),
+      maxAttempts = JOBS.DEFAULT_MAX_ATTEMPTS,
+      dedupeKey = null,
+      recurringKey = null,
+      cron = null,
+      createdBy = null,
+      client = db,
+    } = options;
+
+    const result = await client.query(
+      `INSERT INTO jobs (type, payload, run_at, max_attempts, dedupe_key, recurring_key, cron, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (dedupe_key) DO NOTHING
+       RETURNING *`,
+      [type, JSON.stringify(payload), runAt, maxAttempts, dedupeKey, recurringKey, cron, createdBy],
+    );
+
+    const job = result.rows[0] || null;
+    if (job) {
+      logger.debug('[Jobs] Enqueued', { id: job.id, type, runAt });
+    } else {
+      logger.debug('[Jobs] Duplicate enqueue ignored', { type, dedupeKey });
+    }
+    return job;
+  }
+
+  /**
+   * Claim due pending jobs for a worker.
+   *
+   * Claimed jobs move to 'running' with attempts incremented, so a crash
+   * mid-job still counts against max_attempts once the lock expires.
+   *
+   * @param {string} workerId - Identifier of the claiming worker
+   * @param {number} [limit=JOBS.BATCH_SIZE] - Maximum jobs to claim
+   * @returns {Promise<Object[]>} Claimed jobs (oldest run_at first)
+   */
+  static async claim(workerId, limit = JOBS.BATCH_SIZE) {
+    const result = await db.query(
+      `UPDATE jobs
+       SET status = $1, attempts = attempts + 1, locked_at = NOW(), locked_by = $2, updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM jobs
+         WHERE status = $3 AND run_at <= NOW()
+         ORDER BY run_at, id
+         LIMIT $4
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [STATUSES.RUNNING, workerId, STATUSES.PENDING, limit],
+    );
+    return result.rows.sort((a, b) => new Date(a.run_at) - new Date(b.run_at) || a.id - b.id);
+  }
+
+  /**
+   * Mark a claimed job completed.
+   *
+   * Guarded on the worker's lock: a job cancelled or reclaimed while running
+   * is left as-is (returns null).
+   *
+   * @param {Object} job - Claimed job row
+   * @param {*} [result] - JSON-serializable handler result
+   * @returns {Promise<Object|null>} Updated job, or null if the lock was lost
+   */
+  static async complete(job, result = null) {
+    const { rows } = await db.query(
+      `UPDATE jobs
+       SET status = $1, result = $2, completed_at = NOW(), locked_at = NULL, locked_by = NULL, updated_at = NOW()
+       WHERE id = $3 AND status = $4 AND locked_by = $5
+       RETURNING *`,
+      [STATUSES.COMPLETED, JSON.stringify(result ?? null), job.id, STATUSES.RUNNING, job.locked_by],
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Record a failed attempt: retry with backoff, or dead-letter when attempts
+   * are exhausted (or the failure is permanent).
+   *
+   * @param {Object} job - Claimed job row
+   * @param {Error|string} error - Failure
+   * @param {Object} [options={}]
+   * @param {boolean} [options.permanent=false] - Dead-letter without retrying
+   * @returns {Promise<Object|null>} Updated job, or null if the lock was lost
+   */
+  static async fail(job, error, options = {}) {
+    const { permanent = false } = options;
+    const message = error instanceof Error ? error.message : String(error);
+    const exhausted = permanent || job.attempts >= job.max_attempts;
+    const status = exhausted ? STATUSES.DEAD : STATUSES.PENDING;
+    const runAt = exhausted
+      ? job.run_at
+      : new Date(Date.now() + this.backoffMs(job.attempts));
+
+    const { rows } = await db.query(
+      `UPDATE jobs
+       SET status = $1, last_error = $2, run_at = $3, locked_at = NULL, locked_by = NULL, updated_at = NOW()
+       WHERE id = $4 AND status = $5 AND locked_by = $6
+       RETURNING *`,
+      [status, message, runAt, job.id, STATUSES.RUNNING, job.locked_by],
+    );
+
+    logger[exhausted ? 'error' : 'warn'](
+      exhausted ? '[Jobs] Job dead-lettered' : '[Jobs] Job failed, will retry',
+      { id: job.id, type: job.type, attempts: job.attempts, error: message, runAt },
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Backoff before the next attempt: BASE × 2^(attempt-1), capped at MAX.
+   *
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  static backoffMs(attempts) {
+    const exponent = Math.max(0, attempts - 1);
+    return Math.min(JOBS.BACKOFF_BASE_MS * 2 ** exponent, JOBS.BACKOFF_MAX_MS);
+  }
+
+  /**
+   * Return orphaned running jobs (lock older than LOCK_TIMEOUT_MS, e.g. the
+   * worker crashed) to pending - or dead when their attempts are exhausted.
+   *
+   * @returns {Promise<number>} Number of jobs reclaimed
+   */
+  static async reclaimStale() {
+    const result = await db.query(
+      `UPDATE jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN $1 ELSE $2 END,
+           last_error = 'Worker lock expired',
+           run_at = NOW(), locked_at = NULL, locked_by = NULL, updated_at = NOW()
+       WHERE status = $3 AND locked_at < NOW() - ($4 || ' milliseconds')::interval`,
+      [STATUSES.DEAD, STATUSES.PENDING, STATUSES.RUNNING, String(JOBS.LOCK_TIMEOUT_MS)],
+    );
+
+    if (result.rowCount > 0) {
+      logger.warn('[Jobs] Reclaimed stale jobs', { count: result.rowCount });
+    }
+    return result.rowCount;
+  }
+
+  /**
+   * Enqueue the next instance of a recurring job after `from`.
+   *
+   * @param {{key: string, type: string, cron: string, payload?: Object}} definition - Recurring job
+   * @param {Date} [from=new Date()] - Reference time
+   * @returns {Promise<Object|null>} Created job, or null if that slot is already queued
+   */
+  static async scheduleRecurring(definition, from = new Date()) {
+    const { key, type, cron, payload = {} } = definition;
+    const runAt = nextCronRun(cron, from);
+
+    return this.enqueue(type, payload, {
+      runAt,
+      recurringKey: key,
+      cron,
+      dedupeKey: `recurring:${key}:${runAt.toISOString()}`,
+    });
+  }
+
+  /**
+   * Enqueue the instance after a settled recurring job (no-op for one-off jobs).
+   * Scheduled from the later of now and the job's own slot, so the slot just
+   * settled is never re-queued.
+   *
+   * @param {Object} job - Settled job row
+   * @returns {Promise<Object|null>} Next instance, or null
+   */
+  static async scheduleNextInstance(job) {
+    if (!job.recurring_key || !job.cron) {
+      return null;
+    }
+
+    const from = new Date(Math.max(Date.now(), new Date(job.run_at).getTime()));
+    return this.scheduleRecurring(
+      { key: job.recurring_key, type: job.type, cron: job.cron, payload: job.payload },
+      from,
+    );
+  }
+
+  /**
+   * Ensure every recurring definition has a pending or running instance.
+   * Safe to call from every instance on startup.
+   *
+   * @param {Object[]} [definitions=JOBS.RECURRING] - Recurring job definitions
+   * @returns {Promise<string[]>} Keys that were (re)scheduled
+   */
+  static async ensureRecurring(definitions = JOBS.RECURRING) {
+    const { rows } = await db.query(
+      `SELECT DISTINCT recurring_key FROM jobs
+       WHERE recurring_key = ANY($1) AND status = ANY($2)`,
+      [definitions.map((d) => d.key), [STATUSES.PENDING, STATUSES.RUNNING]],
+    );
+    const active = new Set(rows.map((r) => r.recurring_key));
+
+    const scheduled = [];
+    for (const definition of definitions) {
+      if (!active.has(definition.key)) {
+        await this.scheduleRecurring(definition);
+        scheduled.push(definition.key);
+      }
+    }
+
+    if (scheduled.length > 0) {
+      logger.info('[Jobs] Recurring jobs scheduled', { keys: scheduled });
+    }
+    return scheduled;
+  }
+
+  /**
+   * List jobs, newest first.
+   *
+   * @param {Object} [filters={}]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=50]
+   * @param {string} [filters.status] - Filter by status
+   * @param {string} [filters.type] - Filter by job type
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  static async list(filters = {}) {
+    const { page = 1, limit = 50, status = null, type = null } = filters;
+
+    const params = [];
+    const conditions = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (type) {
+      params.push(type);
+      conditions.push(`type = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [countResult, dataResult] = await Promise.all([
+      db.query(`SELECT COUNT(*) AS total FROM jobs ${whereClause}`, params),
+      db.query(
+        `SELECT * FROM jobs ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset],
+      ),
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a job by ID.
+   *
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  static async findById(id) {
+    const { rows } = await db.query('SELECT * FROM jobs WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Whether a pending or running job of a type carries the given payload.
+   *
+   * @param {string} type - Job type
+   * @param {Object} payload - Payload subset to match (jsonb containment)
+   * @param {Object} [options={}]
+   * @param {Object} [options.client] - pg client (defaults to the pool)
+   * @returns {Promise<boolean>} True if such a job is queued or running
+   */
+  static async hasActive(type, payload, options = {}) {
+    const { client = db } = options;
+    const { rows } = await client.query(
+      `SELECT 1 FROM jobs
+       WHERE type = $1 AND payload @> $2::jsonb AND status = ANY($3)
+       LIMIT 1`,
+      [type, JSON.stringify(payload), CANCELLABLE_STATUSES],
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Re-queue a dead or cancelled job with a fresh attempt budget.
+   *
+   * @param {number} id - Job ID
+   * @returns {Promise<Object>} Updated job
+   * @throws {AppError} 404 if not found, 409 if the job is not retryable
+   */
+  static async retry(id) {
+    const { rows } = await db.query(
+      `UPDATE jobs
+       SET status = $1, attempts = 0, run_at = NOW(), completed_at = NULL,
+           locked_at = NULL, locked_by = NULL, updated_at = NOW()
+       WHERE id = $2 AND status = ANY($3)
+       RETURNING *`,
+      [STATUSES.PENDING, id, RETRYABLE_STATUSES],
+    );
+
+    if (!rows[0]) {
+      await this._throwTransitionError(id, 'retried', RETRYABLE_STATUSES);
+    }
+
+    logger.info('[Jobs] Job re-queued', { id });
+    return rows[0];
+  }
+
+  /**
+   * Cancel a pending or running job. A running handler is not interrupted,
+   * but its outcome is discarded. Cancelling a recurring instance skips that
+   * run; the next one is scheduled.
+   *
+   * @param {number} id - Job ID
+   * @returns {Promise<Object>} Updated job
+   * @throws {AppError} 404 if not found, 409 if the job already settled
+   */
+  static async cancel(id) {
+    const { rows } = await db.query(
+      `UPDATE jobs
+       SET status = $1, locked_at = NULL, locked_by = NULL, updated_at = NOW()
+       WHERE id = $2 AND status = ANY($3)
+       RETURNING *`,
+      [STATUSES.CANCELLED, id, CANCELLABLE_STATUSES],
+    );
+
+    const job = rows[0];
+    if (!job) {
+      await this._throwTransitionError(id, 'cancelled', CANCELLABLE_STATUSES);
+    }
+
+    await this.scheduleNextInstance(job);
+
+    logger.info('[Jobs] Job cancelled', { id });
+    return job;
+  }
+
+  /**
+   * Delete completed and cancelled jobs older than the retention window.
+   * Dead jobs are kept until an admin retries or removes them.
+   *
+   * @param {number} [retentionDays=JOBS.RETENTION_DAYS]
+   * @returns {Promise<number>} Number of jobs deleted
+   */
+  static async purgeFinished(retentionDays = JOBS.RETENTION_DAYS) {
+    const result = await db.query(
+      `DELETE FROM jobs
+       WHERE status = ANY($1) AND updated_at < NOW() - ($2 || ' days')::interval`,
+      [[STATUSES.COMPLETED, STATUSES.CANCELLED], String(retentionDays)],
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('[Jobs] Purged finished jobs', { count: result.rowCount });
+    }
+    return result.rowCount;
+  }
+
+  /**
+   * Throw the appropriate error for a rejected status transition.
+   *
+   * @private
+   * @param {number} id - Job ID
+   * @param {string} verb - Attempted transition (for the message)
+   * @param {string[]} allowed - Statuses the transition is allowed from
+   * @throws {AppError} Always
+   */
+  static async _throwTransitionError(id, verb, allowed) {
+    const job = await this.findById(id);
+    if (!job) {
+      throw new AppError(`Job ${id} not found`, 404, ERROR_CODES.RESOURCE_NOT_FOUND);
+    }
+    throw new AppError(
+      `Job ${id} is ${job.status} and cannot be ${verb} (allowed from: ${allowed.join(', ')})`,
+      409,
+      ERROR_CODES.RESOURCE_CONFLICT,
+    );
+  }
+}
+
+module.exports = JobQueueService;
@@ -0,0 +1,98 @@
+/**
+ * Job Worker
+ *
+ * SRP: ONLY claims due jobs and runs them through their handlers
+ *
+ * One tick: reclaim orphaned locks → claim one job → run it → record
+ * completion or failure → enqueue the next instance of a settled recurring
+ * job → claim the next, up to the batch size. Driven by
+ * services/admin/background-tasks.js.
+ *
+ * Jobs are claimed one at a time so each lock starts when its job does; a
+ * batch claimed up front would age while earlier jobs run and be reclaimed
+ * (and run twice) before its turn.
+ */
+
+const os = require('os');
+const JobQueueService = require('./job-queue-service');
+const { getJobHandler } = require('./job-handlers');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { logger } = require('../../config/logger');
+
+const { JOBS } = API_OPERATIONS;
+
+/** Identifies this process in jobs.locked_by */
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Run one claimed job and record its outcome.
+ *
+ * @param {Object} job - Claimed job row
+ * @returns {Promise<string>} Outcome: 'completed' | 'retry' | 'dead' | 'lost'
+ */
+async function processJob(job) {
+  const handler = getJobHandler(job.type);
+  let settled;
+
+  if (!handler) {
+    settled = await JobQueueService.fail(job, `No handler registered for job type "${job.type}"`, {
+      permanent: true,
+    });
+  } else {
+    try {
+      const result = await handler(job.payload || {}, job);
+      settled = await JobQueueService.complete(job, result);
+    } catch (error) {
+      settled = await JobQueueService.fail(job, error);
+    }
+  }
+
+  if (!settled) {
+    // Cancelled or reclaimed while running - outcome discarded
+    return 'lost';
+  }
+
+  if (settled.status === JOBS.STATUSES.PENDING) {
+    return 'retry';
+  }
+
+  await JobQueueService.scheduleNextInstance(settled);
+  return settled.status === JOBS.STATUSES.COMPLETED ? 'completed' : 'dead';
+}
+
+/**
+ * Claim and run due jobs one at a time (one worker tick).
+ *
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=JOBS.BATCH_SIZE] - Maximum jobs to run
+ * @returns {Promise<Object>} Counts { claimed, completed, retry, dead, lost }
+ */
+async function runDueJobs(options = {}) {
+  const { limit = JOBS.BATCH_SIZE } = options;
+
+  await JobQueueService.reclaimStale();
+
+  const summary = { claimed: 0, completed: 0, retry: 0, dead: 0, lost: 0 };
+
+  while (summary.claimed < limit) {
+    const [job] = await JobQueueService.claim(WORKER_ID, 1);
+    if (!job) {
+      break;
+    }
+    summary.claimed++;
+    const outcome = await processJob(job);
+    summary[outcome]++;
+  }
+
+  if (summary.claimed > 0) {
+    logger.debug('[Jobs] Worker tick complete', summary);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  WORKER_ID,
+  processJob,
+  runDueJobs,
+};
@@ -0,0 +1,212 @@
+/**
+ * Email Service
+ *
+ * SRP: ONLY delivers the email of a notification and records the outcome on
+ * the notification row
+ *
+ * DELIVERY (one 'notification.email' job per notification):
+ *   pending/failed ──transport accepts──────────→ sent
+ *                  ├─permanent rejection (5xx)──→ bounced (not retried)
+ *                  ├─transient error────────────→ pending (job retries with backoff)
+ *                  │                              failed once attempts are exhausted
+ *                  ╰─opted out / no address / no transport → skipped
+ *
+ * - OPT-OUT: preferences.notifications_enabled = false skips email delivery
+ *   (the in-app notification is unaffected). Checked at delivery time, so
+ *   opting out also stops queued emails.
+ * - LOCALE: the email is rendered in preferences.locale (see
+ *   config/notification-templates.json), like the notification's title/body.
+ * - IDEMPOTENT: only pending or failed notifications are sent; a replayed job
+ *   for a sent, bounced or skipped notification is a no-op.
+ *
+ * INTEGRATION:
+ *   notification action (channels: ['email']) → enqueues 'notification.email'
+ *   job-handlers 'notification.email' → deliverNotification()
+ */
+
+const db = require('../../db/connection');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { logger } = require('../../config/logger');
+const { renderEmail } = require('../../config/notification-templates');
+const allMetadata = require('../../config/models');
+const { buildMessage } = require('../../utils/mime-message');
+const { getEmailTransport } = require('./transports');
+
+const { EMAIL } = API_OPERATIONS;
+const { DELIVERY_STATUSES } = EMAIL;
+
+/** Statuses that are (re)sent by a delivery attempt */
+const DELIVERABLE_STATUSES = Object.freeze([DELIVERY_STATUSES.PENDING, DELIVERY_STATUSES.FAILED]);
+
+/**
+ * Sender mailbox from EMAIL_FROM / EMAIL_FROM_NAME.
+ *
+ * @returns {{ name: string, address: string }}
+ */
+function getSender() {
+  return {
+    name: process.env.EMAIL_FROM_NAME || 'Tross',
+    address: process.env.EMAIL_FROM || 'no-reply@localhost',
+  };
+}
+
+/**
+ * Deep link to the notification's record in the frontend
+ * (/:entityName/:id, entityName = table name).
+ *
+ * @param {Object} notification - notifications row
+ * @returns {string|null} null without FRONTEND_URL or a related record
+ */
+function getRecordLink(notification) {
+  const baseUrl = process.env.FRONTEND_URL;
+  const tableName = allMetadata[notification.resource_type]?.tableName;
+  if (!baseUrl || !tableName || !notification.resource_id) {
+    return null;
+  }
+  return `${baseUrl.replace(/\/+$/, '')}/${tableName}/${notification.resource_id}`;
+}
+
+class EmailService {
+  /**
+   * Deliver the email of one notification.
+   *
+   * @param {number} notificationId - Notification id
+   * @param {Object} [options={}]
+   * @param {number} [options.attempt=1] - Current attempt (job.attempts)
+   * @param {number} [options.maxAttempts=EMAIL.MAX_ATTEMPTS] - Attempts before giving up (job.max_attempts)
+   * @returns {Promise<{ notificationId: number, status: string, reason?: string }>}
+   * @throws {Error} Transient delivery failure (the job retries); rethrown after
+   *   recording 'failed' on the last attempt so the job is dead-lettered
+   */
+  static async deliverNotification(notificationId, { attempt = 1, maxAttempts = EMAIL.MAX_ATTEMPTS } = {}) {
+    const { rows } = await db.query(
+      `SELECT n.*, u.email, u.first_name, u.last_name, u.is_active,
+              p.notifications_enabled, p.locale
+       FROM notifications n
+       JOIN users u ON u.id = n.user_id
+       LEFT JOIN preferences p ON p.id = n.user_id
+       WHERE n.id = $1`,
+      [notificationId],
+    );
+    const notification = rows[0];
+
+    if (!notification) {
+      return { notificationId, status: 'missing' };
+    }
+    if (!DELIVERABLE_STATUSES.includes(notification.email_status)) {
+      return { notificationId, status: notification.email_status };
+    }
+
+    const skipReason = this._getSkipReason(notification);
+    if (skipReason) {
+      await this._record(notificationId, {
+        email_status: DELIVERY_STATUSES.SKIPPED,
+        email_error: skipReason,
+      });
+      logger.info('Notification email skipped', { notificationId, reason: skipReason });
+      return { notificationId, status: DELIVERY_STATUSES.SKIPPED, reason: skipReason };
+    }
+
+    const transport = getEmailTransport();
+    if (!transport) {
+      const reason = 'Email transport not configured';
+      await this._record(notificationId, {
+        email_status: DELIVERY_STATUSES.SKIPPED,
+        email_error: reason,
+      });
+      logger.warn('Notification email skipped: no transport configured', { notificationId });
+      return { notificationId, status: DELIVERY_STATUSES.SKIPPED, reason };
+    }
+
+    const sender = getSender();
+    const messageId = `<notification-${notificationId}@${sender.address.split('@')[1] || 'localhost'}>`;
+    const { subject, text, html } = renderEmail(
+      notification.template,
+      { notification, recipient: notification, link: getRecordLink(notification) },
+      notification.locale,
+    );
+    const recipientName = [notification.first_name, notification.last_name].filter(Boolean).join(' ');
+    const raw = buildMessage({
+      from: sender,
+      to: { name: recipientName, address: notification.email },
+      subject,
+      text,
+      html,
+      messageId,
+    });
+
+    const emailAttempts = (notification.email_attempts || 0) + 1;
+
+    try {
+      const { response } = await transport.send({ from: sender.address, to: notification.email, raw });
+
+      await this._record(notificationId, {
+        email_status: DELIVERY_STATUSES.SENT,
+        email_attempts: emailAttempts,
+        email_error: null,
+        email_sent_at: new Date(),
+        email_message_id: messageId,
+      });
+      logger.info('Notification email sent', { notificationId, transport: transport.name, response });
+      return { notificationId, status: DELIVERY_STATUSES.SENT };
+    } catch (error) {
+      const reason = error.message.slice(0, EMAIL.MAX_ERROR_LENGTH);
+
+      if (error.details?.permanent) {
+        await this._record(notificationId, {
+          email_status: DELIVERY_STATUSES.BOUNCED,
+          email_attempts: emailAttempts,
+          email_error: reason,
+        });
+        logger.warn('Notification email bounced', { notificationId, error: error.message });
+        return { notificationId, status: DELIVERY_STATUSES.BOUNCED, reason };
+      }
+
+      const exhausted = attempt >= maxAttempts;
+      await this._record(notificationId, {
+        email_status: exhausted ? DELIVERY_STATUSES.FAILED : DELIVERY_STATUSES.PENDING,
+        email_attempts: emailAttempts,
+        email_error: reason,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Why a notification's email must not be sent, if at all.
+   *
+   * @private
+   * @param {Object} notification - notifications row joined with user + preferences
+   * @returns {string|null}
+   */
+  static _getSkipReason(notification) {
+    if (notification.notifications_enabled === false) {
+      return 'Recipient opted out of notifications';
+    }
+    if (!notification.is_active) {
+      return 'Recipient is inactive';
+    }
+    if (!notification.email) {
+      return 'Recipient has no email address';
+    }
+    return null;
+  }
+
+  /**
+   * Write delivery fields on a notification.
+   *
+   * @private
+   * @param {number} id - Notification id
+   * @param {Object} fields - email_* columns to set
+   */
+  static async _record(id, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    await db.query(
+      `UPDATE notifications SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $${columns.length + 1}`,
+      [...columns.map((column) => fields[column]), id],
+    );
+  }
+}
+
+module.exports = EmailService;
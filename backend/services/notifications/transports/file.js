@@ -0,0 +1,56 @@
+/**
+ * File (Maildir) Email Transport
+ *
+ * SRP: ONLY stores a serialized message as a file in a local maildir
+ *
+ * Local stand-in for an SMTP relay in development and tests: every message is
+ * written to <dir>/tmp and renamed into <dir>/new, so mail clients (mutt -f,
+ * Thunderbird's maildir support) and tests only ever see complete messages.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { API_OPERATIONS } = require('../../../config/api-operations');
+
+const { EMAIL } = API_OPERATIONS;
+
+let sequence = 0;
+
+/**
+ * Create a maildir transport.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Maildir root (tmp/, new/ and cur/ are created)
+ * @returns {{ name: string, dir: string, send: Function }}
+ */
+function createFileTransport({ dir }) {
+  const root = path.resolve(dir);
+
+  /**
+   * Store one message.
+   *
+   * @param {Object} message
+   * @param {string} message.raw - Serialized message (utils/mime-message)
+   * @returns {Promise<{ response: string, path: string }>} Stored file path
+   */
+  async function send({ raw }) {
+    await Promise.all(
+      ['tmp', 'new', 'cur'].map((sub) => fs.mkdir(path.join(root, sub), { recursive: true })),
+    );
+
+    sequence += 1;
+    const filename = `${Date.now()}.P${process.pid}Q${sequence}.${os.hostname()}.eml`;
+    const tmpPath = path.join(root, 'tmp', filename);
+    const newPath = path.join(root, 'new', filename);
+
+    await fs.writeFile(tmpPath, raw, 'utf8');
+    await fs.rename(tmpPath, newPath);
+
+    return { response: `stored ${filename}`, path: newPath };
+  }
+
+  return { name: EMAIL.TRANSPORTS.FILE, dir: root, send };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,50 @@
+/**
+ * Email Transports Registry
+ *
+ * Builds the transport selected by EMAIL_TRANSPORT from the environment.
+ * Every transport exposes send({ from, to, raw }) → { response }.
+ *
+ * IMPLEMENTATIONS:
+ *   smtp - SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+ *   file - local maildir (EMAIL_MAILDIR), the SMTP stand-in for dev and tests
+ */
+
+const os = require('os');
+const path = require('path');
+const { API_OPERATIONS } = require('../../../config/api-operations');
+const { createSmtpTransport } = require('./smtp');
+const { createFileTransport } = require('./file');
+
+const { TRANSPORTS } = API_OPERATIONS.EMAIL;
+
+/**
+ * Build the configured transport.
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {Object|null} Transport, or null when email delivery is off
+ *   (EMAIL_TRANSPORT unset/'none', or smtp without SMTP_HOST)
+ */
+function getEmailTransport(env = process.env) {
+  const name = env.EMAIL_TRANSPORT || TRANSPORTS.NONE;
+
+  if (name === TRANSPORTS.FILE) {
+    return createFileTransport({
+      dir: env.EMAIL_MAILDIR || path.join(os.tmpdir(), 'tross-maildir'),
+    });
+  }
+
+  if (name === TRANSPORTS.SMTP && env.SMTP_HOST) {
+    const secure = env.SMTP_SECURE === 'true';
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT || (secure ? '465' : '587'), 10),
+      secure,
+      user: env.SMTP_USER || undefined,
+      password: env.SMTP_PASSWORD || undefined,
+    });
+  }
+
+  return null;
+}
+
+module.exports = { getEmailTransport };
@@ -0,0 +1,235 @@
+/**
+ * SMTP Email Transport
+ *
+ * SRP: ONLY hands a serialized message to an SMTP relay (RFC 5321)
+ *
+ * One connection per message: greeting → EHLO → STARTTLS (when offered, unless
+ * already on implicit TLS) → AUTH PLAIN (when credentials are set) → MAIL FROM
+ * → RCPT TO → DATA → QUIT.
+ *
+ * Negative replies throw an AppError whose details carry the SMTP
+ * `responseCode` and `permanent` (5xx - the relay refused the message and
+ * retrying will not help). Connection failures and timeouts are transient.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const AppError = require('../../../utils/app-error');
+const { ERROR_CODES } = require('../../../config/error-codes');
+const { API_OPERATIONS } = require('../../../config/api-operations');
+
+const { EMAIL } = API_OPERATIONS;
+
+/**
+ * Error for a negative SMTP reply.
+ *
+ * @param {string} command - Command that was refused
+ * @param {{code: number, lines: string[]}} reply - SMTP reply
+ * @returns {AppError}
+ */
+function replyError(command, reply) {
+  return new AppError(
+    `SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`,
+    502,
+    ERROR_CODES.SERVER_UNAVAILABLE,
+    { responseCode: reply.code, permanent: reply.code >= 500 },
+  );
+}
+
+/**
+ * Read SMTP replies from a socket, one promise per reply. Multi-line replies
+ * ("250-...", "250 ...") are joined.
+ *
+ * @param {net.Socket} socket - Connected socket
+ * @returns {{ next: () => Promise<{code: number, lines: string[]}> }}
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines };
+        lines = [];
+        if (waiting.length > 0) {
+          waiting.shift().resolve(reply);
+        } else {
+          replies.push(reply);
+        }
+      }
+    }
+  });
+
+  const fail = (error) => {
+    failure = failure || error;
+    while (waiting.length > 0) {
+      waiting.shift().reject(failure);
+    }
+  };
+  socket.on('error', fail);
+  socket.on('close', () => fail(new Error('SMTP connection closed unexpectedly')));
+
+  return {
+    next: () => {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+  };
+}
+
+/**
+ * Open a socket (plain or implicit TLS) and wait until it is connected.
+ *
+ * @param {Object} options - Transport options
+ * @returns {Promise<net.Socket>}
+ */
+function connect({ host, port, secure, timeoutMs, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Upgrade a plain connection after STARTTLS.
+ *
+ * @param {net.Socket} socket - Plain socket
+ * @param {Object} options - Transport options
+ * @returns {Promise<tls.TLSSocket>}
+ */
+function upgrade(socket, { host, timeoutMs, rejectUnauthorized }) {
+  socket.removeAllListeners('data');
+  socket.removeAllListeners('close');
+  socket.removeAllListeners('error');
+  socket.setTimeout(0);
+
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host, rejectUnauthorized });
+    secureSocket.setTimeout(timeoutMs, () =>
+      secureSocket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)),
+    );
+    secureSocket.once('secureConnect', () => {
+      secureSocket.removeListener('error', reject);
+      resolve(secureSocket);
+    });
+    secureSocket.once('error', reject);
+  });
+}
+
+/**
+ * Dot-stuff a message for DATA and terminate it.
+ *
+ * @param {string} raw - Serialized message
+ * @returns {string}
+ */
+function toDataBlock(raw) {
+  const normalized = raw.replace(/\r?\n/g, '\r\n');
+  const stuffed = normalized.replace(/^\./gm, '..');
+  return `${stuffed}${stuffed.endsWith('\r\n') ? '' : '\r\n'}.\r\n`;
+}
+
+/**
+ * Create an SMTP transport.
+ *
+ * @param {Object} options
+ * @param {string} options.host - Relay host
+ * @param {number} [options.port=587] - Relay port
+ * @param {boolean} [options.secure=false] - Implicit TLS (port 465); otherwise STARTTLS when offered
+ * @param {string} [options.user] - AUTH PLAIN user
+ * @param {string} [options.password] - AUTH PLAIN password
+ * @param {string} [options.clientName=os.hostname()] - EHLO name
+ * @param {number} [options.timeoutMs=EMAIL.SMTP_TIMEOUT_MS] - Per-command socket timeout
+ * @param {boolean} [options.rejectUnauthorized=true] - Verify the relay's certificate
+ * @returns {{ name: string, send: Function }}
+ */
+function createSmtpTransport(options) {
+  const config = {
+    port: 587,
+    secure: false,
+    clientName: os.hostname(),
+    timeoutMs: EMAIL.SMTP_TIMEOUT_MS,
+    rejectUnauthorized: true,
+    ...options,
+  };
+
+  /**
+   * Send one message.
+   *
+   * @param {Object} message
+   * @param {string} message.from - Envelope sender address
+   * @param {string} message.to - Envelope recipient address
+   * @param {string} message.raw - Serialized message (utils/mime-message)
+   * @returns {Promise<{ response: string }>} Relay's reply to DATA
+   */
+  async function send({ from, to, raw }) {
+    let socket = await connect(config);
+    let reader = createReplyReader(socket);
+
+    const expect = async (command, okCodes) => {
+      const reply = await reader.next();
+      if (!okCodes.includes(reply.code)) {
+        throw replyError(command, reply);
+      }
+      return reply;
+    };
+    const command = (line, okCodes, label = line.split(' ')[0]) => {
+      socket.write(`${line}\r\n`);
+      return expect(label, okCodes);
+    };
+
+    try {
+      await expect('greeting', [220]);
+      const ehlo = await command(`EHLO ${config.clientName}`, [250]);
+
+      if (!config.secure && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+        await command('STARTTLS', [220]);
+        socket = await upgrade(socket, config);
+        reader = createReplyReader(socket);
+        await command(`EHLO ${config.clientName}`, [250]);
+      }
+
+      if (config.user) {
+        const credentials = Buffer.from(`\u0000${config.user}\u0000${config.password || ''}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+      await command(`RCPT TO:<${to}>`, [250, 251], 'RCPT TO');
+      await command('DATA', [354]);
+      socket.write(toDataBlock(raw));
+      const accepted = await expect('DATA', [250]);
+
+      // The message is accepted; a failed QUIT does not change that
+      await command('QUIT', [221]).catch(() => {});
+      return { response: `${accepted.code} ${accepted.lines.join(' ')}` };
+    } finally {
+      socket.end();
+    }
+  }
+
+  return { name: EMAIL.TRANSPORTS.SMTP, send };
+}
+
+module.exports = { createSmtpTransport };
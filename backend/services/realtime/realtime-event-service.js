@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Realtime Event Service
+ *
+ * SRP: ONLY manages the realtime event outbox (`realtime_events` table)
+ *
+ * PHILOSOPHY:
+ * - TRANSACTIONAL: GenericEntityService records each create/update/delete on
+ *   the write's own pg client and pg_notify()s it in the same statement.
+ *   Postgres delivers NOTIFY on commit only, so rolled-back writes publish
+ *   nothing and a failed publish rolls the write back (like audit, ADR 013)
+ * - REPLAYABLE: Rows are kept for RETENTION_HOURS so a reconnecting client
+ *   resumes from its Last-Event-ID instead of refetching everything
+ * - THIN: Events carry entity + id + operation, never record data; clients
+ *   refetch through the normal (RLS/field-filtered) endpoints
+ * - SAME VISIBILITY AS READS: canReceive() applies the read permission and
+ *   RLS rules of the entity to each connected user
+ *
+ * USAGE:
+ *   await RealtimeEventService.publishChange('update', 'work_order', record, client);
+ *   const { events, complete } = await RealtimeEventService.listSince(lastEventId);
+ *   if (await RealtimeEventService.canReceive(event, req.dbUser, req.permissions)) { ... }
+ */
+
+const db = require('../../db/connection');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { buildRLSFilter } = require('../../db/helpers/rls');
+const { isTenantScoped } = require('../../config/entity-traits');
+const { extractProfileIds } = require('../../middleware/row-level-security');
+const allMetadata = require('../../config/models');
+
+const { CHANNEL, EVENT_TYPES, REPLAY_LIMIT, RETENTION_HOURS } = API_OPERATIONS.REALTIME;
+
+/** Entity whose writes are delivered to their recipient only */
+const NOTIFICATION_ENTITY = 'notification';
+
+class RealtimeEventService {
+  /**
+   * Record an entity change and notify listeners when the write commits.
+   *
+   * @param {string} operation - 'create', 'update' or 'delete'
+   * @param {string} entityName - Entity key (e.g. 'work_order')
+   * @param {Object} record - The written record (needs id; user_id for notifications,
+   *   tenant_id for tenant-scoped entities)
+   * @param {Object} [client=null] - pg client of the write's transaction
+   * @returns {Promise<Object|null>} Stored event, or null when the record has no id
+   */
+  static async publishChange(operation, entityName, record, client = null) {
+    if (!record?.id) {
+      return null;
+    }
+
+    const isNotification = entityName === NOTIFICATION_ENTITY;
+    const type = isNotification ? EVENT_TYPES.NOTIFICATION : EVENT_TYPES.ENTITY;
+    const userId = isNotification ? (record.user_id ?? null) : null;
+
+    const { rows } = await (client || db).query(
+      `WITH event AS (
+         INSERT INTO realtime_events (type, entity, record_id, operation, user_id, tenant_id)
+         VALUES ($2, $3, $4, $5, $6, $7)
+         RETURNING *
+       )
+       SELECT event.*, pg_notify($1, row_to_json(event)::text)
+       FROM event`,
+      [CHANNEL, type, entityName, record.id, operation, userId, record.tenant_id ?? null],
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Events recorded after the given event id, for a Last-Event-ID resume.
+   *
+   * `complete` is false when the client cannot be caught up: its last event
+   * was already purged, or more than REPLAY_LIMIT events have happened since.
+   *
+   * @param {number} lastEventId - Id of the last event the client received
+   * @param {number} [limit=REPLAY_LIMIT] - Max events to replay
+   * @returns {Promise<{events: Object[], complete: boolean}>}
+   */
+  static async listSince(lastEventId, limit = REPLAY_LIMIT) {
+    // Include the client's last event itself: if it is gone, so is the gap
+    const { rows } = await db.query(
+      `SELECT * FROM realtime_events
+       WHERE id >= $1
+       ORDER BY id
+       LIMIT $2`,
+      [lastEventId, limit + 2],
+    );
+
+    if (rows.length === 0 || Number(rows[0].id) !== Number(lastEventId)) {
+      return { events: [], complete: false };
+    }
+
+    const events = rows.slice(1);
+    if (events.length > limit) {
+      return { events: [], complete: false };
+    }
+
+    return { events, complete: true };
+  }
+
+  /**
+   * Delete events older than the resume window.
+   *
+   * @returns {Promise<number>} Number of events deleted
+   */
+  static async purgeExpired() {
+    const result = await db.query(
+      `DELETE FROM realtime_events
+       WHERE created_at < NOW() - make_interval(hours => $1)`,
+      [RETENTION_HOURS],
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Whether a connected user may receive an event.
+   *
+   * - notification events: only their recipient
+   * - entity events: read permission on the entity, the event's tenant for
+   *   tenant-scoped entities, then its RLS read rules. Filtered rules are
+   *   checked against the current row, so deletes under a filtered rule are
+   *   not delivered (the row is gone)
+   *
+   * @param {Object} event - realtime_events row
+   * @param {Object} user - Authenticated user (req.dbUser)
+   * @param {Object} permissions - The user's req.permissions (role, and a
+   *   service credential's scopes)
+   * @returns {Promise<boolean>}
+   */
+  static async canReceive(event, user, permissions) {
+    if (!user?.id || !user.role) {
+      return false;
+    }
+
+    if (event.type === EVENT_TYPES.NOTIFICATION) {
+      return Number(event.user_id) === Number(user.id);
+    }
+
+    const metadata = allMetadata[event.entity];
+    if (!metadata?.rlsResource || !permissions.hasPermission(metadata.rlsResource, 'read')) {
+      return false;
+    }
+
+    // The tenant scope of the RLS filter, checked against the stored event
+    // (the row may already be deleted)
+    if (isTenantScoped(metadata) && Number(event.tenant_id) !== Number(user.tenant_id)) {
+      return false;
+    }
+
+    const rlsContext = {
+      role: user.role,
+      userId: user.id,
+      tenantId: user.tenant_id ?? null,
+      operation: 'read',
+      resource: metadata.rlsResource,
+      ...extractProfileIds(user),
+    };
+
+    const filter = buildRLSFilter(rlsContext, metadata, 'read', 1, allMetadata);
+    if (!filter.applied || filter.noFilter || filter.tenantOnly) {
+      return true;
+    }
+    if (filter.clause === '1=0' || event.operation === 'delete') {
+      return false;
+    }
+
+    // Lazy require: GenericEntityService publishes through this service
+    const GenericEntityService = require('../entity/generic-entity-service');
+    const record = await GenericEntityService.findById(event.entity, event.record_id, { rlsContext });
+    return record !== null;
+  }
+
+  /**
+   * Client-facing payload of an event (the SSE `data:` field).
+   *
+   * @param {Object} event - realtime_events row
+   * @returns {Object} { id, type, entity, recordId, operation, at }
+   */
+  static toPayload(event) {
+    return {
+      id: Number(event.id),
+      type: event.type,
+      entity: event.entity,
+      recordId: event.record_id,
+      operation: event.operation,
+      at: event.created_at,
+    };
+  }
+}
+
+module.exports = RealtimeEventService;
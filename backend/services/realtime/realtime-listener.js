@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Realtime Listener
+ *
+ * SRP LITERALISM: ONLY fans out Postgres NOTIFY messages to in-process subscribers
+ *
+ * PHILOSOPHY:
+ * - ONE CONNECTION: A single dedicated pool client runs LISTEN for the whole
+ *   process, however many SSE streams are open
+ * - LAZY: Connects on the first subscription, so tests and instances that
+ *   never serve /api/events hold no extra connection
+ * - RESILIENT: A lost connection is retried every LISTENER_RECONNECT_MS;
+ *   subscribers get onReset() because events may have been missed meanwhile
+ * - GRACEFUL: stop() releases the client before the pool is closed
+ *
+ * USAGE:
+ *   const realtimeListener = require('./services/realtime/realtime-listener');
+ *   const unsubscribe = await realtimeListener.subscribe(onEvent, onReset);
+ *   ...
+ *   unsubscribe();
+ *
+ *   // On shutdown (before db.end()):
+ *   realtimeListener.stop();
+ */
+
+const { EventEmitter } = require('events');
+const db = require('../../db/connection');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { logger } = require('../../config/logger');
+
+const { CHANNEL, LISTENER_RECONNECT_MS } = API_OPERATIONS.REALTIME;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Dedicated LISTEN client, the pending connect, and the pending retry
+let listenClient = null;
+let connecting = null;
+let reconnectTimer = null;
+
+/**
+ * Parse a NOTIFY payload and hand it to subscribers
+ *
+ * @param {Object} message - pg notification ({ channel, payload })
+ */
+function handleNotification(message) {
+  if (message.channel !== CHANNEL) {
+    return;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(message.payload);
+  } catch (error) {
+    logger.warn('[Realtime] Ignoring malformed event payload', { error: error.message });
+    return;
+  }
+
+  emitter.emit('event', event);
+}
+
+/**
+ * Drop a failed LISTEN client and schedule a reconnect while anyone listens
+ *
+ * @param {Object} client - The client that failed
+ * @param {Error} error - Connection error
+ */
+function handleConnectionLost(client, error) {
+  if (client !== listenClient) {
+    return;
+  }
+
+  logger.error('[Realtime] Listener connection lost', { error: error.message });
+  listenClient = null;
+  client.release(error);
+  emitter.emit('reset');
+  scheduleReconnect();
+}
+
+/**
+ * Retry the connection after LISTENER_RECONNECT_MS (only while subscribed)
+ */
+function scheduleReconnect() {
+  if (reconnectTimer || emitter.listenerCount('event') === 0) {
+    return;
+  }
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    ensureListening().catch((error) => {
+      logger.error('[Realtime] Listener reconnect failed', { error: error.message });
+      scheduleReconnect();
+    });
+  }, LISTENER_RECONNECT_MS);
+}
+
+/**
+ * Connect and LISTEN unless already listening (concurrent callers share the attempt)
+ *
+ * @returns {Promise<void>}
+ */
+function ensureListening() {
+  if (listenClient) {
+    return Promise.resolve();
+  }
+
+  if (!connecting) {
+    connecting = (async () => {
+      const client = await db.getClient();
+      client.on('notification', handleNotification);
+      client.on('error', (error) => handleConnectionLost(client, error));
+
+      try {
+        await client.query(`LISTEN ${CHANNEL}`);
+      } catch (error) {
+        client.release(error);
+        throw error;
+      }
+
+      listenClient = client;
+      logger.info('[Realtime] Listening for events', { channel: CHANNEL });
+    })().finally(() => {
+      connecting = null;
+    });
+  }
+
+  return connecting;
+}
+
+/**
+ * Subscribe to committed events
+ *
+ * Resolves once LISTEN is active, so events committed after this point are
+ * delivered. Rejects when the database cannot be reached.
+ *
+ * @param {Function} onEvent - Called with each realtime_events row
+ * @param {Function} [onReset] - Called when events may have been missed
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+async function subscribe(onEvent, onReset = null) {
+  emitter.on('event', onEvent);
+  if (onReset) {
+    emitter.on('reset', onReset);
+  }
+
+  const unsubscribe = () => {
+    emitter.off('event', onEvent);
+    if (onReset) {
+      emitter.off('reset', onReset);
+    }
+  };
+
+  try {
+    await ensureListening();
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  return unsubscribe;
+}
+
+/**
+ * Stop listening and release the connection
+ *
+ * Called on server shutdown (SIGTERM/SIGINT). Safe to call multiple times.
+ */
+function stop() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  emitter.removeAllListeners();
+
+  if (listenClient) {
+    const client = listenClient;
+    listenClient = null;
+    // Destroy rather than return it: a pooled client would keep LISTENing
+    client.release(true);
+    logger.info('[Realtime] Listener stopped');
+  }
+}
+
+module.exports = {
+  subscribe,
+  stop,
+};
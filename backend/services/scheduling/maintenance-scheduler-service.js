@@ -0,0 +1,219 @@
+/**
+ * Maintenance Scheduler Service
+ *
+ * SRP: ONLY generates work orders from due maintenance schedules
+ *
+ * Walks active maintenance_schedules whose next_due_date falls within the
+ * generation horizon and, for each due occurrence:
+ *   1. Creates a work order via the `create_work_order_from_schedule` action
+ *      (GenericEntityService.create, so identifiers, hooks and audit apply)
+ *   2. Advances next_due_date via the `calculate_next_occurrence` formula
+ *      (RRULE_NEXT over frequency / frequency_interval)
+ *   3. Records last_generated_date
+ *
+ * IDEMPOTENCY: each schedule is processed in ONE transaction holding a row
+ * lock (FOR UPDATE SKIP LOCKED), so its work orders and its advanced
+ * next_due_date commit together or not at all. A restart mid-run leaves every
+ * schedule either fully advanced or untouched. As a second guard, an
+ * occurrence that already has a work order (same origin + scheduled date) is
+ * skipped rather than duplicated.
+ *
+ * INTEGRATION: run periodically by services/admin/background-tasks.js
+ */
+
+const db = require('../../db/connection');
+const { withTransaction } = require('../../db/helpers/transaction-helper');
+const { executeAction, evaluateFormula, getAction } = require('../../config/action-handlers');
+const { API_OPERATIONS } = require('../../config/api-operations');
+const { ERROR_CODES } = require('../../config/error-codes');
+const { logger } = require('../../config/logger');
+const AppError = require('../../utils/app-error');
+const GenericEntityService = require('../entity/generic-entity-service');
+
+const { MAINTENANCE_SCHEDULER } = API_OPERATIONS;
+
+const CREATE_ACTION = 'create_work_order_from_schedule';
+const ADVANCE_ACTION = 'calculate_next_occurrence';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a Date as a UTC calendar date (YYYY-MM-DD).
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Calendar date
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+class MaintenanceSchedulerService {
+  /**
+   * Generate work orders for every schedule due within the horizon.
+   *
+   * Failures are isolated per schedule: one bad schedule is rolled back and
+   * reported without blocking the others.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.horizonDays] - Days ahead to generate (default from config)
+   * @param {Date} [options.asOf=new Date()] - Reference date for the horizon
+   * @returns {Promise<Object>} Summary { horizon, processed, generated, skipped, failed, errors }
+   */
+  static async generateDueWorkOrders(options = {}) {
+    const {
+      horizonDays = MAINTENANCE_SCHEDULER.HORIZON_DAYS,
+      asOf = new Date(),
+    } = options;
+    const horizon = toDateString(new Date(asOf.getTime() + horizonDays * MS_PER_DAY));
+
+    const { rows } = await db.query(
+      `SELECT id FROM maintenance_schedules
+       WHERE is_active = true AND status = 'active' AND next_due_date <= $1::date
+       ORDER BY next_due_date, id
+       LIMIT $2`,
+      [horizon, MAINTENANCE_SCHEDULER.MAX_SCHEDULES_PER_RUN],
+    );
+
+    const summary = { horizon, processed: 0, generated: 0, skipped: 0, failed: 0, errors: [] };
+
+    for (const { id } of rows) {
+      try {
+        const result = await this.generateForSchedule(id, horizon);
+        if (!result) {
+          // Locked by a concurrent run, or no longer due
+          continue;
+        }
+        summary.processed++;
+        summary.generated += result.generated;
+        summary.skipped += result.skipped;
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ scheduleId: id, error: error.message });
+        logger.error('[MaintenanceScheduler] Schedule generation failed', {
+          scheduleId: id,
+          error: error.message,
+        });
+      }
+    }
+
+    if (summary.processed > 0 || summary.failed > 0) {
+      logger.info('[MaintenanceScheduler] Generation complete', {
+        horizon: summary.horizon,
+        processed: summary.processed,
+        generated: summary.generated,
+        skipped: summary.skipped,
+        failed: summary.failed,
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Generate work orders for one schedule's occurrences up to the horizon,
+   * then advance the schedule - all in a single transaction.
+   *
+   * @param {number} scheduleId - Maintenance schedule ID
+   * @param {string} horizon - Last calendar date (YYYY-MM-DD) to generate for
+   * @returns {Promise<Object|null>} { scheduleId, generated, skipped, workOrderIds, next_due_date },
+   *   or null when the schedule is locked elsewhere or no longer due
+   * @throws {AppError} When a work order cannot be created or the next date cannot be computed
+   */
+  static async generateForSchedule(scheduleId, horizon) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT *, next_due_date::text AS occurrence_date
+         FROM maintenance_schedules
+         WHERE id = $1 AND is_active = true AND status = 'active' AND next_due_date <= $2::date
+         FOR UPDATE SKIP LOCKED`,
+        [scheduleId, horizon],
+      );
+      const schedule = rows[0];
+      if (!schedule) {
+        return null;
+      }
+
+      const { formula } = getAction(ADVANCE_ACTION);
+      const workOrderIds = [];
+      let skipped = 0;
+      let occurrence = schedule.occurrence_date;
+      let lastGenerated = null;
+
+      for (
+        let count = 0;
+        occurrence <= horizon && count < MAINTENANCE_SCHEDULER.MAX_OCCURRENCES_PER_SCHEDULE;
+        count++
+      ) {
+        const record = { ...schedule, next_due_date: occurrence };
+
+        if (await this._occurrenceExists(client, schedule.id, occurrence)) {
+          skipped++;
+        } else {
+          const result = await executeAction(CREATE_ACTION, {
+            entity: 'maintenance_schedule',
+            record,
+            occurrence,
+            tx: client,
+          });
+          if (!result.success) {
+            throw new AppError(
+              `Failed to generate work order for ${schedule.schedule_number} (${occurrence}): ${result.error}`,
+              500,
+              ERROR_CODES.SERVER_ERROR,
+            );
+          }
+          workOrderIds.push(result.createdId);
+        }
+
+        lastGenerated = occurrence;
+
+        const next = await evaluateFormula(formula, { record }, 'maintenance_schedule', schedule.id);
+        if (!next) {
+          throw new AppError(
+            `Cannot compute next occurrence for ${schedule.schedule_number} (frequency: ${schedule.frequency})`,
+            500,
+            ERROR_CODES.SERVER_ERROR,
+          );
+        }
+        occurrence = toDateString(new Date(next));
+      }
+
+      await GenericEntityService.update(
+        'maintenance_schedule',
+        schedule.id,
+        { next_due_date: occurrence, last_generated_date: lastGenerated },
+        { client, skipHooks: true },
+      );
+
+      return {
+        scheduleId: schedule.id,
+        generated: workOrderIds.length,
+        skipped,
+        workOrderIds,
+        next_due_date: occurrence,
+      };
+    });
+  }
+
+  /**
+   * Whether a work order already exists for a schedule occurrence.
+   *
+   * @private
+   * @param {Object} client - pg client (transaction)
+   * @param {number} scheduleId - Maintenance schedule ID
+   * @param {string} occurrence - Calendar date (YYYY-MM-DD)
+   * @returns {Promise<boolean>}
+   */
+  static async _occurrenceExists(client, scheduleId, occurrence) {
+    const { rows } = await client.query(
+      `SELECT 1 FROM work_orders
+       WHERE origin_type = 'maintenance_schedule' AND origin_id = $1
+         AND (scheduled_start AT TIME ZONE 'UTC')::date = $2::date
+       LIMIT 1`,
+      [scheduleId, occurrence],
+    );
+    return rows.length > 0;
+  }
+}
+
+module.exports = MaintenanceSchedulerService;
@@ -0,0 +1,396 @@
+/**
+ * Technician Matching Service
+ *
+ * SRP: ONLY ranks technicians against a work order's requirements
+ *
+ * Scores every active technician the caller can see on five components and
+ * returns an explained ranking (each component reports its score, weight,
+ * and the evidence behind it):
+ *   - skills:          overlap with required_skills
+ *   - certifications:  overlap with required_certifications
+ *   - availability:    technician availability enum
+ *   - schedule:        overlapping assignments in the work order's window
+ *   - cost:            hourly_rate relative to the other candidates
+ *
+ * REQUIREMENTS: the work order's own required_skills / required_certifications
+ * win; when empty, its service template's values apply.
+ *
+ * SECURITY (ADR-011): every read runs under the caller's RLS context and is
+ * field-redacted for the caller's role. A component whose input the caller
+ * cannot read (e.g. hourly_rate below manager) is skipped, not scored, so the
+ * ranking never leaks a redacted value.
+ */
+
+const allMetadata = require('../../config/models');
+const db = require('../../db/connection');
+const { buildRLSFilter } = require('../../db/helpers/rls');
+const { logger } = require('../../config/logger');
+const { PAGINATION } = require('../../config/constants');
+const GenericEntityService = require('../entity/generic-entity-service');
+
+/**
+ * Component weights. Components that cannot be evaluated are dropped and the
+ * remaining weights re-normalized, so scores stay on a 0-100 scale.
+ */
+const MATCH_WEIGHTS = Object.freeze({
+  skills: 0.4,
+  certifications: 0.2,
+  availability: 0.2,
+  schedule: 0.15,
+  cost: 0.05,
+});
+
+/** Availability enum (technician-metadata) → component score */
+const AVAILABILITY_SCORES = Object.freeze({
+  available: 1,
+  on_job: 0.5,
+  off_duty: 0,
+});
+
+/** Work order statuses that no longer occupy a technician's time */
+const CLOSED_WORK_ORDER_STATUSES = Object.freeze(['completed', 'cancelled']);
+
+/**
+ * Parse a comma-separated skills/certifications value into a normalized,
+ * de-duplicated list (trimmed, lower-cased).
+ *
+ * @param {string|null|undefined} value - Raw comma-separated text
+ * @returns {string[]} Normalized entries
+ */
+function parseList(value) {
+  if (!value || typeof value !== 'string') {
+    return [];
+  }
+  const entries = value
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(entries)];
+}
+
+/**
+ * Score a requirement list against a technician's list.
+ *
+ * @param {string[]} required - Required entries
+ * @param {string[]} offered - Technician's entries
+ * @returns {{ score: number, matched: string[], missing: string[] }}
+ */
+function scoreOverlap(required, offered) {
+  const offeredSet = new Set(offered);
+  const matched = required.filter((entry) => offeredSet.has(entry));
+  const missing = required.filter((entry) => !offeredSet.has(entry));
+  return {
+    score: required.length === 0 ? 1 : matched.length / required.length,
+    matched,
+    missing,
+  };
+}
+
+class TechnicianMatchingService {
+  /**
+   * Rank technicians for a work order.
+   *
+   * @param {number} workOrderId - Work order ID
+   * @param {Object} options
+   * @param {Object} options.rlsContext - Caller's RLS context (from enforceRLS)
+   * @param {number} [options.limit=10] - Maximum matches to return
+   * @returns {Promise<Object|null>} { work_order, requirements, evaluated, matches },
+   *   or null when the work order does not exist or is outside the caller's RLS scope
+   */
+  static async findMatches(workOrderId, options = {}) {
+    const { rlsContext, limit = 10 } = options;
+
+    const workOrder = await GenericEntityService.findById('work_order', workOrderId, {
+      rlsContext,
+    });
+    if (!workOrder) {
+      return null;
+    }
+
+    const requirements = await this._resolveRequirements(workOrder, rlsContext);
+
+    const { data: technicians } = await GenericEntityService.findAll('technician', {
+      filters: { status: 'active' },
+      sortBy: 'id',
+      sortOrder: 'ASC',
+      limit: PAGINATION.MAX_LIMIT,
+      rlsContext: this._contextFor('technician', rlsContext),
+    });
+
+    const conflicts = await this._findScheduleConflicts(
+      workOrder,
+      technicians.map((tech) => tech.id),
+      rlsContext,
+    );
+
+    const ranked = this.rankTechnicians(technicians, {
+      requirements,
+      conflicts,
+      window: this._scheduleWindow(workOrder),
+      assignedTechnicianId: workOrder.assigned_technician_id ?? null,
+    });
+
+    logger.debug('TechnicianMatchingService.findMatches', {
+      workOrderId,
+      candidates: technicians.length,
+      returned: Math.min(limit, ranked.length),
+    });
+
+    return {
+      work_order: {
+        id: workOrder.id,
+        work_order_number: workOrder.work_order_number,
+        scheduled_start: workOrder.scheduled_start ?? null,
+        scheduled_end: workOrder.scheduled_end ?? null,
+        assigned_technician_id: workOrder.assigned_technician_id ?? null,
+      },
+      requirements,
+      evaluated: technicians.length,
+      matches: ranked.slice(0, limit),
+    };
+  }
+
+  /**
+   * Score and sort technicians. Pure: no DB access.
+   *
+   * @param {Object[]} technicians - Redacted technician records
+   * @param {Object} context
+   * @param {{ skills: string[], certifications: string[] }} context.requirements
+   * @param {Map<number, number[]>} context.conflicts - Technician ID → conflicting work order IDs
+   * @param {{ start: Date, end: Date }|null} context.window - Work order schedule window
+   * @param {number|null} [context.assignedTechnicianId] - Currently assigned technician
+   * @returns {Object[]} Matches sorted by score DESC, then conflicts ASC, then name
+   */
+  static rankTechnicians(technicians, context) {
+    const { requirements, conflicts, window, assignedTechnicianId = null } = context;
+
+    // Cost is relative, and only scored when every candidate's rate is readable
+    const rateVisible =
+      technicians.length > 0 && technicians.every((tech) => 'hourly_rate' in tech);
+    const rates = rateVisible
+      ? technicians
+        .map((tech) => Number(tech.hourly_rate))
+        .filter((rate) => Number.isFinite(rate))
+      : [];
+    const minRate = rates.length > 0 ? Math.min(...rates) : null;
+    const maxRate = rates.length > 0 ? Math.max(...rates) : null;
+
+    const matches = technicians.map((tech) => {
+      const reasons = [];
+      const breakdown = {};
+
+      const skills = scoreOverlap(requirements.skills, parseList(tech.skills));
+      breakdown.skills = { ...skills, weight: MATCH_WEIGHTS.skills };
+      if (requirements.skills.length > 0) {
+        reasons.push(
+          `Has ${skills.matched.length} of ${requirements.skills.length} required skills` +
+            (skills.missing.length > 0 ? ` (missing: ${skills.missing.join(', ')})` : ''),
+        );
+      }
+
+      const certs = scoreOverlap(
+        requirements.certifications,
+        parseList(tech.certifications),
+      );
+      breakdown.certifications = { ...certs, weight: MATCH_WEIGHTS.certifications };
+      if (requirements.certifications.length > 0) {
+        reasons.push(
+          `Holds ${certs.matched.length} of ${requirements.certifications.length} required certifications` +
+            (certs.missing.length > 0 ? ` (missing: ${certs.missing.join(', ')})` : ''),
+        );
+      }
+
+      if ('availability' in tech) {
+        const availabilityScore = AVAILABILITY_SCORES[tech.availability] ?? 0;
+        breakdown.availability = {
+          score: availabilityScore,
+          value: tech.availability,
+          weight: MATCH_WEIGHTS.availability,
+        };
+        reasons.push(`Availability: ${tech.availability ?? 'unknown'}`);
+      }
+
+      if (window) {
+        const conflicting = conflicts.get(tech.id) || [];
+        breakdown.schedule = {
+          score: conflicting.length === 0 ? 1 : 0,
+          conflicts: conflicting,
+          weight: MATCH_WEIGHTS.schedule,
+        };
+        reasons.push(
+          conflicting.length === 0
+            ? 'No conflicting assignments in the scheduled window'
+            : `${conflicting.length} conflicting assignment(s) in the scheduled window`,
+        );
+      }
+
+      const rate = Number(tech.hourly_rate);
+      if (rateVisible && Number.isFinite(rate)) {
+        const spread = maxRate - minRate;
+        breakdown.cost = {
+          score: spread === 0 ? 1 : (maxRate - rate) / spread,
+          hourly_rate: rate,
+          weight: MATCH_WEIGHTS.cost,
+        };
+        reasons.push(`Hourly rate: ${rate.toFixed(2)}`);
+      }
+
+      const components = Object.values(breakdown);
+      const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+      const weighted = components.reduce((sum, c) => sum + c.score * c.weight, 0);
+      const score = totalWeight === 0 ? 0 : Math.round((weighted / totalWeight) * 100);
+
+      return {
+        technician: {
+          id: tech.id,
+          name: tech.name ?? null,
+          email: tech.email ?? null,
+          availability: tech.availability ?? null,
+        },
+        score,
+        is_assigned: assignedTechnicianId !== null && tech.id === assignedTechnicianId,
+        breakdown,
+        reasons,
+      };
+    });
+
+    return matches.sort((a, b) => {
+      if (b.score !== a.score) {
+        return b.score - a.score;
+      }
+      const aConflicts = a.breakdown.schedule?.conflicts.length ?? 0;
+      const bConflicts = b.breakdown.schedule?.conflicts.length ?? 0;
+      if (aConflicts !== bConflicts) {
+        return aConflicts - bConflicts;
+      }
+      return String(a.technician.name ?? '').localeCompare(String(b.technician.name ?? ''));
+    });
+  }
+
+  /**
+   * Resolve the effective requirements: the work order's own values win,
+   * falling back to its service template field-by-field.
+   *
+   * @private
+   */
+  static async _resolveRequirements(workOrder, rlsContext) {
+    let skills = parseList(workOrder.required_skills);
+    let certifications = parseList(workOrder.required_certifications);
+    const sources = new Set();
+    if (skills.length > 0 || certifications.length > 0) {
+      sources.add('work_order');
+    }
+
+    if ((skills.length === 0 || certifications.length === 0) && workOrder.service_template_id) {
+      const template = await GenericEntityService.findById(
+        'service_template',
+        workOrder.service_template_id,
+        { rlsContext: this._contextFor('service_template', rlsContext) },
+      );
+      if (template) {
+        if (skills.length === 0) {
+          skills = parseList(template.required_skills);
+        }
+        if (certifications.length === 0) {
+          certifications = parseList(template.required_certifications);
+        }
+        sources.add('service_template');
+      }
+    }
+
+    return { skills, certifications, sources: [...sources] };
+  }
+
+  /**
+   * Find other open, scheduled work orders overlapping this one's window,
+   * restricted to rows the caller can read.
+   *
+   * @private
+   * @returns {Promise<Map<number, number[]>>} Technician ID → conflicting work order IDs
+   */
+  static async _findScheduleConflicts(workOrder, technicianIds, rlsContext) {
+    const conflicts = new Map();
+    const window = this._scheduleWindow(workOrder);
+    if (!window || technicianIds.length === 0) {
+      return conflicts;
+    }
+
+    const metadata = allMetadata.work_order;
+    const { tableName } = metadata;
+    const params = [
+      technicianIds,
+      workOrder.id,
+      window.start,
+      window.end,
+      [...CLOSED_WORK_ORDER_STATUSES],
+    ];
+    const whereClauses = [
+      `${tableName}.assigned_technician_id = ANY($1)`,
+      `${tableName}.id <> $2`,
+      `${tableName}.is_active = true`,
+      `${tableName}.scheduled_start < $4`,
+      `${tableName}.scheduled_end > $3`,
+      `NOT (${tableName}.status = ANY($5))`,
+    ];
+
+    const rlsFilter = buildRLSFilter(
+      this._contextFor('work_order', rlsContext),
+      metadata,
+      'read',
+      params.length + 1,
+      allMetadata,
+    );
+    if (rlsFilter.clause) {
+      whereClauses.push(rlsFilter.clause);
+      params.push(...rlsFilter.params);
+    }
+
+    const result = await db.query(
+      `SELECT ${tableName}.id, ${tableName}.assigned_technician_id
+       FROM ${tableName}
+       WHERE ${whereClauses.join(' AND ')}
+       ORDER BY ${tableName}.scheduled_start ASC`,
+      params,
+    );
+
+    for (const row of result.rows) {
+      const list = conflicts.get(row.assigned_technician_id) || [];
+      list.push(row.id);
+      conflicts.set(row.assigned_technician_id, list);
+    }
+    return conflicts;
+  }
+
+  /**
+   * Extract a usable [start, end) window, or null when unscheduled.
+   * @private
+   */
+  static _scheduleWindow(workOrder) {
+    if (!workOrder.scheduled_start || !workOrder.scheduled_end) {
+      return null;
+    }
+    const start = new Date(workOrder.scheduled_start);
+    const end = new Date(workOrder.scheduled_end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+      return null;
+    }
+    return { start, end };
+  }
+
+  /**
+   * Re-target the caller's RLS context at another entity's resource.
+   * @private
+   */
+  static _contextFor(entityName, rlsContext) {
+    if (!rlsContext) {
+      return null;
+    }
+    return {
+      ...rlsContext,
+      operation: 'read',
+      resource: allMetadata[entityName].rlsResource,
+    };
+  }
+}
+
+module.exports = TechnicianMatchingService;
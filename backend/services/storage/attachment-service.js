@@ -6,6 +6,8 @@
  * DESIGN:
  * - Polymorphic pattern: entity_type + entity_id (like audit_logs)
  * - Soft delete pattern: is_active flag
+ * - Tenancy (ADR-014): rows are stamped with the uploader's tenant; reads are
+ *   keyed by the parent, whose tenant was checked by requireParentAccess
  * - Delegates cloud storage to StorageService
  *
  * SEPARATION OF CONCERNS:
@@ -19,6 +21,7 @@ const { logger } = require('../../config/logger');
 const AppError = require('../../utils/app-error');
 const { ERROR_CODES } = require('../../config/error-codes');
 const allMetadata = require('../../config/models');
+const { TENANCY } = require('../../config/constants');
 
 class FileAttachmentService {
   /**
@@ -149,6 +152,7 @@ class FileAttachmentService {
    * @param {string} [data.category='attachment'] - File category
    * @param {string} [data.description] - File description
    * @param {number} [data.uploadedBy] - User ID of uploader
+   * @param {number} [data.tenantId] - Uploader's tenant (defaults to the original tenant)
    * @returns {Promise<Object>} Created file record
    */
   static async createAttachment(data) {
@@ -162,13 +166,14 @@ class FileAttachmentService {
       category = 'attachment',
       description = null,
       uploadedBy = null,
+      tenantId = TENANCY.DEFAULT_TENANT_ID,
     } = data;
 
     const result = await db.query(
       `INSERT INTO file_attachments 
        (entity_type, entity_id, original_filename, storage_key, mime_type, 
-        file_size, category, description, uploaded_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        file_size, category, description, uploaded_by, tenant_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING *`,
       [
         entityType,
@@ -180,6 +185,7 @@ class FileAttachmentService {
         category,
         description,
         uploadedBy,
+        tenantId,
       ],
     );
 
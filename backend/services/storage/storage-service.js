@@ -26,6 +26,7 @@ const {
 } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
 const { logger } = require('../../config/logger');
 const AppError = require('../../utils/app-error');
@@ -206,6 +207,41 @@ class StorageService {
    * @returns {Promise<{success: boolean, storageKey: string, size: number}>}
    */
   async upload({ buffer, storageKey, mimeType, metadata = {} }) {
+    return this._put({ body: buffer, size: buffer.length, storageKey, mimeType, metadata });
+  }
+
+  /**
+   * Upload a local file to storage, streamed from disk
+   * For generated files too large to hold in memory (e.g. exports)
+   *
+   * @param {Object} params - Upload parameters
+   * @param {string} params.filePath - Path of the local file
+   * @param {string} params.storageKey - Key/path in storage
+   * @param {string} params.mimeType - MIME type of the file
+   * @param {Object} params.metadata - Optional metadata
+   * @returns {Promise<{success: boolean, storageKey: string, size: number}>}
+   */
+  async uploadFile({ filePath, storageKey, mimeType, metadata = {} }) {
+    // Opened up front, so a failed upload cannot leave a pending open behind
+    const file = await fs.promises.open(filePath, 'r');
+    const body = file.createReadStream({ autoClose: false });
+    try {
+      const { size } = await file.stat();
+      return await this._put({ body, size, storageKey, mimeType, metadata });
+    } finally {
+      body.destroy();
+      await file.close();
+    }
+  }
+
+  /**
+   * Send a PutObjectCommand
+   *
+   * @private
+   * @param {Object} params - { body, size, storageKey, mimeType, metadata }
+   * @returns {Promise<{success: boolean, storageKey: string, size: number}>}
+   */
+  async _put({ body, size, storageKey, mimeType, metadata }) {
     const client = getClient();
     if (!client) {
       throw new AppError(
@@ -219,8 +255,9 @@ class StorageService {
       const command = new PutObjectCommand({
         Bucket: getBucket(),
         Key: storageKey,
-        Body: buffer,
+        Body: body,
         ContentType: mimeType,
+        ContentLength: size,
         Metadata: {
           ...metadata,
           uploadedAt: new Date().toISOString(),
@@ -231,14 +268,14 @@ class StorageService {
 
       logger.info('File uploaded successfully', {
         storageKey,
-        size: buffer.length,
+        size,
         mimeType,
       });
 
       return {
         success: true,
         storageKey,
-        size: buffer.length,
+        size,
       };
     } catch (error) {
       logger.error('Failed to upload file', {
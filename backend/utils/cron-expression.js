@@ -0,0 +1,195 @@
+/**
+ * Cron Expression Utilities
+ *
+ * Minimal 5-field cron parser for recurring jobs (no external dependencies).
+ *
+ *   ┌───────────── minute (0-59)
+ *   │ ┌─────────── hour (0-23)
+ *   │ │ ┌───────── day of month (1-31)
+ *   │ │ │ ┌─────── month (1-12)
+ *   │ │ │ │ ┌───── day of week (0-6, Sunday = 0; 7 is also Sunday)
+ *   * * * * *
+ *
+ * Supports: '*', single values, ranges (1-5), steps (*\/15, 1-30/5) and lists (1,15,30).
+ * Evaluated in UTC. When both day-of-month and day-of-week are restricted, a
+ * day matches if EITHER matches (standard cron semantics).
+ *
+ * @module utils/cron-expression
+ */
+
+const AppError = require('./app-error');
+const { ERROR_CODES } = require('../config/error-codes');
+
+const FIELD_RANGES = Object.freeze([
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+]);
+
+/**
+ * Upper bound on the search for the next run (~4 years covers Feb 29 schedules)
+ */
+const MAX_SEARCH_DAYS = 4 * 366;
+
+/**
+ * Parse one cron field into the set of matching values.
+ *
+ * @param {string} field - Field text (e.g. '*\/15', '1-5', '0,30')
+ * @param {{name: string, min: number, max: number}} range - Allowed range
+ * @returns {Set<number>} Matching values
+ * @throws {AppError} If the field is malformed or out of range
+ */
+function parseField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new AppError(`Invalid cron ${name} field: "${field}"`, 400, ERROR_CODES.VALIDATION_FAILED);
+    }
+
+    const [, base, stepText] = match;
+    let start = min;
+    let end = max;
+
+    if (base !== '*') {
+      [start, end] = base.split('-').map((n) => parseInt(n, 10));
+      if (end === undefined) {
+        end = stepText ? max : start;
+      }
+    }
+
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new AppError(`Invalid cron ${name} field: "${field}"`, 400, ERROR_CODES.VALIDATION_FAILED);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression.
+ *
+ * @param {string} expression - Cron expression (e.g. '0 * * * *')
+ * @returns {Object} Parsed schedule { minute, hour, dayOfMonth, month, dayOfWeek, domRestricted, dowRestricted }
+ * @throws {AppError} If the expression is invalid
+ */
+function parseCron(expression) {
+  const fields = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (fields.length !== FIELD_RANGES.length) {
+    throw new AppError(
+      `Invalid cron expression: "${expression}" (expected 5 fields)`,
+      400,
+      ERROR_CODES.VALIDATION_FAILED,
+    );
+  }
+
+  const parsed = {};
+  FIELD_RANGES.forEach((range, i) => {
+    parsed[range.name] = parseField(fields[i], range);
+  });
+
+  // 7 is an alias for Sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.domRestricted = fields[2] !== '*';
+  parsed.dowRestricted = fields[4] !== '*';
+
+  return parsed;
+}
+
+/**
+ * Whether a (UTC) day matches the schedule's day-of-month / day-of-week rules.
+ *
+ * @param {Object} schedule - Parsed cron schedule
+ * @param {Date} date - Candidate date
+ * @returns {boolean}
+ */
+function dayMatches(schedule, date) {
+  const domMatch = schedule.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.domRestricted && schedule.dowRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Calculate the first run strictly after `from`.
+ *
+ * @param {string} expression - Cron expression
+ * @param {Date} [from=new Date()] - Reference time
+ * @returns {Date} Next run time (UTC, whole minute)
+ * @throws {AppError} If the expression is invalid or never matches
+ *
+ * @example
+ *   nextCronRun('0 3 * * *', new Date('2026-01-01T04:00:00Z'));
+ *   // → 2026-01-02T03:00:00.000Z
+ */
+function nextCronRun(expression, from = new Date()) {
+  const schedule = parseCron(expression);
+
+  const candidate = new Date(from.getTime());
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (candidate.getTime() <= limit) {
+    if (!schedule.month.has(candidate.getUTCMonth() + 1) || !dayMatches(schedule, candidate)) {
+      // Skip to the start of the next day
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hour.has(candidate.getUTCHours())) {
+      // Skip to the start of the next hour
+      candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (schedule.minute.has(candidate.getUTCMinutes())) {
+      return candidate;
+    }
+
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+  }
+
+  throw new AppError(
+    `Cron expression never matches: "${expression}"`,
+    400,
+    ERROR_CODES.VALIDATION_FAILED,
+  );
+}
+
+/**
+ * Whether a cron expression is valid.
+ *
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun,
+  isValidCron,
+};
@@ -28,6 +28,10 @@ const ResponseFormatter = require('./response-formatter');
 const { logger } = require('../config/logger');
 const { ImmutableFieldError } = require('../db/helpers/update-helper');
 const { buildFkDisplayNames } = require('../config/fk-helpers');
+const { TENANCY } = require('../config/constants');
+
+// Leading tenant column of a per-tenant unique key (ADR-014)
+const TENANT_KEY_PREFIX = new RegExp(`^${TENANCY.COLUMN},\\s*`);
 
 /**
  * Build DB error config from entity metadata
@@ -104,7 +108,8 @@ function sanitizeFieldName(raw) {
  *
  * Strategy (most reliable first):
  * 1. `error.column` — a structured field pg sets for some violations (e.g. NOT NULL).
- * 2. FK detail regex — "Key (customer_id)=(999) is not present in table ..." (brittle).
+ * 2. Key detail regex — "Key (customer_id)=(999) is not present in table ..." (brittle);
+ *    a per-tenant unique key "Key (tenant_id, name)=..." reports the field after tenant_id.
  * 3. Unique constraint-name regex — "..._<field>_key" (brittle; assumes naming convention).
  *
  * Steps 2-3 parse human-readable text (see sanitizeFieldName's FRAGILITY NOTE); every result
@@ -123,9 +128,10 @@ function extractFieldFromError(error) {
   const detail = error.detail || '';
 
   // 2. FK violation: "Key (customer_id)=(999) is not present..."
+  //    Per-tenant unique: "Key (tenant_id, name)=(1, North) already exists."
   const fkMatch = detail.match(/Key \(([^)]+)\)/);
   if (fkMatch) {
-    const field = sanitizeFieldName(fkMatch[1]);
+    const field = sanitizeFieldName(fkMatch[1].replace(TENANT_KEY_PREFIX, ''));
     if (field) {return field;}
   }
 
@@ -100,6 +100,19 @@ function decrypt(payload) {
   return plaintext.toString('utf8');
 }
 
+/**
+ * Test whether a usable key is configured (ENCRYPTION_KEY, or the dev/test default).
+ * @returns {boolean} True if encrypt()/decrypt() can run in this environment.
+ */
+function hasKey() {
+  try {
+    _getKey();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Test whether a value looks like a payload produced by encrypt().
  * @param {unknown} value
@@ -109,4 +122,4 @@ function isEncrypted(value) {
   return typeof value === 'string' && value.startsWith(`${VERSION}:`);
 }
 
-module.exports = { encrypt, decrypt, isEncrypted };
+module.exports = { encrypt, decrypt, hasKey, isEncrypted };
@@ -8,6 +8,7 @@
  */
 
 const { logger } = require('../config/logger');
+const { ENV_MANIFEST } = require('../config/env-manifest');
 
 // Required environment variables with validation rules
 const REQUIRED_ENV_VARS = {
@@ -119,6 +120,16 @@ const PRODUCTION_CHECKS = {
     },
     error: 'DB_HOST in production should not use localhost',
   },
+
+  // Encrypts pagination cursors and integration tokens (utils/encryption.js);
+  // dev/test fall back to a public placeholder key, production must not start without one
+  ENCRYPTION_KEY: {
+    required: true,
+    validator: (val) =>
+      /^[0-9a-fA-F]{64}$/.test(val) && val !== ENV_MANIFEST.ENCRYPTION_KEY.defaultValue,
+    error:
+      'ENCRYPTION_KEY in production must be set to a random 64-character hex string (openssl rand -hex 32), not the development placeholder',
+  },
 };
 
 // DB config can come from DATABASE_URL (managed platforms) OR these individual
@@ -206,7 +217,7 @@ function validateEnvironment(options = {}) {
         continue;
       }
       const value = process.env[key];
-      if (value && !config.validator(value)) {
+      if (value ? !config.validator(value) : config.required) {
         errors.push(`PRODUCTION: ${key} - ${config.error}`);
       }
     }
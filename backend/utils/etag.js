@@ -0,0 +1,91 @@
+/**
+ * ETag Utilities - optimistic concurrency for entity records
+ *
+ * A record's version is its `version` column: 1 on insert, incremented by a
+ * database trigger on every UPDATE (bump_row_version, schema-parts/header.sql),
+ * so each write yields a new version even within one transaction or
+ * millisecond. Responses carry it as a strong ETag, e.g. ETag: "7"; clients
+ * echo it back in If-Match (or a batch operation's expectedVersion) and a stale
+ * version is rejected with 412 instead of silently overwriting someone else's edit.
+ */
+
+/**
+ * Get the version of a record
+ *
+ * @param {Object} record - Entity row
+ * @returns {string|null} Version string, or null if the record has no version
+ */
+function getRecordVersion(record) {
+  if (!record || !Number.isInteger(record.version)) {
+    return null;
+  }
+  return String(record.version);
+}
+
+/**
+ * Format a record's version as an ETag header value
+ *
+ * @param {Object} record - Entity row
+ * @returns {string|null} Quoted ETag (e.g. '"7"'), or null if unversioned
+ */
+function formatETag(record) {
+  const version = getRecordVersion(record);
+  return version === null ? null : `"${version}"`;
+}
+
+/**
+ * Set the ETag response header for a record (no-op for unversioned records)
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} record - Entity row as returned to the client
+ */
+function setETagHeader(res, record) {
+  const etag = formatETag(record);
+  if (etag) {
+    res.set('ETag', etag);
+  }
+}
+
+/**
+ * Parse an If-Match value into the list of acceptable versions
+ *
+ * Accepts a header value ('"a", W/"b"'), a single ETag or a bare version.
+ * Weak prefixes and quotes are dropped. '*' (any version) and an absent or
+ * empty value mean "no precondition".
+ *
+ * @param {string|undefined|null} value - If-Match header or expectedVersion
+ * @returns {string[]|null} Versions, or null when there is no precondition
+ */
+function parseIfMatch(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const tags = String(value)
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  if (tags.length === 0 || tags.includes('*')) {
+    return null;
+  }
+  return tags.map((tag) => tag.replace(/^W\//, '').replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Check a record against a parsed If-Match precondition
+ *
+ * @param {Object} record - Current entity row
+ * @param {string[]} versions - Acceptable versions from parseIfMatch()
+ * @returns {boolean} True if the record's current version is acceptable
+ */
+function matchesVersion(record, versions) {
+  const version = getRecordVersion(record);
+  return version !== null && versions.includes(version);
+}
+
+module.exports = {
+  getRecordVersion,
+  formatETag,
+  setETagHeader,
+  parseIfMatch,
+  matchesVersion,
+};
@@ -22,7 +22,7 @@
  *   const sanitizedData = filterDataByRole(data, metadata, 'customer', 'read');
  */
 
-const { UNIVERSAL_FIELD_ACCESS } = require('../config/constants');
+const { UNIVERSAL_FIELD_ACCESS, FULLTEXT_SEARCH } = require('../config/constants');
 const {
   getRoleHierarchy,
   getRolePriorityToName,
@@ -150,18 +150,35 @@ function canAccessField(metadata, userRole, fieldName, operation) {
  * @param {Object} metadata - Entity metadata with fieldAccess config
  * @param {string|number} userRole - User's role name or priority
  * @param {string} [operation='read'] - CRUD operation (usually 'read' for responses)
+ * @param {string[]} [relationshipNames=[]] - Included relationship keys to keep on
+ *   read; their nested records are redacted by the relationship loader against
+ *   the target entity, and only relationships the role may include are attached
  * @returns {Object|Array} Filtered data with only accessible fields
  */
-function filterDataByRole(data, metadata, userRole, operation = 'read') {
+function filterDataByRole(data, metadata, userRole, operation = 'read', relationshipNames = []) {
   const allowedFields = getFieldsForOperation(metadata, userRole, operation);
   const allowedSet = new Set(allowedFields);
 
+  // A relationship key never shadows a real column (which stays field-gated)
+  if (operation === 'read') {
+    for (const name of relationshipNames) {
+      if (metadata.relationships?.[name] && !metadata.fields?.[name]) {
+        allowedSet.add(name);
+      }
+    }
+  }
+
   // UDN: a readable FK id also authorizes its embedded <fk>_display label.
+  // Full-text search: a readable FULLTEXT field authorizes the search_snippet
+  // (GenericEntityService composes it from readable FULLTEXT fields only).
   if (operation === 'read') {
     for (const field of allowedFields) {
       if (metadata.fields?.[field]?.type === 'foreignKey') {
         allowedSet.add(`${field}_display`);
       }
+      if (metadata.fields?.[field]?.fulltext === true) {
+        allowedSet.add(FULLTEXT_SEARCH.SNIPPET_COLUMN);
+      }
     }
   }
 
@@ -0,0 +1,99 @@
+/**
+ * Full-Text Search Utilities
+ *
+ * SQL SSOT for Postgres full-text search over FULLTEXT-trait fields. The schema
+ * generator stores `buildSearchVectorSqlExpr` as a STORED generated column
+ * (FULLTEXT_SEARCH.VECTOR_COLUMN, GIN-indexed); QueryBuilderService matches it
+ * with websearch_to_tsquery and highlights `buildSearchDocumentSqlExpr` with
+ * ts_headline. Both compose the fields the same way, so snippets highlight
+ * exactly the text that was indexed.
+ *
+ * @module utils/fulltext-search
+ */
+
+'use strict';
+
+const { FULLTEXT_SEARCH } = require('../config/constants');
+
+/**
+ * Single-token terms containing a digit or '@' are identifiers (WO-2024-0042,
+ * INV-17, jane@example.com, 555-0100): stemming would mangle them, so they
+ * stay on ILIKE substring matching.
+ */
+const IDENTIFIER_TERM_PATTERN = /^[^\s]*[\d@][^\s]*$/;
+
+/**
+ * Whether a search term should use full-text matching (vs the ILIKE fallback).
+ *
+ * @param {string} searchTerm - Raw search input
+ * @returns {boolean} True for word-like terms of at least MIN_TERM_LENGTH chars
+ *
+ * @example
+ * isFullTextTerm('leaking compressor') // true
+ * isFullTextTerm('WO-2024-0042')       // false (identifier)
+ * isFullTextTerm('ac')                 // false (too short)
+ */
+function isFullTextTerm(searchTerm) {
+  if (typeof searchTerm !== 'string') {
+    return false;
+  }
+  const term = searchTerm.trim();
+  return (
+    term.length >= FULLTEXT_SEARCH.MIN_TERM_LENGTH &&
+    !IDENTIFIER_TERM_PATTERN.test(term)
+  );
+}
+
+/**
+ * SQL text expression for the searchable document: the fields joined by a
+ * space, NULLs as ''. Uses the IMMUTABLE || operator (CONCAT_WS is only
+ * STABLE, which Postgres rejects in a GENERATED column).
+ *
+ * @param {string[]} fields - FULLTEXT columns, in metadata order
+ * @param {Object} [options]
+ * @param {string} [options.alias=''] - Optional table alias to qualify columns
+ * @returns {string} SQL scalar expression
+ *
+ * @example
+ * buildSearchDocumentSqlExpr(['summary', 'notes'])
+ * // "COALESCE(summary, '') || ' ' || COALESCE(notes, '')"
+ */
+function buildSearchDocumentSqlExpr(fields, options = {}) {
+  const { alias = '' } = options;
+  const qualify = (col) => (alias ? `${alias}.${col}` : col);
+  return fields.map((col) => `COALESCE(${qualify(col)}, '')`).join(" || ' ' || ");
+}
+
+/**
+ * SQL tsvector expression over the searchable document (the generated column).
+ *
+ * @param {string[]} fields - FULLTEXT columns, in metadata order
+ * @returns {string} SQL expression
+ *
+ * @example
+ * buildSearchVectorSqlExpr(['summary'])
+ * // "to_tsvector('english', COALESCE(summary, ''))"
+ */
+function buildSearchVectorSqlExpr(fields) {
+  return `to_tsvector('${FULLTEXT_SEARCH.TEXT_SEARCH_CONFIG}', ${buildSearchDocumentSqlExpr(fields)})`;
+}
+
+/**
+ * SQL tsquery expression for a bound search parameter. websearch_to_tsquery
+ * accepts free text ("quoted phrases", OR, -exclusions) and never raises on
+ * malformed input.
+ *
+ * @param {string} placeholder - Bound parameter, e.g. '$1'
+ * @returns {string} SQL expression
+ */
+function buildSearchQuerySqlExpr(placeholder) {
+  return `websearch_to_tsquery('${FULLTEXT_SEARCH.TEXT_SEARCH_CONFIG}', ${placeholder})`;
+}
+
+module.exports = {
+  isFullTextTerm,
+  buildSearchDocumentSqlExpr,
+  buildSearchVectorSqlExpr,
+  buildSearchQuerySqlExpr,
+  IDENTIFIER_TERM_PATTERN,
+};
@@ -9,6 +9,10 @@
  * Uses raw pg pool (NOT Knex) - consistent with Tross patterns.
  * Configuration is derived from entity metadata (single source of truth).
  *
+ * Sequences are per tenant (ADR-014): each tenant numbers its own records
+ * from 0001, matching the UNIQUE (tenant_id, identifier) constraints, so one
+ * tenant's numbers neither skip for nor reveal another tenant's volume.
+ *
  * @module utils/identifier-generator
  */
 
@@ -18,6 +22,7 @@ const db = require('../db/connection');
 const { sanitizeIdentifier } = require('./sql-safety');
 const AppError = require('./app-error');
 const { ERROR_CODES } = require('../config/error-codes');
+const { TENANCY } = require('../config/constants');
 const {
   getIdentifierFields,
   getEntityPrefix,
@@ -46,6 +51,9 @@ function formatIdentifier(prefix, year, sequence) {
  *
  * @param {string} entityType - Entity type ('work_order', 'invoice', 'contract')
  * @param {Object} [client] - Optional pg client to read the current max on a caller's open transaction (batch), so sequential in-transaction creates see each other; defaults to the pool
+ * @param {Object} [tenant] - Tenant the new row is stamped with, as
+ *   { expression, value } where expression is `$2` or a `$2` subquery
+ *   (GenericEntityService._resolveInsertTenant); omitted for platform tables
  * @returns {Promise<string>} Generated identifier
  * @throws {Error} If entity type is unknown
  *
@@ -53,7 +61,7 @@ function formatIdentifier(prefix, year, sequence) {
  * await generateIdentifier('work_order') // 'WO-2026-0001'
  * await generateIdentifier('invoice') // 'INV-2026-0001'
  */
-async function generateIdentifier(entityType, client = null) {
+async function generateIdentifier(entityType, client = null, tenant = null) {
   const prefix = getEntityPrefix(entityType);
   const identifierField = getIdentifierField(entityType);
   const tableName = getTableName(entityType);
@@ -73,15 +81,16 @@ async function generateIdentifier(entityType, client = null) {
   const safeTable = sanitizeIdentifier(tableName, 'table name');
   const safeField = sanitizeIdentifier(identifierField, 'identifier field');
 
-  // Find the highest sequence number for this year using raw pg
+  // Find the highest sequence number for this year in the row's tenant
   // Use the caller's transaction client when threaded (batch), else the pool
   const exec = client || db;
+  const tenantFilter = tenant ? `AND ${TENANCY.COLUMN} = ${tenant.expression}` : '';
   const result = await exec.query(
     `SELECT ${safeField} FROM ${safeTable} 
-     WHERE ${safeField} LIKE $1 
+     WHERE ${safeField} LIKE $1 ${tenantFilter}
      ORDER BY ${safeField} DESC 
      LIMIT 1`,
-    [`${yearPrefix}%`],
+    tenant ? [`${yearPrefix}%`, tenant.value] : [`${yearPrefix}%`],
   );
 
   let nextSequence = 1;
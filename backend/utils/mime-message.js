@@ -0,0 +1,126 @@
+/**
+ * MIME Message Builder
+ *
+ * SRP: ONLY serializes an email (headers + plain text + HTML) to an RFC 5322
+ * message with a multipart/alternative body. Transports send the result as-is.
+ *
+ * - Header values are stripped of CR/LF (no header injection) and non-ASCII
+ *   values are RFC 2047 encoded-words.
+ * - Both parts are UTF-8, base64-encoded in 76-character lines, so bodies
+ *   never contain a bare "." line or over-long lines.
+ */
+
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+
+/**
+ * Strip line breaks from a header value.
+ *
+ * @param {*} value - Raw header value
+ * @returns {string}
+ */
+function sanitizeHeader(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII.
+ *
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  const clean = sanitizeHeader(value);
+  if (/^[\x20-\x7e]*$/.test(clean)) {
+    return clean;
+  }
+  return `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Format a mailbox: "Display Name" <address>, or the bare address.
+ *
+ * @param {string|{name?: string, address: string}} mailbox - Address or { name, address }
+ * @returns {string}
+ */
+function formatAddress(mailbox) {
+  if (typeof mailbox === 'string') {
+    return sanitizeHeader(mailbox);
+  }
+  const address = sanitizeHeader(mailbox.address);
+  if (!mailbox.name) {
+    return address;
+  }
+  const name = encodeHeader(mailbox.name);
+  const quoted = name.startsWith('=?') ? name : `"${name.replace(/["\\]/g, '\\$&')}"`;
+  return `${quoted} <${address}>`;
+}
+
+/**
+ * Base64-encode UTF-8 text in 76-character lines.
+ *
+ * @param {string} text - Body text
+ * @returns {string}
+ */
+function encodeBody(text) {
+  const encoded = Buffer.from(text ?? '', 'utf8').toString('base64');
+  return (encoded.match(/.{1,76}/g) || ['']).join(CRLF);
+}
+
+/**
+ * Format a Date as an RFC 5322 date-time (always UTC).
+ *
+ * @param {Date} date - Date
+ * @returns {string} e.g. "Sun, 01 Mar 2026 12:00:00 +0000"
+ */
+function formatDate(date) {
+  return date.toUTCString().replace(/GMT$/, '+0000');
+}
+
+/**
+ * Build a message with plain-text and HTML alternatives.
+ *
+ * @param {Object} message
+ * @param {string|Object} message.from - Sender mailbox
+ * @param {string|Object} message.to - Recipient mailbox
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain-text body
+ * @param {string} message.html - HTML body
+ * @param {string} message.messageId - Message-ID including angle brackets
+ * @param {Date} [message.date=new Date()] - Date header
+ * @returns {string} Message with CRLF line endings
+ */
+function buildMessage({ from, to, subject, text, html, messageId, date = new Date() }) {
+  const boundary = `=_alt_${crypto.randomBytes(12).toString('hex')}`;
+
+  const part = (contentType, body) =>
+    [
+      `--${boundary}`,
+      `Content-Type: ${contentType}; charset=UTF-8`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      encodeBody(body),
+    ].join(CRLF);
+
+  return [
+    `From: ${formatAddress(from)}`,
+    `To: ${formatAddress(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${formatDate(date)}`,
+    `Message-ID: ${sanitizeHeader(messageId)}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    part('text/plain', text),
+    part('text/html', html),
+    `--${boundary}--`,
+    '',
+  ].join(CRLF);
+}
+
+module.exports = {
+  buildMessage,
+  encodeHeader,
+  formatAddress,
+};
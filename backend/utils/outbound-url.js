@@ -0,0 +1,178 @@
+/**
+ * Outbound URL Guard
+ *
+ * SRP LITERALISM: ONLY decides whether the server may send a request to a URL
+ *
+ * Customer-supplied endpoints (webhook subscriptions) are fetched by the
+ * server, so a URL pointing at loopback, a private network or cloud metadata
+ * (169.254.169.254) would turn the sender into a proxy into our network.
+ * The URL must be https and every address its host resolves to must be public.
+ *
+ * Checked when the URL is saved and again before each send, since DNS answers
+ * can change in between. The send then connects to the addresses that passed
+ * the check (createPinnedLookup) instead of resolving the host again, so a
+ * DNS answer that changes after the check (rebinding) is never used.
+ *
+ * @module utils/outbound-url
+ */
+
+const dns = require('dns');
+const net = require('net');
+const AppError = require('./app-error');
+const { ERROR_CODES } = require('../config/error-codes');
+
+/**
+ * Non-public address ranges (IANA special-purpose registries)
+ */
+const BLOCKED_RANGES = Object.freeze([
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+]);
+
+const blockList = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_RANGES) {
+  blockList.addSubnet(address, prefix, family);
+}
+
+/**
+ * IPv4-mapped IPv6 (::ffff:a.b.c.d) is checked as the embedded IPv4 address
+ */
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i;
+
+/**
+ * Whether an IP address is in a private, loopback, link-local or reserved range
+ *
+ * @param {string} address - IPv4 or IPv6 literal
+ * @returns {boolean} True if the address must not be contacted
+ */
+function isBlockedAddress(address) {
+  const mapped = IPV4_MAPPED_PATTERN.exec(address);
+  if (mapped) {
+    return isBlockedAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a URL that must be https and resolve only to public addresses
+ *
+ * @param {string} url - URL the server is about to contact
+ * @param {Object} [options={}]
+ * @param {string} [options.field='url'] - Field name used in error messages
+ * @returns {Promise<{url: URL, addresses: Array<{address: string, family: number}>}>}
+ *   The parsed URL and the vetted addresses of its host
+ * @throws {AppError} 400 VALIDATION_FAILED if the URL is not safe to contact
+ */
+async function resolvePublicHttpsUrl(url, { field = 'url' } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    throw new AppError(`${field} must be a valid URL`, 400, ERROR_CODES.VALIDATION_FAILED);
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new AppError(`${field} must use https`, 400, ERROR_CODES.VALIDATION_FAILED);
+  }
+  if (parsed.username || parsed.password) {
+    throw new AppError(`${field} must not contain credentials`, 400, ERROR_CODES.VALIDATION_FAILED);
+  }
+
+  // URL keeps brackets on IPv6 literals
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      const results = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+      addresses = results.map(({ address, family }) => ({ address, family }));
+    } catch {
+      throw new AppError(`${field} host could not be resolved`, 400, ERROR_CODES.VALIDATION_FAILED);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new AppError(
+      `${field} must resolve to a public address`,
+      400,
+      ERROR_CODES.VALIDATION_FAILED,
+    );
+  }
+
+  return { url: parsed, addresses };
+}
+
+/**
+ * Assert a URL is https and resolves only to public addresses
+ *
+ * @param {string} url - URL the server is about to contact
+ * @param {Object} [options={}]
+ * @param {string} [options.field='url'] - Field name used in error messages
+ * @returns {Promise<void>}
+ * @throws {AppError} 400 VALIDATION_FAILED if the URL is not safe to contact
+ */
+async function assertPublicHttpsUrl(url, options = {}) {
+  await resolvePublicHttpsUrl(url, options);
+}
+
+/**
+ * Build a socket `lookup` that answers with vetted addresses only
+ *
+ * Passed to https.request so the connection goes to an address that passed
+ * resolvePublicHttpsUrl; the hostname still drives SNI and the Host header.
+ *
+ * @param {Array<{address: string, family: number}>} addresses - Vetted addresses
+ * @returns {Function} lookup(hostname, options, callback) for net/tls connect
+ */
+function createPinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    const done = typeof options === 'function' ? options : callback;
+    const opts = typeof options === 'object' && options !== null ? options : { family: options };
+    const candidates = opts.family === 4 || opts.family === 6
+      ? addresses.filter(({ family }) => family === opts.family)
+      : addresses;
+
+    if (candidates.length === 0) {
+      const error = new Error(`No vetted IPv${opts.family} address for ${hostname}`);
+      error.code = 'ENOTFOUND';
+      return done(error);
+    }
+    if (opts.all) {
+      return done(null, candidates);
+    }
+    return done(null, candidates[0].address, candidates[0].family);
+  };
+}
+
+module.exports = {
+  assertPublicHttpsUrl,
+  resolvePublicHttpsUrl,
+  createPinnedLookup,
+  isBlockedAddress,
+};
@@ -11,6 +11,7 @@
  */
 
 const { getClientIp, getUserAgent } = require('./request-helpers');
+const { AUTH } = require('../config/constants');
 
 /**
  * Build RLS (Row-Level Security) context from request middleware
@@ -27,6 +28,7 @@ const { getClientIp, getUserAgent } = require('./request-helpers');
  *   - customerProfileId: User's customer profile ID (if applicable)
  *   - technicianProfileId: User's technician profile ID (if applicable)
  *   - role: User's role
+ *   - tenantId: User's tenant (ADR-014)
  *   - resource: Resource being accessed
  *
  * @example
@@ -43,7 +45,8 @@ function buildRlsContext(req) {
  * Provides consistent audit trail information for create/update/delete operations
  *
  * @param {Object} req - Express request object (with auth middleware applied)
- * @returns {Object} Audit context { userId, ipAddress, userAgent }
+ * @returns {Object} Audit context { userId, ipAddress, userAgent, actorType, serviceCredentialId, tenantId }
+ *   (service credentials act with userId null and their own id; tenantId stamps the audit row - ADR-014)
  *
  * @example
  *   const auditContext = buildAuditContext(req);
@@ -54,6 +57,9 @@ function buildAuditContext(req) {
     userId: req.dbUser?.id || req.user?.userId,
     ipAddress: getClientIp(req),
     userAgent: getUserAgent(req),
+    actorType: req.dbUser?.actor_type || AUTH.ACTOR_TYPES.USER,
+    serviceCredentialId: req.dbUser?.service_credential_id || null,
+    tenantId: req.dbUser?.tenant_id ?? null,
   };
 }
 
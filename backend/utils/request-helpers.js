@@ -30,7 +30,52 @@ function getUserAgent(req) {
   return req.headers['user-agent'];
 }
 
+// Checked in order: Edge and Opera also say "Chrome", Chrome also says "Safari"
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /(Firefox|FxiOS)\//],
+  ['Chrome', /(Chrome|CriOS)\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+  ['Tross app', /^Dart\//],
+];
+
+// iOS/Android before macOS/Linux: their user agents mention both
+const OPERATING_SYSTEMS = [
+  ['iOS', /(iPhone|iPad|iPod)/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Describe the device behind a user agent for session lists
+ *
+ * @param {string|undefined} userAgent - User agent string
+ * @returns {string|null} e.g. "Chrome on macOS", "Safari on iOS", or null if unknown
+ *
+ * @example
+ * describeDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) ... Chrome/126.0 Safari/537.36');
+ * // 'Chrome on macOS'
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return null;
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+  return browser || os || null;
+}
+
 module.exports = {
   getClientIp,
   getUserAgent,
+  describeDevice,
 };
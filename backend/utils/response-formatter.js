@@ -22,7 +22,7 @@ class ResponseFormatter {
    * @param {Object} res - Express response object
    * @param {Object} data - Response data
    * @param {Array} data.data - Array of records
-   * @param {Object} data.pagination - Pagination metadata
+   * @param {Object} data.pagination - Pagination metadata: { page, limit, total, totalPages, hasNext, hasPrev }, or { limit, hasNext, next_cursor } for cursor pagination
    * @param {Object} [data.appliedFilters] - Applied filters
    * @param {boolean} [data.rlsApplied] - Whether RLS was applied
    */
@@ -355,6 +355,7 @@ class ResponseFormatter {
       [HTTP_STATUS.NOT_FOUND]: ERROR_CODES.RESOURCE_NOT_FOUND,
       [HTTP_STATUS.REQUEST_TIMEOUT]: ERROR_CODES.SERVER_TIMEOUT,
       [HTTP_STATUS.CONFLICT]: ERROR_CODES.RESOURCE_CONFLICT,
+      [HTTP_STATUS.PRECONDITION_FAILED]: ERROR_CODES.RESOURCE_VERSION_MISMATCH,
       [HTTP_STATUS.TOO_MANY_REQUESTS]: ERROR_CODES.RATE_LIMIT_EXCEEDED,
       [HTTP_STATUS.SERVICE_UNAVAILABLE]: ERROR_CODES.SERVER_UNAVAILABLE,
     };
@@ -373,6 +374,7 @@ class ResponseFormatter {
       [HTTP_STATUS.NOT_FOUND]: 'Not Found',
       [HTTP_STATUS.REQUEST_TIMEOUT]: 'Request Timeout',
       [HTTP_STATUS.CONFLICT]: 'Conflict',
+      [HTTP_STATUS.PRECONDITION_FAILED]: 'Precondition Failed',
       [HTTP_STATUS.TOO_MANY_REQUESTS]: 'Too Many Requests',
       [HTTP_STATUS.SERVICE_UNAVAILABLE]: 'Service Unavailable',
       [HTTP_STATUS.INTERNAL_SERVER_ERROR]: 'Internal Server Error',
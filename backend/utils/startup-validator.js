@@ -27,6 +27,7 @@ const { STARTUP_VALIDATION, AUTH } = require('../config/constants');
 const AppConfig = require('../config/app-config');
 const { validateAllRules } = require('../db/helpers/rls');
 const { validateActions } = require('../config/action-handlers');
+const { validateNotificationTemplates } = require('../config/notification-templates');
 const { buildCspDirectives, cspHasAllowAllWildcard } = require('../middleware/security');
 
 /**
@@ -101,6 +102,16 @@ function validateStartup(options = {}) {
     errors.push(`Actions validation failed: ${actionsError.message}`);
   }
 
+  // ============================================================================
+  // CRITICAL CHECK: Notification Templates Validation
+  // ============================================================================
+  try {
+    validateNotificationTemplates();
+    logger.info('✅ Notification templates validated successfully');
+  } catch (templatesError) {
+    errors.push(`Notification templates validation failed: ${templatesError.message}`);
+  }
+
   // ============================================================================
   // CRITICAL CHECK: JWT Secret Configured
   // ============================================================================
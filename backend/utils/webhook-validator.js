@@ -1,7 +1,7 @@
 /**
  * Webhook Signature Validator
  *
- * SRP LITERALISM: ONLY verifies HMAC signatures
+ * SRP LITERALISM: ONLY computes and verifies HMAC signatures
  *
  * PHILOSOPHY:
  * - GENERIC: Works with any HMAC-based signature scheme
@@ -32,6 +32,9 @@
  *     req.headers['intuit-signature'],
  *     process.env.QB_WEBHOOK_VERIFIER_TOKEN
  *   );
+ *
+ *   // Signing outbound webhooks (Stripe format, checked by verifyStripe)
+ *   const header = WebhookValidator.sign(body, subscription.secret_key);
  */
 
 const crypto = require('crypto');
@@ -145,6 +148,21 @@ class WebhookValidator {
     return secureCompare(expected, parts.v1);
   }
 
+  /**
+   * Sign a payload in the Stripe "t=timestamp,v1=signature" format
+   *
+   * Used for outbound webhooks, so receivers can verify our deliveries the
+   * same way we verify Stripe's (verifyStripe accepts the result).
+   *
+   * @param {string} payload - Exact request body that will be sent
+   * @param {string} secret - Shared signing secret
+   * @param {number} [timestamp] - Unix seconds (default: now)
+   * @returns {string} Signature header value
+   */
+  static sign(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${computeHmac(`${timestamp}.${payload}`, secret)}`;
+  }
+
   /**
    * QuickBooks-specific signature verification
    *
@@ -0,0 +1,364 @@
+/**
+ * XLSX Reader
+ *
+ * SRP: ONLY reads the cell values of the first worksheet of an Office Open
+ * XML workbook (the counterpart of xlsx-writer.js, for imports).
+ *
+ * - Entries are located through the ZIP central directory and inflated on
+ *   demand; each is capped at MAX_ENTRY_SIZE so a crafted archive cannot
+ *   expand without bound.
+ * - Cells resolve to strings (shared, inline or formula results), numbers,
+ *   booleans or null. Numbers in a date/time number format become
+ *   'YYYY-MM-DD' (whole days) or an ISO 8601 timestamp.
+ * - rows[i] is spreadsheet row i + 1, so blank rows keep their place and
+ *   callers can report row numbers a user will recognise.
+ * - No ZIP64 or encrypted workbooks; errors are thrown as plain Errors.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURES = Object.freeze({
+  LOCAL_FILE: 0x04034b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+});
+
+const STORED = 0;
+const DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+
+const EOCD_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+// Largest uncompressed part we are willing to inflate
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+const DEFAULT_SHEET_PATH = 'xl/worksheets/sheet1.xml';
+
+// Built-in number formats that display dates or times (ECMA-376 18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+  45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58,
+]);
+
+// Days between the spreadsheet epochs and 1970-01-01
+const EPOCH_OFFSET_1900 = 25569;
+const EPOCH_OFFSET_1904 = 24107;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const XML_ENTITIES = Object.freeze({
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+});
+
+/**
+ * Decode the XML entities in element text or an attribute value.
+ *
+ * @param {string} text - Escaped text
+ * @returns {string}
+ */
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Attributes of an XML start tag.
+ *
+ * @param {string} source - The text between the tag name and '>'
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, value] of source.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[name] = unescapeXml(value);
+  }
+  return attributes;
+}
+
+/**
+ * Text of a shared string item or inline string: every <t> run, without
+ * the phonetic (ruby) runs.
+ *
+ * @param {string} xml - Content of <si> or <is>
+ * @returns {string}
+ */
+function richText(xml) {
+  const runs = xml
+    .replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')
+    .matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g);
+  return unescapeXml([...runs].map(([, text]) => text).join(''));
+}
+
+/**
+ * Zero-based column index of a cell reference ('C7' → 2).
+ *
+ * @param {string} ref - Cell reference
+ * @returns {number} -1 when the reference has no column letters
+ */
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/i.exec(ref)?.[0];
+  if (!letters) {
+    return -1;
+  }
+  let index = 0;
+  for (const letter of letters.toUpperCase()) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Whether a custom number format displays a date or time.
+ * Quoted literals, [colour]/[locale] sections and escaped characters are
+ * ignored; what is left is a date format if it uses d, m, y, h or s.
+ *
+ * @param {string} formatCode - e.g. 'dd/mm/yyyy', '#,##0.00'
+ * @returns {boolean}
+ */
+function isDateFormat(formatCode) {
+  return /[dmyhs]/i.test(formatCode.replace(/"[^"]*"|\[[^\]]*\]|\\./g, ''));
+}
+
+/**
+ * Convert a date serial number to 'YYYY-MM-DD' or an ISO 8601 timestamp.
+ *
+ * @param {number} serial - Days since the workbook epoch
+ * @param {boolean} date1904 - Workbook uses the 1904 date system
+ * @returns {string}
+ */
+function serialToDate(serial, date1904) {
+  const offset = date1904 ? EPOCH_OFFSET_1904 : EPOCH_OFFSET_1900;
+  // The 1900 system counts a 29 February 1900 that never was
+  const days = !date1904 && serial < 60 ? serial + 1 : serial;
+  const date = new Date(Math.round((days - offset) * MS_PER_DAY));
+  return Number.isInteger(serial) ? date.toISOString().slice(0, 10) : date.toISOString();
+}
+
+/**
+ * Index a ZIP archive by its central directory.
+ *
+ * @param {Buffer} buffer - Archive
+ * @returns {Map<string, {method: number, compressedSize: number, localOffset: number}>}
+ */
+function readCentralDirectory(buffer) {
+  let eocd = -1;
+  const lowest = Math.max(0, buffer.length - EOCD_SIZE - MAX_COMMENT_LENGTH);
+  for (let offset = buffer.length - EOCD_SIZE; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== SIGNATURES.CENTRAL_DIRECTORY) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+/**
+ * Read one archive entry as UTF-8 text.
+ *
+ * @param {Buffer} buffer - Archive
+ * @param {Map} entries - From readCentralDirectory
+ * @param {string} name - Entry path
+ * @returns {string|null} null when the entry does not exist
+ */
+function readEntry(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) {
+    return null;
+  }
+  if (entry.flags & FLAG_ENCRYPTED) {
+    throw new Error('Encrypted workbooks are not supported');
+  }
+
+  const local = entry.localOffset;
+  if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== SIGNATURES.LOCAL_FILE) {
+    throw new Error(`Corrupt ZIP entry: ${name}`);
+  }
+  const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === STORED) {
+    return data.toString('utf8');
+  }
+  if (entry.method === DEFLATE) {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE }).toString('utf8');
+  }
+  throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+}
+
+/**
+ * Path of the first worksheet, following the workbook relationships.
+ *
+ * @param {string|null} workbookXml - xl/workbook.xml
+ * @param {string|null} relsXml - xl/_rels/workbook.xml.rels
+ * @returns {{ name: string|null, path: string }}
+ */
+function firstSheet(workbookXml, relsXml) {
+  const sheet = workbookXml && /<sheet\b([^>]*)\/?>/.exec(workbookXml);
+  if (!sheet) {
+    return { name: null, path: DEFAULT_SHEET_PATH };
+  }
+
+  const attributes = parseAttributes(sheet[1]);
+  const relationId = attributes['r:id'];
+  const relation = relsXml && [...relsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+    .map(([, source]) => parseAttributes(source))
+    .find((rel) => rel.Id === relationId);
+
+  if (!relation?.Target) {
+    return { name: attributes.name ?? null, path: DEFAULT_SHEET_PATH };
+  }
+  const path = relation.Target.startsWith('/')
+    ? relation.Target.slice(1)
+    : `xl/${relation.Target}`;
+  return { name: attributes.name ?? null, path };
+}
+
+/**
+ * Style indexes (the s attribute of a cell) whose number format is a date.
+ *
+ * @param {string|null} stylesXml - xl/styles.xml
+ * @returns {Set<number>}
+ */
+function dateStyles(stylesXml) {
+  const styles = new Set();
+  if (!stylesXml) {
+    return styles;
+  }
+
+  const customDates = new Set();
+  for (const [, source] of stylesXml.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+    const { numFmtId, formatCode = '' } = parseAttributes(source);
+    if (isDateFormat(formatCode)) {
+      customDates.add(Number(numFmtId));
+    }
+  }
+
+  const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(stylesXml)?.[1] ?? '';
+  [...cellXfs.matchAll(/<xf\b([^>]*?)\/?>/g)].forEach(([, source], index) => {
+    const numFmtId = Number(parseAttributes(source).numFmtId ?? 0);
+    if (BUILTIN_DATE_FORMATS.has(numFmtId) || customDates.has(numFmtId)) {
+      styles.add(index);
+    }
+  });
+  return styles;
+}
+
+/**
+ * Read the first worksheet of a workbook.
+ *
+ * @param {Buffer} buffer - .xlsx file contents
+ * @returns {{ sheetName: string|null, rows: Array<Array<string|number|boolean|null>> }}
+ * @throws {Error} When the file is not a readable workbook
+ */
+function readXlsx(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < EOCD_SIZE) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entries = readCentralDirectory(buffer);
+  const workbookXml = readEntry(buffer, entries, 'xl/workbook.xml');
+  const sheet = firstSheet(workbookXml, readEntry(buffer, entries, 'xl/_rels/workbook.xml.rels'));
+  const sheetXml = readEntry(buffer, entries, sheet.path);
+  if (sheetXml === null) {
+    throw new Error('Workbook has no worksheet');
+  }
+
+  const sharedXml = readEntry(buffer, entries, 'xl/sharedStrings.xml') ?? '';
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, xml]) => richText(xml));
+  const dates = dateStyles(readEntry(buffer, entries, 'xl/styles.xml'));
+  const date1904 = /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbookXml ?? '');
+
+  const cellValue = (attributes, xml) => {
+    const raw = /<v>([\s\S]*?)<\/v>/.exec(xml)?.[1];
+    switch (attributes.t) {
+      case 's':
+        return shared[Number(raw)] ?? null;
+      case 'inlineStr':
+        return richText(/<is>([\s\S]*?)<\/is>/.exec(xml)?.[1] ?? '');
+      case 'str':
+        return raw === undefined ? null : unescapeXml(raw);
+      case 'b':
+        return raw === undefined ? null : raw === '1';
+      case 'e':
+        return null;
+      default: {
+        if (raw === undefined || raw === '') {
+          return null;
+        }
+        const number = Number(raw);
+        if (dates.has(Number(attributes.s)) && Number.isFinite(number)) {
+          return serialToDate(number, date1904);
+        }
+        return Number.isFinite(number) ? number : unescapeXml(raw);
+      }
+    }
+  };
+
+  const rows = [];
+  let rowNumber = 0;
+  for (const [, rowSource, rowXml = ''] of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    rowNumber = Number(parseAttributes(rowSource).r) || rowNumber + 1;
+    const values = [];
+    let column = -1;
+    for (const [, cellSource, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = parseAttributes(cellSource);
+      const index = attributes.r ? columnIndex(attributes.r) : -1;
+      column = index >= 0 ? index : column + 1;
+      const value = cellValue(attributes, cellXml);
+      if (value !== null) {
+        while (values.length < column) {
+          values.push(null);
+        }
+        values[column] = value;
+      }
+    }
+    while (rows.length < rowNumber - 1) {
+      rows.push([]);
+    }
+    rows[rowNumber - 1] = values;
+  }
+
+  return { sheetName: sheet.name, rows };
+}
+
+module.exports = {
+  readXlsx,
+  columnIndex,
+  unescapeXml,
+};
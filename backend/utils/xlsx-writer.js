@@ -0,0 +1,331 @@
+/**
+ * Streaming XLSX Writer
+ *
+ * SRP: ONLY serializes rows to an Office Open XML workbook (one worksheet),
+ * chunk by chunk, so exports never hold the whole file in memory.
+ *
+ * - begin(columns) → rows(values[]) × N → end(); each returns the Buffer to
+ *   write next. Concatenated, they form a valid .xlsx (a ZIP archive).
+ * - The static parts are deflated up front; the worksheet is deflated per
+ *   chunk (sync flush) and its CRC/sizes follow in a data descriptor, as
+ *   ZIP allows for entries whose size is unknown when they start.
+ * - Cells are inline strings, numbers or booleans (no shared strings table).
+ *   Control characters that XML 1.0 forbids are dropped.
+ * - No ZIP64: a workbook must stay under 4 GB.
+ */
+
+const zlib = require('zlib');
+
+const SHEET_PATH = 'xl/worksheets/sheet1.xml';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const SIGNATURES = Object.freeze({
+  LOCAL_FILE: 0x04034b50,
+  DATA_DESCRIPTOR: 0x08074b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+});
+
+const ZIP_VERSION = 20; // 2.0 - deflate
+const DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for an XML element or attribute value.
+ *
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column name for a zero-based index (0 → A, 26 → AA).
+ *
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Serialize one cell; null/undefined/'' leave the cell out.
+ *
+ * @param {*} value - Cell value
+ * @param {string} ref - Cell reference, e.g. 'B7'
+ * @returns {string}
+ */
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Worksheet names: max 31 characters, none of []:*?/\
+ *
+ * @param {string} name - Requested name
+ * @returns {string}
+ */
+function sanitizeSheetName(name) {
+  const clean = String(name || '').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim();
+  return clean || 'Sheet1';
+}
+
+/**
+ * DOS date/time fields of a ZIP entry.
+ *
+ * @param {Date} date - Modification time
+ * @returns {{ time: number, date: number }}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * The workbook parts other than the worksheet.
+ *
+ * @param {string} sheetName - Worksheet name
+ * @returns {Array<[string, string]>} [path, content]
+ */
+function staticParts(sheetName) {
+  const main = 'http://schemas.openxmlformats.org';
+  return [
+    [
+      '[Content_Types].xml',
+      `${XML_HEADER}<Types xmlns="${main}/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" '
+        + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + `<Override PartName="/${SHEET_PATH}" `
+        + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    ],
+    [
+      '_rels/.rels',
+      `${XML_HEADER}<Relationships xmlns="${main}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${main}/officeDocument/2006/relationships/officeDocument" `
+        + 'Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    ],
+    [
+      'xl/workbook.xml',
+      `${XML_HEADER}<workbook xmlns="${main}/spreadsheetml/2006/main" `
+        + `xmlns:r="${main}/officeDocument/2006/relationships">`
+        + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>',
+    ],
+    [
+      'xl/_rels/workbook.xml.rels',
+      `${XML_HEADER}<Relationships xmlns="${main}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${main}/officeDocument/2006/relationships/worksheet" `
+        + 'Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>',
+    ],
+  ];
+}
+
+class XlsxWriter {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.sheetName='Sheet1'] - Worksheet name
+   * @param {Date} [options.date=new Date()] - Modification time of the parts
+   */
+  constructor({ sheetName = 'Sheet1', date = new Date() } = {}) {
+    this.sheetName = sanitizeSheetName(sheetName);
+    this.dosTime = dosDateTime(date);
+    this.entries = [];
+    this.offset = 0;
+    this.rowCount = 0;
+    this.sheet = null;
+  }
+
+  /**
+   * Start the workbook: static parts, then the worksheet with a header row.
+   *
+   * @param {string[]} columns - Header labels
+   * @returns {Buffer}
+   */
+  begin(columns) {
+    const chunks = staticParts(this.sheetName).map(([name, content]) => {
+      const data = Buffer.from(content, 'utf8');
+      const compressed = zlib.deflateRawSync(data);
+      const entry = {
+        name,
+        flags: FLAG_UTF8,
+        crc: zlib.crc32(data),
+        compressedSize: compressed.length,
+        size: data.length,
+      };
+      return Buffer.concat([this._localHeader(entry), compressed]);
+    });
+
+    this.sheet = { name: SHEET_PATH, flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR, crc: 0, compressedSize: 0, size: 0 };
+    chunks.push(this._localHeader(this.sheet));
+
+    const header = `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+      + '<sheetData>';
+    chunks.push(this._sheetChunk(header));
+    chunks.push(this.rows([columns]));
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Serialize rows.
+   *
+   * @param {Array<Array<*>>} rows - Cell values per row, in column order
+   * @returns {Buffer}
+   */
+  rows(rows) {
+    const xml = rows.map((values) => {
+      const r = ++this.rowCount;
+      const cells = values.map((value, index) => cellXml(value, `${columnName(index)}${r}`)).join('');
+      return `<row r="${r}">${cells}</row>`;
+    }).join('');
+    return this._sheetChunk(xml);
+  }
+
+  /**
+   * Finish the worksheet and write the ZIP central directory.
+   *
+   * @returns {Buffer}
+   */
+  end() {
+    const closing = this._sheetChunk('</sheetData></worksheet>');
+    // Final (BFINAL) empty block terminates the concatenated sync-flushed stream
+    const finalBlock = zlib.deflateRawSync(Buffer.alloc(0));
+    this.sheet.compressedSize += finalBlock.length;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(SIGNATURES.DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(this.sheet.crc, 4);
+    descriptor.writeUInt32LE(this.sheet.compressedSize, 8);
+    descriptor.writeUInt32LE(this.sheet.size, 12);
+
+    const trailer = Buffer.concat([closing, finalBlock, descriptor]);
+    this.offset += finalBlock.length + descriptor.length;
+
+    const centralDirectory = Buffer.concat(this.entries.map((entry) => this._centralHeader(entry)));
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(SIGNATURES.END_OF_CENTRAL_DIRECTORY, 0);
+    eocd.writeUInt16LE(this.entries.length, 8);
+    eocd.writeUInt16LE(this.entries.length, 10);
+    eocd.writeUInt32LE(centralDirectory.length, 12);
+    eocd.writeUInt32LE(this.offset, 16);
+
+    return Buffer.concat([trailer, centralDirectory, eocd]);
+  }
+
+  /**
+   * Deflate part of the worksheet (sync flush, so chunks concatenate).
+   *
+   * @private
+   * @param {string} xml - Worksheet XML
+   * @returns {Buffer}
+   */
+  _sheetChunk(xml) {
+    const data = Buffer.from(xml, 'utf8');
+    if (data.length === 0) {
+      // zlib.crc32 of an empty buffer ignores the running value
+      return Buffer.alloc(0);
+    }
+    const compressed = zlib.deflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    this.sheet.crc = zlib.crc32(data, this.sheet.crc);
+    this.sheet.size += data.length;
+    this.sheet.compressedSize += compressed.length;
+    this.offset += compressed.length;
+    return compressed;
+  }
+
+  /**
+   * Local file header; records the entry for the central directory.
+   *
+   * @private
+   * @param {Object} entry - { name, flags, crc, compressedSize, size }
+   * @returns {Buffer}
+   */
+  _localHeader(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(SIGNATURES.LOCAL_FILE, 0);
+    header.writeUInt16LE(ZIP_VERSION, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(this.dosTime.time, 10);
+    header.writeUInt16LE(this.dosTime.date, 12);
+    // With a data descriptor, CRC and sizes are written after the data
+    if (!(entry.flags & FLAG_DATA_DESCRIPTOR)) {
+      header.writeUInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.compressedSize, 18);
+      header.writeUInt32LE(entry.size, 22);
+    }
+    header.writeUInt16LE(name.length, 26);
+
+    entry.offset = this.offset;
+    this.entries.push(entry);
+    const size = header.length + name.length + (entry.flags & FLAG_DATA_DESCRIPTOR ? 0 : entry.compressedSize);
+    this.offset += size;
+
+    return Buffer.concat([header, name]);
+  }
+
+  /**
+   * Central directory header of an entry.
+   *
+   * @private
+   * @param {Object} entry - Entry recorded by _localHeader
+   * @returns {Buffer}
+   */
+  _centralHeader(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(SIGNATURES.CENTRAL_DIRECTORY, 0);
+    header.writeUInt16LE(ZIP_VERSION, 4);
+    header.writeUInt16LE(ZIP_VERSION, 6);
+    header.writeUInt16LE(entry.flags, 8);
+    header.writeUInt16LE(DEFLATE, 10);
+    header.writeUInt16LE(this.dosTime.time, 12);
+    header.writeUInt16LE(this.dosTime.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, name]);
+  }
+}
+
+module.exports = {
+  XlsxWriter,
+  columnName,
+  escapeXml,
+};
@@ -28,6 +28,7 @@ const { BATCH } = API_OPERATIONS;
  * - Each operation has valid structure
  * - Operation types are valid (create/update/delete)
  * - Required fields per operation type (id for update/delete, data for create/update)
+ * - Optional expectedVersion (an ETag string) only on update/delete
  *
  * @returns {Function} Express middleware
  */
@@ -101,6 +102,24 @@ function validateBatchRequest() {
             message: `Operation '${op.operation}' requires data`,
           });
         }
+
+        // Validate expectedVersion (optimistic concurrency) for update/delete
+        if (op.expectedVersion !== undefined) {
+          if (op.operation !== 'update' && op.operation !== 'delete') {
+            errors.push({
+              field: `${prefix}.expectedVersion`,
+              message: `Operation '${op.operation}' does not accept expectedVersion`,
+            });
+          } else if (
+            typeof op.expectedVersion !== 'string' ||
+            op.expectedVersion.trim() === ''
+          ) {
+            errors.push({
+              field: `${prefix}.expectedVersion`,
+              message: 'expectedVersion must be a non-empty string (the record ETag)',
+            });
+          }
+        }
       });
 
       // Check mixed operations if not allowed
@@ -9,12 +9,16 @@
  * 1. Auth-related validators (login, token refresh, callbacks)
  * 2. Profile update validator (stricter than general user update)
  * 3. Role assignment validator
+ * 4. Approval decision validator
+ * 5. Report subscription validator
+ * 6. Service credential validators (issue, rotate)
  *
  * Philosophy: Explicit is better than implicit. No auto-generation.
  */
 const Joi = require('joi');
 const ResponseFormatter = require('../utils/response-formatter');
 const { FIELD } = require('../config/field-types');
+const { API_OPERATIONS } = require('../config/api-operations');
 
 /**
  * Helper function to create validation middleware
@@ -161,6 +165,108 @@ const validateRefreshToken = createValidator(
   }),
 );
 
+// ============================================================================
+// APPROVAL DECISION VALIDATOR
+// ============================================================================
+
+/**
+ * Approval Decision Validation
+ * Validates: POST /api/approval_requests/:id/decision
+ */
+const validateApprovalDecision = createValidator(
+  Joi.object({
+    decision: Joi.string().valid('approve', 'reject').required().messages({
+      'any.only': 'Decision must be one of: approve, reject',
+      'any.required': 'Decision is required',
+    }),
+    notes: Joi.string().trim().max(2000).allow('', null).messages({
+      'string.max': 'Notes cannot exceed 2000 characters',
+    }),
+  }),
+);
+
+/**
+ * Report Subscription Validation
+ * Validates: PUT /api/saved_views/:id/subscription
+ * The schedule's RRULE is checked by ReportSubscriptionService
+ */
+const validateReportSubscription = createValidator(
+  Joi.object({
+    schedule: Joi.string().trim().max(500).required().messages({
+      'string.max': 'Schedule cannot exceed 500 characters',
+      'string.empty': 'Schedule is required',
+      'any.required': 'Schedule is required',
+    }),
+    format: Joi.string()
+      .valid(...API_OPERATIONS.REPORTS.FORMATS)
+      .default(API_OPERATIONS.REPORTS.FORMATS[0])
+      .messages({
+        'any.only': `Format must be one of: ${API_OPERATIONS.REPORTS.FORMATS.join(', ')}`,
+      }),
+  }),
+);
+
+/**
+ * Service Credential Validation
+ * Validates: POST /api/admin/system/service-credentials
+ * Scope entities and IP allow-list entries are checked by ServiceCredentialService
+ */
+const validateServiceCredential = createValidator(
+  Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      'string.max': 'Name cannot exceed 100 characters',
+      'string.empty': 'Name is required',
+      'any.required': 'Name is required',
+    }),
+    description: Joi.string().trim().max(1000).allow('', null).messages({
+      'string.max': 'Description cannot exceed 1000 characters',
+    }),
+    role: Joi.string().trim().required().messages({
+      'string.empty': 'Role is required',
+      'any.required': 'Role is required',
+    }),
+    tenant_id: Joi.number().integer().positive().messages({
+      'number.base': 'Tenant must be a tenant ID',
+      'number.positive': 'Tenant must be a tenant ID',
+    }),
+    scopes: Joi.object()
+      .pattern(
+        Joi.string(),
+        Joi.array()
+          .items(Joi.string().valid(...API_OPERATIONS.SERVICE_CREDENTIALS.OPERATIONS))
+          .min(1),
+      )
+      .allow(null)
+      .messages({
+        'any.only': `Scope operations must be some of: ${API_OPERATIONS.SERVICE_CREDENTIALS.OPERATIONS.join(', ')}`,
+      }),
+    ip_allowlist: Joi.array().items(Joi.string().trim().max(50)).allow(null),
+    expires_at: Joi.date().iso().greater('now').allow(null).messages({
+      'date.greater': 'Expiry must be in the future',
+      'date.format': 'Expiry must be an ISO 8601 date',
+    }),
+  }),
+);
+
+/**
+ * Service Credential Rotation Validation
+ * Validates: POST /api/admin/system/service-credentials/:id/rotate
+ */
+const validateServiceCredentialRotation = createValidator(
+  Joi.object({
+    grace_minutes: Joi.number()
+      .integer()
+      .min(0)
+      .max(API_OPERATIONS.SERVICE_CREDENTIALS.MAX_ROTATION_GRACE_MINUTES)
+      .default(API_OPERATIONS.SERVICE_CREDENTIALS.ROTATION_GRACE_MINUTES)
+      .messages({
+        'number.base': 'Grace period must be a number of minutes',
+        'number.min': 'Grace period cannot be negative',
+        'number.max': `Grace period cannot exceed ${API_OPERATIONS.SERVICE_CREDENTIALS.MAX_ROTATION_GRACE_MINUTES} minutes`,
+      }),
+  }),
+);
+
 module.exports = {
   // Profile validator (stricter than general user update)
   validateProfileUpdate,
@@ -168,6 +274,16 @@ module.exports = {
   // Role assignment validator
   validateRoleAssignment,
 
+  // Approval decision validator
+  validateApprovalDecision,
+
+  // Report subscription validator
+  validateReportSubscription,
+
+  // Service credential validators
+  validateServiceCredential,
+  validateServiceCredentialRotation,
+
   // Auth0 OAuth flow validators
   validateAuthCallback,
   validateAuth0Token,
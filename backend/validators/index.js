@@ -43,6 +43,10 @@ const {
 const {
   validateProfileUpdate,
   validateRoleAssignment,
+  validateApprovalDecision,
+  validateReportSubscription,
+  validateServiceCredential,
+  validateServiceCredentialRotation,
   validateAuthCallback,
   validateAuth0Token,
   validateAuth0Refresh,
@@ -76,6 +80,10 @@ module.exports = {
   // Body Validators (special-case only, not entity CRUD)
   validateProfileUpdate,
   validateRoleAssignment,
+  validateApprovalDecision,
+  validateReportSubscription,
+  validateServiceCredential,
+  validateServiceCredentialRotation,
   validateAuthCallback,
   validateAuth0Token,
   validateAuth0Refresh,
@@ -13,6 +13,60 @@ const {
   getFieldsWithTrait,
   FIELD_TRAIT,
 } = require('../config/metadata-accessors');
+const { RELATIONSHIP_INCLUDES } = require('../config/constants');
+const { validateIncludePaths } = require('../db/helpers/relationship-loader');
+
+/**
+ * Parse and validate an include query value: comma-separated relationship
+ * paths, dotted for nested includes (?include=customer,invoices.payments).
+ * Each segment must name a relationship of the previous segment's target.
+ *
+ * @param {*} includeParam - Raw req.query.include
+ * @param {Object} metadata - Model metadata with relationships
+ * @returns {{ paths?: string[], error?: string, details?: Object[] }} Parsed
+ *   paths, an error for a 400 response, or {} when no include was given
+ */
+function parseIncludeParam(includeParam, metadata) {
+  if (!includeParam || typeof includeParam !== 'string') {
+    return {};
+  }
+
+  // Split by comma, trim each, filter empty
+  const paths = includeParam
+    .split(',')
+    .map((r) => r.trim())
+    .filter((r) => r.length > 0);
+  if (paths.length === 0) {
+    return {};
+  }
+
+  const invalidInclude = (message) => ({
+    error: message,
+    details: [{ field: 'include', message }],
+  });
+
+  if (paths.length > RELATIONSHIP_INCLUDES.MAX_PATHS) {
+    return invalidInclude(`include accepts at most ${RELATIONSHIP_INCLUDES.MAX_PATHS} paths`);
+  }
+
+  const { invalid, tooDeep } = validateIncludePaths(metadata, paths);
+  if (tooDeep.length > 0) {
+    return invalidInclude(
+      `include paths may nest at most ${RELATIONSHIP_INCLUDES.MAX_DEPTH} levels: ${tooDeep.join(', ')}`,
+    );
+  }
+
+  // Validate against metadata.relationships if available
+  const availableRelationships = Object.keys(metadata.relationships || {});
+  if (availableRelationships.length > 0 && invalid.length > 0) {
+    return {
+      error: `Invalid include: ${invalid.join(', ')}. Available: ${availableRelationships.join(', ')}`,
+      details: [{ field: 'include', message: `Invalid relationships: ${invalid.join(', ')}` }],
+    };
+  }
+
+  return { paths };
+}
 
 /**
  * Validate pagination query parameters
@@ -330,37 +384,13 @@ function validateQuery(metadata) {
       req.validated.query.sortOrder = sortOrder;
 
       // Validate include parameter (relationship loading)
-      // Format: ?include=units,invoices
-      const includeParam = req.query.include;
-      if (includeParam && typeof includeParam === 'string') {
-        const trimmed = includeParam.trim();
-        if (trimmed.length > 0) {
-          // Split by comma, trim each, filter empty
-          const relationships = trimmed
-            .split(',')
-            .map((r) => r.trim())
-            .filter((r) => r.length > 0);
-
-          // Validate against metadata.relationships if available
-          const availableRelationships = Object.keys(metadata.relationships || {});
-          if (availableRelationships.length > 0) {
-            const invalid = relationships.filter((r) => !availableRelationships.includes(r));
-            if (invalid.length > 0) {
-              return ResponseFormatter.badRequest(
-                res,
-                `Invalid include: ${invalid.join(', ')}. Available: ${availableRelationships.join(', ')}`,
-                [
-                  {
-                    field: 'include',
-                    message: `Invalid relationships: ${invalid.join(', ')}`,
-                  },
-                ],
-              );
-            }
-          }
-
-          req.validated.query.include = relationships;
-        }
+      // Format: ?include=units,invoices.payments
+      const include = parseIncludeParam(req.query.include, metadata);
+      if (include.error) {
+        return ResponseFormatter.badRequest(res, include.error, include.details);
+      }
+      if (include.paths) {
+        req.validated.query.include = include.paths;
       }
 
       next();
@@ -385,7 +415,7 @@ function validateQuery(metadata) {
  *
  * Usage:
  *   router.get('/:id', validateInclude(metadata), handler);
- *   // Access: req.validated.query.include (array of relationship names)
+ *   // Access: req.validated.query.include (array of relationship paths)
  *
  * @param {Object} metadata - Model metadata with relationships
  * @returns {Function} Express middleware
@@ -399,36 +429,12 @@ function validateInclude(metadata) {
       req.validated.query = {};
     }
 
-    const includeParam = req.query.include;
-    if (includeParam && typeof includeParam === 'string') {
-      const trimmed = includeParam.trim();
-      if (trimmed.length > 0) {
-        // Split by comma, trim each, filter empty
-        const relationships = trimmed
-          .split(',')
-          .map((r) => r.trim())
-          .filter((r) => r.length > 0);
-
-        // Validate against metadata.relationships if available
-        const availableRelationships = Object.keys(metadata.relationships || {});
-        if (availableRelationships.length > 0) {
-          const invalid = relationships.filter((r) => !availableRelationships.includes(r));
-          if (invalid.length > 0) {
-            return ResponseFormatter.badRequest(
-              res,
-              `Invalid include: ${invalid.join(', ')}. Available: ${availableRelationships.join(', ')}`,
-              [
-                {
-                  field: 'include',
-                  message: `Invalid relationships: ${invalid.join(', ')}`,
-                },
-              ],
-            );
-          }
-        }
-
-        req.validated.query.include = relationships;
-      }
+    const include = parseIncludeParam(req.query.include, metadata);
+    if (include.error) {
+      return ResponseFormatter.badRequest(res, include.error, include.details);
+    }
+    if (include.paths) {
+      req.validated.query.include = include.paths;
     }
 
     next();
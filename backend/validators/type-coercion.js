@@ -276,9 +276,13 @@ function toSafeBoolean(value, fieldName = 'boolean', defaultValue = false) {
 /**
  * Safely coerce pagination parameters
  *
+ * A `cursor` query parameter opts into keyset pagination ('' = first page);
+ * it is passed through as an opaque string (decoded by PaginationService).
+ *
  * @param {Object} query - Query string object
  * @param {Object} limits - Pagination limits from constants
- * @returns {Object} Validated { page, limit, offset }
+ * @returns {Object} Validated { page, limit, offset } plus cursor when supplied
+ * @throws {AppError} 400 if cursor is not a string or is too long
  */
 function toSafePagination(query, limits = {}) {
   // Per-field defaults so a partial override (e.g. { maxLimit: 200 } from a
@@ -301,7 +305,24 @@ function toSafePagination(query, limits = {}) {
   });
   const offset = (page - 1) * limit;
 
-  return { page, limit, offset };
+  if (query.cursor === undefined) {
+    return { page, limit, offset };
+  }
+
+  if (
+    typeof query.cursor !== 'string' ||
+    query.cursor.length > PAGINATION.MAX_CURSOR_LENGTH
+  ) {
+    logValidationFailure({
+      validator: 'toSafePagination',
+      field: 'cursor',
+      value: query.cursor,
+      reason: 'Cursor must be a single opaque string',
+    });
+    throw new AppError('Invalid pagination cursor', 400, ERROR_CODES.VALIDATION_FAILED);
+  }
+
+  return { page, limit, offset, cursor: query.cursor };
 }
 
 /**
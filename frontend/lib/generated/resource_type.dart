@@ -18,9 +18,12 @@ enum ResourceType {
   customerUnits('customer_units'),
   departments,
   inventory,
+  invoiceLineItems('invoice_line_items'),
   invoices,
   maintenanceSchedules('maintenance_schedules'),
   notifications,
+  organizationMemberships('organization_memberships'),
+  organizations,
   payments,
   preferences,
   properties,
@@ -29,6 +32,7 @@ enum ResourceType {
   quotes,
   receipts,
   recommendations,
+  reportSubscriptions('report_subscriptions'),
   roles,
   savedViews('saved_views'),
   serviceAgreementItems('service_agreement_items'),
@@ -42,6 +46,7 @@ enum ResourceType {
   visits,
   visitSubcontractors('visit_subcontractors'),
   visitTechnicians('visit_technicians'),
+  webhookSubscriptions('webhook_subscriptions'),
   workOrders('work_orders'),
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -99,7 +99,9 @@ class ExportService {
   /// [filters] - Optional filter parameters to apply (same as list query)
   /// [selectedFields] - Optional list of field names to include
   ///
-  /// Returns true if download was initiated successfully
+  /// Returns true if download was initiated successfully, false if the
+  /// backend queued the export instead (large result - the user gets a
+  /// notification with a download link when the file is ready)
   ///
   /// NOTE: Uses raw http instead of ApiClient for:
   /// - Custom Accept header (text/csv)
@@ -131,6 +133,9 @@ class ExportService {
         queryParams['fields'] = selectedFields.join(',');
       }
 
+      // Stream rows from a database cursor instead of building the file first
+      queryParams['stream'] = 'true';
+
       final uri = Uri.parse(
         '${AppConfig.baseUrl}/export/$entityName',
       ).replace(queryParameters: queryParams.isNotEmpty ? queryParams : null);
@@ -144,6 +149,17 @@ class ExportService {
             const Duration(minutes: 2),
           ); // Longer timeout for large exports
 
+      final contentType = response.headers['content-type'] ?? '';
+      if (response.statusCode == 200 &&
+          contentType.startsWith('application/json')) {
+        // Too many rows for a direct download - an export job was queued
+        ErrorService.logInfo(
+          'CSV export queued',
+          context: {'entity': entityName},
+        );
+        return false;
+      }
+
       if (response.statusCode == 200) {
         // Get filename from Content-Disposition header or generate default
         final contentDisposition = response.headers['content-disposition'];
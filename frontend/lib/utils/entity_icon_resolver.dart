@@ -41,6 +41,8 @@ class EntityIconResolver {
     'tune_outlined': Icons.tune_outlined,
     'security': Icons.security,
     'security_outlined': Icons.security_outlined,
+    'webhook': Icons.webhook,
+    'webhook_outlined': Icons.webhook_outlined,
 
     // People/Users
     'people': Icons.people,
@@ -286,10 +286,14 @@ class GenericTableActionBuilders {
       final exportService = context.read<ExportService>();
       final success = await exportService.exportToCsv(entityName: entityName);
 
-      if (success && context.mounted) {
+      if (context.mounted) {
         ScaffoldMessenger.of(context).showSnackBar(
-          const SnackBar(
-            content: Text('Export downloaded successfully'),
+          SnackBar(
+            content: Text(
+              success
+                  ? 'Export downloaded successfully'
+                  : 'Large export queued - you will be notified when ready',
+            ),
             behavior: SnackBarBehavior.floating,
           ),
         );
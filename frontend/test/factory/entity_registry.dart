@@ -47,8 +47,11 @@ const allKnownEntities = <String>[
   'file_attachment',
   'inventory',
   'invoice',
+  'invoice_line_item',
   'maintenance_schedule',
   'notification',
+  'organization',
+  'organization_membership',
   'payment',
   'preferences',
   'property',
@@ -57,6 +60,7 @@ const allKnownEntities = <String>[
   'quote',
   'receipt',
   'recommendation',
+  'report_subscription',
   'role',
   'saved_view',
   'service_agreement',
@@ -70,6 +74,7 @@ const allKnownEntities = <String>[
   'visit',
   'visit_subcontractor',
   'visit_technician',
+  'webhook_subscription',
   'work_order',
 ];
 
@@ -8,8 +8,10 @@
  * Parts:
  *   1. schema-parts/header.sql - Static intro, extensions
  *   2. DROP statements - Generated from entity list
- *   3. generated/schema-generated.sql - CREATE tables from generate-schema.js
- *   4. seeds/essential-data.sql - essential INSERT statements (roles, admin, prefs, settings)
+ *   3. schema-parts/tenancy.sql - tenants table (every tenant-scoped table references it)
+ *   4. generated/schema-generated.sql - CREATE tables from generate-schema.js
+ *   5. schema-parts/infrastructure.sql - Non-entity system tables
+ *   6. seeds/essential-data.sql - essential INSERT statements (roles, admin, prefs, settings)
  *
  * Output: backend/schema.sql
  *
@@ -35,13 +37,17 @@ const CONFIG = Object.freeze({
 
   // Files to compose
   HEADER_FILE: 'header.sql',
+  TENANCY_FILE: 'tenancy.sql',
   INFRASTRUCTURE_FILE: 'infrastructure.sql',
   GENERATED_FILE: 'schema-generated.sql',
   SEEDS_FILE: 'essential-data.sql',
 
   // Infrastructure tables (not generated from entity metadata)
   // Note: These are created by infrastructure.sql, not entity metadata
-  INFRASTRUCTURE_TABLES: ['system_settings', 'refresh_tokens', 'idempotency_keys'],
+  INFRASTRUCTURE_TABLES: ['system_settings', 'refresh_tokens', 'idempotency_keys', 'jobs', 'webhook_events', 'realtime_events', 'webhook_deliveries', 'service_credentials'],
+
+  // Created by tenancy.sql ahead of the entity tables (ADR-014)
+  TENANCY_TABLES: ['tenants'],
 });
 
 // ============================================================================
@@ -115,7 +121,16 @@ function composeSchema(options = {}) {
   }
   console.log('  ✓ header.sql');
 
-  // 2. Read generated schema
+  // 2. Read tenancy table (entity tables reference it)
+  const tenancyPath = path.join(CONFIG.PARTS_DIR, CONFIG.TENANCY_FILE);
+  const tenancy = readFile(tenancyPath);
+  if (!tenancy) {
+    console.error('❌ Tenancy file is required');
+    return { success: false };
+  }
+  console.log('  ✓ tenancy.sql');
+
+  // 3. Read generated schema
   const generatedPath = path.join(CONFIG.GENERATED_DIR, CONFIG.GENERATED_FILE);
   const generated = readFile(generatedPath);
   if (!generated) {
@@ -124,23 +139,23 @@ function composeSchema(options = {}) {
   }
   console.log('  ✓ schema-generated.sql');
 
-  // 3. Read infrastructure tables (non-entity system tables)
+  // 4. Read infrastructure tables (non-entity system tables)
   const infrastructurePath = path.join(CONFIG.PARTS_DIR, CONFIG.INFRASTRUCTURE_FILE);
   const infrastructure = readFile(infrastructurePath);
   console.log(infrastructure ? '  ✓ infrastructure.sql' : '  ⚠️  No infrastructure tables file');
 
-  // 4. Read seeds
+  // 5. Read seeds
   const seedsPath = path.join(CONFIG.SEEDS_DIR, CONFIG.SEEDS_FILE);
   const seeds = readFile(seedsPath);
   console.log(seeds ? '  ✓ essential-data.sql' : '  ⚠️  No seeds file');
 
-  // 5. Extract table names and generate DROP section
+  // 6. Extract table names and generate DROP section
   const tableNames = extractTableNames(generated);
   const infrastructureTableNames = extractTableNames(infrastructure);
   console.log(`\n🗃️  Found ${tableNames.length} entity tables + ${infrastructureTableNames.length} infrastructure tables`);
 
   const dropSection = includeDrop
-    ? generateDropStatements(tableNames, CONFIG.INFRASTRUCTURE_TABLES)
+    ? generateDropStatements(tableNames, [...CONFIG.INFRASTRUCTURE_TABLES, ...CONFIG.TENANCY_TABLES])
     : [
         '-- ============================================================================',
         '-- PRESERVE MODE: DROP section omitted (data-preserving schema)',
@@ -155,7 +170,7 @@ function composeSchema(options = {}) {
       : '  ✓ DROP section: omitted (preserve mode)',
   );
 
-  // 6. Strip header from generated (it has its own header comment)
+  // 7. Strip header from generated (it has its own header comment)
   // Find where the first entity definition starts (marked by "-- Entity:")
   // Then back up to the preceding section header
   const entityMarkerIndex = generated.indexOf('-- Entity:');
@@ -168,13 +183,15 @@ function composeSchema(options = {}) {
     }
   }
 
-  // 7. Compose final output
-  // Order matters: header → drops → entities → infrastructure (FKs depend on entities) → seeds
+  // 8. Compose final output
+  // Order matters: header → drops → tenancy → entities → infrastructure (FKs depend on entities) → seeds
   console.log('\n🔧 Composing schema.sql...');
   const composed = [
     header.trim(),
     '',
     dropSection,
+    tenancy.trim(),
+    '',
     generatedBody.trim(),
     '',
     infrastructure ? infrastructure.trim() : '',
@@ -183,7 +200,7 @@ function composeSchema(options = {}) {
     '',
   ].filter(section => section !== '').join('\n\n');
 
-  // 8. Write output
+  // 9. Write output
   fs.writeFileSync(CONFIG.OUTPUT_FILE, composed, 'utf8');
   console.log(`\n✅ Written to: ${CONFIG.OUTPUT_FILE}`);
   console.log(`   ${composed.split('\n').length} lines`);
@@ -22,6 +22,12 @@ const {
 // Display-name SQL SSOT (UDN): the HUMAN generated-column expression (first + last)
 const { buildHumanNameSqlExpr } = require('../backend/utils/name-utils');
 
+// Full-text search SQL SSOT: the FULLTEXT-trait tsvector generated column
+const { buildSearchVectorSqlExpr } = require('../backend/utils/fulltext-search');
+const { FULLTEXT_SEARCH, TENANCY } = require('../backend/config/constants');
+const { isTenantScoped } = require('../backend/config/entity-traits');
+const { getFieldsWithTrait, FIELD_TRAIT } = require('../backend/config/metadata-accessors');
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
@@ -38,9 +44,12 @@ const CONFIG = Object.freeze({
     IS_ACTIVE: 3,
     CREATED_AT: 4,
     UPDATED_AT: 5,
+    TENANT_ID: 6,
+    VERSION: 7,
     NAME_PATTERN: 10,
     STATUS: 20,
     OTHER: 30,
+    SEARCH_VECTOR: 1000,
   }),
 
   /** TIER 1 fields - every entity gets these */
@@ -49,6 +58,18 @@ const CONFIG = Object.freeze({
     { name: 'is_active', sqlType: 'BOOLEAN', constraints: ['DEFAULT true', 'NOT NULL'], order: 3 },
     { name: 'created_at', sqlType: 'TIMESTAMPTZ', constraints: ['DEFAULT CURRENT_TIMESTAMP', 'NOT NULL'], order: 4 },
     { name: 'updated_at', sqlType: 'TIMESTAMPTZ', constraints: ['DEFAULT CURRENT_TIMESTAMP', 'NOT NULL'], order: 5 },
+    // ADR-014: tenant-scoped entities only (platform entities skip it); the
+    // default is the original tenant so pre-tenancy writers keep working
+    {
+      name: TENANCY.COLUMN,
+      sqlType: 'INTEGER',
+      constraints: [`DEFAULT ${TENANCY.DEFAULT_TENANT_ID}`, 'NOT NULL'],
+      references: 'tenants(id)',
+      order: 6,
+    },
+    // Row version (ETag source, utils/etag.js): bumped on every UPDATE by the
+    // trigger generateTableSql adds (bump_row_version() in schema-parts/header.sql)
+    { name: 'version', sqlType: 'INTEGER', constraints: ['DEFAULT 1', 'NOT NULL'], order: 7 },
   ]),
 
   /** Name pattern field definitions */
@@ -139,13 +160,15 @@ function normalizeEntity(raw) {
   const indexes = [];
   const ORDER = CONFIG.COLUMN_ORDER;
 
-  // TIER 1 - system tables skip is_active and updated_at (immutable logs)
+  // TIER 1 - system tables skip is_active, updated_at and version (immutable logs)
   // sharedPrimaryKey entities skip is_active (1:1 with user, soft-delete via user)
   // sharedPrimaryKey entities have a different id column (INTEGER vs SERIAL)
-  const skipForSystem = new Set(['is_active', 'updated_at']);
+  const skipForSystem = new Set(['is_active', 'updated_at', 'version']);
   const skipForSharedPK = new Set(['is_active']);
+  const tenantScoped = isTenantScoped(raw);
   for (const tier1 of CONFIG.TIER1_COLUMNS) {
     if (isSystemTable && skipForSystem.has(tier1.name)) {continue;}
+    if (!tenantScoped && tier1.name === TENANCY.COLUMN) {continue;}
     if (sharedPrimaryKey && skipForSharedPK.has(tier1.name)) {continue;}
 
     // For sharedPrimaryKey entities, replace SERIAL PRIMARY KEY with INTEGER PRIMARY KEY + FK
@@ -207,7 +230,7 @@ function normalizeEntity(raw) {
 
   // Remaining fields
   const skipFields = new Set([
-    'id', 'is_active', 'created_at', 'updated_at', 'status',
+    'id', 'is_active', 'created_at', 'updated_at', TENANCY.COLUMN, 'version', 'status',
     identityField, ...namePatternFieldNames,
   ]);
 
@@ -219,15 +242,39 @@ function normalizeEntity(raw) {
     columns.push(col);
   }
 
-  // Indexes: identity, searchable, foreign keys
-  if (identityField !== 'id') {indexes.push(identityField);}
+  // FULLTEXT fields: one STORED tsvector over all of them (websearch_to_tsquery target)
+  const fulltextFields = getFieldsWithTrait(raw, FIELD_TRAIT.FULLTEXT);
+  if (fulltextFields.length > 0) {
+    columns.push({
+      name: FULLTEXT_SEARCH.VECTOR_COLUMN,
+      sqlType: 'TSVECTOR',
+      constraints: [],
+      generatedAs: buildSearchVectorSqlExpr(fulltextFields),
+      order: ORDER.SEARCH_VECTOR,
+    });
+  }
+
+  // Indexes: tenant, identity, searchable, foreign keys
+  const hasIndex = (column) =>
+    indexes.some((index) => (typeof index === 'string' ? index : index.column) === column);
+  if (tenantScoped) {indexes.push(TENANCY.COLUMN);}
+  if (identityField !== 'id') {
+    // Identity unique per tenant (uniqueConstraints [tenant_id, identity]): index lookups within the tenant
+    const uniquePerTenant = (raw.uniqueConstraints || []).some(
+      (uc) => uc.fields.length === 2 && uc.fields[0] === TENANCY.COLUMN && uc.fields[1] === identityField,
+    );
+    indexes.push(uniquePerTenant ? { column: identityField, columns: [TENANCY.COLUMN, identityField] } : identityField);
+  }
   if (raw.searchableFields) {
     for (const field of raw.searchableFields) {
-      if (field !== 'id' && !indexes.includes(field)) {indexes.push(field);}
+      if (field !== 'id' && !hasIndex(field)) {indexes.push(field);}
     }
   }
   for (const [fieldName, fieldDef] of Object.entries(raw.fields)) {
-    if (fieldDef.type === 'foreignKey' && !indexes.includes(fieldName)) {indexes.push(fieldName);}
+    if (fieldDef.type === 'foreignKey' && !hasIndex(fieldName)) {indexes.push(fieldName);}
+  }
+  if (fulltextFields.length > 0) {
+    indexes.push({ column: FULLTEXT_SEARCH.VECTOR_COLUMN, using: 'GIN' });
   }
 
   return { entityKey, tableName, columns, indexes, uniqueConstraints: raw.uniqueConstraints || [] };
@@ -478,14 +525,28 @@ function generateTableSql(entity, collectForeignKeys = null) {
     lines.push(`ALTER TABLE ${tableName} ADD CONSTRAINT ${uc.name} UNIQUE (${uc.fields.join(', ')});`);
   }
 
+  // Versioned rows: every UPDATE, including raw SQL outside GenericEntityService, bumps version
+  if (columns.some((col) => col.name === 'version')) {
+    lines.push(`DROP TRIGGER IF EXISTS trg_${tableName}_version ON ${tableName};`);
+    lines.push(
+      `CREATE TRIGGER trg_${tableName}_version BEFORE UPDATE ON ${tableName} FOR EACH ROW EXECUTE FUNCTION bump_row_version();`,
+    );
+  }
+
   return lines.join('\n');
 }
 
+/**
+ * Index entries are a column name (btree) or { column, using, columns } (e.g. GIN
+ * for tsvector; columns for a composite index named after column)
+ */
 function generateIndexSql(entity) {
   const { tableName, indexes } = entity;
-  return indexes.map((field) =>
-    `CREATE INDEX IF NOT EXISTS idx_${tableName}_${field} ON ${tableName}(${field});`,
-  );
+  return indexes.map((index) => {
+    const { column, using, columns = [column] } = typeof index === 'string' ? { column: index } : index;
+    const method = using ? ` USING ${using} ` : '';
+    return `CREATE INDEX IF NOT EXISTS idx_${tableName}_${column} ON ${tableName}${method}(${columns.join(', ')});`;
+  });
 }
 
 // ============================================================================